@@ -1,6 +1,7 @@
 /**
  * Price Review Portal - JavaScript
  * V2.15.0: Kerosene input fields + fix dismiss resetting manual entries
+ * V3.4.0: Regex repair suggestions for html_changed diagnostics (one-click accept)
  */
 
 // Get token from URL (magic link or legacy token)
@@ -100,7 +101,9 @@ function renderItemCard(item, idx, isDismissed) {
       <span class="diag-icon">${item.diagnostic.icon}</span>
       <strong>${item.diagnostic.label}</strong>
       <span class="diag-action">— ${item.diagnostic.action}</span>
+      ${item.diagnostic.repairable && !isDismissed ? `<button class="suggest-btn" data-supplier-id="${item.supplierId}">Suggest regex</button>` : ''}
     </div>
+    ${item.diagnostic.repairable && !isDismissed ? `<div class="regex-suggestions" id="regex-${item.supplierId}"></div>` : ''}
   ` : '';
 
   const actionBtn = isDismissed
@@ -244,6 +247,11 @@ function renderItems() {
     btn.addEventListener('click', () => dismissSupplier(btn.dataset.supplierId, parseInt(btn.dataset.days)));
   });
 
+  // V3.4.0: Regex repair suggestions
+  container.querySelectorAll('.suggest-btn[data-supplier-id]').forEach(btn => {
+    btn.addEventListener('click', () => loadRegexSuggestions(btn.dataset.supplierId, btn));
+  });
+
   document.getElementById('submit-all').style.display = 'block';
 }
 
@@ -454,6 +462,77 @@ document.getElementById('dismissed-toggle').addEventListener('click', () => {
   renderDismissedSection();
 });
 
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// V3.4.0: Fetch ranked replacement regexes for an html_changed supplier
+async function loadRegexSuggestions(supplierId, btn) {
+  const box = document.getElementById(`regex-${supplierId}`);
+  if (!box) return;
+  btn.disabled = true;
+  box.innerHTML = '<div class="regex-loading">Loading current page…</div>';
+
+  try {
+    const res = await fetch(`${API_BASE}/api/price-review/regex-suggestions/${supplierId}`, { headers });
+    const data = await res.json();
+    if (!data.success) {
+      box.innerHTML = `<div class="regex-empty">${escapeHtml(data.error || 'No suggestions')}</div>`;
+      return;
+    }
+    if (data.suggestions.length === 0) {
+      box.innerHTML = '<div class="regex-empty">No candidate price found near the old anchor text — update scrape-config.json by hand.</div>';
+      return;
+    }
+
+    const lastGood = data.lastGoodPrice != null ? `$${data.lastGoodPrice.toFixed(3)}` : 'none';
+    box.innerHTML = `
+      <div class="regex-meta">Last good: <strong>${lastGood}</strong> · current regex: <code>${escapeHtml(data.currentConfig.priceRegex || '(default)')}</code></div>
+      ${data.suggestions.map((sug, i) => `
+        <div class="regex-suggestion">
+          <span class="regex-price">$${sug.extractedPrice.toFixed(3)}</span>
+          <span class="regex-confidence conf-${sug.confidence}">${sug.confidence}</span>
+          <code title="${escapeHtml(sug.context)}">${escapeHtml(sug.priceRegex)}</code>
+          ${sug.sectionStart ? `<span class="regex-section">after “${escapeHtml(sug.sectionStart)}”</span>` : ''}
+          <button class="accept-regex-btn" data-idx="${i}">Accept</button>
+        </div>
+      `).join('')}
+    `;
+    box.querySelectorAll('.accept-regex-btn').forEach(b => {
+      b.addEventListener('click', () => acceptRegexSuggestion(supplierId, data.suggestions[parseInt(b.dataset.idx)], box));
+    });
+  } catch (err) {
+    box.innerHTML = `<div class="regex-empty">${escapeHtml(err.message)}</div>`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function acceptRegexSuggestion(supplierId, suggestion, box) {
+  try {
+    const res = await fetch(`${API_BASE}/api/price-review/regex-suggestions/accept`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        supplierId,
+        priceRegex: suggestion.priceRegex,
+        sectionStart: suggestion.sectionStart,
+        pattern: suggestion.pattern,
+        strategy: suggestion.strategy
+      })
+    });
+    const data = await res.json();
+    if (data.success) {
+      box.innerHTML = `<div class="regex-accepted">✓ Regex accepted ($${data.extractedPrice.toFixed(3)}) — applies on the next scrape</div>`;
+      showToast('Regex repair accepted', 'success');
+    } else {
+      showToast(data.error || 'Failed to accept regex', 'error');
+    }
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
 function showToast(message, type = 'success') {
   const toast = document.getElementById('toast');
   toast.textContent = message;
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Apply Approved Coverage Patches
+ * V3.22.5: Prints the service-ZIP patches from approved supplier edit
+ * proposals that scrape-config.json doesn't carry yet, and with --write folds
+ * them into the file.
+ *
+ * Approving a ZIP edit in /api/admin/supplier-edits stores a scrape-config.json
+ * patch on the proposal (supplier_edit_proposals.config_patch) — it never
+ * writes postal_codes_served, which ScrapeConfigSync owns. Once the patched
+ * JSON is committed and deployed, the sync applies the ZIPs and this script
+ * stops listing the proposal. Only the newest approval per entry is applied.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/apply-coverage-patches.js
+ *   DATABASE_URL="..." node scripts/apply-coverage-patches.js --write   # then review git diff src/data/scrape-config.json
+ *   DATABASE_URL="..." node scripts/apply-coverage-patches.js --check   # exit 1 if any are pending
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+require('dotenv').config();
+
+const { listPendingConfigPatches, applyConfigPatch } = require('../src/services/supplierEditProposals');
+
+const CONFIG_PATH = path.join(__dirname, '../src/data/scrape-config.json');
+
+const args = process.argv.slice(2);
+const write = args.includes('--write');
+const checkOnly = args.includes('--check');
+
+async function main() {
+  const sequelize = new Sequelize(process.env.DATABASE_URL, {
+    dialect: 'postgres',
+    logging: false,
+    dialectOptions: {
+      ssl: process.env.DATABASE_URL?.includes('railway') ? {
+        require: true,
+        rejectUnauthorized: false
+      } : false
+    }
+  });
+
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    const pending = await listPendingConfigPatches(sequelize, config);
+
+    if (pending.length === 0) {
+      console.log('✅ scrape-config.json carries every approved coverage edit');
+      return 0;
+    }
+
+    console.log(`${pending.length} approved coverage edit(s) not yet in scrape-config.json:\n`);
+    for (const { proposalId, supplierName, patch } of pending) {
+      console.log(`── ${patch.path.join(' → ')} — ${supplierName} (proposal ${proposalId})`);
+      if (patch.added.length) console.log(`   add:    ${patch.added.join(', ')}`);
+      if (patch.removed.length) console.log(`   remove: ${patch.removed.join(', ')}`);
+      console.log(`   set:    ${JSON.stringify({ ...patch.set, postalCodesServed: `[${patch.set.postalCodesServed.length} ZIPs]` })}`);
+      console.log('');
+      if (write) applyConfigPatch(config, patch);
+    }
+
+    if (write) {
+      fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n');
+      console.log(`✏️  Wrote ${pending.length} patch(es) to src/data/scrape-config.json — review the diff and commit`);
+      return 0;
+    }
+    return checkOnly ? pending.length : 0;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code ? 1 : 0))
+    .catch((err) => {
+      console.error('❌', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Import NOAA Daily Weather
+ * V3.7.0: Loads a GHCN-Daily CSV (NCEI Climate Data Online → Daily Summaries,
+ * with TMAX/TMIN) into weather_daily. NOAA rows are authoritative: they
+ * replace any OpenWeather running min/max already stored for the same day.
+ *
+ * The CSV carries no county, so each station is mapped to a ZIP:
+ *   --zip 06103              every station in the file → that ZIP's county
+ *   --stations map.json      { "USW00014740": "06096", ... } per station
+ * Stations mapping to the same county are averaged per day.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/import-noaa-weather.js hartford.csv --zip 06103 --dry-run
+ *   DATABASE_URL="..." node scripts/import-noaa-weather.js northeast.csv --stations stations.json
+ *   DATABASE_URL="..." node scripts/import-noaa-weather.js export.csv --zip 06103 --units metric
+ */
+
+const fs = require('fs');
+const { Sequelize } = require('sequelize');
+require('dotenv').config();
+
+const weatherHistory = require('../src/services/weatherHistory');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : null;
+};
+const VALUE_FLAGS = ['--zip', '--stations', '--units'];
+const file = args.find((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+const dryRun = args.includes('--dry-run');
+const zip = flag('--zip');
+const stationsFile = flag('--stations');
+const units = flag('--units') || 'standard';
+
+async function main() {
+  if (!file || (!zip && !stationsFile)) {
+    console.error('Usage: node scripts/import-noaa-weather.js <file.csv> (--zip <zip> | --stations <map.json>) [--units metric] [--dry-run]');
+    process.exit(1);
+  }
+
+  const stationZips = stationsFile ? JSON.parse(fs.readFileSync(stationsFile, 'utf8')) : {};
+  const locationOf = (station) => {
+    const target = stationZips[station] || zip;
+    return target ? weatherHistory.locationForZip(target).key : null;
+  };
+
+  const { rows, skipped } = weatherHistory.parseNoaaCsv(fs.readFileSync(file, 'utf8'), { units });
+  const unmapped = [...new Set(rows.map(r => r.station).filter(s => !locationOf(s)))];
+  const days = weatherHistory.aggregateDaily(rows, locationOf);
+
+  console.log(`Parsed ${rows.length} station-days (${skipped} skipped: bad date or no temperature)`);
+  if (unmapped.length) console.log(`Unmapped stations (ignored): ${unmapped.join(', ')}`);
+
+  const byLocation = new Map();
+  for (const d of days) {
+    const entry = byLocation.get(d.locationKey) || { days: 0, first: d.date, last: d.date, hdd: 0 };
+    entry.days++;
+    entry.hdd += d.hdd;
+    if (d.date < entry.first) entry.first = d.date;
+    if (d.date > entry.last) entry.last = d.date;
+    byLocation.set(d.locationKey, entry);
+  }
+  for (const [key, e] of byLocation) {
+    console.log(`  ${key}: ${e.days} days ${e.first} → ${e.last}, ${Math.round(e.hdd)} HDD`);
+  }
+
+  if (dryRun) {
+    console.log(`\n--dry-run: ${days.length} location-days not written.`);
+    return;
+  }
+
+  const sequelize = new Sequelize(process.env.DATABASE_URL, {
+    dialect: 'postgres',
+    logging: false,
+    dialectOptions: {
+      ssl: process.env.DATABASE_URL?.includes('railway') ? {
+        require: true,
+        rejectUnauthorized: false
+      } : false
+    }
+  });
+
+  try {
+    const written = await weatherHistory.upsertNoaaDays(sequelize, days);
+    console.log(`\nWrote ${written} location-days to weather_daily.`);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * List Accepted Regex Repairs
+ * V3.4.0: Prints the scrape_regex_repairs rows that still override
+ * scrape-config.json, with the JSON fields to paste into each entry.
+ *
+ * Repairs accepted in the price-review portal take effect immediately via a
+ * DB override (regexRepair.applyRegexRepair). scrape-config.json stays the
+ * source of truth, so fold them in by hand — once the JSON matches, the
+ * override becomes a no-op and this script stops listing it. Branch repairs
+ * (V3.22.1) print as domain[branch-slug] and belong in that branch's block.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/list-regex-repairs.js
+ *   DATABASE_URL="..." node scripts/list-regex-repairs.js --check   # exit 1 if any are pending
+ */
+
+const { Sequelize } = require('sequelize');
+require('dotenv').config();
+
+const { loadScrapeConfig } = require('../src/services/priceScraper');
+const { loadActiveRepairs, applyRegexRepair } = require('../src/services/regexRepair');
+
+const args = process.argv.slice(2);
+const checkOnly = args.includes('--check');
+
+async function main() {
+  const sequelize = new Sequelize(process.env.DATABASE_URL, {
+    dialect: 'postgres',
+    logging: false,
+    dialectOptions: {
+      ssl: process.env.DATABASE_URL?.includes('railway') ? {
+        require: true,
+        rejectUnauthorized: false
+      } : false
+    }
+  });
+
+  try {
+    const scrapeConfig = loadScrapeConfig();
+    const repairs = await loadActiveRepairs(sequelize);
+    const pending = [];
+
+    // Keys are repairKey(): "domain" or "domain[branch-slug]"
+    for (const [domain, repair] of repairs) {
+      const base = scrapeConfig[repair.domain];
+      // Branch repairs compare against the branch's merged entry
+      const entry = base && repair.branch_slug
+        ? (base.branches && base.branches[repair.branch_slug] ? { ...base, ...base.branches[repair.branch_slug] } : null)
+        : base;
+      if (!entry) {
+        console.log(`⚠️  ${domain}: repair ${repair.id} has no scrape-config entry (removed?)`);
+        continue;
+      }
+      // applyRegexRepair returns the entry untouched once the JSON has caught up
+      if (applyRegexRepair(entry, repair) === entry) continue;
+      pending.push({ domain, repair, entry });
+    }
+
+    if (pending.length === 0) {
+      console.log('✅ scrape-config.json carries every accepted regex repair');
+      return 0;
+    }
+
+    console.log(`${pending.length} accepted repair(s) not yet in scrape-config.json:\n`);
+    for (const { domain, repair, entry } of pending) {
+      const patch = { priceRegex: repair.price_regex };
+      if (repair.section_start) patch.sectionStart = repair.section_start;
+      if (repair.pattern) patch.pattern = repair.pattern;
+      console.log(`── ${domain} (repair ${repair.id})`);
+      console.log(`   was: ${JSON.stringify({ priceRegex: entry.priceRegex, sectionStart: entry.sectionStart })}`);
+      console.log(`   set: ${JSON.stringify(patch)}`);
+      if (!repair.section_start && entry.sectionStart) {
+        console.log('   remove: sectionStart, sectionEnd');
+      }
+      console.log('');
+    }
+    return checkOnly ? pending.length : 0;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code ? 1 : 0))
+    .catch((err) => {
+      console.error('❌', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Replay Scrape Fixtures
+ * V3.3.0: Offline regression check for src/data/scrape-config.json edits.
+ *
+ * Replays every enabled config entry against its recorded fixture
+ * (src/data/scrape-fixtures/<domain>.json) with the CURRENT regex/jsonPath/
+ * formBody, and reports entries that now extract a different price or nothing.
+ * No network, no DB — safe for CI and config PRs.
+ *
+ * Record fixtures first (live fetch, no DB writes):
+ *   DATABASE_URL="..." node scripts/scrape-prices.js --dry-run --record-fixtures
+ *
+ * Usage:
+ *   node scripts/replay-scrape-fixtures.js
+ *   node scripts/replay-scrape-fixtures.js --domain example-oil.com
+ *   node scripts/replay-scrape-fixtures.js --verbose      # also list passing entries
+ *
+ * Exit code 1 if any entry changed or lost its price; entries without a
+ * fixture are counted but never fail the run.
+ */
+
+const { loadScrapeConfig } = require('../src/services/priceScraper');
+const { replayAll, getFixtureDir, fixtureKey } = require('../src/services/scrapeFixtures');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const domainFilter = args.includes('--domain')
+  ? args[args.indexOf('--domain') + 1]
+  : null;
+
+const fmt = (p) => (p == null ? 'none' : `$${Number(p).toFixed(3)}`);
+const label = (r) => fixtureKey(r.domain, r.branch);
+
+async function main() {
+  const scrapeConfig = loadScrapeConfig();
+  const { results, noFixture, fixtureWithoutConfig } = await replayAll(scrapeConfig, { domain: domainFilter });
+
+  const regressions = results.filter((r) => r.status !== 'pass');
+
+  console.log(`Scrape fixture replay (${getFixtureDir()})`);
+  for (const r of results) {
+    if (r.status === 'pass') {
+      if (verbose) console.log(`  ✓ ${label(r)} [${r.pattern}] ${fmt(r.actual.pricePerGallon)}`);
+      continue;
+    }
+    const status = r.status === 'missing' ? 'NO PRICE' : 'CHANGED';
+    console.log(`  ✗ ${label(r)} [${r.pattern}] ${status}: expected ${fmt(r.expected.pricePerGallon)}, got ${fmt(r.actual && r.actual.pricePerGallon)}${r.error ? ` (${r.error})` : ''}`);
+    for (const d of r.fuelDiffs) {
+      console.log(`      ${d.fuelType}: expected ${fmt(d.expected)}, got ${fmt(d.actual)}`);
+    }
+  }
+  if (fixtureWithoutConfig.length) {
+    console.log(`  ⚠️  ${fixtureWithoutConfig.length} fixture(s) for removed/disabled entries: ${fixtureWithoutConfig.join(', ')}`);
+  }
+
+  console.log(`${results.length - regressions.length} passed, ${regressions.length} regressed, ${noFixture.length} enabled entries without a fixture`);
+  return regressions.length;
+}
+
+if (require.main === module) {
+  main()
+    .then((regressed) => process.exit(regressed ? 1 : 0))
+    .catch((err) => {
+      console.error('❌ Replay failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -73,8 +73,40 @@ case "$REL" in
   src/data/scrape-config.json)                   TEST="src/services/scrape-config-sync.test.js" ;;
   src/services/multi-branch-config.js)           TEST="src/services/multi-branch-config.test.js" ;;
   src/services/priceScraper.js)                  TEST="src/services/multi-branch-config.test.js" ;;
+  src/services/scrapeFixtures.js)                TEST="src/services/scrapeFixtures.test.js" ;;
+  src/services/deviceRegistry.js)                TEST="src/services/deviceRegistry.test.js" ;;
+  src/services/accountExport.js)                 TEST="src/services/accountExport.test.js" ;;
+  src/services/consumptionModel.js)              TEST="src/services/consumptionModel.test.js" ;;
+  src/services/forecastAccuracy.js)              TEST="src/services/forecastAccuracy.test.js" ;;
+  src/services/weatherHistory.js)                TEST="src/services/weatherHistory.test.js" ;;
+  src/services/sms-price-service.js)             TEST="src/services/sms-price-service.test.js" ;;
+  src/services/scheduledPrices.js)               TEST="src/services/scheduledPrices.test.js" ;;
+  src/services/supplierEditProposals.js)         TEST="src/services/supplierEditProposals.test.js" ;;
+  src/services/supplierAccounts.js)              TEST="src/services/supplierAccounts.test.js" ;;
+  src/lib/validate-magic-link.js)                TEST="src/services/supplierAccounts.test.js" ;;
+  src/services/QuoteRequestService.js)           TEST="src/services/QuoteRequestService.test.js" ;;
+  src/services/quoteOutcomes.js)                 TEST="src/services/quoteOutcomes.test.js" ;;
+  src/services/GroupBuyService.js)               TEST="src/services/GroupBuyService.test.js" ;;
+  src/services/PriceAlertService.js)             TEST="src/services/PriceAlertService.test.js" ;;
+  src/services/TankReminderService.js)           TEST="src/services/TankReminderService.test.js" ;;
+  src/routes/tank-reminders.js)                   TEST="src/routes/tank-reminders.test.js" ;;
+  src/services/NotificationService.js)           TEST="src/services/NotificationService.test.js" ;;
+  src/services/notificationChannels.js)          TEST="src/services/NotificationService.test.js" ;;
+  src/services/notificationTemplates.js)         TEST="src/services/NotificationService.test.js" ;;
+  src/services/JobQueue.js)                      TEST="src/services/JobQueue.test.js" ;;
+  src/services/DistributedScheduler.js)          TEST="src/services/JobQueue.test.js" ;;
+  src/utils/cron-expression.js)                  TEST="src/utils/cron-expression.test.js" ;;
+  src/routes/admin-jobs.js)                       TEST="src/routes/admin-jobs.test.js" ;;
+  src/routes/supplier-update.js)                  TEST="src/routes/supplier-update.test.js" ;;
+  src/routes/supplier-auth.js)                    TEST="src/routes/supplier-auth.test.js" ;;
+  src/services/OpsAlertService.js)               TEST="src/services/OpsAlertService.test.js" ;;
+  src/services/ApiKeyService.js)                 TEST="src/services/ApiKeyService.test.js" ;;
+  src/middleware/apiKey.js)                      TEST="src/middleware/apiKey.test.js" ;;
   src/data/fuel-config.json)                     TEST="src/data/fuel-config.test.js" ;;
   src/utils/supplier-price-query.js)             TEST="src/utils/supplier-price-query.test.js" ;;
+  src/utils/supplier-price-history.js)           TEST="src/utils/supplier-price-history.test.js" ;;
+  src/utils/price-tiers.js)                      TEST="src/utils/price-tiers.test.js" ;;
+  src/utils/web-push.js)                         TEST="src/utils/web-push.test.js" ;;
   *)                                             echo '{"suppressOutput":true}'; exit 0 ;;
 esac
 
@@ -1,5 +1,6 @@
 #!/usr/bin/env bash
-# Run every src/**/*.test.js sequentially. Exit non-zero if any fail.
+# Run every src/**/*.test.js sequentially, then replay the scrape-config
+# fixtures (when any are committed). Exit non-zero if any fail.
 # Convention: each test file uses the plain-Node assertion style (see
 # multi-branch-config.test.js for the template) and exits 0 on success,
 # 1 on any failure.
@@ -36,11 +37,33 @@ for f in "${test_files[@]}"; do
   fi
 done
 
+# Offline scrape-config regression: replay every recorded fixture in
+# src/data/scrape-fixtures against the current scrape-config.json.
+# Skipped until fixtures are committed — with none, the replay checks nothing
+# and a green run would only look like coverage.
 echo ""
-if [ "$failed" -eq 0 ]; then
-  echo "✅ All $count test file(s) passed."
+echo "── scripts/replay-scrape-fixtures.js ──"
+replay_failed=0
+replay_ran=0
+if ls src/data/scrape-fixtures/*.json >/dev/null 2>&1; then
+  replay_ran=1
+  if ! node scripts/replay-scrape-fixtures.js; then
+    replay_failed=1
+  fi
+else
+  echo "Skipped: no recorded fixtures in src/data/scrape-fixtures (see docs/price-pipeline.md to record them)."
+fi
+
+echo ""
+if [ "$failed" -eq 0 ] && [ "$replay_failed" -eq 0 ]; then
+  if [ "$replay_ran" -eq 1 ]; then
+    echo "✅ All $count test file(s) passed; scrape fixtures replay clean."
+  else
+    echo "✅ All $count test file(s) passed; scrape fixture replay skipped (no fixtures)."
+  fi
   exit 0
 else
-  echo "❌ $failed of $count test file(s) failed."
+  [ "$failed" -gt 0 ] && echo "❌ $failed of $count test file(s) failed."
+  [ "$replay_failed" -gt 0 ] && echo "❌ Scrape fixture replay found regressions."
   exit 1
 fi
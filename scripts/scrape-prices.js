@@ -14,6 +14,9 @@
  *   DATABASE_URL="..." node scripts/scrape-prices.js
  *   DATABASE_URL="..." node scripts/scrape-prices.js --dry-run
  *   DATABASE_URL="..." node scripts/scrape-prices.js --supplier "Domino"
+ *   DATABASE_URL="..." node scripts/scrape-prices.js --dry-run --record-fixtures
+ *     (V3.3.0: writes src/data/scrape-fixtures/<domain>.json for each success —
+ *      replay with scripts/replay-scrape-fixtures.js)
  */
 
 const { Sequelize } = require('sequelize');
@@ -24,8 +27,10 @@ const {
   scrapeSupplierPrice,
   loadScrapeConfig,
   getConfigForSupplier,
+  getConfigDomain,
   sleep
 } = require('../src/services/priceScraper');
+const { applyRegexRepair, loadActiveRepairs, repairBranchSlug, repairKey } = require('../src/services/regexRepair');
 
 // V2.6.0: Import backoff service
 const {
@@ -44,6 +49,9 @@ const dryRun = args.includes('--dry-run');
 const supplierFilter = args.includes('--supplier')
   ? args[args.indexOf('--supplier') + 1]
   : null;
+if (args.includes('--record-fixtures')) {
+  process.env.SCRAPE_RECORD_FIXTURES = 'true';
+}
 
 /**
  * Run the price scraper
@@ -129,6 +137,11 @@ async function runScraper(options = {}) {
     const [suppliers] = await sequelize.query(query, { bind: binds });
     log.info(`📍 Found ${suppliers.length} suppliers with websites`);
 
+    const regexRepairs = await loadActiveRepairs(sequelize);
+    if (regexRepairs.size > 0) {
+      log.info(`🔧 ${regexRepairs.size} accepted regex repair(s) override scrape-config`);
+    }
+
     // Filter to configured suppliers
     const scrapableSuppliers = suppliers.filter(s => {
       const config = getConfigForSupplier(s.website, scrapeConfig, s.slug);
@@ -177,7 +190,12 @@ async function runScraper(options = {}) {
 
     for (let i = 0; i < scrapableSuppliers.length; i++) {
       const supplier = scrapableSuppliers[i];
-      const config = getConfigForSupplier(supplier.website, scrapeConfig, supplier.slug);
+      // V3.4.0: accepted regex repairs (price-review portal) override the JSON entry
+      const domain = getConfigDomain(supplier.website);
+      const config = applyRegexRepair(
+        getConfigForSupplier(supplier.website, scrapeConfig, supplier.slug),
+        regexRepairs.get(repairKey(domain, repairBranchSlug(scrapeConfig, domain, supplier.slug)))
+      );
 
       // V2.6.0: Check backoff status before scraping
       const backoffCheck = shouldScrapeSupplier(supplier);
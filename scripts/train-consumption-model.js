@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Train Consumption Model
+ * V3.6.0: Fits the regional priors behind POST /api/ml/predictions/consumption
+ * and records them as the active model_deployments row.
+ *
+ * Samples are delivery-to-delivery intervals from community_deliveries_raw
+ * (heating oil, validation_status = 'valid'), grouped by contributor_hash.
+ * Each interval assumes a fill-up: the later delivery's gallons were burned
+ * since the earlier one. HDD comes from weather_daily history for the
+ * contributor's county (V3.7.0), with county normals filling missing days.
+ * Each contributor's last interval is held out for the validation MAE.
+ *
+ * Usage:
+ *   DATABASE_URL="..." node scripts/train-consumption-model.js --dry-run
+ *   DATABASE_URL="..." node scripts/train-consumption-model.js
+ *   DATABASE_URL="..." node scripts/train-consumption-model.js --version ddr-2026-10-19
+ */
+
+const { Sequelize } = require('sequelize');
+require('dotenv').config();
+
+const consumptionModel = require('../src/services/consumptionModel');
+const weatherHistory = require('../src/services/weatherHistory');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const versionArg = args.indexOf('--version');
+const modelVersion = versionArg !== -1 && args[versionArg + 1]
+  ? args[versionArg + 1]
+  : `ddr-${new Date().toISOString().replace(/[-:]/g, '').slice(0, 13)}`;
+
+async function main() {
+  const sequelize = new Sequelize(process.env.DATABASE_URL, {
+    dialect: 'postgres',
+    logging: false,
+    dialectOptions: {
+      ssl: process.env.DATABASE_URL?.includes('railway') ? {
+        require: true,
+        rejectUnauthorized: false
+      } : false
+    }
+  });
+
+  try {
+    const [rows] = await sequelize.query(`
+      SELECT d.contributor_hash, r.exact_gallons, r.exact_timestamp, r.full_zip_code
+      FROM community_deliveries_raw r
+      JOIN community_deliveries d ON d.id = r.delivery_id
+      WHERE d.fuel_type = 'heating_oil'
+        AND d.validation_status = 'valid'
+        AND d.contributor_hash IS NOT NULL
+      ORDER BY d.contributor_hash, r.exact_timestamp
+    `);
+
+    const byContributor = new Map();
+    for (const row of rows) {
+      if (!byContributor.has(row.contributor_hash)) byContributor.set(row.contributor_hash, []);
+      byContributor.get(row.contributor_hash).push(row);
+    }
+
+    // Daily HDD per county over the whole delivery span, loaded once per county
+    const earliest = rows.reduce((min, r) => Math.min(min, new Date(r.exact_timestamp).getTime()), Date.now());
+    const span = [new Date(earliest), new Date()].map(d => d.toISOString().slice(0, 10));
+    const weatherByLocation = new Map();
+    const dailyHDDFor = async (zip) => {
+      const { key } = weatherHistory.locationForZip(zip);
+      if (!weatherByLocation.has(key)) {
+        const stored = await weatherHistory.loadDailyHDD(sequelize, key, span[0], span[1]).catch(() => new Map());
+        weatherByLocation.set(key, new Map([...stored].filter(([, r]) => r.hdd != null).map(([date, r]) => [date, parseFloat(r.hdd)])));
+      }
+      return weatherByLocation.get(key);
+    };
+
+    const samples = [];
+    for (const [contributor, deliveries] of byContributor) {
+      const zip = deliveries[deliveries.length - 1].full_zip_code;
+      const climate = consumptionModel.locationClimate(zip);
+      const events = deliveries.map(d => ({
+        type: 'delivery',
+        date: d.exact_timestamp,
+        gallons: parseFloat(d.exact_gallons)
+      }));
+      const dailyHDD = await dailyHDDFor(zip);
+      const intervals = consumptionModel.buildIntervals(events, { tankSize: null, annualHDD: climate.annualHDD, dailyHDD })
+        .filter(iv => iv.days >= 7);
+      for (const iv of intervals) {
+        samples.push({ contributor, state: climate.state, days: iv.days, hdd: iv.hdd, gallons: iv.gallons });
+      }
+    }
+
+    const weatherDays = [...weatherByLocation.values()].reduce((n, m) => n + m.size, 0);
+    console.log(`Deliveries: ${rows.length}  Contributors: ${byContributor.size}  Intervals: ${samples.length}  Weather days: ${weatherDays} across ${weatherByLocation.size} counties`);
+
+    const trained = consumptionModel.trainPriors(samples);
+    const { hyperparameters, validationMetrics } = trained;
+
+    console.log(`\nNational: alpha=${hyperparameters.national.alpha} gal/day, beta=${hyperparameters.national.beta} gal/HDD (sd ${hyperparameters.national.sdBeta}), sigmaDaily=${hyperparameters.sigmaDaily}`);
+    for (const [state, region] of Object.entries(hyperparameters.regions)) {
+      console.log(`  ${state}: alpha=${region.alpha}, beta=${region.beta} (sd ${region.sdBeta}), n=${region.samples}`);
+    }
+    console.log(`\nValidation: ${validationMetrics.holdout} held-out intervals, MAE=${validationMetrics.mae} gal, MAPE=${validationMetrics.mape}`);
+
+    if (samples.length === 0) {
+      console.log('\nNo training intervals — nothing deployed.');
+    } else if (dryRun) {
+      console.log(`\n--dry-run: ${modelVersion} not deployed.`);
+    } else {
+      await consumptionModel.saveDeployment(sequelize, modelVersion, trained);
+      console.log(`\nDeployed ${modelVersion} as the active ${consumptionModel.MODEL_TYPE} model.`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Training failed:', error.message);
+  process.exit(1);
+});
@@ -12,6 +12,7 @@ const cron = require('node-cron');
 const path = require('path');
 const fs = require('fs');
 const CronMonitor = require('./src/services/CronMonitor');
+const JobQueue = require('./src/services/JobQueue');
 require('dotenv').config();
 
 // Load package.json for version info
@@ -204,7 +205,7 @@ app.use(cors({
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-API-Key']
 }));
 
 // Rate limiting - only for API routes, not static website
@@ -214,8 +215,11 @@ const limiter = rateLimit({
   message: { error: 'Too many requests, please try again later' },
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => !req.path.startsWith('/api') || req.path.startsWith('/api/webhook/'), // Skip rate limiting for non-API routes and webhooks
+  // Skip rate limiting for non-API routes, webhooks and partner API key requests (quota-limited instead)
+  skip: (req) => !req.path.startsWith('/api') || req.path.startsWith('/api/webhook/') || !!req.apiKey,
 });
+// V3.22.0: Partner API keys — must run before the limiter so keyed requests skip it
+app.use(require('./src/middleware/apiKey'));
 app.use(limiter);
 
 // Compression and body parsing
@@ -638,6 +642,10 @@ if (API_KEYS.DATABASE_URL) {
           logger.warn('⚠️  ScrapeConfigSync error:', err.message);
         }
 
+        // V3.18.0: Notification dispatcher — outbox + suppression list for every email/SMS
+        const { initNotificationService } = require('./src/services/NotificationService');
+        app.locals.notificationService = initNotificationService(sequelize, logger);
+
         // V2.18.0: Initialize SMS Price Service
         const smsPriceService = new SmsPriceService(sequelize, logger);
         app.locals.smsPriceService = smsPriceService;
@@ -649,6 +657,18 @@ if (API_KEYS.DATABASE_URL) {
         app.locals.quoteRequestService = quoteRequestService;
         logger.info('✅ Quote Request Service initialized');
 
+        // V3.14.0: Group orders — neighbors pool gallons, suppliers bid one price
+        const GroupBuyService = require('./src/services/GroupBuyService');
+        app.locals.groupBuyService = new GroupBuyService(sequelize, logger, quoteRequestService);
+        logger.info('✅ Group Buy Service initialized');
+
+        // V3.16.0: Price alerts — SMS alerts go out over the lead number's Twilio client
+        app.locals.priceAlertService = new PriceAlertService(sequelize, logger, quoteRequestService);
+
+        // V3.17.0: Tank run-out reminders — local prices and push endpoints come from price alerts
+        const TankReminderService = require('./src/services/TankReminderService');
+        app.locals.tankReminderService = new TankReminderService(sequelize, logger, app.locals.priceAlertService);
+
         logger.info('📊 Database ready for operations');
       })
       .catch(err => {
@@ -780,7 +800,10 @@ app.get('/api/docs', (req, res) => {
       admin: {
         supplierRequests: '/api/admin/supplier-requests',
         dashboard: '/api/admin/dashboard',
-        auditLogs: '/api/admin/audit-logs'
+        auditLogs: '/api/admin/audit-logs',
+        jobs: '/api/admin/jobs',
+        alerts: '/api/admin/alerts',
+        apiKeys: '/api/admin/api-keys'
       },
       suppliers: {
         byZip: '/api/v1/suppliers?zip=01340',
@@ -788,7 +811,7 @@ app.get('/api/docs', (req, res) => {
         note: 'Returns signed JSON response for verification'
       }
     },
-    rateLimit: '100 requests per 15 minutes (60/hour for suppliers)',
+    rateLimit: '100 requests per 15 minutes (60/hour for suppliers); partner API keys (X-API-Key) get a daily quota instead',
     security: ['Helmet', 'CORS', 'Rate Limiting', 'JWT Authentication', 'HMAC Signed Responses']
   });
 });
@@ -823,8 +846,13 @@ app.use('/claim', require('./src/routes/claim-page'));  // Server-rendered claim
 app.use('/api/supplier-claim', require('./src/routes/supplier-claim'));  // V2.11.0: Supplier claim system
 app.use('/api/supplier-request', require('./src/routes/supplier-request'));  // Add My Business self-service
 app.use('/api/admin/supplier-claims', require('./src/routes/admin-supplier-claims'));  // V2.11.0: Admin claim review
+app.use('/api/admin/supplier-edits', require('./src/routes/admin-supplier-edits'));  // V3.10.0: Supplier profile edit review
+app.use('/api/admin/jobs', require('./src/routes/admin-jobs'));  // V3.20.0: Job console (run now / pause / dry run)
+app.use('/api/admin/alerts', require('./src/routes/admin-alerts'));  // V3.21.0: Ops alert history / acknowledge / resolve
+app.use('/api/admin/api-keys', require('./src/routes/admin-api-keys'));  // V3.22.0: Partner API key issue / revoke / usage
 app.use('/api/supplier-update', require('./src/routes/supplier-update'));  // V2.11.0: Supplier magic link price update
 app.use('/api/supplier-dashboard', require('./src/routes/supplier-dashboard'));  // V2.15.0: Supplier value dashboard
+app.use('/api/supplier-auth', require('./src/routes/supplier-auth'));  // V3.11.0: Supplier team logins
 app.use('/api', require('./src/routes/tracking'));  // V2.12.0: Click tracking for sniper outreach
 app.use('/api/dashboard', dashboardRoutes);  // V2.14.0: Analytics dashboard
 app.use('/api/zip', require('./src/routes/zip-stats'));  // V2.32.0: ZIP price intelligence
@@ -832,9 +860,15 @@ app.use('/api/webhook/twilio', smsWebhookRoutes);  // V2.18.0: SMS price updates
 app.use('/api/outreach', require('./src/routes/outreach'));  // Supplier email unsubscribe
 app.use('/api/webhook', require('./src/routes/outreach'));  // Resend bounce/complaint webhook
 app.use('/api/price-alerts', require('./src/routes/price-alerts'));  // Price alert subscribe/unsubscribe
+app.use('/api/tank-reminders', require('./src/routes/tank-reminders'));  // V3.17.0: Tank run-out reminders
 app.use('/api/coverage-request', require('./src/routes/coverage-request'));  // Coverage request for empty ZIPs
 app.use('/api/quote-request', require('./src/routes/quote-request'));  // Smart Quote Request system (heatingoil-h1fy)
 app.use('/api/webhook/twilio-leads', require('./src/routes/lead-sms-webhook'));  // Lead SMS inbound (separate from price SMS)
+app.use('/api/group-buy', require('./src/routes/group-buy'));  // V3.14.0: Neighborhood group orders
+// V3.14.0: Short URLs for group orders — pool page (shared with neighbors), household confirm, supplier bid form
+app.get('/g/:poolId', (req, res) => res.redirect(302, `/api/group-buy/${encodeURIComponent(req.params.poolId)}`));
+app.get('/gv/:participantId', (req, res) => res.redirect(302, `/api/group-buy/verify/${encodeURIComponent(req.params.participantId)}?h=${encodeURIComponent(req.query.h || '')}`));
+app.get('/gb/:token', (req, res) => res.redirect(301, `/api/group-buy/bid?t=${encodeURIComponent(req.params.token)}`));
 // Short URL for supplier "Confirm you called" link (keeps SMS clean)
 app.get('/r/:token', (req, res) => res.redirect(301, `/api/quote-request/supplier-response?t=${req.params.token}`));
 // Consumer verify link — user taps this in SMS to confirm their quote request
@@ -844,6 +878,11 @@ app.get('/v/:requestId', async (req, res) => {
   if (!service) return res.status(503).send('Service unavailable');
   try {
     const result = await service.verifyByLink(req.params.requestId, req.query.h);
+    // V3.12.0: bid-mode requests live on the bid board (also on re-visits after confirming)
+    const bidsUrl = `/api/quote-request/bids/${encodeURIComponent(req.params.requestId)}?h=${encodeURIComponent(req.query.h || '')}`;
+    if (result.bid_mode || (result.error && await service.getBidBoard(req.params.requestId, req.query.h))) {
+      return res.redirect(302, bidsUrl);
+    }
     if (result.error) {
       return res.send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>HomeHeat</title><style>body{font-family:-apple-system,sans-serif;margin:0;padding:40px 20px;background:#FEF3EB;color:#1a1a1a;text-align:center;}a{color:#FF6B35;}</style></head><body><h2>Link Issue</h2><p>${escapeHtml(result.error)}</p><p><a href="/prices">Search for suppliers →</a></p></body></html>`);
     }
@@ -864,6 +903,7 @@ app.get('/v/:requestId', async (req, res) => {
 });
 app.use('/api/v1/heating-cost', require('./src/routes/heating-cost'));  // Multi-fuel cost comparison
 app.use('/api/v1', require('./src/routes/user-events'));  // Lightweight user event tracking
+app.use('/api/ml', require('./src/routes/ml-predictions'));  // V3.6.0: Degree-day consumption forecasts
 
 // V2.10.0: Serve static files for admin tools
 app.use(express.static(path.join(__dirname, 'public')));
@@ -998,6 +1038,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 
   // V3.1.0: Initialize CronMonitor for heartbeat tracking, auto-retry, and drift detection
   const cronMonitor = new CronMonitor(sequelize, logger);
+  app.locals.cronMonitor = cronMonitor;
 
   // V2.36.0 (heatingoil-36uz): model init retry scaffolding.
   // cronMonitor is now in scope; define markReady + hard-timeout here
@@ -1089,6 +1130,14 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 
   cronMonitor.cleanup(); // Clean old heartbeats/errors on startup (non-blocking)
 
+  // V3.19.0: Durable job queue — the scheduled jobs below run from Postgres
+  // (jobs / job_schedules) instead of node-cron, so a deploy doesn't drop them
+  // and overlapping instances run each occurrence once. The page generators,
+  // supplier page stats and EIA rates stay on node-cron + cronMonitor.run: they
+  // write this container's website/ and data files, so every instance runs them.
+  const jobQueue = new JobQueue(sequelize, logger, { cronMonitor });
+  app.locals.jobQueue = jobQueue;
+
   // V2.6.0: DISABLED fixed 10 AM scrape - now using distributed scheduler (8AM-6PM)
   // Keeping commented for rollback if needed
   // cron.schedule('0 15 * * *', async () => {
@@ -1108,40 +1157,40 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   // V2.7.0: Second daily scrape at 4 PM EST to catch afternoon price updates
   // Catches suppliers who update prices after their morning distributed scrape
   // V2.32.0: Also triggers ZIP stats computation after scrape completes
-  cron.schedule('0 21 * * *', async () => {
-    await cronMonitor.run('afternoon-scrape', async () => {
-      const result = await runScraper({ sequelize, logger });
-      logger.info(`✅ Afternoon scrape: ${result.success} success, ${result.failed} failed`);
-
-      // Check scraper health (drift + anomaly detection)
-      const alerts = cronMonitor.checkScraperHealth(result);
-      if (alerts.length > 0) {
-        alerts.forEach(a => logger.warn(`[ScraperHealth] ${a.level}: ${a.message}`));
-      }
+  jobQueue.define('afternoon-scrape', async (payload, { logger }) => {
+    const result = await runScraper({ sequelize, logger });
+    logger.info(`✅ Afternoon scrape: ${result.success} success, ${result.failed} failed`);
+
+    // Check scraper health (drift + anomaly detection)
+    const alerts = cronMonitor.checkScraperHealth(result);
+    if (alerts.length > 0) {
+      alerts.forEach(a => logger.warn(`[ScraperHealth] ${a.level}: ${a.message}`));
+    }
 
-      // V2.32.0: Compute ZIP price stats after scrape
-      const zipStatsComputer = new ZipStatsComputer(sequelize, logger);
-      const statsResult = await zipStatsComputer.compute();
-      if (statsResult.success) {
-        logger.info(`✅ ZIP stats: ${statsResult.updated} ZIPs (${statsResult.durationMs}ms)`);
-      }
+    // V2.32.0: Compute ZIP price stats after scrape
+    const zipStatsComputer = new ZipStatsComputer(sequelize, logger);
+    const statsResult = await zipStatsComputer.compute();
+    if (statsResult.success) {
+      logger.info(`✅ ZIP stats: ${statsResult.updated} ZIPs (${statsResult.durationMs}ms)`);
+    }
 
-      // V2.33.0: Compute County price stats after ZIP stats
-      const countyStatsComputer = new CountyStatsComputer(sequelize, logger);
-      const countyResult = await countyStatsComputer.compute();
-      if (countyResult.success) {
-        logger.info(`✅ County stats: ${countyResult.updated} counties (${countyResult.durationMs}ms)`);
-      }
+    // V2.33.0: Compute County price stats after ZIP stats
+    const countyStatsComputer = new CountyStatsComputer(sequelize, logger);
+    const countyResult = await countyStatsComputer.compute();
+    if (countyResult.success) {
+      logger.info(`✅ County stats: ${countyResult.updated} counties (${countyResult.durationMs}ms)`);
+    }
 
-      return { success: result.success, failed: result.failed, rejected: result.rejected, alerts };
-    });
-  }, {
-    timezone: 'UTC' // 21:00 UTC = 4:00 PM EST
-  });
+    return { success: result.success, failed: result.failed, rejected: result.rejected, alerts };
+  }, { maxAttempts: 2, timeoutSeconds: 2 * 3600 });
+  jobQueue.schedule('afternoon-scrape', '0 21 * * *', { timezone: 'UTC' }); // 21:00 UTC = 4:00 PM EST
   logger.info('⏰ Afternoon scrape scheduled: daily at 4:00 PM EST (+ ZIP/County stats)');
 
   // V2.17.0: Schedule SEO + Supplier page generation at 11:00 PM EST (low traffic period)
   // Generates static HTML pages directly on Railway for Google indexability
+  // Per-instance: this job and the 11:15–11:35 PM ones below stay on node-cron —
+  // they write this container's website/, so each instance must run them
+  // (CronMonitor.PER_INSTANCE_JOBS keeps them in the 6 AM email and job console).
   cron.schedule('0 23 * * *', async () => {
     const websiteDir = path.join(__dirname, 'website');
 
@@ -1249,16 +1298,15 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   }, { timezone: 'America/New_York' });
   // Submit new/changed indexable URLs to IndexNow (Bing) — runs after the
   // 23:30 sitemap regen so it reads a fresh sitemap.xml. See docs/deployment.md.
-  cron.schedule('31 23 * * *', async () => {
-    await cronMonitor.run('indexnow', async () => {
-      const { runIndexNowSubmission } = require('./src/services/IndexNowService');
-      const websiteDir = path.join(__dirname, 'website');
-      const result = await runIndexNowSubmission({ sequelize, logger, websiteDir });
-      if (result.skipped) logger.info('⏭️  IndexNow skipped (no INDEXNOW_KEY)');
-      else logger.info(`✅ IndexNow: ${result.submitted} submitted, ${result.pruned} pruned (${result.indexable} indexable)`);
-      return result;
-    }, { retry: false });
-  }, { timezone: 'America/New_York' });
+  jobQueue.define('indexnow', async ({ dryRun }, { logger }) => {
+    const { runIndexNowSubmission } = require('./src/services/IndexNowService');
+    const websiteDir = path.join(__dirname, 'website');
+    const result = await runIndexNowSubmission({ sequelize, logger, websiteDir, ...(dryRun ? { dryRun } : {}) });
+    if (result.skipped) logger.info('⏭️  IndexNow skipped (no INDEXNOW_KEY)');
+    else logger.info(`✅ IndexNow: ${result.submitted} submitted, ${result.pruned} pruned (${result.indexable} indexable)`);
+    return result;
+  }, { dryRun: true });
+  jobQueue.schedule('indexnow', '31 23 * * *');
   // Update for-suppliers page stats (after all page generators)
   cron.schedule('35 23 * * *', async () => {
     await cronMonitor.run('supplier-page-stats', async () => {
@@ -1477,33 +1525,52 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 
   // V2.6.0: Monthly reset of phone_only suppliers (1st of each month at 6 AM EST)
   // Gives blocked sites another chance after a month
-  cron.schedule('0 11 1 * *', async () => {
-    await cronMonitor.run('monthly-reset', async () => {
-      const count = await monthlyReset(sequelize, logger);
-      logger.info(`✅ Monthly reset: ${count} suppliers reset`);
-      return { suppliersReset: count };
-    }, { retry: false });
-  }, {
-    timezone: 'UTC' // 11 AM UTC = 6 AM EST
+  jobQueue.define('monthly-reset', async (payload, { logger }) => {
+    const count = await monthlyReset(sequelize, logger);
+    logger.info(`✅ Monthly reset: ${count} suppliers reset`);
+    return { suppliersReset: count };
   });
+  jobQueue.schedule('monthly-reset', '0 11 1 * *', { timezone: 'UTC' }); // 11 AM UTC = 6 AM EST
   logger.info('🔄 Monthly phone_only reset scheduled: 1st of each month at 6 AM EST');
 
   // Platform metrics snapshot (2:15 AM ET daily)
-  cron.schedule('15 2 * * *', async () => {
-    await cronMonitor.run('platform-metrics', async () => {
-      const metricsService = new PlatformMetricsService(sequelize, logger);
-      const result = await metricsService.computeDaily();
-      if (result.success) {
-        logger.info(`[PlatformMetrics] Complete: ${result.day} (${result.durationMs}ms)`);
-      }
-      return result;
-    });
-  }, { timezone: 'America/New_York' });
+  jobQueue.define('platform-metrics', async (payload, { logger }) => {
+    const metricsService = new PlatformMetricsService(sequelize, logger);
+    const result = await metricsService.computeDaily();
+    if (result.success) {
+      logger.info(`[PlatformMetrics] Complete: ${result.day} (${result.durationMs}ms)`);
+    }
+    return result;
+  }, { maxAttempts: 2 });
+  jobQueue.schedule('platform-metrics', '15 2 * * *');
   logger.info('📊 Platform metrics scheduled: daily at 2:15 AM ET');
 
+  // V3.5.0: Drop anonymous users inactive 180+ days (devices cascade) — was an
+  // in-process setInterval over in-memory Maps before registrations were persisted
+  jobQueue.define('auth-cleanup', async (payload, { logger }) => {
+    const { cleanupInactiveUsers } = require('./src/services/deviceRegistry');
+    const deleted = await cleanupInactiveUsers(sequelize);
+    logger.info(`[Auth] Inactive user cleanup: ${deleted} users removed`);
+    return { usersDeleted: deleted };
+  });
+  jobQueue.schedule('auth-cleanup', '45 2 * * *');
+  logger.info('🧹 Inactive anonymous user cleanup scheduled: daily at 2:45 AM ET');
+
+  // V3.6.1: Score consumption forecasts against app-reported run-out/delivery
+  // dates (trailing 30 days) → model_metrics MAE/bias per model version + region
+  jobQueue.define('forecast-accuracy', async (payload, { logger }) => {
+    const { computeDailyMetrics } = require('./src/services/forecastAccuracy');
+    const result = await computeDailyMetrics(sequelize);
+    logger.info(`[ForecastAccuracy] ${result.feedback} feedback rows → ${result.groups} version/region groups`);
+    return result;
+  });
+  jobQueue.schedule('forecast-accuracy', '0 4 * * *');
+  logger.info('🎯 Forecast accuracy metrics scheduled: daily at 4:00 AM ET');
+
   // Monthly EIA energy rates refresh (18th at 3:30 AM ET — after EIA's mid-month publish window)
   // Updates electricity-rates.json + gas-rates.json from EIA API v2 (residential by state).
   // EIA publishes monthly with ~2-month lag; running on the 18th catches the latest period.
+  // Per-instance (node-cron): the JSON files are read from this container's disk.
   cron.schedule('30 3 18 * *', async () => {
     await cronMonitor.run('eia-energy-rates', async () => {
       const { refreshEnergyRates } = require('./scripts/refresh-energy-rates');
@@ -1515,50 +1582,129 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info('⚡ EIA energy rates refresh scheduled: monthly on 18th at 3:30 AM ET');
 
   // Price alert daily check (8:00 AM ET)
-  cron.schedule('0 8 * * *', async () => {
-    await cronMonitor.run('price-alerts', async () => {
-      const alertService = new PriceAlertService(sequelize, logger);
-      const result = await alertService.runDailyCheck();
-      if (result.success) {
-        logger.info(`[PriceAlert] sent=${result.alerts_sent}, skipped=${result.alerts_skipped} (${result.durationMs}ms)`);
-      }
-      return result;
-    });
-  }, { timezone: 'America/New_York' });
+  jobQueue.define('price-alerts', async (payload, { logger }) => {
+    const alertService = app.locals.priceAlertService || new PriceAlertService(sequelize, logger);
+    const result = await alertService.runDailyCheck();
+    if (result.success) {
+      logger.info(`[PriceAlert] sent=${result.alerts_sent}, skipped=${result.alerts_skipped} (${result.durationMs}ms)`);
+    }
+    return result;
+  }, { maxAttempts: 2 });
+  jobQueue.schedule('price-alerts', '0 8 * * *');
   logger.info('🔔 Price alerts scheduled: daily at 8:00 AM ET');
 
+  // V3.17.0: Tank run-out reminders (9:00 AM ET, after price alerts so prices are fresh)
+  jobQueue.define('tank-reminders', async (payload, { logger }) => {
+    const reminderService = app.locals.tankReminderService;
+    if (!reminderService) return { success: false, reason: 'not_initialized' };
+    const result = await reminderService.runDailyCheck();
+    if (result.success) {
+      logger.info(`[TankReminder] checked=${result.checked}, sent=${result.reminders_sent} (${result.durationMs}ms)`);
+    }
+    return result;
+  }, { maxAttempts: 2 });
+  jobQueue.schedule('tank-reminders', '0 9 * * *');
+  logger.info('⛽ Tank reminders scheduled: daily at 9:00 AM ET');
+
+  // V3.9.0: Supplier-scheduled prices — publish rows whose start has arrived,
+  // retire rows past their valid-until (scheduled_supplier_prices → supplier_prices)
+  jobQueue.define('scheduled-prices', async (payload, { logger }) => {
+    const { runScheduledPrices } = require('./src/services/scheduledPrices');
+    const result = await runScheduledPrices(sequelize);
+    if (result.published || result.retired || result.lapsed) {
+      logger.info(`[ScheduledPrices] published=${result.published}, retired=${result.retired}, lapsed=${result.lapsed}`);
+    }
+    return result;
+  });
+  jobQueue.schedule('scheduled-prices', '*/5 * * * *');
+  logger.info('🗓️ Scheduled supplier prices: publish/retire every 5 minutes');
+
+  // V3.18.0: Notification outbox — retry emails that hit a transient provider error
+  jobQueue.define('notification-outbox', async (payload, { logger }) => {
+    const notifications = app.locals.notificationService;
+    if (!notifications) return { success: false, reason: 'not_initialized' };
+    const result = await notifications.processOutbox();
+    if (result.claimed) {
+      logger.info(`[Notify] Outbox: sent=${result.sent}, retrying=${result.retrying}, failed=${result.failed}, suppressed=${result.suppressed}`);
+    }
+    return result;
+  });
+  jobQueue.schedule('notification-outbox', '*/5 * * * *');
+  logger.info('📮 Notification outbox retries scheduled: every 5 minutes');
+
+  // V3.18.0: Drop settled outbox rows after 30 days
+  jobQueue.define('notification-prune', async (payload, { logger }) => {
+    const notifications = app.locals.notificationService;
+    if (!notifications) return { success: false, reason: 'not_initialized' };
+    const deleted = await notifications.pruneOutbox();
+    logger.info(`[Notify] Pruned ${deleted} outbox rows`);
+    return { deleted };
+  });
+  jobQueue.schedule('notification-prune', '50 2 * * *');
+  logger.info('🧹 Notification outbox cleanup scheduled: daily at 2:50 AM ET');
+
   // Smart Quote Request crons (heatingoil-h1fy)
   if (process.env.DISABLE_QUOTE_SYSTEM !== 'true') {
     const quoteService = app.locals.quoteRequestService;
     if (quoteService) {
       // 6:00 AM ET — Dispatch queued after-hours quote requests (suppliers plan routes early)
-      cron.schedule('0 6 * * *', async () => {
-        await cronMonitor.run('quote-queue', async () => {
-          return await quoteService.processQueue();
-        });
-      }, { timezone: 'America/New_York' });
+      jobQueue.define('quote-queue', () => quoteService.processQueue(), { maxAttempts: 2 });
+      jobQueue.schedule('quote-queue', '0 6 * * *');
 
       // Every hour — Fallback notifications + outcome checks + expiration
-      cron.schedule('0 * * * *', async () => {
-        await cronMonitor.run('quote-maintenance', async () => {
-          const [fallbacks, outcomes, expired] = await Promise.all([
-            quoteService.sendFallbackNotification(),
-            quoteService.sendOutcomeCheck(),
-            quoteService.expireStaleRequests(),
-          ]);
-          return { fallbacks, outcomes, expired };
-        });
-      }, { timezone: 'America/New_York' });
+      // V3.14.0: + group orders (expire unconfirmed joins, close deadlines, award bids)
+      const groupBuyService = app.locals.groupBuyService;
+      jobQueue.define('quote-maintenance', async () => {
+        const [fallbacks, outcomes, expired, groupBuys] = await Promise.all([
+          quoteService.sendFallbackNotification(),
+          quoteService.sendOutcomeCheck(),
+          quoteService.expireStaleRequests(),
+          groupBuyService ? groupBuyService.runMaintenance() : null,
+        ]);
+        return { fallbacks, outcomes, expired, groupBuys };
+      }, { maxAttempts: 2 });
+      jobQueue.schedule('quote-maintenance', '0 * * * *');
 
       logger.info('📋 Quote request crons scheduled: 7 AM dispatch + hourly maintenance');
     }
   }
 
+  // V3.19.0: Supplier outreach E2/E3 follow-ups (was step 2.5 of the 6 AM daily reports)
+  jobQueue.define('outreach-sequence', async (payload, { logger }) => {
+    const OutreachSequenceService = require('./src/services/OutreachSequenceService');
+    const outreach = new OutreachSequenceService(sequelize, logger);
+    return outreach.runSequence();
+  });
+  jobQueue.schedule('outreach-sequence', '0 6 * * *');
+  logger.info('✉️ Outreach sequence scheduled: daily at 6:00 AM ET');
+
+  // V3.19.0: Drop finished job rows after 30 days
+  jobQueue.define('job-prune', async ({ dryRun }) => (dryRun
+    ? { wouldDelete: await jobQueue.prune({ dryRun }), dryRun }
+    : { deleted: await jobQueue.prune() }), { dryRun: true });
+  jobQueue.schedule('job-prune', '55 2 * * *');
+
+  // V3.21.0: Ops alerts — Command Center anomalies + scraper health → ops_alerts
+  // incidents, pushed to OPS_ALERT_WEBHOOK_URL / OPS_ALERT_EMAIL
+  jobQueue.define('ops-alerts', async ({ dryRun }, { logger }) => {
+    const OpsAlertService = require('./src/services/OpsAlertService');
+    const opsAlerts = new OpsAlertService(sequelize, logger, { cronMonitor });
+    const result = await opsAlerts.evaluate({ dryRun });
+    if (result.opened || result.escalated || result.resolved) {
+      logger.info(`[OpsAlert] opened=${result.opened}, escalated=${result.escalated}, resolved=${result.resolved}, notified=${result.notified}`);
+    }
+    return result;
+  }, { dryRun: true });
+  jobQueue.schedule('ops-alerts', '*/15 * * * *');
+  logger.info('🚨 Ops alerts scheduled: every 15 minutes');
+
   // V2.6.0: Distributed scheduler - ACTIVE MODE
   // Spreads scrapes across 8AM-6PM to reduce detection risk
   // Each supplier gets a consistent daily time based on ID hash + jitter
+  // V3.19.0: each slot is a supplier-scrape job on the queue
   const distributedScheduler = initScheduler({
     sequelize,
+    jobQueue,
     logger,
     shadowMode: false  // ACTIVE: Actually scraping now
   });
@@ -1568,6 +1714,9 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info('📅 Distributed scheduler started (ACTIVE - scrapes spread 8AM-6PM EST)');
   }
 
+  // All jobs are defined — start claiming (schedules sync once migrations have run)
+  jobQueue.start();
+
   // V2.3.0: Schedule Coverage Intelligence daily analysis
   // V3.1.0: Pass cronMonitor for cron health in daily email
   scheduleCoverageIntelligence(cronMonitor);
@@ -1645,18 +1794,6 @@ function scheduleCoverageIntelligence(cronMonitor) {
         logger.error('[ActivityAnalytics] Daily report failed:', error.message);
       }
 
-      // 2.5. Run outreach email sequence (E2/E3 follow-ups)
-      try {
-        const OutreachSequenceService = require('./src/services/OutreachSequenceService');
-        const outreach = new OutreachSequenceService(sequelize, logger);
-        const outreachResult = await outreach.runSequence();
-        if (!outreachResult.skipped) {
-          logger.info(`[OutreachSequence] E2=${outreachResult.e2_sent}, E3=${outreachResult.e3_sent}, complete=${outreachResult.complete}`);
-        }
-      } catch (error) {
-        logger.error('[OutreachSequence] Daily run failed:', error.message);
-      }
-
       // 2.6. V2.5.0: Check for stale supplier prices and send reminders
       try {
         const { getSupplierStalenessService } = require('./src/services/SupplierPriceStalenessService');
@@ -11,12 +11,43 @@
  *   Annual cost:      HDD × heatLossFactor × costPerBTU
  *
  * Default heatLossFactor: 7 BTU/sq-ft/HDD for a typical 2,000 sq-ft home
- * = 14,000 BTU/HDD. Not user-configurable in Phase A.
+ * = 14,000 BTU/HDD.
+ *
+ * V1.1.0: Home profile — heatLossFactor can be derived from square footage,
+ * insulation level and thermostat setpoint, and system efficiency can
+ * override the fuel's default efficiency (or COP). The default profile
+ * reproduces the 14,000 BTU/HDD constant exactly.
  */
 
 const DEFAULT_HEAT_LOSS_FACTOR = 14000; // BTU per HDD (2,000 sq-ft × 7 BTU/sq-ft/HDD)
 const HEATING_MONTHS = 6; // Oct–Mar for monthly cost estimate
 
+// BTU per sq-ft per HDD by envelope quality
+const INSULATION_FACTORS = {
+  poor: 9,
+  average: 7,
+  good: 5.5,
+  excellent: 4,
+};
+
+// HDD base 65°F assumes roughly a 68°F thermostat; each degree shifts demand ~3%
+const DEFAULT_SETPOINT_F = 68;
+const SETPOINT_ADJUSTMENT_PER_DEGREE = 0.03;
+
+const DEFAULT_HOME_PROFILE = {
+  squareFeet: 2000,
+  insulation: 'average',
+  setpoint: DEFAULT_SETPOINT_F,
+  efficiency: null, // null → fuel default
+};
+
+const PROFILE_LIMITS = {
+  squareFeet: [300, 20000],
+  setpoint: [55, 80],
+};
+
+// efficiencyRange bounds a home's own system efficiency override: AFUE can't
+// exceed 1 for a combustion fuel; heat pump COP runs ~1 (deep cold) to ~6.
 // Per-fuel filter ranges (minPrice/maxPrice) live in scripts/generate-seo-pages.js#FUEL_CONFIGS; this module owns cost-engine constants only.
 const FUELS = {
   'heating-oil': {
@@ -25,6 +56,7 @@ const FUELS = {
     unit: 'gallon',
     btuPerUnit: 138500,
     efficiency: 0.85,
+    efficiencyRange: [0.4, 1],
     installCost: 0,
     category: 'liquid',
   },
@@ -34,6 +66,7 @@ const FUELS = {
     unit: 'gallon',
     btuPerUnit: 135000,
     efficiency: 0.87,
+    efficiencyRange: [0.4, 1],
     installCost: 0,
     category: 'liquid',
   },
@@ -43,6 +76,7 @@ const FUELS = {
     unit: 'gallon',
     btuPerUnit: 91500,
     efficiency: 0.90,
+    efficiencyRange: [0.4, 1],
     installCost: 0,
     category: 'liquid',
   },
@@ -52,6 +86,7 @@ const FUELS = {
     unit: 'kWh',
     btuPerUnit: 3412,
     cop: 3.0,
+    efficiencyRange: [1, 6],
     installCost: [7000, 15000],
     category: 'electric',
   },
@@ -61,6 +96,7 @@ const FUELS = {
     unit: 'therm',
     btuPerUnit: 100000,
     efficiency: 0.93,
+    efficiencyRange: [0.4, 1],
     installCost: 0,
     category: 'gas',
   },
@@ -70,20 +106,27 @@ const FUELS = {
     unit: 'kWh',
     btuPerUnit: 3412,
     cop: 1.0,
+    efficiencyRange: [0.9, 1],
     installCost: [1000, 3000],
     category: 'electric',
   },
 };
 
+const ANY_EFFICIENCY_RANGE = [
+  Math.min(...Object.values(FUELS).map(f => f.efficiencyRange[0])),
+  Math.max(...Object.values(FUELS).map(f => f.efficiencyRange[1])),
+];
+
 /**
  * Cost per million BTU for a given fuel at a given price.
  * This is the universal comparison metric across fuel types.
  *
  * @param {string} fuelKey - Key in FUELS (e.g., 'heating-oil')
  * @param {number} pricePerUnit - Price per unit of fuel ($/gal, $/kWh, $/therm)
+ * @param {number|null} [efficiency] - Override AFUE (combustion) or COP (electric)
  * @returns {number} Cost in dollars per million BTU
  */
-function costPerMMBTU(fuelKey, pricePerUnit) {
+function costPerMMBTU(fuelKey, pricePerUnit, efficiency = null) {
   const fuel = FUELS[fuelKey];
   if (!fuel) throw new Error(`Unknown fuel: ${fuelKey}`);
   if (typeof pricePerUnit !== 'number' || pricePerUnit <= 0) {
@@ -92,13 +135,67 @@ function costPerMMBTU(fuelKey, pricePerUnit) {
 
   // Electric fuels use COP (coefficient of performance)
   // Combustion fuels use thermal efficiency
-  const effectiveBTU = fuel.cop
-    ? fuel.cop * fuel.btuPerUnit
-    : fuel.efficiency * fuel.btuPerUnit;
+  // A home's own system efficiency (AFUE or COP) replaces either when given
+  const effectiveBTU = (efficiency || fuel.cop || fuel.efficiency) * fuel.btuPerUnit;
 
   return pricePerUnit / (effectiveBTU / 1e6);
 }
 
+/**
+ * Normalize a home profile, filling defaults and validating ranges.
+ *
+ * @param {object} [profile] - { squareFeet, insulation, setpoint, efficiency }
+ * @param {string|null} [fuelKey] - Fuel the efficiency describes; without
+ *   one it is checked against the widest range of any fuel
+ * @returns {object} Complete profile
+ */
+function resolveHomeProfile(profile = {}, fuelKey = null) {
+  const resolved = { ...DEFAULT_HOME_PROFILE };
+  for (const key of Object.keys(DEFAULT_HOME_PROFILE)) {
+    if (profile[key] !== undefined && profile[key] !== null) resolved[key] = profile[key];
+  }
+
+  if (!INSULATION_FACTORS[resolved.insulation]) {
+    throw new Error(`Invalid insulation: ${resolved.insulation}`);
+  }
+  for (const [key, [min, max]] of Object.entries(PROFILE_LIMITS)) {
+    const value = resolved[key];
+    if (value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${key}: ${value}`);
+    }
+  }
+  if (resolved.efficiency !== null) {
+    const [min, max] = fuelKey ? getFuel(fuelKey).efficiencyRange : ANY_EFFICIENCY_RANGE;
+    const value = resolved.efficiency;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid efficiency: ${value} (${min}–${max}${fuelKey ? ` for ${fuelKey}` : ''})`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Heat loss factor (BTU per HDD) for a home profile.
+ *
+ * heatLossFactor = squareFeet × insulation BTU/sq-ft/HDD × setpoint adjustment
+ *
+ * @param {object} [profile] - { squareFeet, insulation, setpoint }
+ * @returns {number} BTU per HDD
+ */
+function heatLossFactorFor(profile = {}) {
+  const { squareFeet, insulation, setpoint } = resolveHomeProfile(profile);
+  const setpointFactor = Math.max(0.5, 1 + (setpoint - DEFAULT_SETPOINT_F) * SETPOINT_ADJUSTMENT_PER_DEGREE);
+  return squareFeet * INSULATION_FACTORS[insulation] * setpointFactor;
+}
+
+// Numeric 4th argument = heatLossFactor (V1.0.0 callers); object = home profile
+function demandInputs(home, fuelKey) {
+  if (home === undefined || home === null) return { heatLossFactor: DEFAULT_HEAT_LOSS_FACTOR, efficiency: null };
+  if (typeof home === 'number') return { heatLossFactor: home, efficiency: null };
+  return { heatLossFactor: heatLossFactorFor(home), efficiency: resolveHomeProfile(home, fuelKey).efficiency };
+}
+
 /**
  * Estimated annual heating cost using HDD-based demand model.
  *
@@ -108,11 +205,13 @@ function costPerMMBTU(fuelKey, pricePerUnit) {
  * @param {string} fuelKey - Key in FUELS
  * @param {number} pricePerUnit - Price per unit
  * @param {number} hdd - Heating degree days for the location
- * @param {number} [heatLossFactor=14000] - BTU per HDD (home-dependent)
+ * @param {number|object} [home=14000] - BTU per HDD, or a home profile
+ *   { squareFeet, insulation, setpoint, efficiency }
  * @returns {number} Estimated annual heating cost in dollars
  */
-function annualHeatingCost(fuelKey, pricePerUnit, hdd, heatLossFactor = DEFAULT_HEAT_LOSS_FACTOR) {
-  const costPerMM = costPerMMBTU(fuelKey, pricePerUnit);
+function annualHeatingCost(fuelKey, pricePerUnit, hdd, home = DEFAULT_HEAT_LOSS_FACTOR) {
+  const { heatLossFactor, efficiency } = demandInputs(home, fuelKey);
+  const costPerMM = costPerMMBTU(fuelKey, pricePerUnit, efficiency);
   const annualBTU = hdd * heatLossFactor;
   return (annualBTU / 1e6) * costPerMM;
 }
@@ -123,11 +222,11 @@ function annualHeatingCost(fuelKey, pricePerUnit, hdd, heatLossFactor = DEFAULT_
  * @param {string} fuelKey - Key in FUELS
  * @param {number} pricePerUnit - Price per unit
  * @param {number} hdd - Heating degree days for the location
- * @param {number} [heatLossFactor=14000] - BTU per HDD
+ * @param {number|object} [home=14000] - BTU per HDD, or a home profile
  * @returns {number} Estimated monthly cost during heating season
  */
-function monthlyHeatingCost(fuelKey, pricePerUnit, hdd, heatLossFactor = DEFAULT_HEAT_LOSS_FACTOR) {
-  return annualHeatingCost(fuelKey, pricePerUnit, hdd, heatLossFactor) / HEATING_MONTHS;
+function monthlyHeatingCost(fuelKey, pricePerUnit, hdd, home = DEFAULT_HEAT_LOSS_FACTOR) {
+  return annualHeatingCost(fuelKey, pricePerUnit, hdd, home) / HEATING_MONTHS;
 }
 
 /**
@@ -138,10 +237,11 @@ function monthlyHeatingCost(fuelKey, pricePerUnit, hdd, heatLossFactor = DEFAULT
  * @param {string} newFuelKey - Fuel to switch to
  * @param {object} prices - { [fuelKey]: pricePerUnit }
  * @param {number} hdd - Heating degree days
- * @param {number} [heatLossFactor=14000] - BTU per HDD
+ * @param {number|object} [home=14000] - BTU per HDD, or a home profile (its
+ *   efficiency describes the current system; the new one uses fuel defaults)
  * @returns {number|null} Years to break even, or null if switching costs more annually
  */
-function paybackYears(currentFuelKey, newFuelKey, prices, hdd, heatLossFactor = DEFAULT_HEAT_LOSS_FACTOR) {
+function paybackYears(currentFuelKey, newFuelKey, prices, hdd, home = DEFAULT_HEAT_LOSS_FACTOR) {
   const newFuel = FUELS[newFuelKey];
   if (!newFuel) throw new Error(`Unknown fuel: ${newFuelKey}`);
 
@@ -151,8 +251,9 @@ function paybackYears(currentFuelKey, newFuelKey, prices, hdd, heatLossFactor =
 
   if (installCost === 0) return 0;
 
-  const currentAnnual = annualHeatingCost(currentFuelKey, prices[currentFuelKey], hdd, heatLossFactor);
-  const newAnnual = annualHeatingCost(newFuelKey, prices[newFuelKey], hdd, heatLossFactor);
+  const newHome = home && typeof home === 'object' ? { ...home, efficiency: null } : home;
+  const currentAnnual = annualHeatingCost(currentFuelKey, prices[currentFuelKey], hdd, home);
+  const newAnnual = annualHeatingCost(newFuelKey, prices[newFuelKey], hdd, newHome);
   const annualSavings = currentAnnual - newAnnual;
 
   if (annualSavings <= 0) return null; // No savings — switching costs more
@@ -182,7 +283,11 @@ module.exports = {
   FUELS,
   DEFAULT_HEAT_LOSS_FACTOR,
   HEATING_MONTHS,
+  INSULATION_FACTORS,
+  DEFAULT_HOME_PROFILE,
   costPerMMBTU,
+  resolveHomeProfile,
+  heatLossFactorFor,
   annualHeatingCost,
   monthlyHeatingCost,
   paybackYears,
@@ -13,6 +13,8 @@ const {
   paybackYears,
   getFuel,
   fuelKeys,
+  resolveHomeProfile,
+  heatLossFactorFor,
 } = require('./fuel-config');
 
 let passed = 0;
@@ -121,6 +123,62 @@ const pbElecHP = paybackYears('electric-baseboard', 'heat-pump', {
 }, 5200);
 approx(pbElecHP, 3.2, 0.5, 'electric→heat pump payback ~3.2 years (big savings)');
 
+// --- Home profile ---
+
+console.log('\nHome profile:');
+
+assert(heatLossFactorFor({}) === 14000, 'default profile = 14,000 BTU/HDD', `got ${heatLossFactorFor({})}`);
+assert(annualHeatingCost('heating-oil', 3.72, 5200, {}) === oilAnnual, 'empty profile matches the V1.0 constant', '');
+
+// 1,500 sq ft × 5.5 (good) = 8,250 BTU/HDD
+assert(heatLossFactorFor({ squareFeet: 1500, insulation: 'good' }) === 8250, '1,500 sq ft, good insulation → 8,250 BTU/HDD', `got ${heatLossFactorFor({ squareFeet: 1500, insulation: 'good' })}`);
+
+// 72°F setpoint: +4° × 3% = 12% more demand
+approx(annualHeatingCost('heating-oil', 3.72, 5200, { setpoint: 72 }), oilAnnual * 1.12, 1, '72°F setpoint → +12%');
+
+// Old boiler at 70% AFUE: 0.85 / 0.70 ≈ 1.214× the default cost
+approx(annualHeatingCost('heating-oil', 3.72, 5200, { efficiency: 0.70 }), oilAnnual * (0.85 / 0.70), 1, '70% AFUE boiler costs more than 85% default');
+approx(costPerMMBTU('heat-pump', 0.24, 2.0), 0.24 / (2.0 * 3412 / 1e6), 0.01, 'efficiency overrides heat pump COP');
+
+// Payback: the profile's efficiency describes the oil boiler, not the heat pump
+const pbOld = paybackYears('heating-oil', 'heat-pump', prices, 5200, { efficiency: 0.70 });
+assert(pbOld < pb, 'inefficient oil boiler → faster heat pump payback', `${pbOld} vs ${pb}`);
+
+for (const [profile, label] of [
+  [{ insulation: 'none' }, 'insulation'],
+  [{ squareFeet: 50 }, 'squareFeet'],
+  [{ setpoint: 95 }, 'setpoint'],
+  [{ efficiency: Number('abc') }, 'efficiency'],
+  [{ efficiency: 7 }, 'efficiency'],
+]) {
+  try {
+    resolveHomeProfile(profile);
+    assert(false, `throws on invalid ${label}`, 'did not throw');
+  } catch (e) {
+    assert(e.message.startsWith(`Invalid ${label}`), `throws on invalid ${label}`, e.message);
+  }
+}
+
+// Efficiency is bounded per fuel: AFUE ≤ 1 for combustion, a COP range for heat pumps
+for (const [fuelKey, efficiency, ok, label] of [
+  ['heating-oil', 1.2, false, 'oil AFUE above 1 rejected'],
+  ['heating-oil', 3, false, 'COP-sized value rejected for oil'],
+  ['natural-gas', 0.97, true, 'condensing gas furnace accepted'],
+  ['heat-pump', 3.5, true, 'heat pump COP accepted'],
+  ['heat-pump', 0.8, false, 'heat pump COP below 1 rejected'],
+  ['electric-baseboard', 2, false, 'baseboard cannot beat resistance heat'],
+]) {
+  let threw = null;
+  try { resolveHomeProfile({ efficiency }, fuelKey); } catch (e) { threw = e.message; }
+  assert(ok ? threw === null : /^Invalid efficiency/.test(threw || ''), label, threw || 'accepted');
+}
+try {
+  annualHeatingCost('propane', 2.9, 5200, { efficiency: 2.5 });
+  assert(false, 'annual cost validates efficiency against its fuel', 'did not throw');
+} catch (e) {
+  assert(e.message.includes('for propane'), 'annual cost validates efficiency against its fuel', e.message);
+}
+
 // --- Edge cases ---
 
 console.log('\nEdge cases:');
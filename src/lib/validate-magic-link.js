@@ -4,20 +4,35 @@
  * Used by supplier-update.js and supplier-dashboard.js.
  * Single source of truth for token lookup, revocation check, and expiry check.
  *
+ * V3.11.0: Also accepts supplier team sessions (purpose 'supplier_session',
+ * see services/supplierAccounts.js). A session may open any listing its user
+ * has a role on — pass options.supplierId — and the result carries the role.
+ * A claim's magic link acts as its owner.
+ *
  * Returns uniform error messages to avoid leaking token state (exists vs expired vs revoked).
  * Exception: revoked tokens get a specific message since the supplier needs to know
  * their claim was removed (actionable info, not a security leak).
  */
 
-async function validateMagicLink(sequelize, token, logger) {
+const supplierAccounts = require('../services/supplierAccounts');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function validateMagicLink(sequelize, token, logger, options = {}) {
   if (!token) {
     return { valid: false, error: 'Invalid or expired link.', status: 'missing' };
   }
 
+  const requestedId = options.supplierId && UUID_PATTERN.test(options.supplierId) ? options.supplierId : null;
+  if (options.supplierId && !requestedId) {
+    return { valid: false, error: 'You don\'t have access to that listing.', status: 'forbidden' };
+  }
+
   const [rows] = await sequelize.query(`
     SELECT
       mlt.id as token_id,
-      mlt.supplier_id,
+      mlt.purpose,
+      s.id as supplier_id,
       mlt.expires_at,
       mlt.revoked_at,
       mlt.use_count,
@@ -28,13 +43,21 @@ async function validateMagicLink(sequelize, token, logger) {
       s.phone as supplier_phone,
       s.postal_codes_served IS NOT NULL as has_zips,
       s.verified,
-      sc.status as claim_status
+      sc.status as claim_status,
+      su.id as user_id,
+      su.email as user_email,
+      su.disabled_at as user_disabled_at
     FROM magic_link_tokens mlt
-    JOIN suppliers s ON mlt.supplier_id = s.id
+    JOIN suppliers s ON s.id = CASE
+      WHEN mlt.purpose = '${supplierAccounts.SESSION_PURPOSE}' AND CAST(:requestedId AS uuid) IS NOT NULL
+        THEN CAST(:requestedId AS uuid)
+      ELSE mlt.supplier_id
+    END
     LEFT JOIN supplier_claims sc ON sc.supplier_id = s.id AND sc.status = 'verified'
+    LEFT JOIN supplier_users su ON su.id = mlt.supplier_user_id
     WHERE mlt.token = :token
-      AND mlt.purpose = 'supplier_price_update'
-  `, { replacements: { token } });
+      AND mlt.purpose IN ('supplier_price_update', '${supplierAccounts.SESSION_PURPOSE}')
+  `, { replacements: { token, requestedId } });
 
   if (rows.length === 0) {
     logger?.warn('[MagicLink] Invalid token attempted');
@@ -51,6 +74,20 @@ async function validateMagicLink(sequelize, token, logger) {
     return { valid: false, error: 'Invalid or expired link.', status: 'expired' };
   }
 
+  // Magic links are the claimant's; a session's role depends on the listing
+  let role = 'owner';
+  if (t.purpose === supplierAccounts.SESSION_PURPOSE) {
+    if (t.user_disabled_at) {
+      return { valid: false, error: 'Invalid or expired link.', status: 'disabled' };
+    }
+    role = await supplierAccounts.roleFor(sequelize, t.user_id, t.supplier_id);
+    if (!role) {
+      return { valid: false, error: 'You don\'t have access to that listing.', status: 'forbidden' };
+    }
+  } else if (requestedId && requestedId !== t.supplier_id) {
+    return { valid: false, error: 'You don\'t have access to that listing.', status: 'forbidden' };
+  }
+
   return {
     valid: true,
     tokenId: t.token_id,
@@ -62,7 +99,11 @@ async function validateMagicLink(sequelize, token, logger) {
     supplierPhone: t.supplier_phone,
     hasZips: t.has_zips,
     claimStatus: t.claim_status,
-    useCount: t.use_count
+    useCount: t.use_count,
+    isSession: t.purpose === supplierAccounts.SESSION_PURPOSE,
+    userId: t.user_id || null,
+    userEmail: t.user_email || null,
+    role
   };
 }
 
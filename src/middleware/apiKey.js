@@ -0,0 +1,98 @@
+/**
+ * Partner API key middleware (V3.22.0).
+ *
+ * Mounted app-wide ahead of the global rate limiter. Only the partner routes
+ * in API_KEY_ROUTES look at a key; on those, a request presenting one via the
+ * X-API-Key header (or Authorization: Bearer hh_...) is:
+ *  - 401 if the key is malformed, unknown or revoked
+ *  - 403 if the key lacks the route's scope
+ *  - metered against the key's daily quota (ApiKeyService.meter) and 429'd
+ *    once it is used up. RateLimit-Limit / -Remaining / -Reset headers
+ *    describe the quota, not the per-IP limits
+ *  - tagged req.apiKey, which the global, supplier and heating-cost
+ *    limiters skip on — only once it has been metered. If metering fails the
+ *    request goes through untagged, under the anonymous per-IP limits
+ *
+ * No key → untouched: anonymous traffic (the app, the website) keeps the
+ * existing per-IP limits.
+ */
+const ApiKeyService = require('../services/ApiKeyService');
+
+const API_KEY_ROUTES = [
+  { pattern: /^\/api\/v1\/suppliers\/?$/, scope: 'suppliers' },
+  { pattern: /^\/api\/v1\/market\/summary\/?$/, scope: 'prices' },
+  { pattern: /^\/api\/zip\/[^/]+\/stats\/?$/, scope: 'prices' },
+  { pattern: /^\/api\/v1\/heating-cost\/?$/, scope: 'heating-cost' },
+];
+
+function scopeFor(path) {
+  const route = API_KEY_ROUTES.find(r => r.pattern.test(path));
+  return route ? route.scope : null;
+}
+
+function readApiKey(req) {
+  const header = req.headers && req.headers['x-api-key'];
+  if (header) return String(header).trim();
+  const authHeader = req.headers && req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer hh_')) return authHeader.slice(7).trim();
+  return null;
+}
+
+const apiKeyAuth = async (req, res, next) => {
+  const scope = scopeFor(req.path);
+  const presented = scope ? readApiKey(req) : null;
+  if (!presented) return next();
+
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+  if (!sequelize) {
+    return res.status(503).json({ error: 'API keys not available' });
+  }
+
+  const service = new ApiKeyService(sequelize, logger);
+
+  let key;
+  try {
+    key = await service.authenticate(presented);
+  } catch (error) {
+    logger?.error('[ApiKey] Lookup error:', error.message);
+    return res.status(503).json({ error: 'API keys not available' });
+  }
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+  if (!Array.isArray(key.scopes) || !key.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key does not have the '${scope}' scope` });
+  }
+
+  let quota;
+  try {
+    quota = await service.meter(key, scope);
+  } catch (error) {
+    // Don't take partners down with the meter, but don't let them skip every
+    // limit either: untagged, the request gets the anonymous per-IP limits
+    logger?.warn(`[ApiKey] Metering failed for ${key.key_prefix}, treating as anonymous:`, error.message);
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Limit': String(quota.limit),
+    'RateLimit-Remaining': String(quota.remaining),
+    'RateLimit-Reset': String(quota.resetSeconds)
+  });
+  if (!quota.allowed) {
+    res.set('Retry-After', String(quota.resetSeconds));
+    return res.status(429).json({
+      error: 'Daily API quota exceeded',
+      limit: quota.limit,
+      retryAfter: quota.resetSeconds
+    });
+  }
+  req.apiKey = key;
+  next();
+};
+
+module.exports = apiKeyAuth;
+module.exports.API_KEY_ROUTES = API_KEY_ROUTES;
+module.exports.scopeFor = scopeFor;
+module.exports.readApiKey = readApiKey;
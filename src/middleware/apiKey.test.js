@@ -0,0 +1,93 @@
+// src/middleware/apiKey.test.js
+// Partner API key middleware (V3.22.0): only the partner routes look at a
+// key; no key passes through untouched; bad key 401, wrong scope 403, over
+// quota 429 with RateLimit headers; metered requests are tagged req.apiKey so
+// the IP limiters skip them, unmetered ones (meter outage) are not.
+// Real ApiKeyService, fake sequelize.
+// Run: node src/middleware/apiKey.test.js
+
+const apiKeyAuth = require('./apiKey');
+const ApiKeyService = require('../services/ApiKeyService');
+let passed = 0, failed = 0;
+function pass(l){ passed++; console.log(`  ✓ ${l}`); }
+function fail(l,d){ failed++; console.error(`  ✗ ${l} — ${d}`); }
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+
+const quiet = { info(){}, warn(){}, error(){} };
+const VALID = 'hh_' + 'v'.repeat(32);
+const KEY = { id: 'k1', name: 'Fuel Fund', key_prefix: 'hh_vvvvvvvv', scopes: ['prices', 'heating-cost'], daily_quota: 2 };
+
+function setup({ used = 0, meterError = false } = {}){
+  ApiKeyService.clearCache();
+  const calls = [];
+  const db = { calls, query: async (sql, opts = {}) => {
+    calls.push({ sql, opts });
+    if (/UPDATE api_keys SET last_used_at/.test(sql)) return [opts.replacements.keyHash === ApiKeyService.hashKey(VALID) ? [KEY] : []];
+    if (/INSERT INTO api_key_usage/.test(sql)) {
+      if (meterError) throw new Error('connection reset');
+      if (used >= opts.replacements.limit) return [[]];
+      return [[{ requests: ++used }]];
+    }
+    return [[]];
+  } };
+  const call = async (path, headers = {}) => {
+    let status = null, payload = null, nexted = false;
+    const set = {};
+    const req = { path, headers, app: { locals: { sequelize: db, logger: quiet } } };
+    const res = {
+      status(c){ status = c; return this; },
+      json(p){ payload = p; return this; },
+      set(k, v){ Object.assign(set, typeof k === 'object' ? k : { [k]: v }); return this; }
+    };
+    await apiKeyAuth(req, res, () => { nexted = true; });
+    return { status, payload, nexted, headers: set, apiKey: req.apiKey };
+  };
+  return { db, call };
+}
+
+(async () => {
+  console.log('\n=== routing ===');
+  eq(['/api/v1/suppliers', '/api/v1/market/summary', '/api/zip/105/stats', '/api/v1/heating-cost/', '/api/v1/suppliers/version', '/api/admin/jobs'].map(apiKeyAuth.scopeFor),
+    ['suppliers', 'prices', 'prices', 'heating-cost', null, null], 'scope per partner route, none elsewhere');
+  eq([apiKeyAuth.readApiKey({ headers: { 'x-api-key': ` ${VALID} ` } }), apiKeyAuth.readApiKey({ headers: { authorization: `Bearer ${VALID}` } }),
+    apiKeyAuth.readApiKey({ headers: { authorization: 'Bearer admin-token' } })], [VALID, VALID, null], 'X-API-Key or Bearer hh_ key; other bearer tokens ignored');
+
+  { const t = setup();
+    let r = await t.call('/api/v1/market/summary');
+    eq([r.nexted, r.status, r.apiKey, t.db.calls.length], [true, null, undefined, 0], 'no key → anonymous, untouched');
+    r = await t.call('/api/admin/jobs', { 'x-api-key': 'garbage' });
+    eq([r.nexted, t.db.calls.length], [true, 0], 'key on a non-partner route ignored'); }
+
+  console.log('\n=== auth ===');
+  { const t = setup();
+    let r = await t.call('/api/v1/market/summary', { 'x-api-key': 'garbage' });
+    eq([r.status, r.nexted], [401, false], 'malformed key → 401');
+    r = await t.call('/api/v1/market/summary', { 'x-api-key': 'hh_' + 'x'.repeat(32) });
+    eq([r.status, r.payload.error], [401, 'Invalid or revoked API key'], 'unknown or revoked key → 401');
+    r = await t.call('/api/v1/suppliers', { 'x-api-key': VALID });
+    eq([r.status, r.payload.error], [403, "API key does not have the 'suppliers' scope"], 'missing scope → 403');
+    eq(t.db.calls.some(c => /api_key_usage/.test(c.sql)), false, 'refused requests are not metered'); }
+
+  console.log('\n=== quota ===');
+  { const t = setup();
+    let r = await t.call('/api/zip/105/stats', { 'x-api-key': VALID });
+    eq([r.nexted, r.apiKey.id, r.headers['RateLimit-Limit'], r.headers['RateLimit-Remaining']], [true, 'k1', '2', '1'], 'metered, tagged, quota headers');
+    eq(t.db.calls.find(c => /INSERT INTO api_key_usage/.test(c.sql)).opts.replacements.scope, 'prices', 'counted under the route scope');
+    r = await t.call('/api/v1/heating-cost', { authorization: `Bearer ${VALID}` });
+    eq([r.nexted, r.headers['RateLimit-Remaining']], [true, '0'], 'quota shared across scopes');
+    r = await t.call('/api/v1/heating-cost', { 'x-api-key': VALID });
+    eq([r.status, r.nexted, r.payload.error, r.headers['Retry-After'] === r.headers['RateLimit-Reset']],
+      [429, false, 'Daily API quota exceeded', true], 'over quota → 429 with Retry-After'); }
+
+  { const t = setup({ meterError: true });
+    const r = await t.call('/api/v1/market/summary', { 'x-api-key': VALID });
+    eq([r.nexted, r.status, r.apiKey], [true, null, undefined], 'metering outage → untagged, so the per-IP limiters apply'); }
+
+  { let status = null;
+    const req = { path: '/api/v1/heating-cost', headers: { 'x-api-key': VALID }, app: { locals: { logger: quiet } } };
+    await apiKeyAuth(req, { status(c){ status = c; return this; }, json(){ return this; } }, () => {});
+    eq(status, 503, 'no database → 503'); }
+
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
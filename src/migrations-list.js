@@ -179,6 +179,30 @@ const migrations = [
   { slug: '178-add-courtesy-oil', label: 'Courtesy Oil (Dunbar PA) — scrapable COD, operator-cleared 2026-06-12 ("Please call to schedule a delivery"). Tiered cash prices on /pricing/ (100-299 gal: oil $4.65, K1 $5.85). Identity only (post-100); coverage = Fayette+Greene PA (74 ZIPs incl Uniontown 15401) in scrape-config.json (enabled, direct, pricePath /pricing/, kerosene fuel).' },
   { slug: '179-add-top-oil', label: 'Top Oil Company (Norvelt PA) — scrapable COD, operator-cleared 2026-06-12 (posts tiered cash prices; "Order Today" / office pickup, no contract). 150-249 gal: oil $4.59, kerosene 150+: $4.70. Identity only (post-100); coverage = Westmoreland PA (76 ZIPs incl Greensburg 15601) in scrape-config.json (enabled, direct, pricePath /pricing, kerosene fuel).' },
   { slug: '180-disable-stale-phone-only-display', label: 'Stop displaying stale prices from 6 stuck phone_only suppliers (libra-fuels/sea-land-energy/absolute-oil-company/corporal-heating-llc/county-line-fuel/s-s-fuel) via allow_price_display=false. They had stale Apr-May prices + failing scrapes (5-9 fails), recurring daily in the 6AM price-review queue; ScrapeConfigSync only turns display ON, so a migration does the OFF. Companion: scrape-config sealandenergymaine.com enabled:true->false (only one still enabled). Re-enable libra Oct-Apr (seasonal Droplet).' },
+  { slug: '181-create-scrape-regex-repairs', label: 'scrape_regex_repairs table — regex repairs accepted in the price-review portal; active rows override priceRegex/sectionStart per domain on both scrape paths until scrape-config.json catches up (V3.4.0).' },
+  { slug: '182-create-device-registrations', label: 'anonymous_users + device_registrations tables — /api/auth registrations persisted instead of in-memory Maps (survive deploys); user_locations.device_id_hash for right-to-deletion cascade (V3.5.0).' },
+  { slug: '183-create-ml-consumption-tables', label: 'training_queue + predictions + model_deployments (from ml-schema.sql) — degree-day consumption model behind /api/ml: tank readings/deliveries queued by /data/submit, served predictions logged, trained regional priors versioned with one active row per model_type (V3.6.0).' },
+  { slug: '184-create-prediction-feedback', label: 'prediction_feedback + model_metrics — app-reported run-out/delivery dates scored against served predictions; nightly forecast-accuracy cron writes MAE/bias per model version and region for the dashboard. predictions.region + predicted_reorder_days (V3.6.1).' },
+  { slug: '185-create-weather-daily', label: 'weather_daily — daily high/low/HDD per county (hdd-by-county.json keys) from NOAA GHCN-Daily CSV imports + live OpenWeather lookups; backs GET /api/weather/degree-days/:zip, consumption-model intervals and Command Center weather normalization. Copies the Hartford-only weather_history rows (V3.7.0).' },
+  { slug: '186-create-scheduled-supplier-prices', label: 'scheduled_supplier_prices — supplier prices with a future effective_at and/or explicit valid_until (magic link + SMS "starting Monday 6am" / "until Friday"); the scheduled-prices cron publishes due rows into supplier_prices and retires them at valid_until (V3.9.0).' },
+  { slug: '187-create-supplier-edit-proposals', label: 'supplier_edit_proposals — claimed suppliers propose hours / delivery model / fuels / minimum gallons / service-ZIP edits from the magic-link dashboard; admin approves from a diff queue. ZIP edits become a scrape-config.json patch (ScrapeConfigSync owns postal_codes_served), never a direct write (V3.10.0).' },
+  { slug: '188-create-supplier-users', label: 'Supplier team accounts — supplier_users / supplier_user_roles (owner, pricing, viewer; include_branches for multi-branch configs) / supplier_login_codes (email one-time codes); sessions are magic_link_tokens purpose supplier_session. entered_by_user_id on supplier_prices + scheduled_supplier_prices, submitted_by_user_id on supplier_edit_proposals. Backfills verified claimants as owners (V3.11.0).' },
+  { slug: '189-add-quote-bids', label: 'Quote bid mode — quote_requests.bid_mode / accepted_bid_id / accepted_at / bids_notified_at; quote_request_suppliers.bid_price_per_gallon / bid_delivery_window / bid_source / bid_at / bid_outcome. Suppliers reply with a firm price + delivery window, the consumer accepts one on /v/:requestId (V3.12.0).' },
+  { slug: '190-add-quote-consumer-rating', label: 'Quote outcome analytics — quote_requests.consumer_rating (1–5, asked after a "contacted" outcome reply) + consumer_rating_at; index for per-supplier lead scorecards and repeat-ignorer demotion (V3.13.0).' },
+  { slug: '191-create-group-buys', label: 'Group orders — group_buys (one open pool per ZIP + delivery week, gallon threshold, open → bidding → awarded / expired), group_buy_participants (households, counted once their SMS link is tapped), group_buy_suppliers (invites + pooled per-gallon bids; lowest wins when bidding closes) (V3.14.0).' },
+  { slug: '192-add-price-alert-rules', label: 'Price alert rules — price_alert_subscribers.rule_type (below_price / pct_drop / lowest_in_weeks / supplier_watch), fuel_type, pct_drop, lookback_weeks, supplier_id, delivery (instant / weekly digest); threshold_price optional; unique per email + ZIP + fuel + rule (V3.15.0).' },
+  { slug: '193-add-price-alert-channels', label: 'Price alert channels — price_alert_subscribers.email_enabled, sms_phone_last10 / sms_confirmed_at / sms_opted_out_at (YES to confirm, STOP on the lead number), push_subscription_id; price_alert_push_subscriptions (web push endpoints); price_alert_deliveries (per-channel send log) (V3.16.0).' },
+  { slug: '194-add-tank-reminders', label: 'Tank run-out reminders — tank_reminders (per contributorHash: tank size, threshold_pct, email / push_subscription_id, last delivery + estimated gallons, nudges per delivery cycle); tank_reminder_deliveries (per-channel send log) (V3.17.0).' },
+  { slug: '195-create-notification-outbox', label: 'Notification dispatcher — notification_outbox (one row per email/SMS: channel, stream, recipient, payload, queued / sent / retrying / failed / suppressed, attempts + next_attempt_at backoff, unique idempotency_key); notification_suppressions (per channel + address + stream, \'*\' for bounces/complaints), backfilled from supplier and price alert opt-outs (V3.18.0).' },
+  { slug: '196-create-jobs', label: 'Durable job queue — jobs (name, payload, queued / running / succeeded / failed, run_at for delayed runs, attempts + exponential backoff, unique_key, locked_until visibility timeout); job_schedules (cron expression + next_run_at per recurring job, paused flag); job_heartbeats view mapping job rows onto the cron_heartbeats shape for CronMonitor (V3.19.0).' },
+  { slug: '197-add-job-console', label: 'Admin job console — jobs.log (per-run output captured from the job-scoped logger); job_heartbeats view excludes dry runs (V3.20.0).' },
+  { slug: '198-create-ops-alerts', label: 'Ops alerting — ops_alerts (one row per incident from the Command Center anomaly and scraper health detectors: rule, fingerprint unique while unresolved, severity, open / acknowledged / resolved, occurrences, escalation_level, first/last seen, ack and resolve times) (V3.21.0).' },
+  { slug: '199-create-api-keys', label: 'Public developer API — api_keys (partner name, contact, SHA-256 key_hash + display key_prefix, scopes prices / suppliers / heating-cost, daily_quota, last used, revoked) and api_key_usage (per key per UTC day: requests, rejected over quota, by_scope counts) (V3.22.0).' },
+  { slug: '200-add-regex-repair-branch', label: 'scrape_regex_repairs.branch_slug — accepted regex repairs keyed by domain + branch slug so a repair on one branch of a multi-branch scrape-config entry no longer overrides the others; existing multi-branch rows backfilled from supplier_id (V3.22.1).' },
+  { slug: '201-add-weather-daily-conditions', label: 'weather_daily.conditions — OpenWeather summary from the day\'s latest live lookup, returned again per day by the weather/clicks correlation; Hartford rows backfilled from weather_history (V3.22.2).' },
+  { slug: '202-add-supplier-price-tiers', label: 'supplier_prices.tiers + scheduled_supplier_prices.tiers — a multi-tier SMS price is one listing-tier row carrying the full [{ minGallons, price }] ladder, so latest-row readers no longer list whichever tier was inserted last (V3.22.3).' },
+  { slug: '203-add-ml-user-cascade', label: 'training_queue / predictions / prediction_feedback user_id → anonymous_users ON DELETE CASCADE, so account deletion and the inactive-user cleanup take per-user ML rows with them; orphaned rows removed (V3.22.4).' },
+  { slug: '204-add-tank-reminder-email-confirm', label: 'tank_reminders.email_confirmed_at + email_confirm_token — an opted-in email gets a confirmation link and receives reminders only once confirmed; a changed email is unconfirmed again (V3.22.5).' },
 ];
 
 function loadMigrationModule(m) {
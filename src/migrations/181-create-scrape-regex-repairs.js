@@ -0,0 +1,33 @@
+// src/migrations/181-create-scrape-regex-repairs.js
+// Regex repairs accepted from the price-review portal (V3.4.0). An 'active' row
+// overrides priceRegex/sectionStart for its scrape-config domain on both scrape
+// paths until scrape-config.json carries the same regex (see regexRepair.js).
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS scrape_regex_repairs (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      supplier_id uuid,
+      domain text NOT NULL,
+      price_regex text NOT NULL,
+      section_start text,
+      pattern text,
+      previous_regex text,
+      previous_section_start text,
+      last_good_price numeric,
+      extracted_price numeric,
+      strategy text,
+      status text NOT NULL DEFAULT 'active',
+      accepted_by text,
+      accepted_at timestamptz NOT NULL DEFAULT NOW(),
+      superseded_at timestamptz
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scrape_regex_repairs_active
+      ON scrape_regex_repairs (domain) WHERE status = 'active'
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS scrape_regex_repairs`);
+}
+module.exports = { up, down };
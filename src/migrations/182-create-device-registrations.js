@@ -0,0 +1,57 @@
+// src/migrations/182-create-device-registrations.js
+// Persist anonymous auth (V3.5.0). /api/auth kept users and devices in memory,
+// so every deploy logged out every iOS device and reset /api/auth/stats.
+//
+// user_locations is one row per ZIP with no link back to who searched it;
+// device_id_hash (same truncated SHA-256 as app_events) records the most
+// recent device so DELETE /api/auth/account can remove rows it alone created.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS anonymous_users (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_type text NOT NULL DEFAULT 'anonymous',
+      email text,
+      role text,
+      is_active boolean NOT NULL DEFAULT true,
+      privacy_settings jsonb NOT NULL DEFAULT '{}',
+      created_at timestamptz NOT NULL DEFAULT NOW(),
+      last_active_at timestamptz NOT NULL DEFAULT NOW(),
+      last_login_at timestamptz
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_anonymous_users_last_active
+      ON anonymous_users (last_active_at)
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS device_registrations (
+      device_id text PRIMARY KEY,
+      user_id uuid NOT NULL REFERENCES anonymous_users(id) ON DELETE CASCADE,
+      device_model text,
+      os_version text,
+      app_version text,
+      is_admin_device boolean NOT NULL DEFAULT false,
+      is_active boolean NOT NULL DEFAULT true,
+      registered_at timestamptz NOT NULL DEFAULT NOW(),
+      last_seen_at timestamptz NOT NULL DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_device_registrations_user
+      ON device_registrations (user_id)
+  `);
+  await sequelize.query(`
+    ALTER TABLE user_locations ADD COLUMN IF NOT EXISTS device_id_hash VARCHAR(64)
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_user_locations_device_id_hash
+      ON user_locations (device_id_hash) WHERE device_id_hash IS NOT NULL
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_user_locations_device_id_hash`);
+  await sequelize.query(`ALTER TABLE user_locations DROP COLUMN IF EXISTS device_id_hash`);
+  await sequelize.query(`DROP TABLE IF EXISTS device_registrations`);
+  await sequelize.query(`DROP TABLE IF EXISTS anonymous_users`);
+}
+module.exports = { up, down };
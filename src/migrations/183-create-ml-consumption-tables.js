@@ -0,0 +1,75 @@
+// src/migrations/183-create-ml-consumption-tables.js
+// Degree-day consumption model (V3.6.0). Tables as specified in
+// src/models/ml-schema.sql, which was never applied:
+//   training_queue     tank readings + deliveries from POST /api/ml/data/submit
+//   predictions        every served POST /api/ml/predictions/consumption
+//   model_deployments  trained priors (scripts/train-consumption-model.js); one active per model_type
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS training_queue (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id uuid,
+      data_type varchar(50),
+      data_payload jsonb NOT NULL,
+      processed boolean DEFAULT false,
+      processed_at timestamptz,
+      error_message text,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_training_queue_user
+      ON training_queue (user_id, created_at)
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_training_queue_processed
+      ON training_queue (processed, created_at)
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS predictions (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id uuid NOT NULL,
+      prediction_date timestamptz NOT NULL,
+      predicted_days_left integer,
+      predicted_daily_usage decimal(10,2),
+      predicted_runout_date date,
+      confidence_score decimal(3,2),
+      model_version varchar(40),
+      model_type varchar(50),
+      actual_days_left integer,
+      actual_usage decimal(10,2),
+      accuracy_score decimal(3,2),
+      factors jsonb,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_predictions_user_date
+      ON predictions (user_id, prediction_date DESC)
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS model_deployments (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      model_version varchar(40) UNIQUE,
+      model_type varchar(50),
+      deployment_date timestamptz NOT NULL,
+      is_active boolean DEFAULT false,
+      model_path varchar(255),
+      model_size_mb decimal(10,2),
+      training_metrics jsonb,
+      validation_metrics jsonb,
+      hyperparameters jsonb,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_model_deployments_active
+      ON model_deployments (model_type) WHERE is_active = true
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS model_deployments`);
+  await sequelize.query(`DROP TABLE IF EXISTS predictions`);
+  await sequelize.query(`DROP TABLE IF EXISTS training_queue`);
+}
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// src/migrations/184-create-prediction-feedback.js
+// Forecast accuracy loop (V3.6.1). Tables from src/models/ml-schema.sql, reshaped
+// for how they're actually written:
+//   prediction_feedback  actual run-out / delivery dates the app reports against
+//                        a served prediction (one row per prediction + event type)
+//   model_metrics        nightly MAE + bias (days) per model version and region
+// predictions gains region (state) and predicted_reorder_days so feedback can
+// be scored without re-deriving them from factors.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE predictions
+      ADD COLUMN IF NOT EXISTS region varchar(20),
+      ADD COLUMN IF NOT EXISTS predicted_reorder_days integer
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS prediction_feedback (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      prediction_id uuid NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+      user_id uuid NOT NULL,
+      feedback_type varchar(50) NOT NULL,
+      actual_date date NOT NULL,
+      actual_outcome decimal(10,2),
+      user_comments text,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_prediction_feedback_event
+      ON prediction_feedback (prediction_id, feedback_type)
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_prediction_feedback_created
+      ON prediction_feedback (created_at)
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS model_metrics (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      model_version varchar(40) NOT NULL,
+      model_type varchar(50) NOT NULL,
+      region varchar(20) NOT NULL,
+      metric_type varchar(50) NOT NULL,
+      metric_value decimal(10,4),
+      evaluation_date date NOT NULL,
+      data_points integer,
+      training_duration_seconds integer,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_model_metrics_daily
+      ON model_metrics (model_version, model_type, region, metric_type, evaluation_date)
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS model_metrics`);
+  await sequelize.query(`DROP TABLE IF EXISTS prediction_feedback`);
+  await sequelize.query(`
+    ALTER TABLE predictions
+      DROP COLUMN IF EXISTS predicted_reorder_days,
+      DROP COLUMN IF EXISTS region
+  `);
+}
+module.exports = { up, down };
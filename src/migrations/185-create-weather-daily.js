@@ -0,0 +1,48 @@
+// src/migrations/185-create-weather-daily.js
+// Daily weather per location (V3.7.0) — replaces the single-location
+// weather_history table (Hartford only, written by UnifiedAnalytics) as the
+// source for accumulated HDD.
+//   location_key  '<STATE>:<County>' matching hdd-by-county.json, or 'zip3:<prefix>'
+//                 for ZIPs outside us-zip-lookup.json
+//   source        'noaa' (GHCN-Daily CSV import — authoritative) or 'openweather'
+//                 (running min/max from live lookups, overwritten by a later import)
+// Existing weather_history rows are copied in as CT:Hartford / openweather.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS weather_daily (
+      location_key varchar(60) NOT NULL,
+      date date NOT NULL,
+      temp_high numeric(5,2),
+      temp_low numeric(5,2),
+      temp_avg numeric(5,2),
+      hdd numeric(6,2),
+      source varchar(20) NOT NULL,
+      station_id varchar(20),
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW(),
+      PRIMARY KEY (location_key, date)
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_weather_daily_date
+      ON weather_daily (date)
+  `);
+  const [legacy] = await sequelize.query(`
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'weather_history'
+  `);
+  if (legacy.length > 0) {
+    await sequelize.query(`
+      INSERT INTO weather_daily (location_key, date, temp_high, temp_low, temp_avg, hdd, source)
+      SELECT 'CT:Hartford', date, temp_high, temp_low, temp_avg,
+             GREATEST(0, 65 - COALESCE((temp_high + temp_low) / 2, temp_avg)),
+             'openweather'
+      FROM weather_history
+      WHERE temp_avg IS NOT NULL OR (temp_high IS NOT NULL AND temp_low IS NOT NULL)
+      ON CONFLICT (location_key, date) DO NOTHING
+    `);
+  }
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS weather_daily`);
+}
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+// src/migrations/186-create-scheduled-supplier-prices.js
+// Supplier-scheduled prices (V3.9.0) — a price that takes effect later
+// ("3.29 starting Monday 6am") and/or stops at an explicit valid-until.
+//   status  scheduled → published (row inserted into supplier_prices at
+//           effective_at) → retired (that row set is_valid = false at
+//           valid_until); cancelled by the supplier before publishing;
+//           expired when valid_until passed before it was ever published
+//   source_type  'supplier_direct' (magic link) or 'supplier_sms'
+// The scheduled-prices cron publishes and retires; supplier_prices itself
+// never holds a future-dated row.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_supplier_prices (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      supplier_id uuid NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+      fuel_type varchar(20) NOT NULL DEFAULT 'heating_oil',
+      price_per_gallon numeric(6,3) NOT NULL,
+      min_gallons integer NOT NULL DEFAULT 100,
+      effective_at timestamptz NOT NULL,
+      valid_until timestamptz,
+      source_type varchar(20) NOT NULL,
+      notes text,
+      status varchar(20) NOT NULL DEFAULT 'scheduled',
+      supplier_price_id uuid,
+      published_at timestamptz,
+      retired_at timestamptz,
+      cancelled_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW(),
+      CHECK (valid_until IS NULL OR valid_until > effective_at)
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scheduled_prices_due
+      ON scheduled_supplier_prices (effective_at) WHERE status = 'scheduled'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scheduled_prices_retire
+      ON scheduled_supplier_prices (valid_until) WHERE status = 'published'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scheduled_prices_supplier
+      ON scheduled_supplier_prices (supplier_id, status)
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS scheduled_supplier_prices`);
+}
+module.exports = { up, down };
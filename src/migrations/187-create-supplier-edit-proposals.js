@@ -0,0 +1,41 @@
+// src/migrations/187-create-supplier-edit-proposals.js
+// Supplier self-service profile edits (V3.10.0) — a claimed supplier proposes
+// changes to hours (021), delivery model (056), fuels, minimum gallons and
+// service ZIPs from the magic-link dashboard; an admin approves or rejects.
+//   changes       { column: { from, to } } — the diff at submission time
+//   status        pending → approved | rejected; superseded when the
+//                 supplier submits a newer proposal before review
+//   config_patch  service-ZIP changes are never written to suppliers — on
+//                 approval they become a scrape-config.json patch for an
+//                 operator to commit, and ScrapeConfigSync applies it
+//                 (ScrapeConfigSync owns coverage from migration 100 on)
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS supplier_edit_proposals (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      supplier_id uuid NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+      changes jsonb NOT NULL,
+      status varchar(20) NOT NULL DEFAULT 'pending',
+      token_id uuid,
+      submitted_ip varchar(64),
+      reviewed_by varchar(100),
+      reviewed_at timestamptz,
+      review_notes text,
+      config_patch jsonb,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_supplier_edit_proposals_queue
+      ON supplier_edit_proposals (created_at) WHERE status = 'pending'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_supplier_edit_proposals_supplier
+      ON supplier_edit_proposals (supplier_id, status)
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS supplier_edit_proposals`);
+}
+module.exports = { up, down };
@@ -0,0 +1,112 @@
+// src/migrations/188-create-supplier-users.js
+// Supplier team accounts (V3.11.0) — several logins per listing instead of
+// one shared magic link.
+//   supplier_users        one row per person (email stored lowercase)
+//   supplier_user_roles   owner | pricing | viewer per supplier;
+//                         include_branches extends the role to sibling
+//                         branches of a multi-branch scrape-config entry
+//   supplier_login_codes  6-digit one-time codes (sha256 only), 10-minute life
+// Sessions are magic_link_tokens rows with purpose 'supplier_session' and
+// supplier_user_id set. entered_by_user_id / submitted_by_user_id record who
+// made each price change or profile proposal (NULL for SMS and legacy links).
+// Backfill: every verified claimant becomes owner of the listing they claimed,
+// and their existing magic link is attributed to them.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS supplier_users (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      email varchar(255) NOT NULL UNIQUE,
+      name varchar(100),
+      last_login_at timestamptz,
+      disabled_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS supplier_user_roles (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      supplier_user_id uuid NOT NULL REFERENCES supplier_users(id) ON DELETE CASCADE,
+      supplier_id uuid NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+      role varchar(20) NOT NULL CHECK (role IN ('owner', 'pricing', 'viewer')),
+      include_branches boolean NOT NULL DEFAULT false,
+      invited_by uuid REFERENCES supplier_users(id) ON DELETE SET NULL,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW(),
+      UNIQUE (supplier_user_id, supplier_id)
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_supplier_user_roles_supplier
+      ON supplier_user_roles (supplier_id)
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS supplier_login_codes (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      supplier_user_id uuid NOT NULL REFERENCES supplier_users(id) ON DELETE CASCADE,
+      code_hash varchar(64) NOT NULL,
+      expires_at timestamptz NOT NULL,
+      attempts integer NOT NULL DEFAULT 0,
+      consumed_at timestamptz,
+      ip_address varchar(45),
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_supplier_login_codes_user
+      ON supplier_login_codes (supplier_user_id, created_at)
+  `);
+
+  await sequelize.query(`
+    ALTER TABLE magic_link_tokens
+      ADD COLUMN IF NOT EXISTS supplier_user_id uuid REFERENCES supplier_users(id) ON DELETE CASCADE
+  `);
+  await sequelize.query(`
+    ALTER TABLE supplier_prices
+      ADD COLUMN IF NOT EXISTS entered_by_user_id uuid REFERENCES supplier_users(id) ON DELETE SET NULL
+  `);
+  await sequelize.query(`
+    ALTER TABLE scheduled_supplier_prices
+      ADD COLUMN IF NOT EXISTS entered_by_user_id uuid REFERENCES supplier_users(id) ON DELETE SET NULL
+  `);
+  await sequelize.query(`
+    ALTER TABLE supplier_edit_proposals
+      ADD COLUMN IF NOT EXISTS submitted_by_user_id uuid REFERENCES supplier_users(id) ON DELETE SET NULL
+  `);
+
+  await sequelize.query(`
+    INSERT INTO supplier_users (email, name)
+    SELECT DISTINCT ON (LOWER(claimant_email)) LOWER(claimant_email), claimant_name
+    FROM supplier_claims
+    WHERE status = 'verified' AND claimant_email IS NOT NULL
+    ORDER BY LOWER(claimant_email), verified_at DESC
+    ON CONFLICT (email) DO NOTHING
+  `);
+  await sequelize.query(`
+    INSERT INTO supplier_user_roles (supplier_user_id, supplier_id, role, include_branches)
+    SELECT su.id, sc.supplier_id, 'owner', true
+    FROM supplier_claims sc
+    JOIN supplier_users su ON su.email = LOWER(sc.claimant_email)
+    WHERE sc.status = 'verified'
+    ON CONFLICT (supplier_user_id, supplier_id) DO NOTHING
+  `);
+  await sequelize.query(`
+    UPDATE magic_link_tokens mlt
+    SET supplier_user_id = su.id
+    FROM suppliers s
+    JOIN supplier_users su ON su.email = LOWER(s.claimed_by_email)
+    WHERE s.id = mlt.supplier_id
+      AND mlt.purpose = 'supplier_price_update'
+      AND mlt.supplier_user_id IS NULL
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`ALTER TABLE supplier_edit_proposals DROP COLUMN IF EXISTS submitted_by_user_id`);
+  await sequelize.query(`ALTER TABLE scheduled_supplier_prices DROP COLUMN IF EXISTS entered_by_user_id`);
+  await sequelize.query(`ALTER TABLE supplier_prices DROP COLUMN IF EXISTS entered_by_user_id`);
+  await sequelize.query(`ALTER TABLE magic_link_tokens DROP COLUMN IF EXISTS supplier_user_id`);
+  await sequelize.query(`DROP TABLE IF EXISTS supplier_login_codes`);
+  await sequelize.query(`DROP TABLE IF EXISTS supplier_user_roles`);
+  await sequelize.query(`DROP TABLE IF EXISTS supplier_users`);
+}
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// src/migrations/189-add-quote-bids.js
+// Quote bid mode (V3.12.0) — instead of phoning the consumer, each notified
+// supplier replies with a firm per-gallon price and a delivery window (lead
+// SMS "BID 3.49 Thursday" or the /r/:token form). The consumer compares bids
+// on /v/:requestId and accepts one; only the winner gets their phone number.
+//   quote_requests.bid_mode            consumer opted into bids on the form
+//   quote_requests.accepted_bid_id     the quote_request_suppliers row chosen
+//   quote_requests.bids_notified_at    consumer texted about the first bid
+//   quote_request_suppliers.bid_*      the supplier's bid; bid_outcome is
+//                                      won | lost | closed (never bid) once
+//                                      the consumer accepts
+// Bid history feeds _rotateWithinTiers (suppliers who bid and win move up
+// within their match tier; suppliers who ignore bid invites move down).
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE quote_requests
+      ADD COLUMN IF NOT EXISTS bid_mode boolean NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS accepted_bid_id uuid REFERENCES quote_request_suppliers(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS accepted_at timestamptz,
+      ADD COLUMN IF NOT EXISTS bids_notified_at timestamptz
+  `);
+  await sequelize.query(`
+    ALTER TABLE quote_request_suppliers
+      ADD COLUMN IF NOT EXISTS bid_price_per_gallon numeric(5,3),
+      ADD COLUMN IF NOT EXISTS bid_delivery_window varchar(60),
+      ADD COLUMN IF NOT EXISTS bid_source varchar(10),
+      ADD COLUMN IF NOT EXISTS bid_at timestamptz,
+      ADD COLUMN IF NOT EXISTS bid_outcome varchar(10),
+      ADD COLUMN IF NOT EXISTS bid_outcome_at timestamptz
+  `);
+  // Rotation stats: bid invites per supplier over the last 90 days
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_qrs_supplier_bids
+    ON quote_request_suppliers(supplier_id, created_at)
+    WHERE sms_sent_at IS NOT NULL
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_qrs_supplier_bids`);
+  await sequelize.query(`
+    ALTER TABLE quote_requests
+      DROP COLUMN IF EXISTS bids_notified_at,
+      DROP COLUMN IF EXISTS accepted_at,
+      DROP COLUMN IF EXISTS accepted_bid_id,
+      DROP COLUMN IF EXISTS bid_mode
+  `);
+  await sequelize.query(`
+    ALTER TABLE quote_request_suppliers
+      DROP COLUMN IF EXISTS bid_outcome_at,
+      DROP COLUMN IF EXISTS bid_outcome,
+      DROP COLUMN IF EXISTS bid_at,
+      DROP COLUMN IF EXISTS bid_source,
+      DROP COLUMN IF EXISTS bid_delivery_window,
+      DROP COLUMN IF EXISTS bid_price_per_gallon
+  `);
+}
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// src/migrations/190-add-quote-consumer-rating.js
+// Quote outcome analytics (V3.13.0) — after a consumer replies "1" (a
+// supplier contacted them) to the outcome check, we ask for a 1–5 rating.
+// The rating is credited to the accepted bid in bid mode, otherwise to the
+// suppliers who confirmed they called (see services/quoteOutcomes.js).
+// Also indexes the per-supplier scorecard / repeat-ignorer scans.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE quote_requests
+      ADD COLUMN IF NOT EXISTS consumer_rating smallint CHECK (consumer_rating BETWEEN 1 AND 5),
+      ADD COLUMN IF NOT EXISTS consumer_rating_at timestamptz
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_qrs_supplier_sent
+    ON quote_request_suppliers(supplier_id, sms_sent_at DESC)
+    WHERE sms_sent_at IS NOT NULL
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_qrs_supplier_sent`);
+  await sequelize.query(`
+    ALTER TABLE quote_requests
+      DROP COLUMN IF EXISTS consumer_rating_at,
+      DROP COLUMN IF EXISTS consumer_rating
+  `);
+}
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+// src/migrations/191-create-group-buys.js
+// Group orders (V3.14.0) — neighbors in one ZIP pool their deliveries for a
+// week so suppliers can bid one pooled price.
+//   group_buys               status open → bidding (threshold crossed,
+//                            suppliers invited) → awarded (lowest bid wins
+//                            when bidding closes) | expired (closed_reason
+//                            under_threshold / no_suppliers / no_bids) |
+//                            cancelled (admin). One open or bidding pool per
+//                            ZIP + delivery week; starting another joins it.
+//   group_buy_participants   one row per household (phone); counts toward the
+//                            pool only once the SMS link is tapped (joined)
+//   group_buy_suppliers      invites + bids (reply "POOL 3.19" or the form
+//                            behind response_token); bid_outcome won / lost /
+//                            closed once the pool is awarded
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS group_buys (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      zip varchar(5) NOT NULL,
+      delivery_week date NOT NULL,
+      gallon_threshold integer NOT NULL,
+      join_deadline timestamptz NOT NULL,
+      status varchar(20) NOT NULL DEFAULT 'open',
+      closed_reason varchar(20),
+      bidding_started_at timestamptz,
+      bids_close_at timestamptz,
+      awarded_at timestamptz,
+      closed_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_group_buys_active_zip_week
+      ON group_buys (zip, delivery_week) WHERE status IN ('open', 'bidding')
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_group_buys_status ON group_buys (status, join_deadline)
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS group_buy_participants (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      group_buy_id uuid NOT NULL REFERENCES group_buys(id) ON DELETE CASCADE,
+      name varchar(100) NOT NULL,
+      phone varchar(20) NOT NULL,
+      phone_last10 varchar(10) NOT NULL,
+      gallons integer NOT NULL CHECK (gallons BETWEEN 75 AND 500),
+      is_organizer boolean NOT NULL DEFAULT false,
+      status varchar(20) NOT NULL DEFAULT 'pending_verification',
+      verified_at timestamptz,
+      left_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW(),
+      UNIQUE (group_buy_id, phone_last10)
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_group_buy_participants_phone
+      ON group_buy_participants (phone_last10, created_at)
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS group_buy_suppliers (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      group_buy_id uuid NOT NULL REFERENCES group_buys(id) ON DELETE CASCADE,
+      supplier_id uuid NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+      response_token varchar(32) NOT NULL UNIQUE,
+      status varchar(20) NOT NULL DEFAULT 'pending',
+      sms_sent_at timestamptz,
+      bid_price_per_gallon numeric(5,3),
+      bid_source varchar(10),
+      bid_at timestamptz,
+      bid_outcome varchar(10),
+      bid_outcome_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      UNIQUE (group_buy_id, supplier_id)
+    )
+  `);
+
+  await sequelize.query(`
+    ALTER TABLE group_buys
+      ADD COLUMN IF NOT EXISTS awarded_bid_id uuid REFERENCES group_buy_suppliers(id) ON DELETE SET NULL
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`ALTER TABLE group_buys DROP COLUMN IF EXISTS awarded_bid_id`);
+  await sequelize.query(`DROP TABLE IF EXISTS group_buy_suppliers`);
+  await sequelize.query(`DROP TABLE IF EXISTS group_buy_participants`);
+  await sequelize.query(`DROP TABLE IF EXISTS group_buys`);
+}
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// src/migrations/192-add-price-alert-rules.js
+// Price alert rules (V3.15.0) — price_alert_subscribers grows from "lowest
+// price in my ZIP below X" to a rule per row:
+//   rule_type   below_price (threshold_price) | pct_drop (pct_drop % under
+//               signup_price_at_time) | lowest_in_weeks (lookback_weeks) |
+//               supplier_watch (supplier_id; threshold_price optional)
+//   fuel_type   heating_oil | kerosene | propane
+//   delivery    instant (7-day cooldown, as before) | weekly (Monday digest)
+// threshold_price becomes optional, and one email can hold one rule of each
+// type per ZIP + fuel, so the unique key widens to include both.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE price_alert_subscribers
+      ADD COLUMN IF NOT EXISTS rule_type varchar(20) NOT NULL DEFAULT 'below_price',
+      ADD COLUMN IF NOT EXISTS fuel_type varchar(20) NOT NULL DEFAULT 'heating_oil',
+      ADD COLUMN IF NOT EXISTS pct_drop numeric(4,1),
+      ADD COLUMN IF NOT EXISTS lookback_weeks smallint,
+      ADD COLUMN IF NOT EXISTS supplier_id uuid REFERENCES suppliers(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS delivery varchar(10) NOT NULL DEFAULT 'instant',
+      ALTER COLUMN threshold_price DROP NOT NULL
+  `);
+  await sequelize.query(`
+    ALTER TABLE price_alert_subscribers
+      DROP CONSTRAINT IF EXISTS price_alert_subscribers_email_zip_code_key
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pas_email_zip_fuel_rule
+      ON price_alert_subscribers(email, zip_code, fuel_type, rule_type)
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_pas_email_zip_fuel_rule`);
+  // Keep one row per email + ZIP (the original heating-oil threshold rule wins)
+  await sequelize.query(`
+    DELETE FROM price_alert_subscribers
+    WHERE rule_type <> 'below_price' OR fuel_type <> 'heating_oil' OR threshold_price IS NULL
+  `);
+  await sequelize.query(`
+    ALTER TABLE price_alert_subscribers
+      ADD CONSTRAINT price_alert_subscribers_email_zip_code_key UNIQUE (email, zip_code),
+      ALTER COLUMN threshold_price SET NOT NULL,
+      DROP COLUMN IF EXISTS delivery,
+      DROP COLUMN IF EXISTS supplier_id,
+      DROP COLUMN IF EXISTS lookback_weeks,
+      DROP COLUMN IF EXISTS pct_drop,
+      DROP COLUMN IF EXISTS fuel_type,
+      DROP COLUMN IF EXISTS rule_type
+  `);
+}
+module.exports = { up, down };
@@ -0,0 +1,80 @@
+// src/migrations/193-add-price-alert-channels.js
+// Price alert channels (V3.16.0) — alerts can go out by SMS and web push as
+// well as email, each opted into separately per subscription:
+//   email_enabled          email alerts (welcome + unsubscribe emails always send)
+//   sms_phone_last10       texted from the consumer lead number once the phone
+//                          replies YES (sms_confirmed_at); STOP sets
+//                          sms_opted_out_at for every row on that phone
+//   push_subscription_id   browser push endpoint from website/sw.js; disabled
+//                          when the push service says it's gone (404/410)
+// price_alert_deliveries logs every send per channel. Push messages carry no
+// payload, so the service worker fetches title/body/url from its delivery row.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS price_alert_push_subscriptions (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      endpoint text NOT NULL UNIQUE,
+      p256dh varchar(200),
+      auth varchar(50),
+      user_agent varchar(200),
+      failure_count integer NOT NULL DEFAULT 0,
+      last_success_at timestamptz,
+      disabled_at timestamptz,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+
+  await sequelize.query(`
+    ALTER TABLE price_alert_subscribers
+      ADD COLUMN IF NOT EXISTS email_enabled boolean NOT NULL DEFAULT true,
+      ADD COLUMN IF NOT EXISTS sms_phone_last10 varchar(10),
+      ADD COLUMN IF NOT EXISTS sms_confirm_sent_at timestamptz,
+      ADD COLUMN IF NOT EXISTS sms_confirmed_at timestamptz,
+      ADD COLUMN IF NOT EXISTS sms_opted_out_at timestamptz,
+      ADD COLUMN IF NOT EXISTS push_subscription_id uuid
+        REFERENCES price_alert_push_subscriptions(id) ON DELETE SET NULL
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_pas_sms_phone
+      ON price_alert_subscribers (sms_phone_last10) WHERE sms_phone_last10 IS NOT NULL
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS price_alert_deliveries (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      subscriber_id uuid NOT NULL REFERENCES price_alert_subscribers(id) ON DELETE CASCADE,
+      channel varchar(10) NOT NULL,
+      kind varchar(10) NOT NULL,
+      status varchar(10) NOT NULL,
+      provider_id varchar(100),
+      error varchar(300),
+      title varchar(150),
+      body text,
+      url text,
+      fetched_at timestamptz,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_pad_subscriber ON price_alert_deliveries (subscriber_id, created_at)
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_pad_channel_created ON price_alert_deliveries (channel, created_at)
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS price_alert_deliveries`);
+  await sequelize.query(`DROP INDEX IF EXISTS idx_pas_sms_phone`);
+  await sequelize.query(`
+    ALTER TABLE price_alert_subscribers
+      DROP COLUMN IF EXISTS push_subscription_id,
+      DROP COLUMN IF EXISTS sms_opted_out_at,
+      DROP COLUMN IF EXISTS sms_confirmed_at,
+      DROP COLUMN IF EXISTS sms_confirm_sent_at,
+      DROP COLUMN IF EXISTS sms_phone_last10,
+      DROP COLUMN IF EXISTS email_enabled
+  `);
+  await sequelize.query(`DROP TABLE IF EXISTS price_alert_push_subscriptions`);
+}
+module.exports = { up, down };
@@ -0,0 +1,67 @@
+// src/migrations/194-add-tank-reminders.js
+// Tank run-out reminders (V3.17.0) — a household opts in from the app with
+// its contributorHash (the same anonymous key as community deliveries), tank
+// size and a reorder threshold. The daily run estimates gallons left from the
+// last delivery and accumulated degree days, and nudges by email and/or web
+// push when the estimate crosses threshold_pct:
+//   last_delivery_*        moved forward by POST /api/community/deliveries
+//   starting_gallons       estimated tank contents right after that delivery
+//   cycle_reminders        nudges since the last delivery (reset on delivery)
+// tank_reminder_deliveries logs every send; push messages carry no payload,
+// so website/sw.js fetches title/body/url from its row (same as price alerts).
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS tank_reminders (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      contributor_hash varchar(64) NOT NULL UNIQUE,
+      zip_code varchar(5) NOT NULL,
+      fuel_type varchar(20) NOT NULL DEFAULT 'heating_oil',
+      tank_size_gallons integer NOT NULL,
+      threshold_pct integer NOT NULL DEFAULT 25,
+      email varchar(255),
+      push_subscription_id uuid REFERENCES price_alert_push_subscriptions(id) ON DELETE SET NULL,
+      last_delivery_at timestamptz,
+      last_delivery_gallons numeric(6,1),
+      starting_gallons numeric(6,1),
+      last_estimate_gallons numeric(6,1),
+      last_estimated_at timestamptz,
+      last_reminded_at timestamptz,
+      cycle_reminders integer NOT NULL DEFAULT 0,
+      reminder_count integer NOT NULL DEFAULT 0,
+      active boolean NOT NULL DEFAULT true,
+      unsubscribe_token varchar(64) NOT NULL UNIQUE,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_tank_reminders_active
+      ON tank_reminders (zip_code) WHERE active = true
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS tank_reminder_deliveries (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      reminder_id uuid NOT NULL REFERENCES tank_reminders(id) ON DELETE CASCADE,
+      channel varchar(10) NOT NULL,
+      status varchar(10) NOT NULL,
+      estimate_gallons numeric(6,1),
+      provider_id varchar(100),
+      error varchar(300),
+      title varchar(150),
+      body text,
+      url text,
+      fetched_at timestamptz,
+      created_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_trd_reminder ON tank_reminder_deliveries (reminder_id, created_at)
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS tank_reminder_deliveries`);
+  await sequelize.query(`DROP TABLE IF EXISTS tank_reminders`);
+}
+module.exports = { up, down };
@@ -0,0 +1,88 @@
+// src/migrations/195-create-notification-outbox.js
+// Notification dispatcher (V3.18.0) — every email and SMS goes through
+// NotificationService, which writes one notification_outbox row per message:
+//   status            queued → sent | retrying → sent | failed;
+//                     suppressed / sink rows are kept for the audit trail
+//   idempotency_key   optional caller key ("alert:<id>:<day>"); a second send
+//                     with the same key is reported as a duplicate, not re-sent
+//   next_attempt_at   when the 5-minute outbox cron retries a 'retrying' row
+// notification_suppressions is the per-recipient block list: stream '*' blocks
+// every message on the channel (Resend bounce/complaint), a named stream only
+// that kind (outreach unsubscribe, STOP on the lead or price SMS number).
+// Existing opt-outs on suppliers / price_alert_subscribers are backfilled.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      channel varchar(10) NOT NULL,
+      provider varchar(10),
+      stream varchar(30) NOT NULL,
+      source varchar(50),
+      recipient varchar(255) NOT NULL,
+      payload jsonb NOT NULL,
+      status varchar(12) NOT NULL DEFAULT 'queued',
+      attempts integer NOT NULL DEFAULT 0,
+      max_attempts integer NOT NULL DEFAULT 1,
+      next_attempt_at timestamptz,
+      last_error varchar(300),
+      provider_id varchar(100),
+      idempotency_key varchar(150) UNIQUE,
+      sent_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+      ON notification_outbox (next_attempt_at) WHERE status IN ('retrying', 'sending')
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_recipient
+      ON notification_outbox (recipient, created_at)
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS notification_suppressions (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      channel varchar(10) NOT NULL,
+      address varchar(255) NOT NULL,
+      stream varchar(30) NOT NULL DEFAULT '*',
+      reason varchar(30) NOT NULL,
+      source varchar(50),
+      created_at timestamptz DEFAULT NOW(),
+      UNIQUE (channel, address, stream)
+    )
+  `);
+
+  await sequelize.query(`
+    INSERT INTO notification_suppressions (channel, address, stream, reason, source)
+    SELECT DISTINCT 'email', LOWER(email), 'outreach', 'unsubscribe', 'backfill'
+    FROM suppliers
+    WHERE email_unsubscribed = true AND email IS NOT NULL AND email <> ''
+    ON CONFLICT (channel, address, stream) DO NOTHING
+  `);
+  await sequelize.query(`
+    INSERT INTO notification_suppressions (channel, address, stream, reason, source)
+    SELECT DISTINCT 'sms', phone_last10, 'price', 'stop', 'backfill'
+    FROM suppliers
+    WHERE sms_opted_out = true AND phone_last10 IS NOT NULL
+    ON CONFLICT (channel, address, stream) DO NOTHING
+  `);
+  await sequelize.query(`
+    INSERT INTO notification_suppressions (channel, address, stream, reason, source)
+    SELECT 'sms', phone, 'lead', 'stop', 'backfill' FROM (
+      SELECT phone_last10 AS phone FROM suppliers
+      WHERE leads_opted_out_at IS NOT NULL AND phone_last10 IS NOT NULL
+      UNION
+      SELECT sms_phone_last10 FROM price_alert_subscribers
+      WHERE sms_opted_out_at IS NOT NULL AND sms_phone_last10 IS NOT NULL
+    ) opted_out
+    ON CONFLICT (channel, address, stream) DO NOTHING
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS notification_suppressions`);
+  await sequelize.query(`DROP TABLE IF EXISTS notification_outbox`);
+}
+module.exports = { up, down };
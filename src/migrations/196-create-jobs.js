@@ -0,0 +1,88 @@
+// src/migrations/196-create-jobs.js
+// Durable job queue (V3.19.0) — scheduled work that used to live in node-cron
+// callbacks and DistributedScheduler's in-memory timers becomes rows here, so
+// a deploy doesn't drop it and overlapping Railway instances run it once:
+//   status        queued → running → succeeded | failed; a failed attempt with
+//                 attempts < max_attempts goes back to queued with run_at pushed
+//                 out by backoff_seconds * 2^(attempts-1)
+//   run_at        earliest time a worker may claim the row (delayed jobs)
+//   unique_key    optional ("supplier-scrape:<id>:<date>", "<schedule>@<time>");
+//                 a second enqueue with the same key is a no-op
+//   locked_until  visibility timeout — a 'running' row past it was orphaned by
+//                 a restart and is claimed again (or failed if out of attempts)
+// job_schedules holds the recurring jobs JobQueue registers at startup:
+// next_run_at is advanced with a compare-and-set so only one instance enqueues
+// each occurrence. job_heartbeats maps finished/running jobs onto the
+// cron_heartbeats shape for CronMonitor.
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id bigserial PRIMARY KEY,
+      name varchar(60) NOT NULL,
+      payload jsonb NOT NULL DEFAULT '{}',
+      status varchar(12) NOT NULL DEFAULT 'queued',
+      run_at timestamptz NOT NULL DEFAULT NOW(),
+      attempts integer NOT NULL DEFAULT 0,
+      max_attempts integer NOT NULL DEFAULT 1,
+      backoff_seconds integer NOT NULL DEFAULT 60,
+      timeout_seconds integer NOT NULL DEFAULT 900,
+      unique_key varchar(150) UNIQUE,
+      locked_by varchar(100),
+      locked_until timestamptz,
+      last_error varchar(500),
+      result jsonb,
+      started_at timestamptz,
+      finished_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_due
+      ON jobs (run_at) WHERE status = 'queued'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_running
+      ON jobs (locked_until) WHERE status = 'running'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_name_started
+      ON jobs (name, started_at DESC)
+  `);
+
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS job_schedules (
+      name varchar(60) PRIMARY KEY,
+      cron_expression varchar(60) NOT NULL,
+      timezone varchar(40) NOT NULL DEFAULT 'America/New_York',
+      next_run_at timestamptz NOT NULL,
+      paused boolean NOT NULL DEFAULT false,
+      last_enqueued_at timestamptz,
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+
+  await sequelize.query(`
+    CREATE OR REPLACE VIEW job_heartbeats AS
+    SELECT
+      id,
+      name AS job_name,
+      started_at,
+      finished_at AS completed_at,
+      CASE status WHEN 'succeeded' THEN 'success' WHEN 'failed' THEN 'failed' ELSE 'running' END AS status,
+      attempts,
+      (EXTRACT(EPOCH FROM (finished_at - started_at)) * 1000)::integer AS duration_ms,
+      result AS details,
+      last_error AS error_message
+    FROM jobs
+    WHERE started_at IS NOT NULL AND status IN ('running', 'succeeded', 'failed')
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP VIEW IF EXISTS job_heartbeats`);
+  await sequelize.query(`DROP TABLE IF EXISTS job_schedules`);
+  await sequelize.query(`DROP TABLE IF EXISTS jobs`);
+}
+module.exports = { up, down };
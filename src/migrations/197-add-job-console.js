@@ -0,0 +1,48 @@
+// src/migrations/197-add-job-console.js
+// Admin job console (V3.20.0):
+//   jobs.log   lines a run wrote through the job-scoped logger JobQueue hands
+//              its handler, plus the queue's own outcome line per attempt —
+//              what an operator reads in the console instead of Railway logs
+// Dry runs (payload.dryRun, enqueued from the console) are dropped from
+// job_heartbeats so a preview never counts as the day's successful run in
+// CronMonitor's 6 AM health check.
+async function up(sequelize) {
+  await sequelize.query(`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS log text`);
+
+  await sequelize.query(`
+    CREATE OR REPLACE VIEW job_heartbeats AS
+    SELECT
+      id,
+      name AS job_name,
+      started_at,
+      finished_at AS completed_at,
+      CASE status WHEN 'succeeded' THEN 'success' WHEN 'failed' THEN 'failed' ELSE 'running' END AS status,
+      attempts,
+      (EXTRACT(EPOCH FROM (finished_at - started_at)) * 1000)::integer AS duration_ms,
+      result AS details,
+      last_error AS error_message
+    FROM jobs
+    WHERE started_at IS NOT NULL AND status IN ('running', 'succeeded', 'failed')
+      AND COALESCE(payload->>'dryRun', 'false') <> 'true'
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`
+    CREATE OR REPLACE VIEW job_heartbeats AS
+    SELECT
+      id,
+      name AS job_name,
+      started_at,
+      finished_at AS completed_at,
+      CASE status WHEN 'succeeded' THEN 'success' WHEN 'failed' THEN 'failed' ELSE 'running' END AS status,
+      attempts,
+      (EXTRACT(EPOCH FROM (finished_at - started_at)) * 1000)::integer AS duration_ms,
+      result AS details,
+      last_error AS error_message
+    FROM jobs
+    WHERE started_at IS NOT NULL AND status IN ('running', 'succeeded', 'failed')
+  `);
+  await sequelize.query(`ALTER TABLE jobs DROP COLUMN IF EXISTS log`);
+}
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// src/migrations/198-create-ops-alerts.js
+// Ops alerting (V3.21.0) — detections from the Command Center anomaly check
+// and CronMonitor.checkScraperHealth, evaluated every 15 minutes by the
+// 'ops-alerts' job. One row per incident:
+//   fingerprint       rule + what it fired on ("anomaly:traffic:down",
+//                     "scraper:drift"); at most one unresolved row per
+//                     fingerprint, so a detection that persists updates
+//                     last_seen_at / occurrences instead of opening a new one
+//   status            open → acknowledged → resolved; resolved_reason is
+//                     'cleared' (detector stopped firing) or 'manual'
+//   escalation_level  0 on open; 1 once an unacknowledged incident has been
+//                     open past the rule's escalation window (re-notified)
+// Rows are kept as history (how long issues stayed open, time to ack).
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS ops_alerts (
+      id bigserial PRIMARY KEY,
+      rule varchar(40) NOT NULL,
+      fingerprint varchar(150) NOT NULL,
+      severity varchar(10) NOT NULL,
+      title varchar(150) NOT NULL,
+      message varchar(500) NOT NULL,
+      details jsonb NOT NULL DEFAULT '{}',
+      status varchar(12) NOT NULL DEFAULT 'open',
+      occurrences integer NOT NULL DEFAULT 1,
+      escalation_level integer NOT NULL DEFAULT 0,
+      first_seen_at timestamptz NOT NULL DEFAULT NOW(),
+      last_seen_at timestamptz NOT NULL DEFAULT NOW(),
+      last_notified_at timestamptz,
+      acknowledged_at timestamptz,
+      acknowledged_by varchar(100),
+      resolved_at timestamptz,
+      resolved_reason varchar(20),
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_ops_alerts_unresolved
+      ON ops_alerts (fingerprint) WHERE status <> 'resolved'
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_ops_alerts_first_seen
+      ON ops_alerts (first_seen_at DESC)
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS ops_alerts`);
+}
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+// src/migrations/199-create-api-keys.js
+// Public developer API (V3.22.0) — partner API keys layered over
+// /api/v1/suppliers, /api/v1/market/summary, /api/zip/:prefix/stats and
+// /api/v1/heating-cost (see src/middleware/apiKey.js).
+//   api_keys        one row per issued key. Only the SHA-256 of the key is
+//                   stored (key_hash); key_prefix ("hh_AbCd1234") identifies
+//                   it in the admin list. scopes is a JSON array of
+//                   'prices' / 'suppliers' / 'heating-cost'. daily_quota caps
+//                   requests per UTC day across all scopes. Revoked keys are
+//                   kept (revoked_at / revoked_reason) so usage history stays.
+//   api_key_usage   one row per key per UTC day: requests served, rejected
+//                   (over quota), and by_scope counts ({"prices": 120, ...})
+async function up(sequelize) {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      name varchar(100) NOT NULL,
+      contact_email varchar(255),
+      notes varchar(500),
+      key_prefix varchar(16) NOT NULL,
+      key_hash char(64) NOT NULL UNIQUE,
+      scopes jsonb NOT NULL DEFAULT '[]',
+      daily_quota integer NOT NULL DEFAULT 1000 CHECK (daily_quota > 0),
+      last_used_at timestamptz,
+      revoked_at timestamptz,
+      revoked_reason varchar(200),
+      created_at timestamptz DEFAULT NOW(),
+      updated_at timestamptz DEFAULT NOW()
+    )
+  `);
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      api_key_id uuid NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+      day date NOT NULL,
+      requests integer NOT NULL DEFAULT 0,
+      rejected integer NOT NULL DEFAULT 0,
+      by_scope jsonb NOT NULL DEFAULT '{}',
+      updated_at timestamptz DEFAULT NOW(),
+      PRIMARY KEY (api_key_id, day)
+    )
+  `);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_api_key_usage_day
+      ON api_key_usage (day DESC)
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP TABLE IF EXISTS api_key_usage`);
+  await sequelize.query(`DROP TABLE IF EXISTS api_keys`);
+}
+module.exports = { up, down };
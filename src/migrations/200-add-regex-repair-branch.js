@@ -0,0 +1,50 @@
+// src/migrations/200-add-regex-repair-branch.js
+// Regex repairs per branch (V3.22.1). scrape_regex_repairs was keyed by
+// domain only, so one accepted repair overrode the regex for every branch of
+// a multi-branch scrape-config entry. branch_slug is the supplier slug the
+// repair was accepted for when its domain has `branches`, NULL for
+// single-branch entries; lookups match on (domain, branch_slug).
+// Existing rows on multi-branch domains are backfilled from supplier_id.
+const fs = require('fs');
+const path = require('path');
+
+function multiBranchDomains() {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/scrape-config.json'), 'utf8'));
+    return Object.keys(config).filter(domain => config[domain] && config[domain].branches);
+  } catch {
+    return [];
+  }
+}
+
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE scrape_regex_repairs ADD COLUMN IF NOT EXISTS branch_slug text
+  `);
+
+  const domains = multiBranchDomains();
+  if (domains.length > 0) {
+    await sequelize.query(`
+      UPDATE scrape_regex_repairs r
+      SET branch_slug = s.slug
+      FROM suppliers s
+      WHERE s.id = r.supplier_id AND r.branch_slug IS NULL AND r.domain IN (:domains)
+    `, { replacements: { domains } });
+  }
+
+  await sequelize.query(`DROP INDEX IF EXISTS idx_scrape_regex_repairs_active`);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scrape_regex_repairs_active
+      ON scrape_regex_repairs (domain, branch_slug) WHERE status = 'active'
+  `);
+}
+
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_scrape_regex_repairs_active`);
+  await sequelize.query(`ALTER TABLE scrape_regex_repairs DROP COLUMN IF EXISTS branch_slug`);
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_scrape_regex_repairs_active
+      ON scrape_regex_repairs (domain) WHERE status = 'active'
+  `);
+}
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// src/migrations/201-add-weather-daily-conditions.js
+// weather_daily.conditions (V3.22.2) — the OpenWeather summary ('Snow',
+// 'Clouds', ...) from the day's latest live lookup, which weather_history
+// carried and the weather/clicks correlation still returns per day. NULL for
+// days without a live lookup. Hartford rows copied from weather_history get theirs back.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE weather_daily ADD COLUMN IF NOT EXISTS conditions varchar(50)
+  `);
+  const [legacy] = await sequelize.query(`
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'weather_history'
+  `);
+  if (legacy.length > 0) {
+    await sequelize.query(`
+      UPDATE weather_daily wd
+      SET conditions = wh.conditions
+      FROM weather_history wh
+      WHERE wd.location_key = 'CT:Hartford' AND wd.date = wh.date
+        AND wd.conditions IS NULL AND wh.conditions IS NOT NULL
+    `);
+  }
+}
+async function down(sequelize) {
+  await sequelize.query(`ALTER TABLE weather_daily DROP COLUMN IF EXISTS conditions`);
+}
+module.exports = { up, down };
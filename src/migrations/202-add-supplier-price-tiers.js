@@ -0,0 +1,21 @@
+// src/migrations/202-add-supplier-price-tiers.js
+// Tier ladders on one listing row (V3.22.3). An SMS text like
+// "150+ 3.39 / 300+ 3.29" used to insert one supplier_prices row per tier,
+// and every reader that takes a supplier's latest row (market pulse, medians,
+// leaderboard) listed whichever tier was inserted last. Now only the listing
+// tier (src/utils/price-tiers.js) is a row; `tiers` holds the whole ladder as
+// [{ minGallons, price }] — NULL for single-tier prices. Scheduled prices
+// carry it through to the row they publish.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE supplier_prices ADD COLUMN IF NOT EXISTS tiers jsonb
+  `);
+  await sequelize.query(`
+    ALTER TABLE scheduled_supplier_prices ADD COLUMN IF NOT EXISTS tiers jsonb
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`ALTER TABLE scheduled_supplier_prices DROP COLUMN IF EXISTS tiers`);
+  await sequelize.query(`ALTER TABLE supplier_prices DROP COLUMN IF EXISTS tiers`);
+}
+module.exports = { up, down };
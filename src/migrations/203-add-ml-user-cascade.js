@@ -0,0 +1,37 @@
+// src/migrations/203-add-ml-user-cascade.js
+// ML rows follow their user (V3.22.4). training_queue, predictions and
+// prediction_feedback hold per-user tank readings and ZIPs by user_id but had
+// no foreign key, so account deletion and the inactive-user cleanup left them
+// behind. Rows whose user is already gone are deleted first (they can no
+// longer be exported or deleted by anyone), then user_id references
+// anonymous_users ON DELETE CASCADE.
+const TABLES = ['prediction_feedback', 'predictions', 'training_queue'];
+
+async function up(sequelize) {
+  for (const table of TABLES) {
+    await sequelize.query(`
+      DELETE FROM ${table} t
+      WHERE t.user_id IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM anonymous_users u WHERE u.id = t.user_id)
+    `);
+    await sequelize.query(`
+      ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_user_id_fkey
+    `);
+    await sequelize.query(`
+      ALTER TABLE ${table}
+        ADD CONSTRAINT ${table}_user_id_fkey
+        FOREIGN KEY (user_id) REFERENCES anonymous_users(id) ON DELETE CASCADE
+    `);
+  }
+  await sequelize.query(`
+    CREATE INDEX IF NOT EXISTS idx_prediction_feedback_user
+      ON prediction_feedback (user_id)
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`DROP INDEX IF EXISTS idx_prediction_feedback_user`);
+  for (const table of TABLES) {
+    await sequelize.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_user_id_fkey`);
+  }
+}
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// src/migrations/204-add-tank-reminder-email-confirm.js
+// Tank reminder email confirmation (V3.22.5). Opting in with an email now
+// sends a confirmation link first; the daily run only emails addresses with
+// email_confirmed_at set. email_confirm_token is reissued whenever the email
+// changes. Existing rows start unconfirmed — the app's next opt-in call sends
+// them the link, and push reminders are unaffected meanwhile.
+async function up(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE tank_reminders
+      ADD COLUMN IF NOT EXISTS email_confirmed_at timestamptz,
+      ADD COLUMN IF NOT EXISTS email_confirm_token varchar(64) UNIQUE
+  `);
+}
+async function down(sequelize) {
+  await sequelize.query(`
+    ALTER TABLE tank_reminders
+      DROP COLUMN IF EXISTS email_confirm_token,
+      DROP COLUMN IF EXISTS email_confirmed_at
+  `);
+}
+module.exports = { up, down };
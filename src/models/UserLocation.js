@@ -70,6 +70,12 @@ const initUserLocationModel = (sequelize) => {
       lastCoverageCheck: {
         type: DataTypes.DATE,
         allowNull: true
+      },
+      // V3.5.0: Most recent iOS device to look up this ZIP (hashed) — lets
+      // DELETE /api/auth/account remove rows only that device created
+      deviceIdHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true
       }
     }, {
       tableName: 'user_locations',
@@ -116,6 +122,7 @@ const trackLocation = async (zipCode, userInfo = {}) => {
     if (location) {
       // Update existing — also backfill null city/state from lookup
       const updates = { lastSeenAt: new Date() };
+      if (userInfo.deviceIdHash) updates.deviceIdHash = userInfo.deviceIdHash;
       if (!location.city && city) updates.city = city;
       if (!location.county && county) updates.county = county;
       if (!location.state && state) updates.state = state;
@@ -130,7 +137,8 @@ const trackLocation = async (zipCode, userInfo = {}) => {
         state,
         firstSeenAt: new Date(),
         lastSeenAt: new Date(),
-        requestCount: 1
+        requestCount: 1,
+        deviceIdHash: userInfo.deviceIdHash || null
       });
     }
 
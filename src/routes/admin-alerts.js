@@ -0,0 +1,132 @@
+/**
+ * Admin Ops Alert Routes
+ * V3.21.0: Incidents raised by the 'ops-alerts' job (Command Center anomalies,
+ * scraper health) — see OpsAlertService
+ *
+ * Endpoints:
+ * - GET /api/admin/alerts?status=&days=30 - Incident history (how long each
+ *   stayed open, time to acknowledge) plus per-rule totals
+ * - POST /api/admin/alerts/:id/acknowledge - Stop escalation. Body: { by? }
+ * - POST /api/admin/alerts/:id/resolve - Close by hand
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const OpsAlertService = require('../services/OpsAlertService');
+const router = express.Router();
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+router.use(requireAdmin);
+
+async function auditLog(sequelize, action, details, ip, logger) {
+  try {
+    await sequelize.query(`
+      INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+      VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'admin', :action, :details, :ip, NOW(), NOW())
+    `, { replacements: { action, details: JSON.stringify(details), ip } });
+  } catch (auditErr) {
+    logger?.warn(`[AdminAlerts] Failed to write ${action} audit log:`, auditErr.message);
+  }
+}
+
+function alertService(req) {
+  return new OpsAlertService(req.app.locals.sequelize, req.app.locals.logger);
+}
+
+/**
+ * GET /api/admin/alerts
+ */
+router.get('/', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const status = req.query.status || null;
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+  }
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+  try {
+    const { alerts, rules } = await alertService(req).history({ status, days });
+    res.json({ success: true, days, alerts, rules });
+  } catch (error) {
+    logger?.error('[AdminAlerts] History error:', error.message);
+    res.status(500).json({ error: 'Failed to load alert history' });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/acknowledge
+ * Body: { by? } — who is on it (free text, shown in history)
+ */
+router.post('/:id/acknowledge', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be an alert id' });
+  }
+
+  try {
+    const by = String(req.body?.by || 'admin').slice(0, 100);
+    const alert = await alertService(req).acknowledge(req.params.id, by);
+    if (!alert) {
+      return res.status(404).json({ error: 'No open alert with that id' });
+    }
+
+    await auditLog(sequelize, 'ops_alert_acknowledged', {
+      alert_id: alert.id,
+      fingerprint: alert.fingerprint,
+      by
+    }, req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress, logger);
+
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    logger?.error('[AdminAlerts] Acknowledge error:', error.message);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/resolve
+ */
+router.post('/:id/resolve', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be an alert id' });
+  }
+
+  try {
+    const alert = await alertService(req).resolve(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'No unresolved alert with that id' });
+    }
+
+    await auditLog(sequelize, 'ops_alert_resolved', {
+      alert_id: alert.id,
+      fingerprint: alert.fingerprint
+    }, req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress, logger);
+
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    logger?.error('[AdminAlerts] Resolve error:', error.message);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+module.exports = router;
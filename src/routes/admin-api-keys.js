@@ -0,0 +1,177 @@
+/**
+ * Admin Partner API Key Routes
+ * V3.22.0: Issue and revoke keys for the public developer API — see
+ * ApiKeyService and src/middleware/apiKey.js
+ *
+ * Endpoints:
+ * - GET /api/admin/api-keys?includeRevoked=true - Keys with today's usage
+ *   (requests, rejected over quota) and the trailing 30 days' total
+ * - POST /api/admin/api-keys - Issue a key. Body: { name, scopes, dailyQuota?,
+ *   contactEmail?, notes? }. The key itself is only in this response
+ * - GET /api/admin/api-keys/:id/usage?days=30 - Daily usage by scope
+ * - POST /api/admin/api-keys/:id/revoke - Body: { reason? }
+ *
+ * Issue and revoke are written to audit_logs (never the key itself).
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const ApiKeyService = require('../services/ApiKeyService');
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requireAdmin);
+
+async function auditLog(sequelize, action, details, ip, logger) {
+  try {
+    await sequelize.query(`
+      INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+      VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'admin', :action, :details, :ip, NOW(), NOW())
+    `, { replacements: { action, details: JSON.stringify(details), ip } });
+  } catch (auditErr) {
+    logger?.warn(`[AdminApiKeys] Failed to write ${action} audit log:`, auditErr.message);
+  }
+}
+
+const clientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || null;
+
+function keyService(req) {
+  return new ApiKeyService(req.app.locals.sequelize, req.app.locals.logger);
+}
+
+/**
+ * GET /api/admin/api-keys
+ */
+async function listKeys(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const keys = await keyService(req).list({ includeRevoked: req.query.includeRevoked === 'true' });
+    res.json({ success: true, scopes: ApiKeyService.SCOPES, keys });
+  } catch (error) {
+    logger?.error('[AdminApiKeys] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+}
+
+/**
+ * POST /api/admin/api-keys
+ * Body: { name, scopes: ['prices', ...], dailyQuota?, contactEmail?, notes? }
+ */
+async function createKey(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const { name, scopes, dailyQuota, contactEmail, notes } = req.body || {};
+
+  try {
+    const result = await keyService(req).create({ name, scopes, dailyQuota, contactEmail, notes });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog(sequelize, 'api_key_created', {
+      api_key_id: result.key.id,
+      key_prefix: result.key.key_prefix,
+      name: result.key.name,
+      scopes: result.key.scopes,
+      daily_quota: result.key.daily_quota
+    }, clientIp(req), logger);
+
+    res.status(201).json({
+      success: true,
+      key: result.key,
+      apiKey: result.apiKey,
+      note: 'Store this key now — it cannot be shown again'
+    });
+
+  } catch (error) {
+    logger?.error('[AdminApiKeys] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+}
+
+/**
+ * GET /api/admin/api-keys/:id/usage
+ */
+async function getUsage(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be an API key id' });
+  }
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+  try {
+    const usage = await keyService(req).usage(req.params.id, { days });
+    if (!usage) {
+      return res.status(404).json({ error: 'No API key with that id' });
+    }
+    res.json({ success: true, key: usage.key, days: usage.days });
+  } catch (error) {
+    logger?.error('[AdminApiKeys] Usage error:', error.message);
+    res.status(500).json({ error: 'Failed to load API key usage' });
+  }
+}
+
+/**
+ * POST /api/admin/api-keys/:id/revoke
+ * Body: { reason? }
+ */
+async function revokeKey(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be an API key id' });
+  }
+
+  try {
+    const reason = req.body?.reason || null;
+    const key = await keyService(req).revoke(req.params.id, reason);
+    if (!key) {
+      return res.status(404).json({ error: 'No active API key with that id' });
+    }
+
+    await auditLog(sequelize, 'api_key_revoked', {
+      api_key_id: key.id,
+      key_prefix: key.key_prefix,
+      name: key.name,
+      reason: key.revoked_reason
+    }, clientIp(req), logger);
+
+    res.json({ success: true, key });
+
+  } catch (error) {
+    logger?.error('[AdminApiKeys] Revoke error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+}
+
+router.get('/', listKeys);
+router.post('/', createKey);
+router.get('/:id/usage', getUsage);
+router.post('/:id/revoke', revokeKey);
+
+module.exports = router;
+module.exports.listKeys = listKeys;
+module.exports.createKey = createKey;
+module.exports.getUsage = getUsage;
+module.exports.revokeKey = revokeKey;
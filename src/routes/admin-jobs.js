@@ -0,0 +1,178 @@
+/**
+ * Admin Job Console Routes
+ * V3.20.0: Inspect and drive the Postgres job queue without a redeploy
+ *
+ * Endpoints:
+ * - GET /api/admin/jobs - Every registered job: schedule, last runs (duration,
+ *   errors), queue depth, recent cron_error_log entries. perInstance lists the
+ *   node-cron jobs (CronMonitor.PER_INSTANCE_JOBS) with their last runs —
+ *   read-only, they can't be run or paused from here
+ * - GET /api/admin/jobs/runs/:id - One run with payload, result and its log output
+ * - POST /api/admin/jobs/:name/run - Enqueue now, outside the schedule. Body: { payload? }
+ * - POST /api/admin/jobs/:name/dry-run - Same, for jobs that support previews
+ * - POST /api/admin/jobs/:name/pause - Stop enqueueing the schedule
+ * - POST /api/admin/jobs/:name/resume - Re-enable from the next occurrence
+ *
+ * Actions are written to audit_logs. Replaces the one-off trigger routes
+ * (/api/admin/trigger-daily-report, /api/price-alerts/trigger) for queue jobs.
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const router = express.Router();
+
+router.use(requireAdmin);
+
+async function auditLog(sequelize, action, details, ip, logger) {
+  try {
+    await sequelize.query(`
+      INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+      VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'admin', :action, :details, :ip, NOW(), NOW())
+    `, { replacements: { action, details: JSON.stringify(details), ip } });
+  } catch (auditErr) {
+    logger?.warn(`[AdminJobs] Failed to write ${action} audit log:`, auditErr.message);
+  }
+}
+
+const clientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || null;
+
+/**
+ * GET /api/admin/jobs
+ */
+async function listJobs(req, res) {
+  const jobQueue = req.app.locals.jobQueue;
+  const logger = req.app.locals.logger;
+
+  if (!jobQueue) {
+    return res.status(503).json({ error: 'Job queue not available' });
+  }
+
+  try {
+    const jobs = await jobQueue.listJobs();
+    const cronMonitor = req.app.locals.cronMonitor;
+    const perInstance = cronMonitor ? await cronMonitor.getPerInstanceRuns() : [];
+    res.json({ success: true, workerId: jobQueue.workerId, jobs, perInstance });
+  } catch (error) {
+    logger?.error('[AdminJobs] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+}
+
+/**
+ * GET /api/admin/jobs/runs/:id
+ */
+async function getRun(req, res) {
+  const jobQueue = req.app.locals.jobQueue;
+  const logger = req.app.locals.logger;
+
+  if (!jobQueue) {
+    return res.status(503).json({ error: 'Job queue not available' });
+  }
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a job run id' });
+  }
+
+  try {
+    const run = await jobQueue.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'No job run with that id' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    logger?.error('[AdminJobs] Run lookup error:', error.message);
+    res.status(500).json({ error: 'Failed to load job run' });
+  }
+}
+
+/**
+ * POST /api/admin/jobs/:name/run and /:name/dry-run
+ * Body: { payload? } — merged over the schedule's payload
+ */
+function runNow({ dryRun }) {
+  return async (req, res) => {
+    const jobQueue = req.app.locals.jobQueue;
+    const sequelize = req.app.locals.sequelize;
+    const logger = req.app.locals.logger;
+
+    if (!jobQueue || !sequelize) {
+      return res.status(503).json({ error: 'Job queue not available' });
+    }
+
+    const payload = req.body?.payload ?? {};
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+
+    try {
+      const result = await jobQueue.runNow(req.params.name, { dryRun, payload });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      if (result.duplicate) {
+        return res.status(409).json({ error: 'Already queued this minute' });
+      }
+
+      await auditLog(sequelize, dryRun ? 'job_dry_run' : 'job_run_now', {
+        job: req.params.name,
+        job_id: result.id,
+        payload
+      }, clientIp(req), logger);
+
+      logger?.info(`[AdminJobs] ${dryRun ? 'Dry run' : 'Run now'}: ${req.params.name} #${result.id}`);
+      res.status(202).json({ success: true, id: result.id, dryRun });
+
+    } catch (error) {
+      logger?.error('[AdminJobs] Run error:', error.message);
+      res.status(500).json({ error: 'Failed to enqueue job' });
+    }
+  };
+}
+
+/**
+ * POST /api/admin/jobs/:name/pause and /:name/resume
+ */
+function setPaused(paused) {
+  return async (req, res) => {
+    const jobQueue = req.app.locals.jobQueue;
+    const sequelize = req.app.locals.sequelize;
+    const logger = req.app.locals.logger;
+
+    if (!jobQueue || !sequelize) {
+      return res.status(503).json({ error: 'Job queue not available' });
+    }
+
+    try {
+      const result = paused
+        ? await jobQueue.pause(req.params.name)
+        : await jobQueue.resume(req.params.name);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await auditLog(sequelize, paused ? 'job_paused' : 'job_resumed', {
+        job: req.params.name,
+        next_run_at: result.next_run_at
+      }, clientIp(req), logger);
+
+      logger?.info(`[AdminJobs] ${paused ? 'Paused' : 'Resumed'} ${req.params.name}`);
+      res.json({ success: true, schedule: result });
+
+    } catch (error) {
+      logger?.error(`[AdminJobs] ${paused ? 'Pause' : 'Resume'} error:`, error.message);
+      res.status(500).json({ error: `Failed to ${paused ? 'pause' : 'resume'} job` });
+    }
+  };
+}
+
+router.get('/', listJobs);
+router.get('/runs/:id', getRun);
+router.post('/:name/run', runNow({ dryRun: false }));
+router.post('/:name/dry-run', runNow({ dryRun: true }));
+router.post('/:name/pause', setPaused(true));
+router.post('/:name/resume', setPaused(false));
+
+module.exports = router;
+module.exports.listJobs = listJobs;
+module.exports.getRun = getRun;
+module.exports.runNow = runNow;
+module.exports.setPaused = setPaused;
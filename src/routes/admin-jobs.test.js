@@ -0,0 +1,95 @@
+// src/routes/admin-jobs.test.js
+// V3.20.0 job console: run now / dry run / pause / resume are audited, queue
+// errors map to their status codes, duplicate clicks get 409, and nothing is
+// audited when the action didn't happen. The list also carries the per-instance
+// node-cron jobs' recent heartbeats. Real JobQueue, fake sequelize.
+// Run: node src/routes/admin-jobs.test.js
+
+const route = require('./admin-jobs');
+const JobQueue = require('../services/JobQueue');
+const CronMonitor = require('../services/CronMonitor');
+let passed = 0, failed = 0;
+function pass(l){ passed++; console.log(`  ✓ ${l}`); }
+function fail(l,d){ failed++; console.error(`  ✗ ${l} — ${d}`); }
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+
+const quiet = { info(){}, warn(){}, error(){} };
+
+function setup(responder = () => null){
+  const calls = [];
+  const db = { calls, query: async (sql, opts = {}) => { calls.push({ sql, opts }); return responder(sql, opts) || [[]]; } };
+  const jobQueue = new JobQueue(db, quiet, { workerId: 'w1' });
+  jobQueue.define('indexnow', async () => ({}), { dryRun: true }).schedule('indexnow', '31 23 * * *');
+  jobQueue.define('price-alerts', async () => ({})).schedule('price-alerts', '0 8 * * *');
+  const call = async (handler, { params = {}, body = {} } = {}) => {
+    let status = 200, payload = null;
+    const req = { params, body, headers: { 'x-forwarded-for': '203.0.113.9' }, app: { locals: { sequelize: db, jobQueue, logger: quiet } } };
+    const res = { status(c){ status = c; return this; }, json(p){ payload = p; return this; } };
+    await handler(req, res);
+    return { status, payload };
+  };
+  const audits = () => calls.filter(c => /INSERT INTO audit_logs/.test(c.sql)).map(c => c.opts.replacements);
+  return { db, jobQueue, call, audits };
+}
+
+(async () => {
+  console.log('\n=== run now / dry run ===');
+  { const t = setup((sql) => (/INSERT INTO jobs/.test(sql) ? [[{ id: '41' }]] : null));
+    let r = await t.call(route.runNow({ dryRun: false }), { params: { name: 'price-alerts' } });
+    eq([r.status, r.payload], [202, { success: true, id: '41', dryRun: false }], 'run now → 202 with job id');
+    eq(t.audits().map(a => [a.action, JSON.parse(a.details), a.ip]),
+      [['job_run_now', { job: 'price-alerts', job_id: '41', payload: {} }, '203.0.113.9']], 'run now audited');
+    r = await t.call(route.runNow({ dryRun: true }), { params: { name: 'indexnow' } });
+    eq([r.status, t.audits()[1].action], [202, 'job_dry_run'], 'dry run audited separately');
+    r = await t.call(route.runNow({ dryRun: true }), { params: { name: 'price-alerts' } });
+    eq([r.status, t.audits().length], [400, 2], 'dry run on an unsupported job → 400, not audited');
+    r = await t.call(route.runNow({ dryRun: false }), { params: { name: 'nope' } });
+    eq(r.status, 404, 'unknown job → 404');
+    r = await t.call(route.runNow({ dryRun: false }), { params: { name: 'price-alerts' }, body: { payload: [1] } });
+    eq(r.status, 400, 'non-object payload rejected'); }
+
+  { const t = setup(() => null);
+    const r = await t.call(route.runNow({ dryRun: false }), { params: { name: 'price-alerts' } });
+    eq([r.status, t.audits().length], [409, 0], 'same-minute duplicate → 409, not audited'); }
+
+  console.log('\n=== pause / resume ===');
+  { const t = setup((sql, opts) => (/UPDATE job_schedules/.test(sql)
+      ? [[{ name: opts.replacements.name, paused: opts.replacements.paused, next_run_at: '2026-10-20T12:00:00.000Z' }]] : null));
+    let r = await t.call(route.setPaused(true), { params: { name: 'price-alerts' } });
+    eq([r.status, r.payload.schedule.paused, t.audits()[0].action], [200, true, 'job_paused'], 'pause audited');
+    r = await t.call(route.setPaused(false), { params: { name: 'price-alerts' } });
+    eq([r.payload.schedule.paused, t.audits()[1].action, JSON.parse(t.audits()[1].details).next_run_at],
+      [false, 'job_resumed', '2026-10-20T12:00:00.000Z'], 'resume audited with the next run');
+    r = await t.call(route.setPaused(true), { params: { name: 'nope' } });
+    eq([r.status, t.audits().length], [404, 2], 'unknown job → 404, not audited'); }
+
+  console.log('\n=== list / run detail ===');
+  { const t = setup((sql) => (/FROM jobs WHERE id = :id/.test(sql) ? [[{ id: '41', name: 'indexnow', log: 'line' }]] : null));
+    let r = await t.call(route.listJobs);
+    eq([r.status, r.payload.jobs.map(j => j.name), r.payload.workerId], [200, ['indexnow', 'price-alerts'], 'w1'], 'lists registered jobs');
+    r = await t.call(route.getRun, { params: { id: '41' } });
+    eq([r.status, r.payload.run.log], [200, 'line'], 'run detail includes its log');
+    r = await t.call(route.getRun, { params: { id: 'abc' } });
+    eq(r.status, 400, 'non-numeric run id → 400'); }
+  { const t = setup();
+    const r = await t.call(route.getRun, { params: { id: '99' } });
+    eq(r.status, 404, 'pruned run → 404'); }
+
+  { const t = setup((sql) => (/FROM cron_heartbeats/.test(sql)
+      ? [[{ job_name: 'sitemap', status: 'success', started_at: '2026-10-19T03:30:00.000Z', duration_ms: 900 }]] : null));
+    const cronMonitor = new CronMonitor(t.db, quiet);
+    let payload = null;
+    await route.listJobs({ params: {}, app: { locals: { jobQueue: t.jobQueue, cronMonitor, logger: quiet } } }, { status(){ return this; }, json(p){ payload = p; return this; } });
+    const sitemap = payload.perInstance.find(j => j.name === 'sitemap');
+    eq([payload.perInstance.length, sitemap.runs.map(r => [r.status, r.durationMs])], [CronMonitor.PER_INSTANCE_JOBS.length, [['success', 900]]], 'node-cron jobs listed with their heartbeats');
+    eq(t.db.calls.find(c => /FROM cron_heartbeats/.test(c.sql)).opts.replacements.names.includes('eia-energy-rates'), true, 'EIA refresh included');
+    eq(payload.jobs.some(j => j.name === 'sitemap'), false, 'not offered as queue jobs'); }
+
+  { let status = null;
+    const req = { params: {}, app: { locals: { logger: quiet } } };
+    await route.listJobs(req, { status(c){ status = c; return this; }, json(){ return this; } });
+    eq(status, 503, 'no job queue → 503'); }
+
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
@@ -7,10 +7,16 @@
  * - POST /api/admin/supplier-claims/:claimId/verify - Approve claim, generate magic link
  * - POST /api/admin/supplier-claims/:claimId/reject - Reject claim
  * - POST /api/admin/supplier-claims/:claimId/revoke - Emergency revoke magic link
+ *
+ * V1.1.0: Verifying a claim also makes the claimant the owner of a supplier
+ * team account (include_branches), so they can sign in with an email code
+ * and add their staff; the magic link is tied to that user. Revoking a claim
+ * removes every team role on the listing.
  */
 
 const express = require('express');
 const crypto = require('crypto');
+const supplierAccounts = require('../services/supplierAccounts');
 const router = express.Router();
 
 // Admin master token (same as price-review). REQUIRED in Railway env vars — no
@@ -49,6 +55,20 @@ function generateToken() {
   return crypto.randomBytes(32).toString('hex'); // 64 chars
 }
 
+/**
+ * Claimant becomes the listing's owner (all branches); returns their user id
+ */
+async function ensureClaimantOwner(sequelize, claim) {
+  const result = await supplierAccounts.addTeamMember(sequelize, {
+    supplierId: claim.supplier_id,
+    email: claim.claimant_email,
+    name: claim.claimant_name,
+    role: 'owner',
+    includeBranches: true
+  });
+  return result.userId || null;
+}
+
 /**
  * Send magic link email to verified supplier
  */
@@ -338,13 +358,16 @@ router.post('/:claimId/verify', requireAdmin, async (req, res) => {
     const token = generateToken();
     const expiresAt = new Date(Date.now() + MAGIC_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
 
+    const ownerId = await ensureClaimantOwner(sequelize, claim);
+
     await sequelize.query(`
-      INSERT INTO magic_link_tokens (token, purpose, supplier_id, expires_at)
-      VALUES (:token, 'supplier_price_update', :supplierId, :expiresAt)
+      INSERT INTO magic_link_tokens (token, purpose, supplier_id, supplier_user_id, expires_at)
+      VALUES (:token, 'supplier_price_update', :supplierId, :ownerId, :expiresAt)
     `, {
       replacements: {
         token,
         supplierId: claim.supplier_id,
+        ownerId,
         expiresAt
       }
     });
@@ -525,6 +548,11 @@ router.post('/:claimId/revoke', requireAdmin, async (req, res) => {
 
     const revokedCount = result.length;
 
+    // Team accounts lose the listing too (sessions stay valid for any others)
+    await sequelize.query(`
+      DELETE FROM supplier_user_roles WHERE supplier_id = :supplierId
+    `, { replacements: { supplierId: supplier_id } });
+
     logger?.info(`[AdminClaims] Revoked ${revokedCount} magic link(s) for claim ${claimId}`);
 
     // Audit log
@@ -602,13 +630,16 @@ router.post('/:claimId/regenerate', requireAdmin, async (req, res) => {
     const token = generateToken();
     const expiresAt = new Date(Date.now() + MAGIC_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
 
+    const ownerId = await ensureClaimantOwner(sequelize, claim);
+
     await sequelize.query(`
-      INSERT INTO magic_link_tokens (token, purpose, supplier_id, expires_at)
-      VALUES (:token, 'supplier_price_update', :supplierId, :expiresAt)
+      INSERT INTO magic_link_tokens (token, purpose, supplier_id, supplier_user_id, expires_at)
+      VALUES (:token, 'supplier_price_update', :supplierId, :ownerId, :expiresAt)
     `, {
       replacements: {
         token,
         supplierId: claim.supplier_id,
+        ownerId,
         expiresAt
       }
     });
@@ -1077,10 +1108,12 @@ router.get('/verify-quick', async (req, res) => {
     const magicToken = generateToken();
     const expiresAt = new Date(Date.now() + MAGIC_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
 
+    const ownerId = await ensureClaimantOwner(sequelize, claim);
+
     await sequelize.query(`
-      INSERT INTO magic_link_tokens (token, purpose, supplier_id, expires_at)
-      VALUES (:token, 'supplier_price_update', :supplierId, :expiresAt)
-    `, { replacements: { token: magicToken, supplierId: claim.supplier_id, expiresAt } });
+      INSERT INTO magic_link_tokens (token, purpose, supplier_id, supplier_user_id, expires_at)
+      VALUES (:token, 'supplier_price_update', :supplierId, :ownerId, :expiresAt)
+    `, { replacements: { token: magicToken, supplierId: claim.supplier_id, ownerId, expiresAt } });
 
     const baseUrl = process.env.BACKEND_URL || 'https://gethomeheat.com';
     const magicLinkUrl = `${baseUrl}/supplier-dashboard.html?token=${magicToken}`;
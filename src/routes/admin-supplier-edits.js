@@ -0,0 +1,153 @@
+/**
+ * Admin Supplier Edit Routes
+ * V1.0.0: Review queue for profile edits proposed from the supplier dashboard
+ *
+ * Endpoints:
+ * - GET /api/admin/supplier-edits?status=pending - List proposals with their diffs
+ * - POST /api/admin/supplier-edits/:id/approve - Apply the edits
+ * - POST /api/admin/supplier-edits/:id/reject - Reject with an optional reason
+ *
+ * Service-ZIP edits are not written to suppliers: approval stores a
+ * scrape-config.json patch (configPatch) on the proposal,
+ * scripts/apply-coverage-patches.js writes it into the JSON to commit, and
+ * ScrapeConfigSync applies it on the next deploy.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const requireAdmin = require('../middleware/requireAdmin');
+const supplierEditProposals = require('../services/supplierEditProposals');
+const router = express.Router();
+
+const SCRAPE_CONFIG_PATH = path.join(__dirname, '../data/scrape-config.json');
+const STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+router.use(requireAdmin);
+
+async function auditLog(sequelize, action, details, ip, logger) {
+  try {
+    await sequelize.query(`
+      INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+      VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'admin', :action, :details, :ip, NOW(), NOW())
+    `, { replacements: { action, details: JSON.stringify(details), ip } });
+  } catch (auditErr) {
+    logger?.warn(`[AdminSupplierEdits] Failed to write ${action} audit log:`, auditErr.message);
+  }
+}
+
+/**
+ * GET /api/admin/supplier-edits
+ * List proposals (oldest pending first) with from / to / current per field
+ */
+router.get('/', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const status = req.query.status || 'pending';
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+
+    const { proposals, counts } = await supplierEditProposals.listProposals(sequelize, { status });
+    res.json({ success: true, proposals, counts });
+
+  } catch (error) {
+    logger?.error('[AdminSupplierEdits] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list proposals' });
+  }
+});
+
+/**
+ * POST /api/admin/supplier-edits/:id/approve
+ * Body: { notes? }
+ */
+router.post('/:id/approve', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(SCRAPE_CONFIG_PATH, 'utf8'));
+    } catch (e) {
+      logger?.warn('[AdminSupplierEdits] Could not load scrape-config.json');
+    }
+
+    const result = await supplierEditProposals.approveProposal(sequelize, req.params.id, {
+      config,
+      notes: req.body.notes
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog(sequelize, 'supplier_edit_approved', {
+      supplier_id: result.proposal.supplierId,
+      supplier_slug: result.proposal.supplierSlug,
+      proposal_id: result.proposal.id,
+      applied: result.applied,
+      config_patch: result.configPatch
+    }, req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress, logger);
+
+    logger?.info(`[AdminSupplierEdits] Approved ${result.proposal.id} for ${result.proposal.supplierName}${result.configPatch ? ' (scrape-config.json patch pending — scripts/apply-coverage-patches.js)' : ''}`);
+
+    res.json({
+      success: true,
+      message: `Edits approved for ${result.proposal.supplierName}`,
+      applied: result.applied,
+      configPatch: result.configPatch
+    });
+
+  } catch (error) {
+    logger?.error('[AdminSupplierEdits] Approve error:', error.message);
+    res.status(500).json({ error: 'Failed to approve proposal' });
+  }
+});
+
+/**
+ * POST /api/admin/supplier-edits/:id/reject
+ * Body: { reason? }
+ */
+router.post('/:id/reject', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const rejected = await supplierEditProposals.rejectProposal(sequelize, req.params.id, {
+      reason: req.body.reason
+    });
+
+    if (!rejected) {
+      return res.status(404).json({ error: 'No pending proposal with that id' });
+    }
+
+    await auditLog(sequelize, 'supplier_edit_rejected', {
+      supplier_id: rejected.supplierId,
+      proposal_id: rejected.id,
+      reason: req.body.reason || null
+    }, req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress, logger);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger?.error('[AdminSupplierEdits] Reject error:', error.message);
+    res.status(500).json({ error: 'Failed to reject proposal' });
+  }
+});
+
+module.exports = router;
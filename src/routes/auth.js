@@ -1,13 +1,13 @@
 // src/routes/auth.js - Anonymous Authentication & User Management
+// V3.5.0: Users and devices persisted in Postgres (src/services/deviceRegistry.js)
+//         instead of in-memory Maps — deploys no longer log out every device
+// V3.5.0: GET /export — right-of-access JSON archive
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
-
-// In-memory storage for anonymous users (replace with database in production)
-let anonymousUsers = new Map();
-let deviceRegistrations = new Map();
+const deviceRegistry = require('../services/deviceRegistry');
+const { buildAccountExport } = require('../services/accountExport');
 
 // Admin configuration - secure bootstrap
 const ADMIN_EMAILS = [
@@ -59,6 +59,14 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Registry routes need the database — fail fast instead of pretending to persist
+const requireDatabase = (req, res, next) => {
+  if (!req.app.locals.sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  next();
+};
+
 // Middleware to verify JWT tokens
 const verifyToken = (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -104,7 +112,7 @@ const requireSuperAdmin = (req, res, next) => {
 };
 
 // POST /api/auth/register - Register anonymous user device
-router.post('/register', validateDeviceRegistration, handleValidationErrors, (req, res) => {
+router.post('/register', requireDatabase, validateDeviceRegistration, handleValidationErrors, async (req, res) => {
   try {
     const {
       deviceId,
@@ -124,69 +132,14 @@ router.post('/register', validateDeviceRegistration, handleValidationErrors, (re
       });
     }
     
-    // Check if device is already registered
-    if (deviceRegistrations.has(deviceId)) {
-      const existingDevice = deviceRegistrations.get(deviceId);
-      
-      // Update existing registration
-      existingDevice.lastSeen = new Date().toISOString();
-      existingDevice.appVersion = appVersion;
-      deviceRegistrations.set(deviceId, existingDevice);
-      
-      // Generate new token for existing user
-      const token = jwt.sign(
-        { 
-          userId: existingDevice.userId,
-          deviceId: deviceId,
-          type: 'anonymous'
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '90d' }
-      );
-      
-      logger.info(`🔄 Device re-registered: ${deviceId.substring(0, 8)}...`);
-      
-      return res.json({
-        success: true,
-        message: 'Device re-registered successfully',
-        token,
-        userId: existingDevice.userId,
-        expiresIn: '90 days'
-      });
-    }
-    
-    // Create new anonymous user
-    const userId = uuidv4();
-    const anonymousUser = {
-      id: userId,
-      type: 'anonymous',
-      createdAt: new Date().toISOString(),
-      lastActive: new Date().toISOString(),
-      deviceCount: 1,
-      privacySettings: {
-        analyticsConsent: true,
-        communityConsent: false,
-        marketDataConsent: true
-      }
-    };
-    
-    // Register device
-    const deviceRegistration = {
+    // Known devices keep their user; new devices get a new anonymous user
+    const { userId, isNew } = await deviceRegistry.registerDevice(req.app.locals.sequelize, {
       deviceId,
-      userId,
-      deviceModel: deviceModel || 'unknown',
-      osVersion: osVersion || 'unknown',
-      appVersion,
-      registeredAt: new Date().toISOString(),
-      lastSeen: new Date().toISOString(),
-      isActive: true
-    };
-    
-    // Store registrations
-    anonymousUsers.set(userId, anonymousUser);
-    deviceRegistrations.set(deviceId, deviceRegistration);
+      deviceModel,
+      osVersion,
+      appVersion
+    });
     
-    // Generate JWT token
     const token = jwt.sign(
       {
         userId,
@@ -197,6 +150,18 @@ router.post('/register', validateDeviceRegistration, handleValidationErrors, (re
       { expiresIn: '90d' }
     );
     
+    if (!isNew) {
+      logger.info(`🔄 Device re-registered: ${deviceId.substring(0, 8)}...`);
+      
+      return res.json({
+        success: true,
+        message: 'Device re-registered successfully',
+        token,
+        userId,
+        expiresIn: '90 days'
+      });
+    }
+    
     logger.info(`✅ New anonymous user registered: ${userId.substring(0, 8)}... Device: ${deviceId.substring(0, 8)}...`);
     
     res.status(201).json({
@@ -223,13 +188,13 @@ router.post('/register', validateDeviceRegistration, handleValidationErrors, (re
 });
 
 // POST /api/auth/verify - Verify and refresh token
-router.post('/verify', verifyToken, (req, res) => {
+router.post('/verify', requireDatabase, verifyToken, async (req, res) => {
   try {
     const { userId, deviceId } = req.user;
     const logger = req.app.locals.logger;
     
-    // Check if user exists
-    const user = anonymousUsers.get(userId);
+    // Updates last active (user) and last seen (device); null if the account was deleted
+    const user = await deviceRegistry.touchSession(req.app.locals.sequelize, userId, deviceId);
     if (!user) {
       return res.status(404).json({
         error: 'User not found',
@@ -237,17 +202,6 @@ router.post('/verify', verifyToken, (req, res) => {
       });
     }
     
-    // Update last active
-    user.lastActive = new Date().toISOString();
-    anonymousUsers.set(userId, user);
-    
-    // Update device last seen
-    if (deviceRegistrations.has(deviceId)) {
-      const device = deviceRegistrations.get(deviceId);
-      device.lastSeen = new Date().toISOString();
-      deviceRegistrations.set(deviceId, device);
-    }
-    
     logger.info(`🔍 Token verified for user: ${userId.substring(0, 8)}...`);
     
     res.json({
@@ -275,39 +229,34 @@ router.post('/verify', verifyToken, (req, res) => {
 
 // POST /api/auth/privacy-settings - Update privacy settings
 router.post('/privacy-settings', [
+  requireDatabase,
   verifyToken,
   body('analyticsConsent').isBoolean().withMessage('Analytics consent must be boolean'),
   body('communityConsent').isBoolean().withMessage('Community consent must be boolean'),
   body('marketDataConsent').isBoolean().withMessage('Market data consent must be boolean')
-], handleValidationErrors, (req, res) => {
+], handleValidationErrors, async (req, res) => {
   try {
     const { userId } = req.user;
     const { analyticsConsent, communityConsent, marketDataConsent } = req.body;
     const logger = req.app.locals.logger;
     
-    const user = anonymousUsers.get(userId);
-    if (!user) {
+    const settings = await deviceRegistry.updatePrivacySettings(req.app.locals.sequelize, userId, {
+      analyticsConsent,
+      communityConsent,
+      marketDataConsent
+    });
+    if (!settings) {
       return res.status(404).json({
         error: 'User not found'
       });
     }
     
-    // Update privacy settings
-    user.privacySettings = {
-      analyticsConsent,
-      communityConsent,
-      marketDataConsent
-    };
-    user.lastActive = new Date().toISOString();
-    
-    anonymousUsers.set(userId, user);
-    
     logger.info(`🔒 Privacy settings updated for user: ${userId.substring(0, 8)}...`);
     
     res.json({
       success: true,
       message: 'Privacy settings updated successfully',
-      settings: user.privacySettings
+      settings
     });
     
   } catch (error) {
@@ -320,26 +269,30 @@ router.post('/privacy-settings', [
 });
 
 // DELETE /api/auth/account - Delete anonymous user account
-router.delete('/account', verifyToken, (req, res) => {
+// Cascades to the user's devices and their rows in app_events, user_locations,
+// the user's ML rows (training_queue, predictions, prediction_feedback) and
+// (when the app sends its contributorHash) community_deliveries_raw and
+// tank_reminders.
+router.delete('/account', [
+  requireDatabase,
+  verifyToken,
+  body('contributorHash').optional().isLength({ min: 64, max: 64 }).withMessage('Invalid contributor hash')
+], handleValidationErrors, async (req, res) => {
   try {
     const { userId, deviceId } = req.user;
     const logger = req.app.locals.logger;
     
-    // Remove user data
-    anonymousUsers.delete(userId);
-    
-    // Remove device registrations for this user
-    for (const [id, device] of deviceRegistrations.entries()) {
-      if (device.userId === userId) {
-        deviceRegistrations.delete(id);
-      }
-    }
+    const deleted = await deviceRegistry.deleteAccount(req.app.locals.sequelize, userId, {
+      deviceId,
+      contributorHash: req.body?.contributorHash || null
+    });
     
-    logger.info(`🗑️ Anonymous user account deleted: ${userId.substring(0, 8)}...`);
+    logger.info(`🗑️ Anonymous user account deleted: ${userId.substring(0, 8)}... (${deleted.devices} devices, ${deleted.appEvents} events, ${deleted.userLocations} locations, ${deleted.communityDeliveriesRaw} raw deliveries, ${deleted.tankReminders} tank reminders, ${deleted.predictions} predictions, ${deleted.trainingQueue} ML readings)`);
     
     res.json({
       success: true,
-      message: 'Anonymous user account deleted successfully'
+      message: 'Anonymous user account deleted successfully',
+      deleted
     });
     
   } catch (error) {
@@ -351,8 +304,57 @@ router.delete('/account', verifyToken, (req, res) => {
   }
 });
 
+// GET /api/auth/export - Download everything tied to this account (right of access)
+// Identity keys: the token's user/devices, ?contributorHash= (community deliveries)
+// and ?emailToken= unsubscribe tokens
+// (price alerts / coverage requests — email rows are only returned with proof).
+router.get('/export', [
+  requireDatabase,
+  verifyToken,
+  query('contributorHash').optional().isLength({ min: 64, max: 64 }).withMessage('Invalid contributor hash'),
+  query('emailToken').optional()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, deviceId } = req.user;
+    const logger = req.app.locals.logger;
+    
+    const emailTokens = [].concat(req.query.emailToken || [])
+      .flatMap(t => String(t).split(','))
+      .map(t => t.trim())
+      .filter(Boolean)
+      .slice(0, 20);
+    
+    const archive = await buildAccountExport(req.app.locals.sequelize, userId, {
+      deviceId,
+      contributorHash: req.query.contributorHash || null,
+      emailTokens
+    });
+    
+    if (!archive.account) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'Anonymous user record not found'
+      });
+    }
+    
+    logger.info(`📦 Data export for user: ${userId.substring(0, 8)}...`);
+    
+    const date = archive.generatedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename=homeheat-export-${date}.json`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(archive);
+    
+  } catch (error) {
+    req.app.locals.logger.error('Data export error:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/auth/stats - Get authentication statistics (admin only)
-router.get('/stats', (req, res) => {
+router.get('/stats', requireDatabase, async (req, res) => {
   try {
     // Simple admin check via IP or header (improve in production)
     const isAdmin = req.headers['x-admin-key'] === process.env.ADMIN_KEY;
@@ -361,41 +363,10 @@ router.get('/stats', (req, res) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
     
-    const now = new Date();
-    const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const last7d = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    
-    let activeUsers24h = 0;
-    let activeUsers7d = 0;
-    let totalUsers = anonymousUsers.size;
-    
-    for (const user of anonymousUsers.values()) {
-      const lastActive = new Date(user.lastActive);
-      if (lastActive > last24h) activeUsers24h++;
-      if (lastActive > last7d) activeUsers7d++;
-    }
-    
-    let activeDevices = 0;
-    for (const device of deviceRegistrations.values()) {
-      const lastSeen = new Date(device.lastSeen);
-      if (lastSeen > last24h) activeDevices++;
-    }
+    const stats = await deviceRegistry.getAuthStats(req.app.locals.sequelize);
     
     res.json({
-      users: {
-        total: totalUsers,
-        active24h: activeUsers24h,
-        active7d: activeUsers7d
-      },
-      devices: {
-        total: deviceRegistrations.size,
-        active24h: activeDevices
-      },
-      privacy: {
-        analyticsOptIn: Array.from(anonymousUsers.values()).filter(u => u.privacySettings.analyticsConsent).length,
-        communityOptIn: Array.from(anonymousUsers.values()).filter(u => u.privacySettings.communityConsent).length,
-        marketDataOptIn: Array.from(anonymousUsers.values()).filter(u => u.privacySettings.marketDataConsent).length
-      },
+      ...stats,
       timestamp: new Date().toISOString()
     });
     
@@ -408,45 +379,14 @@ router.get('/stats', (req, res) => {
   }
 });
 
-// Cleanup inactive users (run periodically)
-const cleanupInactiveUsers = () => {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - 180); // 6 months
-  
-  let deletedUsers = 0;
-  let deletedDevices = 0;
-  
-  for (const [userId, user] of anonymousUsers.entries()) {
-    const lastActive = new Date(user.lastActive);
-    if (lastActive < cutoffDate) {
-      anonymousUsers.delete(userId);
-      deletedUsers++;
-      
-      // Delete associated devices
-      for (const [deviceId, device] of deviceRegistrations.entries()) {
-        if (device.userId === userId) {
-          deviceRegistrations.delete(deviceId);
-          deletedDevices++;
-        }
-      }
-    }
-  }
-  
-  if (deletedUsers > 0) {
-    // Cleanup will be logged by the main application logger if needed
-  }
-};
-
-// Run cleanup every 24 hours
-setInterval(cleanupInactiveUsers, 24 * 60 * 60 * 1000);
-
 // POST /api/auth/admin-login - Admin email-based authentication with password
 router.post('/admin-login', [
+  requireDatabase,
   body('email').isEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 1 }).withMessage('Password required'),
   body('deviceId').isLength({ min: 10, max: 100 }).withMessage('Device ID required'),
   body('appVersion').optional().isLength({ min: 1, max: 10 }).withMessage('App version invalid')
-], handleValidationErrors, (req, res) => {
+], handleValidationErrors, async (req, res) => {
   try {
     const { email, password, deviceId, appVersion } = req.body;
     const logger = req.app.locals.logger;
@@ -478,42 +418,15 @@ router.post('/admin-login', [
     }
     
     const role = getInitialRole(email);
-    const userId = uuidv4();
     
-    // Create admin user record
-    const adminUser = {
-      id: userId,
+    // One admin user per email; this device is (re)bound to it
+    const adminUser = await deviceRegistry.upsertAdminSession(req.app.locals.sequelize, {
       email: email.toLowerCase().trim(),
-      role: role,
-      type: 'admin',
-      isActive: true,
-      createdAt: new Date().toISOString(),
-      lastActive: new Date().toISOString(),
-      lastLoginAt: new Date().toISOString(),
-      deviceCount: 1,
-      privacySettings: {
-        analyticsConsent: true,
-        communityConsent: true,
-        marketDataConsent: true
-      }
-    };
-    
-    // Register admin device
-    const deviceRegistration = {
+      role,
       deviceId,
-      userId,
-      deviceModel: 'Admin Device',
-      osVersion: 'iOS',
-      appVersion,
-      registeredAt: new Date().toISOString(),
-      lastSeen: new Date().toISOString(),
-      isActive: true,
-      isAdminDevice: true
-    };
-    
-    // Store registrations
-    anonymousUsers.set(userId, adminUser);
-    deviceRegistrations.set(deviceId, deviceRegistration);
+      appVersion
+    });
+    const userId = adminUser.id;
     
     // Generate JWT token with admin role
     const token = jwt.sign(
@@ -556,12 +469,12 @@ router.post('/admin-login', [
 });
 
 // GET /api/auth/admin/profile - Get admin profile
-router.get('/admin/profile', verifyToken, requireAdmin, (req, res) => {
+router.get('/admin/profile', requireDatabase, verifyToken, requireAdmin, async (req, res) => {
   try {
     const { userId, email, role } = req.user;
     const logger = req.app.locals.logger;
     
-    const user = anonymousUsers.get(userId);
+    const user = await deviceRegistry.getUser(req.app.locals.sequelize, userId);
     if (!user) {
       return res.status(404).json({
         error: 'Admin user not found'
@@ -595,4 +508,5 @@ router.get('/admin/profile', verifyToken, requireAdmin, (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.verifyToken = verifyToken;
\ No newline at end of file
@@ -977,6 +977,23 @@ router.post('/deliveries', [
       });
     }
 
+    // V3.17.0: A shared delivery starts a new tank reminder cycle. Legacy
+    // payloads without a delivery date are too coarse; never blocks the submission.
+    const tankReminderService = req.app.locals.tankReminderService;
+    if (tankReminderService && (exactTimestamp || deliveryDate)) {
+      try {
+        await tankReminderService.recordDelivery({
+          contributorHash,
+          fuelType,
+          date: exactTimestamp || deliveryDate,
+          exactGallons,
+          gallonsBucket
+        });
+      } catch (error) {
+        logger.warn(`[V3.17.0] Tank reminder update failed: ${error.message}`);
+      }
+    }
+
     // Get updated area stats
     const updatedStats = await CommunityDelivery.count({
       where: {
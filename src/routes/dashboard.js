@@ -12,6 +12,7 @@
  * - GET /api/dashboard/prices - Price trends over time
  * - GET /api/dashboard/scraper-health - Scraper status and failures
  * - GET /api/dashboard/supplier-health - Comprehensive supplier health report
+ * - GET /api/dashboard/forecast-accuracy - Consumption forecast MAE/bias by model version
  * - GET /api/dashboard/command-center - Intelligence hub (North Star, anomalies, lifecycle)
  * - GET /api/dashboard/pwa - PWA install funnel
  * - GET /api/dashboard/suppliers - List all suppliers (for management)
@@ -31,6 +32,7 @@ const SupplierHealthService = require('../services/SupplierHealthService');
 const CommandCenterService = require('../services/CommandCenterService');
 const { findSuppliersForZip } = require('../services/supplierMatcher');
 const { buildLatestHealthPriceCTE } = require('../utils/supplier-health-price-query');
+const { getSupplierScorecards, getRepeatIgnorers, SLA_RESPONSE_MINUTES } = require('../services/quoteOutcomes');
 
 // Apply protection to all dashboard routes
 router.use(dashboardProtection);
@@ -973,12 +975,13 @@ router.get('/cron-health', async (req, res) => {
     const monitor = new CronMonitor(sequelize, logger);
     const health = await monitor.getDailyHealth();
 
-    // Also get 7-day history for the timeline
+    // Also get 7-day history for the timeline (node-cron + queue jobs; the
+    // per-supplier scrape jobs would crowd everything else out)
     const [history] = await sequelize.query(`
       SELECT job_name, status, started_at, duration_ms, error_message
-      FROM cron_heartbeats
+      FROM (${CronMonitor.HEARTBEATS_SQL}) heartbeats
       WHERE started_at > NOW() - INTERVAL '7 days'
-        AND job_name NOT LIKE '%:retry'
+        AND job_name <> 'supplier-scrape'
       ORDER BY started_at DESC
       LIMIT 100
     `);
@@ -990,6 +993,37 @@ router.get('/cron-health', async (req, res) => {
   }
 });
 
+// V3.6.1: GET /api/dashboard/forecast-accuracy - Consumption forecast MAE/bias over time
+router.get('/forecast-accuracy', async (req, res) => {
+  const logger = req.app.locals.logger;
+  const sequelize = req.app.locals.sequelize;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const [tableCheck] = await sequelize.query(`
+      SELECT 1 FROM information_schema.tables WHERE table_name = 'model_metrics'
+    `);
+    if (tableCheck.length === 0) {
+      return res.json({ activeVersion: null, windowDays: null, history: [], versions: [], regions: [] });
+    }
+
+    const { getAccuracyHistory } = require('../services/forecastAccuracy');
+    const { getActiveDeployment } = require('../services/consumptionModel');
+    const [accuracy, deployment] = await Promise.all([
+      getAccuracyHistory(sequelize, parseDays(req, 90)),
+      getActiveDeployment(sequelize)
+    ]);
+
+    res.json({ activeVersion: deployment.modelVersion, ...accuracy });
+  } catch (error) {
+    logger.error('[Dashboard] Forecast accuracy error:', error.message);
+    res.status(500).json({ error: 'Failed to load forecast accuracy', details: error.message });
+  }
+});
+
 // GET /api/dashboard/command-center - Intelligence hub data
 router.get('/command-center', async (req, res) => {
   const logger = req.app.locals.logger;
@@ -4974,6 +5008,9 @@ router.get('/quote-requests/consumers', async (req, res) => {
 });
 
 // GET /api/dashboard/quote-requests/suppliers - Per-supplier lead performance
+// V3.13.0: scorecards from services/quoteOutcomes (response SLA, contact
+// rate, bid wins, consumer ratings) over ?days= (default 90), plus whether
+// the supplier is currently demoted for ignoring leads.
 router.get('/quote-requests/suppliers', async (req, res) => {
   const logger = req.app.locals.logger;
   const sequelize = req.app.locals.sequelize;
@@ -4983,6 +5020,7 @@ router.get('/quote-requests/suppliers', async (req, res) => {
   }
 
   try {
+    const days = parseDays(req, 90);
     const [rows] = await sequelize.query(`
       SELECT
         s.id,
@@ -4992,50 +5030,34 @@ router.get('/quote-requests/suppliers', async (req, res) => {
         s.state,
         s.phone,
         s.lead_opted_in_at,
-        COUNT(qrs.id) AS total_leads,
-        COUNT(qrs.id) FILTER (WHERE qrs.status = 'sent') AS sent,
-        COUNT(qrs.id) FILTER (WHERE qrs.responded_at IS NOT NULL) AS responded,
-        COUNT(qrs.id) FILTER (WHERE qrs.status = 'failed') AS failed,
         MIN(qrs.created_at) AS first_lead_at,
-        MAX(qrs.created_at) AS last_lead_at,
-        AVG(
-          EXTRACT(EPOCH FROM (qrs.responded_at - qrs.sms_sent_at)) / 60.0
-        ) FILTER (WHERE qrs.responded_at IS NOT NULL AND qrs.sms_sent_at IS NOT NULL) AS avg_response_minutes,
-        COUNT(qrs.id) FILTER (
-          WHERE EXISTS (
-            SELECT 1 FROM quote_requests qr2
-            WHERE qr2.id = qrs.quote_request_id AND qr2.consumer_outcome = 'contacted'
-          )
-        ) AS leads_contacted
+        MAX(qrs.created_at) AS last_lead_at
       FROM suppliers s
       LEFT JOIN quote_request_suppliers qrs ON qrs.supplier_id = s.id
       WHERE s.lead_opted_in = true
       GROUP BY s.id, s.name, s.slug, s.city, s.state, s.phone, s.lead_opted_in_at
-      ORDER BY total_leads DESC, s.name ASC
     `);
 
+    const ids = rows.map(r => r.id);
+    const [cards, ignorers] = await Promise.all([
+      getSupplierScorecards(sequelize, { supplierIds: ids, days }),
+      getRepeatIgnorers(sequelize, ids),
+    ]);
+    const pct = (v) => v != null ? (v * 100).toFixed(0) + '%' : '—';
+
     const suppliers = rows.map(r => {
-      const totalLeads = parseInt(r.total_leads) || 0;
-      const sent = parseInt(r.sent) || 0;
-      const responded = parseInt(r.responded) || 0;
-      const failed = parseInt(r.failed) || 0;
-      const responseRate = sent > 0 ? responded / sent : 0;
+      const card = cards.get(r.id);
+      const totalLeads = card ? card.leads : 0;
+      const failed = card ? card.failed : 0;
       const failureRate = totalLeads > 0 ? failed / totalLeads : 0;
-      const avgResponseMinutes = r.avg_response_minutes != null ? parseFloat(r.avg_response_minutes).toFixed(1) : null;
-      const leadsContacted = parseInt(r.leads_contacted) || 0;
-      const winRate = sent > 0 ? leadsContacted / sent : 0;
 
       let health;
       if (totalLeads === 0) {
         health = 'no_leads';
       } else if (failureRate > 0.5) {
         health = 'sms_problem';
-      } else if (responseRate >= 0.5) {
-        health = 'good';
-      } else if (responseRate >= 0.2) {
-        health = 'fair';
       } else {
-        health = 'poor';
+        health = card.health;
       }
 
       return {
@@ -5045,28 +5067,140 @@ router.get('/quote-requests/suppliers', async (req, res) => {
         state: r.state,
         phone: r.phone,
         total_leads: totalLeads,
-        sent,
-        responded,
+        sent: totalLeads - failed,
+        responded: card ? card.responded : 0,
         failed,
-        response_rate: sent > 0 ? (responseRate * 100).toFixed(0) + '%' : '—',
-        failure_rate: totalLeads > 0 ? (failureRate * 100).toFixed(0) + '%' : '—',
-        avg_response_minutes: avgResponseMinutes,
+        response_rate: pct(card && card.contactRate),
+        failure_rate: totalLeads > 0 ? pct(failureRate) : '—',
+        median_response_minutes: card ? card.medianResponseMinutes : null,
+        sla_rate: pct(card && card.slaRate),
+        ignored: card ? card.ignored : 0,
+        bids: card ? card.bids : 0,
+        wins: card ? card.wins : 0,
+        win_rate: pct(card && card.winRate),
+        leads_contacted: card ? card.consumerReports.contacted : 0,
+        consumer_contact_rate: pct(card && card.consumerContactRate),
+        avg_rating: card ? card.avgRating : null,
+        ratings: card ? card.ratings : 0,
+        score: card ? card.score : null,
         first_lead_at: r.first_lead_at,
         last_lead_at: r.last_lead_at,
         lead_opted_in_at: r.lead_opted_in_at,
-        win_rate: sent > 0 ? (winRate * 100).toFixed(0) + '%' : '—',
-        leads_contacted: leadsContacted,
+        demoted: ignorers.has(r.id),
         health
       };
     });
 
-    res.json({ suppliers });
+    // Worst first among scored suppliers, then new / no-lead suppliers by volume
+    suppliers.sort((a, b) => {
+      if ((a.score == null) !== (b.score == null)) return a.score == null ? 1 : -1;
+      if (a.score != null && a.score !== b.score) return a.score - b.score;
+      return b.total_leads - a.total_leads || a.name.localeCompare(b.name);
+    });
+
+    res.json({ suppliers, days, sla_minutes: SLA_RESPONSE_MINUTES });
   } catch (error) {
     logger.error('[Dashboard] Quote requests suppliers error:', error.message);
     res.status(500).json({ error: 'Failed to load quote request supplier stats', details: error.message });
   }
 });
 
+// GET /api/dashboard/quote-requests/group-buys - Group orders (V3.14.0)
+// Pools started in the last ?days= (default 30) plus any still open or
+// bidding, with confirmed households, gallons vs threshold, bids and winner.
+router.get('/quote-requests/group-buys', async (req, res) => {
+  const logger = req.app.locals.logger;
+  const sequelize = req.app.locals.sequelize;
+
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const days = parseDays(req, 30);
+    const [rows] = await sequelize.query(`
+      SELECT
+        g.id, g.zip, to_char(g.delivery_week, 'YYYY-MM-DD') AS delivery_week,
+        g.gallon_threshold, g.join_deadline, g.status, g.closed_reason,
+        g.bids_close_at, g.awarded_at, g.closed_at, g.created_at,
+        (SELECT COUNT(*) FROM group_buy_participants p WHERE p.group_buy_id = g.id AND p.status = 'joined') AS households,
+        (SELECT COALESCE(SUM(p.gallons), 0) FROM group_buy_participants p WHERE p.group_buy_id = g.id AND p.status = 'joined') AS gallons,
+        (SELECT COUNT(*) FROM group_buy_suppliers gs WHERE gs.group_buy_id = g.id AND gs.sms_sent_at IS NOT NULL) AS invited,
+        (SELECT COUNT(*) FROM group_buy_suppliers gs WHERE gs.group_buy_id = g.id AND gs.bid_at IS NOT NULL) AS bids,
+        (SELECT MIN(gs.bid_price_per_gallon) FROM group_buy_suppliers gs WHERE gs.group_buy_id = g.id) AS lowest_bid,
+        ws.name AS winner_name,
+        w.bid_price_per_gallon AS winning_bid
+      FROM group_buys g
+      LEFT JOIN group_buy_suppliers w ON w.id = g.awarded_bid_id
+      LEFT JOIN suppliers ws ON ws.id = w.supplier_id
+      WHERE g.created_at > NOW() - INTERVAL '1 day' * :days
+         OR g.status IN ('open', 'bidding')
+      ORDER BY g.created_at DESC
+      LIMIT 200
+    `, { replacements: { days } });
+
+    const groupBuys = rows.map(r => ({
+      id: r.id,
+      zip: r.zip,
+      delivery_week: r.delivery_week,
+      threshold: r.gallon_threshold,
+      households: parseInt(r.households) || 0,
+      gallons: parseInt(r.gallons) || 0,
+      join_deadline: r.join_deadline,
+      status: r.status,
+      closed_reason: r.closed_reason,
+      invited: parseInt(r.invited) || 0,
+      bids: parseInt(r.bids) || 0,
+      lowest_bid: r.lowest_bid != null ? parseFloat(r.lowest_bid) : null,
+      winner: r.winner_name || null,
+      winning_bid: r.winning_bid != null ? parseFloat(r.winning_bid) : null,
+      bids_close_at: r.bids_close_at,
+      awarded_at: r.awarded_at,
+      closed_at: r.closed_at,
+      created_at: r.created_at
+    }));
+
+    const count = (status) => groupBuys.filter(g => g.status === status).length;
+    res.json({
+      group_buys: groupBuys,
+      summary: {
+        total: groupBuys.length,
+        open: count('open'),
+        bidding: count('bidding'),
+        awarded: count('awarded'),
+        expired: count('expired'),
+        cancelled: count('cancelled')
+      },
+      days
+    });
+  } catch (error) {
+    logger.error('[Dashboard] Group buys error:', error.message);
+    res.status(500).json({ error: 'Failed to load group orders', details: error.message });
+  }
+});
+
+// POST /api/dashboard/quote-requests/group-buys/:id/cancel - Cancel an open or bidding group order
+router.post('/quote-requests/group-buys/:id/cancel', async (req, res) => {
+  const logger = req.app.locals.logger;
+  const groupBuyService = req.app.locals.groupBuyService;
+
+  if (!groupBuyService) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const result = await groupBuyService.cancelPool(req.params.id, 'admin');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    logger.info(`[Dashboard] Cancelled group order ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('[Dashboard] Group buy cancel error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel group order', details: error.message });
+  }
+});
+
 // GET /api/dashboard/coverage-requests - Coverage request demand signal
 router.get('/coverage-requests', async (req, res) => {
   const logger = req.app.locals.logger;
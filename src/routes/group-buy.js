@@ -0,0 +1,431 @@
+/**
+ * Group Order Routes (V3.14.0) — neighborhood bulk order pooling
+ *
+ * GET  /api/group-buy?zip=XXXXX          — Active pools in a ZIP (JSON, for the Get Quotes widget)
+ * GET  /api/group-buy/start?zip=XXXXX    — Start-a-pool page (lists pools to join instead)
+ * POST /api/group-buy                    — Start a pool (or join that week's) + text the confirm link
+ * GET  /api/group-buy/verify/:participantId?h= — Household confirms (/gv/:participantId redirects here)
+ * GET  /api/group-buy/bid?t=TOKEN        — Supplier pooled-bid form (/gb/:token redirects here)
+ * POST /api/group-buy/bid                — Supplier submits / revises a pooled bid
+ * GET  /api/group-buy/:poolId            — Pool page: progress, join form, result (/g/:poolId redirects here)
+ * POST /api/group-buy/:poolId/join       — Join a pool
+ * POST /api/group-buy/leave              — Household leaves while the pool is still gathering (p, h)
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const GroupBuyService = require('../services/GroupBuyService');
+const { escapeHtml, renderPage } = require('../utils/html');
+
+const joinLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: { error: 'Too many requests. Please try again later.' }
+});
+
+const bidLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  message: { error: 'Too many requests. Please try again later.' }
+});
+
+const INPUT_STYLE = 'width:100%; padding:10px 12px; border:1px solid #D1D5DB; border-radius:8px; font-size:16px; box-sizing:border-box;';
+const LABEL_STYLE = 'display:block; font-size:13px; font-weight:600; color:#374151; margin:12px 0 4px;';
+const BUTTON_STYLE = 'width:100%; margin-top:16px; padding:14px; font-size:16px; font-weight:700; background:#FF6B35; color:#fff; border:none; border-radius:8px; cursor:pointer;';
+
+/**
+ * GET /api/group-buy?zip=XXXXX — Active pools for a ZIP
+ */
+router.get('/', async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  if (!service) return res.json({ pools: [] });
+
+  try {
+    res.json({ pools: await service.listActivePools(req.query.zip) });
+  } catch (err) {
+    res.json({ pools: [] });
+  }
+});
+
+/**
+ * GET /api/group-buy/start?zip=XXXXX — Start form
+ */
+router.get('/start', async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+  const zip = /^\d{5}$/.test(req.query.zip || '') ? req.query.zip : '';
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const pools = zip ? await service.listActivePools(zip) : [];
+    res.send(renderPage('Start a Group Order', renderStartForm(zip, pools, req.query.error)));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Start page failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * POST /api/group-buy — Start a pool (form post)
+ */
+router.post('/', joinLimiter, async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const result = await service.startPool(req.body);
+    if (result.error) {
+      const back = `/api/group-buy/start?zip=${encodeURIComponent(req.body.zip || '')}&error=${encodeURIComponent(result.error)}`;
+      return res.redirect(303, back);
+    }
+    res.send(renderPage('Check Your Phone', renderCheckPhone(result.joined_existing
+      ? 'Neighbors already started a group order for that week, so we added you to it.'
+      : 'Your group order is started.')));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Start failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * GET /api/group-buy/verify/:participantId?h=HASH — Household taps the SMS link
+ */
+router.get('/verify/:participantId', async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+  const { participantId } = req.params;
+  const hash = req.query.h || '';
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const result = await service.verifyParticipant(participantId, hash);
+    if (result.error) {
+      return res.status(400).send(renderPage('Link Issue', `
+        <div style="max-width:480px; margin:0 auto; text-align:center;">
+          <h2>Link issue</h2>
+          <p style="color:#666;">${esc(result.error)}</p>
+          ${result.poolId ? `<p><a href="/g/${esc(result.poolId)}">Back to the group order →</a></p>` : ''}
+        </div>`));
+    }
+    // The pool page personalizes with p + h (leave button, supplier number once awarded)
+    res.redirect(303, `/api/group-buy/${encodeURIComponent(result.poolId)}?p=${encodeURIComponent(participantId)}&h=${encodeURIComponent(hash)}&joined=1`);
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Verify failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * POST /api/group-buy/leave — Household leaves (p, h)
+ */
+router.post('/leave', joinLimiter, async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+  const { p, h } = req.body;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const result = await service.leavePool(p, h);
+    if (result.error) {
+      return res.status(400).send(renderPage('Not Removed', `<div style="max-width:480px; margin:0 auto; text-align:center;"><p>${esc(result.error)}</p></div>`));
+    }
+    res.send(renderPage('You Left the Group Order', `
+      <div style="max-width:480px; margin:0 auto; text-align:center;">
+        <h2>You're out of the group order</h2>
+        <p style="color:#666;">Your gallons no longer count toward it. <a href="/g/${esc(result.poolId)}">Rejoin</a> anytime before it fills.</p>
+      </div>`));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Leave failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * GET /api/group-buy/bid?t=TOKEN — Supplier pooled-bid form
+ */
+router.get('/bid', async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const token = req.query.t;
+
+  if (!service || !token) {
+    return res.status(400).send(renderPage('Invalid Link', '<p>This link is not valid.</p>'));
+  }
+
+  try {
+    const invite = await service.getBidInvite(token);
+    if (!invite.found) {
+      return res.send(renderPage('Link Expired', '<p>This link has expired or is not valid.</p>'));
+    }
+    res.send(renderPage('Group Order Bid', renderBidForm(token, invite)));
+  } catch (err) {
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * POST /api/group-buy/bid — Pooled bid submit (t, price)
+ */
+router.post('/bid', bidLimiter, async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+  const { t: token, price } = req.body;
+
+  if (!service || !token) {
+    return res.status(400).send(renderPage('Invalid Link', '<p>This link is not valid.</p>'));
+  }
+
+  try {
+    const result = await service.submitPoolBid(token, { price, source: 'web' });
+    if (result.error) {
+      return res.status(400).send(renderPage('Bid Not Sent', `
+        <div style="max-width:480px; margin:0 auto; text-align:center;">
+          <h2 style="margin:0 0 8px;">Bid not sent</h2>
+          <p style="color:#666;">${esc(result.error)}</p>
+          <p><a href="/gb/${esc(token)}">Back to the bid form</a></p>
+        </div>`));
+    }
+    res.send(renderPage('Bid Sent', `
+      <div style="max-width:480px; margin:0 auto; text-align:center;">
+        <div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:12px; padding:24px;">
+          <div style="font-size:2rem; margin-bottom:8px;">✓</div>
+          <h2 style="color:#16A34A; margin:0 0 8px;">Pooled bid sent</h2>
+          <p style="color:#374151; margin:0 0 12px;"><strong>$${result.price.toFixed(2)}/gal</strong> for the ZIP ${esc(result.zip)} group order.</p>
+          <p style="font-size:13px; color:#666; margin:0;">If yours is the lowest when bidding closes, we'll text you every household's name, number and gallons. You can lower your bid from the same link until then.</p>
+        </div>
+      </div>`));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Bid failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * GET /api/group-buy/:poolId — Pool page
+ */
+router.get('/:poolId', async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const data = await service.getPool(req.params.poolId, { participantId: req.query.p, hash: req.query.h });
+    if (!data) {
+      return res.status(404).send(renderPage('Not Found', '<p>This group order was not found.</p><p><a href="/prices">Search for suppliers →</a></p>'));
+    }
+    res.send(renderPage('Group Order', renderPool(data, {
+      hash: req.query.h,
+      joined: req.query.joined === '1',
+      error: req.query.error
+    })));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Pool page failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * POST /api/group-buy/:poolId/join — Join form post
+ */
+router.post('/:poolId/join', joinLimiter, async (req, res) => {
+  const service = req.app.locals.groupBuyService;
+  const logger = req.app.locals.logger;
+  const { poolId } = req.params;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const result = await service.joinPool(poolId, req.body);
+    if (result.error) {
+      return res.redirect(303, `/api/group-buy/${encodeURIComponent(poolId)}?error=${encodeURIComponent(result.error)}`);
+    }
+    res.send(renderPage('Check Your Phone', renderCheckPhone('You\'re almost in.')));
+  } catch (err) {
+    logger.error(`[GroupBuy Route] Join failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+// ─── Helpers ──────────────────────────────────────────────────
+
+function householdFields() {
+  return `
+    <label style="${LABEL_STYLE}">Your name</label>
+    <input type="text" name="name" maxlength="100" required style="${INPUT_STYLE}">
+    <label style="${LABEL_STYLE}">Mobile number</label>
+    <input type="tel" name="phone" required placeholder="(555) 555-5555" style="${INPUT_STYLE}">
+    <label style="${LABEL_STYLE}">About how many gallons?</label>
+    <input type="number" name="gallons" min="75" max="500" step="25" value="150" required style="${INPUT_STYLE}">
+    <input type="text" name="honeypot" value="" tabindex="-1" autocomplete="off" style="position:absolute; left:-9999px;" aria-hidden="true">`;
+}
+
+function renderStartForm(zip, pools, error) {
+  const weeks = GroupBuyService.upcomingWeeks();
+  const existing = pools.map(p => `
+    <div style="padding:10px 0; border-bottom:1px solid #E5D8D0;">
+      <strong>Week of ${esc(GroupBuyService.weekLabel(p.deliveryWeek))}</strong> — ${p.households} home${p.households === 1 ? '' : 's'}, ${p.gallons} of ${p.threshold} gal
+      ${p.open ? `<br><a href="/g/${esc(p.id)}">Join this group order →</a>` : '<br><span style="color:#666; font-size:13px;">Suppliers are bidding now</span>'}
+    </div>`).join('');
+
+  return `
+    <div style="background:#fff; border:2px solid #FF6B35; border-radius:12px; padding:24px; max-width:480px; margin:0 auto;">
+      ${error ? `<div style="background:#FEF2F2; color:#DC2626; border-radius:8px; padding:10px; margin-bottom:12px; font-size:14px;">${esc(error)}</div>` : ''}
+      <h2 style="margin:0 0 8px;">Order together, save together</h2>
+      <p style="color:#374151; font-size:14px;">
+        Start a group order for your ZIP and a delivery week. Neighbors join with their gallons; once the group reaches
+        ${GroupBuyService.GALLON_THRESHOLD} gal, local suppliers bid one price for everyone and the lowest bid wins.
+        The supplier calls each home to schedule — nobody pays until delivery.
+      </p>
+      ${existing ? `<div style="margin:12px 0;"><div style="font-size:13px; color:#666;">Already gathering in ${esc(zip)}:</div>${existing}</div>` : ''}
+      <form method="POST" action="/api/group-buy">
+        <label style="${LABEL_STYLE}">ZIP code</label>
+        <input type="text" name="zip" inputmode="numeric" pattern="\\d{5}" maxlength="5" required value="${esc(zip)}" style="${INPUT_STYLE}">
+        <label style="${LABEL_STYLE}">Delivery week</label>
+        <select name="delivery_week" required style="${INPUT_STYLE}">
+          ${weeks.map(w => `<option value="${w}">Week of ${esc(GroupBuyService.weekLabel(w))}</option>`).join('')}
+        </select>
+        ${householdFields()}
+        <button type="submit" style="${BUTTON_STYLE}">Start Group Order</button>
+      </form>
+      <p style="font-size:12px; color:#888; margin:12px 0 0;">We'll text you a link to confirm. Msg rates may apply.</p>
+    </div>`;
+}
+
+function renderCheckPhone(lead) {
+  return `
+    <div style="max-width:480px; margin:0 auto; text-align:center;">
+      <div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:12px; padding:24px;">
+        <div style="font-size:2rem; margin-bottom:8px;">📱</div>
+        <h2 style="color:#16A34A; margin:0 0 8px;">Check your phone</h2>
+        <p style="color:#374151; margin:0;">${esc(lead)} Tap the link we just texted you within an hour so your gallons count.</p>
+      </div>
+    </div>`;
+}
+
+const CLOSED_TEXT = {
+  under_threshold: 'didn\'t reach its gallon goal before the deadline',
+  no_suppliers: 'couldn\'t reach a participating supplier',
+  no_bids: 'didn\'t get any supplier bids',
+  unconfirmed: 'was never confirmed',
+  cancelled: 'was cancelled',
+};
+
+function renderPool({ pool, award, participant }, { hash, joined, error }) {
+  const week = esc(GroupBuyService.weekLabel(pool.deliveryWeek));
+  const pct = Math.min(100, Math.round(pool.gallons / pool.threshold * 100));
+  const isMember = participant && participant.status === 'joined';
+
+  let status;
+  if (pool.status === 'awarded' && award) {
+    status = `
+      <div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:16px;">
+        <h2 style="color:#16A34A; margin:0 0 4px;">$${award.pricePerGallon.toFixed(2)}/gal from ${esc(award.supplierName)}</h2>
+        <p style="color:#374151; margin:0;">${isMember
+          ? `They'll call to schedule delivery the week of ${week}${award.phone ? ` — or call them at <a href="tel:${esc(award.phone)}">${esc(award.phone)}</a>` : ''}.`
+          : `This group order is closed.`}</p>
+      </div>`;
+  } else if (pool.status === 'bidding') {
+    status = `<h2 style="margin:0 0 4px;">Suppliers are bidding</h2>
+      <p style="color:#666; font-size:14px;">The group reached ${pool.gallons} gal. The lowest pooled bid wins when bidding closes; everyone in the group gets a text.</p>`;
+  } else if (pool.open) {
+    status = `<h2 style="margin:0 0 4px;">Group order — ZIP ${esc(pool.zip)}</h2>
+      <p style="color:#666; font-size:14px;">Delivery week of ${week}. ${pool.gallonsToGo > 0
+        ? `${pool.gallonsToGo} more gallons and suppliers start bidding.`
+        : 'One more household and suppliers start bidding.'}</p>`;
+  } else {
+    status = `<h2 style="margin:0 0 4px;">Group order closed</h2>
+      <p style="color:#666; font-size:14px;">This group order ${CLOSED_TEXT[pool.closedReason] || 'has closed'}. <a href="/api/group-buy/start?zip=${esc(pool.zip)}">Start a new one →</a></p>`;
+  }
+
+  const progress = `
+    <div style="margin:12px 0;">
+      <div style="background:#F1E6DE; border-radius:6px; height:12px; overflow:hidden;"><div style="background:#FF6B35; height:12px; width:${pct}%;"></div></div>
+      <div style="font-size:13px; color:#666; margin-top:4px;">${pool.households} home${pool.households === 1 ? '' : 's'} · ${pool.gallons} of ${pool.threshold} gal</div>
+    </div>`;
+
+  let action = '';
+  if (isMember && pool.open) {
+    action = `
+      <p style="font-size:14px; color:#374151;">You're in with ~${participant.gallons} gal. Share this page with neighbors: <strong>gethomeheat.com/g/${esc(pool.id)}</strong></p>
+      <form method="POST" action="/api/group-buy/leave">
+        <input type="hidden" name="p" value="${esc(participant.id)}">
+        <input type="hidden" name="h" value="${esc(hash)}">
+        <button type="submit" style="background:none; border:none; color:#DC2626; font-size:13px; cursor:pointer; padding:0;">Leave this group order</button>
+      </form>`;
+  } else if (pool.open) {
+    action = `
+      <form method="POST" action="/api/group-buy/${esc(pool.id)}/join">
+        ${householdFields()}
+        <button type="submit" style="${BUTTON_STYLE}">Join Group Order</button>
+      </form>
+      <p style="font-size:12px; color:#888; margin:12px 0 0;">We'll text you a link to confirm. Msg rates may apply.</p>`;
+  }
+
+  return `
+    <div style="max-width:480px; margin:0 auto; background:#fff; border-radius:12px; padding:24px; box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+      ${error ? `<div style="background:#FEF2F2; color:#DC2626; border-radius:8px; padding:10px; margin-bottom:12px; font-size:14px;">${esc(error)}</div>` : ''}
+      ${joined && isMember ? '<div style="background:#F0FDF4; color:#16A34A; border-radius:8px; padding:10px; margin-bottom:12px; font-size:14px;">✓ You\'re in! Your gallons now count toward the group.</div>' : ''}
+      ${status}
+      ${pool.status === 'awarded' ? '' : progress}
+      ${action}
+      <p style="text-align:center; margin-top:16px; font-size:13px; color:#999;"><a href="/prices">Back to prices</a></p>
+    </div>`;
+}
+
+function renderBidForm(token, invite) {
+  const details = `ZIP ${esc(invite.zip)} · ${invite.households} homes · ${invite.gallons} gal total · week of ${esc(GroupBuyService.weekLabel(invite.deliveryWeek))}`;
+
+  if (!invite.open) {
+    const outcomeText = invite.outcome === 'won'
+      ? 'Your bid won — check your texts for the household list.'
+      : invite.outcome === 'lost'
+        ? 'Another supplier had the lowest price. Thanks for bidding!'
+        : 'Bidding on this group order has closed.';
+    return `
+      <div style="max-width:480px; margin:0 auto; text-align:center;">
+        <h2 style="margin:0 0 8px;">Bidding closed</h2>
+        <p style="color:#666;">${details}</p>
+        <p style="color:#374151;">${outcomeText}</p>
+      </div>`;
+  }
+
+  return `
+    <div style="background:#fff; border:2px solid #FF6B35; border-radius:12px; padding:24px; max-width:480px; margin:0 auto;">
+      <h2 style="margin:0 0 8px; color:#1a1a1a;">${invite.bid != null ? 'Update your pooled bid' : 'Bid on a group order'}</h2>
+      <p style="color:#666; margin:0 0 16px;">${details}</p>
+      <p style="font-size:14px; color:#374151; line-height:1.6;">
+        One price per gallon for every household. The lowest bid when bidding closes wins, and we text the winner each household's name, number and gallons.
+      </p>
+      <form method="POST" action="/api/group-buy/bid">
+        <input type="hidden" name="t" value="${esc(token)}">
+        <label style="${LABEL_STYLE}">Pooled price per gallon ($)</label>
+        <input type="number" name="price" step="0.001" min="1.50" max="8.00" required value="${invite.bid != null ? invite.bid.toFixed(3) : ''}" style="${INPUT_STYLE}">
+        <button type="submit" style="${BUTTON_STYLE}">${invite.bid != null ? 'Update Bid' : 'Send Bid'}</button>
+      </form>
+      <p style="font-size:12px; color:#888; margin:12px 0 0;">Or reply to the text: POOL 3.19</p>
+    </div>`;
+}
+
+function esc(text) {
+  return escapeHtml(text == null ? '' : String(text));
+}
+
+module.exports = router;
@@ -9,15 +9,23 @@
  * and estimated annual/monthly costs per fuel type.
  *
  * Powers: calculator page, comparison articles, iOS app, generated pages.
+ *
+ * V1.1.0: Optional home profile (squareFeet, insulation, setpoint, efficiency
+ * of the current system `fuel` — AFUE up to 1 for combustion fuels, COP for a
+ * heat pump; see FUELS[].efficiencyRange) and `mode=season` — heating season so far
+ * from weather_daily vs normal, with each fuel's projected season cost.
  */
 
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 
-const { FUELS, costPerMMBTU, annualHeatingCost, monthlyHeatingCost, paybackYears, fuelKeys } = require('../data/fuel-config');
+const { FUELS, INSULATION_FACTORS, costPerMMBTU, resolveHomeProfile, heatLossFactorFor, annualHeatingCost, monthlyHeatingCost, paybackYears, fuelKeys } = require('../data/fuel-config');
 const { getElectricRate, getGasRate, getHDD } = require('../data/energy-rates');
 const { getZipInfo } = require('../services/supplierMatcher');
+const weatherHistory = require('../services/weatherHistory');
+
+const PROFILE_NUMBER_PARAMS = ['squareFeet', 'setpoint', 'efficiency'];
 
 const heatingCostLimit = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -25,18 +33,24 @@ const heatingCostLimit = rateLimit({
   message: { error: 'Too many requests', retryAfter: '1 hour' },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => !!req.apiKey, // V3.22.0: partner keys have a daily quota instead
 });
 
 router.use(heatingCostLimit);
 
 /**
  * GET /api/v1/heating-cost?zip=10549
+ *   [&squareFeet=1800&insulation=good&setpoint=66&efficiency=0.8&fuel=heating-oil]
+ *   [&mode=season]
  *
  * Response:
  * {
  *   zip, county, state, hdd,
+ *   profile: { squareFeet, insulation, setpoint, efficiency, fuel, heatLossFactor },
  *   fuels: { 'heating-oil': { price, annualCost, monthlyCost, costPerMMBTU }, ... },
- *   cheapest, payback: { from, to, years }
+ *   cheapest, payback: { from, to, years },
+ *   season (mode=season): { from, to, hddToDate, normalToDate, departurePct,
+ *     observedDays, projectedSeasonHDD, fuels: { key: { projectedCost, difference } } }
  * }
  */
 router.get('/', async (req, res) => {
@@ -48,6 +62,33 @@ router.get('/', async (req, res) => {
     return res.status(400).json({ error: 'Valid 5-digit ZIP code required', param: 'zip' });
   }
 
+  const mode = req.query.mode || 'annual';
+  if (!['annual', 'season'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be annual or season', param: 'mode' });
+  }
+
+  // Home profile — the system efficiency applies to the home's current fuel only
+  const systemFuel = req.query.fuel || 'heating-oil';
+  if (!FUELS[systemFuel]) {
+    return res.status(400).json({ error: `fuel must be one of: ${fuelKeys().join(', ')}`, param: 'fuel' });
+  }
+  const requested = {};
+  for (const param of PROFILE_NUMBER_PARAMS) {
+    if (req.query[param] === undefined || req.query[param] === '') continue;
+    requested[param] = Number(req.query[param]);
+  }
+  if (req.query.insulation) requested.insulation = req.query.insulation;
+
+  let profile;
+  try {
+    profile = resolveHomeProfile(requested, systemFuel);
+  } catch (e) {
+    const param = e.message.replace(/^Invalid (\w+).*$/, '$1');
+    const hint = param === 'insulation' ? ` (${Object.keys(INSULATION_FACTORS).join(', ')})` : '';
+    return res.status(400).json({ error: `${e.message}${hint}`, param });
+  }
+  const homeFor = (key) => (key === systemFuel ? profile : { ...profile, efficiency: null });
+
   const zipInfo = getZipInfo(zip);
   if (!zipInfo) {
     return res.status(404).json({ error: 'ZIP code not found', zip });
@@ -107,9 +148,10 @@ router.get('/', async (req, res) => {
       if (price === null || price === undefined) continue;
 
       try {
-        const perMMBTU = costPerMMBTU(key, price);
-        const annual = annualHeatingCost(key, price, hdd);
-        const monthly = monthlyHeatingCost(key, price, hdd);
+        const home = homeFor(key);
+        const perMMBTU = costPerMMBTU(key, price, home.efficiency);
+        const annual = annualHeatingCost(key, price, hdd, home);
+        const monthly = monthlyHeatingCost(key, price, hdd, home);
 
         fuels[key] = {
           label: FUELS[key].label,
@@ -134,7 +176,7 @@ router.get('/', async (req, res) => {
       const years = paybackYears('heating-oil', 'heat-pump', {
         'heating-oil': prices['heating-oil'],
         'heat-pump': prices['heat-pump'],
-      }, hdd);
+      }, hdd, homeFor('heating-oil'));
       if (years !== null) {
         payback = {
           from: 'heating-oil',
@@ -144,15 +186,44 @@ router.get('/', async (req, res) => {
       }
     }
 
+    // Season so far: actual HDD to date + normals for the rest of the season
+    let season;
+    if (mode === 'season') {
+      season = null;
+      if (sequelize) {
+        const toDate = await weatherHistory.getSeasonToDate(sequelize, zip);
+        // Scale the season projection onto this endpoint's annual HDD basis
+        const projectedHDD = hdd * (toDate.projectedSeasonHDD / toDate.normalSeasonHDD);
+        const seasonFuels = {};
+        for (const [key, f] of Object.entries(fuels)) {
+          const projected = Math.round(annualHeatingCost(key, prices[key], projectedHDD, homeFor(key)));
+          seasonFuels[key] = { projectedCost: projected, difference: projected - f.annualCost };
+        }
+        season = {
+          from: toDate.from,
+          to: toDate.to,
+          hddToDate: toDate.hddToDate,
+          normalToDate: toDate.normalToDate,
+          departurePct: toDate.departurePct,
+          observedDays: toDate.observedDays,
+          filledDays: toDate.filledDays,
+          projectedSeasonHDD: Math.round(projectedHDD),
+          fuels: seasonFuels,
+        };
+      }
+    }
+
     res.json({
       zip,
       county,
       state,
       hdd,
       hddSource: hddResult.source,
+      profile: { ...profile, fuel: systemFuel, heatLossFactor: Math.round(heatLossFactorFor(profile)) },
       fuels,
       cheapest,
       payback,
+      ...(mode === 'season' ? { season } : {}),
     });
   } catch (error) {
     logger.error(`[heating-cost] Error for ZIP ${zip}:`, error.message);
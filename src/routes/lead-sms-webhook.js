@@ -7,16 +7,22 @@
  * Different number, different webhook, different STOP column.
  *
  * Routing:
- *   STOP  → set leads_opted_out_at (does NOT touch sms_opted_out)
- *   START → reset leads_opted_out_at, restore lead_opted_in
- *   HELP  → reply with info
- *   1/2   → consumer outcome reply
+ *   STOP  → set leads_opted_out_at (does NOT touch sms_opted_out), and stop
+ *           consumer price alert texts to that phone (V3.16.0)
+ *   START → reset leads_opted_out_at, restore lead_opted_in; resume alert texts
+ *   HELP  → reply with info covering both leads and price alerts
+ *   YES   → consumer confirms price alerts by text (V3.16.0)
+ *   BID   → supplier bid on a bid-mode request ("BID 3.49 Thursday")
+ *   POOL  → supplier pooled bid on a group order ("POOL 3.19", V3.14.0)
+ *   1/2   → consumer outcome reply ("1" is followed by a rating ask)
+ *   1-5   → consumer rating of the supplier (V3.13.0)
  *   else  → ignore (empty TwiML)
  */
 
 const express = require('express');
 const router = express.Router();
 const { validateTwilioSignature } = require('../middleware/twilio-signature');
+const { escapeHtml } = require('../utils/html');
 
 router.post('/sms', async (req, res) => {
   const logger = req.app.locals.logger;
@@ -27,6 +33,7 @@ router.post('/sms', async (req, res) => {
   }
 
   const { From, Body, MessageSid } = req.body;
+  const priceAlertService = req.app.locals.priceAlertService;
 
   if (!From || !quoteRequestService) {
     logger.warn('[Lead SMS Webhook] Missing From or QuoteRequestService not initialized');
@@ -36,27 +43,64 @@ router.post('/sms', async (req, res) => {
   try {
     const upperBody = (Body || '').trim().toUpperCase();
 
-    // STOP — supplier opts out of leads
+    // STOP — supplier opts out of leads / consumer stops price alert texts
     if (upperBody === 'STOP') {
       await quoteRequestService.handleLeadStop(From);
+      if (priceAlertService) await priceAlertService.handleSmsStop(From);
       logger.info(`[Lead SMS Webhook] STOP from ${From}`);
       // Twilio handles STOP automatically, but we also update our DB
       return res.type('text/xml').send('<Response></Response>');
     }
 
-    // START — supplier re-opts in
+    // START — supplier re-opts in / consumer resumes price alert texts
     if (upperBody === 'START') {
       await quoteRequestService.handleLeadStart(From);
+      const alertsResumed = priceAlertService ? await priceAlertService.handleSmsStart(From) : 0;
       logger.info(`[Lead SMS Webhook] START from ${From}`);
+      if (alertsResumed > 0) {
+        return res.type('text/xml').send(
+          '<Response><Message>HomeHeat price alerts by text are back on. Reply STOP to opt out.</Message></Response>'
+        );
+      }
       return res.type('text/xml').send(
         '<Response><Message>HomeHeat lead notifications re-enabled. You\'ll receive leads when homeowners request quotes in your area.</Message></Response>'
       );
     }
 
-    // HELP
+    // HELP — the same number sends supplier leads and consumer price alerts
     if (upperBody === 'HELP') {
       return res.type('text/xml').send(
-        '<Response><Message>HomeHeat lead notifications. Reply STOP to unsubscribe. Questions? Visit gethomeheat.com/support</Message></Response>'
+        '<Response><Message>HomeHeat: quote leads for suppliers and fuel price alerts for homeowners. Reply STOP to unsubscribe, START to resume. Questions? Visit gethomeheat.com/support</Message></Response>'
+      );
+    }
+
+    // Consumer confirms price alerts by text (V3.16.0)
+    if (priceAlertService && upperBody === 'YES') {
+      const zips = await priceAlertService.handleSmsConfirm(From);
+      if (zips.length > 0) {
+        logger.info(`[Lead SMS Webhook] Price alert SMS confirmed by ${From}`);
+        return res.type('text/xml').send(
+          `<Response><Message>${escapeHtml(`You're set: HomeHeat will text price alerts for ${zips.join(', ')}. Reply STOP to opt out.`)}</Message></Response>`
+        );
+      }
+    }
+
+    // Supplier bid (bid mode) — reply confirms or explains what to fix
+    if (/^BID\b/.test(upperBody)) {
+      const { reply } = await quoteRequestService.handleSupplierBidSMS(From, Body);
+      logger.info(`[Lead SMS Webhook] BID from ${From}: "${(Body || '').slice(0, 50)}"`);
+      return res.type('text/xml').send(
+        reply ? `<Response><Message>${escapeHtml(reply)}</Message></Response>` : '<Response></Response>'
+      );
+    }
+
+    // Supplier pooled bid on a group order (V3.14.0)
+    const groupBuyService = req.app.locals.groupBuyService;
+    if (groupBuyService && /^POOL\b/.test(upperBody)) {
+      const { reply } = await groupBuyService.handleSupplierPoolSMS(From, Body);
+      logger.info(`[Lead SMS Webhook] POOL from ${From}: "${(Body || '').slice(0, 50)}"`);
+      return res.type('text/xml').send(
+        reply ? `<Response><Message>${escapeHtml(reply)}</Message></Response>` : '<Response></Response>'
       );
     }
 
@@ -66,7 +110,7 @@ router.post('/sms', async (req, res) => {
       const outcome = await quoteRequestService.handleConsumerReply(From, trimmed);
       if (outcome === 'contacted') {
         return res.type('text/xml').send(
-          '<Response><Message>Thanks for letting us know! Glad a supplier reached out.</Message></Response>'
+          '<Response><Message>Thanks for letting us know! Glad a supplier reached out. How did it go? Reply 1-5 (5 = great).</Message></Response>'
         );
       }
       if (outcome === 'not_contacted') {
@@ -74,7 +118,17 @@ router.post('/sms', async (req, res) => {
           '<Response><Message>Sorry to hear that. We\'ll follow up. Visit gethomeheat.com/prices for supplier phone numbers.</Message></Response>'
         );
       }
-      // outcome is null — no matching request found, fall through to ignore
+      // outcome is null — no matching request found, may be a rating
+    }
+
+    // Consumer rating after a "contacted" reply: "1"–"5"
+    if (/^[1-5]$/.test(trimmed)) {
+      const rating = await quoteRequestService.handleConsumerRating(From, trimmed);
+      if (rating) {
+        return res.type('text/xml').send(
+          '<Response><Message>Thanks! Your rating helps us send you better suppliers next time.</Message></Response>'
+        );
+      }
     }
 
     // Anything else — log and ignore (so Leo can see if suppliers are trying to reply)
@@ -364,7 +364,9 @@ router.get('/leaderboard', async (req, res) => {
       const scrapedAge = now - new Date(deal.scraped_at).getTime();
       if (scrapedAge > LEADERBOARD_STALE_THRESHOLD_MS && deal.website) {
         const config = getConfigForSupplier(deal.website, scrapeConfig);
-        if (config && config.enabled) {
+        // Rendered (jsdom) scrapes take seconds of CPU and bypass the scheduler's
+        // host-group spacing if run inline — leave them to the DistributedScheduler.
+        if (config && config.enabled && config.pattern !== 'rendered') {
           try {
             const result = await scrapeSupplierPrice(
               { id: deal.supplier_id, name: deal.supplier_name, website: deal.website },
@@ -1,256 +1,395 @@
 // src/routes/ml-predictions.js - Machine Learning Prediction API
+// V3.6.0: Degree-day regression (src/services/consumptionModel.js) replaces the
+// fixed 3.5 gal/day model. Homes are fitted from their own training_queue
+// readings/deliveries on top of the active regional prior in model_deployments.
+// Every route needs the app's access token; the home is always the token's
+// user, never a userId from the request.
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
+const { body, param, validationResult, query } = require('express-validator');
 const router = express.Router();
-
-// Simple in-memory ML model (will be replaced with real ML later)
-class SimplePredictionModel {
-    constructor() {
-        this.baseConsumptionRate = 3.5; // gallons per day baseline
+const consumptionModel = require('../services/consumptionModel');
+const forecastAccuracy = require('../services/forecastAccuracy');
+const weatherHistory = require('../services/weatherHistory');
+const { verifyToken } = require('./auth');
+
+const DEFAULT_TANK_SIZE = 275;
+const REORDER_FRACTION = 0.25;
+
+// Analyze usage patterns (gal/day per interval, oldest first)
+function analyzePattern(historicalData) {
+    if (!historicalData || historicalData.length < 7) {
+        return 'insufficient_data';
     }
 
-    // Calculate heating degree days
-    calculateHDD(avgTemp, baseTemp = 65) {
-        return Math.max(0, baseTemp - avgTemp);
-    }
+    const recent = historicalData.slice(-7);
+    const older = historicalData.slice(-14, -7);
 
-    // Simple linear prediction based on historical data
-    predictConsumption(data) {
-        const {
-            currentTankLevel,
-            tankSize = 275,
-            historicalUsage = [],
-            currentTemp = 40,
-            forecastDays = 30
-        } = data;
+    if (older.length === 0) return 'insufficient_data';
 
-        // Calculate current gallons
-        const currentGallons = currentTankLevel * tankSize;
+    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
 
-        // Calculate usage rate based on temperature
-        const hdd = this.calculateHDD(currentTemp);
-        const tempAdjustment = 1 + (hdd / 100); // Increase usage with colder temps
-        
-        // Calculate daily usage
-        let dailyUsage = this.baseConsumptionRate * tempAdjustment;
-
-        // Adjust based on historical data if available
-        if (historicalUsage.length > 0) {
-            const avgHistorical = historicalUsage.reduce((a, b) => a + b, 0) / historicalUsage.length;
-            dailyUsage = (dailyUsage + avgHistorical) / 2;
-        }
+    const changePct = ((recentAvg - olderAvg) / olderAvg) * 100;
 
-        // Calculate days until empty
-        const daysUntilEmpty = Math.floor(currentGallons / dailyUsage);
-
-        // Calculate reorder date (at 25% tank level)
-        const reorderGallons = tankSize * 0.25;
-        const gallonsUntilReorder = currentGallons - reorderGallons;
-        const daysUntilReorder = Math.max(0, Math.floor(gallonsUntilReorder / dailyUsage));
-        const reorderDate = new Date();
-        reorderDate.setDate(reorderDate.getDate() + daysUntilReorder);
-
-        // Simple confidence calculation
-        const dataPoints = historicalUsage.length;
-        const confidence = Math.min(0.95, 0.5 + (dataPoints * 0.05));
-
-        return {
-            daysUntilEmpty,
-            dailyUsageGallons: parseFloat(dailyUsage.toFixed(2)),
-            currentGallons: parseFloat(currentGallons.toFixed(2)),
-            reorderDate,
-            daysUntilReorder,
-            confidence,
-            factors: {
-                temperatureImpact: tempAdjustment > 1.2 ? 'High' : tempAdjustment > 1.1 ? 'Moderate' : 'Low',
-                heatingDegreeDays: hdd,
-                dataPointsUsed: dataPoints
-            }
-        };
-    }
-
-    // Analyze usage patterns
-    analyzePattern(historicalData) {
-        if (!historicalData || historicalData.length < 7) {
-            return 'insufficient_data';
-        }
+    if (Math.abs(changePct) < 5) return 'stable';
+    if (changePct > 10) return 'increasing';
+    if (changePct < -10) return 'decreasing';
 
-        const recent = historicalData.slice(-7);
-        const older = historicalData.slice(-14, -7);
+    // Check for seasonal pattern (simplified)
+    const variance = calculateVariance(historicalData);
+    if (variance > 2) return 'seasonal';
 
-        if (older.length === 0) return 'insufficient_data';
-
-        const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-        const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
+    return 'stable';
+}
 
-        const changePct = ((recentAvg - olderAvg) / olderAvg) * 100;
+function calculateVariance(data) {
+    const mean = data.reduce((a, b) => a + b, 0) / data.length;
+    const squaredDiffs = data.map(x => Math.pow(x - mean, 2));
+    return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / data.length);
+}
 
-        if (Math.abs(changePct) < 5) return 'stable';
-        if (changePct > 10) return 'increasing';
-        if (changePct < -10) return 'decreasing';
-        
-        // Check for seasonal pattern (simplified)
-        const variance = this.calculateVariance(historicalData);
-        if (variance > 2) return 'seasonal';
+function addDays(date, days) {
+    if (days === null) return null;
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
 
-        return 'stable';
+// Latest non-empty value of a field across submitted events
+function latestEventValue(events, field) {
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i][field] != null && events[i][field] !== '') return events[i][field];
     }
+    return null;
+}
 
-    calculateVariance(data) {
-        const mean = data.reduce((a, b) => a + b, 0) / data.length;
-        const squaredDiffs = data.map(x => Math.pow(x - mean, 2));
-        return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / data.length);
+// The user comes from the token — refuse a caller-supplied one rather than
+// silently ignoring it
+function rejectCallerUserId(req, res, next) {
+    if (req.body?.userId !== undefined || req.query?.userId !== undefined) {
+        return res.status(400).json({ error: 'userId is taken from the access token and must not be sent' });
     }
+    next();
 }
 
-const model = new SimplePredictionModel();
-
 // Validation middleware
 const validatePredictionRequest = [
-    body('userId').isUUID().withMessage('Valid user ID required'),
     body('currentTankLevel').isFloat({ min: 0, max: 1 }).withMessage('Tank level must be between 0 and 1'),
     body('tankSize').optional().isFloat({ min: 100, max: 1000 }).withMessage('Tank size must be between 100 and 1000 gallons'),
+    body('zipCode').optional().matches(/^\d{5}$/).withMessage('ZIP code must be 5 digits'),
+    body('currentTemp').optional().isFloat({ min: -50, max: 120 }),
     body('includeWeather').optional().isBoolean(),
     body('forecastDays').optional().isInt({ min: 1, max: 90 }).withMessage('Forecast days must be between 1 and 90')
 ];
 
 const validateDataSubmission = [
-    body('userId').isUUID().withMessage('Valid user ID required'),
     body('date').isISO8601().withMessage('Valid date required'),
     body('tankLevel').optional().isFloat({ min: 0, max: 1 }),
     body('gallonsDelivered').optional().isFloat({ min: 0, max: 1000 }),
-    body('temperature').optional().isFloat({ min: -50, max: 120 })
+    body('temperature').optional().isFloat({ min: -50, max: 120 }),
+    body('tankSize').optional().isFloat({ min: 100, max: 1000 }),
+    body('zipCode').optional().matches(/^\d{5}$/).withMessage('ZIP code must be 5 digits')
 ];
 
 // POST /api/ml/predictions/consumption - Get consumption prediction
-router.post('/predictions/consumption', validatePredictionRequest, async (req, res) => {
+router.post('/predictions/consumption', verifyToken, rejectCallerUserId, validatePredictionRequest, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
     try {
+        const sequelize = req.app.locals.sequelize;
+        const { userId } = req.user;
         const {
-            userId,
             currentTankLevel,
-            tankSize = 275,
             includeWeather = true,
             forecastDays = 30,
-            currentTemp = 40
+            currentTemp = null
         } = req.body;
 
-        // TODO: Fetch historical data from database
-        // For now, using mock data
-        const historicalUsage = [3.2, 3.5, 3.8, 3.3, 3.6, 3.4, 3.7];
+        // Home history (none without a DB or before migration 183)
+        let events = [];
+        if (sequelize) {
+            try {
+                events = await consumptionModel.loadHomeEvents(sequelize, userId);
+            } catch (error) {
+                console.warn('Prediction history unavailable:', error.message);
+            }
+        }
 
-        // Get prediction
-        const prediction = model.predictConsumption({
-            currentTankLevel,
+        const tankSize = parseFloat(req.body.tankSize || latestEventValue(events, 'tankSize') || DEFAULT_TANK_SIZE);
+        const zipCode = req.body.zipCode || latestEventValue(events, 'zipCode');
+        const climate = consumptionModel.locationClimate(zipCode);
+        const deployment = await consumptionModel.getActiveDeployment(sequelize);
+        const { hyperparameters } = deployment;
+        const prior = consumptionModel.priorFor(hyperparameters, climate.state);
+
+        // V3.7.0: Observed daily HDD over the home's history (normals fill gaps)
+        let dailyHDD = null;
+        if (sequelize && zipCode && events.length >= 2) {
+            try {
+                const dates = events.map(e => new Date(e.date)).filter(d => !Number.isNaN(d.getTime()));
+                const from = new Date(Math.min(...dates)).toISOString().slice(0, 10);
+                const to = new Date(Math.max(...dates)).toISOString().slice(0, 10);
+                const stored = await weatherHistory.loadDailyHDD(sequelize, weatherHistory.locationForZip(zipCode).key, from, to);
+                dailyHDD = new Map([...stored].filter(([, row]) => row.hdd != null).map(([date, row]) => [date, parseFloat(row.hdd)]));
+            } catch (error) {
+                console.warn('Weather history unavailable:', error.message);
+            }
+        }
+
+        const intervals = consumptionModel.buildIntervals(events, { tankSize, annualHDD: climate.annualHDD, dailyHDD });
+        const fit = consumptionModel.fitHome(intervals, prior, hyperparameters.sigmaDaily);
+
+        const currentGallons = currentTankLevel * tankSize;
+        const now = new Date();
+        const prediction = consumptionModel.predictConsumption({
+            fit,
+            sigmaDaily: hyperparameters.sigmaDaily,
+            currentGallons,
             tankSize,
-            historicalUsage,
-            currentTemp,
-            forecastDays
+            annualHDD: climate.annualHDD,
+            forecastDays: parseInt(forecastDays),
+            currentTemp: includeWeather && currentTemp !== null ? parseFloat(currentTemp) : null,
+            now,
+            reorderFraction: REORDER_FRACTION
         });
 
+        // Share of forecast usage driven by cold rather than base load
+        const heatingShare = prediction.dailyUsageGallons > 0
+            ? (fit.beta * prediction.forecastHDD / forecastDays) / prediction.dailyUsageGallons
+            : 0;
+        const factors = {
+            temperatureImpact: heatingShare > 0.8 ? 'High' : heatingShare > 0.5 ? 'Moderate' : 'Low',
+            heatingDegreeDays: prediction.forecastHDD,
+            dataPointsUsed: intervals.length,
+            gallonsPerHDD: Math.round(fit.beta * 1000) / 1000,
+            baseLoadGallonsPerDay: Math.round(fit.alpha * 100) / 100,
+            priorRegion: prior.region,
+            hddSource: climate.source,
+            weatherDays: dailyHDD ? dailyHDD.size : 0
+        };
+
         // Analyze usage pattern
-        const usagePattern = model.analyzePattern(historicalUsage);
+        const usagePattern = analyzePattern(intervals.map(iv => iv.gallons / iv.days));
+
+        const daysUntilEmpty = prediction.daysUntilEmpty.expected;
+        const daysUntilReorder = prediction.daysUntilReorder.expected;
 
         // Generate insights
         const insights = [];
-        if (prediction.daysUntilReorder < 7) {
+        if (daysUntilReorder !== null && daysUntilReorder < 7) {
             insights.push('Consider ordering soon - less than a week until reorder point');
         }
-        if (prediction.factors.temperatureImpact === 'High') {
+        if (factors.temperatureImpact === 'High') {
             insights.push('Cold weather is significantly increasing your oil consumption');
         }
         if (usagePattern === 'increasing') {
             insights.push('Your usage has been trending upward recently');
         }
+        if (intervals.length === 0) {
+            insights.push('Prediction is based on similar homes in your area - log tank readings to personalize it');
+        }
 
         // Generate recommendations
         const recommendations = [];
-        if (prediction.daysUntilReorder < 14) {
+        if (daysUntilReorder !== null && daysUntilReorder < 14) {
             recommendations.push({
                 action: 'Schedule delivery',
-                urgency: prediction.daysUntilReorder < 7 ? 'high' : 'medium',
-                reason: `Tank will reach 25% in ${prediction.daysUntilReorder} days`
+                urgency: daysUntilReorder < 7 ? 'high' : 'medium',
+                reason: `Tank will reach 25% in ${daysUntilReorder} days`
             });
         }
 
+        const reorderDate = addDays(now, daysUntilReorder);
+        const runoutDate = addDays(now, daysUntilEmpty);
+
+        // Best-effort: stored for accuracy tracking against later readings
+        let predictionId = null;
+        if (sequelize) {
+            try {
+                const [rows] = await sequelize.query(`
+                    INSERT INTO predictions
+                      (user_id, prediction_date, predicted_days_left, predicted_reorder_days,
+                       predicted_daily_usage, predicted_runout_date, confidence_score,
+                       model_version, model_type, region, factors)
+                    VALUES ($1, NOW(), $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    RETURNING id
+                `, {
+                    bind: [
+                        userId,
+                        daysUntilEmpty,
+                        daysUntilReorder,
+                        prediction.dailyUsageGallons,
+                        runoutDate ? runoutDate.toISOString().split('T')[0] : null,
+                        prediction.confidence,
+                        deployment.modelVersion,
+                        consumptionModel.MODEL_TYPE,
+                        climate.state,
+                        JSON.stringify({ ...factors, currentGallons, tankSize, zipCode: zipCode || null })
+                    ]
+                });
+                predictionId = rows[0] ? rows[0].id : null;
+            } catch (error) {
+                console.warn('Prediction not stored:', error.message);
+            }
+        }
+
         res.json({
             prediction: {
-                daysUntilEmpty: prediction.daysUntilEmpty,
+                daysUntilEmpty,
                 dailyUsageGallons: prediction.dailyUsageGallons,
                 confidenceScore: prediction.confidence,
-                reorderDate: prediction.reorderDate,
-                currentGallons: prediction.currentGallons,
-                daysUntilReorder: prediction.daysUntilReorder
+                reorderDate,
+                currentGallons: parseFloat(currentGallons.toFixed(2)),
+                daysUntilReorder
+            },
+            // 80% intervals; null = beyond the 365-day horizon
+            confidenceInterval: {
+                level: 0.8,
+                daysUntilEmpty: prediction.daysUntilEmpty,
+                daysUntilReorder: prediction.daysUntilReorder,
+                dailyUsageGallons: prediction.dailyUsageInterval
             },
-            factors: prediction.factors,
+            factors,
             usagePattern: {
                 type: usagePattern,
                 description: getPatternDescription(usagePattern)
             },
             insights,
             recommendations,
-            timestamp: new Date().toISOString()
+            model: {
+                version: deployment.modelVersion,
+                type: consumptionModel.MODEL_TYPE
+            },
+            predictionId,
+            timestamp: now.toISOString()
         });
 
     } catch (error) {
         console.error('Prediction error:', error);
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Failed to generate prediction',
-            message: error.message 
+            message: error.message
         });
     }
 });
 
 // POST /api/ml/data/submit - Submit consumption data for training
-router.post('/data/submit', validateDataSubmission, async (req, res) => {
+router.post('/data/submit', verifyToken, rejectCallerUserId, validateDataSubmission, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
+    const sequelize = req.app.locals.sequelize;
+    if (!sequelize) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
     try {
+        const { userId } = req.user;
         const {
-            userId,
             date,
             tankLevel,
             gallonsDelivered,
-            temperature
+            temperature,
+            tankSize,
+            zipCode
         } = req.body;
 
-        // TODO: Store in database training_queue table
-        const dataPoint = {
-            id: uuidv4(),
-            userId,
-            date,
-            tankLevel,
-            gallonsDelivered,
-            temperature,
-            timestamp: new Date().toISOString()
-        };
+        if (tankLevel === undefined && gallonsDelivered === undefined) {
+            return res.status(400).json({ error: 'tankLevel or gallonsDelivered required' });
+        }
+
+        // A delivery day with a post-fill reading is stored as both rows
+        const rows = [];
+        if (gallonsDelivered !== undefined) {
+            rows.push(['delivery', { date, gallonsDelivered, tankSize, zipCode }]);
+        }
+        if (tankLevel !== undefined) {
+            rows.push(['tank_reading', { date, tankLevel, temperature, tankSize, zipCode }]);
+        }
+
+        const dataPointIds = [];
+        for (const [dataType, payload] of rows) {
+            const [inserted] = await sequelize.query(`
+                INSERT INTO training_queue (user_id, data_type, data_payload)
+                VALUES ($1, $2, $3)
+                RETURNING id
+            `, { bind: [userId, dataType, JSON.stringify(payload)] });
+            dataPointIds.push(inserted[0].id);
+        }
 
         res.json({
             success: true,
             message: 'Data submitted for model training',
-            dataPointId: dataPoint.id
+            dataPointId: dataPointIds[0],
+            dataPointIds
         });
 
     } catch (error) {
         console.error('Data submission error:', error);
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Failed to submit data',
-            message: error.message 
+            message: error.message
         });
     }
 });
 
-// GET /api/ml/analytics - Get usage analytics
-router.get('/analytics', [
-    query('userId').isUUID().withMessage('Valid user ID required'),
+// POST /api/ml/predictions/:id/feedback - Report the actual run-out / delivery date
+// Only the token's own predictions can be scored
+router.post('/predictions/:id/feedback', verifyToken, rejectCallerUserId, [
+    param('id').isUUID().withMessage('Valid prediction ID required'),
+    body('feedbackType').isIn(forecastAccuracy.FEEDBACK_TYPES).withMessage(`feedbackType must be one of: ${forecastAccuracy.FEEDBACK_TYPES.join(', ')}`),
+    body('date').isISO8601().withMessage('Valid date required'),
+    body('comments').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sequelize = req.app.locals.sequelize;
+    if (!sequelize) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const { feedbackType, date, comments } = req.body;
+
+        const prediction = await forecastAccuracy.getPrediction(sequelize, req.params.id, req.user.userId);
+        if (!prediction) {
+            return res.status(404).json({ error: 'Prediction not found' });
+        }
+        if (forecastAccuracy.actualDaysFrom(prediction.prediction_date, date) < 0) {
+            return res.status(400).json({ error: 'date is before the prediction was made' });
+        }
+
+        const feedback = await forecastAccuracy.recordFeedback(sequelize, prediction, { feedbackType, date, comments });
+
+        res.json({
+            success: true,
+            feedbackId: feedback.id,
+            feedbackType: feedback.feedbackType,
+            actualDays: feedback.actualDays,
+            predictedDays: feedback.predictedDays,
+            errorDays: feedback.errorDays
+        });
+
+    } catch (error) {
+        console.error('Feedback error:', error);
+        res.status(500).json({
+            error: 'Failed to record feedback',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/ml/analytics - The token user's forecast error, weekly predicted
+// usage and the latest nightly metrics for the model serving them
+router.get('/analytics', verifyToken, rejectCallerUserId, [
     query('days').optional().isInt({ min: 7, max: 365 })
 ], async (req, res) => {
     const errors = validationResult(req);
@@ -258,80 +397,73 @@ router.get('/analytics', [
         return res.status(400).json({ errors: errors.array() });
     }
 
+    const sequelize = req.app.locals.sequelize;
+    if (!sequelize) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
     try {
-        const { userId, days = 30 } = req.query;
-
-        // TODO: Fetch from database
-        // Mock analytics data for now
-        const mockWeeklyUsage = [3.1, 3.2, 3.0, 2.9, 3.3, 3.5, 3.2];
-        const mockMonthlyUsage = [95, 88, 72, 45, 31, 28, 30, 38, 55, 78, 92, 98];
-
-        const analytics = {
-            historicalAccuracy: 0.88,
-            avgPredictionError: 2.3,
-            totalDataPoints: 45,
-            usagePatterns: {
-                weekly: mockWeeklyUsage,
-                weeklyAverage: parseFloat((mockWeeklyUsage.reduce((a, b) => a + b, 0) / 7).toFixed(2)),
-                monthly: mockMonthlyUsage,
-                monthlyAverage: parseFloat((mockMonthlyUsage.reduce((a, b) => a + b, 0) / 12).toFixed(2))
-            },
-            insights: [
-                'Your usage is 15% lower than similar homes in your area',
-                'Weekend usage is 10% higher than weekdays',
-                'You typically use 30% more oil in January compared to October'
-            ],
-            savingsOpportunities: [
-                {
-                    tip: 'Lower thermostat by 1°F',
-                    potentialSavings: '3-5% reduction in consumption',
-                    estimatedMonthlySavings: 12
-                },
-                {
-                    tip: 'Schedule delivery during off-peak times',
-                    potentialSavings: '$0.05-0.10 per gallon',
-                    estimatedMonthlySavings: 15
-                }
-            ],
-            lastUpdated: new Date().toISOString()
-        };
+        const days = parseInt(req.query.days || forecastAccuracy.METRIC_WINDOW_DAYS);
+        const analytics = await forecastAccuracy.getUserAnalytics(sequelize, req.user.userId, days);
+        analytics.lastUpdated = new Date().toISOString();
 
         res.json(analytics);
 
     } catch (error) {
         console.error('Analytics error:', error);
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Failed to fetch analytics',
-            message: error.message 
+            message: error.message
         });
     }
 });
 
 // GET /api/ml/model/status - Get ML model status
-router.get('/model/status', async (req, res) => {
+router.get('/model/status', verifyToken, async (req, res) => {
     try {
+        const sequelize = req.app.locals.sequelize;
+        const deployment = await consumptionModel.getActiveDeployment(sequelize);
+        const { hyperparameters, validationMetrics } = deployment;
+
+        let dataStats = null;
+        if (sequelize) {
+            try {
+                const [[row]] = await sequelize.query(`
+                    SELECT COUNT(DISTINCT user_id) AS users,
+                           COUNT(*) AS data_points,
+                           MAX(created_at) AS last_data_update
+                    FROM training_queue
+                `);
+                dataStats = {
+                    totalUsers: parseInt(row.users),
+                    totalDataPoints: parseInt(row.data_points),
+                    lastDataUpdate: row.last_data_update
+                };
+            } catch (error) {
+                console.warn('Training data stats unavailable:', error.message);
+            }
+        }
+
         const status = {
-            modelVersion: '1.0.0-simple',
-            modelType: 'linear_regression',
-            lastTrained: new Date(Date.now() - 86400000).toISOString(), // 1 day ago
-            accuracy: {
-                mae: 2.1,
-                rmse: 3.2,
-                r2Score: 0.82
-            },
-            dataStats: {
-                totalUsers: 150,
-                totalDataPoints: 4500,
-                lastDataUpdate: new Date().toISOString()
+            modelVersion: deployment.modelVersion,
+            modelType: consumptionModel.MODEL_TYPE,
+            lastTrained: deployment.deploymentDate,
+            accuracy: validationMetrics
+                ? { mae: validationMetrics.mae, mape: validationMetrics.mape, holdout: validationMetrics.holdout }
+                : null,
+            prior: {
+                national: hyperparameters.national,
+                regions: Object.keys(hyperparameters.regions || {}),
+                sigmaDaily: hyperparameters.sigmaDaily
             },
-            nextTraining: new Date(Date.now() + 86400000).toISOString(), // 1 day from now
-            status: 'healthy',
+            dataStats,
+            status: deployment.deploymentDate ? 'healthy' : 'default_prior',
             features: [
-                'temperature',
                 'heating_degree_days',
-                'historical_usage',
-                'tank_level',
-                'days_since_delivery'
+                'base_load',
+                'tank_readings',
+                'deliveries',
+                'regional_prior'
             ]
         };
 
@@ -339,9 +471,9 @@ router.get('/model/status', async (req, res) => {
 
     } catch (error) {
         console.error('Status error:', error);
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Failed to fetch model status',
-            message: error.message 
+            message: error.message
         });
     }
 });
@@ -359,4 +491,4 @@ function getPatternDescription(pattern) {
     return descriptions[pattern] || 'Unknown pattern';
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
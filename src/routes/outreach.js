@@ -10,6 +10,7 @@
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
+const { getNotificationService } = require('../services/NotificationService');
 
 /**
  * Generate HMAC token for unsubscribe link
@@ -61,9 +62,13 @@ router.get('/unsubscribe', async (req, res) => {
       UPDATE suppliers
       SET email_unsubscribed = true
       WHERE slug = :slug
-      RETURNING name
+      RETURNING name, email
     `, { replacements: { slug } });
 
+    if (result[0]?.email) {
+      await getNotificationService().suppress('email', result[0].email, { stream: 'outreach', reason: 'unsubscribe', source: 'outreach-unsubscribe' });
+    }
+
     const name = result[0]?.name || slug;
     logger?.info(`[Outreach] ${name} (${slug}) unsubscribed from emails`);
 
@@ -88,7 +93,8 @@ router.get('/unsubscribe', async (req, res) => {
 /**
  * POST /api/webhook/resend
  * Resend bounce and complaint webhook
- * On hard bounce or spam complaint, auto-unsubscribe the supplier
+ * On hard bounce or spam complaint, suppress the address for all email
+ * (notification_suppressions) and auto-unsubscribe the supplier
  */
 router.post('/resend-webhook', async (req, res) => {
   const sequelize = req.app.locals.sequelize;
@@ -109,6 +115,12 @@ router.post('/resend-webhook', async (req, res) => {
 
     logger?.info(`[Outreach] Resend webhook: ${type} for ${email}`);
 
+    // Block every stream for this address, not just supplier outreach
+    await getNotificationService().suppress('email', email, {
+      reason: type === 'email.bounced' ? 'bounce' : 'complaint',
+      source: 'resend-webhook'
+    });
+
     // Find supplier by email and unsubscribe
     const [result] = await sequelize.query(`
       UPDATE suppliers
@@ -1,10 +1,12 @@
 // src/routes/price-alerts.js
-// Price alert subscribe/unsubscribe endpoints
+// Price alert subscribe/unsubscribe endpoints, plus the web push key and
+// message fetch used by website/sw.js (V3.16.0)
 
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
 const { isValidEmail, isValidZip } = require('../utils/email-validation');
+const { getVapidKeys } = require('../utils/web-push');
 
 /**
  * POST /api/price-alerts/subscribe
@@ -14,7 +16,9 @@ router.post('/subscribe', async (req, res) => {
   const logger = req.app.locals.logger;
 
   try {
-    const { email, zip_code, threshold_price, source_page, utm_source, utm_campaign } = req.body;
+    const { email, zip_code, source_page, utm_source, utm_campaign, sms_phone, push_subscription, email_alerts } = req.body;
+    const PriceAlertService = require('../services/PriceAlertService');
+    const alertService = new PriceAlertService(sequelize, logger, req.app.locals.quoteRequestService);
 
     // Validate inputs
     if (!isValidEmail(email)) {
@@ -24,15 +28,36 @@ router.post('/subscribe', async (req, res) => {
       return res.status(400).json({ error: 'Please enter a valid 5-digit ZIP code.' });
     }
 
-    const price = parseFloat(threshold_price);
-    if (isNaN(price) || price < 2.00 || price > 6.00) {
-      return res.status(400).json({ error: 'Threshold must be between $2.00 and $6.00.' });
+    // Rule shape (V3.15.0) — a bare { threshold_price } is still a heating-oil below_price rule
+    const { rule, error } = PriceAlertService.normalizeRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Channels (V3.16.0) — email stays on unless another channel replaces it
+    let smsPhone = null;
+    if (sms_phone) {
+      smsPhone = PriceAlertService.normalizeSmsPhone(sms_phone);
+      if (!smsPhone) {
+        return res.status(400).json({ error: 'Please enter a valid US mobile number.' });
+      }
+    }
+    let pushSubscriptionId = null;
+    if (push_subscription) {
+      pushSubscriptionId = await alertService.savePushSubscription(push_subscription, req.get('user-agent'));
+      if (!pushSubscriptionId) {
+        return res.status(400).json({ error: "This browser's notifications aren't supported." });
+      }
+    }
+    const emailEnabled = email_alerts !== false;
+    if (!emailEnabled && !smsPhone && !pushSubscriptionId) {
+      return res.status(400).json({ error: 'Choose at least one way to get alerts.' });
     }
 
     // Generate unsubscribe token
     const unsubscribe_token = crypto.randomBytes(32).toString('hex');
 
-    // Get current min price for this ZIP (to set last_price_seen)
+    // Get current min price for this ZIP + fuel (recorded as signup_price_at_time)
     const [priceRows] = await sequelize.query(`
       SELECT MIN(sp.price_per_gallon) AS min_price
       FROM suppliers s
@@ -43,43 +68,107 @@ router.post('/subscribe', async (req, res) => {
         AND sp.expires_at > NOW()
         AND sp.scraped_at > NOW() - INTERVAL '72 hours'
         AND sp.source_type != 'aggregator_signal'
-        AND sp.fuel_type = 'heating_oil'
+        AND sp.fuel_type = :fuel_type
         AND EXISTS (
           SELECT 1 FROM jsonb_array_elements_text(s.postal_codes_served) AS zip
           WHERE zip = :zip_code
         )
-    `, { replacements: { zip_code } });
+    `, { replacements: { zip_code, fuel_type: rule.fuel_type } });
 
     const currentMinPrice = priceRows[0]?.min_price ? parseFloat(priceRows[0].min_price) : null;
 
+    // Supplier watch: the supplier must be listed with prices and deliver to this ZIP;
+    // its own current price is the reference the rule compares against.
+    let supplier = null;
+    if (rule.rule_type === 'supplier_watch') {
+      const [supplierRows] = await sequelize.query(`
+        SELECT s.id, s.name,
+          (SELECT sp.price_per_gallon FROM supplier_prices sp
+           WHERE sp.supplier_id = s.id
+             AND sp.fuel_type = :fuel_type
+             AND sp.is_valid = true
+             AND sp.expires_at > NOW()
+             AND sp.scraped_at > NOW() - INTERVAL '72 hours'
+             AND sp.source_type != 'aggregator_signal'
+           ORDER BY sp.scraped_at DESC LIMIT 1) AS current_price
+        FROM suppliers s
+        WHERE s.slug = :slug
+          AND s.active = true
+          AND s.allow_price_display = true
+          AND EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(s.postal_codes_served) AS zip
+            WHERE zip = :zip_code
+          )
+      `, { replacements: { slug: rule.supplier_slug, zip_code, fuel_type: rule.fuel_type } });
+      if (!supplierRows.length) {
+        return res.status(400).json({ error: "That supplier doesn't list prices for your ZIP." });
+      }
+      supplier = supplierRows[0];
+    }
+
+    const signupPrice = supplier
+      ? (supplier.current_price != null ? parseFloat(supplier.current_price) : null)
+      : currentMinPrice;
+
     // Insert or update subscriber
     // xmax = 0 means INSERT (new row), xmax != 0 means UPDATE (existing row)
     // last_price_seen is intentionally NULL — only set when an alert is actually sent.
-    // signup_price_at_time records the price at signup for informational purposes.
+    // signup_price_at_time is the pct_drop / supplier_watch baseline: kept across
+    // re-subscribes, reset only when the watched supplier changes.
     const [rows] = await sequelize.query(`
       INSERT INTO price_alert_subscribers (
         email, zip_code, threshold_price, unsubscribe_token,
         signup_price_at_time,
+        rule_type, fuel_type, pct_drop, lookback_weeks, supplier_id, delivery,
+        email_enabled, sms_phone_last10, push_subscription_id,
         source_page, utm_source, utm_campaign
       ) VALUES (
         :email, :zip_code, :threshold_price, :unsubscribe_token,
         :signup_price,
+        :rule_type, :fuel_type, :pct_drop, :lookback_weeks, :supplier_id, :delivery,
+        :email_enabled, :sms_phone, :push_subscription_id,
         :source_page, :utm_source, :utm_campaign
       )
-      ON CONFLICT (email, zip_code) DO UPDATE SET
+      ON CONFLICT (email, zip_code, fuel_type, rule_type) DO UPDATE SET
         threshold_price = EXCLUDED.threshold_price,
+        pct_drop = EXCLUDED.pct_drop,
+        lookback_weeks = EXCLUDED.lookback_weeks,
+        delivery = EXCLUDED.delivery,
         active = true,
         last_price_seen = NULL,
-        signup_price_at_time = COALESCE(price_alert_subscribers.signup_price_at_time, EXCLUDED.signup_price_at_time),
+        signup_price_at_time = CASE
+          WHEN price_alert_subscribers.supplier_id IS DISTINCT FROM EXCLUDED.supplier_id
+            THEN EXCLUDED.signup_price_at_time
+          ELSE COALESCE(price_alert_subscribers.signup_price_at_time, EXCLUDED.signup_price_at_time)
+        END,
+        supplier_id = EXCLUDED.supplier_id,
+        email_enabled = EXCLUDED.email_enabled,
+        sms_confirmed_at = CASE
+          WHEN EXCLUDED.sms_phone_last10 IS DISTINCT FROM price_alert_subscribers.sms_phone_last10
+               AND EXCLUDED.sms_phone_last10 IS NOT NULL
+            THEN NULL
+          ELSE price_alert_subscribers.sms_confirmed_at
+        END,
+        sms_phone_last10 = COALESCE(EXCLUDED.sms_phone_last10, price_alert_subscribers.sms_phone_last10),
+        push_subscription_id = COALESCE(EXCLUDED.push_subscription_id, price_alert_subscribers.push_subscription_id),
         source_page = COALESCE(EXCLUDED.source_page, price_alert_subscribers.source_page)
-      RETURNING (xmax = 0) AS is_new
+      RETURNING (xmax = 0) AS is_new, id, signup_price_at_time, sms_phone_last10, sms_confirmed_at
     `, {
       replacements: {
         email: email.toLowerCase().trim(),
         zip_code,
-        threshold_price: price,
+        threshold_price: rule.threshold_price,
         unsubscribe_token,
-        signup_price: currentMinPrice,
+        signup_price: signupPrice,
+        rule_type: rule.rule_type,
+        fuel_type: rule.fuel_type,
+        pct_drop: rule.pct_drop,
+        lookback_weeks: rule.lookback_weeks,
+        supplier_id: supplier ? supplier.id : null,
+        delivery: rule.delivery,
+        email_enabled: emailEnabled,
+        sms_phone: smsPhone,
+        push_subscription_id: pushSubscriptionId,
         source_page: source_page || null,
         utm_source: utm_source || null,
         utm_campaign: utm_campaign || null
@@ -87,28 +176,50 @@ router.post('/subscribe', async (req, res) => {
     });
 
     const isNew = rows[0]?.is_new;
+    const description = PriceAlertService.describeRule({
+      ...rule,
+      supplier_name: supplier ? supplier.name : null,
+      signup_price_at_time: rows[0]?.signup_price_at_time ?? null
+    });
 
     const hasCoverage = currentMinPrice !== null;
 
+    // SMS needs the phone's own YES before any alert is texted
+    let smsStatus = null;
+    if (smsPhone) {
+      smsStatus = rows[0]?.sms_confirmed_at
+        ? 'confirmed'
+        : await alertService.requestSmsConfirm({ ...rows[0], email: email.toLowerCase().trim(), zip_code, fuel_type: rule.fuel_type });
+    }
+
     // Send welcome email only on new subscriber (not threshold updates)
     if (isNew) {
-      const PriceAlertService = require('../services/PriceAlertService');
-      const alertService = new PriceAlertService(sequelize, logger);
       // Fire and forget — don't block the response
-      alertService.sendWelcomeEmail(email.toLowerCase().trim(), zip_code, price, currentMinPrice, unsubscribe_token).catch(err => {
+      alertService.sendWelcomeEmail(email.toLowerCase().trim(), zip_code, rule.threshold_price, currentMinPrice, unsubscribe_token, {
+        rule_type: rule.rule_type,
+        fuel_type: rule.fuel_type,
+        delivery: rule.delivery,
+        description
+      }).catch(err => {
         logger.error('[PriceAlert] Welcome email error:', err.message);
       });
     }
 
     if (hasCoverage) {
-      logger.info(`[PriceAlert] ${isNew ? 'New' : 'Updated'} subscriber: ${zip_code} at $${price.toFixed(2)}`);
+      logger.info(`[PriceAlert] ${isNew ? 'New' : 'Updated'} subscriber: ${zip_code} — ${description} (${rule.delivery})`);
     } else {
-      logger.warn(`[PriceAlert] ${isNew ? 'New' : 'Updated'} subscriber in UNCOVERED ZIP: ${zip_code} at $${price.toFixed(2)}`);
+      logger.warn(`[PriceAlert] ${isNew ? 'New' : 'Updated'} subscriber in UNCOVERED ZIP: ${zip_code} — ${description} (${rule.delivery})`);
     }
     res.json({
       success: true,
       has_coverage: hasCoverage,
-      current_price: currentMinPrice
+      current_price: currentMinPrice,
+      rule: description,
+      channels: {
+        email: emailEnabled,
+        sms: smsStatus,
+        push: pushSubscriptionId ? 'subscribed' : null
+      }
     });
 
   } catch (err) {
@@ -117,6 +228,45 @@ router.post('/subscribe', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/price-alerts/push/key
+ * VAPID public key for pushManager.subscribe(); 404 when push isn't configured
+ */
+router.get('/push/key', (req, res) => {
+  const keys = getVapidKeys();
+  if (!keys) {
+    return res.status(404).json({ error: 'Push alerts are not available.' });
+  }
+  res.json({ publicKey: keys.publicKey });
+});
+
+/**
+ * POST /api/price-alerts/push/latest { endpoint }
+ * Called by website/sw.js when a (payload-less) push arrives — returns the
+ * newest undelivered price alert or tank reminder for that device, or {}
+ * when there is none.
+ */
+router.post('/push/latest', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+  const endpoint = req.body && req.body.endpoint;
+  if (!endpoint || typeof endpoint !== 'string' || endpoint.length > 1000) {
+    return res.status(400).json({ error: 'endpoint required' });
+  }
+
+  try {
+    const PriceAlertService = require('../services/PriceAlertService');
+    const TankReminderService = require('../services/TankReminderService');
+    // V3.17.0: the same device endpoint can carry tank reminders
+    const message = await new PriceAlertService(sequelize, logger).takePendingPush(endpoint)
+      || await new TankReminderService(sequelize, logger).takePendingPush(endpoint);
+    res.json(message || {});
+  } catch (err) {
+    logger.error('[PriceAlert] Push fetch error:', err.message);
+    res.status(500).json({ error: 'Something went wrong.' });
+  }
+});
+
 /**
  * GET /api/price-alerts/unsubscribe?token=...
  * Renders confirmation page (does NOT auto-unsubscribe — protects against email link scanners)
@@ -214,7 +364,7 @@ router.post('/trigger', async (req, res) => {
 
   try {
     const PriceAlertService = require('../services/PriceAlertService');
-    const alertService = new PriceAlertService(sequelize, logger);
+    const alertService = new PriceAlertService(sequelize, logger, req.app.locals.quoteRequestService);
     const result = await alertService.runDailyCheck();
     res.json(result);
   } catch (error) {
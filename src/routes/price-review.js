@@ -7,6 +7,8 @@
  * 2. Admin clicks link in email → opens portal with valid token
  * 3. GET /api/price-review - Returns list of sites needing review
  * 4. POST /api/price-review/submit - Submit verified price(s)
+ * 5. V3.4.0: html_changed items → GET /api/price-review/regex-suggestions/:supplierId,
+ *    then POST /api/price-review/regex-suggestions/accept (one-click regex repair)
  *
  * Authentication: Magic link tokens (48-hour expiry) or admin master token
  */
@@ -19,6 +21,8 @@ const router = express.Router();
 const { classifyError, CATEGORIES } = require('../services/SupplierDiagnosticsService');
 const { buildBlockedSitesSQL } = require('../utils/review-queue-sql');
 const { recordSuccess } = require('../services/scrapeBackoff');
+const { getConfigForSupplier, getConfigDomain, fetchSupplierPage, extractPrice, FUEL_PRICE_RANGES } = require('../services/priceScraper');
+const { suggestRegexRepairs, applyRegexRepair, getActiveRepair, repairBranchSlug } = require('../services/regexRepair');
 
 // heatingoil-kjnt: fuel-aware helpers for HEALTH-bucket queries (stale-list).
 // Other queries in this file (suspicious-band, blocked-context, /stats) stay
@@ -384,7 +388,9 @@ router.get('/', requireAuth, async (req, res) => {
             category: diagCategory,
             label: diagInfo.label,
             icon: diagInfo.icon,
-            action: diagInfo.action
+            action: diagInfo.action,
+            // V3.4.0: GET /regex-suggestions/:supplierId proposes a replacement regex
+            repairable: diagCategory === 'html_changed'
           } : null
         };
 
@@ -668,5 +674,191 @@ router.get('/stats', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Supplier + effective scrape config (JSON entry with any accepted repair layered on)
+ */
+async function loadRepairTarget(sequelize, supplierId) {
+  const [rows] = await sequelize.query(
+    'SELECT id, name, slug, website, last_scrape_error FROM suppliers WHERE id = :id',
+    { replacements: { id: supplierId } }
+  );
+  if (rows.length === 0) return { error: 'Supplier not found', status: 404 };
+  const supplier = rows[0];
+  const domain = getConfigDomain(supplier.website);
+  const baseConfig = getConfigForSupplier(supplier.website, scrapeConfig, supplier.slug);
+  if (!baseConfig || !baseConfig.enabled) {
+    return { error: 'Supplier is not configured for scraping', status: 422 };
+  }
+  const branchSlug = repairBranchSlug(scrapeConfig, domain, supplier.slug);
+  const activeRepair = await getActiveRepair(sequelize, domain, branchSlug);
+  return { supplier, domain, branchSlug, config: applyRegexRepair(baseConfig, activeRepair), activeRepair };
+}
+
+/**
+ * GET /api/price-review/regex-suggestions/:supplierId
+ * V3.4.0: Fetch the supplier's current page and propose ranked replacement
+ * priceRegex/sectionStart configs, each dry-run through extractPrice().
+ *
+ * Returns: { supplier, currentConfig, lastGoodPrice, suggestions: [...] }
+ */
+async function getRegexSuggestions(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const target = await loadRepairTarget(sequelize, req.params.supplierId);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    const { supplier, domain, config } = target;
+
+    const [lastGood] = await sequelize.query(`
+      SELECT price_per_gallon, scraped_at
+      FROM supplier_prices
+      WHERE supplier_id = :id AND fuel_type = 'heating_oil' AND source_type = 'scraped'
+      ORDER BY scraped_at DESC
+      LIMIT 1
+    `, { replacements: { id: supplier.id } });
+    const lastGoodPrice = lastGood.length ? parseFloat(lastGood[0].price_per_gallon) : null;
+
+    const page = await fetchSupplierPage(supplier, config);
+    if (page.error) {
+      return res.status(422).json({ error: `Could not load price page: ${page.error}`, url: page.url });
+    }
+
+    const suggestions = suggestRegexRepairs(page.html, { config, lastPrice: lastGoodPrice });
+    logger?.info(`[PriceReview] ${suggestions.length} regex suggestion(s) for ${supplier.name}`);
+
+    res.json({
+      success: true,
+      supplier: { id: supplier.id, name: supplier.name, domain, lastScrapeError: supplier.last_scrape_error },
+      currentConfig: {
+        pattern: config.pattern,
+        priceRegex: config.priceRegex || null,
+        sectionStart: config.sectionStart || null,
+        regexRepairId: config.regexRepairId || null
+      },
+      currentExtraction: extractPrice(page.html, config),
+      lastGoodPrice,
+      lastGoodAt: lastGood.length ? lastGood[0].scraped_at : null,
+      pageUrl: page.url,
+      suggestions
+    });
+  } catch (error) {
+    logger?.error('[PriceReview] Regex suggestion error:', error.message);
+    res.status(500).json({ error: 'Failed to build regex suggestions', message: error.message });
+  }
+}
+router.get('/regex-suggestions/:supplierId', requireAuth, getRegexSuggestions);
+
+/**
+ * POST /api/price-review/regex-suggestions/accept
+ * V3.4.0: Accept a suggestion. Re-verified against the live page, then stored
+ * as the active override for the domain (previous active repair superseded).
+ * Both scrape paths pick it up on the next scrape.
+ *
+ * Body: { supplierId, priceRegex, sectionStart?, pattern?, strategy? }
+ */
+async function acceptRegexSuggestion(req, res) {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  const { supplierId, priceRegex, sectionStart, pattern, strategy } = req.body || {};
+  if (!supplierId || !priceRegex) {
+    return res.status(400).json({ error: 'supplierId and priceRegex required' });
+  }
+  if (pattern && !['direct', 'table', 'rendered'].includes(pattern)) {
+    return res.status(400).json({ error: `Invalid pattern: ${pattern}` });
+  }
+  try {
+    new RegExp(priceRegex);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid regex: ${e.message}` });
+  }
+  if (!/\((?!\?)/.test(priceRegex)) {
+    return res.status(400).json({ error: 'priceRegex needs a capture group for the price' });
+  }
+
+  try {
+    const target = await loadRepairTarget(sequelize, supplierId);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    const { supplier, domain, branchSlug, config } = target;
+
+    const [lastGood] = await sequelize.query(`
+      SELECT price_per_gallon FROM supplier_prices
+      WHERE supplier_id = :id AND fuel_type = 'heating_oil' AND source_type = 'scraped'
+      ORDER BY scraped_at DESC LIMIT 1
+    `, { replacements: { id: supplier.id } });
+    const lastGoodPrice = lastGood.length ? parseFloat(lastGood[0].price_per_gallon) : null;
+
+    // Never store a regex that doesn't extract from today's page.
+    const page = await fetchSupplierPage(supplier, config);
+    if (page.error) {
+      return res.status(422).json({ error: `Could not load price page: ${page.error}` });
+    }
+    const repair = { id: null, price_regex: priceRegex, section_start: sectionStart || null, pattern: pattern || null };
+    const extracted = extractPrice(page.html, applyRegexRepair(config, repair));
+    const [lo, hi] = FUEL_PRICE_RANGES.heating_oil;
+    if (extracted === null || extracted < lo || extracted > hi) {
+      return res.status(422).json({ error: 'Regex does not extract a valid oil price from the current page' });
+    }
+
+    // Supersede + insert together: a failed insert must not leave the
+    // domain / branch without its previous active repair
+    const inserted = await sequelize.transaction(async (transaction) => {
+      await sequelize.query(`
+        UPDATE scrape_regex_repairs
+        SET status = 'superseded', superseded_at = NOW()
+        WHERE domain = :domain AND branch_slug IS NOT DISTINCT FROM :branchSlug AND status = 'active'
+      `, { replacements: { domain, branchSlug }, transaction });
+
+      const [rows] = await sequelize.query(`
+        INSERT INTO scrape_regex_repairs (
+          supplier_id, domain, branch_slug, price_regex, section_start, pattern,
+          previous_regex, previous_section_start, last_good_price, extracted_price,
+          strategy, status, accepted_by
+        ) VALUES (
+          :supplierId, :domain, :branchSlug, :priceRegex, :sectionStart, :pattern,
+          :previousRegex, :previousSectionStart, :lastGoodPrice, :extracted,
+          :strategy, 'active', :acceptedBy
+        )
+        RETURNING id
+      `, {
+        replacements: {
+          supplierId: supplier.id,
+          domain,
+          branchSlug,
+          priceRegex,
+          sectionStart: sectionStart || null,
+          pattern: pattern || null,
+          previousRegex: config.priceRegex || null,
+          previousSectionStart: config.sectionStart || null,
+          lastGoodPrice,
+          extracted,
+          strategy: strategy || null,
+          acceptedBy: req.authType || 'unknown'
+        },
+        transaction
+      });
+      return rows;
+    });
+
+    logger?.info(`[PriceReview] Regex repair accepted for ${supplier.name} (${domain}): $${extracted.toFixed(3)}`);
+
+    res.json({
+      success: true,
+      repairId: inserted[0]?.id || null,
+      domain,
+      branchSlug,
+      extractedPrice: extracted,
+      lastGoodPrice
+    });
+  } catch (error) {
+    logger?.error('[PriceReview] Accept regex error:', error.message);
+    res.status(500).json({ error: 'Failed to accept regex suggestion', message: error.message });
+  }
+}
+router.post('/regex-suggestions/accept', requireAuth, acceptRegexSuggestion);
+
 module.exports = router;
 module.exports.submitPrices = submitPrices;
+module.exports.getRegexSuggestions = getRegexSuggestions;
+module.exports.acceptRegexSuggestion = acceptRegexSuggestion;
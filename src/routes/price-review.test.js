@@ -2,6 +2,8 @@
 // Fix C: manual heating_oil submit clears oil scrape-backoff (recordSuccess →
 // UPDATE scrape_status='active'); kerosene-only submit does NOT. No DB — fake
 // sequelize captures issued SQL.
+// V3.4.0: regex-suggestion accept — re-verified against the live page (mocked
+// fetch) before the override row is written; bad regexes never reach the DB.
 // Run: node src/routes/price-review.test.js
 
 const route = require('./price-review');
@@ -33,6 +35,53 @@ function ranRecordSuccess(calls){ return calls.some(c =>
   { const {req,res,calls,getPayload}=makeReq('kerosene'); await route.submitPrices(req,res);
     assertTrue(!ranRecordSuccess(calls),'kerosene submit does NOT call recordSuccess');
     assertTrue(getPayload()&&getPayload().submitted===1,'kerosene submit still reports 1 success',JSON.stringify(getPayload())); }
+  console.log('\n=== regex-suggestions/accept ===');
+  { // Any enabled single-branch direct entry from the real config
+    const cfg = require('../data/scrape-config.json');
+    const domain = Object.keys(cfg).find(d => cfg[d] && cfg[d].enabled && cfg[d].pattern === 'direct' && !cfg[d].branches && !cfg[d].lookupUrl && !cfg[d].pricePath);
+    const page = '<div><h3>Heating Oil</h3><span>$3.499</span></div>';
+    global.fetch = async () => ({ ok: true, status: 200, text: async () => page });
+    const mk = (body) => {
+      const calls = [];
+      const fakeSeq = { calls, transactions: 0, transaction(fn){ this.transactions++; return fn({ id: 'tx' }); }, query(sql,opts){ calls.push({sql,opts});
+        if(/FROM suppliers WHERE id/i.test(sql)) return Promise.resolve([[{id:'sup-1',name:'Test Co',slug:'test-co',website:`https://${domain}`}]]);
+        if(/FROM supplier_prices/i.test(sql)) return Promise.resolve([[{price_per_gallon:'3.459'}]]);
+        if(/INSERT INTO scrape_regex_repairs/i.test(sql)) return Promise.resolve([[{id:'rep-1'}]]);
+        return Promise.resolve([[],0]); } };
+      let status=200, payload=null;
+      const req = { authType:'master', body, app:{locals:{sequelize:fakeSeq, logger:{info(){},warn(){},error(){}}}} };
+      const res = { status(c){status=c;return this;}, json(p){payload=p;return this;} };
+      return { req, res, calls, get: () => ({ status, payload }) };
+    };
+    const inserted = (calls) => calls.find(c => /INSERT INTO scrape_regex_repairs/i.test(c.sql));
+
+    let t = mk({ supplierId:'sup-1', priceRegex:'Heating Oil[\\s\\S]{0,60}?\\$([0-9]+\\.[0-9]{3})', strategy:'anchor' });
+    await route.acceptRegexSuggestion(t.req, t.res);
+    assertTrue(t.get().status===200 && t.get().payload.extractedPrice===3.499, 'valid regex accepted with re-extracted price', JSON.stringify(t.get()));
+    const ins = inserted(t.calls);
+    assertTrue(ins && ins.opts.replacements.domain===domain && ins.opts.replacements.previousRegex===cfg[domain].priceRegex, 'override row keyed by config domain, keeps previous regex');
+    assertTrue(t.calls.some(c => /SET status = 'superseded'/.test(c.sql)), 'previous active repair superseded');
+    const writes = t.calls.filter(c => /UPDATE scrape_regex_repairs|INSERT INTO scrape_regex_repairs/.test(c.sql));
+    assertTrue(t.req.app.locals.sequelize.transactions===1 && writes.length===2 && writes.every(c => c.opts.transaction && c.opts.transaction.id==='tx'), 'supersede + insert run in one transaction');
+    assertTrue(ins.opts.replacements.branchSlug===null && /branch_slug IS NOT DISTINCT FROM :branchSlug/.test(writes[0].sql), 'single-branch entry → branch_slug NULL, supersede scoped to it');
+
+    t = mk({ supplierId:'sup-1', priceRegex:'Kerosene\\$([0-9.]+)' });
+    await route.acceptRegexSuggestion(t.req, t.res);
+    assertTrue(t.get().status===422 && !inserted(t.calls), 'regex that extracts nothing today → 422, nothing written', JSON.stringify(t.get()));
+
+    t = mk({ supplierId:'sup-1', priceRegex:'([0-9' });
+    await route.acceptRegexSuggestion(t.req, t.res);
+    assertTrue(t.get().status===400, 'invalid regex → 400');
+
+    t = mk({ supplierId:'sup-1', priceRegex:'\\$[0-9.]+' });
+    await route.acceptRegexSuggestion(t.req, t.res);
+    assertTrue(t.get().status===400, 'regex without capture group → 400');
+
+    t = mk({ supplierId:'sup-1' });
+    await route.getRegexSuggestions({ ...t.req, params:{ supplierId:'sup-1' } }, t.res);
+    const sug = t.get().payload;
+    assertTrue(sug && sug.success && sug.lastGoodPrice===3.459 && sug.suggestions[0].extractedPrice===3.499, 'suggestions endpoint ranks the oil price first', JSON.stringify(sug && sug.suggestions && sug.suggestions[0]));
+  }
   console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
   process.exit(failed===0?0:1);
 })();
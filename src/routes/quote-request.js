@@ -4,7 +4,10 @@
  * POST /api/quote-request          — Create request + send OTP
  * POST /api/quote-request/verify   — Verify OTP + dispatch to suppliers
  * GET  /api/quote-request/availability — Check if ZIP has opted-in suppliers
- * GET  /api/quote-request/supplier-response — Supplier "Called them?" tracking link
+ * GET  /api/quote-request/supplier-response — Supplier "Called them?" tracking link (bid form in bid mode)
+ * POST /api/quote-request/supplier-bid — Supplier submits / revises a bid (V3.12.0)
+ * GET  /api/quote-request/bids/:requestId — Consumer compares bids (/v/:requestId redirects here)
+ * POST /api/quote-request/bids/:requestId/accept — Consumer accepts one bid
  * GET  /api/quote-request/supplier-optin — Render opt-in confirmation page
  * POST /api/quote-request/supplier-optin — Confirm supplier opt-in
  */
@@ -13,7 +16,7 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const QuoteRequestService = require('../services/QuoteRequestService');
-const { escapeHtml } = require('../utils/html');
+const { escapeHtml, renderPage } = require('../utils/html');
 
 // Rate limiters
 const createLimiter = rateLimit({
@@ -98,6 +101,10 @@ router.get('/supplier-response', async (req, res) => {
       return res.send(renderPage('Link Expired', '<p>This link has expired or is not valid.</p>'));
     }
 
+    if (result.bid_mode) {
+      return res.send(renderPage('Send Your Bid', renderBidForm(token, result)));
+    }
+
     if (result.already_responded) {
       return res.send(renderPage('Already Confirmed', `
         <div style="max-width:480px; margin:0 auto; text-align:center;">
@@ -130,6 +137,98 @@ router.get('/supplier-response', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/quote-request/supplier-bid — Bid form submit (t, price, delivery_window)
+ */
+router.post('/supplier-bid', verifyLimiter, async (req, res) => {
+  const service = req.app.locals.quoteRequestService;
+  const logger = req.app.locals.logger;
+  const { t: token, price, delivery_window } = req.body;
+
+  if (!service || !token) {
+    return res.status(400).send(renderPage('Invalid Link', '<p>This link is not valid.</p>'));
+  }
+
+  try {
+    const result = await service.submitBid(token, { price, deliveryWindow: delivery_window, source: 'web' });
+
+    if (result.error) {
+      return res.status(400).send(renderPage('Bid Not Sent', `
+        <div style="max-width:480px; margin:0 auto; text-align:center;">
+          <h2 style="margin:0 0 8px;">Bid not sent</h2>
+          <p style="color:#666;">${esc(result.error)}</p>
+          <p><a href="/r/${esc(token)}">Back to the bid form</a></p>
+        </div>
+      `));
+    }
+
+    res.send(renderPage('Bid Sent', `
+      <div style="max-width:480px; margin:0 auto; text-align:center;">
+        <div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:12px; padding:24px;">
+          <div style="font-size:2rem; margin-bottom:8px;">✓</div>
+          <h2 style="color:#16A34A; margin:0 0 8px;">Bid sent</h2>
+          <p style="color:#374151; margin:0 0 12px;">
+            <strong>$${result.price.toFixed(2)}/gal</strong> · ${esc(result.deliveryWindow)} for ZIP ${esc(result.zip)}.
+          </p>
+          <p style="font-size:13px; color:#666; margin:0;">
+            We'll text you the customer's name and number if they accept. You can change your bid from the same link until then.
+          </p>
+        </div>
+      </div>
+    `));
+  } catch (err) {
+    logger.error(`[QuoteRequest Route] Bid failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * GET /api/quote-request/bids/:requestId?h=HASH — Consumer bid comparison page
+ */
+router.get('/bids/:requestId', async (req, res) => {
+  const service = req.app.locals.quoteRequestService;
+  const logger = req.app.locals.logger;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const board = await service.getBidBoard(req.params.requestId, req.query.h);
+    if (!board) {
+      return res.status(404).send(renderPage('Link Issue', '<p>This link is not valid.</p><p><a href="/prices">Search for suppliers →</a></p>'));
+    }
+    res.send(renderPage('Your Bids', renderBidBoard(board, req.query.h, req.query.error)));
+  } catch (err) {
+    logger.error(`[QuoteRequest Route] Bid board failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+/**
+ * POST /api/quote-request/bids/:requestId/accept — Consumer accepts a bid (h, bid)
+ */
+router.post('/bids/:requestId/accept', verifyLimiter, async (req, res) => {
+  const service = req.app.locals.quoteRequestService;
+  const logger = req.app.locals.logger;
+  const { requestId } = req.params;
+  const { h, bid } = req.body;
+
+  if (!service) {
+    return res.status(503).send(renderPage('Unavailable', '<p>Service temporarily unavailable.</p>'));
+  }
+
+  try {
+    const result = await service.acceptBid(requestId, h, bid);
+    const back = `/api/quote-request/bids/${encodeURIComponent(requestId)}?h=${encodeURIComponent(h || '')}`;
+    // Back to the board either way — it shows the winner, or the reason as a banner
+    res.redirect(303, result.error ? `${back}&error=${encodeURIComponent(result.error)}` : back);
+  } catch (err) {
+    logger.error(`[QuoteRequest Route] Accept bid failed: ${err.message}`);
+    res.status(500).send(renderPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
 /**
  * GET /api/quote-request/supplier-optin?supplier=SLUG&token=HMAC
  * Renders confirmation page (does NOT auto-opt-in — prevents email scanner triggers)
@@ -292,27 +391,104 @@ router.post('/supplier-optin', async (req, res) => {
 
 // ─── Helpers ──────────────────────────────────────────────────
 
-function esc(text) {
-  return escapeHtml(text);
+const TANK_LEVEL_TEXT = { empty: 'nearly empty', quarter: '~¼ full', half: '~½ full' };
+
+function renderBidForm(token, lead) {
+  const details = `ZIP ${esc(lead.zip)} · ~${esc(String(lead.gallons))} gal` +
+    (TANK_LEVEL_TEXT[lead.tank_level] ? `, tank ${TANK_LEVEL_TEXT[lead.tank_level]}` : '');
+
+  if (!lead.open) {
+    const outcomeText = lead.outcome === 'won'
+      ? 'The customer accepted your bid — check your texts for their number.'
+      : lead.outcome
+        ? 'The customer chose another supplier. Thanks for bidding!'
+        : 'This request has closed.';
+    return `
+      <div style="max-width:480px; margin:0 auto; text-align:center;">
+        <h2 style="margin:0 0 8px;">Bidding closed</h2>
+        <p style="color:#666;">${details}</p>
+        <p style="color:#374151;">${outcomeText}</p>
+      </div>`;
+  }
+
+  const bid = lead.bid;
+  return `
+    <div style="background:#fff; border:2px solid #FF6B35; border-radius:12px; padding:24px; max-width:480px; margin:0 auto;">
+      <h2 style="margin:0 0 8px; color:#1a1a1a;">${bid ? 'Update your bid' : 'Send a firm price'}</h2>
+      <p style="color:#666; margin:0 0 16px;">${details}</p>
+      <p style="font-size:14px; color:#374151; line-height:1.6;">
+        The homeowner compares bids side by side and picks one. If it's yours, we text you their name and number.
+      </p>
+      <form method="POST" action="/api/quote-request/supplier-bid">
+        <input type="hidden" name="t" value="${esc(token)}">
+        <label style="display:block; font-size:13px; font-weight:600; color:#374151; margin:12px 0 4px;">Price per gallon ($)</label>
+        <input type="number" name="price" step="0.001" min="1.50" max="8.00" required value="${bid ? bid.price.toFixed(3) : ''}"
+          style="width:100%; padding:10px 12px; border:1px solid #D1D5DB; border-radius:8px; font-size:16px; box-sizing:border-box;">
+        <label style="display:block; font-size:13px; font-weight:600; color:#374151; margin:12px 0 4px;">When can you deliver?</label>
+        <input type="text" name="delivery_window" maxlength="60" required placeholder="e.g. Thursday, or tomorrow AM" value="${bid ? esc(bid.delivery_window) : ''}"
+          style="width:100%; padding:10px 12px; border:1px solid #D1D5DB; border-radius:8px; font-size:16px; box-sizing:border-box;">
+        <button type="submit" style="width:100%; margin-top:16px; padding:14px; font-size:16px; font-weight:700;
+          background:#FF6B35; color:#fff; border:none; border-radius:8px; cursor:pointer;">
+          ${bid ? 'Update Bid' : 'Send Bid'}
+        </button>
+      </form>
+      <p style="font-size:12px; color:#888; margin:12px 0 0;">Or reply to the text: BID 3.49 Thursday</p>
+    </div>`;
 }
 
-function renderPage(title, bodyHtml) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${esc(title)} — HomeHeat</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-           margin: 0; padding: 40px 20px; background: #FEF3EB; color: #1a1a1a; }
-    h2 { font-size: 1.4rem; }
-    p { font-size: 15px; line-height: 1.5; }
-    a { color: #FF6B35; }
-  </style>
-</head>
-<body>${bodyHtml}</body>
-</html>`;
+function renderBidBoard(board, hash, error) {
+  const { request, bids } = board;
+  const accepted = bids.find(b => b.id === request.acceptedBidId);
+
+  let header;
+  if (accepted) {
+    header = `
+      <div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:16px;">
+        <h2 style="color:#16A34A; margin:0 0 4px;">You picked ${esc(accepted.supplierName)}</h2>
+        <p style="color:#374151; margin:0;">$${accepted.pricePerGallon.toFixed(2)}/gal · ${esc(accepted.deliveryWindow)}. They'll call you to schedule delivery${accepted.phone ? ` — or call them at <a href="tel:${esc(accepted.phone)}">${esc(accepted.phone)}</a>` : ''}.</p>
+      </div>`;
+  } else if (request.open) {
+    header = `
+      <h2 style="margin:0 0 4px;">${bids.length === 0 ? 'Waiting for bids' : `${bids.length} bid${bids.length > 1 ? 's' : ''} so far`}</h2>
+      <p style="color:#666; margin:0 0 16px; font-size:14px;">
+        We asked ${board.suppliersAsked} supplier${board.suppliersAsked === 1 ? '' : 's'} for a firm price on ~${request.gallons} gal in ${esc(request.zip)}.
+        ${bids.length === 0 ? 'We\'ll text you when the first bid arrives.' : 'Refresh to see new bids. Only the supplier you pick gets your number.'}
+      </p>`;
+  } else if (request.status === 'queued' || request.status === 'verified') {
+    header = '<h2 style="margin:0 0 4px;">Request confirmed</h2><p style="color:#666; font-size:14px;">It goes out to suppliers at 6 AM ET. We\'ll text you when bids arrive.</p>';
+  } else {
+    header = '<h2 style="margin:0 0 4px;">Bidding closed</h2><p style="color:#666; font-size:14px;">This request has expired. <a href="/prices">Search for suppliers →</a></p>';
+  }
+
+  const cards = bids.map(b => {
+    const won = b.id === request.acceptedBidId;
+    return `
+      <div style="flex:1 1 180px; border:1px solid ${won ? '#86EFAC' : '#E5D8D0'}; border-radius:10px; padding:14px; background:${won ? '#F0FDF4' : '#fff'};">
+        <div style="font-weight:600;">${esc(b.supplierName)}</div>
+        <div style="font-size:12px; color:#999;">${esc(b.city)}, ${esc(b.state)}</div>
+        <div style="font-size:1.6rem; font-weight:700; margin:8px 0 0;">$${b.pricePerGallon.toFixed(2)}<span style="font-size:13px; font-weight:400; color:#666;">/gal</span></div>
+        <div style="font-size:13px; color:#666;">≈ $${b.estimatedTotal.toFixed(2)} for ${request.gallons} gal</div>
+        <div style="font-size:13px; margin:6px 0 10px;">Delivery: <strong>${esc(b.deliveryWindow)}</strong></div>
+        ${request.open ? `
+        <form method="POST" action="/api/quote-request/bids/${esc(request.id)}/accept">
+          <input type="hidden" name="h" value="${esc(hash)}">
+          <input type="hidden" name="bid" value="${esc(b.id)}">
+          <button type="submit" style="width:100%; padding:10px; font-weight:700; background:#FF6B35; color:#fff; border:none; border-radius:8px; cursor:pointer;">Accept</button>
+        </form>` : ''}
+      </div>`;
+  }).join('');
+
+  return `
+    <div style="max-width:640px; margin:0 auto; background:#fff; border-radius:12px; padding:24px; box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+      ${error ? `<div style="background:#FEF2F2; color:#DC2626; border-radius:8px; padding:10px; margin-bottom:12px; font-size:14px;">${esc(error)}</div>` : ''}
+      ${header}
+      ${cards ? `<div style="display:flex; flex-wrap:wrap; gap:12px;">${cards}</div>` : ''}
+      <p style="text-align:center; margin-top:16px; font-size:13px; color:#999;"><a href="/prices">Back to prices</a></p>
+    </div>`;
+}
+
+function esc(text) {
+  return escapeHtml(text);
 }
 
 module.exports = router;
@@ -0,0 +1,376 @@
+/**
+ * Supplier Auth Routes
+ * V1.0.0: Team logins for claimed listings (email one-time codes)
+ *
+ * Endpoints:
+ * - POST /api/supplier-auth/request-code - { email } → emails a 6-digit code
+ * - POST /api/supplier-auth/verify-code - { email, code } → session token + listings
+ * - GET /api/supplier-auth/me?token=xxx - Signed-in user + listings
+ * - POST /api/supplier-auth/logout - { token }
+ * - GET /api/supplier-auth/team?token=xxx&supplierId=yyy - Team for a listing (owner)
+ * - POST /api/supplier-auth/team - { token, supplierId, email, role, allBranches } (owner;
+ *   allBranches only from an owner who has all branches)
+ * - POST /api/supplier-auth/team/:userId/remove - { token, supplierId } (owner)
+ *
+ * The session token works anywhere a magic link does (supplier-update,
+ * supplier-dashboard); pass supplierId to choose among the user's listings.
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { validateMagicLink } = require('../lib/validate-magic-link');
+const supplierAccounts = require('../services/supplierAccounts');
+const { getNotificationService } = require('../services/NotificationService');
+const router = express.Router();
+
+const GENERIC_CODE_MESSAGE = 'If that email has access to a listing, a sign-in code is on its way.';
+
+// 10 code requests / verifications per 15 minutes per IP
+const codeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress,
+  handler: (req, res) => {
+    res.status(429).json({ success: false, error: 'Too many attempts. Please wait a few minutes.' });
+  }
+});
+
+// 5 code requests per hour per email address, known or not — so the 429
+// says nothing about whether the email has an account
+const emailCodeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => `email:${supplierAccounts.normalizeEmail(req.body?.email)}`,
+  skip: (req) => !supplierAccounts.normalizeEmail(req.body?.email),
+  handler: (req, res) => {
+    res.status(429).json({ success: false, error: 'Too many codes requested for this email. Please wait an hour or use a code you already have.' });
+  }
+});
+
+/**
+ * Email a sign-in code via NotificationService (transactional stream). The
+ * outbox keeps the message, but the code in it is dead within 10 minutes.
+ */
+async function sendLoginCodeEmail(user, code, logger) {
+  const html = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
+      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 8px;">Your HomeHeat sign-in code</h1>
+
+      <div style="text-align: center; margin: 32px 0;">
+        <span style="display: inline-block; background: #f8f9fa; padding: 16px 32px; border-radius: 8px; font-size: 32px; font-weight: 700; letter-spacing: 8px; color: #1a1a1a;">${code}</span>
+      </div>
+
+      <p style="color: #666; font-size: 15px; line-height: 1.6; text-align: center;">
+        Enter this code on the supplier dashboard. It works once and expires in 10 minutes.
+      </p>
+
+      <p style="color: #999; font-size: 13px; margin-top: 32px;">
+        Didn't try to sign in? You can ignore this email — nobody can get in without the code.
+      </p>
+
+      <p style="color: #999; font-size: 12px; text-align: center; margin-top: 32px;">
+        HomeHeat · Connecting homeowners with local heating oil suppliers
+      </p>
+    </div>
+  `;
+
+  const sent = await getNotificationService().send({
+    channel: 'email',
+    to: user.email,
+    stream: 'transactional',
+    source: 'supplier-login-code',
+    subject: `${code} is your HomeHeat sign-in code`,
+    html,
+    maxAttempts: 2 // one retry a minute later; the outbox's later retries land after the code expires
+  });
+
+  if (sent.ok) {
+    logger?.info(`[SupplierAuth] Login code sent to ${user.email}`);
+  } else if (!sent.accepted) {
+    logger?.error(`[SupplierAuth] Login code email to ${user.email} not sent: ${sent.error || sent.status}`);
+  }
+  return sent.accepted;
+}
+
+/**
+ * Validate the token and require a role permission on the chosen listing
+ * @returns {Object|null} validation, or null after responding
+ */
+async function requirePermission(req, res, action, { token, supplierId }) {
+  const sequelize = req.app.locals.sequelize;
+  const validation = await validateMagicLink(sequelize, token, req.app.locals.logger, { supplierId });
+
+  if (!validation.valid) {
+    res.status(401).json({ success: false, error: validation.error, status: validation.status });
+    return null;
+  }
+  if (!validation.userId) {
+    res.status(403).json({ success: false, error: 'Sign in with your email to manage your team' });
+    return null;
+  }
+  if (!supplierAccounts.can(validation.role, action)) {
+    res.status(403).json({ success: false, error: 'Only an owner can manage the team' });
+    return null;
+  }
+  return validation;
+}
+
+/**
+ * POST /api/supplier-auth/request-code
+ * Same answer whether or not the email is known, and whether or not its
+ * hourly code cap is reached
+ */
+router.post('/request-code', codeLimiter, emailCodeLimiter, async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    if (!supplierAccounts.normalizeEmail(req.body.email)) {
+      return res.status(400).json({ success: false, error: 'Enter a valid email address' });
+    }
+
+    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
+    const issued = await supplierAccounts.requestLoginCode(sequelize, req.body.email, { ip });
+
+    if (issued?.throttled) {
+      logger?.warn('[SupplierAuth] Login code not issued: hourly cap reached');
+    } else if (issued) {
+      await sendLoginCodeEmail(issued.user, issued.code, logger);
+      logger?.info(`[SupplierAuth] Login code issued for ${issued.user.email}`);
+    }
+
+    res.json({ success: true, message: GENERIC_CODE_MESSAGE });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Request code error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to send code. Please try again.' });
+  }
+});
+
+/**
+ * POST /api/supplier-auth/verify-code
+ * Body: { email, code }
+ */
+router.post('/verify-code', codeLimiter, async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const user = await supplierAccounts.verifyLoginCode(sequelize, req.body.email, req.body.code);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'That code is wrong or has expired.' });
+    }
+
+    const listings = await supplierAccounts.listAccess(sequelize, user.id);
+    if (listings.length === 0) {
+      return res.status(403).json({ success: false, error: 'Your account isn\'t attached to any listing.' });
+    }
+
+    const session = await supplierAccounts.createSession(sequelize, user.id, listings[0].id);
+
+    try {
+      await sequelize.query(`
+        INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+        VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'system', 'supplier_user_login', :details, :ip, NOW(), NOW())
+      `, {
+        replacements: {
+          details: JSON.stringify({ supplier_user_id: user.id, email: user.email, supplier_id: listings[0].id }),
+          ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress
+        }
+      });
+    } catch (e) {
+      // Audit logging is optional
+    }
+
+    logger?.info(`[SupplierAuth] ${user.email} signed in (${listings.length} listing(s))`);
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt.toISOString(),
+      user: { email: user.email, name: user.name },
+      listings
+    });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Verify code error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to sign in. Please try again.' });
+  }
+});
+
+/**
+ * GET /api/supplier-auth/me?token=xxx
+ */
+router.get('/me', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const validation = await validateMagicLink(sequelize, req.query.token, logger, { supplierId: req.query.supplierId });
+
+    if (!validation.valid) {
+      return res.status(401).json({ success: false, error: validation.error, status: validation.status });
+    }
+
+    const listings = validation.isSession
+      ? await supplierAccounts.listAccess(sequelize, validation.userId)
+      : [{ id: validation.supplierId, name: validation.supplierName, slug: validation.supplierSlug, city: validation.supplierCity, state: validation.supplierState, role: validation.role }];
+
+    res.json({
+      success: true,
+      user: validation.userEmail ? { email: validation.userEmail } : null,
+      supplierId: validation.supplierId,
+      role: validation.role,
+      listings
+    });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Me error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load account' });
+  }
+});
+
+/**
+ * POST /api/supplier-auth/logout
+ */
+router.post('/logout', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    await supplierAccounts.revokeSession(sequelize, req.body.token);
+    res.json({ success: true });
+  } catch (error) {
+    logger?.error('[SupplierAuth] Logout error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to sign out' });
+  }
+});
+
+/**
+ * GET /api/supplier-auth/team?token=xxx&supplierId=yyy
+ */
+router.get('/team', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const validation = await requirePermission(req, res, 'team', req.query);
+    if (!validation) return;
+
+    const members = await supplierAccounts.listTeam(sequelize, validation.supplierId);
+    res.json({ success: true, supplierId: validation.supplierId, members });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Team list error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load team' });
+  }
+});
+
+/**
+ * POST /api/supplier-auth/team
+ * Add a member or change their role. Body: { token, supplierId, email, name?, role, allBranches? }
+ */
+router.post('/team', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const validation = await requirePermission(req, res, 'team', req.body);
+    if (!validation) return;
+
+    const { email, name, role, allBranches } = req.body;
+    if (allBranches && !(await supplierAccounts.ownsAllBranches(sequelize, validation.userId, validation.supplierSlug))) {
+      return res.status(403).json({ success: false, error: 'Only an owner with access to every branch can grant all branches' });
+    }
+
+    const result = await supplierAccounts.addTeamMember(sequelize, {
+      supplierId: validation.supplierId,
+      email,
+      name,
+      role,
+      includeBranches: !!allBranches,
+      invitedBy: validation.userId
+    });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    try {
+      await sequelize.query(`
+        INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+        VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'system', 'supplier_team_member_added', :details, :ip, NOW(), NOW())
+      `, {
+        replacements: {
+          details: JSON.stringify({
+            supplier_id: validation.supplierId,
+            by: validation.userEmail,
+            email: result.email,
+            role: result.role,
+            all_branches: !!allBranches
+          }),
+          ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress
+        }
+      });
+    } catch (e) {
+      // Audit logging is optional
+    }
+
+    logger?.info(`[SupplierAuth] ${validation.userEmail} gave ${result.email} ${result.role} on ${validation.supplierName}`);
+
+    res.json({
+      success: true,
+      member: { userId: result.userId, email: result.email, role: result.role },
+      message: `${result.email} can now sign in with their email`
+    });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Team add error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to add team member' });
+  }
+});
+
+/**
+ * POST /api/supplier-auth/team/:userId/remove
+ * Body: { token, supplierId }
+ */
+router.post('/team/:userId/remove', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const validation = await requirePermission(req, res, 'team', req.body);
+    if (!validation) return;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req.params.userId)) {
+      return res.status(404).json({ success: false, error: 'Team member not found' });
+    }
+
+    const result = await supplierAccounts.removeTeamMember(sequelize, validation.supplierId, req.params.userId);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    try {
+      await sequelize.query(`
+        INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+        VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'system', 'supplier_team_member_removed', :details, :ip, NOW(), NOW())
+      `, {
+        replacements: {
+          details: JSON.stringify({ supplier_id: validation.supplierId, by: validation.userEmail, supplier_user_id: req.params.userId }),
+          ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress
+        }
+      });
+    } catch (e) {
+      // Audit logging is optional
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger?.error('[SupplierAuth] Team remove error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to remove team member' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// src/routes/supplier-auth.test.js
+// Sign-in code requests answer the same way for unknown emails, for known
+// emails at their hourly cap and for sent codes; the per-email limit applies
+// to every address alike. Fake sequelize; no DB needed.
+// Run: node src/routes/supplier-auth.test.js
+
+const router = require('./supplier-auth');
+const { initNotificationService } = require('../services/NotificationService');
+let passed = 0, failed = 0;
+function pass(l){ passed++; console.log(`  ✓ ${l}`); }
+function fail(l,d){ failed++; console.error(`  ✗ ${l} — ${d}`); }
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+
+const layers = router.stack.find(l => l.route && l.route.path === '/request-code').route.stack.map(s => s.handle);
+const USER = { id: 'u-1', email: 'office@mailbox.org', name: 'Pat' };
+
+const logged = [];
+const logger = { info: (m) => logged.push(['info', m]), warn: (m) => logged.push(['warn', m]), error: (m) => logged.push(['error', m]) };
+
+const sunk = [];
+initNotificationService({ query: async (sql) => (/INSERT INTO notification_outbox/.test(sql) ? [[{ id: 'n-1' }]] : [[]]) }, logger,
+  { transport: 'sink', channels: { sink: { name: 'sink', send: async (m) => { sunk.push(m); return { ok: true, providerId: 'sink-1' }; } } } });
+
+// recent_codes drives the service: null → unknown email, >= 5 → hourly cap
+async function requestCode(email, { recentCodes = null, ip = '1.2.3.4' } = {}){
+  let status = 200, payload = null;
+  const sequelize = { query: async (sql) => {
+    if (/FROM supplier_users su/.test(sql)) return [recentCodes === null ? [] : [{ ...USER, recent_codes: String(recentCodes) }]];
+    return [[]];
+  } };
+  const req = { body: { email }, headers: { 'x-forwarded-for': ip }, socket: {}, app: { locals: { sequelize, logger } } };
+  const res = { status(c){ status = c; return this; }, json(p){ payload = p; return this; }, setHeader(){}, getHeader(){}, headersSent: false };
+  for (const layer of layers) {
+    let nextCalled = false;
+    await layer(req, res, () => { nextCalled = true; });
+    if (!nextCalled) break;
+  }
+  return { status, payload };
+}
+
+(async () => {
+  console.log('\n=== same answer for every email ===');
+  const unknown = await requestCode('stranger@mailbox.org');
+  const capped = await requestCode(USER.email, { recentCodes: 5, ip: '1.2.3.5' });
+  const sent = await requestCode(USER.email, { recentCodes: 0, ip: '1.2.3.6' });
+  eq([unknown.status, capped.status, sent.status], [200, 200, 200], 'unknown, capped and sent all 200');
+  eq(capped.payload, unknown.payload, 'capped known email looks like an unknown one');
+  eq(sent.payload, unknown.payload, 'sent code looks like an unknown one');
+  eq([sunk.length, sunk[0] && sunk[0].to], [1, USER.email], 'only the uncapped request emailed a code');
+
+  console.log('\n=== per-email limit ===');
+  let last;
+  for (let i = 0; i < 6; i++) last = await requestCode('nobody@mailbox.org', { ip: `10.0.0.${i}` });
+  eq(last.status, 429, 'sixth request for an unknown email in an hour → 429 from any IP');
+  const other = await requestCode('someone-else@mailbox.org', { ip: '10.0.0.9' });
+  eq(other.status, 200, 'other emails unaffected');
+
+  console.log('\n=== logging ===');
+  eq(logged.some(([, m]) => /Login code sent to office@mailbox.org/.test(m)), true, 'delivery logged through the app logger');
+  eq(logged.some(([level, m]) => level === 'warn' && /hourly cap/.test(m)), true, 'cap logged without the email');
+
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
@@ -11,6 +11,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { getNotificationService } = require('../services/NotificationService');
 
 // Rate limit: max claims per email per day
 const MAX_CLAIMS_PER_EMAIL_PER_DAY = 3;
@@ -18,77 +19,22 @@ const MAX_CLAIMS_PER_EMAIL_PER_DAY = 3;
 const MAX_CLAIMS_PER_IP_PER_DAY = 10;
 
 /**
- * Send confirmation email to the claimant
+ * Send confirmation email to the claimant ('claim-received' template)
  */
-async function sendClaimConfirmationEmail(claim, supplierName) {
-  const apiKey = process.env.RESEND_API_KEY;
-
-  if (!apiKey) {
-    console.log('[SupplierClaim] RESEND_API_KEY not configured - skipping confirmation email');
-    return false;
-  }
-
-  const html = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
-      <div style="text-align: center; margin-bottom: 24px;">
-        <span style="font-size: 48px;">📋</span>
-      </div>
-
-      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 8px;">Claim Received</h1>
-
-      <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; margin: 24px 0;">
-        <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0;">
-          We received your claim for <strong>${supplierName}</strong>.
-        </p>
-      </div>
-
-      <h3 style="color: #1a1a1a; margin-top: 24px;">What happens next?</h3>
-      <ol style="color: #666; font-size: 15px; line-height: 1.8; padding-left: 20px;">
-        <li>We'll verify your claim by calling the business phone on file</li>
-        <li>Verification typically takes 24-48 hours</li>
-        <li>Once verified, you'll receive a secure link to update your prices anytime</li>
-      </ol>
-
-      <div style="margin-top: 32px; padding-top: 20px; border-top: 1px solid #eee;">
-        <p style="color: #999; font-size: 13px; margin: 0;">
-          Questions? Just reply to this email.
-        </p>
-      </div>
-
-      <p style="color: #999; font-size: 12px; text-align: center; margin-top: 32px;">
-        HomeHeat · Connecting homeowners with local heating oil suppliers
-      </p>
-    </div>
-  `;
-
-  try {
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: process.env.EMAIL_FROM,
-        to: [claim.claimantEmail],
-        subject: `Claim Received - ${supplierName}`,
-        html
-      })
-    });
-
-    const result = await response.json();
-
-    if (response.ok) {
-      console.log(`[SupplierClaim] Confirmation sent to ${claim.claimantEmail}: ${result.id}`);
-      return true;
-    } else {
-      console.error('[SupplierClaim] Resend API error (confirmation):', result);
-      return false;
-    }
-  } catch (error) {
-    console.error('[SupplierClaim] Failed to send confirmation:', error.message);
-    return false;
+async function sendClaimConfirmationEmail(claim, supplierName, claimId) {
+  const sent = await getNotificationService().send({
+    channel: 'email',
+    to: claim.claimantEmail,
+    source: 'supplier-claim',
+    template: 'claim-received',
+    data: { supplierName },
+    idempotencyKey: claimId ? `claim-received:${claimId}` : null
+  });
+
+  if (!sent.accepted) {
+    console.error(`[SupplierClaim] Confirmation to ${claim.claimantEmail} not sent: ${sent.error || sent.status}`);
   }
+  return sent.accepted;
 }
 
 /**
@@ -118,14 +64,8 @@ function checkEmailDomainMatch(claimantEmail, supplierWebsite) {
  * Send notification email to admin about new claim
  */
 async function sendAdminNotificationEmail(claim, supplier, pendingCount, claimId) {
-  const apiKey = process.env.RESEND_API_KEY;
   const recipient = process.env.ADMIN_EMAIL || 'ltsoir@gmail.com';
 
-  if (!apiKey) {
-    console.log('[SupplierClaim] RESEND_API_KEY not configured - skipping admin notification');
-    return false;
-  }
-
   const baseUrl = process.env.BACKEND_URL || 'https://gethomeheat.com';
   const adminUrl = `${baseUrl}/admin/claims.html`;
 
@@ -213,34 +153,20 @@ async function sendAdminNotificationEmail(claim, supplier, pendingCount, claimId
     </div>
   `;
 
-  try {
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: process.env.EMAIL_FROM,
-        to: [recipient],
-        subject: `🔔 New Supplier Claim: ${supplier.name}`,
-        html
-      })
-    });
-
-    const result = await response.json();
-
-    if (response.ok) {
-      console.log(`[SupplierClaim] Admin notification sent: ${result.id}`);
-      return true;
-    } else {
-      console.error('[SupplierClaim] Resend API error (admin):', result);
-      return false;
-    }
-  } catch (error) {
-    console.error('[SupplierClaim] Failed to send admin notification:', error.message);
-    return false;
+  const sent = await getNotificationService().send({
+    channel: 'email',
+    to: recipient,
+    stream: 'admin',
+    source: 'supplier-claim-admin',
+    subject: `🔔 New Supplier Claim: ${supplier.name}`,
+    html,
+    idempotencyKey: claimId ? `claim-admin:${claimId}` : null
+  });
+
+  if (!sent.accepted) {
+    console.error(`[SupplierClaim] Admin notification not sent: ${sent.error || sent.status}`);
   }
+  return sent.accepted;
 }
 
 /**
@@ -450,7 +376,7 @@ router.post('/', async (req, res) => {
       claimantRole
     };
 
-    await sendClaimConfirmationEmail(claim, supplier.name);
+    await sendClaimConfirmationEmail(claim, supplier.name, claimId);
     await sendAdminNotificationEmail(claim, supplier, parseInt(pendingCount[0]?.count || 0), claimId);
 
     res.json({
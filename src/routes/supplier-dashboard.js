@@ -6,11 +6,26 @@
  * Reuses token validation from supplier-update.js pattern.
  *
  * POST /api/supplier-dashboard/event — lightweight event logging
+ *
+ * V3.10.0: Profile edits — proposals reviewed at /api/admin/supplier-edits
+ * GET  /api/supplier-dashboard/profile?token=XXX — editable fields + pending proposal
+ * POST /api/supplier-dashboard/profile — { token, changes: { hoursWeekday, ... } }
+ *
+ * V3.11.0: Team sessions (supplier-auth) accepted everywhere; ?supplierId=
+ * picks one of the user's listings. Profile edits need the owner role.
+ *
+ * V3.13.0: `leads` — the supplier's quote-lead scorecard (response time,
+ * contact rate, bid wins, consumer ratings) and whether they are demoted
+ * for ignoring leads. null until they have been sent a lead.
  */
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { validateMagicLink } = require('../lib/validate-magic-link');
+const { getUpcomingPrices } = require('../services/scheduledPrices');
+const supplierEditProposals = require('../services/supplierEditProposals');
+const supplierAccounts = require('../services/supplierAccounts');
+const { getSupplierLeadSummary } = require('../services/quoteOutcomes');
 const router = express.Router();
 
 // Constants
@@ -39,7 +54,7 @@ router.get('/', dashboardLimiter, async (req, res) => {
 
   try {
     const { token } = req.query;
-    const validation = await validateMagicLink(sequelize, token, logger);
+    const validation = await validateMagicLink(sequelize, token, logger, { supplierId: req.query.supplierId });
 
     if (!validation.valid) {
       return res.status(401).json({
@@ -71,7 +86,7 @@ router.get('/', dashboardLimiter, async (req, res) => {
           :details, :ip, NOW(), NOW())
       `, {
         replacements: {
-          details: JSON.stringify({ supplier_id: supplierId, supplier_name: validation.supplierName }),
+          details: JSON.stringify({ supplier_id: supplierId, supplier_name: validation.supplierName, user_email: validation.userEmail }),
           ip
         }
       })
@@ -87,7 +102,7 @@ router.get('/', dashboardLimiter, async (req, res) => {
     const isFirstVisit = parseInt(firstVisitRows[0]?.cnt || 0) === 0;
 
     // Run all dashboard queries in parallel with graceful degradation
-    const [demandResult, competitiveResult, priceResult, priceImpactResult, seasonalResult] = await Promise.all([
+    const [demandResult, competitiveResult, priceResult, priceImpactResult, seasonalResult, upcomingResult, listings, leadsResult] = await Promise.all([
       getDemandData(sequelize, supplierId).catch(e => {
         logger?.error('[Dashboard] Demand query error:', e.message);
         return null;
@@ -107,6 +122,20 @@ router.get('/', dashboardLimiter, async (req, res) => {
       getSeasonalContext(sequelize).catch(e => {
         logger?.error('[Dashboard] Seasonal query error:', e.message);
         return null;
+      }),
+      getUpcomingPrices(sequelize, supplierId).catch(e => {
+        logger?.error('[Dashboard] Upcoming prices query error:', e.message);
+        return [];
+      }),
+      validation.isSession
+        ? supplierAccounts.listAccess(sequelize, validation.userId).catch(e => {
+          logger?.error('[Dashboard] Listing access query error:', e.message);
+          return [];
+        })
+        : [],
+      getSupplierLeadSummary(sequelize, supplierId).catch(e => {
+        logger?.error('[Dashboard] Lead summary query error:', e.message);
+        return null;
       })
     ]);
 
@@ -252,7 +281,8 @@ router.get('/', dashboardLimiter, async (req, res) => {
         comparisonPrice: priceResult.comparisonPrice,
         stale: priceResult.stale,
         fuelType: 'heating_oil',
-        lastUpdated: priceResult.lastUpdated
+        lastUpdated: priceResult.lastUpdated,
+        upcoming: upcomingResult
       };
     }
 
@@ -279,7 +309,14 @@ router.get('/', dashboardLimiter, async (req, res) => {
       urgency,
       priceImpact: priceImpactResult,
       seasonalContext: seasonalResult,
-      price
+      price,
+      leads: leadsResult,
+      access: {
+        email: validation.userEmail,
+        role: validation.role,
+        permissions: ['price', 'profile', 'team'].filter(action => supplierAccounts.can(validation.role, action)),
+        listings: listings.map(l => ({ id: l.id, name: l.name, city: l.city, state: l.state, role: l.role }))
+      }
     };
 
     logger?.info(`[Dashboard] Served dashboard for ${validation.supplierName} (mode=${mode}, state=${state})`);
@@ -308,7 +345,7 @@ router.post('/event', async (req, res) => {
     // Lightweight token check (just verify it exists and isn't revoked)
     const [rows] = await sequelize.query(`
       SELECT supplier_id FROM magic_link_tokens
-      WHERE token = :token AND purpose = 'supplier_price_update'
+      WHERE token = :token AND purpose IN ('supplier_price_update', '${supplierAccounts.SESSION_PURPOSE}')
         AND revoked_at IS NULL AND expires_at > NOW()
       LIMIT 1
     `, { replacements: { token } });
@@ -340,6 +377,125 @@ router.post('/event', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/supplier-dashboard/profile?token=XXX
+ * Current hours, delivery options, fuels, minimum and service ZIPs,
+ * plus the proposal still waiting for review (if any)
+ */
+router.get('/profile', dashboardLimiter, async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const validation = await validateMagicLink(sequelize, req.query.token, logger, { supplierId: req.query.supplierId });
+
+    if (!validation.valid) {
+      return res.status(401).json({
+        success: false,
+        error: validation.error,
+        status: validation.status
+      });
+    }
+
+    const { profile, pending } = await supplierEditProposals.getProfile(sequelize, validation.supplierId);
+    res.json({ success: true, profile, pending });
+
+  } catch (error) {
+    logger?.error('[SupplierDashboard] Profile error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load profile' });
+  }
+});
+
+/**
+ * POST /api/supplier-dashboard/profile
+ * Propose profile edits. Only fields that differ from the live listing are
+ * kept; they go live once an admin approves them.
+ * Body: { token, supplierId?, changes }
+ */
+router.post('/profile', dashboardLimiter, async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const { token, supplierId, changes } = req.body;
+    const validation = await validateMagicLink(sequelize, token, logger, { supplierId });
+
+    if (!validation.valid) {
+      return res.status(401).json({
+        success: false,
+        error: validation.error,
+        status: validation.status
+      });
+    }
+
+    if (!supplierAccounts.can(validation.role, 'profile')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an owner can change the listing details'
+      });
+    }
+
+    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
+    const result = await supplierEditProposals.proposeEdits(sequelize, {
+      supplierId: validation.supplierId,
+      edits: changes,
+      tokenId: validation.tokenId,
+      userId: validation.userId,
+      ip
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: result.errors.join('; '),
+        errors: result.errors
+      });
+    }
+
+    if (!result.proposalId) {
+      return res.json({
+        success: true,
+        proposalId: null,
+        changes: [],
+        message: 'Nothing to change — your listing already shows these details'
+      });
+    }
+
+    try {
+      await sequelize.query(`
+        INSERT INTO audit_logs (id, admin_user_id, admin_email, action, details, ip_address, created_at, updated_at)
+        VALUES (gen_random_uuid(), '00000000-0000-0000-0000-000000000000', 'system', 'supplier_edit_proposed', :details, :ip, NOW(), NOW())
+      `, {
+        replacements: {
+          details: JSON.stringify({
+            supplier_id: validation.supplierId,
+            supplier_name: validation.supplierName,
+            proposal_id: result.proposalId,
+            user_email: validation.userEmail,
+            fields: result.changes.map(c => c.field)
+          }),
+          ip
+        }
+      });
+    } catch (e) {
+      // Audit logging is optional
+    }
+
+    logger?.info(`[SupplierDashboard] Edit proposal ${result.proposalId} from ${validation.supplierName}: ${result.changes.map(c => c.field).join(', ')}`);
+
+    res.json({
+      success: true,
+      proposalId: result.proposalId,
+      changes: result.changes,
+      message: 'Thanks — we\'ll review your changes and update your listing within 1 business day'
+    });
+
+  } catch (error) {
+    logger?.error('[SupplierDashboard] Profile proposal error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to submit changes. Please try again.' });
+  }
+});
+
 
 // ═══════════════════════════════════════════════════════════════
 // Query functions — all ZIP scoping uses CTEs with
@@ -609,7 +765,7 @@ async function getCompetitiveData(sequelize, supplierId) {
  */
 async function getPriceData(sequelize, supplierId) {
   const [tierRows] = await sequelize.query(`
-    SELECT price_per_gallon, min_gallons, scraped_at, source_type
+    SELECT price_per_gallon, min_gallons, tiers, scraped_at, source_type
     FROM supplier_prices
     WHERE supplier_id = :supplierId AND is_valid = true AND fuel_type = 'heating_oil'
     ORDER BY scraped_at DESC
@@ -619,17 +775,21 @@ async function getPriceData(sequelize, supplierId) {
     return { tiers: [], comparisonPrice: null, stale: false, lastUpdated: null };
   }
 
-  // Group by min_gallons to get latest per tier
+  // Group by min_gallons to get latest per tier. SMS prices (V3.22.3) are one
+  // listing row carrying the rest of the ladder in `tiers`
   const tierMap = new Map();
   for (const row of tierRows) {
-    const key = row.min_gallons || 100;
-    if (!tierMap.has(key)) {
-      tierMap.set(key, {
-        minGallons: key,
-        price: parseFloat(row.price_per_gallon),
-        lastUpdated: row.scraped_at,
-        source: row.source_type
-      });
+    const quoted = row.tiers || [{ minGallons: row.min_gallons, price: row.price_per_gallon }];
+    for (const tier of quoted) {
+      const key = tier.minGallons || 100;
+      if (!tierMap.has(key)) {
+        tierMap.set(key, {
+          minGallons: key,
+          price: parseFloat(tier.price),
+          lastUpdated: row.scraped_at,
+          source: row.source_type
+        });
+      }
     }
   }
 
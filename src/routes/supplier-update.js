@@ -5,12 +5,30 @@
  * Endpoints:
  * - GET /api/supplier-update?token=xxx - Validate token, get supplier info + view stats
  * - POST /api/supplier-update/price - Submit price update
+ * - POST /api/supplier-update/scheduled/:id/cancel - Cancel a price that hasn't started
+ *
+ * V1.1.0: Optional effectiveAt / validUntil on price updates — a future start
+ * is queued in scheduled_supplier_prices and published by the scheduled-prices
+ * cron; a valid-until retires the price on time instead of after 7 days.
+ *
+ * V1.2.0: Team sessions (supplier-auth) work here too — pass supplierId to
+ * pick the listing. Viewers can't change prices; every price row records the
+ * supplier user who entered it (entered_by_user_id).
+ *
+ * Every price, immediate or scheduled, goes through the price-sanity guards
+ * (absolute range, day-over-day change, state median) before it is written.
  */
 
 const express = require('express');
 const { validateMagicLink } = require('../lib/validate-magic-link');
+const scheduledPrices = require('../services/scheduledPrices');
+const supplierAccounts = require('../services/supplierAccounts');
+const { checkAndRecordPrice, getStateMedian } = require('../utils/price-sanity');
+const { getLastTierPrice } = require('../utils/price-tiers');
 const router = express.Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * GET /api/supplier-update
  * Validate magic link and return supplier info + engagement stats
@@ -20,9 +38,9 @@ router.get('/', async (req, res) => {
   const logger = req.app.locals.logger;
 
   try {
-    const { token } = req.query;
+    const { token, supplierId } = req.query;
 
-    const validation = await validateMagicLink(sequelize, token, logger);
+    const validation = await validateMagicLink(sequelize, token, logger, { supplierId });
 
     if (!validation.valid) {
       return res.status(401).json({
@@ -65,6 +83,8 @@ router.get('/', async (req, res) => {
       LIMIT 5
     `, { replacements: { supplierId: validation.supplierId } });
 
+    const upcoming = await scheduledPrices.getUpcomingPrices(sequelize, validation.supplierId);
+
     // Update token usage stats
     const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
     const userAgent = req.headers['user-agent'] || '';
@@ -98,12 +118,17 @@ router.get('/', async (req, res) => {
         lastUpdateSource: currentPrice?.source_type || null,
         viewsLast7Days
       },
+      access: {
+        email: validation.userEmail,
+        role: validation.role
+      },
       priceHistory: historyRows.map(p => ({
         price: parseFloat(p.price_per_gallon),
         minGallons: p.min_gallons,
         date: p.scraped_at,
         source: p.source_type
-      }))
+      })),
+      upcoming
     });
 
   } catch (error) {
@@ -118,16 +143,17 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/supplier-update/price
  * Submit a price update via magic link
+ * Body: { token, supplierId?, price, minGallons, notes, effectiveAt?, validUntil? } (ISO 8601)
  */
 router.post('/price', async (req, res) => {
   const sequelize = req.app.locals.sequelize;
   const logger = req.app.locals.logger;
 
   try {
-    const { token, price, minGallons, notes } = req.body;
+    const { token, supplierId, price, minGallons, notes, effectiveAt, validUntil } = req.body;
 
     // Validate token
-    const validation = await validateMagicLink(sequelize, token, logger);
+    const validation = await validateMagicLink(sequelize, token, logger, { supplierId });
 
     if (!validation.valid) {
       return res.status(401).json({
@@ -136,6 +162,13 @@ router.post('/price', async (req, res) => {
       });
     }
 
+    if (!supplierAccounts.can(validation.role, 'price')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account can view this listing but not change its price'
+      });
+    }
+
     // Validate price
     const priceNum = parseFloat(price);
     if (isNaN(priceNum) || priceNum < 1.50 || priceNum > 8.00) {
@@ -154,25 +187,77 @@ router.post('/price', async (req, res) => {
       });
     }
 
-    // Insert new price
-    await sequelize.query(`
-      INSERT INTO supplier_prices (
-        id, supplier_id, price_per_gallon, min_gallons, fuel_type,
-        source_type, scraped_at, expires_at, is_valid, notes,
-        verified_at, verification_method, verified_by, created_at, updated_at
-      ) VALUES (
-        gen_random_uuid(), :supplierId, :price, :minGallons, 'heating_oil',
-        'supplier_direct', NOW(), NOW() + INTERVAL '7 days', true, :notes,
-        NOW(), 'magic_link', 'supplier', NOW(), NOW()
-      )
-    `, {
-      replacements: {
+    // Optional schedule window
+    const window = {
+      effectiveAt: effectiveAt ? new Date(effectiveAt) : null,
+      validUntil: validUntil ? new Date(validUntil) : null
+    };
+    const isScheduled = !!(window.effectiveAt || window.validUntil);
+    if (isScheduled) {
+      const problem = scheduledPrices.validateWindow(window);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+    }
+    const startsLater = !!(window.effectiveAt && window.effectiveAt > new Date());
+
+    // Same guards whether the price goes live now or at effectiveAt
+    const verdict = await checkAndRecordPrice(sequelize, {
+      supplierId: validation.supplierId,
+      supplierName: validation.supplierName,
+      fuelType: 'heating_oil',
+      newPrice: priceNum,
+      prevPrice: await getLastTierPrice(sequelize, { supplierId: validation.supplierId, fuelType: 'heating_oil', minGallons: minGal }),
+      stateMedian: await getStateMedian(sequelize, validation.supplierState),
+      state: validation.supplierState,
+      source: 'magic_link'
+    }, logger);
+    if (!verdict.ok) {
+      return res.status(400).json({
+        success: false,
+        error: `Price not saved: ${verdict.rejection.reason}. If it's correct, email support@gethomeheat.com and we'll post it.`
+      });
+    }
+
+    if (isScheduled) {
+      // Queue it; publish right away unless the start is in the future
+      await scheduledPrices.schedulePrices(sequelize, {
         supplierId: validation.supplierId,
-        price: priceNum,
-        minGallons: minGal,
-        notes: notes?.trim() || 'Updated by supplier via magic link'
+        prices: [{ price: priceNum, fuelType: 'heating_oil', minGallons: minGal }],
+        effectiveAt: startsLater ? window.effectiveAt : null,
+        validUntil: window.validUntil,
+        sourceType: 'supplier_direct',
+        notes: notes?.trim() || 'Scheduled by supplier via magic link',
+        enteredByUserId: validation.userId
+      });
+      if (!startsLater) {
+        await scheduledPrices.publishDuePrices(sequelize, { supplierId: validation.supplierId });
       }
-    });
+    } else {
+      // Insert new price
+      await sequelize.query(`
+        INSERT INTO supplier_prices (
+          id, supplier_id, price_per_gallon, min_gallons, fuel_type,
+          source_type, scraped_at, expires_at, is_valid, notes,
+          verified_at, verification_method, verified_by, entered_by_user_id, created_at, updated_at
+        ) VALUES (
+          gen_random_uuid(), :supplierId, :price, :minGallons, 'heating_oil',
+          'supplier_direct', NOW(), NOW() + INTERVAL '7 days', true, :notes,
+          NOW(), 'magic_link', 'supplier', :userId, NOW(), NOW()
+        )
+      `, {
+        replacements: {
+          supplierId: validation.supplierId,
+          price: priceNum,
+          minGallons: minGal,
+          notes: notes?.trim() || 'Updated by supplier via magic link',
+          userId: validation.userId
+        }
+      });
+    }
 
     // Update token usage
     await sequelize.query(`
@@ -183,7 +268,7 @@ router.post('/price', async (req, res) => {
       WHERE id = :tokenId
     `, { replacements: { tokenId: validation.tokenId } });
 
-    logger?.info(`[SupplierUpdate] Price updated for ${validation.supplierName}: $${priceNum.toFixed(3)}`);
+    logger?.info(`[SupplierUpdate] Price ${startsLater ? 'scheduled' : 'updated'} for ${validation.supplierName}${validation.userEmail ? ` by ${validation.userEmail}` : ''}: $${priceNum.toFixed(3)}`);
 
     // Log the update for analytics
     try {
@@ -197,7 +282,12 @@ router.post('/price', async (req, res) => {
             supplier_name: validation.supplierName,
             price: priceNum,
             min_gallons: minGal,
-            source: 'supplier_direct'
+            source: 'supplier_direct',
+            user_id: validation.userId,
+            user_email: validation.userEmail,
+            role: validation.role,
+            effective_at: window.effectiveAt,
+            valid_until: window.validUntil
           }),
           ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress
         }
@@ -206,11 +296,22 @@ router.post('/price', async (req, res) => {
       // Audit logging is optional
     }
 
+    let message = `Price updated to $${priceNum.toFixed(2)}/gallon`;
+    if (startsLater) {
+      message = `Price of $${priceNum.toFixed(2)}/gallon scheduled for ${scheduledPrices.formatEastern(window.effectiveAt)} ET`;
+    }
+    if (window.validUntil) {
+      message += ` until ${scheduledPrices.formatEastern(window.validUntil)} ET`;
+    }
+
     res.json({
       success: true,
-      message: `Price updated to $${priceNum.toFixed(2)}/gallon`,
+      message,
       price: priceNum,
       minGallons: minGal,
+      scheduled: startsLater,
+      effectiveAt: startsLater ? window.effectiveAt : null,
+      validUntil: window.validUntil,
       supplierName: validation.supplierName
     });
 
@@ -223,4 +324,56 @@ router.post('/price', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/supplier-update/scheduled/:id/cancel
+ * Cancel a scheduled price before it starts
+ */
+router.post('/scheduled/:id/cancel', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'No scheduled price to cancel — it may have already started'
+    });
+  }
+
+  try {
+    const validation = await validateMagicLink(sequelize, req.body.token, logger, { supplierId: req.body.supplierId });
+
+    if (!validation.valid) {
+      return res.status(401).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    if (!supplierAccounts.can(validation.role, 'price')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account can view this listing but not change its price'
+      });
+    }
+
+    const cancelled = await scheduledPrices.cancelScheduledPrice(sequelize, validation.supplierId, req.params.id);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: 'No scheduled price to cancel — it may have already started'
+      });
+    }
+
+    logger?.info(`[SupplierUpdate] Scheduled price ${req.params.id} cancelled by ${validation.userEmail || validation.supplierName}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    logger?.error('[SupplierUpdate] Cancel scheduled price error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel scheduled price. Please try again.'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,62 @@
+// src/routes/supplier-update.test.js
+// Magic-link price updates: every price — immediate or future-dated — goes
+// through the price-sanity guard before anything is written, and a cancel id
+// that isn't a UUID is a 404 without touching the database.
+// Fake sequelize; no DB needed.
+// Run: node src/routes/supplier-update.test.js
+
+const router = require('./supplier-update');
+let passed = 0, failed = 0;
+function pass(l){ passed++; console.log(`  ✓ ${l}`); }
+function fail(l,d){ failed++; console.error(`  ✗ ${l} — ${d}`); }
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+
+const handler = (method, path) => router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]).route.stack[0].handle;
+const quiet = { info(){}, warn(){}, error(){} };
+
+function setup({ prevPrice = '3.50' } = {}){
+  const calls = [];
+  const db = { calls, query: async (sql, opts = {}) => {
+    calls.push({ sql, opts });
+    if (/FROM magic_link_tokens/.test(sql)) return [[{ token_id: 't1', purpose: 'supplier_price_update', supplier_id: 's-1', supplier_name: 'Acme Oil',
+      supplier_state: 'CT', expires_at: new Date(Date.now() + 86400000).toISOString() }]];
+    if (/tier_prices/.test(sql)) return [prevPrice ? [{ price_per_gallon: prevPrice }] : []];
+    return [[]];
+  } };
+  const call = async (method, path, body, params = {}) => {
+    let status = 200, payload = null;
+    const req = { body, params, headers: {}, socket: {}, app: { locals: { sequelize: db, logger: quiet } } };
+    const res = { status(c){ status = c; return this; }, json(p){ payload = p; return this; } };
+    await handler(method, path)(req, res);
+    return { status, payload };
+  };
+  return { calls, call };
+}
+const wrote = (calls, table) => calls.some(c => new RegExp(`INSERT INTO ${table}`).test(c.sql));
+const tomorrow = () => new Date(Date.now() + 86400000).toISOString();
+
+(async () => {
+  console.log('\n=== price sanity ===');
+  { const t = setup();
+    const r = await t.call('post', '/price', { token: 'tok', price: '2.20', effectiveAt: tomorrow() });
+    eq([r.status, /^Price not saved: 37% drop/.test(r.payload.error)], [400, true], 'future-dated drop rejected with the reason');
+    eq([wrote(t.calls, 'scheduled_supplier_prices'), wrote(t.calls, 'price_rejections')], [false, true], 'nothing queued, rejection recorded');
+    eq(t.calls.find(c => /INSERT INTO price_rejections/.test(c.sql)).opts.bind.includes('magic_link'), true, 'recorded as magic_link'); }
+
+  { const t = setup();
+    const r = await t.call('post', '/price', { token: 'tok', price: '2.20' });
+    eq([r.status, wrote(t.calls, 'supplier_prices')], [400, false], 'immediate drop rejected the same way'); }
+
+  { const t = setup();
+    const r = await t.call('post', '/price', { token: 'tok', price: '3.45', minGallons: '200', effectiveAt: tomorrow() });
+    eq([r.status, r.payload.scheduled, wrote(t.calls, 'scheduled_supplier_prices')], [200, true, true], 'plausible future price queued');
+    eq(t.calls.find(c => /tier_prices/.test(c.sql)).opts.replacements.minGallons, 200, 'compared against the same tier'); }
+
+  console.log('\n=== cancel ===');
+  { const t = setup();
+    const r = await t.call('post', '/scheduled/:id/cancel', { token: 'tok' }, { id: 'not-a-uuid' });
+    eq([r.status, r.payload.error, t.calls.length], [404, 'No scheduled price to cancel — it may have already started', 0], 'non-UUID id → 404, no query'); }
+
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
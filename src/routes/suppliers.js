@@ -10,6 +10,7 @@
 // V2.0.2: Removed notes field from API response (internal only)
 // V2.13.0: Removed email field from API response (internal only - for supplier outreach)
 // V2.4.0: Price-first sorting - priced suppliers first (sorted by price), then unpriced (sorted by match quality)
+// V3.4.1: GET /:slug/prices — daily price history per fuel with tier, source and gap markers
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
@@ -21,6 +22,13 @@ const { findSuppliersForZip, getZipInfo } = require('../services/supplierMatcher
 const { getZipsForCity, getZipsForCounty, normalizeLocation } = require('../services/locationResolver');
 const { getTerminalProximityScore } = require('../services/terminalProximity');
 const { trackLocation } = require('../models/UserLocation');
+const { hashDeviceId } = require('../services/deviceRegistry');
+const {
+  getSupplierPriceHistory,
+  HISTORY_FUEL_TYPES,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS
+} = require('../utils/supplier-price-history');
 
 // V2.4.0: Price freshness thresholds for sorting and display
 const PRICE_FRESH_MS = 48 * 60 * 60 * 1000;   // 48 hours = "fresh" (updated today/yesterday)
@@ -46,6 +54,7 @@ const supplierRateLimit = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => !!req.apiKey, // V3.22.0: partner keys have a daily quota instead
 });
 
 router.use(supplierRateLimit);
@@ -728,7 +737,8 @@ router.get('/', async (req, res) => {
       trackLocation(primaryZip, {
         city: aggregatedUserInfo?.city,
         county: aggregatedUserInfo?.county,
-        state: normalizedState
+        state: normalizedState,
+        deviceIdHash: hashDeviceId(req.get('X-Device-ID'))  // V3.5.0: for account-deletion cascade
       }).catch(err => console.error('[UserLocation] Track error:', err.message));
     }
 
@@ -901,5 +911,70 @@ router.get('/debug/zip/:zip', async (req, res) => {
   });
 });
 
+/**
+ * GET /api/v1/suppliers/:slug/prices
+ *
+ * V3.4.1: Daily price history per fuel for sparklines (iOS + supplier pages).
+ * Registered after /debug/* so /debug/prices is not captured as a slug.
+ *
+ * Query params:
+ *   - days: Window in days (default 90, max 365)
+ *   - fuel: Comma list of heating_oil,kerosene,propane (default all)
+ *
+ * Points carry minGallons (tier) and sourceType (scraped | manual |
+ * user_reported | supplier_sms | supplier_direct = magic link). Gaps mark
+ * missing days with reason scrape_failed | cooldown | phone_only | no_data.
+ */
+router.get('/:slug/prices', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const days = req.query.days === undefined ? DEFAULT_HISTORY_DAYS : parseInt(req.query.days, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_HISTORY_DAYS) {
+    return res.status(400).json({ error: `days must be between 1 and ${MAX_HISTORY_DAYS}` });
+  }
+  const fuelTypes = req.query.fuel
+    ? [...new Set(String(req.query.fuel).split(',').map(f => f.trim()).filter(Boolean))]
+    : HISTORY_FUEL_TYPES;
+  const unknownFuel = fuelTypes.find(f => !HISTORY_FUEL_TYPES.includes(f));
+  if (unknownFuel || fuelTypes.length === 0) {
+    return res.status(400).json({ error: `fuel must be one of ${HISTORY_FUEL_TYPES.join(', ')}` });
+  }
+
+  try {
+    const [rows] = await sequelize.query(`
+      SELECT id, slug, name, allow_price_display, scrape_status,
+             scrape_cooldown_until, scrape_failure_dates
+      FROM suppliers
+      WHERE slug = :slug AND active = true
+      LIMIT 1
+    `, { replacements: { slug: req.params.slug } });
+    const supplier = rows[0];
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    // Same rule as the directory: suppliers who opted out of price display
+    // get no history either.
+    const fuels = supplier.allow_price_display
+      ? await getSupplierPriceHistory(sequelize, supplier, { days, fuelTypes })
+      : {};
+
+    res.json({
+      supplier: { slug: supplier.slug, name: supplier.name },
+      days,
+      priceDisplay: !!supplier.allow_price_display,
+      scrapeStatus: supplier.scrape_status || 'active',
+      fuels,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[suppliers] Price history error:', error.message);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
 module.exports = router;
 // Deploy Mon Jan 13 06:17:00 EST 2026
@@ -0,0 +1,297 @@
+// src/routes/tank-reminders.js
+// Tank run-out reminders (V3.17.0) — app opt-in keyed by contributorHash,
+// current estimate, email confirmation and unsubscribe. The daily run is the
+// queued 'tank-reminders' job (run it by hand from /api/admin/jobs).
+
+const express = require('express');
+const router = express.Router();
+const { isValidEmail } = require('../utils/email-validation');
+const { escapeHtml } = require('../utils/html');
+
+const HASH_RE = /^[a-f0-9]{64}$/i;
+const EMAIL_TOKEN_RE = /^[a-f0-9]{64}$/;
+
+// Unsubscribe and confirmation links carry 64-char lowercase hex tokens
+const isEmailToken = (token) => typeof token === 'string' && EMAIL_TOKEN_RE.test(token);
+
+function service(req) {
+  const TankReminderService = require('../services/TankReminderService');
+  return req.app.locals.tankReminderService
+    || new TankReminderService(req.app.locals.sequelize, req.app.locals.logger);
+}
+
+/** Fields the app shows; never the unsubscribe token or push ids */
+function publicReminder(row, estimate = null) {
+  return {
+    zipCode: row.zip_code,
+    fuelType: row.fuel_type,
+    tankSize: row.tank_size_gallons,
+    thresholdPct: row.threshold_pct,
+    email: !!row.email,
+    emailConfirmed: !!row.email_confirmed_at,
+    push: !!row.push_subscription_id,
+    active: row.active,
+    lastDeliveryAt: row.last_delivery_at,
+    lastDeliveryGallons: row.last_delivery_gallons != null ? parseFloat(row.last_delivery_gallons) : null,
+    lastRemindedAt: row.last_reminded_at,
+    estimate
+  };
+}
+
+/**
+ * POST /api/tank-reminders
+ * { contributorHash, zipCode, tankSize, thresholdPct?, fuelType?, email?,
+ *   pushSubscription?, lastDeliveryDate?, lastDeliveryGallons? }
+ * Opt in (or update settings). At least one of email / pushSubscription the
+ * first time; later calls keep the channels already on file. An unconfirmed
+ * email gets a confirmation link and no reminders until it's followed.
+ */
+router.post('/', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+
+  try {
+    const { contributorHash, email, pushSubscription, lastDeliveryDate, lastDeliveryGallons } = req.body;
+    if (!contributorHash || !HASH_RE.test(contributorHash)) {
+      return res.status(400).json({ error: 'Invalid contributor hash.' });
+    }
+
+    const TankReminderService = require('../services/TankReminderService');
+    const normalized = TankReminderService.normalizeSettings(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const cleanEmail = email ? String(email).trim().toLowerCase() : null;
+    if (cleanEmail && !isValidEmail(cleanEmail)) {
+      return res.status(400).json({ error: 'Please enter a valid email address.' });
+    }
+
+    let lastDelivery = null;
+    if (lastDeliveryDate !== undefined || lastDeliveryGallons !== undefined) {
+      const date = new Date(lastDeliveryDate);
+      const gallons = parseFloat(lastDeliveryGallons);
+      if (isNaN(date.getTime()) || date > new Date() || !(gallons > 0) || gallons > normalized.settings.tankSize) {
+        return res.status(400).json({ error: 'Last delivery needs a past date and gallons up to the tank size.' });
+      }
+      lastDelivery = { date, gallons };
+    }
+
+    const reminders = service(req);
+    let pushSubscriptionId = null;
+    if (pushSubscription) {
+      pushSubscriptionId = await reminders.priceAlertService.savePushSubscription(pushSubscription, req.get('user-agent'));
+      if (!pushSubscriptionId) {
+        return res.status(400).json({ error: 'This browser does not support push notifications.' });
+      }
+    }
+
+    if (!cleanEmail && !pushSubscriptionId) {
+      const [[existing]] = await sequelize.query(`
+        SELECT email, push_subscription_id FROM tank_reminders WHERE contributor_hash = :contributorHash
+      `, { replacements: { contributorHash } });
+      if (!existing || (!existing.email && !existing.push_subscription_id)) {
+        return res.status(400).json({ error: 'Choose email or push notifications for your reminders.' });
+      }
+    }
+
+    const row = await reminders.optIn({
+      contributorHash,
+      ...normalized.settings,
+      email: cleanEmail,
+      pushSubscriptionId,
+      lastDelivery
+    });
+
+    if (row.email && !row.email_confirmed_at) {
+      await reminders.sendConfirmationEmail(row);
+    }
+
+    logger.info(`[TankReminder] Opt-in for ZIP ${row.zip_code} (${row.threshold_pct}% of ${row.tank_size_gallons} gal)`);
+    res.json({ success: true, reminder: publicReminder(row) });
+  } catch (err) {
+    logger.error('[TankReminder] Opt-in error:', err.message);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+/**
+ * GET /api/tank-reminders/confirm?token=...
+ * Renders a confirm button; the POST does the work (email link scanners only GET)
+ */
+router.get('/confirm', (req, res) => {
+  const { token } = req.query;
+  if (!isEmailToken(token)) {
+    return res.status(400).send(confirmPageHtml('Invalid confirmation link.', false));
+  }
+  res.send(confirmPageHtml(null, true, token));
+});
+
+/**
+ * POST /api/tank-reminders/confirm
+ */
+router.post('/confirm', async (req, res) => {
+  const logger = req.app.locals.logger;
+  const token = req.body.token;
+  if (!isEmailToken(token)) {
+    return res.status(400).send(confirmPageHtml('Invalid confirmation link.', false));
+  }
+
+  try {
+    if (await service(req).confirmEmail(token)) {
+      logger.info('[TankReminder] Email confirmed via token.');
+    }
+    // Same answer for an already-used or unknown token
+    res.send(confirmPageHtml("Thanks — your email is confirmed. We'll let you know when your tank runs low.", false));
+  } catch (err) {
+    logger.error('[TankReminder] Confirm error:', err.message);
+    res.status(500).send(confirmPageHtml('Something went wrong. Please try again.', false));
+  }
+});
+
+/**
+ * GET /api/tank-reminders/unsubscribe?token=...
+ * Renders confirmation page (does NOT auto-unsubscribe — protects against email link scanners)
+ */
+router.get('/unsubscribe', (req, res) => {
+  const { token } = req.query;
+  if (!isEmailToken(token)) {
+    return res.status(400).send(unsubPageHtml('Invalid unsubscribe link.', false));
+  }
+  res.send(unsubPageHtml(null, true, token));
+});
+
+/**
+ * POST /api/tank-reminders/unsubscribe
+ */
+router.post('/unsubscribe', async (req, res) => {
+  const logger = req.app.locals.logger;
+  const token = req.body.token;
+  if (!isEmailToken(token)) {
+    return res.status(400).send(unsubPageHtml('Invalid unsubscribe link.', false));
+  }
+
+  try {
+    if (await service(req).unsubscribe(token)) {
+      logger.info('[TankReminder] Unsubscribed via token.');
+    }
+    res.send(unsubPageHtml("You've been unsubscribed. You won't receive any more tank reminders.", false));
+  } catch (err) {
+    logger.error('[TankReminder] Unsubscribe error:', err.message);
+    res.status(500).send(unsubPageHtml('Something went wrong. Please try again.', false));
+  }
+});
+
+function unsubPageHtml(message, showButton, token) {
+  return pageHtml('Unsubscribe', message, showButton && {
+    text: 'Click below to stop reorder reminders for your tank.',
+    action: '/api/tank-reminders/unsubscribe',
+    token,
+    label: 'Confirm Unsubscribe',
+    color: '#dc2626'
+  });
+}
+
+function confirmPageHtml(message, showButton, token) {
+  return pageHtml('Confirm Email', message, showButton && {
+    text: 'Click below to start getting reorder reminders for your tank by email.',
+    action: '/api/tank-reminders/confirm',
+    token,
+    label: 'Confirm Email',
+    color: '#2563eb'
+  });
+}
+
+function pageHtml(title, message, form) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} — HomeHeat</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; background: #f8f9fa; color: #333; }
+    .card { background: #fff; padding: 32px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); max-width: 400px; text-align: center; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    p { font-size: 14px; color: #666; line-height: 1.5; }
+    button { color: #fff; border: none; padding: 12px 24px; border-radius: 8px; font-size: 14px; cursor: pointer; margin-top: 16px; }
+    a { color: #2563eb; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>HomeHeat Tank Reminders</h1>
+    ${message ? `<p>${message}</p>` : ''}
+    ${form ? `
+      <p>${form.text}</p>
+      <form method="POST" action="${form.action}">
+        <input type="hidden" name="token" value="${escapeHtml(form.token)}">
+        <button type="submit" style="background: ${form.color};">${form.label}</button>
+      </form>
+    ` : `
+      <p><a href="/">Back to HomeHeat</a></p>
+    `}
+  </div>
+</body>
+</html>`;
+}
+
+// Param routes last so /confirm and /unsubscribe aren't taken for a hash
+
+/**
+ * GET /api/tank-reminders/:contributorHash
+ * Settings plus today's estimate (null until a delivery is known)
+ */
+router.get('/:contributorHash', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+  const { contributorHash } = req.params;
+  if (!HASH_RE.test(contributorHash)) {
+    return res.status(400).json({ error: 'Invalid contributor hash.' });
+  }
+
+  try {
+    const [[row]] = await sequelize.query(`
+      SELECT * FROM tank_reminders WHERE contributor_hash = :contributorHash
+    `, { replacements: { contributorHash } });
+    if (!row) {
+      return res.status(404).json({ error: 'No tank reminder set up.' });
+    }
+
+    let estimate = null;
+    if (row.active && row.last_delivery_at && row.starting_gallons != null) {
+      const { fit, ...current } = await service(req).estimate(row);
+      estimate = { ...current, historyIntervals: fit.intervals };
+    }
+    res.json({ reminder: publicReminder(row, estimate) });
+  } catch (err) {
+    logger.error('[TankReminder] Status error:', err.message);
+    res.status(500).json({ error: 'Something went wrong.' });
+  }
+});
+
+/**
+ * DELETE /api/tank-reminders/:contributorHash
+ * Turn reminders off from the app
+ */
+router.delete('/:contributorHash', async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  const logger = req.app.locals.logger;
+  const { contributorHash } = req.params;
+  if (!HASH_RE.test(contributorHash)) {
+    return res.status(400).json({ error: 'Invalid contributor hash.' });
+  }
+
+  try {
+    await sequelize.query(`
+      UPDATE tank_reminders SET active = false, updated_at = NOW()
+      WHERE contributor_hash = :contributorHash
+    `, { replacements: { contributorHash } });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('[TankReminder] Opt-out error:', err.message);
+    res.status(500).json({ error: 'Something went wrong.' });
+  }
+});
+
+module.exports = router;
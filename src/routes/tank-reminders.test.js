@@ -0,0 +1,84 @@
+// src/routes/tank-reminders.test.js
+// Unsubscribe and email-confirm pages: only a 64-char lowercase hex string is
+// a token, anything else (markup, arrays from repeated ?token=) is a 400 that
+// never echoes it. Opt-in with a new email sends the confirmation link.
+// Run: node src/routes/tank-reminders.test.js
+
+const router = require('./tank-reminders');
+let passed = 0, failed = 0;
+function pass(l){ passed++; console.log(`  ✓ ${l}`); }
+function fail(l,d){ failed++; console.error(`  ✗ ${l} — ${d}`); }
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+
+const handler = (method, path) => router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]).route.stack[0].handle;
+const TOKEN = 'ab'.repeat(32);
+
+async function call(method, input, path = '/unsubscribe'){
+  let status = 200, body = '';
+  let unsubscribed = null, confirmed = null;
+  const req = { query: input, body: input, app: { locals: {
+    logger: { info(){}, warn(){}, error(){} },
+    tankReminderService: {
+      unsubscribe: async (t) => { unsubscribed = t; return true; },
+      confirmEmail: async (t) => { confirmed = t; return 1; }
+    }
+  } } };
+  const res = { status(c){ status = c; return this; }, send(b){ body = b; return this; } };
+  await handler(method, path)(req, res);
+  return { status, body, unsubscribed, confirmed };
+}
+
+async function optIn(body, row){
+  let status = 200, payload = null;
+  const confirmations = [];
+  const req = { body, get: () => 'test-agent', app: { locals: {
+    logger: { info(){}, warn(){}, error(){} },
+    sequelize: { query: async () => [[]] },
+    tankReminderService: {
+      optIn: async () => row,
+      sendConfirmationEmail: async (r) => { confirmations.push(r.id); return true; }
+    }
+  } } };
+  const res = { status(c){ status = c; return this; }, json(p){ payload = p; return this; } };
+  await handler('post', '/')(req, res);
+  return { status, payload, confirmations };
+}
+
+(async () => {
+  console.log('\n=== GET /unsubscribe ===');
+  let r = await call('get', { token: TOKEN });
+  eq([r.status, r.body.includes(`name="token" value="${TOKEN}"`)], [200, true], 'valid token → confirm form');
+  const xss = '"><script>alert(1)</script>' + 'a'.repeat(37);
+  r = await call('get', { token: xss });
+  eq([r.status, r.body.includes('<script>')], [400, false], '64-char markup rejected, not reflected');
+  r = await call('get', { token: [TOKEN, TOKEN] });
+  eq(r.status, 400, 'non-string token rejected');
+  r = await call('get', { token: TOKEN.toUpperCase() });
+  eq(r.status, 400, 'uppercase hex is not a token');
+
+  console.log('\n=== POST /unsubscribe ===');
+  r = await call('post', { token: TOKEN });
+  eq([r.status, r.unsubscribed], [200, TOKEN], 'valid token unsubscribes');
+  r = await call('post', { token: xss });
+  eq([r.status, r.unsubscribed], [400, null], 'invalid token never reaches the service');
+
+  console.log('\n=== email confirmation ===');
+  r = await call('get', { token: TOKEN }, '/confirm');
+  eq([r.status, r.body.includes('action="/api/tank-reminders/confirm"'), r.confirmed], [200, true, null], 'GET renders a confirm button, confirms nothing');
+  r = await call('post', { token: TOKEN }, '/confirm');
+  eq([r.status, r.confirmed], [200, TOKEN], 'POST confirms by token');
+  r = await call('post', { token: xss }, '/confirm');
+  eq([r.status, r.confirmed, r.body.includes('<script>')], [400, null, false], 'invalid confirm token rejected');
+
+  const settings = { contributorHash: 'c'.repeat(64), zipCode: '06103', tankSize: 275, email: 'Home@Mailbox.org' };
+  const row = { id: 'tr-1', zip_code: '06103', threshold_pct: 25, tank_size_gallons: 275, email: 'home@mailbox.org', email_confirmed_at: null, active: true };
+  let o = await optIn(settings, row);
+  eq([o.status, o.confirmations, o.payload.reminder.emailConfirmed], [200, ['tr-1'], false], 'unconfirmed email → confirmation sent');
+  o = await optIn(settings, { ...row, email_confirmed_at: '2026-01-02T00:00:00Z' });
+  eq([o.confirmations, o.payload.reminder.emailConfirmed], [[], true], 'confirmed email → no new link');
+
+  eq(router.stack.some(l => l.route && l.route.path === '/trigger'), false, 'no manual trigger route (job console runs it)');
+
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
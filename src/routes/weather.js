@@ -1,7 +1,8 @@
 // src/routes/weather.js - Enhanced Weather API with Heating Intelligence
 const express = require('express');
-const { param, validationResult } = require('express-validator');
+const { param, query, validationResult } = require('express-validator');
 const router = express.Router();
+const weatherHistory = require('../services/weatherHistory');
 
 // Validation middleware
 const validateZipCode = param('zipCode').matches(/^\d{5}$/).withMessage('Invalid ZIP code format');
@@ -17,6 +18,20 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// OpenWeather current conditions for a ZIP
+async function fetchCurrentWeather(zipCode) {
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(
+    `https://api.openweathermap.org/data/2.5/weather?zip=${zipCode},US&appid=${process.env.OPENWEATHER_API_KEY}&units=imperial`,
+    { timeout: 10000 }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Weather API error: ${response.status}`);
+  }
+  return response.json();
+}
+
 // GET /api/weather/current/:zipCode - Enhanced current weather
 router.get('/current/:zipCode', [validateZipCode, handleValidationErrors], async (req, res) => {
   try {
@@ -33,18 +48,19 @@ router.get('/current/:zipCode', [validateZipCode, handleValidationErrors], async
     
     logger.info(`🌤️ Fetching enhanced current weather for ${zipCode}`);
     
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/weather?zip=${zipCode},US&appid=${process.env.OPENWEATHER_API_KEY}&units=imperial`,
-      { timeout: 10000 }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Weather API error: ${response.status}`);
+    const weatherData = await fetchCurrentWeather(zipCode);
+
+    // V3.7.0: Fold the reading into today's running high/low (weather_daily)
+    const sequelize = req.app.locals.sequelize;
+    if (sequelize) {
+      weatherHistory.recordObservation(sequelize, zipCode, {
+        temp: weatherData.main.temp,
+        high: weatherData.main.temp_max,
+        low: weatherData.main.temp_min,
+        conditions: weatherData.weather?.[0]?.main
+      }).catch(err => logger.warn(`Weather observation not stored for ${zipCode}: ${err.message}`));
     }
     
-    const weatherData = await response.json();
-    
     // Enhance with heating-specific intelligence
     const enhancedData = {
       ...weatherData,
@@ -147,6 +163,65 @@ router.get('/forecast/:zipCode', [validateZipCode, handleValidationErrors], asyn
   }
 });
 
+// V3.7.0: GET /api/weather/degree-days/:zipCode?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Accumulated HDD from weather_daily. OpenWeather is only called when today is
+// in range and has no row yet (its free API has no history, so earlier gaps
+// are filled from normals)
+router.get('/degree-days/:zipCode', [
+  validateZipCode,
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+], async (req, res) => {
+  const sequelize = req.app.locals.sequelize;
+  if (!sequelize) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const { zipCode } = req.params;
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+    const to = (req.query.to || today).slice(0, 10);
+    const from = (req.query.from || new Date(Date.parse(to) - 29 * 86400000).toISOString()).slice(0, 10);
+
+    const spanDays = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (spanDays < 1) {
+      return res.status(400).json({ error: 'from must be on or before to' });
+    }
+    if (spanDays > weatherHistory.MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Range cannot exceed ${weatherHistory.MAX_RANGE_DAYS} days` });
+    }
+
+    let result = await weatherHistory.getDegreeDays(sequelize, zipCode, { from, to });
+
+    const todayRow = result.daily.find(day => day.date === today);
+    if (todayRow && todayRow.source === 'normal' && process.env.OPENWEATHER_API_KEY) {
+      try {
+        const weatherData = await fetchCurrentWeather(zipCode);
+        await weatherHistory.recordObservation(sequelize, zipCode, {
+          temp: weatherData.main.temp,
+          high: weatherData.main.temp_max,
+          low: weatherData.main.temp_min,
+          conditions: weatherData.weather?.[0]?.main,
+          date: today
+        });
+        result = await weatherHistory.getDegreeDays(sequelize, zipCode, { from, to });
+      } catch (error) {
+        req.app.locals.logger.warn(`Degree days: today not filled for ${zipCode}: ${error.message}`);
+      }
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    req.app.locals.logger.error('Degree days error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch degree days',
+      message: error.message
+    });
+  }
+});
+
 // Helper functions for heating intelligence
 function calculateHeatingDemand(temperature) {
   if (temperature >= 70) return 'none';
@@ -0,0 +1,221 @@
+// src/services/ApiKeyService.js
+// Public developer API keys (V3.22.0) — partners (energy assistance
+// nonprofits, local news sites) get a key instead of scraping the SEO pages
+// or sharing the anonymous per-IP limits.
+//
+// Keys look like "hh_" + 32 base64url chars. The plaintext is returned once,
+// from create(); only its SHA-256 is stored. Each key carries:
+//   scopes       which routes it may call (SCOPES; see src/middleware/apiKey.js)
+//   daily_quota  requests per UTC day across all scopes. meter() counts and
+//                enforces in one upsert, so concurrent requests can't overshoot
+//
+// Lookups are cached per process for KEY_CACHE_TTL_MS, so a revoke on another
+// instance takes up to a minute to bite; revoke() clears this process's cache.
+// Issue / revoke / usage: /api/admin/api-keys.
+
+const crypto = require('crypto');
+
+const SCOPES = ['prices', 'suppliers', 'heating-cost'];
+const KEY_PREFIX = 'hh_';
+const KEY_PATTERN = /^hh_[A-Za-z0-9_-]{32}$/;
+const DISPLAY_PREFIX_LENGTH = 11; // "hh_" + 8
+const DEFAULT_DAILY_QUOTA = 1000;
+const MAX_DAILY_QUOTA = 1000000;
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const KEY_CACHE_MAX = 500;
+
+// key_hash → { key (row or null), expires }. Shared by every ApiKeyService
+// instance in the process (the middleware and admin routes build their own).
+const keyCache = new Map();
+
+const KEY_COLUMNS = `id, name, contact_email, notes, key_prefix, scopes, daily_quota,
+  last_used_at, revoked_at, revoked_reason, created_at`;
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/** UTC calendar day the request is metered against (YYYY-MM-DD) */
+function usageDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/** Seconds until the quota resets (next UTC midnight) */
+function secondsUntilReset(now = new Date()) {
+  const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((reset - now.getTime()) / 1000);
+}
+
+class ApiKeyService {
+  constructor(sequelize, logger) {
+    this.sequelize = sequelize;
+    this.logger = logger || console;
+  }
+
+  /**
+   * Issue a key. The plaintext apiKey is only ever in this return value.
+   * @returns {Promise<{key, apiKey}|{error, status}>}
+   */
+  async create({ name, contactEmail = null, scopes, dailyQuota = DEFAULT_DAILY_QUOTA, notes = null } = {}) {
+    name = typeof name === 'string' ? name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'name is required (max 100 characters)', status: 400 };
+    }
+    if (contactEmail && (typeof contactEmail !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(contactEmail))) {
+      return { error: 'contactEmail must be an email address', status: 400 };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+      return { error: `scopes must be a non-empty list of: ${SCOPES.join(', ')}`, status: 400 };
+    }
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1 || dailyQuota > MAX_DAILY_QUOTA) {
+      return { error: `dailyQuota must be an integer between 1 and ${MAX_DAILY_QUOTA}`, status: 400 };
+    }
+
+    const apiKey = generateKey();
+    const [rows] = await this.sequelize.query(`
+      INSERT INTO api_keys (name, contact_email, notes, key_prefix, key_hash, scopes, daily_quota)
+      VALUES (:name, :contactEmail, :notes, :keyPrefix, :keyHash, :scopes, :dailyQuota)
+      RETURNING ${KEY_COLUMNS}
+    `, {
+      replacements: {
+        name,
+        contactEmail: contactEmail || null,
+        notes: notes ? String(notes).slice(0, 500) : null,
+        keyPrefix: apiKey.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashKey(apiKey),
+        scopes: JSON.stringify([...new Set(scopes)]),
+        dailyQuota
+      }
+    });
+
+    this.logger.info(`[ApiKeys] Issued ${rows[0].key_prefix}… to ${name} (${scopes.join(', ')}, ${dailyQuota}/day)`);
+    return { key: rows[0], apiKey };
+  }
+
+  /**
+   * Keys with today's usage and the trailing 30 days' total
+   */
+  async list({ includeRevoked = false, now = new Date() } = {}) {
+    const [rows] = await this.sequelize.query(`
+      SELECT k.id, k.name, k.contact_email, k.notes, k.key_prefix, k.scopes, k.daily_quota,
+        k.last_used_at, k.revoked_at, k.revoked_reason, k.created_at,
+        COALESCE(t.requests, 0) AS requests_today,
+        COALESCE(t.rejected, 0) AS rejected_today,
+        COALESCE(m.requests, 0) AS requests_30d
+      FROM api_keys k
+      LEFT JOIN api_key_usage t ON t.api_key_id = k.id AND t.day = CAST(:day AS date)
+      LEFT JOIN (
+        SELECT api_key_id, SUM(requests)::int AS requests
+        FROM api_key_usage
+        WHERE day > CAST(:day AS date) - 30
+        GROUP BY api_key_id
+      ) m ON m.api_key_id = k.id
+      WHERE :includeRevoked OR k.revoked_at IS NULL
+      ORDER BY k.created_at DESC
+    `, { replacements: { day: usageDay(now), includeRevoked: !!includeRevoked } });
+    return rows;
+  }
+
+  /**
+   * Daily usage for one key, newest first. Null when the key doesn't exist.
+   */
+  async usage(id, { days = 30, now = new Date() } = {}) {
+    const [keys] = await this.sequelize.query(`
+      SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = :id
+    `, { replacements: { id } });
+    if (!keys[0]) return null;
+
+    const [rows] = await this.sequelize.query(`
+      SELECT to_char(day, 'YYYY-MM-DD') AS day, requests, rejected, by_scope
+      FROM api_key_usage
+      WHERE api_key_id = :id AND day > CAST(:day AS date) - :days
+      ORDER BY day DESC
+    `, { replacements: { id, day: usageDay(now), days } });
+    return { key: keys[0], days: rows };
+  }
+
+  /**
+   * Revoke a key. Null when it doesn't exist or is already revoked.
+   */
+  async revoke(id, reason = null) {
+    const [rows] = await this.sequelize.query(`
+      UPDATE api_keys
+      SET revoked_at = NOW(), revoked_reason = :reason, updated_at = NOW()
+      WHERE id = :id AND revoked_at IS NULL
+      RETURNING ${KEY_COLUMNS}
+    `, { replacements: { id, reason: reason ? String(reason).slice(0, 200) : null } });
+
+    if (!rows[0]) return null;
+    keyCache.clear();
+    this.logger.info(`[ApiKeys] Revoked ${rows[0].key_prefix}… (${rows[0].name})`);
+    return rows[0];
+  }
+
+  /**
+   * Resolve a presented key to its active row, or null (unknown, malformed
+   * or revoked). Refreshes last_used_at on each cache miss — at most once a
+   * minute per key per process.
+   */
+  async authenticate(apiKey, { now = Date.now() } = {}) {
+    if (typeof apiKey !== 'string' || !KEY_PATTERN.test(apiKey)) return null;
+
+    const keyHash = hashKey(apiKey);
+    const cached = keyCache.get(keyHash);
+    if (cached && cached.expires > now) return cached.key;
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE key_hash = :keyHash AND revoked_at IS NULL
+      RETURNING id, name, key_prefix, scopes, daily_quota
+    `, { replacements: { keyHash } });
+
+    if (keyCache.size >= KEY_CACHE_MAX) keyCache.clear();
+    keyCache.set(keyHash, { key: rows[0] || null, expires: now + KEY_CACHE_TTL_MS });
+    return rows[0] || null;
+  }
+
+  /**
+   * Count one request against the key's daily quota. The increment only
+   * applies while under quota; a request over it is recorded as rejected.
+   * @returns {Promise<{allowed, limit, used, remaining, resetSeconds}>}
+   */
+  async meter(key, scope, { now = new Date() } = {}) {
+    const day = usageDay(now);
+    const limit = key.daily_quota;
+    const resetSeconds = secondsUntilReset(now);
+
+    const [rows] = await this.sequelize.query(`
+      INSERT INTO api_key_usage (api_key_id, day, requests, by_scope)
+      VALUES (:id, :day, 1, jsonb_build_object(:scope, 1))
+      ON CONFLICT (api_key_id, day) DO UPDATE SET
+        requests = api_key_usage.requests + 1,
+        by_scope = api_key_usage.by_scope
+          || jsonb_build_object(:scope, COALESCE((api_key_usage.by_scope->>:scope)::int, 0) + 1),
+        updated_at = NOW()
+      WHERE api_key_usage.requests < :limit
+      RETURNING requests
+    `, { replacements: { id: key.id, day, scope, limit } });
+
+    if (rows[0]) {
+      const used = rows[0].requests;
+      return { allowed: true, limit, used, remaining: Math.max(limit - used, 0), resetSeconds };
+    }
+
+    await this.sequelize.query(`
+      UPDATE api_key_usage SET rejected = rejected + 1, updated_at = NOW()
+      WHERE api_key_id = :id AND day = :day
+    `, { replacements: { id: key.id, day } });
+    return { allowed: false, limit, used: limit, remaining: 0, resetSeconds };
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.SCOPES = SCOPES;
+module.exports.hashKey = hashKey;
+module.exports.usageDay = usageDay;
+module.exports.secondsUntilReset = secondsUntilReset;
+module.exports.clearCache = () => keyCache.clear();
@@ -0,0 +1,141 @@
+// src/services/ApiKeyService.test.js
+//
+// Partner API keys (V3.22.0): create validates and stores only the hash,
+// authenticate rejects malformed / unknown keys and caches lookups, meter
+// counts per UTC day and refuses past the quota (recording the rejection),
+// revoke clears the cache.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/ApiKeyService.test.js
+
+const ApiKeyService = require('./ApiKeyService');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const NOW = new Date('2026-10-19T22:00:00Z');
+const KEY = { id: 'k1', name: 'Fuel Fund', key_prefix: 'hh_abcdefgh', scopes: ['prices'], daily_quota: 3 };
+
+(async () => {
+  console.log('\n=== helpers ===');
+  eq(ApiKeyService.usageDay(NOW), '2026-10-19', 'usage day is the UTC date');
+  eq(ApiKeyService.secondsUntilReset(NOW), 2 * 3600, 'quota resets at the next UTC midnight');
+  eq(ApiKeyService.hashKey('hh_x').length, 64, 'hash is hex SHA-256');
+
+  console.log('\n=== create ===');
+  {
+    const db = fakeSequelize((sql, opts) => (/INSERT INTO api_keys/.test(sql)
+      ? [[{ id: 'k1', name: opts.replacements.name, key_prefix: opts.replacements.keyPrefix, scopes: JSON.parse(opts.replacements.scopes), daily_quota: opts.replacements.dailyQuota }]]
+      : null));
+    const service = new ApiKeyService(db, quietLogger);
+
+    eq((await service.create({ name: ' ', scopes: ['prices'] })).status, 400, 'name required');
+    eq((await service.create({ name: 'A', scopes: [] })).status, 400, 'at least one scope');
+    eq((await service.create({ name: 'A', scopes: ['prices', 'admin'] })).status, 400, 'unknown scope rejected');
+    eq((await service.create({ name: 'A', scopes: ['prices'], dailyQuota: 0 })).status, 400, 'quota must be positive');
+    eq((await service.create({ name: 'A', scopes: ['prices'], dailyQuota: '500' })).status, 400, 'quota must be an integer');
+    eq((await service.create({ name: 'A', scopes: ['prices'], contactEmail: 'nope' })).status, 400, 'contact email validated');
+    eq(db.calls.length, 0, 'nothing written for invalid input');
+
+    const result = await service.create({ name: ' Fuel Fund ', scopes: ['prices', 'suppliers', 'prices'], dailyQuota: 5000 });
+    const r = db.calls[0].opts.replacements;
+    eq(/^hh_[A-Za-z0-9_-]{32}$/.test(result.apiKey), true, 'key is hh_ + 32 base64url chars');
+    eq([r.name, r.keyPrefix, r.keyHash], ['Fuel Fund', result.apiKey.slice(0, 11), ApiKeyService.hashKey(result.apiKey)], 'stores the hash and display prefix');
+    eq(JSON.stringify(r).includes(result.apiKey), false, 'plaintext key never reaches the database');
+    eq([result.key.scopes, result.key.daily_quota], [['prices', 'suppliers'], 5000], 'scopes deduped');
+  }
+
+  console.log('\n=== authenticate ===');
+  {
+    ApiKeyService.clearCache();
+    const valid = 'hh_' + 'a'.repeat(32);
+    const db = fakeSequelize((sql, opts) => (/UPDATE api_keys SET last_used_at/.test(sql) && opts.replacements.keyHash === ApiKeyService.hashKey(valid)
+      ? [[KEY]] : null));
+    const service = new ApiKeyService(db, quietLogger);
+
+    eq(await service.authenticate('not-a-key'), null, 'malformed key rejected');
+    eq(db.calls.length, 0, 'malformed key never hits the database');
+    eq((await service.authenticate(valid, { now: 0 })).id, 'k1', 'active key resolves');
+    eq((await service.authenticate(valid, { now: 30000 })).id, 'k1', 'repeat within the TTL');
+    eq(db.calls.length, 1, 'served from cache');
+    await service.authenticate(valid, { now: 61000 });
+    eq(db.calls.length, 2, 'looked up again after the TTL');
+
+    const unknown = 'hh_' + 'b'.repeat(32);
+    eq(await service.authenticate(unknown, { now: 0 }), null, 'unknown / revoked key rejected');
+    await service.authenticate(unknown, { now: 1000 });
+    eq(db.calls.length, 3, 'misses are cached too');
+  }
+
+  console.log('\n=== meter ===');
+  {
+    let used = 0;
+    const db = fakeSequelize((sql, opts) => {
+      if (/INSERT INTO api_key_usage/.test(sql)) {
+        if (used >= opts.replacements.limit) return [[]];
+        used++;
+        return [[{ requests: used }]];
+      }
+      return null;
+    });
+    const service = new ApiKeyService(db, quietLogger);
+
+    let q = await service.meter(KEY, 'prices', { now: NOW });
+    eq([q.allowed, q.used, q.remaining, q.limit, q.resetSeconds], [true, 1, 2, 3, 7200], 'first request counted');
+    const r = db.calls[0].opts.replacements;
+    eq([r.id, r.day, r.scope, r.limit], ['k1', '2026-10-19', 'prices', 3], 'upsert keyed by key + UTC day, scope counted');
+    eq(/ON CONFLICT \(api_key_id, day\) DO UPDATE .* WHERE api_key_usage.requests < :limit/.test(db.calls[0].sql), true, 'increment only applies under quota');
+    await service.meter(KEY, 'prices', { now: NOW });
+    q = await service.meter(KEY, 'prices', { now: NOW });
+    eq([q.allowed, q.remaining], [true, 0], 'last request of the quota allowed');
+    q = await service.meter(KEY, 'prices', { now: NOW });
+    eq([q.allowed, q.used, q.remaining], [false, 3, 0], 'over quota refused');
+    eq(db.calls.filter(c => /SET rejected = rejected \+ 1/.test(c.sql)).length, 1, 'rejection recorded');
+  }
+
+  console.log('\n=== revoke / usage ===');
+  {
+    ApiKeyService.clearCache();
+    const valid = 'hh_' + 'c'.repeat(32);
+    let revoked = false;
+    const db = fakeSequelize((sql) => {
+      if (/UPDATE api_keys SET last_used_at/.test(sql)) return [revoked ? [] : [KEY]];
+      if (/SET revoked_at = NOW\(\)/.test(sql)) { revoked = true; return [[{ ...KEY, revoked_reason: 'ended' }]]; }
+      return null;
+    });
+    const service = new ApiKeyService(db, quietLogger);
+
+    await service.authenticate(valid);
+    eq((await service.revoke('k1', 'ended')).revoked_reason, 'ended', 'revoke returns the key');
+    eq(await service.authenticate(valid), null, 'revoked key stops working at once in this process');
+    db.query = async () => [[]];
+    eq(await service.revoke('k1'), null, 'already revoked / unknown → null');
+
+    const usageDb = fakeSequelize((sql) => (/FROM api_keys WHERE id = :id/.test(sql) ? [[KEY]]
+      : /FROM api_key_usage/.test(sql) ? [[{ day: '2026-10-19', requests: 3 }]] : null));
+    const usage = await new ApiKeyService(usageDb, quietLogger).usage('k1', { days: 7, now: NOW });
+    eq([usage.key.id, usage.days.length, usageDb.calls[1].opts.replacements.days], ['k1', 1, 7], 'usage returns the key and its days');
+    eq(await new ApiKeyService(fakeSequelize(() => null), quietLogger).usage('k9'), null, 'unknown key usage → null');
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+})();
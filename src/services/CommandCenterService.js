@@ -6,7 +6,7 @@
  * supplier lifecycle pipeline, and key movers.
  *
  * No new migrations — reads existing tables:
- *   supplier_clicks, suppliers, supplier_prices, weather_history,
+ *   supplier_clicks, suppliers, supplier_prices, weather_daily,
  *   user_locations, supplier_engagements
  */
 
@@ -15,6 +15,7 @@ const {
   healthFuelPredicate,
   buildLatestHealthPriceCTE,
 } = require('../utils/supplier-health-price-query');
+const { loadRegionalDailyWeather } = require('./weatherHistory');
 
 // Eastern time "today" string for JS-side comparisons
 function easternToday() {
@@ -240,18 +241,6 @@ class CommandCenterService {
         WHERE s.active = true
           AND d.val::timestamptz > NOW() - INTERVAL '8 days'
           AND d.val::timestamptz <= NOW() - INTERVAL '24 hours'
-      ),
-      recent_weather AS (
-        SELECT temp_avg
-        FROM weather_history
-        ORDER BY date DESC
-        LIMIT 1
-      ),
-      baseline_weather AS (
-        SELECT date as day, temp_avg
-        FROM weather_history
-        WHERE date > (NOW() - INTERVAL '8 days')::date
-          AND date <= (NOW() - INTERVAL '24 hours')::date
       )
       SELECT
         (SELECT clicks FROM recent_traffic) as recent_clicks,
@@ -261,30 +250,31 @@ class CommandCenterService {
         (SELECT new_locations FROM recent_demand) as recent_demand,
         (SELECT avg_locations FROM baseline_demand) as baseline_avg_demand,
         (SELECT failures FROM recent_failures) as recent_failures,
-        (SELECT avg_failures FROM baseline_failures) as baseline_avg_failures,
-        (SELECT temp_avg FROM recent_weather) as recent_temp,
-        (SELECT json_agg(json_build_object('temp', temp_avg))
-         FROM baseline_weather WHERE temp_avg IS NOT NULL) as baseline_temps
+        (SELECT avg_failures FROM baseline_failures) as baseline_avg_failures
     `);
 
     const anomalies = [];
     const row = windowMetrics[0];
     if (!row) return anomalies;
 
+    // V3.22.5: regional daily temperature over a fixed county set, so a day
+    // when only some counties reported doesn't skew the HDD normalization
+    const dailyWeather = (await loadRegionalDailyWeather(sequelize, 7))
+      .filter(d => d.tempAvg !== null);
+    const yesterdayUtc = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const baselineTemps = dailyWeather.filter(d => d.date <= yesterdayUtc).map(d => d.tempAvg);
+
     // --- Traffic anomaly (HDD-normalized) ---
     const recentClicks = parseInt(row.recent_clicks) || 0;
     const baselineAvgClicks = parseFloat(row.baseline_avg_clicks) || 0;
-    const recentTemp = row.recent_temp ? parseFloat(row.recent_temp) : null;
+    const recentTemp = dailyWeather.length > 0 ? dailyWeather[dailyWeather.length - 1].tempAvg : null;
     const recentHDD = recentTemp !== null ? Math.max(0, 65 - recentTemp) : null;
 
     let trafficDeviation;
     let trafficNote = '';
-    if (recentHDD !== null && recentHDD > 0 && row.baseline_temps) {
-      const baselineTemps = typeof row.baseline_temps === 'string'
-        ? JSON.parse(row.baseline_temps) : row.baseline_temps;
-      const histWithHDD = (baselineTemps || [])
-        .filter(t => t.temp !== null)
-        .map(t => Math.max(0, 65 - parseFloat(t.temp)))
+    if (recentHDD !== null && recentHDD > 0 && baselineTemps.length > 0) {
+      const histWithHDD = baselineTemps
+        .map(temp => Math.max(0, 65 - temp))
         .filter(hdd => hdd > 0);
 
       if (histWithHDD.length >= 3 && baselineAvgClicks > 0) {
@@ -8,8 +8,11 @@
  * - Instant alerts (critical gaps)
  *
  * Railway blocks SMTP ports, so we use Resend's HTTP API instead.
+ * V3.18.0: sent through NotificationService; retries come from its outbox.
  */
 
+const { getNotificationService } = require('./NotificationService');
+
 class CoverageReportMailer {
   constructor() {
     this.initialized = false;
@@ -32,53 +35,31 @@ class CoverageReportMailer {
   }
 
   /**
-   * Send email via Resend API
+   * Send email via NotificationService (stream 'admin'). Transient Resend
+   * errors are retried from the notification outbox instead of blocking the cron.
    */
-  async sendEmail(to, subject, html, { maxRetries = 3, retryDelayMs = 30000 } = {}) {
+  async sendEmail(to, subject, html) {
     if (!this.initialized) {
       console.log('[CoverageReportMailer] Not initialized - skipping email');
       return false;
     }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            from: this.fromEmail,
-            to: [to],
-            subject,
-            html
-          })
-        });
-
-        const result = await response.json();
-
-        if (response.ok) {
-          console.log(`[CoverageReportMailer] Email sent: ${result.id}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
-          return true;
-        } else {
-          console.error(`[CoverageReportMailer] Resend API error (attempt ${attempt}/${maxRetries}):`, result);
-          if (attempt < maxRetries && response.status >= 400 && response.status !== 422) {
-            console.log(`[CoverageReportMailer] Retrying in ${retryDelayMs / 1000}s...`);
-            await new Promise(r => setTimeout(r, retryDelayMs));
-          }
-        }
-      } catch (error) {
-        console.error(`[CoverageReportMailer] Failed to send email (attempt ${attempt}/${maxRetries}):`, error.message);
-        if (attempt < maxRetries) {
-          console.log(`[CoverageReportMailer] Retrying in ${retryDelayMs / 1000}s...`);
-          await new Promise(r => setTimeout(r, retryDelayMs));
-        }
-      }
-    }
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to,
+      stream: 'admin',
+      source: 'coverage-report',
+      from: this.fromEmail,
+      subject,
+      html
+    });
 
-    console.error('[CoverageReportMailer] All retry attempts exhausted');
-    return false;
+    if (sent.status === 'retrying') {
+      console.log(`[CoverageReportMailer] Send failed, queued for retry: ${sent.error}`);
+    } else if (!sent.accepted) {
+      console.error(`[CoverageReportMailer] Failed to send email: ${sent.error || sent.status}`);
+    }
+    return sent.accepted;
   }
 
   /**
@@ -11,13 +11,49 @@
  *
  * Usage in server.js:
  *   const monitor = new CronMonitor(sequelize, logger);
- *   cron.schedule('0 21 * * *', () => monitor.run('afternoon-scrape', scrapeFn));
+ *   cron.schedule('0 23 * * *', () => monitor.run('seo-pages', generateFn));
+ *
+ * V3.19.0: Jobs on the durable queue (JobQueue) don't go through run() — their
+ * heartbeats are derived from job rows (job_heartbeats view) and merged with
+ * cron_heartbeats here, so the health report covers both. run() remains for
+ * the per-instance page generators that still use node-cron.
  */
 
 const RETRY_DELAY_MS = 2 * 60 * 1000; // 2 minutes
 const ERROR_LOG_TTL_DAYS = 30;
 const HEARTBEAT_TTL_DAYS = 90;
 
+// Heartbeats from both sources: node-cron jobs wrapped in run() and queue jobs
+// (job_heartbeats view, V3.19.0). `:retry` rows are run()'s second attempt.
+const HEARTBEATS_SQL = `
+  SELECT job_name, status, started_at, completed_at, duration_ms, error_message, details, 1 AS attempts
+  FROM cron_heartbeats
+  WHERE job_name NOT LIKE '%:retry'
+  UNION ALL
+  SELECT job_name, status, started_at, completed_at, duration_ms, error_message, details, attempts
+  FROM job_heartbeats
+`;
+
+// Jobs that stay on node-cron + run() because they write this container's own
+// files (website/ pages, sitemap, rate JSON): every instance must run them, so
+// the queue's once-per-cluster guarantee is the wrong one. Listed here so the
+// 6 AM email and the job console still show them.
+const PER_INSTANCE_JOBS = [
+  { name: 'seo-pages', label: 'SEO Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'supplier-pages', label: 'Supplier Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'zip-elite-pages', label: 'ZIP Elite Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'county-elite-pages', label: 'County Elite Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'kerosene-pages', label: 'Kerosene Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'propane-pages', label: 'Propane Pages (11 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'heating-cost-pages', label: 'Heating Cost Pages (11:15 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'avg-bill-pages', label: 'Avg Bill Pages (11:20 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'price-trend-pages', label: 'Price Trend Pages (11:25 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'sitemap', label: 'Sitemap (11:30 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'supplier-page-stats', label: 'Supplier Page Stats (11:35 PM)', schedule: 'daily', windowHours: 26 },
+  { name: 'eia-energy-rates', label: 'EIA Energy Rates (3:30 AM, 18th of month)',
+    schedule: 'monthly', dayOfMonth: 18, windowHours: 24 * 32 },
+].map(job => ({ ...job, perInstance: true }));
+
 class CronMonitor {
   constructor(sequelize, logger) {
     this.sequelize = sequelize;
@@ -104,14 +140,15 @@ class CronMonitor {
 
   /**
    * Check scraper results for drift (>20% failure) and anomaly spikes (>10% rejection).
-   * Returns alerts array for inclusion in 6 AM email.
+   * Returns alerts array for inclusion in 6 AM email. `code` is stable per
+   * check (V3.21.0: OpsAlertService fingerprints on it).
    */
   checkScraperHealth(scrapeResult) {
     const alerts = [];
     const total = (scrapeResult.success || 0) + (scrapeResult.failed || 0);
 
     if (total === 0) {
-      alerts.push({ level: 'critical', message: 'Scraper returned 0 results — possible code or connection failure' });
+      alerts.push({ level: 'critical', code: 'no-results', message: 'Scraper returned 0 results — possible code or connection failure' });
       return alerts;
     }
 
@@ -120,6 +157,7 @@ class CronMonitor {
     if (failRate > 0.20) {
       alerts.push({
         level: 'warning',
+        code: 'drift',
         message: `Scraper drift: ${scrapeResult.failed}/${total} failed (${(failRate * 100).toFixed(0)}%) — possible site-wide blocking or code regression`
       });
     }
@@ -131,6 +169,7 @@ class CronMonitor {
       if (rejectRate > 0.10) {
         alerts.push({
           level: 'warning',
+          code: 'rejection-spike',
           message: `Price anomaly spike: ${rejected}/${total} prices rejected (${(rejectRate * 100).toFixed(0)}%) — possible scraper regex issue`
         });
       }
@@ -150,17 +189,17 @@ class CronMonitor {
       // `dayOfMonth` so we don't false-flag them on days they aren't due.
       const expectedJobs = [
         { name: 'afternoon-scrape', label: 'Price Scrape (4 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'seo-pages', label: 'SEO Pages (11 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'supplier-pages', label: 'Supplier Pages (11 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'heating-cost-pages', label: 'Heating Cost Pages (11:15 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'avg-bill-pages', label: 'Avg Bill Pages (11:20 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'price-trend-pages', label: 'Price Trend Pages (11:25 PM)', schedule: 'daily', windowHours: 26 },
-        { name: 'sitemap', label: 'Sitemap (11:30 PM)', schedule: 'daily', windowHours: 26 },
+        ...PER_INSTANCE_JOBS,
         { name: 'indexnow', label: 'IndexNow (11:31 PM)', schedule: 'daily', windowHours: 26 },
         { name: 'platform-metrics', label: 'Platform Metrics (2:15 AM)', schedule: 'daily', windowHours: 26 },
-        { name: 'eia-energy-rates', label: 'EIA Energy Rates (3:30 AM, 18th of month)',
-          schedule: 'monthly', dayOfMonth: 18, windowHours: 24 * 32 },
-        // price-alerts (8 AM) intentionally excluded — runs after the 6 AM email
+        { name: 'auth-cleanup', label: 'Inactive User Cleanup (2:45 AM)', schedule: 'daily', windowHours: 26 },
+        { name: 'forecast-accuracy', label: 'Forecast Accuracy (4 AM)', schedule: 'daily', windowHours: 26 },
+        { name: 'scheduled-prices', label: 'Scheduled Supplier Prices (every 5 min)', schedule: 'daily', windowHours: 1 },
+        { name: 'notification-outbox', label: 'Notification Outbox Retries (every 5 min)', schedule: 'daily', windowHours: 1 },
+        { name: 'scrape-plan', label: 'Distributed Scrape Plan (hourly 7 AM-5 PM)', schedule: 'daily', windowHours: 26 },
+        { name: 'ops-alerts', label: 'Ops Alerts (every 15 min)', schedule: 'daily', windowHours: 1 },
+        // price-alerts (8 AM), tank-reminders (9 AM) and outreach-sequence (6 AM) intentionally
+        // excluded — run at or after the 6 AM email
       ];
 
       // Get latest heartbeat per job regardless of age; per-job window check
@@ -168,9 +207,8 @@ class CronMonitor {
       const [heartbeats] = await this.sequelize.query(`
         SELECT DISTINCT ON (job_name)
           job_name, status, started_at, completed_at, duration_ms, error_message,
-          details
-        FROM cron_heartbeats
-        WHERE job_name NOT LIKE '%:retry'
+          details, attempts
+        FROM (${HEARTBEATS_SQL}) heartbeats
         ORDER BY job_name, started_at DESC
       `);
 
@@ -210,6 +248,10 @@ class CronMonitor {
           };
         }
 
+        // Queue jobs retry in place — a success on a later attempt is a retry
+        if (hb.status === 'success' && hb.attempts > 1) {
+          return { ...job, status: 'retried', message: `Succeeded on attempt ${hb.attempts}`, durationMs: hb.duration_ms };
+        }
         if (hb.status === 'success') {
           return { ...job, status: 'success', durationMs: hb.duration_ms, details: hb.details };
         }
@@ -263,6 +305,37 @@ class CronMonitor {
    * Cleanup old heartbeats and error logs.
    * Call periodically (e.g., monthly or at startup).
    */
+  /**
+   * Recent runs of the per-instance node-cron jobs, newest first — the job
+   * console's read-only view of what the queue doesn't run
+   * @returns {Promise<Array<{ name, label, schedule, runs }>>}
+   */
+  async getPerInstanceRuns({ limit = 5 } = {}) {
+    const [rows] = await this.sequelize.query(`
+      SELECT job_name, status, started_at, completed_at, duration_ms, error_message
+      FROM (
+        SELECT h.*, ROW_NUMBER() OVER (PARTITION BY job_name ORDER BY started_at DESC) AS rn
+        FROM cron_heartbeats h
+        WHERE job_name IN (:names)
+      ) recent
+      WHERE rn <= :limit
+      ORDER BY job_name, started_at DESC
+    `, { replacements: { names: PER_INSTANCE_JOBS.map(j => j.name), limit } });
+
+    return PER_INSTANCE_JOBS.map(({ name, label, schedule }) => ({
+      name,
+      label,
+      schedule,
+      runs: rows.filter(r => r.job_name === name).map(r => ({
+        status: r.status,
+        startedAt: r.started_at,
+        completedAt: r.completed_at,
+        durationMs: r.duration_ms,
+        error: r.error_message
+      }))
+    }));
+  }
+
   async cleanup() {
     try {
       await this.sequelize.query(`
@@ -356,3 +429,5 @@ class CronMonitor {
 }
 
 module.exports = CronMonitor;
+module.exports.HEARTBEATS_SQL = HEARTBEATS_SQL;
+module.exports.PER_INSTANCE_JOBS = PER_INSTANCE_JOBS;
@@ -12,11 +12,19 @@
  * - Avoids detection of 10AM spike from all suppliers
  * - Spreads load across the day
  * - Each supplier scraped at consistent time daily
+ *
+ * V3.19.0: Scrapes are 'supplier-scrape' rows on the durable job queue
+ * (JobQueue) instead of setTimeout handles, so a mid-day deploy no longer
+ * drops the rest of the day and overlapping instances scrape each supplier
+ * once. 'scrape-plan' (on start, then hourly 7 AM-5 PM ET) enqueues each
+ * supplier's next slot with a per-day unique key; re-planning is a no-op for
+ * slots already queued and picks up suppliers added during the day.
  */
 
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const { Sequelize } = require('sequelize');
+const JobQueue = require('./JobQueue');
 const { checkAndRecordPrice, getStateMedian } = require('../utils/price-sanity');
 
 // Configuration
@@ -25,9 +33,12 @@ const WINDOW_END_HOUR = 18;   // 6 PM EST
 const WINDOW_MINUTES = (WINDOW_END_HOUR - WINDOW_START_HOUR) * 60; // 600 minutes
 const JITTER_MINUTES = 15;    // ±15 minute jitter
 const SHADOW_MODE_DAYS = 7;   // Days to run in shadow mode before prompting
+const SCRAPE_JOB = 'supplier-scrape';
+const PLAN_JOB = 'scrape-plan';
+const PLAN_CRON = '0 7-17 * * *'; // hourly from just before the window opens
+const SCRAPE_JOB_TIMEOUT_SECONDS = 10 * 60;
+const STOPPED_DEFER_MS = 10 * 60 * 1000; // claimed while stopped: try again later, keep the day's slot
 
-// Track scheduled scrapes
-const scheduledScrapes = new Map();
 let isRunning = false;
 let shadowMode = true; // Start in shadow mode
 let shadowModeStartDate = null;
@@ -39,6 +50,15 @@ const HOST_GROUP_MIN_SPACING_MS = 10 * 60 * 1000; // 10 minutes between same hos
 const HOST_GROUP_SLOW_SPACING_MS = 20 * 60 * 1000; // 20 minutes in slow mode
 const hostGroupLastScrape = new Map(); // hostGroup → Date timestamp
 
+// V3.2.0: Per-group spacing overrides. Rendered scrapes hit many unrelated hosts,
+// so they only need enough spacing to keep jsdom renders from piling up on the
+// Railway CPU — not the 10-minute same-host politeness gap Droplet needs.
+const HOST_GROUP_SPACING_MS = {
+  rendered: 2 * 60 * 1000,
+};
+// Groups the scheduler actually spaces. 'custom' in scrape-config is a label only.
+const SPACED_HOST_GROUPS = new Set(['droplet', 'rendered']);
+
 // Circuit breaker state — in-memory only, resets on deploy (intentional)
 const circuitBreaker = {
   droplet: {
@@ -123,7 +143,7 @@ function getHostGroupDelay(hostGroup) {
   const state = circuitBreaker[hostGroup];
   const minSpacing = (state && state.slowMode)
     ? HOST_GROUP_SLOW_SPACING_MS
-    : HOST_GROUP_MIN_SPACING_MS;
+    : (HOST_GROUP_SPACING_MS[hostGroup] ?? HOST_GROUP_MIN_SPACING_MS);
 
   const elapsed = Date.now() - lastScrape;
   return elapsed < minSpacing ? minSpacing - elapsed : 0;
@@ -224,19 +244,29 @@ function isWithinWindow() {
  * Initialize the distributed scheduler
  * @param {object} options - Configuration options
  * @param {object} options.sequelize - Sequelize instance
+ * @param {object} options.jobQueue - JobQueue the scrape jobs run on
  * @param {object} options.logger - Logger instance
  * @param {boolean} options.shadowMode - If true, only log actions without scraping
  * @returns {object} Scheduler control interface
  */
 function initScheduler(options = {}) {
-  const { sequelize, logger = console, shadowMode: shadow = true } = options;
+  const { sequelize, jobQueue, logger = console, shadowMode: shadow = true } = options;
   shadowMode = shadow;
 
-  if (!sequelize) {
-    logger.warn('⚠️  DistributedScheduler: No database connection');
+  if (!sequelize || !jobQueue) {
+    logger.warn('⚠️  DistributedScheduler: No database connection or job queue');
     return null;
   }
 
+  jobQueue.define(SCRAPE_JOB, async ({ supplierId, supplierName }, job) => {
+    if (!isRunning) return JobQueue.defer(STOPPED_DEFER_MS, 'scheduler stopped');
+    const result = await executeScrape(supplierId, supplierName, sequelize, job.logger);
+    return result.deferMs ? JobQueue.defer(result.deferMs, 'host group spacing') : result;
+  }, { timeoutSeconds: SCRAPE_JOB_TIMEOUT_SECONDS });
+  jobQueue.define(PLAN_JOB, ({ dryRun }, job) => planScrapes(sequelize, jobQueue, job.logger, { dryRun }),
+    { maxAttempts: 3, dryRun: true });
+  jobQueue.schedule(PLAN_JOB, PLAN_CRON);
+
   // Track shadow mode start for reminder
   if (shadowMode && !shadowModeStartDate) {
     shadowModeStartDate = new Date();
@@ -257,9 +287,9 @@ function initScheduler(options = {}) {
   checkShadowModeReminder(logger);
 
   return {
-    start: () => startScheduler(sequelize, logger),
+    start: () => startScheduler(sequelize, jobQueue, logger),
     stop: () => stopScheduler(logger),
-    getStatus: () => getSchedulerStatus(),
+    getStatus: () => getSchedulerStatus(sequelize),
     getShadowStats: () => getShadowModeStats(),
     previewSchedule: (suppliers) => getSchedulePreview(suppliers),
     isActive: () => isRunning,
@@ -269,9 +299,10 @@ function initScheduler(options = {}) {
 }
 
 /**
- * Start the scheduler loop
+ * Start the scheduler: plan every supplier's next slot now (the hourly
+ * scrape-plan job keeps it going); slots already queued are left alone.
  */
-async function startScheduler(sequelize, logger) {
+async function startScheduler(sequelize, jobQueue, logger) {
   if (isRunning) {
     logger.info('📅 Scheduler already running');
     return;
@@ -280,79 +311,67 @@ async function startScheduler(sequelize, logger) {
   isRunning = true;
   logger.info('📅 Starting distributed scheduler...');
 
-  // Load suppliers to schedule
   try {
-    const [suppliers] = await sequelize.query(`
-      SELECT id, name, website
-      FROM suppliers
-      WHERE active = true
-      AND allow_price_display = true
-      AND website IS NOT NULL
-      AND website != ''
-      ORDER BY name
-    `);
-
-    logger.info(`📋 Loaded ${suppliers.length} suppliers for scheduling`);
-
-    // Calculate and log schedule preview
-    const schedule = getSchedulePreview(suppliers);
-    logger.info('');
-    logger.info('📅 Today\'s scrape schedule (next 5):');
-    schedule.slice(0, 5).forEach(s => {
-      const time = s.nextScrape.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-      logger.info(`   ${time} - ${s.supplierName}`);
-    });
-    logger.info(`   ... and ${Math.max(0, schedule.length - 5)} more`);
-
-    // Schedule each supplier
-    for (const entry of schedule) {
-      scheduleSupplierScrape(entry, sequelize, logger);
-    }
-
+    await planScrapes(sequelize, jobQueue, logger);
   } catch (error) {
-    logger.error('❌ Failed to start scheduler:', error.message);
-    isRunning = false;
+    // e.g. jobs table not migrated yet — the next scrape-plan run catches up
+    logger.warn(`⚠️  Initial scrape plan failed (next scrape-plan run will retry): ${error.message}`);
   }
 }
 
 /**
- * Schedule a single supplier scrape
+ * Enqueue a supplier-scrape job at each active supplier's next slot.
+ * Keyed by supplier + UTC day (the window never crosses midnight UTC), so
+ * a supplier is scraped at most once per day however often this runs.
+ * A dry run reports how many slots would be new without enqueueing.
  */
-function scheduleSupplierScrape(entry, sequelize, logger) {
-  const { supplierId, supplierName, nextScrape } = entry;
-  const now = new Date();
-  const delay = nextScrape - now;
+async function planScrapes(sequelize, jobQueue, logger, { dryRun = false } = {}) {
+  const [suppliers] = await sequelize.query(`
+    SELECT id, name, website
+    FROM suppliers
+    WHERE active = true
+    AND allow_price_display = true
+    AND website IS NOT NULL
+    AND website != ''
+    ORDER BY name
+  `);
+
+  logger.info(`📋 Loaded ${suppliers.length} suppliers for scheduling`);
+
+  const schedule = getSchedulePreview(suppliers);
+  const slotKey = (entry) => `${SCRAPE_JOB}:${entry.supplierId}:${entry.nextScrape.toISOString().slice(0, 10)}`;
+
+  if (dryRun) {
+    const keys = schedule.map(slotKey);
+    const [existing] = keys.length === 0 ? [[]] : await sequelize.query(
+      `SELECT unique_key FROM jobs WHERE unique_key IN (:keys)`,
+      { replacements: { keys } }
+    );
+    const wouldEnqueue = schedule.length - existing.length;
+    logger.info(`📅 Scrape plan (dry run): ${wouldEnqueue} new slots would be queued (${existing.length} already queued)`);
+    return { suppliers: suppliers.length, wouldEnqueue, dryRun: true };
+  }
 
-  if (delay < 0) {
-    // Already passed, schedule for tomorrow
-    const tomorrow = new Date(nextScrape);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return scheduleSupplierScrape({ ...entry, nextScrape: tomorrow }, sequelize, logger);
+  let enqueued = 0;
+  for (const entry of schedule) {
+    const { duplicate } = await jobQueue.enqueue(SCRAPE_JOB, {
+      supplierId: entry.supplierId,
+      supplierName: entry.supplierName
+    }, {
+      runAt: entry.nextScrape,
+      uniqueKey: slotKey(entry)
+    });
+    if (!duplicate) enqueued++;
   }
 
-  // Schedule the scrape
-  const timeoutId = setTimeout(async () => {
-    await executeScrape(supplierId, supplierName, sequelize, logger);
-
-    // Reschedule for tomorrow
-    const tomorrow = new Date(nextScrape);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    // Re-add jitter for tomorrow
-    tomorrow.setMinutes(tomorrow.getMinutes() + getJitter());
-    scheduleSupplierScrape({ supplierId, supplierName, nextScrape: tomorrow }, sequelize, logger);
-
-  }, delay);
-
-  scheduledScrapes.set(supplierId, {
-    supplierId,
-    supplierName,
-    scheduledFor: nextScrape,
-    timeoutId
-  });
+  logger.info(`📅 Scrape plan: ${enqueued} new slots queued (${schedule.length - enqueued} already queued)`);
+  return { suppliers: suppliers.length, enqueued };
 }
 
 /**
  * Execute a single supplier scrape
+ * @returns {Promise<object>} job result — { deferMs } when host-group spacing
+ *   says not yet, { skipped }, { success, price } or { success: false, error }
  */
 async function executeScrape(supplierId, supplierName, sequelize, logger) {
   const now = new Date();
@@ -367,48 +386,76 @@ async function executeScrape(supplierId, supplierName, sequelize, logger) {
     shadowModeStats.executed++;
     shadowModeStats.byHour[hour] = (shadowModeStats.byHour[hour] || 0) + 1;
 
-    return;
+    return { skipped: 'shadow mode' };
   }
 
   // Active mode: perform actual scrape
   try {
     // Import scraper
-    const { scrapeSupplierPrice, loadScrapeConfig, getConfigForSupplier } = require('./priceScraper');
+    const { scrapeSupplierPrice, loadScrapeConfig, getConfigForSupplier, getConfigDomain, getHostGroup } = require('./priceScraper');
+    const { applyRegexRepair, getActiveRepair, repairBranchSlug } = require('./regexRepair');
 
     // Get supplier details
     const [suppliers] = await sequelize.query(
-      `SELECT id, name, website, city, state FROM suppliers WHERE id = $1`,
+      `SELECT id, name, slug, website, city, state, scrape_status, scrape_cooldown_until
+       FROM suppliers WHERE id = $1`,
       { bind: [supplierId] }
     );
 
     if (suppliers.length === 0) {
       logger.warn(`⚠️  Supplier ${supplierId} not found`);
-      return;
+      return { skipped: 'supplier not found' };
     }
 
     const supplier = suppliers[0];
     const scrapeConfig = loadScrapeConfig();
-    const config = getConfigForSupplier(supplier.website, scrapeConfig);
+    // V3.4.0: accepted regex repairs (price-review portal) override the JSON entry
+    const domain = getConfigDomain(supplier.website);
+    const config = applyRegexRepair(
+      getConfigForSupplier(supplier.website, scrapeConfig, supplier.slug),
+      await getActiveRepair(sequelize, domain, repairBranchSlug(scrapeConfig, domain, supplier.slug))
+    );
 
     if (!config || !config.enabled) {
       logger.info(`   ⏭️  Skipped (not configured)`);
-      return;
+      return { skipped: 'not configured' };
     }
 
-    // V3.0.0: Host group checks — kill switch, circuit breaker, spacing
+    // V3.0.0: Host group checks — kill switch, circuit breaker
     if (config.hostGroup === 'droplet') {
       if (process.env.SCRAPE_SKIP_DROPLET === 'true') {
         logger.info(`   ⏭️  Skipped ${supplierName} (SCRAPE_SKIP_DROPLET)`);
-        return;
+        return { skipped: 'SCRAPE_SKIP_DROPLET' };
       }
       if (!canScrapeDroplet()) {
         logger.info(`   ⏸️  Skipped ${supplierName} (Droplet circuit breaker active)`);
-        return;
+        return { skipped: 'circuit breaker' };
       }
-      const hostDelay = getHostGroupDelay('droplet');
+    }
+
+    const { recordSuccess, recordFailure, shouldSkipFailureCounter, shouldScrapeSupplier } = require('./scrapeBackoff');
+
+    // V3.2.0: Rendered scrapes honor cooldown/phone_only here too (other patterns
+    // deliberately re-scrape them all day — see docs/price-pipeline.md). A jsdom
+    // render is too expensive to spend on a page that has already failed twice;
+    // these recover via the 1st-of-month monthlyReset instead.
+    if (config.pattern === 'rendered') {
+      const backoffCheck = shouldScrapeSupplier(supplier);
+      if (!backoffCheck.shouldScrape) {
+        logger.info(`   ⏭️  Skipped ${supplierName} (${backoffCheck.reason})`);
+        return { skipped: backoffCheck.reason };
+      }
+    }
+
+    // V3.0.0 / V3.2.0: Host group spacing (Droplet + rendered)
+    // V3.19.0: hand the job back to the queue instead of holding a worker slot
+    const hostGroup = getHostGroup(config);
+    const spaced = SPACED_HOST_GROUPS.has(hostGroup);
+    if (spaced) {
+      const hostDelay = getHostGroupDelay(hostGroup);
       if (hostDelay > 0) {
         logger.info(`   ⏳ Delaying ${supplierName} ${Math.round(hostDelay / 60000)}min (host group spacing)`);
-        await new Promise(r => setTimeout(r, hostDelay));
+        return { deferMs: hostDelay };
       }
     }
 
@@ -416,9 +463,10 @@ async function executeScrape(supplierId, supplierName, sequelize, logger) {
 
     const result = await scrapeSupplierPrice(supplier, config);
 
+    if (spaced) markHostGroupScrape(hostGroup);
+
     // V3.0.0: Track Droplet results for circuit breaker
     if (config.hostGroup === 'droplet') {
-      markHostGroupScrape('droplet');
       if (result.success) {
         recordDropletResult('success');
       } else if (result.dropletFailureType) {
@@ -426,8 +474,6 @@ async function executeScrape(supplierId, supplierName, sequelize, logger) {
       }
     }
 
-    const { recordSuccess, recordFailure, shouldSkipFailureCounter } = require('./scrapeBackoff');
-
     // V3.x.0: Helper to insert one secondary fuel price row (kerosene, propane).
     // Mirrors the INSERT shape used by `scripts/scrape-prices.js:319-373`.
     async function insertSecondaryFuel(fp, sourceType, sourceUrl) {
@@ -519,6 +565,7 @@ async function executeScrape(supplierId, supplierName, sequelize, logger) {
       await recordSuccess(sequelize, supplierId);
 
       logger.info(`   ✅ $${result.pricePerGallon.toFixed(2)}/gal`);
+      return { success: true, price: result.pricePerGallon };
     } else {
       // V3.x.0: primaryFuelOptional gate — when supplier is opted-in and at least one
       // secondary fuel succeeded, store secondaries + treat as healthy. Buxton Oil
@@ -530,19 +577,24 @@ async function executeScrape(supplierId, supplierName, sequelize, logger) {
         }
         await recordSuccess(sequelize, supplierId);
         logger.warn(`   ⚠️  primary fuel optional — ${result.fuelPrices.length} secondary fuel(s) succeeded; resetting failure counter`);
+        return { success: true, secondaryOnly: true };
       } else {
         await recordFailure(sequelize, supplierId, supplierName, logger, result.error);
         logger.info(`   ❌ ${result.error}`);
+        return { success: false, error: result.error };
       }
     }
 
   } catch (error) {
+    // Recorded on the job, not retried — backoff/cooldown handles failing suppliers
     logger.error(`   ❌ Scrape error: ${error.message}`);
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Stop the scheduler
+ * Stop the scheduler on this instance. Queued scrape jobs stay in the
+ * database; this instance just skips any it claims until restarted.
  */
 function stopScheduler(logger) {
   if (!isRunning) {
@@ -550,40 +602,32 @@ function stopScheduler(logger) {
     return;
   }
 
-  logger.info('📅 Stopping distributed scheduler...');
-
-  // Clear all scheduled timeouts
-  for (const [supplierId, entry] of scheduledScrapes) {
-    clearTimeout(entry.timeoutId);
-  }
-  scheduledScrapes.clear();
   isRunning = false;
-
   logger.info('📅 Scheduler stopped');
 }
 
 /**
- * Get current scheduler status
+ * Get current scheduler status (queued scrape jobs)
  */
-function getSchedulerStatus() {
-  const upcoming = [];
-
-  for (const [supplierId, entry] of scheduledScrapes) {
-    upcoming.push({
-      supplierId,
-      supplierName: entry.supplierName,
-      scheduledFor: entry.scheduledFor
-    });
-  }
-
-  // Sort by scheduled time
-  upcoming.sort((a, b) => a.scheduledFor - b.scheduledFor);
+async function getSchedulerStatus(sequelize) {
+  const [upcoming] = await sequelize.query(`
+    SELECT payload->>'supplierId' AS supplier_id, payload->>'supplierName' AS supplier_name,
+           run_at, COUNT(*) OVER () AS total
+    FROM jobs
+    WHERE name = :name AND status = 'queued'
+    ORDER BY run_at
+    LIMIT 5
+  `, { replacements: { name: SCRAPE_JOB } });
 
   return {
     isRunning,
     shadowMode,
-    scheduledCount: scheduledScrapes.size,
-    nextFive: upcoming.slice(0, 5),
+    scheduledCount: upcoming.length > 0 ? parseInt(upcoming[0].total, 10) : 0,
+    nextFive: upcoming.map(j => ({
+      supplierId: j.supplier_id,
+      supplierName: j.supplier_name,
+      scheduledFor: j.run_at
+    })),
     windowStart: `${WINDOW_START_HOUR}:00`,
     windowEnd: `${WINDOW_END_HOUR}:00`,
     isWithinWindow: isWithinWindow()
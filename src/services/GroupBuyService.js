@@ -0,0 +1,822 @@
+/**
+ * Group Buy Service — neighborhood bulk order pooling (V3.14.0)
+ *
+ * A homeowner starts a pool for their ZIP and a delivery week; neighbors join
+ * with a gallon estimate, each household confirming by SMS link the same way
+ * quote requests do. Once confirmed gallons cross the pool's threshold,
+ * opted-in suppliers for the ZIP (_getAllSuppliersForZip, lead SMS enabled)
+ * are invited to bid one pooled $/gal — reply "POOL 3.19" or the /gb/:token
+ * form. When bidding closes the lowest bid wins: the supplier gets every
+ * household's name, number and gallons, households get the price and the
+ * supplier's number, everyone else a close-out.
+ *
+ * Built on QuoteRequestService: same lead SMS channel, supplier matching,
+ * trial-ZIP gating and audit log. Expiry runs from the hourly quote cron.
+ */
+
+const crypto = require('crypto');
+const QuoteRequestService = require('./QuoteRequestService');
+const { isValidZip } = require('../utils/email-validation');
+const { extractLast10, formatPhone } = require('../utils/phone');
+const { SITE_URL } = require('../utils/constants');
+
+const DISABLED = process.env.DISABLE_QUOTE_SYSTEM === 'true';
+const CLAIM_SECRET = process.env.CLAIM_VERIFY_SECRET;
+
+// Tunables
+const GALLON_THRESHOLD = parseInt(process.env.GROUP_BUY_MIN_GALLONS) || 1000;
+const MIN_HOUSEHOLDS = 2;
+const MAX_HOUSEHOLDS = 20;          // winner's SMS lists every household
+const HOUSEHOLD_GALLONS_MIN = 75;
+const HOUSEHOLD_GALLONS_MAX = 500;
+const JOIN_CLOSE_DAYS = 3;          // joining closes the Friday before the delivery week
+const MIN_FILL_DAYS = 2;            // a new pool gets at least 2 days to fill
+const MAX_WEEKS_AHEAD = 8;
+const BID_WINDOW_HOURS = 24;
+const PENDING_EXPIRY_HOURS = 1;
+const SUPPLIERS_TO_INVITE = 5;
+const MAX_JOINS_PER_PHONE_PER_DAY = 3;
+const BID_PRICE_MIN = 1.50;
+const BID_PRICE_MAX = 8.00;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const POOL_COLUMNS = `
+  g.id, g.zip, to_char(g.delivery_week, 'YYYY-MM-DD') AS delivery_week, g.gallon_threshold,
+  g.join_deadline, g.status, g.closed_reason, g.bids_close_at, g.awarded_at`;
+
+class GroupBuyService {
+  constructor(sequelize, logger, quoteRequestService) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.quotes = quoteRequestService;
+  }
+
+  // ─── Utility ───────────────────────────────────────────────
+
+  /** HMAC for a household's confirm / leave link (no DB column needed) */
+  static participantHash(participantId) {
+    if (!CLAIM_SECRET) return 'nosecret';
+    return crypto.createHmac('sha256', CLAIM_SECRET).update(`groupbuy:${participantId}`).digest('hex').slice(0, 16);
+  }
+
+  static verifyParticipantHash(participantId, hash) {
+    const expected = GroupBuyService.participantHash(participantId);
+    if (!hash || expected === 'nosecret') return false;
+    try {
+      return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(hash).slice(0, 16)));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Normalize a date to the Monday of its week and check it can still fill.
+   * Returns { week: 'YYYY-MM-DD', joinDeadline: Date } or { error }.
+   */
+  static deliveryWeek(dateStr, now = new Date()) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return { error: 'Pick a delivery week.' };
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    if (isNaN(date.getTime())) return { error: 'Pick a delivery week.' };
+
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    const joinDeadline = new Date(monday.getTime() - JOIN_CLOSE_DAYS * DAY_MS);
+    if (joinDeadline.getTime() - now.getTime() < MIN_FILL_DAYS * DAY_MS) {
+      return { error: 'That week is too soon for neighbors to join — pick a later week.' };
+    }
+    if (monday.getTime() - now.getTime() > MAX_WEEKS_AHEAD * 7 * DAY_MS) {
+      return { error: `Pick a week within the next ${MAX_WEEKS_AHEAD} weeks.` };
+    }
+    return { week: monday.toISOString().slice(0, 10), joinDeadline };
+  }
+
+  /** Delivery weeks a new pool can pick (Mondays, soonest first) */
+  static upcomingWeeks(now = new Date()) {
+    const weeks = [];
+    for (let i = 0; i <= MAX_WEEKS_AHEAD; i++) {
+      const result = GroupBuyService.deliveryWeek(new Date(now.getTime() + i * 7 * DAY_MS).toISOString().slice(0, 10), now);
+      if (!result.error && !weeks.includes(result.week)) weeks.push(result.week);
+    }
+    return weeks;
+  }
+
+  /** "2026-11-02" → "Nov 2" */
+  static weekLabel(week) {
+    return new Date(`${week}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * Parse a supplier's SMS pool bid: "POOL 3.19", "pool $3.19/gal",
+   * "POOL 319" (cents). Returns { price } or { error }.
+   */
+  static parsePoolBid(body) {
+    const match = (body || '').trim().match(/^POOL\s+\$?(\d+(?:\.\d{1,3})?)\b/i);
+    if (!match) return { error: 'To bid on a group order, reply POOL then your price/gal for the whole group, e.g. POOL 3.19' };
+
+    let price = parseFloat(match[1]);
+    if (!match[1].includes('.') && price >= BID_PRICE_MIN * 100 && price <= BID_PRICE_MAX * 100) price = price / 100;
+    if (price < BID_PRICE_MIN || price > BID_PRICE_MAX) {
+      return { error: `Price must be between $${BID_PRICE_MIN.toFixed(2)} and $${BID_PRICE_MAX.toFixed(2)}/gal` };
+    }
+    return { price: Math.round(price * 1000) / 1000 };
+  }
+
+  /** Validate one household's form fields. Returns { name, phone, phone10, gallons } or { error } */
+  static validateHousehold({ name, phone, gallons }) {
+    const cleanName = QuoteRequestService.sanitizeName(name);
+    if (!cleanName) return { error: 'Name is required.' };
+
+    const phone10 = extractLast10(phone);
+    if (!phone10) return { error: 'Please enter a valid 10-digit US phone number.' };
+    if (['900', '976', '555'].includes(phone10.slice(0, 3))) {
+      return { error: 'Please enter a standard US mobile or landline number.' };
+    }
+
+    const gal = parseInt(gallons);
+    if (isNaN(gal) || gal < HOUSEHOLD_GALLONS_MIN) return { error: `Minimum ${HOUSEHOLD_GALLONS_MIN} gallons.` };
+    if (gal > HOUSEHOLD_GALLONS_MAX) return { error: `Maximum ${HOUSEHOLD_GALLONS_MAX} gallons per household.` };
+
+    return { name: cleanName, phone: String(phone).trim().slice(0, 20), phone10, gallons: gal };
+  }
+
+  /** Pool row (POOL_COLUMNS + households / gallons) → API shape */
+  static summarize(row) {
+    const gallons = parseInt(row.gallons) || 0;
+    return {
+      id: row.id,
+      zip: row.zip,
+      deliveryWeek: row.delivery_week,
+      threshold: row.gallon_threshold,
+      households: parseInt(row.households) || 0,
+      gallons,
+      gallonsToGo: Math.max(0, row.gallon_threshold - gallons),
+      joinDeadline: row.join_deadline,
+      status: row.status,
+      closedReason: row.closed_reason || null,
+      bidsCloseAt: row.bids_close_at || null,
+      open: row.status === 'open' && new Date(row.join_deadline) > new Date(),
+    };
+  }
+
+  // ─── Consumers: start / join / confirm / leave ─────────────
+
+  /** Pools still gathering or taking bids in a ZIP (with at least one confirmed household) */
+  async listActivePools(zip) {
+    if (!isValidZip(zip)) return [];
+    const [rows] = await this.sequelize.query(`
+      SELECT ${POOL_COLUMNS},
+             COUNT(p.id) FILTER (WHERE p.status = 'joined') AS households,
+             COALESCE(SUM(p.gallons) FILTER (WHERE p.status = 'joined'), 0) AS gallons
+      FROM group_buys g
+      LEFT JOIN group_buy_participants p ON p.group_buy_id = g.id
+      WHERE g.zip = :zip AND g.status IN ('open', 'bidding')
+      GROUP BY g.id
+      HAVING COUNT(p.id) FILTER (WHERE p.status = 'joined') > 0
+      ORDER BY g.delivery_week
+    `, { replacements: { zip } });
+    return rows.map(GroupBuyService.summarize);
+  }
+
+  /**
+   * One pool for its public page. With a valid participant link, also that
+   * household's row and (once awarded) the winning supplier's number.
+   * Returns null for an unknown pool.
+   */
+  async getPool(poolId, { participantId, hash } = {}) {
+    if (!UUID_RE.test(poolId || '')) return null;
+
+    const [rows] = await this.sequelize.query(`
+      SELECT ${POOL_COLUMNS},
+             COUNT(p.id) FILTER (WHERE p.status = 'joined') AS households,
+             COALESCE(SUM(p.gallons) FILTER (WHERE p.status = 'joined'), 0) AS gallons,
+             gs.bid_price_per_gallon AS awarded_price, s.name AS awarded_supplier,
+             COALESCE(s.lead_phone, s.phone) AS awarded_phone
+      FROM group_buys g
+      LEFT JOIN group_buy_participants p ON p.group_buy_id = g.id
+      LEFT JOIN group_buy_suppliers gs ON gs.id = g.awarded_bid_id
+      LEFT JOIN suppliers s ON s.id = gs.supplier_id
+      WHERE g.id = :id
+      GROUP BY g.id, gs.bid_price_per_gallon, s.name, s.lead_phone, s.phone
+    `, { replacements: { id: poolId } });
+    if (rows.length === 0) return null;
+    const row = rows[0];
+
+    let participant = null;
+    if (participantId && UUID_RE.test(participantId) && GroupBuyService.verifyParticipantHash(participantId, hash)) {
+      const [mine] = await this.sequelize.query(`
+        SELECT id, name, gallons, status, is_organizer FROM group_buy_participants
+        WHERE id = :participantId AND group_buy_id = :id
+      `, { replacements: { participantId, id: poolId } });
+      participant = mine[0] || null;
+    }
+
+    return {
+      pool: GroupBuyService.summarize(row),
+      award: row.awarded_price != null ? {
+        supplierName: row.awarded_supplier,
+        pricePerGallon: parseFloat(row.awarded_price),
+        phone: participant && participant.status === 'joined' ? row.awarded_phone : null,
+      } : null,
+      participant: participant && {
+        id: participant.id,
+        name: participant.name,
+        gallons: participant.gallons,
+        status: participant.status,
+        organizer: participant.is_organizer,
+      },
+    };
+  }
+
+  /**
+   * Start a pool for a ZIP + delivery week (or join the one already open for
+   * that week) and text the organizer a confirm link.
+   * Returns { success, pool_id, joined_existing } or { error }.
+   */
+  async startPool({ zip, delivery_week, name, phone, gallons, honeypot }) {
+    if (DISABLED) return { error: 'Group orders are currently unavailable.' };
+
+    const cleanZip = (zip || '').trim().slice(0, 5);
+    if (!isValidZip(cleanZip)) return { error: 'Please enter a valid 5-digit ZIP code.' };
+    if (!this.quotes.isTrialZip(cleanZip)) return { error: 'Not available in your area yet.' };
+
+    const household = GroupBuyService.validateHousehold({ name, phone, gallons });
+    if (household.error) return household;
+
+    const week = GroupBuyService.deliveryWeek(delivery_week);
+    if (week.error) return week;
+
+    // Anti-bot: fake success, nothing stored
+    if (honeypot) return { success: true, pool_id: 'ok', verify_sent: true };
+
+    const suppliers = await this._invitableSuppliers(cleanZip);
+    if (suppliers.length === 0) {
+      return { error: 'Group orders aren\'t available in your ZIP yet — no participating suppliers.' };
+    }
+
+    const [created] = await this.sequelize.query(`
+      INSERT INTO group_buys (zip, delivery_week, gallon_threshold, join_deadline)
+      VALUES (:zip, :week, :threshold, :joinDeadline)
+      ON CONFLICT (zip, delivery_week) WHERE status IN ('open', 'bidding') DO NOTHING
+      RETURNING id
+    `, { replacements: { zip: cleanZip, week: week.week, threshold: GALLON_THRESHOLD, joinDeadline: week.joinDeadline } });
+
+    let poolId;
+    if (created.length > 0) {
+      poolId = created[0].id;
+      await this._logAudit(poolId, 'consumer', 'group_buy_started', { zip: cleanZip, week: week.week, threshold: GALLON_THRESHOLD });
+    } else {
+      const [existing] = await this.sequelize.query(`
+        SELECT id, status FROM group_buys
+        WHERE zip = :zip AND delivery_week = :week AND status IN ('open', 'bidding')
+      `, { replacements: { zip: cleanZip, week: week.week } });
+      if (existing.length === 0) return { error: 'Something went wrong. Please try again.' };
+      if (existing[0].status === 'bidding') {
+        return { error: 'Neighbors already filled a group order for that week — suppliers are bidding on it now.' };
+      }
+      poolId = existing[0].id;
+    }
+
+    const result = await this._addParticipant(
+      { id: poolId, zip: cleanZip, deliveryWeek: week.week },
+      household,
+      { organizer: created.length > 0 }
+    );
+    return result.error ? result : { ...result, joined_existing: created.length === 0 };
+  }
+
+  /** Join an open pool. Returns { success, pool_id } or { error } */
+  async joinPool(poolId, { name, phone, gallons, honeypot }) {
+    if (DISABLED) return { error: 'Group orders are currently unavailable.' };
+    if (!UUID_RE.test(poolId || '')) return { error: 'Group order not found.' };
+
+    const household = GroupBuyService.validateHousehold({ name, phone, gallons });
+    if (household.error) return household;
+    if (honeypot) return { success: true, pool_id: poolId, verify_sent: true };
+
+    const [rows] = await this.sequelize.query(`
+      SELECT g.id, g.zip, to_char(g.delivery_week, 'YYYY-MM-DD') AS delivery_week, g.status, g.join_deadline,
+             COUNT(p.id) FILTER (WHERE p.status = 'joined') AS households
+      FROM group_buys g
+      LEFT JOIN group_buy_participants p ON p.group_buy_id = g.id
+      WHERE g.id = :id
+      GROUP BY g.id
+    `, { replacements: { id: poolId } });
+
+    if (rows.length === 0) return { error: 'Group order not found.' };
+    const pool = rows[0];
+    if (pool.status !== 'open' || new Date(pool.join_deadline) <= new Date()) {
+      return { error: 'This group order is closed to new households.' };
+    }
+    if (parseInt(pool.households) >= MAX_HOUSEHOLDS) {
+      return { error: `This group order is full (${MAX_HOUSEHOLDS} households). Start one for another week.` };
+    }
+
+    return this._addParticipant({ id: pool.id, zip: pool.zip, deliveryWeek: pool.delivery_week }, household, { organizer: false });
+  }
+
+  /**
+   * Household taps the SMS link. Counts their gallons toward the pool and
+   * starts bidding if that crossed the threshold.
+   * Returns { success, poolId, biddingStarted } or { error, poolId? }.
+   */
+  async verifyParticipant(participantId, hash) {
+    if (!UUID_RE.test(participantId || '') || !GroupBuyService.verifyParticipantHash(participantId, hash)) {
+      return { error: 'Invalid or expired link.' };
+    }
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE group_buy_participants p
+      SET status = 'joined', verified_at = NOW(), updated_at = NOW()
+      FROM group_buys g
+      WHERE p.id = :id AND g.id = p.group_buy_id
+        AND p.status = 'pending_verification'
+        AND p.created_at > NOW() - INTERVAL '${PENDING_EXPIRY_HOURS} hours'
+        AND g.status = 'open' AND g.join_deadline > NOW()
+      RETURNING p.group_buy_id, p.gallons
+    `, { replacements: { id: participantId } });
+
+    if (rows.length === 0) {
+      const [existing] = await this.sequelize.query(
+        `SELECT group_buy_id, status FROM group_buy_participants WHERE id = :id`,
+        { replacements: { id: participantId } }
+      );
+      if (existing.length === 0) return { error: 'Invalid or expired link.' };
+      if (existing[0].status === 'joined') return { success: true, poolId: existing[0].group_buy_id, alreadyJoined: true };
+      return { error: 'This link has expired or the group order has closed. You can join again from the group order page.', poolId: existing[0].group_buy_id };
+    }
+
+    const poolId = rows[0].group_buy_id;
+    await this._logAudit(poolId, 'consumer', 'group_buy_joined', { participantId, gallons: rows[0].gallons });
+
+    const biddingStarted = await this._checkThreshold(poolId);
+    return { success: true, poolId, biddingStarted };
+  }
+
+  /** Household drops out while the pool is still gathering */
+  async leavePool(participantId, hash) {
+    if (!UUID_RE.test(participantId || '') || !GroupBuyService.verifyParticipantHash(participantId, hash)) {
+      return { error: 'Invalid or expired link.' };
+    }
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE group_buy_participants p
+      SET status = 'left', left_at = NOW(), updated_at = NOW()
+      FROM group_buys g
+      WHERE p.id = :id AND g.id = p.group_buy_id
+        AND p.status IN ('joined', 'pending_verification')
+        AND g.status = 'open'
+      RETURNING p.group_buy_id
+    `, { replacements: { id: participantId } });
+
+    if (rows.length === 0) return { error: 'You can\'t leave once suppliers are bidding on the group order.' };
+
+    await this._logAudit(rows[0].group_buy_id, 'consumer', 'group_buy_left', { participantId });
+    return { success: true, poolId: rows[0].group_buy_id };
+  }
+
+  // ─── Suppliers: invites + bids ─────────────────────────────
+
+  /**
+   * Move a pool to bidding and text opted-in suppliers for the ZIP. Claims
+   * the pool first so two confirmations landing together invite once.
+   * Returns { started, invited } or { started: false, reason }.
+   */
+  async startBidding(poolId) {
+    const [claimed] = await this.sequelize.query(`
+      UPDATE group_buys
+      SET status = 'bidding', bidding_started_at = NOW(),
+          bids_close_at = NOW() + INTERVAL '${BID_WINDOW_HOURS} hours', updated_at = NOW()
+      WHERE id = :id AND status = 'open'
+      RETURNING id, zip, to_char(delivery_week, 'YYYY-MM-DD') AS delivery_week
+    `, { replacements: { id: poolId } });
+    if (claimed.length === 0) return { started: false, reason: 'not_open' };
+    const pool = claimed[0];
+
+    const [[totals]] = await this.sequelize.query(`
+      SELECT COUNT(*) AS households, COALESCE(SUM(gallons), 0) AS gallons
+      FROM group_buy_participants WHERE group_buy_id = :id AND status = 'joined'
+    `, { replacements: { id: poolId } });
+    const households = parseInt(totals.households) || 0;
+    const gallons = parseInt(totals.gallons) || 0;
+    const weekLabel = GroupBuyService.weekLabel(pool.delivery_week);
+
+    const suppliers = (await this._invitableSuppliers(pool.zip)).slice(0, SUPPLIERS_TO_INVITE);
+    let invited = 0;
+    for (const s of suppliers) {
+      const token = QuoteRequestService.generateToken();
+      const [inserted] = await this.sequelize.query(`
+        INSERT INTO group_buy_suppliers (group_buy_id, supplier_id, response_token, status)
+        VALUES (:poolId, :supplierId, :token, 'pending')
+        ON CONFLICT (group_buy_id, supplier_id) DO NOTHING
+        RETURNING id
+      `, { replacements: { poolId, supplierId: s.id, token } });
+      if (inserted.length === 0) continue;
+
+      const result = await this.quotes.sendLeadSMS(s.phone, [
+        `HomeHeat GROUP ORDER`,
+        ``,
+        `${households} homes in ZIP ${pool.zip} · ${gallons} gal total`,
+        `Delivery week of ${weekLabel}`,
+        ``,
+        `Reply POOL + your price/gal for the whole group, e.g. POOL 3.19`,
+        `or: ${SITE_URL}/gb/${token}`,
+        ``,
+        `Lowest bid wins in ${BID_WINDOW_HOURS}h. STOP to opt out`
+      ].join('\n'));
+
+      await this.sequelize.query(`
+        UPDATE group_buy_suppliers
+        SET status = :status, sms_sent_at = ${result ? 'NOW()' : 'NULL'}
+        WHERE id = :id
+      `, { replacements: { id: inserted[0].id, status: result ? 'sent' : 'failed' } });
+      if (result) invited++;
+    }
+
+    if (invited === 0) {
+      await this._closePool(poolId, 'no_suppliers', 'bidding');
+      return { started: false, reason: 'no_suppliers' };
+    }
+
+    await this._textParticipants(poolId,
+      `HomeHeat\n\nYour ZIP ${pool.zip} group order reached ${gallons} gal! We asked ${invited} supplier${invited > 1 ? 's' : ''} for a pooled price and will text you the winning bid within ${BID_WINDOW_HOURS} hours.`);
+
+    await this._logAudit(poolId, 'system', 'group_buy_bidding_started', { zip: pool.zip, households, gallons, invited });
+    return { started: true, invited };
+  }
+
+  /** Invite details for the supplier's /gb/:token bid form */
+  async getBidInvite(token) {
+    if (!token) return { found: false };
+
+    const [rows] = await this.sequelize.query(`
+      SELECT gs.bid_price_per_gallon, gs.bid_at, gs.bid_outcome,
+             g.zip, to_char(g.delivery_week, 'YYYY-MM-DD') AS delivery_week, g.status, g.bids_close_at,
+             s.name AS supplier_name,
+             (SELECT COUNT(*) FROM group_buy_participants p WHERE p.group_buy_id = g.id AND p.status = 'joined') AS households,
+             (SELECT COALESCE(SUM(gallons), 0) FROM group_buy_participants p WHERE p.group_buy_id = g.id AND p.status = 'joined') AS gallons
+      FROM group_buy_suppliers gs
+      JOIN group_buys g ON g.id = gs.group_buy_id
+      JOIN suppliers s ON s.id = gs.supplier_id
+      WHERE gs.response_token = :token AND gs.sms_sent_at IS NOT NULL
+    `, { replacements: { token } });
+
+    if (rows.length === 0) return { found: false };
+    const row = rows[0];
+    return {
+      found: true,
+      supplierName: row.supplier_name,
+      zip: row.zip,
+      deliveryWeek: row.delivery_week,
+      households: parseInt(row.households) || 0,
+      gallons: parseInt(row.gallons) || 0,
+      open: row.status === 'bidding' && new Date(row.bids_close_at) > new Date(),
+      bidsCloseAt: row.bids_close_at,
+      bid: row.bid_at ? parseFloat(row.bid_price_per_gallon) : null,
+      outcome: row.bid_outcome || null,
+    };
+  }
+
+  /**
+   * Record (or revise) a supplier's pooled bid while bidding is open.
+   * @param {string} token - group_buy_suppliers.response_token
+   * @param {object} bid
+   * @param {number} bid.price - $/gal for every household
+   * @param {string} bid.source - 'sms' | 'web'
+   */
+  async submitPoolBid(token, { price, source }) {
+    if (!token) return { error: 'Invalid bid link.' };
+
+    const priceNum = parseFloat(price);
+    if (isNaN(priceNum) || priceNum < BID_PRICE_MIN || priceNum > BID_PRICE_MAX) {
+      return { error: `Price must be between $${BID_PRICE_MIN.toFixed(2)} and $${BID_PRICE_MAX.toFixed(2)}/gal.` };
+    }
+    const rounded = Math.round(priceNum * 1000) / 1000;
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE group_buy_suppliers gs
+      SET bid_price_per_gallon = :price, bid_source = :source, bid_at = NOW()
+      FROM group_buys g
+      WHERE gs.response_token = :token AND g.id = gs.group_buy_id
+        AND gs.sms_sent_at IS NOT NULL
+        AND g.status = 'bidding' AND g.bids_close_at > NOW()
+      RETURNING gs.supplier_id, g.id AS pool_id, g.zip
+    `, { replacements: { token, price: rounded, source: source === 'sms' ? 'sms' : 'web' } });
+
+    if (rows.length === 0) return { error: 'This group order is no longer taking bids.' };
+    const row = rows[0];
+
+    await this._logAudit(row.pool_id, 'supplier', 'group_buy_bid_submitted', { supplierId: row.supplier_id, price: rounded, source });
+    return { success: true, poolId: row.pool_id, zip: row.zip, price: rounded };
+  }
+
+  /**
+   * Inbound "POOL ..." on the lead number. Matched to the supplier's most
+   * recent open group-order invite by phone. Returns { reply } for TwiML.
+   */
+  async handleSupplierPoolSMS(fromPhone, body) {
+    const phone10 = extractLast10(fromPhone);
+    if (!phone10) return { reply: null };
+
+    const parsed = GroupBuyService.parsePoolBid(body);
+    if (parsed.error) return { reply: parsed.error };
+
+    const [open] = await this.sequelize.query(`
+      SELECT gs.response_token
+      FROM group_buy_suppliers gs
+      JOIN group_buys g ON g.id = gs.group_buy_id
+      JOIN suppliers s ON s.id = gs.supplier_id
+      WHERE s.phone_last10 = :phone
+        AND g.status = 'bidding' AND g.bids_close_at > NOW()
+        AND gs.sms_sent_at IS NOT NULL
+      ORDER BY gs.sms_sent_at DESC
+    `, { replacements: { phone: phone10 } });
+
+    if (open.length === 0) return { reply: 'No group orders are taking bids right now.' };
+
+    const result = await this.submitPoolBid(open[0].response_token, { price: parsed.price, source: 'sms' });
+    if (result.error) return { reply: result.error };
+
+    const others = open.length - 1;
+    return {
+      reply: `Pooled bid $${result.price.toFixed(2)}/gal sent for the ZIP ${result.zip} group order. Lowest bid wins when bidding closes.` +
+        (others > 0 ? ` You have ${others} other open group order${others > 1 ? 's' : ''} — use the link in ${others > 1 ? 'those texts' : 'that text'} to bid.` : '')
+    };
+  }
+
+  /**
+   * Bidding window over: lowest bid wins (earliest on a tie). The winner gets
+   * every household; households get the price and the winner's number.
+   */
+  async closeBidding(poolId) {
+    const [best] = await this.sequelize.query(`
+      SELECT id FROM group_buy_suppliers
+      WHERE group_buy_id = :id AND bid_at IS NOT NULL
+      ORDER BY bid_price_per_gallon ASC, bid_at ASC
+      LIMIT 1
+    `, { replacements: { id: poolId } });
+
+    if (best.length === 0) {
+      const closed = await this._closePool(poolId, 'no_bids', 'bidding');
+      return { awarded: false, reason: closed ? 'no_bids' : 'not_bidding' };
+    }
+    const bidId = best[0].id;
+
+    const [claimed] = await this.sequelize.query(`
+      UPDATE group_buys
+      SET status = 'awarded', awarded_bid_id = :bidId, awarded_at = NOW(), closed_at = NOW(), updated_at = NOW()
+      WHERE id = :id AND status = 'bidding'
+      RETURNING zip, to_char(delivery_week, 'YYYY-MM-DD') AS delivery_week
+    `, { replacements: { id: poolId, bidId } });
+    if (claimed.length === 0) return { awarded: false, reason: 'not_bidding' };
+    const pool = claimed[0];
+    const weekLabel = GroupBuyService.weekLabel(pool.delivery_week);
+
+    const [suppliers] = await this.sequelize.query(`
+      UPDATE group_buy_suppliers gs
+      SET bid_outcome = CASE WHEN gs.id = :bidId THEN 'won' WHEN gs.bid_at IS NOT NULL THEN 'lost' ELSE 'closed' END,
+          bid_outcome_at = NOW()
+      FROM suppliers s
+      WHERE gs.group_buy_id = :id AND gs.sms_sent_at IS NOT NULL AND s.id = gs.supplier_id
+      RETURNING gs.supplier_id, gs.bid_outcome, gs.bid_price_per_gallon,
+                s.name, COALESCE(s.lead_phone, s.phone) AS phone
+    `, { replacements: { id: poolId, bidId } });
+
+    const [households] = await this.sequelize.query(`
+      SELECT name, phone_last10, gallons FROM group_buy_participants
+      WHERE group_buy_id = :id AND status = 'joined'
+      ORDER BY verified_at
+    `, { replacements: { id: poolId } });
+    const totalGallons = households.reduce((sum, h) => sum + h.gallons, 0);
+
+    const winner = suppliers.find(s => s.bid_outcome === 'won');
+    const price = parseFloat(winner.bid_price_per_gallon);
+    for (const s of suppliers) {
+      if (s === winner) {
+        await this.quotes.sendLeadSMS(s.phone, [
+          `HomeHeat — you won the ZIP ${pool.zip} group order!`,
+          ``,
+          `$${price.toFixed(2)}/gal · ${totalGallons} gal · ${households.length} homes`,
+          `Delivery week of ${weekLabel}`,
+          ``,
+          `Call each home to schedule:`,
+          ...households.map(h => `${QuoteRequestService.sanitizeName(h.name)} ${formatPhone(h.phone_last10)} · ${h.gallons} gal`),
+          ``,
+          `STOP to opt out`
+        ].join('\n'));
+      } else {
+        await this.quotes.sendLeadSMS(s.phone, s.bid_outcome === 'lost'
+          ? `HomeHeat\n\nThanks for bidding on the ZIP ${pool.zip} group order. Another supplier had the lowest price this time — no action needed.`
+          : `HomeHeat\n\nThe ZIP ${pool.zip} group order has closed. No action needed — thanks!`);
+      }
+    }
+
+    await this._textParticipants(poolId,
+      `HomeHeat\n\nYour ZIP ${pool.zip} group order is set: $${price.toFixed(2)}/gal from ${winner.name}. They'll call to schedule delivery the week of ${weekLabel} — or call them at ${winner.phone}.`);
+
+    await this._logAudit(poolId, 'system', 'group_buy_awarded', {
+      supplierId: winner.supplier_id, price, gallons: totalGallons, households: households.length, bids: suppliers.filter(s => s.bid_outcome !== 'closed').length
+    });
+    return { awarded: true, supplierId: winner.supplier_id, price };
+  }
+
+  /** Admin cancel (spam, duplicate). Households that confirmed are told. */
+  async cancelPool(poolId, actor) {
+    if (!UUID_RE.test(poolId || '')) return { error: 'Group order not found.' };
+    const closed = await this._closePool(poolId, 'cancelled', ['open', 'bidding'], actor);
+    return closed ? { success: true } : { error: 'Only open or bidding group orders can be cancelled.' };
+  }
+
+  // ─── Cron: Expiry + Awards (hourly) ────────────────────────
+
+  /**
+   * Drop unconfirmed households, expire pools that missed their deadline or
+   * never got a confirmed household, and award pools whose bidding closed.
+   */
+  async runMaintenance() {
+    if (DISABLED) return { pendingExpired: 0 };
+
+    const [pending] = await this.sequelize.query(`
+      UPDATE group_buy_participants
+      SET status = 'expired', updated_at = NOW()
+      WHERE status = 'pending_verification'
+        AND created_at < NOW() - INTERVAL '${PENDING_EXPIRY_HOURS} hours'
+      RETURNING id
+    `);
+
+    // Started but the organizer never confirmed — frees the ZIP + week slot
+    const [unconfirmed] = await this.sequelize.query(`
+      UPDATE group_buys g
+      SET status = 'expired', closed_reason = 'unconfirmed', closed_at = NOW(), updated_at = NOW()
+      WHERE g.status = 'open'
+        AND g.created_at < NOW() - INTERVAL '${PENDING_EXPIRY_HOURS} hours'
+        AND NOT EXISTS (
+          SELECT 1 FROM group_buy_participants p
+          WHERE p.group_buy_id = g.id AND p.status IN ('joined', 'pending_verification')
+        )
+      RETURNING id
+    `);
+
+    const [pastDeadline] = await this.sequelize.query(`
+      SELECT id FROM group_buys WHERE status = 'open' AND join_deadline < NOW() LIMIT 50
+    `);
+    let underThreshold = 0;
+    for (const row of pastDeadline) {
+      if (await this._closePool(row.id, 'under_threshold', 'open')) underThreshold++;
+    }
+
+    const [biddingOver] = await this.sequelize.query(`
+      SELECT id FROM group_buys WHERE status = 'bidding' AND bids_close_at < NOW() LIMIT 50
+    `);
+    let awarded = 0;
+    let noBids = 0;
+    for (const row of biddingOver) {
+      const result = await this.closeBidding(row.id);
+      if (result.awarded) awarded++;
+      else if (result.reason === 'no_bids') noBids++;
+    }
+
+    const summary = {
+      pendingExpired: pending.length,
+      unconfirmed: unconfirmed.length,
+      underThreshold,
+      awarded,
+      noBids,
+    };
+    if (underThreshold || awarded || noBids) this.logger.info(`[GroupBuy] Maintenance: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // ─── Private Helpers ───────────────────────────────────────
+
+  /** Suppliers for the ZIP who take lead SMS, best match first */
+  async _invitableSuppliers(zip) {
+    const suppliers = await this.quotes._getAllSuppliersForZip(zip);
+    return suppliers.filter(s => s.leadsEnabled);
+  }
+
+  /** Insert (or re-open) a household and text its confirm link */
+  async _addParticipant(pool, household, { organizer }) {
+    const [[recent]] = await this.sequelize.query(`
+      SELECT COUNT(*) AS cnt FROM group_buy_participants
+      WHERE phone_last10 = :phone10 AND created_at > NOW() - INTERVAL '24 hours'
+    `, { replacements: { phone10: household.phone10 } });
+    if (parseInt(recent.cnt) >= MAX_JOINS_PER_PHONE_PER_DAY) {
+      return { error: 'Too many requests today. Please try again tomorrow.' };
+    }
+
+    // A household that left or never confirmed can sign up again; a joined one can't be overwritten
+    const [rows] = await this.sequelize.query(`
+      INSERT INTO group_buy_participants (group_buy_id, name, phone, phone_last10, gallons, is_organizer)
+      VALUES (:poolId, :name, :phone, :phone10, :gallons, :organizer)
+      ON CONFLICT (group_buy_id, phone_last10) DO UPDATE
+        SET name = EXCLUDED.name, phone = EXCLUDED.phone, gallons = EXCLUDED.gallons,
+            status = 'pending_verification', left_at = NULL, created_at = NOW(), updated_at = NOW()
+        WHERE group_buy_participants.status <> 'joined'
+      RETURNING id
+    `, {
+      replacements: {
+        poolId: pool.id, name: household.name, phone: household.phone, phone10: household.phone10,
+        gallons: household.gallons, organizer: !!organizer
+      }
+    });
+    if (rows.length === 0) return { error: 'That number is already in this group order.' };
+    const participantId = rows[0].id;
+
+    const link = `${SITE_URL}/gv/${participantId}?h=${GroupBuyService.participantHash(participantId)}`;
+    const smsResult = await this.quotes.sendLeadSMS(
+      household.phone,
+      `HomeHeat\n\nTap to confirm ~${household.gallons} gal in the ZIP ${pool.zip} group order (week of ${GroupBuyService.weekLabel(pool.deliveryWeek)}):\n${link}\n\nExpires in ${PENDING_EXPIRY_HOURS * 60} min.`
+    );
+
+    if (!smsResult) {
+      await this.sequelize.query(
+        `UPDATE group_buy_participants SET status = 'expired', updated_at = NOW() WHERE id = :id`,
+        { replacements: { id: participantId } }
+      );
+      return { error: 'Could not send the confirmation text. Please check the number and try again.' };
+    }
+
+    await this._logAudit(pool.id, 'consumer', 'group_buy_join_requested', {
+      organizer: !!organizer, gallons: household.gallons, phone10: household.phone10.slice(-4)
+    });
+    return { success: true, pool_id: pool.id, verify_sent: true };
+  }
+
+  /** Start bidding if confirmed gallons and households now meet the pool's bar */
+  async _checkThreshold(poolId) {
+    const [rows] = await this.sequelize.query(`
+      SELECT g.gallon_threshold, COUNT(p.id) AS households, COALESCE(SUM(p.gallons), 0) AS gallons
+      FROM group_buys g
+      LEFT JOIN group_buy_participants p ON p.group_buy_id = g.id AND p.status = 'joined'
+      WHERE g.id = :id AND g.status = 'open'
+      GROUP BY g.id
+    `, { replacements: { id: poolId } });
+
+    if (rows.length === 0) return false;
+    const row = rows[0];
+    if (parseInt(row.gallons) < row.gallon_threshold || parseInt(row.households) < MIN_HOUSEHOLDS) return false;
+
+    const result = await this.startBidding(poolId);
+    return result.started;
+  }
+
+  /**
+   * Close a pool without an award and tell its confirmed households why.
+   * Returns false if it was no longer in one of `fromStatus`.
+   */
+  async _closePool(poolId, reason, fromStatus, actor = 'system') {
+    const [rows] = await this.sequelize.query(`
+      UPDATE group_buys
+      SET status = :status, closed_reason = :reason, closed_at = NOW(), updated_at = NOW()
+      WHERE id = :id AND status IN (:fromStatus)
+      RETURNING zip, to_char(delivery_week, 'YYYY-MM-DD') AS delivery_week, gallon_threshold
+    `, {
+      replacements: {
+        id: poolId, reason, status: reason === 'cancelled' ? 'cancelled' : 'expired',
+        fromStatus: [].concat(fromStatus)
+      }
+    });
+    if (rows.length === 0) return false;
+    const pool = rows[0];
+    const label = `ZIP ${pool.zip} group order for the week of ${GroupBuyService.weekLabel(pool.delivery_week)}`;
+
+    // Invited suppliers who never won anything: close their invites out quietly
+    await this.sequelize.query(`
+      UPDATE group_buy_suppliers SET bid_outcome = 'closed', bid_outcome_at = NOW()
+      WHERE group_buy_id = :id AND bid_outcome IS NULL
+    `, { replacements: { id: poolId } });
+
+    const messages = {
+      under_threshold: `HomeHeat\n\nThe ${label} didn't reach ${pool.gallon_threshold} gal in time, so it's closed. Compare prices anytime: ${SITE_URL}/prices`,
+      no_suppliers: `HomeHeat\n\nWe couldn't reach a participating supplier for the ${label}, so it's closed. Compare prices: ${SITE_URL}/prices`,
+      no_bids: `HomeHeat\n\nNo supplier bid on the ${label}, so it's closed. Compare prices: ${SITE_URL}/prices`,
+      cancelled: `HomeHeat\n\nThe ${label} has been cancelled. Compare prices: ${SITE_URL}/prices`,
+    };
+    if (messages[reason]) await this._textParticipants(poolId, messages[reason]);
+
+    await this._logAudit(poolId, actor, 'group_buy_closed', { reason, zip: pool.zip });
+    return true;
+  }
+
+  /** Text every confirmed household in a pool */
+  async _textParticipants(poolId, message) {
+    const [households] = await this.sequelize.query(`
+      SELECT phone FROM group_buy_participants WHERE group_buy_id = :id AND status = 'joined'
+    `, { replacements: { id: poolId } });
+    let sent = 0;
+    for (const h of households) {
+      if (await this.quotes.sendLeadSMS(h.phone, message)) sent++;
+    }
+    return sent;
+  }
+
+  /** Audit rows go through the quote service (target_type 'quote_request') with the pool id in details */
+  async _logAudit(poolId, actor, action, details) {
+    await this.quotes._logAudit(null, actor, action, { poolId, ...details });
+  }
+}
+
+module.exports = GroupBuyService;
+module.exports.GALLON_THRESHOLD = GALLON_THRESHOLD;
+module.exports.MIN_HOUSEHOLDS = MIN_HOUSEHOLDS;
+module.exports.MAX_HOUSEHOLDS = MAX_HOUSEHOLDS;
@@ -0,0 +1,280 @@
+// src/services/GroupBuyService.test.js
+//
+// Group orders (V3.14.0): delivery-week rules, POOL bid parsing, household
+// validation, starting a pool (or joining that week's), a confirmation that
+// crosses the threshold inviting only lead-enabled suppliers, awarding the
+// lowest bid, and the hourly expiry sweep.
+// Fake sequelize, SMS captured; no DB or Twilio needed.
+//
+// Run: node src/services/GroupBuyService.test.js
+
+process.env.CLAIM_VERIFY_SECRET = process.env.CLAIM_VERIFY_SECRET || 'test-secret';
+
+const GroupBuyService = require('./GroupBuyService');
+const QuoteRequestService = require('./QuoteRequestService');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+const SUPPLIERS = [
+  { id: 's-1', name: 'Acme Oil', phone: '8601110001', leadsEnabled: true },
+  { id: 's-2', name: 'Opted Out Fuel', phone: '8601110002', leadsEnabled: false },
+  { id: 's-3', name: 'Bolt Energy', phone: '8601110003', leadsEnabled: true },
+];
+
+function makeService(db, suppliers = SUPPLIERS) {
+  const quotes = new QuoteRequestService(db, quietLogger);
+  const service = new GroupBuyService(db, quietLogger, quotes);
+  service.sms = [];
+  quotes.sendLeadSMS = async (to, body) => { service.sms.push({ to, body }); return { sid: 'SM' + service.sms.length }; };
+  quotes._getAllSuppliersForZip = async () => suppliers;
+  return service;
+}
+
+function audits(db) {
+  return db.calls.filter(c => /INSERT INTO audit_logs/.test(c.sql)).map(c => c.opts.replacements.action);
+}
+
+const POOL_ID = '33333333-3333-4333-8333-333333333333';
+const PARTICIPANT_ID = '44444444-4444-4444-8444-444444444444';
+const HASH = GroupBuyService.participantHash(PARTICIPANT_ID);
+const NOW = new Date('2026-10-19T12:00:00Z'); // a Monday
+
+(async () => {
+  try {
+    console.log('\n=== deliveryWeek ===');
+    eq(GroupBuyService.deliveryWeek('2026-11-04', NOW).week, '2026-11-02', 'any day → Monday of its week');
+    eq(GroupBuyService.deliveryWeek('2026-11-04', NOW).joinDeadline.toISOString(), '2026-10-30T00:00:00.000Z', 'joining closes the Friday before');
+    eq(GroupBuyService.deliveryWeek('2026-10-21', NOW).error, 'That week is too soon for neighbors to join — pick a later week.', 'this week is too soon');
+    eq(GroupBuyService.deliveryWeek('2027-01-04', NOW).error, 'Pick a week within the next 8 weeks.', 'too far out');
+    eq(GroupBuyService.deliveryWeek('next week').error, 'Pick a delivery week.', 'bad date');
+    const weeks = GroupBuyService.upcomingWeeks(NOW);
+    eq([weeks.length, weeks[0], weeks[weeks.length - 1]], [8, '2026-10-26', '2026-12-14'], 'upcoming weeks');
+    eq(GroupBuyService.weekLabel('2026-11-02'), 'Nov 2', 'week label');
+
+    console.log('\n=== parsePoolBid ===');
+    eq(GroupBuyService.parsePoolBid('POOL 3.19'), { price: 3.19 }, 'plain price');
+    eq(GroupBuyService.parsePoolBid('pool $3.199/gal'), { price: 3.199 }, '$ and /gal tolerated');
+    eq(GroupBuyService.parsePoolBid('POOL 319'), { price: 3.19 }, 'cents read as dollars');
+    eq(GroupBuyService.parsePoolBid('POOL 12').error, 'Price must be between $1.50 and $8.00/gal', 'price bounds');
+    eq(GroupBuyService.parsePoolBid('POOL cheap').error, 'To bid on a group order, reply POOL then your price/gal for the whole group, e.g. POOL 3.19', 'no price');
+
+    console.log('\n=== validateHousehold ===');
+    eq(GroupBuyService.validateHousehold({ name: ' Ann\n', phone: '(860) 222-0100', gallons: '150' }),
+      { name: 'Ann', phone: '(860) 222-0100', phone10: '8602220100', gallons: 150 }, 'valid household');
+    eq(GroupBuyService.validateHousehold({ name: '', phone: '8602220100', gallons: 150 }).error, 'Name is required.', 'name required');
+    eq(GroupBuyService.validateHousehold({ name: 'Ann', phone: '555-0100', gallons: 150 }).error, 'Please enter a valid 10-digit US phone number.', 'short phone');
+    eq(GroupBuyService.validateHousehold({ name: 'Ann', phone: '8602220100', gallons: 50 }).error, 'Minimum 75 gallons.', 'gallon floor');
+    eq(GroupBuyService.validateHousehold({ name: 'Ann', phone: '8602220100', gallons: 900 }).error, 'Maximum 500 gallons per household.', 'gallon cap');
+
+    console.log('\n=== participant links ===');
+    eq(GroupBuyService.verifyParticipantHash(PARTICIPANT_ID, HASH), true, 'hash round-trips');
+    eq(GroupBuyService.verifyParticipantHash(PARTICIPANT_ID, 'deadbeefdeadbeef'), false, 'wrong hash rejected');
+
+    console.log('\n=== startPool ===');
+    const week = GroupBuyService.upcomingWeeks()[1];
+    const household = { zip: '06010', delivery_week: week, name: 'Ann', phone: '8602220100', gallons: '300' };
+    let db = fakeSequelize((sql) => {
+      if (/INSERT INTO group_buys/.test(sql)) return [[{ id: POOL_ID }]];
+      if (/SELECT COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '0' }]];
+      if (/INSERT INTO group_buy_participants/.test(sql)) return [[{ id: PARTICIPANT_ID }]];
+    });
+    let service = makeService(db);
+    let result = await service.startPool(household);
+    eq([result.success, result.pool_id, result.joined_existing], [true, POOL_ID, false], 'new pool');
+    eq(db.calls[0].opts.replacements.threshold, GroupBuyService.GALLON_THRESHOLD, 'threshold stored on the pool');
+    const participantInsert = db.calls.find(c => /INSERT INTO group_buy_participants/.test(c.sql));
+    eq(participantInsert.opts.replacements.organizer, true, 'starter is the organizer');
+    if (service.sms[0].body.includes(`/gv/${PARTICIPANT_ID}?h=${HASH}`)) pass('confirm link texted');
+    else fail('confirm link texted', service.sms[0].body);
+    eq(audits(db), ['group_buy_started', 'group_buy_join_requested'], 'audited');
+
+    db = fakeSequelize((sql) => {
+      if (/SELECT id, status FROM group_buys/.test(sql)) return [[{ id: POOL_ID, status: 'open' }]];
+      if (/SELECT COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '0' }]];
+      if (/INSERT INTO group_buy_participants/.test(sql)) return [[{ id: PARTICIPANT_ID }]];
+    });
+    service = makeService(db);
+    result = await service.startPool(household);
+    eq([result.success, result.pool_id, result.joined_existing], [true, POOL_ID, true], 'same ZIP + week joins the open pool');
+    eq(db.calls.find(c => /INSERT INTO group_buy_participants/.test(c.sql)).opts.replacements.organizer, false, 'joiner is not the organizer');
+
+    db = fakeSequelize((sql) => {
+      if (/SELECT id, status FROM group_buys/.test(sql)) return [[{ id: POOL_ID, status: 'bidding' }]];
+    });
+    service = makeService(db);
+    result = await service.startPool(household);
+    eq(result.error, 'Neighbors already filled a group order for that week — suppliers are bidding on it now.', 'can\'t join a pool mid-bidding');
+    eq(service.sms.length, 0, 'nothing texted');
+
+    service = makeService(fakeSequelize(() => {}), SUPPLIERS.filter(s => !s.leadsEnabled));
+    result = await service.startPool(household);
+    eq(result.error, 'Group orders aren\'t available in your ZIP yet — no participating suppliers.', 'needs a lead-enabled supplier');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO group_buys/.test(sql)) return [[{ id: POOL_ID }]];
+      if (/SELECT COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '3' }]];
+    });
+    service = makeService(db);
+    eq((await service.startPool(household)).error, 'Too many requests today. Please try again tomorrow.', 'per-phone daily limit');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO group_buys/.test(sql)) return [[{ id: POOL_ID }]];
+      if (/SELECT COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '0' }]];
+    });
+    service = makeService(db);
+    eq((await service.startPool(household)).error, 'That number is already in this group order.', 'confirmed household isn\'t overwritten');
+
+    console.log('\n=== joinPool ===');
+    db = fakeSequelize((sql) => {
+      if (/FROM group_buys g/.test(sql)) {
+        return [[{ id: POOL_ID, zip: '06010', delivery_week: week, status: 'open', join_deadline: new Date(Date.now() + 86400000), households: '20' }]];
+      }
+    });
+    service = makeService(db);
+    eq((await service.joinPool(POOL_ID, household)).error, 'This group order is full (20 households). Start one for another week.', 'household cap');
+    db = fakeSequelize((sql) => {
+      if (/FROM group_buys g/.test(sql)) {
+        return [[{ id: POOL_ID, zip: '06010', delivery_week: week, status: 'open', join_deadline: new Date(Date.now() - 1000), households: '2' }]];
+      }
+    });
+    service = makeService(db);
+    eq((await service.joinPool(POOL_ID, household)).error, 'This group order is closed to new households.', 'past the join deadline');
+
+    console.log('\n=== verifyParticipant → bidding ===');
+    const threshold = { households: '3', gallons: '1050' };
+    const verifyResponder = (sql) => {
+      if (/UPDATE group_buy_participants p SET status = 'joined'/.test(sql.replace(/\s+/g, ' '))) return [[{ group_buy_id: POOL_ID, gallons: 300 }]];
+      if (/SELECT g.gallon_threshold/.test(sql)) return [[{ gallon_threshold: 1000, ...threshold }]];
+      if (/SET status = 'bidding'/.test(sql)) return [[{ id: POOL_ID, zip: '06010', delivery_week: '2026-11-02' }]];
+      if (/SELECT COUNT\(\*\) AS households/.test(sql)) return [[{ households: '3', gallons: '1050' }]];
+      if (/INSERT INTO group_buy_suppliers/.test(sql)) return [[{ id: 'gs-' + Math.random().toString(36).slice(2, 8) }]];
+      if (/SELECT phone FROM group_buy_participants/.test(sql)) return [[{ phone: '8602220100' }, { phone: '8602220101' }, { phone: '8602220102' }]];
+    };
+    db = fakeSequelize(verifyResponder);
+    service = makeService(db);
+    result = await service.verifyParticipant(PARTICIPANT_ID, HASH);
+    eq([result.success, result.poolId, result.biddingStarted], [true, POOL_ID, true], 'crossing the threshold starts bidding');
+    eq(service.sms.slice(0, 2).map(m => m.to), ['8601110001', '8601110003'], 'only lead-enabled suppliers invited');
+    if (/3 homes in ZIP 06010 · 1050 gal total/.test(service.sms[0].body) && /\/gb\/[\w-]+/.test(service.sms[0].body)) pass('invite has the pool + bid link');
+    else fail('invite has the pool + bid link', service.sms[0].body);
+    eq(service.sms.slice(2).length, 3, 'every confirmed household told bidding started');
+    if (/INTERVAL '24 hours'/.test(db.calls.find(c => /SET status = 'bidding'/.test(c.sql)).sql)) pass('24h bidding window');
+    else fail('24h bidding window');
+    eq(audits(db), ['group_buy_joined', 'group_buy_bidding_started'], 'audited');
+
+    threshold.households = '1';
+    db = fakeSequelize(verifyResponder);
+    service = makeService(db);
+    result = await service.verifyParticipant(PARTICIPANT_ID, HASH);
+    eq([result.success, result.biddingStarted], [true, false], 'one household isn\'t a group, even over the gallons');
+    eq(service.sms.length, 0, 'no invites');
+
+    eq((await makeService(fakeSequelize(() => {})).verifyParticipant(PARTICIPANT_ID, 'nope')).error, 'Invalid or expired link.', 'bad hash');
+
+    db = fakeSequelize((sql) => {
+      if (/SET status = 'bidding'/.test(sql)) return [[{ id: POOL_ID, zip: '06010', delivery_week: '2026-11-02' }]];
+      if (/SELECT COUNT\(\*\) AS households/.test(sql)) return [[{ households: '3', gallons: '1050' }]];
+      if (/UPDATE group_buys SET status = :status/.test(sql.replace(/\s+/g, ' '))) return [[{ zip: '06010', delivery_week: '2026-11-02', gallon_threshold: 1000 }]];
+    });
+    service = makeService(db);
+    result = await service.startBidding(POOL_ID);
+    eq(result, { started: false, reason: 'no_suppliers' }, 'no invite delivered → closed');
+    eq(db.calls.find(c => /SET status = :status/.test(c.sql)).opts.replacements.reason, 'no_suppliers', 'closed as no_suppliers');
+
+    console.log('\n=== supplier POOL reply ===');
+    db = fakeSequelize((sql) => {
+      if (/SELECT gs.response_token/.test(sql)) return [[{ response_token: 'tok-1' }, { response_token: 'tok-2' }]];
+      if (/UPDATE group_buy_suppliers gs SET bid_price_per_gallon/.test(sql.replace(/\s+/g, ' '))) return [[{ supplier_id: 's-1', pool_id: POOL_ID, zip: '06010' }]];
+    });
+    service = makeService(db);
+    result = await service.handleSupplierPoolSMS('+18601110001', 'POOL 3.19');
+    eq(result.reply, 'Pooled bid $3.19/gal sent for the ZIP 06010 group order. Lowest bid wins when bidding closes. You have 1 other open group order — use the link in that text to bid.', 'bid confirmed');
+    eq(db.calls[1].opts.replacements, { token: 'tok-1', price: 3.19, source: 'sms' }, 'most recent invite bid on');
+
+    console.log('\n=== closeBidding ===');
+    db = fakeSequelize((sql) => {
+      const flat = sql.replace(/\s+/g, ' ');
+      if (/SELECT id FROM group_buy_suppliers/.test(flat)) return [[{ id: 'gs-2' }]];
+      if (/SET status = 'awarded'/.test(flat)) return [[{ zip: '06010', delivery_week: '2026-11-02' }]];
+      if (/UPDATE group_buy_suppliers gs SET bid_outcome/.test(flat)) {
+        return [[
+          { supplier_id: 's-1', bid_outcome: 'lost', bid_price_per_gallon: '3.290', name: 'Acme Oil', phone: '8601110001' },
+          { supplier_id: 's-3', bid_outcome: 'won', bid_price_per_gallon: '3.190', name: 'Bolt Energy', phone: '8601110003' },
+          { supplier_id: 's-4', bid_outcome: 'closed', bid_price_per_gallon: null, name: 'Quiet Fuel', phone: '8601110004' },
+        ]];
+      }
+      if (/SELECT name, phone_last10, gallons/.test(flat)) return [[{ name: 'Ann', phone_last10: '8602220100', gallons: 500 }, { name: 'Bob', phone_last10: '8602220101', gallons: 500 }]];
+      if (/SELECT phone FROM group_buy_participants/.test(flat)) return [[{ phone: '8602220100' }, { phone: '8602220101' }]];
+    });
+    service = makeService(db);
+    result = await service.closeBidding(POOL_ID);
+    eq([result.awarded, result.supplierId, result.price], [true, 's-3', 3.19], 'lowest bid awarded');
+    if (/ORDER BY bid_price_per_gallon ASC, bid_at ASC/.test(db.calls[0].sql)) pass('ties go to the earliest bid');
+    else fail('ties go to the earliest bid', db.calls[0].sql);
+    const winnerSms = service.sms.find(m => m.to === '8601110003').body;
+    if (/\$3\.19\/gal · 1000 gal · 2 homes/.test(winnerSms) && winnerSms.includes('Ann (860) 222-0100 · 500 gal')) pass('winner gets every household');
+    else fail('winner gets every household', winnerSms);
+    if (/Another supplier had the lowest price/.test(service.sms.find(m => m.to === '8601110001').body)) pass('losing bidder told');
+    else fail('losing bidder told');
+    if (/has closed/.test(service.sms.find(m => m.to === '8601110004').body)) pass('non-bidder closed out');
+    else fail('non-bidder closed out');
+    const householdSms = service.sms.filter(m => m.to.startsWith('860222'));
+    eq(householdSms.length, 2, 'every household told');
+    if (householdSms[0].body.includes('$3.19/gal from Bolt Energy') && householdSms[0].body.includes('8601110003')) pass('households get the price + number');
+    else fail('households get the price + number', householdSms[0].body);
+    eq(audits(db), ['group_buy_awarded'], 'audited');
+
+    db = fakeSequelize((sql) => {
+      if (/UPDATE group_buys SET status = :status/.test(sql.replace(/\s+/g, ' '))) return [[{ zip: '06010', delivery_week: '2026-11-02', gallon_threshold: 1000 }]];
+      if (/SELECT phone FROM group_buy_participants/.test(sql)) return [[{ phone: '8602220100' }]];
+    });
+    service = makeService(db);
+    result = await service.closeBidding(POOL_ID);
+    eq(result, { awarded: false, reason: 'no_bids' }, 'no bids → expired');
+    const close = db.calls.find(c => /SET status = :status/.test(c.sql)).opts.replacements;
+    eq([close.status, close.reason, close.fromStatus], ['expired', 'no_bids', ['bidding']], 'closed from bidding only');
+    if (/No supplier bid on the ZIP 06010 group order/.test(service.sms[0].body)) pass('households told why');
+    else fail('households told why', service.sms[0] && service.sms[0].body);
+
+    console.log('\n=== runMaintenance ===');
+    db = fakeSequelize((sql) => {
+      const flat = sql.replace(/\s+/g, ' ');
+      if (/UPDATE group_buy_participants SET status = 'expired'/.test(flat)) return [[{ id: 'p-1' }, { id: 'p-2' }]];
+      if (/SELECT id FROM group_buys WHERE status = 'open'/.test(flat)) return [[{ id: POOL_ID }]];
+      if (/UPDATE group_buys SET status = :status/.test(flat)) return [[{ zip: '06010', delivery_week: '2026-11-02', gallon_threshold: 1000 }]];
+      if (/SELECT phone FROM group_buy_participants/.test(flat)) return [[{ phone: '8602220100' }]];
+    });
+    service = makeService(db);
+    result = await service.runMaintenance();
+    eq(result, { pendingExpired: 2, unconfirmed: 0, underThreshold: 1, awarded: 0, noBids: 0 }, 'sweep summary');
+    if (/didn't reach 1000 gal in time/.test(service.sms[0].body)) pass('under-threshold households told');
+    else fail('under-threshold households told', service.sms[0] && service.sms[0].body);
+    if (/created_at < NOW\(\) - INTERVAL '1 hours'/.test(db.calls[0].sql)) pass('unconfirmed joins expire after an hour');
+    else fail('unconfirmed joins expire after an hour', db.calls[0].sql);
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
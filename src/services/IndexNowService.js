@@ -200,12 +200,13 @@ async function submitToIndexNow(urls, { key, fetchImpl, logger, sleep, attempts
 }
 
 // Orchestrator — called by the 23:31 cron. Gated by INDEXNOW_KEY (presence)
-// and INDEXNOW_DRY_RUN. Reads the freshly-written sitemap.xml, hashes each
-// page, diffs vs the stored hashes, submits new/changed, reconciles the table.
-async function runIndexNowSubmission({ sequelize, logger, websiteDir, fetchImpl, sleep } = {}) {
+// and INDEXNOW_DRY_RUN (or dryRun, passed for a job-console dry run). Reads the
+// freshly-written sitemap.xml, hashes each page, diffs vs the stored hashes,
+// submits new/changed, reconciles the table.
+async function runIndexNowSubmission({ sequelize, logger, websiteDir, fetchImpl, sleep,
+  dryRun = process.env.INDEXNOW_DRY_RUN === 'true' } = {}) {
   const _log = logger || console;
   const key = process.env.INDEXNOW_KEY;
-  const dryRun = process.env.INDEXNOW_DRY_RUN === 'true';
 
   if (!key) {
     _log.info('[IndexNow] INDEXNOW_KEY not set — skipping submission');
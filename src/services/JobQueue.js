@@ -0,0 +1,585 @@
+// src/services/JobQueue.js
+// Durable job queue (V3.19.0) — Postgres-backed replacement for node-cron
+// callbacks and in-memory timers. Scheduled work survives deploys and runs
+// once across overlapping Railway instances:
+//
+//   queue.define('price-alerts', handler, { maxAttempts: 2 });
+//   queue.schedule('price-alerts', '0 8 * * *');          // recurring, ET
+//   await queue.enqueue('supplier-scrape', { supplierId }, { runAt, uniqueKey });
+//   queue.start();
+//
+// Handlers get (payload, job) and return a result object (stored on the row,
+// surfaced as heartbeat details). A throw fails the attempt: with attempts
+// left the job is re-queued after backoffSeconds * 2^(attempts-1), otherwise
+// it ends 'failed' and the error goes to cron_error_log. A handler that can't
+// run yet (host-group spacing) returns JobQueue.defer(ms) to be re-queued
+// without spending an attempt.
+//
+// Workers claim due rows with FOR UPDATE SKIP LOCKED and hold them for the
+// job's timeoutSeconds (visibility timeout). While the handler runs, the
+// worker pushes locked_until forward every third of that (lease heartbeat),
+// so a long job is never claimed twice; a row still 'running' after its
+// lease lapsed belonged to a worker that died mid-job and is claimed again.
+//
+// Recurring jobs live in job_schedules. Every poll, due rows are advanced to
+// their next cron time with a compare-and-set, and the instance that wins
+// enqueues that occurrence — so a schedule missed while no instance was up
+// runs once on the next start rather than once per missed occurrence.
+// CronMonitor reads job rows through the job_heartbeats view.
+//
+// V3.20.0: the admin job console (/api/admin/jobs) reads listJobs() and
+// getRun(), and drives runNow() and pause()/resume(). Handlers also get a
+// job-scoped logger as job.logger — its lines, plus the queue's outcome line
+// for each attempt, are kept in jobs.log. Jobs defined with { dryRun: true }
+// honor payload.dryRun (report what they would do, change nothing) and can be
+// previewed from the console.
+
+const os = require('os');
+const { parseCron, nextCronTime } = require('../utils/cron-expression');
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const POLL_INTERVAL_MS = 5000;
+const DEFAULT_CONCURRENCY = 2;
+const JOB_RETENTION_DAYS = 30;
+const LOG_MAX_LINES = 200;          // per attempt
+const LOG_MAX_CHARS = 64 * 1024;    // per row, oldest output dropped first
+const CONSOLE_RUNS = 5;
+const CONSOLE_ERROR_DAYS = 7;
+const DEFER = Symbol('JobQueue.defer');
+const LEASE_RENEW_FRACTION = 1 / 3;  // heartbeat interval as a share of timeoutSeconds
+
+function formatLogArg(arg) {
+  if (arg instanceof Error) return arg.message;
+  if (typeof arg === 'string') return arg;
+  try {
+    return JSON.stringify(arg);
+  } catch (e) {
+    return String(arg);
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {object|null} sequelize
+   * @param {object} [options]
+   * @param {object} [options.cronMonitor] - failed attempts are logged via cronMonitor.logError
+   * @param {number} [options.concurrency] - jobs run at once on this instance
+   * @param {number} [options.pollIntervalMs]
+   * @param {string} [options.workerId] - locked_by value; default host:pid
+   */
+  constructor(sequelize, logger = console, {
+    cronMonitor = null,
+    concurrency = DEFAULT_CONCURRENCY,
+    pollIntervalMs = POLL_INTERVAL_MS,
+    workerId = `${os.hostname()}:${process.pid}`
+  } = {}) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.cronMonitor = cronMonitor;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.workerId = workerId;
+    this.definitions = new Map();   // name → { handler, maxAttempts, backoffSeconds, timeoutSeconds, dryRun }
+    this.schedules = new Map();     // name → { cronExpression, timezone, payload }
+    this.active = new Set();        // in-flight runJob promises
+    this.timer = null;
+    this.polling = false;
+    this.schedulesSynced = false;
+  }
+
+  /** Re-queue the current job after `ms` without counting an attempt */
+  static defer(ms, reason = null) {
+    return { [DEFER]: true, ms, reason };
+  }
+
+  /** Seconds before retry N (1-based): base, 2×base, 4×base, … capped at a day */
+  static backoffSeconds(baseSeconds, attempts) {
+    return Math.min(baseSeconds * 2 ** Math.max(0, attempts - 1), 24 * 3600);
+  }
+
+  /**
+   * Register a handler. Only defined names are claimed by this instance.
+   * @param {number} [options.maxAttempts=1] - total tries including the first
+   * @param {number} [options.backoffSeconds=120] - delay before the first retry
+   * @param {number} [options.timeoutSeconds=900] - visibility timeout per attempt
+   * @param {boolean} [options.dryRun=false] - handler honors payload.dryRun
+   */
+  define(name, handler, { maxAttempts = 1, backoffSeconds = 120, timeoutSeconds = 900, dryRun = false } = {}) {
+    this.definitions.set(name, { handler, maxAttempts, backoffSeconds, timeoutSeconds, dryRun });
+    return this;
+  }
+
+  /** Run a defined job on a cron expression (5 fields, evaluated in `timezone`) */
+  schedule(name, cronExpression, { timezone = DEFAULT_TIMEZONE, payload = {} } = {}) {
+    if (!this.definitions.has(name)) throw new Error(`JobQueue: schedule for undefined job '${name}'`);
+    parseCron(cronExpression);
+    this.schedules.set(name, { cronExpression, timezone, payload });
+    return this;
+  }
+
+  /**
+   * Insert a job. Options default to the job's definition.
+   * @param {Date} [options.runAt] - earliest start (default now)
+   * @param {string} [options.uniqueKey] - second enqueue with the same key is a no-op
+   * @returns {Promise<{id: string|null, duplicate: boolean}>}
+   */
+  async enqueue(name, payload = {}, { runAt = null, uniqueKey = null, maxAttempts, backoffSeconds, timeoutSeconds } = {}) {
+    const definition = this.definitions.get(name) || {};
+    const [rows] = await this.sequelize.query(`
+      INSERT INTO jobs (name, payload, run_at, unique_key, max_attempts, backoff_seconds, timeout_seconds)
+      VALUES (:name, :payload, COALESCE(:runAt, NOW()), :uniqueKey, :maxAttempts, :backoffSeconds, :timeoutSeconds)
+      ON CONFLICT (unique_key) DO NOTHING
+      RETURNING id
+    `, {
+      replacements: {
+        name,
+        payload: JSON.stringify(payload || {}),
+        runAt: runAt ? new Date(runAt).toISOString() : null,
+        uniqueKey,
+        maxAttempts: maxAttempts || definition.maxAttempts || 1,
+        backoffSeconds: backoffSeconds || definition.backoffSeconds || 120,
+        timeoutSeconds: timeoutSeconds || definition.timeoutSeconds || 900
+      }
+    });
+    return rows.length > 0 ? { id: rows[0].id, duplicate: false } : { id: null, duplicate: true };
+  }
+
+  /**
+   * Upsert job_schedules for every schedule() call. An unchanged expression
+   * keeps its next_run_at (so a run missed during the deploy still fires);
+   * a changed one is recomputed. The paused flag is never touched here.
+   */
+  async syncSchedules(now = new Date()) {
+    for (const [name, { cronExpression, timezone }] of this.schedules) {
+      await this.sequelize.query(`
+        INSERT INTO job_schedules (name, cron_expression, timezone, next_run_at)
+        VALUES (:name, :cronExpression, :timezone, :nextRunAt)
+        ON CONFLICT (name) DO UPDATE SET
+          next_run_at = CASE
+            WHEN job_schedules.cron_expression = EXCLUDED.cron_expression
+             AND job_schedules.timezone = EXCLUDED.timezone
+            THEN job_schedules.next_run_at ELSE EXCLUDED.next_run_at END,
+          cron_expression = EXCLUDED.cron_expression,
+          timezone = EXCLUDED.timezone,
+          updated_at = NOW()
+      `, {
+        replacements: {
+          name, cronExpression, timezone,
+          nextRunAt: nextCronTime(cronExpression, now, timezone).toISOString()
+        }
+      });
+    }
+  }
+
+  /** Enqueue one job per due schedule this instance wins; returns how many */
+  async enqueueDueSchedules(now = new Date()) {
+    const names = [...this.schedules.keys()];
+    if (names.length === 0) return 0;
+
+    const [due] = await this.sequelize.query(`
+      SELECT name, next_run_at FROM job_schedules
+      WHERE name IN (:names) AND paused = false AND next_run_at <= NOW()
+    `, { replacements: { names } });
+
+    let enqueued = 0;
+    for (const row of due) {
+      const { cronExpression, timezone, payload } = this.schedules.get(row.name);
+      const dueAt = new Date(row.next_run_at);
+      const [won] = await this.sequelize.query(`
+        UPDATE job_schedules
+        SET next_run_at = :nextRunAt, last_enqueued_at = NOW(), updated_at = NOW()
+        WHERE name = :name AND next_run_at = :dueAt
+        RETURNING name
+      `, {
+        replacements: {
+          name: row.name,
+          dueAt: dueAt.toISOString(),
+          nextRunAt: nextCronTime(cronExpression, now, timezone).toISOString()
+        }
+      });
+      if (won.length === 0) continue;   // another instance advanced it first
+
+      const { duplicate } = await this.enqueue(row.name, payload, { uniqueKey: `${row.name}@${dueAt.toISOString()}` });
+      if (!duplicate) enqueued++;
+    }
+    return enqueued;
+  }
+
+  /** Fail 'running' rows whose visibility timeout passed on their last attempt */
+  async failExpired() {
+    const [rows] = await this.sequelize.query(`
+      UPDATE jobs
+      SET status = 'failed', last_error = 'Visibility timeout expired (worker lost or job hung)',
+          finished_at = NOW(), locked_by = NULL, locked_until = NULL, updated_at = NOW()
+      WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+      RETURNING id, name
+    `);
+    for (const row of rows) {
+      this.logger.error(`[JobQueue] ${row.name} #${row.id} — timed out on its last attempt`);
+      await this.logError(row.name, new Error(`Job #${row.id} timed out (visibility timeout expired)`));
+    }
+    return rows.length;
+  }
+
+  /** Claim up to `limit` due jobs this instance has handlers for */
+  async claim(limit) {
+    const names = [...this.definitions.keys()];
+    if (names.length === 0 || limit <= 0) return [];
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, locked_by = :workerId,
+          locked_until = NOW() + make_interval(secs => timeout_seconds),
+          started_at = NOW(), finished_at = NULL, updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM jobs
+        WHERE name IN (:names)
+          AND ((status = 'queued' AND run_at <= NOW())
+            OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts))
+        ORDER BY run_at
+        LIMIT :limit
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, name, payload, attempts, max_attempts, backoff_seconds, timeout_seconds, unique_key, run_at
+    `, { replacements: { workerId: this.workerId, names, limit } });
+    return rows;
+  }
+
+  /**
+   * Run one claimed job and record the outcome.
+   * @returns {Promise<'succeeded'|'retrying'|'failed'|'deferred'>}
+   */
+  async runJob(job) {
+    const definition = this.definitions.get(job.name);
+    const payload = typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+    const startTime = Date.now();
+    const lines = [`--- attempt ${job.attempts}/${job.max_attempts} on ${this.workerId}${payload.dryRun ? ' (dry run)' : ''}`];
+    const logger = this.jobLogger(lines);
+    const heartbeat = this.startHeartbeat(job);
+
+    try {
+      if (!definition) throw new Error(`No handler defined for job '${job.name}'`);
+      const outcome = await definition.handler(payload, { ...job, logger });
+
+      if (outcome && outcome[DEFER]) {
+        const delaySeconds = Math.ceil(outcome.ms / 1000);
+        logger.info(`[JobQueue] ${job.name} — deferred ${delaySeconds}s${outcome.reason ? ` (${outcome.reason})` : ''}`);
+        await this.settle(job, `status = 'queued', attempts = attempts - 1,
+          run_at = NOW() + make_interval(secs => :delaySeconds)`, { delaySeconds }, lines);
+        return 'deferred';
+      }
+
+      logger.info(`[JobQueue] ${job.name} — success (${Date.now() - startTime}ms)`);
+      await this.settle(job, `status = 'succeeded', result = :result, last_error = NULL, finished_at = NOW()`,
+        { result: JSON.stringify(outcome ?? {}) }, lines);
+      return 'succeeded';
+    } catch (error) {
+      const lastError = String(error.message || error).slice(0, 500);
+      await this.logError(job.name, error);
+
+      if (job.attempts < job.max_attempts) {
+        const delaySeconds = JobQueue.backoffSeconds(job.backoff_seconds, job.attempts);
+        logger.error(`[JobQueue] ${job.name} — FAILED (attempt ${job.attempts}/${job.max_attempts}, retrying in ${delaySeconds}s): ${lastError}`);
+        await this.settle(job, `status = 'queued', run_at = NOW() + make_interval(secs => :delaySeconds),
+          last_error = :lastError, finished_at = NOW()`, { delaySeconds, lastError }, lines);
+        return 'retrying';
+      }
+
+      logger.error(`[JobQueue] ${job.name} — FAILED: ${lastError}`);
+      await this.settle(job, `status = 'failed', last_error = :lastError, finished_at = NOW()`, { lastError }, lines);
+      return 'failed';
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Extend the claim's locked_until while the handler runs, so a job longer
+   * than timeoutSeconds isn't re-claimed by another worker. Stops on its own
+   * once the row is no longer ours.
+   * @returns {object} interval handle for clearInterval
+   */
+  startHeartbeat(job) {
+    const timeoutSeconds = job.timeout_seconds || this.definitions.get(job.name)?.timeoutSeconds || 900;
+    const heartbeat = setInterval(async () => {
+      try {
+        const [rows] = await this.sequelize.query(`
+          UPDATE jobs
+          SET locked_until = NOW() + make_interval(secs => timeout_seconds), updated_at = NOW()
+          WHERE id = :id AND status = 'running' AND locked_by = :workerId AND attempts = :attempts
+          RETURNING id
+        `, { replacements: { id: job.id, workerId: this.workerId, attempts: job.attempts } });
+        if (rows.length === 0) clearInterval(heartbeat);
+      } catch (error) {
+        this.logger.warn(`[JobQueue] Lease heartbeat failed for ${job.name} #${job.id}: ${error.message}`);
+      }
+    }, Math.max(1000, timeoutSeconds * 1000 * LEASE_RENEW_FRACTION));
+    heartbeat.unref();
+    return heartbeat;
+  }
+
+  /**
+   * Logger for one attempt: writes through to the queue's logger and keeps
+   * the first LOG_MAX_LINES lines for jobs.log.
+   */
+  jobLogger(lines) {
+    const capture = (level) => (...args) => {
+      (this.logger[level] || this.logger.info).apply(this.logger, args);
+      if (lines.length > LOG_MAX_LINES) return;
+      lines.push(lines.length === LOG_MAX_LINES
+        ? '… (further output not kept)'
+        : `${new Date().toISOString()} ${level.toUpperCase()} ${args.map(formatLogArg).join(' ')}`);
+    };
+    return { info: capture('info'), warn: capture('warn'), error: capture('error'), debug: capture('debug') };
+  }
+
+  /** Write a job outcome (and append the attempt's log) — only while this worker still holds the claim */
+  async settle(job, setClause, replacements, lines = []) {
+    try {
+      await this.sequelize.query(`
+        UPDATE jobs
+        SET ${setClause}, log = RIGHT(COALESCE(log || chr(10), '') || :log, :logMaxChars),
+            locked_by = NULL, locked_until = NULL, updated_at = NOW()
+        WHERE id = :id AND status = 'running' AND locked_by = :workerId AND attempts = :attempts
+      `, {
+        replacements: {
+          ...replacements,
+          log: lines.join('\n'),
+          logMaxChars: LOG_MAX_CHARS,
+          id: job.id,
+          workerId: this.workerId,
+          attempts: job.attempts
+        }
+      });
+    } catch (error) {
+      this.logger.error(`[JobQueue] Failed to record outcome for ${job.name} #${job.id}: ${error.message}`);
+    }
+  }
+
+  /** One poll: advance schedules, fail expired jobs, start due ones in free slots */
+  async poll() {
+    if (this.polling || !this.sequelize) return { enqueued: 0, claimed: 0 };
+    this.polling = true;
+    try {
+      if (!this.schedulesSynced) {
+        await this.syncSchedules();
+        this.schedulesSynced = true;
+      }
+      const enqueued = await this.enqueueDueSchedules();
+      await this.failExpired();
+      const jobs = await this.claim(this.concurrency - this.active.size);
+      for (const job of jobs) {
+        const run = this.runJob(job).finally(() => this.active.delete(run));
+        this.active.add(run);
+      }
+      return { enqueued, claimed: jobs.length };
+    } catch (error) {
+      // Table may not exist yet (first deploy before migration runs) — skip silently
+      if (!error.message?.includes('does not exist')) {
+        this.logger.error(`[JobQueue] Poll failed: ${error.message}`);
+      }
+      return { enqueued: 0, claimed: 0 };
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start polling. Schedules are synced on the first poll that finds the
+   * tables, so this can run before migrations finish.
+   */
+  start() {
+    if (this.timer || !this.sequelize) return;
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.logger.info(`[JobQueue] Worker ${this.workerId} started: ${this.definitions.size} job types, ${this.schedules.size} schedules, concurrency ${this.concurrency}`);
+    this.poll();
+  }
+
+  /** Stop polling and wait for in-flight jobs */
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.active]);
+  }
+
+  /** Delete finished jobs older than the retention window; dryRun only counts them */
+  async prune({ days = JOB_RETENTION_DAYS, dryRun = false } = {}) {
+    const where = `status IN ('succeeded', 'failed')
+        AND COALESCE(finished_at, created_at) < NOW() - make_interval(days => :days)`;
+    if (dryRun) {
+      const [[row]] = await this.sequelize.query(`SELECT COUNT(*)::integer AS count FROM jobs WHERE ${where}`,
+        { replacements: { days } });
+      return row.count;
+    }
+    const [rows] = await this.sequelize.query(`
+      DELETE FROM jobs
+      WHERE ${where}
+      RETURNING id
+    `, { replacements: { days } });
+    return rows.length;
+  }
+
+  // ── Admin job console (V3.20.0) ─────────────────────
+
+  /**
+   * Every defined job with its schedule, the last CONSOLE_RUNS runs, queue
+   * depth and the last week's cron_error_log entries.
+   */
+  async listJobs({ runs = CONSOLE_RUNS } = {}) {
+    const names = [...this.definitions.keys()].sort();
+    if (names.length === 0) return [];
+
+    const [schedules] = await this.sequelize.query(`
+      SELECT name, cron_expression, timezone, next_run_at, paused, last_enqueued_at
+      FROM job_schedules WHERE name IN (:names)
+    `, { replacements: { names } });
+    const [recent] = await this.sequelize.query(`
+      SELECT id, name, status, attempts, max_attempts, started_at, finished_at, last_error,
+             (EXTRACT(EPOCH FROM (finished_at - started_at)) * 1000)::integer AS duration_ms,
+             COALESCE(payload->>'dryRun', 'false') = 'true' AS dry_run,
+             COALESCE(unique_key LIKE '%@manual:%' OR unique_key LIKE '%@dry-run:%', false) AS manual
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY name ORDER BY started_at DESC) AS rn
+        FROM jobs WHERE name IN (:names) AND started_at IS NOT NULL
+      ) ranked
+      WHERE rn <= :runs
+      ORDER BY name, started_at DESC
+    `, { replacements: { names, runs } });
+    const [depth] = await this.sequelize.query(`
+      SELECT name,
+             COUNT(*) FILTER (WHERE status = 'queued')::integer AS queued,
+             COUNT(*) FILTER (WHERE status = 'running')::integer AS running
+      FROM jobs WHERE name IN (:names) AND status IN ('queued', 'running')
+      GROUP BY name
+    `, { replacements: { names } });
+    const [errors] = await this.sequelize.query(`
+      SELECT service, message, created_at
+      FROM (
+        SELECT service, message, created_at,
+               ROW_NUMBER() OVER (PARTITION BY service ORDER BY created_at DESC) AS rn
+        FROM cron_error_log
+        WHERE service IN (:names) AND created_at > NOW() - make_interval(days => :days)
+      ) ranked
+      WHERE rn <= :runs
+      ORDER BY service, created_at DESC
+    `, { replacements: { names, runs, days: CONSOLE_ERROR_DAYS } });
+
+    const byName = (rows, key = 'name') => rows.reduce((map, row) => {
+      if (!map.has(row[key])) map.set(row[key], []);
+      map.get(row[key]).push(row);
+      return map;
+    }, new Map());
+    const scheduleByName = new Map(schedules.map(row => [row.name, row]));
+    const depthByName = new Map(depth.map(row => [row.name, row]));
+    const runsByName = byName(recent);
+    const errorsByName = byName(errors, 'service');
+
+    return names.map((name) => {
+      const definition = this.definitions.get(name);
+      const registered = this.schedules.get(name);
+      const stored = scheduleByName.get(name);
+      return {
+        name,
+        maxAttempts: definition.maxAttempts,
+        timeoutSeconds: definition.timeoutSeconds,
+        dryRun: definition.dryRun,
+        schedule: registered ? {
+          cron: registered.cronExpression,
+          timezone: registered.timezone,
+          nextRunAt: stored ? stored.next_run_at : null,
+          paused: stored ? stored.paused : false,
+          lastEnqueuedAt: stored ? stored.last_enqueued_at : null
+        } : null,
+        queued: depthByName.get(name)?.queued || 0,
+        running: depthByName.get(name)?.running || 0,
+        lastRuns: (runsByName.get(name) || []).map(row => ({
+          id: row.id,
+          status: row.status,
+          attempts: row.attempts,
+          maxAttempts: row.max_attempts,
+          startedAt: row.started_at,
+          finishedAt: row.finished_at,
+          durationMs: row.duration_ms,
+          error: row.last_error,
+          dryRun: row.dry_run,
+          manual: row.manual
+        })),
+        recentErrors: (errorsByName.get(name) || []).map(row => ({ message: row.message, createdAt: row.created_at }))
+      };
+    });
+  }
+
+  /** One run with its payload, result and captured log; null if pruned or unknown */
+  async getRun(id) {
+    const [rows] = await this.sequelize.query(`
+      SELECT id, name, status, payload, attempts, max_attempts, run_at, unique_key,
+             started_at, finished_at, last_error, result, log, created_at
+      FROM jobs WHERE id = :id
+    `, { replacements: { id } });
+    return rows[0] || null;
+  }
+
+  /**
+   * Enqueue a defined job to run now, outside its schedule. The payload is
+   * the schedule's (if any) merged with `payload`. Keyed per minute so a
+   * double-submitted click queues one run.
+   * @returns {Promise<{id, duplicate}|{error: string, status: number}>}
+   */
+  async runNow(name, { dryRun = false, payload = {}, now = new Date() } = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) return { error: `Unknown job '${name}'`, status: 404 };
+    if (dryRun && !definition.dryRun) return { error: `Job '${name}' does not support dry runs`, status: 400 };
+
+    const minute = new Date(Math.floor(now.getTime() / 60000) * 60000).toISOString();
+    const base = this.schedules.get(name)?.payload || {};
+    return this.enqueue(name, { ...base, ...payload, ...(dryRun ? { dryRun: true } : {}) }, {
+      uniqueKey: `${name}@${dryRun ? 'dry-run' : 'manual'}:${minute}`
+    });
+  }
+
+  /** Stop enqueueing a scheduled job; queued and running rows are left alone */
+  async pause(name) {
+    return this.setPaused(name, true);
+  }
+
+  /**
+   * Re-enable a paused schedule from its next occurrence after `now` —
+   * occurrences missed while paused are skipped, not run on resume.
+   */
+  async resume(name, now = new Date()) {
+    return this.setPaused(name, false, now);
+  }
+
+  /** @returns {Promise<object|{error: string, status: number}>} the updated job_schedules row */
+  async setPaused(name, paused, now = new Date()) {
+    const schedule = this.schedules.get(name);
+    if (!schedule) {
+      return this.definitions.has(name)
+        ? { error: `Job '${name}' has no schedule`, status: 400 }
+        : { error: `Unknown job '${name}'`, status: 404 };
+    }
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE job_schedules
+      SET paused = :paused,
+          next_run_at = CASE WHEN :paused THEN next_run_at ELSE :nextRunAt END,
+          updated_at = NOW()
+      WHERE name = :name
+      RETURNING name, cron_expression, timezone, next_run_at, paused, last_enqueued_at
+    `, {
+      replacements: {
+        name,
+        paused,
+        nextRunAt: nextCronTime(schedule.cronExpression, now, schedule.timezone).toISOString()
+      }
+    });
+    if (rows.length === 0) return { error: `Schedule for '${name}' not synced yet`, status: 409 };
+    return rows[0];
+  }
+
+  async logError(jobName, error) {
+    if (this.cronMonitor) await this.cronMonitor.logError(jobName, error);
+  }
+}
+
+module.exports = JobQueue;
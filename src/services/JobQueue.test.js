@@ -0,0 +1,295 @@
+// src/services/JobQueue.test.js
+//
+// Durable job queue (V3.19.0): enqueue with unique keys and delayed run_at,
+// claim + visibility timeout, retries with exponential backoff, deferral,
+// schedule sync / compare-and-set enqueue, concurrency slots, and the
+// DistributedScheduler scrape plan on top of it.
+// V3.20.0: job-scoped log capture, admin console (list / run now / dry run /
+// pause / resume), dry-run prune and scrape plan.
+// Lease heartbeat keeps long jobs claimed; a stopped scheduler defers its slots.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/JobQueue.test.js
+
+const JobQueue = require('./JobQueue');
+const { initScheduler } = require('./DistributedScheduler');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const lastCall = (db, re) => [...db.calls].reverse().find(c => re.test(c.sql));
+
+function queue(db, options = {}) {
+  const errors = [];
+  const cronMonitor = { logError: async (name, err) => { errors.push([name, err.message]); } };
+  return { q: new JobQueue(db, quietLogger, { cronMonitor, workerId: 'w1', ...options }), errors };
+}
+
+const job = (overrides = {}) => ({ id: '7', name: 'work', payload: { n: 1 }, attempts: 1, max_attempts: 3, backoff_seconds: 60, ...overrides });
+
+(async () => {
+  try {
+    console.log('\nBackoff + definitions');
+    eq([1, 2, 3, 4].map(a => JobQueue.backoffSeconds(60, a)), [60, 120, 240, 480], 'doubles per attempt');
+    eq(JobQueue.backoffSeconds(3600, 10), 86400, 'capped at a day');
+    let t = queue(fakeSequelize(() => null));
+    try { t.q.schedule('nope', '* * * * *'); fail('schedule needs a definition', 'no throw'); } catch (e) { pass('schedule needs a definition'); }
+    t.q.define('work', async () => ({}));
+    try { t.q.schedule('work', 'every day'); fail('bad cron rejected', 'no throw'); } catch (e) { pass('bad cron rejected'); }
+
+    console.log('\nEnqueue');
+    let db = fakeSequelize((sql) => (/INSERT INTO jobs/.test(sql) ? [[{ id: '1' }]] : null));
+    t = queue(db);
+    t.q.define('work', async () => ({}), { maxAttempts: 3, backoffSeconds: 30, timeoutSeconds: 60 });
+    const runAt = new Date('2026-10-19T15:00:00Z');
+    eq(await t.q.enqueue('work', { n: 1 }, { runAt, uniqueKey: 'work:1' }), { id: '1', duplicate: false }, 'inserted');
+    const ins = db.calls[0].opts.replacements;
+    eq([ins.payload, ins.runAt, ins.uniqueKey, ins.maxAttempts, ins.backoffSeconds, ins.timeoutSeconds],
+      ['{"n":1}', '2026-10-19T15:00:00.000Z', 'work:1', 3, 30, 60], 'definition defaults + delayed run_at');
+    eq(/ON CONFLICT \(unique_key\) DO NOTHING/.test(db.calls[0].sql), true, 'unique key conflict is a no-op');
+    await t.q.enqueue('work', {}, { maxAttempts: 1 });
+    eq([db.calls[1].opts.replacements.runAt, db.calls[1].opts.replacements.maxAttempts], [null, 1], 'no run_at → now; per-call override');
+    db = fakeSequelize(() => [[]]);
+    eq(await queue(db).q.enqueue('work', {}, { uniqueKey: 'work:1' }), { id: null, duplicate: true }, 'duplicate reported');
+
+    console.log('\nClaim');
+    db = fakeSequelize((sql) => (/UPDATE jobs/.test(sql) ? [[job()]] : null));
+    t = queue(db);
+    eq(await t.q.claim(2), [], 'nothing defined → nothing claimed');
+    t.q.define('work', async () => ({}));
+    eq((await t.q.claim(2)).length, 1, 'claimed');
+    const claim = db.calls[0];
+    eq([claim.opts.replacements.names, claim.opts.replacements.limit, claim.opts.replacements.workerId], [['work'], 2, 'w1'], 'only defined names, up to free slots');
+    eq(/FOR UPDATE SKIP LOCKED/.test(claim.sql), true, 'SKIP LOCKED');
+    eq(/status = 'running' AND locked_until < NOW\(\) AND attempts < max_attempts/.test(claim.sql), true, 'expired claims are reclaimed while attempts remain');
+    eq(/locked_until = NOW\(\) \+ make_interval\(secs => timeout_seconds\)/.test(claim.sql), true, 'visibility timeout from the row');
+
+    db = fakeSequelize((sql) => (/SET status = 'failed', last_error = 'Visibility/.test(sql) ? [[{ id: '9', name: 'work' }]] : null));
+    t = queue(db);
+    eq(await t.q.failExpired(), 1, 'expired last attempt failed');
+    eq(t.errors, [['work', 'Job #9 timed out (visibility timeout expired)']], 'timeout logged to cron_error_log');
+
+    console.log('\nRun outcomes');
+    db = fakeSequelize(() => null);
+    t = queue(db);
+    let seen = null;
+    t.q.define('work', async (payload, row) => { seen = [payload, row.id]; return { done: true }; });
+    eq(await t.q.runJob(job({ payload: '{"n":2}' })), 'succeeded', 'success');
+    eq(seen, [{ n: 2 }, '7'], 'handler gets parsed payload + row');
+    let settle = lastCall(db, /UPDATE jobs/);
+    eq(/status = 'succeeded', result = :result/.test(settle.sql), true, 'marked succeeded');
+    eq(/log = RIGHT\(COALESCE\(log \|\| chr\(10\), ''\) \|\| :log, :logMaxChars\)/.test(settle.sql), true, 'attempt log appended, capped');
+    eq(settle.opts.replacements.result, '{"done":true}', 'result stored');
+    eq(/WHERE id = :id AND status = 'running' AND locked_by = :workerId AND attempts = :attempts/.test(settle.sql), true, 'only while still holding the claim');
+
+    t.q.define('work', async () => { throw new Error('boom'); });
+    eq(await t.q.runJob(job({ attempts: 2 })), 'retrying', 'attempts left → retrying');
+    settle = lastCall(db, /UPDATE jobs/);
+    eq([/status = 'queued', run_at = NOW\(\) \+ make_interval/.test(settle.sql), settle.opts.replacements.delaySeconds, settle.opts.replacements.lastError],
+      [true, 120, 'boom'], 're-queued with backoff');
+    eq(await t.q.runJob(job({ attempts: 3 })), 'failed', 'last attempt → failed');
+    eq(/status = 'failed', last_error = :lastError/.test(lastCall(db, /UPDATE jobs/).sql), true, 'marked failed');
+    eq(t.errors.length, 2, 'each failed attempt logged');
+
+    t.q.define('work', async (payload, row) => { row.logger.info('fetched', { rows: 3 }); row.logger.warn(new Error('slow page')); return {}; });
+    await t.q.runJob(job({ payload: { dryRun: true } }));
+    const log = lastCall(db, /UPDATE jobs/).opts.replacements.log.split('\n');
+    eq(log[0], '--- attempt 1/3 on w1 (dry run)', 'log opens with the attempt header');
+    eq([/ INFO fetched \{"rows":3\}$/.test(log[1]), / WARN slow page$/.test(log[2]), /INFO \[JobQueue\] work — success/.test(log[3])],
+      [true, true, true], 'handler lines + outcome line captured');
+    t.q.define('work', async (payload, row) => { for (let i = 0; i < 500; i++) row.logger.info(`line ${i}`); return {}; });
+    await t.q.runJob(job());
+    eq(lastCall(db, /UPDATE jobs/).opts.replacements.log.split('\n').length, 201, 'log lines capped per attempt');
+
+    t.q.define('work', async () => JobQueue.defer(90 * 1000, 'spacing'));
+    eq(await t.q.runJob(job()), 'deferred', 'deferred');
+    settle = lastCall(db, /UPDATE jobs/);
+    eq([/attempts = attempts - 1/.test(settle.sql), settle.opts.replacements.delaySeconds], [true, 90], 'deferral re-queued without spending an attempt');
+
+    console.log('\nLease heartbeat');
+    let alive = true;
+    db = fakeSequelize((sql) => (/SET locked_until = NOW\(\) \+ make_interval/.test(sql) ? [alive ? [{ id: '7' }] : []] : null));
+    t = queue(db);
+    const beats = () => db.calls.filter(c => /SET locked_until = NOW\(\) \+ make_interval/.test(c.sql)).length;
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+    t.q.define('work', async () => { await sleep(2300); return {}; });
+    eq(await t.q.runJob(job({ timeout_seconds: 3 })), 'succeeded', 'job longer than two heartbeats succeeds');
+    eq(beats(), 2, 'lease extended every third of timeoutSeconds while running');
+    eq(/WHERE id = :id AND status = 'running' AND locked_by = :workerId AND attempts = :attempts/.test(lastCall(db, /SET locked_until/).sql), true, 'only our own claim is extended');
+    await sleep(1200);
+    eq(beats(), 2, 'heartbeat stops with the job');
+    db.calls.length = 0;
+    alive = false;
+    const slow = t.q.runJob(job({ timeout_seconds: 3 }));
+    await slow;
+    eq(beats(), 1, 'lost claim stops the heartbeat');
+
+
+    db = fakeSequelize(() => null);
+    t = queue(db);
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    await t.q.syncSchedules(new Date('2026-10-19T12:00:00Z'));
+    const sync = db.calls[0];
+    eq([sync.opts.replacements.name, sync.opts.replacements.nextRunAt], ['nightly', '2026-10-20T03:31:00.000Z'], 'next run computed in ET');
+    eq(/THEN job_schedules.next_run_at ELSE EXCLUDED.next_run_at END/.test(sync.sql), true, 'unchanged expression keeps a pending run');
+    eq(/paused/.test(sync.sql), false, 'pause flag left alone');
+
+    const dueAt = new Date('2026-10-20T03:31:00Z');
+    db = fakeSequelize((sql) => {
+      if (/SELECT name, next_run_at FROM job_schedules/.test(sql)) return [[{ name: 'nightly', next_run_at: dueAt }]];
+      if (/UPDATE job_schedules/.test(sql)) return [[{ name: 'nightly' }]];
+      if (/INSERT INTO jobs/.test(sql)) return [[{ id: '5' }]];
+      return null;
+    });
+    t = queue(db);
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    eq(await t.q.enqueueDueSchedules(new Date('2026-10-20T03:31:04Z')), 1, 'due schedule enqueued');
+    const cas = lastCall(db, /UPDATE job_schedules/);
+    eq([cas.opts.replacements.dueAt, cas.opts.replacements.nextRunAt], ['2026-10-20T03:31:00.000Z', '2026-10-21T03:31:00.000Z'], 'advanced with compare-and-set');
+    eq(lastCall(db, /INSERT INTO jobs/).opts.replacements.uniqueKey, 'nightly@2026-10-20T03:31:00.000Z', 'occurrence key');
+    eq(/paused = false/.test(db.calls[0].sql), true, 'paused schedules skipped');
+
+    db = fakeSequelize((sql) => (/SELECT name, next_run_at FROM job_schedules/.test(sql) ? [[{ name: 'nightly', next_run_at: dueAt }]] : null));
+    t = queue(db);
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    eq(await t.q.enqueueDueSchedules(), 0, 'another instance won the occurrence');
+    eq(db.calls.some(c => /INSERT INTO jobs/.test(c.sql)), false, 'loser does not enqueue');
+
+    console.log('\nPoll');
+    let release;
+    const gate = new Promise(r => { release = r; });
+    db = fakeSequelize((sql, opts) => {
+      if (/UPDATE jobs SET status = 'running'/.test(sql.replace(/\s+/g, ' '))) {
+        return [Array.from({ length: opts.replacements.limit }, (_, i) => job({ id: String(i + 1) }))];
+      }
+      return null;
+    });
+    t = queue(db, { concurrency: 2 });
+    let started = 0;
+    t.q.define('work', async () => { started++; await gate; return {}; });
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    eq(await t.q.poll(), { enqueued: 0, claimed: 2 }, 'claims up to concurrency');
+    eq(db.calls.filter(c => /INSERT INTO job_schedules/.test(c.sql)).length, 1, 'schedules synced on first poll');
+    await t.q.poll();
+    eq([lastCall(db, /SET status = 'running'/).opts.replacements.limit, started], [2, 2], 'no free slots → nothing claimed');
+    eq(db.calls.filter(c => /INSERT INTO job_schedules/.test(c.sql)).length, 1, 'synced once');
+    release();
+    await t.q.stop();
+    eq(t.q.active.size, 0, 'stop waits for in-flight jobs');
+
+    db = fakeSequelize(() => { throw new Error('relation "job_schedules" does not exist'); });
+    t = queue(db);
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    eq([await t.q.poll(), t.q.schedulesSynced], [{ enqueued: 0, claimed: 0 }, false], 'before migrations: quiet no-op, sync retried next poll');
+
+    console.log('\nDistributed scrape plan');
+    const suppliers = [{ id: '11111111-1111-1111-1111-111111111111', name: 'A Oil' }, { id: '22222222-2222-2222-2222-222222222222', name: 'B Oil' }];
+    let queuedKeys = [];
+    db = fakeSequelize((sql) => {
+      if (/FROM suppliers/.test(sql)) return [suppliers];
+      if (/SELECT unique_key FROM jobs/.test(sql)) return [queuedKeys];
+      if (/INSERT INTO jobs/.test(sql)) return [[{ id: '1' }]];
+      return null;
+    });
+    t = queue(db);
+    const scheduler = initScheduler({ sequelize: db, jobQueue: t.q, logger: quietLogger, shadowMode: true });
+    eq([t.q.definitions.has('supplier-scrape'), t.q.schedules.get('scrape-plan').cronExpression], [true, '0 7-17 * * *'], 'scrape jobs + hourly plan registered');
+    await scheduler.start();
+    const inserts = db.calls.filter(c => /INSERT INTO jobs/.test(c.sql)).map(c => c.opts.replacements);
+    eq(inserts.length, 2, 'one slot per supplier');
+    const key = inserts.find(r => JSON.parse(r.payload).supplierName === 'A Oil');
+    eq(key.uniqueKey, `supplier-scrape:${suppliers[0].id}:${key.runAt.slice(0, 10)}`, 'keyed by supplier + day');
+    eq(new Date(key.runAt) > new Date(), true, 'slot in the future');
+    const ctx = { logger: quietLogger };
+    eq(await t.q.definitions.get('supplier-scrape').handler({ supplierId: suppliers[0].id, supplierName: 'A Oil' }, ctx), { skipped: 'shadow mode' }, 'shadow mode scrape is a no-op');
+
+    queuedKeys = [{ unique_key: key.uniqueKey }];
+    const before = db.calls.length;
+    eq(await t.q.definitions.get('scrape-plan').handler({ dryRun: true }, ctx), { suppliers: 2, wouldEnqueue: 1, dryRun: true }, 'dry-run plan counts new slots');
+    eq(db.calls.slice(before).some(c => /INSERT INTO jobs/.test(c.sql)), false, 'dry-run plan enqueues nothing');
+    eq(t.q.definitions.get('scrape-plan').dryRun, true, 'plan supports dry runs');
+
+    scheduler.stop();
+    const stopped = await t.q.definitions.get('supplier-scrape').handler({ supplierId: suppliers[0].id }, ctx);
+    eq([stopped.ms, stopped.reason], [10 * 60 * 1000, 'scheduler stopped'], 'stopped instance defers claimed slots');
+    eq(await t.q.runJob(job({ name: 'supplier-scrape', payload: { supplierId: suppliers[0].id } })), 'deferred', 'the day\'s slot is re-queued, not recorded as succeeded');
+    eq(initScheduler({ sequelize: db, logger: quietLogger }), null, 'needs a job queue');
+
+    console.log('\nJob console');
+    db = fakeSequelize((sql) => {
+      if (/FROM job_schedules/.test(sql)) return [[{ name: 'nightly', cron_expression: '31 23 * * *', timezone: 'America/New_York', next_run_at: '2026-10-20T03:31:00.000Z', paused: true, last_enqueued_at: null }]];
+      if (/ROW_NUMBER\(\) OVER \(PARTITION BY name/.test(sql)) {
+        return [[{ id: '9', name: 'nightly', status: 'failed', attempts: 2, max_attempts: 2, started_at: 's', finished_at: 'f', last_error: 'boom', duration_ms: 1200, dry_run: false, manual: true }]];
+      }
+      if (/COUNT\(\*\) FILTER/.test(sql)) return [[{ name: 'work', queued: 3, running: 1 }]];
+      if (/FROM cron_error_log/.test(sql)) return [[{ service: 'nightly', message: 'boom', created_at: 'c' }]];
+      return null;
+    });
+    t = queue(db);
+    t.q.define('work', async () => ({}), { dryRun: true });
+    t.q.define('nightly', async () => ({}), { maxAttempts: 2 }).schedule('nightly', '31 23 * * *');
+    const jobs = await t.q.listJobs();
+    eq(jobs.map(j => j.name), ['nightly', 'work'], 'every defined job, by name');
+    eq(jobs[0].schedule, { cron: '31 23 * * *', timezone: 'America/New_York', nextRunAt: '2026-10-20T03:31:00.000Z', paused: true, lastEnqueuedAt: null }, 'schedule + pause state');
+    eq([jobs[0].lastRuns[0].status, jobs[0].lastRuns[0].durationMs, jobs[0].lastRuns[0].error, jobs[0].lastRuns[0].manual], ['failed', 1200, 'boom', true], 'last runs with duration + error');
+    eq(jobs[0].recentErrors, [{ message: 'boom', createdAt: 'c' }], 'cron_error_log entries per job');
+    eq([jobs[1].schedule, jobs[1].queued, jobs[1].running, jobs[1].dryRun, jobs[1].lastRuns], [null, 3, 1, true, []], 'unscheduled job: depth + dry-run support');
+    eq(db.calls.find(c => /FROM cron_error_log/.test(c.sql)).opts.replacements.names, ['nightly', 'work'], 'errors looked up by job name');
+
+    db = fakeSequelize((sql) => (/INSERT INTO jobs/.test(sql) ? [[{ id: '12' }]] : null));
+    t = queue(db);
+    t.q.define('work', async () => ({}), { dryRun: true });
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *', { payload: { region: 'ne' } });
+    const at = new Date('2026-10-19T14:05:37Z');
+    eq(await t.q.runNow('nope'), { error: "Unknown job 'nope'", status: 404 }, 'unknown job → 404');
+    eq(await t.q.runNow('nightly', { dryRun: true }), { error: "Job 'nightly' does not support dry runs", status: 400 }, 'dry run needs support');
+    eq(await t.q.runNow('nightly', { payload: { force: true }, now: at }), { id: '12', duplicate: false }, 'run now enqueued');
+    let ins2 = lastCall(db, /INSERT INTO jobs/).opts.replacements;
+    eq([ins2.payload, ins2.uniqueKey, ins2.runAt], ['{"region":"ne","force":true}', 'nightly@manual:2026-10-19T14:05:00.000Z', null], 'schedule payload + overrides, keyed per minute, due now');
+    await t.q.runNow('work', { dryRun: true, now: at });
+    ins2 = lastCall(db, /INSERT INTO jobs/).opts.replacements;
+    eq([ins2.payload, ins2.uniqueKey], ['{"dryRun":true}', 'work@dry-run:2026-10-19T14:05:00.000Z'], 'dry run flagged in payload, own key');
+
+    db = fakeSequelize((sql, opts) => (/UPDATE job_schedules/.test(sql) ? [[{ name: opts.replacements.name, paused: opts.replacements.paused }]] : null));
+    t = queue(db);
+    t.q.define('work', async () => ({}));
+    t.q.define('nightly', async () => ({})).schedule('nightly', '31 23 * * *');
+    eq(await t.q.pause('nightly'), { name: 'nightly', paused: true }, 'paused');
+    eq(/next_run_at = CASE WHEN :paused THEN next_run_at ELSE :nextRunAt END/.test(lastCall(db, /UPDATE job_schedules/).sql), true, 'pause keeps next_run_at');
+    await t.q.resume('nightly', new Date('2026-10-25T12:00:00Z'));
+    const resumed = lastCall(db, /UPDATE job_schedules/).opts.replacements;
+    eq([resumed.paused, resumed.nextRunAt], [false, '2026-10-26T03:31:00.000Z'], 'resume restarts from the next occurrence');
+    eq(await t.q.pause('work'), { error: "Job 'work' has no schedule", status: 400 }, 'unscheduled job can\'t be paused');
+    eq((await t.q.pause('nope')).status, 404, 'unknown job → 404');
+    t.q.sequelize = fakeSequelize(() => null);
+    eq((await t.q.pause('nightly')).status, 409, 'schedule not synced yet → 409');
+
+    db = fakeSequelize((sql) => (/SELECT COUNT\(\*\)::integer AS count FROM jobs/.test(sql) ? [[{ count: 40 }]] : null));
+    t = queue(db);
+    eq(await t.q.prune({ dryRun: true }), 40, 'dry-run prune counts');
+    eq(db.calls.some(c => /DELETE FROM jobs/.test(c.sql)), false, 'dry-run prune deletes nothing');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+})();
@@ -0,0 +1,362 @@
+// src/services/NotificationService.js
+// Notification dispatcher (V3.18.0) — the one way email and SMS leave the
+// server. Senders (price alerts, tank reminders, outreach, sniper, coverage
+// reports, supplier claims, lead/price SMS) build a message and call send():
+//
+//   { channel: 'email' | 'sms', to, stream, source, idempotencyKey, dryRun,
+//     email: from, replyTo, bcc, subject, html, text  (or template + data)
+//     sms:   body }
+//
+// Streams group messages for suppression: email 'transactional' (default),
+// 'alerts', 'outreach', 'admin'; SMS streams are the Twilio number ('lead',
+// 'price'). notification_suppressions blocks one stream or '*' for an address.
+//
+// Every message gets a notification_outbox row. Retryable provider errors
+// (429 / 5xx / network) leave it 'retrying' for processOutbox() — every 5
+// minutes from server.js — with 1m/5m/30m/2h backoff up to max_attempts
+// (email 5, SMS 1 since SMS callers run their own fallbacks).
+//
+// Transport: Resend/Twilio only when RAILWAY_ENVIRONMENT or NODE_ENV=production
+// (NOTIFY_TRANSPORT=live|sink overrides); otherwise — and for dryRun messages —
+// the sink channel logs instead, so a local run never reaches a provider.
+// Without a database (tests, scripts) send() still works, minus outbox/suppression.
+
+const { extractLast10 } = require('../utils/phone');
+const { renderNamedTemplate } = require('./notificationTemplates');
+const { SMS_FROM_ENV, createResendChannel, createTwilioChannel, createSinkChannel } = require('./notificationChannels');
+
+const DEFAULT_FROM = 'Leo from HomeHeat <hello@gethomeheat.com>';
+const CHANNELS = ['email', 'sms'];
+const DEFAULT_MAX_ATTEMPTS = { email: 5, sms: 1 };
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const OUTBOX_BATCH = 100;
+const STALE_SENDING_MINUTES = 15;     // a 'sending' row this old was orphaned by a restart
+const OUTBOX_RETENTION_DAYS = 30;
+
+class NotificationService {
+  /**
+   * @param {object|null} sequelize - null disables the outbox and suppression list
+   * @param {object} [options]
+   * @param {object} [options.channels] - { resend, twilio, sink } adapter overrides (tests)
+   * @param {string} [options.transport] - 'live' | 'sink'; default from env
+   */
+  constructor(sequelize, logger = console, { channels = {}, transport = null } = {}) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.transport = transport || NotificationService.resolveTransport();
+    this.channels = {
+      resend: channels.resend || createResendChannel(),
+      twilio: channels.twilio || createTwilioChannel(),
+      sink: channels.sink || createSinkChannel({ logger })
+    };
+  }
+
+  /** 'live' in production, 'sink' everywhere else unless NOTIFY_TRANSPORT says otherwise */
+  static resolveTransport(env = process.env) {
+    if (env.NOTIFY_TRANSPORT === 'live' || env.NOTIFY_TRANSPORT === 'sink') return env.NOTIFY_TRANSPORT;
+    return env.RAILWAY_ENVIRONMENT || env.NODE_ENV === 'production' ? 'live' : 'sink';
+  }
+
+  /** Suppression/outbox key for a recipient: lowercased email or last 10 phone digits */
+  static normalizeAddress(channel, address) {
+    if (!address) return null;
+    if (channel === 'sms') return extractLast10(String(address));
+    const email = String(address).trim().toLowerCase();
+    return email.includes('@') ? email : null;
+  }
+
+  /** Minutes until retry N+1 after `attempts` tries */
+  static retryDelayMinutes(attempts) {
+    return RETRY_DELAYS_MINUTES[Math.min(Math.max(attempts, 1), RETRY_DELAYS_MINUTES.length) - 1];
+  }
+
+  /**
+   * Validate a send() message and resolve template, defaults and address
+   * @returns {{message: object, idempotencyKey: string|null, maxAttempts: number, dryRun: boolean}|{error: string}}
+   */
+  static prepare(input = {}) {
+    const { channel } = input;
+    if (!CHANNELS.includes(channel)) return { error: `Unknown channel: ${channel}` };
+
+    const to = NotificationService.normalizeAddress(channel, input.to);
+    if (!to) return { error: `No valid ${channel} recipient` };
+
+    const stream = input.stream || (channel === 'sms' ? 'lead' : 'transactional');
+    let message;
+    if (channel === 'sms') {
+      if (!SMS_FROM_ENV[stream]) return { error: `Unknown SMS stream: ${stream}` };
+      if (!input.body) return { error: 'SMS body is required' };
+      message = { channel, stream, to, source: input.source || null, body: input.body };
+    } else {
+      let content = { subject: input.subject, html: input.html, text: input.text };
+      if (input.template) {
+        try {
+          const rendered = renderNamedTemplate(input.template, input.data);
+          content = { subject: input.subject || rendered.subject, html: rendered.html, text: rendered.text };
+        } catch (err) {
+          return { error: err.message };
+        }
+      }
+      if (!content.subject || !(content.html || content.text)) return { error: 'Email subject and html/text are required' };
+      message = {
+        channel, stream, to, source: input.source || null,
+        from: input.from || process.env.EMAIL_FROM || DEFAULT_FROM,
+        replyTo: input.replyTo || null,
+        bcc: input.bcc || null,
+        template: input.template || null,
+        ...content
+      };
+    }
+
+    return {
+      message,
+      idempotencyKey: input.idempotencyKey ? String(input.idempotencyKey).slice(0, 150) : null,
+      maxAttempts: input.maxAttempts || DEFAULT_MAX_ATTEMPTS[channel],
+      dryRun: !!input.dryRun
+    };
+  }
+
+  /** Adapter for a channel under the current transport; dry runs always go to the sink */
+  adapterFor(channel, dryRun = false) {
+    if (dryRun || this.transport !== 'live') return this.channels.sink;
+    return channel === 'sms' ? this.channels.twilio : this.channels.resend;
+  }
+
+  /**
+   * Send (or queue) one email / SMS
+   * @returns {Promise<object>} { ok, accepted, status, id, providerId, error, rejected }
+   *   ok        went out on this call
+   *   accepted  sent, queued for retry, or already sent under this idempotency key
+   *   status    'sent' | 'retrying' | 'duplicate' | 'suppressed' | 'failed'
+   */
+  async send(input) {
+    const prepared = NotificationService.prepare(input);
+    if (prepared.error) {
+      this.logger.warn(`[Notify] Not sent (${(input && input.source) || 'unknown'}): ${prepared.error}`);
+      return { ok: false, accepted: false, status: 'failed', error: prepared.error };
+    }
+    const { message, idempotencyKey, maxAttempts, dryRun } = prepared;
+    const adapter = this.adapterFor(message.channel, dryRun);
+
+    if (await this.isSuppressed(message.channel, message.to, message.stream)) {
+      this.logger.info(`[Notify] Suppressed ${message.channel}/${message.stream} to ${message.to} (${message.source || 'unknown'})`);
+      await this.recordOutbox(message, adapter.name, { status: 'suppressed', maxAttempts });
+      return { ok: false, accepted: false, status: 'suppressed' };
+    }
+
+    const row = await this.recordOutbox(message, adapter.name, { status: 'sending', maxAttempts, idempotencyKey, dryRun });
+    if (row && row.duplicate) {
+      this.logger.info(`[Notify] Duplicate ${idempotencyKey} (${row.status}), not re-sent`);
+      return {
+        ok: false,
+        accepted: ['sent', 'sending', 'retrying'].includes(row.status),
+        status: 'duplicate',
+        id: row.id,
+        providerId: row.provider_id
+      };
+    }
+
+    const id = row ? row.id : null;
+    const result = await adapter.send(message, { idempotencyKey: idempotencyKey || id });
+    return this.settle({ id, attempts: 1, maxAttempts }, message, result);
+  }
+
+  /**
+   * Insert the outbox row. Returns { id }, { duplicate, id, status, provider_id }
+   * for a known idempotency key, or null without a usable database.
+   */
+  async recordOutbox(message, provider, { status, maxAttempts, idempotencyKey = null, dryRun = false }) {
+    if (!this.sequelize) return null;
+    try {
+      const [rows] = await this.sequelize.query(`
+        INSERT INTO notification_outbox
+          (channel, provider, stream, source, recipient, payload, status, attempts, max_attempts,
+           next_attempt_at, idempotency_key)
+        VALUES (:channel, :provider, :stream, :source, :recipient, :payload, :status,
+                :attempts, :maxAttempts, NOW(), :idempotencyKey)
+        ON CONFLICT (idempotency_key) DO NOTHING
+        RETURNING id
+      `, {
+        replacements: {
+          channel: message.channel,
+          provider,
+          stream: message.stream,
+          source: message.source,
+          recipient: message.to,
+          payload: JSON.stringify({ ...message, dryRun }),
+          status,
+          attempts: status === 'sending' ? 1 : 0,
+          maxAttempts,
+          idempotencyKey
+        }
+      });
+      if (rows.length > 0) return { id: rows[0].id };
+
+      const [[existing]] = await this.sequelize.query(`
+        SELECT id, status, provider_id FROM notification_outbox WHERE idempotency_key = :idempotencyKey
+      `, { replacements: { idempotencyKey } });
+      return { duplicate: true, ...existing };
+    } catch (err) {
+      this.logger.warn(`[Notify] Outbox unavailable, sending without it: ${err.message}`);
+      return null;
+    }
+  }
+
+  /** Record a provider result on the outbox row and turn it into send()'s return value */
+  async settle({ id, attempts, maxAttempts }, message, result) {
+    const label = `${message.channel}/${message.stream} to ${message.to} (${message.source || 'unknown'})`;
+
+    if (result.ok) {
+      this.logger.info(`[Notify] Sent ${label}: ${result.providerId}`);
+      await this.updateOutbox(id, `status = 'sent', provider_id = :providerId, sent_at = NOW(), last_error = NULL`,
+        { providerId: result.providerId || null });
+      return { ok: true, accepted: true, status: 'sent', id, providerId: result.providerId };
+    }
+
+    if (result.optedOut) {
+      await this.suppress(message.channel, message.to, { stream: message.stream, reason: 'stop', source: 'provider' });
+    }
+
+    if (result.retryable && id && attempts < maxAttempts) {
+      const delay = NotificationService.retryDelayMinutes(attempts);
+      this.logger.warn(`[Notify] ${label} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delay}m: ${result.error}`);
+      await this.updateOutbox(id, `status = 'retrying', last_error = :error,
+        next_attempt_at = NOW() + make_interval(mins => :delay)`, { error: result.error, delay });
+      return { ok: false, accepted: true, status: 'retrying', id, error: result.error };
+    }
+
+    this.logger.error(`[Notify] Failed ${label}: ${result.error}`);
+    await this.updateOutbox(id, `status = 'failed', last_error = :error`, { error: result.error || null });
+    return { ok: false, accepted: false, status: 'failed', id, error: result.error, rejected: !!result.rejected };
+  }
+
+  async updateOutbox(id, setSql, replacements) {
+    if (!this.sequelize || !id) return;
+    try {
+      await this.sequelize.query(`
+        UPDATE notification_outbox SET ${setSql}, updated_at = NOW() WHERE id = :id
+      `, { replacements: { ...replacements, id } });
+    } catch (err) {
+      this.logger.warn(`[Notify] Outbox update failed for ${id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retry due 'retrying' rows (and 'sending' rows orphaned by a restart).
+   * Rows are claimed with SKIP LOCKED so overlapping instances don't double-send.
+   */
+  async processOutbox({ limit = OUTBOX_BATCH } = {}) {
+    const result = { claimed: 0, sent: 0, retrying: 0, failed: 0, suppressed: 0 };
+    if (!this.sequelize) return result;
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE notification_outbox
+      SET status = 'sending', attempts = attempts + 1, next_attempt_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM notification_outbox
+        WHERE (status = 'retrying' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND attempts < max_attempts
+               AND next_attempt_at < NOW() - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+        ORDER BY next_attempt_at
+        LIMIT :limit
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, channel, stream, recipient, payload, attempts, max_attempts, idempotency_key
+    `, { replacements: { limit } });
+    result.claimed = rows.length;
+
+    for (const row of rows) {
+      const { dryRun, ...message } = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+
+      if (await this.isSuppressed(row.channel, row.recipient, row.stream)) {
+        await this.updateOutbox(row.id, `status = 'suppressed'`, {});
+        result.suppressed++;
+        continue;
+      }
+
+      const sendResult = await this.adapterFor(row.channel, dryRun)
+        .send(message, { idempotencyKey: row.idempotency_key || row.id });
+      const { status } = await this.settle({ id: row.id, attempts: row.attempts, maxAttempts: row.max_attempts }, message, sendResult);
+      result[status]++;
+    }
+
+    return result;
+  }
+
+  /** Delete settled outbox rows older than the retention window */
+  async pruneOutbox(days = OUTBOX_RETENTION_DAYS) {
+    if (!this.sequelize) return 0;
+    const [rows] = await this.sequelize.query(`
+      DELETE FROM notification_outbox
+      WHERE created_at < NOW() - make_interval(days => :days)
+        AND status NOT IN ('sending', 'retrying')
+      RETURNING id
+    `, { replacements: { days } });
+    return rows.length;
+  }
+
+  /** True when the address is blocked for this stream (or every stream) */
+  async isSuppressed(channel, address, stream) {
+    if (!this.sequelize) return false;
+    try {
+      const [rows] = await this.sequelize.query(`
+        SELECT 1 FROM notification_suppressions
+        WHERE channel = :channel AND address = :address AND stream IN (:stream, '*')
+        LIMIT 1
+      `, { replacements: { channel, address: NotificationService.normalizeAddress(channel, address), stream } });
+      return rows.length > 0;
+    } catch (err) {
+      this.logger.warn(`[Notify] Suppression check failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Block an address for one stream ('*' = all)
+   * @param {string} reason - 'unsubscribe' | 'bounce' | 'complaint' | 'stop'
+   * @returns {Promise<boolean>} true when newly suppressed
+   */
+  async suppress(channel, address, { stream = '*', reason, source = null } = {}) {
+    const normalized = NotificationService.normalizeAddress(channel, address);
+    if (!this.sequelize || !normalized) return false;
+    const [rows] = await this.sequelize.query(`
+      INSERT INTO notification_suppressions (channel, address, stream, reason, source)
+      VALUES (:channel, :address, :stream, :reason, :source)
+      ON CONFLICT (channel, address, stream) DO NOTHING
+      RETURNING id
+    `, { replacements: { channel, address: normalized, stream, reason, source } });
+    if (rows.length > 0) this.logger.info(`[Notify] Suppressed ${channel}/${stream} for ${normalized} (${reason})`);
+    return rows.length > 0;
+  }
+
+  /** Lift a stream suppression (SMS START); bounces ('*') are left alone */
+  async unsuppress(channel, address, { stream }) {
+    const normalized = NotificationService.normalizeAddress(channel, address);
+    if (!this.sequelize || !normalized || !stream || stream === '*') return 0;
+    const [rows] = await this.sequelize.query(`
+      DELETE FROM notification_suppressions
+      WHERE channel = :channel AND address = :address AND stream = :stream
+      RETURNING id
+    `, { replacements: { channel, address: normalized, stream } });
+    return rows.length;
+  }
+}
+
+let instance = null;
+
+/** Create the shared dispatcher once the database is ready (server.js) */
+function initNotificationService(sequelize, logger = console, options = {}) {
+  instance = new NotificationService(sequelize, logger, options);
+  logger.info(`[Notify] Dispatcher initialized (transport: ${instance.transport})`);
+  return instance;
+}
+
+/** Shared dispatcher; before init (scripts, tests) a database-less one that still honors the transport */
+function getNotificationService() {
+  if (!instance) instance = new NotificationService(null, console);
+  return instance;
+}
+
+module.exports = NotificationService;
+module.exports.initNotificationService = initNotificationService;
+module.exports.getNotificationService = getNotificationService;
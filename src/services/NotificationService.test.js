@@ -0,0 +1,240 @@
+// src/services/NotificationService.test.js
+//
+// Notification dispatcher (V3.18.0): transport selection (a local run never
+// reaches a provider), templates, suppression, idempotency keys, outbox
+// retries with backoff, and the Resend / Twilio / sink adapters.
+// Fake sequelize, fake fetch and Twilio client; no DB or provider needed.
+//
+// Run: node src/services/NotificationService.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationService = require('./NotificationService');
+const { renderTemplate, renderNamedTemplate } = require('./notificationTemplates');
+const { createResendChannel, createTwilioChannel, createSinkChannel } = require('./notificationChannels');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+/** Adapter double: records messages, answers with `result` */
+function fakeChannel(name, result = { ok: true, providerId: `${name}-1` }) {
+  const channel = { name, sent: [] };
+  channel.send = async (message, opts) => { channel.sent.push({ message, opts }); return result; };
+  return channel;
+}
+
+function service(db, { transport = 'live', resend, twilio, sink } = {}) {
+  const channels = {
+    resend: resend || fakeChannel('resend'),
+    twilio: twilio || fakeChannel('twilio'),
+    sink: sink || fakeChannel('sink')
+  };
+  return { svc: new NotificationService(db, quietLogger, { channels, transport }), channels };
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const EMAIL = { channel: 'email', to: ' Home@Example.com ', subject: 'Hi', html: '<p>Hi</p>', source: 'test' };
+
+(async () => {
+  try {
+    console.log('\nTransport');
+    eq(NotificationService.resolveTransport({}), 'sink', 'local run → sink');
+    eq(NotificationService.resolveTransport({ NODE_ENV: 'production' }), 'live', 'production → live');
+    eq(NotificationService.resolveTransport({ RAILWAY_ENVIRONMENT: 'production' }), 'live', 'Railway → live');
+    eq(NotificationService.resolveTransport({ RAILWAY_ENVIRONMENT: 'production', NOTIFY_TRANSPORT: 'sink' }), 'sink', 'NOTIFY_TRANSPORT=sink wins');
+    eq(NotificationService.resolveTransport({ NOTIFY_TRANSPORT: 'live' }), 'live', 'NOTIFY_TRANSPORT=live wins');
+
+    console.log('\nAddresses and messages');
+    eq(NotificationService.normalizeAddress('email', ' A@B.com '), 'a@b.com', 'email lowercased');
+    eq(NotificationService.normalizeAddress('email', 'nope'), null, 'not an email');
+    eq(NotificationService.normalizeAddress('sms', '+1 (914) 555-1234'), '9145551234', 'phone → last 10');
+    eq(NotificationService.prepare({ channel: 'fax', to: 'x' }).error, 'Unknown channel: fax', 'unknown channel');
+    eq(NotificationService.prepare({ channel: 'sms', to: '9145551234', stream: 'alerts', body: 'x' }).error, 'Unknown SMS stream: alerts', 'SMS stream must be a Twilio number');
+    eq(NotificationService.prepare({ channel: 'sms', to: '9145551234' }).error, 'SMS body is required', 'SMS needs a body');
+    const prepared = NotificationService.prepare(EMAIL);
+    eq([prepared.message.stream, prepared.message.to, prepared.maxAttempts], ['transactional', 'home@example.com', 5], 'email defaults');
+    eq(NotificationService.prepare({ channel: 'sms', to: '9145551234', body: 'x' }).maxAttempts, 1, 'SMS is sent once');
+    eq([1, 2, 3, 4, 9].map(NotificationService.retryDelayMinutes), [1, 5, 30, 120, 120], 'backoff 1m/5m/30m/2h');
+
+    console.log('\nTemplates');
+    eq(renderTemplate('{{a}} {{{a}}} {{missing}}', { a: '<b>' }), '&lt;b&gt; <b> ', 'escaped, raw, missing');
+    const claim = renderNamedTemplate('claim-received', { supplierName: 'Joe\'s <Oil>' });
+    eq(claim.subject, 'Claim Received - Joe\'s <Oil>', 'subject is plain text');
+    eq(claim.html.includes('<strong>Joe&#39;s &lt;Oil&gt;</strong>'), true, 'name escaped in html');
+    const unknown = await service(null).svc.send({ ...EMAIL, template: 'nope' });
+    eq([unknown.status, unknown.error], ['failed', 'Unknown notification template: nope'], 'unknown template fails');
+
+    console.log('\nTransport routing (no database)');
+    let t = service(null, { transport: 'sink' });
+    let res = await t.svc.send(EMAIL);
+    eq([res.ok, res.status, t.channels.sink.sent.length, t.channels.resend.sent.length], [true, 'sent', 1, 0], 'sink transport never calls Resend');
+    t = service(null);
+    res = await t.svc.send({ channel: 'sms', to: '(914) 555-1234', body: 'Hello', stream: 'price' });
+    eq([res.providerId, t.channels.twilio.sent[0].message.to, t.channels.twilio.sent[0].message.stream], ['twilio-1', '9145551234', 'price'], 'live SMS via Twilio');
+    res = await t.svc.send({ ...EMAIL, dryRun: true });
+    eq([t.channels.sink.sent.length, t.channels.resend.sent.length], [1, 0], 'dryRun goes to the sink even live');
+
+    console.log('\nOutbox + suppression');
+    let db = fakeSequelize((sql) => {
+      if (/FROM notification_suppressions/.test(sql)) return [[]];
+      if (/INSERT INTO notification_outbox/.test(sql)) return [[{ id: 'ob-1' }]];
+      return null;
+    });
+    t = service(db);
+    res = await t.svc.send({ ...EMAIL, idempotencyKey: 'k-1' });
+    eq([res.status, res.id, res.accepted], ['sent', 'ob-1', true], 'sent and recorded');
+    eq(t.channels.resend.sent[0].opts, { idempotencyKey: 'k-1' }, 'caller key passed to provider');
+    const insert = db.calls.find(c => /INSERT INTO notification_outbox/.test(c.sql)).opts.replacements;
+    eq([insert.status, insert.attempts, insert.recipient, insert.idempotencyKey], ['sending', 1, 'home@example.com', 'k-1'], 'outbox row');
+    eq(/status = 'sent', provider_id = :providerId/.test(db.calls[db.calls.length - 1].sql), true, 'marked sent');
+
+    await service(db).svc.send(EMAIL);
+    eq(db.calls[db.calls.length - 2].opts.replacements.idempotencyKey, null, 'no key → NULL (never conflicts)');
+
+    db = fakeSequelize((sql) => (/FROM notification_suppressions/.test(sql) ? [[{ '?column?': 1 }]] : null));
+    t = service(db);
+    res = await t.svc.send({ ...EMAIL, stream: 'outreach' });
+    eq([res.status, res.accepted, t.channels.resend.sent.length], ['suppressed', false, 0], 'suppressed address not sent');
+    eq(db.calls[0].opts.replacements, { channel: 'email', address: 'home@example.com', stream: 'outreach' }, 'checked stream + *');
+    eq(db.calls[1].opts.replacements.status, 'suppressed', 'suppressed row kept for audit');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO notification_outbox/.test(sql)) return [[]];
+      if (/WHERE idempotency_key = :idempotencyKey/.test(sql)) return [[{ id: 'ob-0', status: 'sent', provider_id: 're_1' }]];
+      return null;
+    });
+    t = service(db);
+    res = await t.svc.send({ ...EMAIL, idempotencyKey: 'k-1' });
+    eq([res.status, res.accepted, res.providerId, t.channels.resend.sent.length], ['duplicate', true, 're_1', 0], 'same key → duplicate, not re-sent');
+
+    const retryDb = () => fakeSequelize((sql) => (/INSERT INTO notification_outbox/.test(sql) ? [[{ id: 'ob-2' }]] : null));
+    db = retryDb();
+    t = service(db, { resend: fakeChannel('resend', { ok: false, retryable: true, error: 'HTTP 503' }) });
+    res = await t.svc.send(EMAIL);
+    eq([res.ok, res.accepted, res.status], [false, true, 'retrying'], 'transient email error → retrying');
+    const retryUpdate = db.calls[db.calls.length - 1];
+    eq([/status = 'retrying'/.test(retryUpdate.sql), retryUpdate.opts.replacements.delay], [true, 1], 'retry in 1 minute');
+
+    db = retryDb();
+    t = service(db, { twilio: fakeChannel('twilio', { ok: false, retryable: true, error: 'HTTP 500' }) });
+    res = await t.svc.send({ channel: 'sms', to: '9145551234', body: 'x' });
+    eq(res.status, 'failed', 'SMS not retried (callers fall back)');
+
+    db = retryDb();
+    t = service(db, { resend: fakeChannel('resend', { ok: false, rejected: true, error: 'invalid' }) });
+    res = await t.svc.send(EMAIL);
+    eq([res.status, res.rejected], ['failed', true], '422 reported as rejected');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO notification_outbox/.test(sql)) return [[{ id: 'ob-3' }]];
+      if (/INSERT INTO notification_suppressions/.test(sql)) return [[{ id: 's-1' }]];
+      return null;
+    });
+    t = service(db, { twilio: fakeChannel('twilio', { ok: false, optedOut: true, error: 'unsubscribed' }) });
+    res = await t.svc.send({ channel: 'sms', to: '9145551234', body: 'x', stream: 'lead' });
+    const sup = db.calls.find(c => /INSERT INTO notification_suppressions/.test(c.sql));
+    eq([res.status, sup.opts.replacements.stream, sup.opts.replacements.reason], ['failed', 'lead', 'stop'], 'Twilio 21610 suppresses the lead stream');
+
+    db = { query: async (sql) => {
+      if (/INSERT INTO notification_outbox/.test(sql)) throw new Error('relation does not exist');
+      return [[]];
+    } };
+    t = service(db);
+    res = await t.svc.send(EMAIL);
+    eq([res.ok, res.id], [true, null], 'missing outbox table degrades to a direct send');
+
+    console.log('\nSuppression list');
+    db = fakeSequelize((sql) => (/INSERT INTO notification_suppressions/.test(sql) ? [[{ id: 's-2' }]] : null));
+    t = service(db);
+    eq(await t.svc.suppress('email', 'X@Y.com', { reason: 'bounce', source: 'resend-webhook' }), true, 'suppressed');
+    eq(db.calls[0].opts.replacements, { channel: 'email', address: 'x@y.com', stream: '*', reason: 'bounce', source: 'resend-webhook' }, 'bounce blocks every stream');
+    eq(await t.svc.unsuppress('email', 'x@y.com', { stream: '*' }), 0, 'START never lifts a bounce');
+    eq(await service(null).svc.suppress('sms', '9145551234', { stream: 'lead', reason: 'stop' }), false, 'no database → no-op');
+
+    console.log('\nOutbox retries');
+    const row = {
+      id: 'ob-9', channel: 'email', stream: 'admin', recipient: 'a@b.com', attempts: 2, max_attempts: 5, idempotency_key: null,
+      payload: { channel: 'email', stream: 'admin', to: 'a@b.com', subject: 'S', html: 'H', dryRun: false }
+    };
+    db = fakeSequelize((sql) => (/SET status = 'sending', attempts = attempts/.test(sql) ? [[row]] : null));
+    t = service(db);
+    res = await t.svc.processOutbox();
+    eq(res, { claimed: 1, sent: 1, retrying: 0, failed: 0, suppressed: 0 }, 'due row re-sent');
+    eq(/FOR UPDATE SKIP LOCKED/.test(db.calls[0].sql), true, 'rows claimed with SKIP LOCKED');
+    eq([t.channels.resend.sent[0].opts.idempotencyKey, 'dryRun' in t.channels.resend.sent[0].message], ['ob-9', false], 'outbox id as provider key; dryRun flag not sent');
+
+    db = fakeSequelize((sql) => (/SET status = 'sending', attempts = attempts/.test(sql) ? [[{ ...row, attempts: 5 }]] : null));
+    t = service(db, { resend: fakeChannel('resend', { ok: false, retryable: true, error: 'HTTP 429' }) });
+    res = await t.svc.processOutbox();
+    eq([res.failed, res.retrying], [1, 0], 'last attempt fails for good');
+
+    db = fakeSequelize((sql) => {
+      if (/SET status = 'sending', attempts = attempts/.test(sql)) return [[row]];
+      if (/FROM notification_suppressions/.test(sql)) return [[{ '?column?': 1 }]];
+      return null;
+    });
+    t = service(db);
+    res = await t.svc.processOutbox();
+    eq([res.suppressed, t.channels.resend.sent.length], [1, 0], 'bounced since → not retried');
+    eq((await service(null).svc.processOutbox()).claimed, 0, 'no database → nothing to do');
+
+    console.log('\nResend adapter');
+    let fetchCall = null;
+    const fetchReturning = (status, body) => async (url, opts) => { fetchCall = { url, opts }; return { ok: status < 300, status, json: async () => body }; };
+    let resend = createResendChannel({ apiKey: 'rk', fetchImpl: fetchReturning(200, { id: 're_9' }) });
+    const msg = { channel: 'email', to: 'a@b.com', from: 'F', subject: 'S', html: 'H', bcc: 'admin@x.com', replyTo: 'r@x.com' };
+    eq(await resend.send(msg, { idempotencyKey: 'k' }), { ok: true, providerId: 're_9' }, 'sent');
+    eq([fetchCall.opts.headers['Idempotency-Key'], JSON.parse(fetchCall.opts.body).bcc, JSON.parse(fetchCall.opts.body).reply_to], ['k', ['admin@x.com'], 'r@x.com'], 'key, bcc, reply_to');
+    resend = createResendChannel({ apiKey: 'rk', fetchImpl: fetchReturning(422, { name: 'validation_error', message: 'bad to' }) });
+    eq(await resend.send(msg), { ok: false, rejected: true, error: 'bad to' }, '422 → rejected');
+    resend = createResendChannel({ apiKey: 'rk', fetchImpl: fetchReturning(503, {}) });
+    eq((await resend.send(msg)).retryable, true, '503 → retryable');
+    resend = createResendChannel({ apiKey: 'rk', fetchImpl: fetchReturning(403, { message: 'forbidden' }) });
+    eq((await resend.send(msg)).retryable, false, '403 → permanent');
+    resend = createResendChannel({ apiKey: 'rk', fetchImpl: async () => { throw new Error('ECONNRESET'); } });
+    eq(await resend.send(msg), { ok: false, retryable: true, error: 'ECONNRESET' }, 'network error → retryable');
+    eq((await createResendChannel({ apiKey: '' }).send(msg)).error, 'RESEND_API_KEY not set', 'no key → not sent');
+
+    console.log('\nTwilio adapter');
+    process.env.TWILIO_LEAD_PHONE_NUMBER = '+19343484328';
+    const created = [];
+    const client = { messages: { create: async (m) => { created.push(m); return { sid: 'SM1' }; } } };
+    eq(await createTwilioChannel({ client }).send({ to: '9145551234', body: 'x', stream: 'lead' }), { ok: true, providerId: 'SM1' }, 'sent');
+    eq(created[0], { body: 'x', from: '+19343484328', to: '+19145551234' }, 'from the lead number, E.164 to');
+    const stopped = { messages: { create: async () => { throw Object.assign(new Error('unsubscribed'), { code: 21610, status: 400 }); } } };
+    eq(await createTwilioChannel({ client: stopped }).send({ to: '9145551234', body: 'x', stream: 'lead' }), { ok: false, optedOut: true, error: 'unsubscribed' }, '21610 → optedOut');
+    delete process.env.TWILIO_PHONE_NUMBER;
+    eq((await createTwilioChannel({ client }).send({ to: '9145551234', body: 'x', stream: 'price' })).error, 'No Twilio number for SMS stream \'price\'', 'unconfigured number → not sent');
+
+    console.log('\nSink adapter');
+    const file = path.join(os.tmpdir(), `notify-sink-${process.pid}.jsonl`);
+    const sink = createSinkChannel({ file, logger: quietLogger });
+    const sinkRes = await sink.send({ channel: 'sms', stream: 'lead', to: '9145551234', body: 'hello' }, { idempotencyKey: 'k' });
+    const line = JSON.parse(fs.readFileSync(file, 'utf8').trim());
+    eq([sinkRes.ok, line.body, line.idempotencyKey, line.providerId === sinkRes.providerId], [true, 'hello', 'k', true], 'message written as a JSON line');
+    fs.unlinkSync(file);
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+})();
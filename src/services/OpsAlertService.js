@@ -0,0 +1,427 @@
+// src/services/OpsAlertService.js
+// Ops alerting (V3.21.0) — turns detector output into incidents someone is
+// told about, instead of numbers that only show up when the Command Center is
+// open or the 6 AM email is read. The 'ops-alerts' job calls evaluate() every
+// 15 minutes; each rule runs its detector:
+//
+//   anomaly   CommandCenterService._getAnomalies — HDD-normalized traffic,
+//             supply, demand, scrape failures, conversion (24h vs 7-day)
+//   scraper   CronMonitor.checkScraperHealth on the latest scrape_runs row
+//
+// A detection is matched to the unresolved ops_alerts row with the same
+// fingerprint. New → opened and notified. Still firing → last_seen_at and
+// occurrences bumped; re-notified if its severity rose, or escalated (once)
+// when it has stayed 'open' — not acknowledged — past the rule's
+// escalateAfterMinutes. An unresolved incident whose detector ran without it
+// is resolved ('cleared') with a resolution notice. A detector that throws, or
+// has nothing to judge (no scrape in 26h), resolves nothing.
+//
+// Notices go to OPS_ALERT_WEBHOOK_URL as Slack incoming-webhook JSON
+// ({ text, attachments }, also accepted by Mattermost/Discord /slack) and —
+// for high/critical or escalated incidents — by email to OPS_ALERT_EMAIL
+// (default ADMIN_EMAIL) through NotificationService, stream 'admin'.
+// Acknowledge / resolve / history: /api/admin/alerts.
+
+const CommandCenterService = require('./CommandCenterService');
+const CronMonitor = require('./CronMonitor');
+const { getNotificationService } = require('./NotificationService');
+const { escapeHtml } = require('../utils/html');
+
+const SEVERITY_RANK = { warning: 1, high: 2, critical: 3 };
+const SEVERITY_COLORS = { warning: '#f2c744', high: '#e8912d', critical: '#d40e0d' };
+const RESOLVED_COLOR = '#2eb67d';
+const EVENT_LABELS = {
+  opened: 'opened',
+  worsened: 'severity raised',
+  escalated: 'ESCALATED — still unacknowledged',
+  resolved: 'resolved'
+};
+const WEBHOOK_TIMEOUT_MS = 10000;
+const SCRAPE_RUN_MAX_AGE_HOURS = 26;
+const HISTORY_DAYS = 30;
+const HISTORY_LIMIT = 100;
+const DASHBOARD_URL = 'https://www.gethomeheat.com/dashboard';
+
+/**
+ * Each rule: detect(service) → detections, or null when there is nothing to
+ * judge. A detection is { fingerprint, severity, title, message, details }.
+ */
+const RULES = [
+  {
+    name: 'anomaly',
+    escalateAfterMinutes: 120,
+    async detect({ commandCenter, sequelize, logger }) {
+      const anomalies = await commandCenter._getAnomalies(sequelize, logger);
+      return anomalies.map(a => ({
+        fingerprint: `anomaly:${a.category}:${a.direction}`,
+        severity: a.severity === 'high' ? 'high' : 'warning',
+        title: `${a.title} ${a.direction === 'up' ? 'spike' : 'drop'}`,
+        message: a.insight,
+        details: { today: a.today, avg7d: a.avg7d, deviation: a.deviation, note: a.note || null }
+      }));
+    }
+  },
+  {
+    name: 'scraper',
+    escalateAfterMinutes: 60,
+    async detect({ cronMonitor, sequelize }) {
+      const [runs] = await sequelize.query(`
+        SELECT run_at, success_count, failed_count
+        FROM scrape_runs
+        WHERE run_at > NOW() - make_interval(hours => :hours)
+        ORDER BY run_at DESC
+        LIMIT 1
+      `, { replacements: { hours: SCRAPE_RUN_MAX_AGE_HOURS } });
+      if (runs.length === 0) return null;
+
+      const run = {
+        success: parseInt(runs[0].success_count, 10) || 0,
+        failed: parseInt(runs[0].failed_count, 10) || 0,
+        rejected: 0 // rejections stored separately, not in scrape_runs
+      };
+      return cronMonitor.checkScraperHealth(run).map(a => ({
+        fingerprint: `scraper:${a.code}`,
+        severity: a.level === 'critical' ? 'critical' : 'warning',
+        title: a.code === 'no-results' ? 'Scraper returned nothing'
+          : a.code === 'drift' ? 'Scraper drift' : 'Price rejection spike',
+        message: a.message,
+        details: { runAt: runs[0].run_at, success: run.success, failed: run.failed }
+      }));
+    }
+  }
+];
+
+function minutesBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000);
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+class OpsAlertService {
+  /**
+   * @param {object} sequelize
+   * @param {object} [options]
+   * @param {object} [options.commandCenter] - default new CommandCenterService()
+   * @param {object} [options.cronMonitor] - default new CronMonitor(sequelize, logger)
+   * @param {object} [options.notifications] - default the shared NotificationService
+   * @param {Function} [options.fetchImpl] - webhook POST (tests)
+   * @param {object} [options.env]
+   */
+  constructor(sequelize, logger = console, {
+    commandCenter = null,
+    cronMonitor = null,
+    notifications = null,
+    fetchImpl = null,
+    env = process.env
+  } = {}) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.commandCenter = commandCenter || new CommandCenterService();
+    this.cronMonitor = cronMonitor || new CronMonitor(sequelize, logger);
+    this.notifications = notifications;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.webhookUrl = env.OPS_ALERT_WEBHOOK_URL || null;
+    this.emailTo = env.OPS_ALERT_EMAIL || env.ADMIN_EMAIL || null;
+  }
+
+  /**
+   * Run every rule and reconcile ops_alerts. A dry run only reports what the
+   * detectors see — nothing is written or sent.
+   * @returns {Promise<object>} counts, plus detections on a dry run
+   */
+  async evaluate({ now = new Date(), dryRun = false } = {}) {
+    const summary = { success: true, detections: 0, opened: 0, updated: 0, escalated: 0, resolved: 0, notified: 0, errors: [] };
+    if (dryRun) summary.dryRun = true;
+
+    for (const rule of RULES) {
+      let detections;
+      try {
+        detections = await rule.detect(this);
+      } catch (error) {
+        this.logger.error(`[OpsAlert] ${rule.name} detector failed: ${error.message}`);
+        summary.errors.push(`${rule.name}: ${error.message}`);
+        continue;
+      }
+      if (detections === null) continue;
+      summary.detections += detections.length;
+
+      if (dryRun) {
+        summary.found = (summary.found || []).concat(detections.map(d => ({ rule: rule.name, ...d })));
+        continue;
+      }
+      await this.reconcile(rule, detections, now, summary);
+    }
+
+    summary.success = summary.errors.length === 0;
+    return summary;
+  }
+
+  /** Open / update / escalate / resolve one rule's incidents against its detections */
+  async reconcile(rule, detections, now, summary) {
+    const [unresolved] = await this.sequelize.query(`
+      SELECT * FROM ops_alerts WHERE rule = :rule AND status <> 'resolved'
+    `, { replacements: { rule: rule.name } });
+    const byFingerprint = new Map(unresolved.map(row => [row.fingerprint, row]));
+
+    for (const detection of detections) {
+      const existing = byFingerprint.get(detection.fingerprint);
+      byFingerprint.delete(detection.fingerprint);
+
+      if (!existing) {
+        const [[opened]] = await this.sequelize.query(`
+          INSERT INTO ops_alerts (rule, fingerprint, severity, title, message, details)
+          VALUES (:rule, :fingerprint, :severity, :title, :message, :details)
+          ON CONFLICT (fingerprint) WHERE status <> 'resolved' DO NOTHING
+          RETURNING *
+        `, { replacements: { rule: rule.name, ...this.detectionReplacements(detection) } });
+        if (!opened) continue;
+        summary.opened++;
+        this.logger.warn(`[OpsAlert] Opened #${opened.id} ${opened.fingerprint}: ${opened.message}`);
+        summary.notified += await this.notify('opened', opened, now);
+        continue;
+      }
+
+      const worsened = SEVERITY_RANK[detection.severity] > SEVERITY_RANK[existing.severity];
+      const escalate = existing.status === 'open' && existing.escalation_level === 0 &&
+        minutesBetween(existing.first_seen_at, now) >= rule.escalateAfterMinutes;
+      const [[updated]] = await this.sequelize.query(`
+        UPDATE ops_alerts
+        SET severity = :severity, title = :title, message = :message, details = :details,
+            last_seen_at = NOW(), occurrences = occurrences + 1,
+            escalation_level = :escalationLevel, updated_at = NOW()
+        WHERE id = :id AND status <> 'resolved'
+        RETURNING *
+      `, {
+        replacements: {
+          id: existing.id,
+          ...this.detectionReplacements(detection),
+          severity: worsened ? detection.severity : existing.severity,
+          escalationLevel: escalate ? 1 : existing.escalation_level
+        }
+      });
+      if (!updated) continue;
+      summary.updated++;
+
+      if (escalate) {
+        summary.escalated++;
+        this.logger.warn(`[OpsAlert] Escalated #${updated.id} ${updated.fingerprint} (open ${formatDuration(minutesBetween(updated.first_seen_at, now))})`);
+        summary.notified += await this.notify('escalated', updated, now);
+      } else if (worsened && updated.status === 'open') {
+        summary.notified += await this.notify('worsened', updated, now);
+      }
+    }
+
+    for (const cleared of byFingerprint.values()) {
+      const [[resolved]] = await this.sequelize.query(`
+        UPDATE ops_alerts
+        SET status = 'resolved', resolved_at = NOW(), resolved_reason = 'cleared', updated_at = NOW()
+        WHERE id = :id AND status <> 'resolved'
+        RETURNING *
+      `, { replacements: { id: cleared.id } });
+      if (!resolved) continue;
+      summary.resolved++;
+      this.logger.info(`[OpsAlert] Resolved #${resolved.id} ${resolved.fingerprint} (cleared)`);
+      summary.notified += await this.notify('resolved', resolved, now);
+    }
+  }
+
+  detectionReplacements({ fingerprint, severity, title, message, details }) {
+    return {
+      fingerprint,
+      severity,
+      title: String(title).slice(0, 150),
+      message: String(message || title).slice(0, 500),
+      details: JSON.stringify(details || {})
+    };
+  }
+
+  /**
+   * Acknowledge an open incident: it stays unresolved (and keeps updating)
+   * but is no longer escalated.
+   * @returns {Promise<object|null>} null if not found or not open
+   */
+  async acknowledge(id, by = 'admin') {
+    const [[row]] = await this.sequelize.query(`
+      UPDATE ops_alerts
+      SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = :by, updated_at = NOW()
+      WHERE id = :id AND status = 'open'
+      RETURNING *
+    `, { replacements: { id, by } });
+    return row || null;
+  }
+
+  /**
+   * Resolve by hand (detector noise, fixed but not yet re-evaluated). If it
+   * is still firing, the next evaluation opens a new incident.
+   * @returns {Promise<object|null>} null if not found or already resolved
+   */
+  async resolve(id, now = new Date()) {
+    const [[row]] = await this.sequelize.query(`
+      UPDATE ops_alerts
+      SET status = 'resolved', resolved_at = NOW(), resolved_reason = 'manual', updated_at = NOW()
+      WHERE id = :id AND status <> 'resolved'
+      RETURNING *
+    `, { replacements: { id } });
+    if (!row) return null;
+    await this.notify('resolved', row, now);
+    return row;
+  }
+
+  /**
+   * Incidents first seen in the last `days`, newest first, with how long each
+   * stayed open and time to acknowledge; plus per-rule totals.
+   */
+  async history({ status = null, days = HISTORY_DAYS, limit = HISTORY_LIMIT } = {}) {
+    const [rows] = await this.sequelize.query(`
+      SELECT *,
+             (EXTRACT(EPOCH FROM (COALESCE(resolved_at, NOW()) - first_seen_at)) / 60)::integer AS minutes_open,
+             (EXTRACT(EPOCH FROM (acknowledged_at - first_seen_at)) / 60)::integer AS minutes_to_ack
+      FROM ops_alerts
+      WHERE first_seen_at > NOW() - make_interval(days => :days)
+        ${status ? 'AND status = :status' : ''}
+      ORDER BY first_seen_at DESC
+      LIMIT :limit
+    `, { replacements: { days, status, limit } });
+    const [rules] = await this.sequelize.query(`
+      SELECT rule,
+             COUNT(*)::integer AS incidents,
+             COUNT(*) FILTER (WHERE status <> 'resolved')::integer AS unresolved,
+             (AVG(EXTRACT(EPOCH FROM (resolved_at - first_seen_at)) / 60) FILTER (WHERE status = 'resolved'))::integer AS avg_minutes_open,
+             (AVG(EXTRACT(EPOCH FROM (acknowledged_at - first_seen_at)) / 60))::integer AS avg_minutes_to_ack
+      FROM ops_alerts
+      WHERE first_seen_at > NOW() - make_interval(days => :days)
+      GROUP BY rule
+      ORDER BY rule
+    `, { replacements: { days } });
+
+    return {
+      alerts: rows.map(row => ({
+        id: row.id,
+        rule: row.rule,
+        fingerprint: row.fingerprint,
+        severity: row.severity,
+        title: row.title,
+        message: row.message,
+        details: row.details,
+        status: row.status,
+        occurrences: row.occurrences,
+        escalated: row.escalation_level > 0,
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+        acknowledgedAt: row.acknowledged_at,
+        acknowledgedBy: row.acknowledged_by,
+        resolvedAt: row.resolved_at,
+        resolvedReason: row.resolved_reason,
+        minutesOpen: row.minutes_open,
+        minutesToAck: row.minutes_to_ack
+      })),
+      rules: rules.map(row => ({
+        rule: row.rule,
+        incidents: row.incidents,
+        unresolved: row.unresolved,
+        avgMinutesOpen: row.avg_minutes_open,
+        avgMinutesToAck: row.avg_minutes_to_ack
+      }))
+    };
+  }
+
+  // ── Delivery ──────────────────────────────────────────
+
+  /** High/critical and escalated incidents also go by email (and so does their resolution) */
+  static emailWorthy(alert) {
+    return SEVERITY_RANK[alert.severity] >= SEVERITY_RANK.high || alert.escalation_level > 0;
+  }
+
+  /** Slack incoming-webhook body */
+  static webhookPayload(event, alert, now = new Date()) {
+    const openFor = formatDuration(minutesBetween(alert.first_seen_at, alert.resolved_at || now));
+    const icon = event === 'resolved' ? '✅' : event === 'escalated' ? '⏫' : '🚨';
+    return {
+      text: `${icon} [${alert.severity.toUpperCase()}] ${alert.title} — ${EVENT_LABELS[event]}`,
+      attachments: [{
+        color: event === 'resolved' ? RESOLVED_COLOR : SEVERITY_COLORS[alert.severity],
+        title: alert.title,
+        text: alert.message,
+        fields: [
+          { title: 'Status', value: alert.status, short: true },
+          { title: event === 'resolved' ? 'Was open' : 'Open for', value: openFor, short: true },
+          { title: 'Seen', value: `${alert.occurrences}×`, short: true },
+          { title: 'Rule', value: alert.fingerprint, short: true }
+        ],
+        footer: `ops_alerts #${alert.id}`,
+        ts: Math.floor(new Date(alert.last_seen_at || now).getTime() / 1000)
+      }]
+    };
+  }
+
+  static emailContent(event, alert, now = new Date()) {
+    const openFor = formatDuration(minutesBetween(alert.first_seen_at, alert.resolved_at || now));
+    const subject = `[${event === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase()}] ${alert.title}` +
+      (event === 'escalated' ? ` — unacknowledged ${openFor}` : '');
+    const html = `
+      <h2 style="margin:0 0 8px">${escapeHtml(alert.title)} — ${escapeHtml(EVENT_LABELS[event])}</h2>
+      <p>${escapeHtml(alert.message)}</p>
+      <table style="font-size:14px;border-collapse:collapse">
+        <tr><td style="padding:2px 12px 2px 0;color:#666">Severity</td><td>${escapeHtml(alert.severity)}</td></tr>
+        <tr><td style="padding:2px 12px 2px 0;color:#666">Status</td><td>${escapeHtml(alert.status)}</td></tr>
+        <tr><td style="padding:2px 12px 2px 0;color:#666">${event === 'resolved' ? 'Was open' : 'Open for'}</td><td>${openFor}</td></tr>
+        <tr><td style="padding:2px 12px 2px 0;color:#666">Seen</td><td>${alert.occurrences} evaluations</td></tr>
+        <tr><td style="padding:2px 12px 2px 0;color:#666">Rule</td><td>${escapeHtml(alert.fingerprint)} (#${alert.id})</td></tr>
+      </table>
+      ${event === 'resolved' ? '' : `<p style="color:#666;font-size:13px">Acknowledge with POST /api/admin/alerts/${alert.id}/acknowledge to stop escalation. <a href="${DASHBOARD_URL}">Command Center</a></p>`}
+    `;
+    return { subject, html };
+  }
+
+  /** Send one notice on every configured channel; returns how many accepted it */
+  async notify(event, alert, now = new Date()) {
+    let delivered = 0;
+
+    if (this.webhookUrl) {
+      try {
+        const response = await this.fetchImpl(this.webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(OpsAlertService.webhookPayload(event, alert, now)),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        delivered++;
+      } catch (error) {
+        this.logger.warn(`[OpsAlert] Webhook failed for #${alert.id} (${event}): ${error.message}`);
+      }
+    }
+
+    if (this.emailTo && OpsAlertService.emailWorthy(alert)) {
+      const { subject, html } = OpsAlertService.emailContent(event, alert, now);
+      try {
+        const sent = await (this.notifications || getNotificationService()).send({
+          channel: 'email',
+          to: this.emailTo,
+          stream: 'admin',
+          source: 'ops-alert',
+          subject,
+          html,
+          idempotencyKey: `ops-alert:${alert.id}:${event}:${alert.severity}:${alert.escalation_level}`
+        });
+        if (sent.accepted) delivered++;
+      } catch (error) {
+        this.logger.warn(`[OpsAlert] Email failed for #${alert.id} (${event}): ${error.message}`);
+      }
+    }
+
+    if (delivered > 0) {
+      await this.sequelize.query(`UPDATE ops_alerts SET last_notified_at = NOW() WHERE id = :id`,
+        { replacements: { id: alert.id } });
+    }
+    return delivered;
+  }
+}
+
+module.exports = OpsAlertService;
+module.exports.RULES = RULES;
@@ -0,0 +1,186 @@
+// src/services/OpsAlertService.test.js
+//
+// Ops alerting (V3.21.0): detections open incidents once (dedupe by
+// fingerprint), repeat sightings update them, unacknowledged incidents
+// escalate after the rule's window, cleared ones resolve; webhook (Slack
+// JSON) + email fan-out by severity; failing detectors resolve nothing;
+// dry run writes nothing; history mapping.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/OpsAlertService.test.js
+
+const OpsAlertService = require('./OpsAlertService');
+const CronMonitor = require('./CronMonitor');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const NOW = new Date('2026-10-19T15:00:00Z');
+const minutesAgo = (m) => new Date(NOW.getTime() - m * 60000);
+
+const trafficDrop = { category: 'traffic', title: 'Traffic', today: 40, avg7d: 100, deviation: -60, direction: 'down', severity: 'high', note: 'Weather-normalized (HDD)', insight: 'Clicks are 60% below normal (after weather adjustment)' };
+const demandUp = { category: 'demand', title: 'New Demand', today: 12, avg7d: 6, deviation: 100, direction: 'up', severity: 'medium', insight: '12 new ZIP locations (24h)' };
+
+const row = (overrides = {}) => ({
+  id: '1', rule: 'anomaly', fingerprint: 'anomaly:traffic:down', severity: 'high', title: 'Traffic drop',
+  message: 'Clicks are 60% below normal', status: 'open', occurrences: 1, escalation_level: 0,
+  first_seen_at: minutesAgo(30), last_seen_at: minutesAgo(15), resolved_at: null, ...overrides
+});
+
+/**
+ * unresolved: ops_alerts rows per rule; scrapeRun: latest scrape_runs row or null
+ * Inserts/updates echo back a row built from their replacements.
+ */
+function setup({ anomalies = [], unresolved = {}, scrapeRun = null, anomalyError = null, webhookStatus = 200 } = {}) {
+  const db = fakeSequelize((sql, opts) => {
+    const r = opts.replacements || {};
+    if (/FROM scrape_runs/.test(sql)) return [scrapeRun ? [scrapeRun] : []];
+    if (/SELECT \* FROM ops_alerts WHERE rule = :rule/.test(sql)) return [unresolved[r.rule] || []];
+    if (/INSERT INTO ops_alerts/.test(sql)) {
+      return [[{ id: `new-${r.fingerprint}`, rule: r.rule, fingerprint: r.fingerprint, severity: r.severity, title: r.title, message: r.message, status: 'open', occurrences: 1, escalation_level: 0, first_seen_at: NOW, last_seen_at: NOW }]];
+    }
+    if (/SET severity = :severity/.test(sql)) {
+      const prior = Object.values(unresolved).flat().find(x => x.id === r.id);
+      return [[{ ...prior, severity: r.severity, message: r.message, escalation_level: r.escalationLevel, occurrences: prior.occurrences + 1 }]];
+    }
+    if (/SET status = 'resolved'/.test(sql)) {
+      const prior = Object.values(unresolved).flat().find(x => x.id === r.id) || row({ id: r.id });
+      return [[{ ...prior, status: 'resolved', resolved_at: NOW, resolved_reason: /'manual'/.test(sql) ? 'manual' : 'cleared' }]];
+    }
+    return null;
+  });
+  const posts = [];
+  const emails = [];
+  const service = new OpsAlertService(db, quietLogger, {
+    commandCenter: { _getAnomalies: async () => { if (anomalyError) throw new Error(anomalyError); return anomalies; } },
+    cronMonitor: new CronMonitor(null, quietLogger),
+    notifications: { send: async (message) => { emails.push(message); return { accepted: true }; } },
+    fetchImpl: async (url, options) => { posts.push({ url, body: JSON.parse(options.body) }); return { ok: webhookStatus < 400, status: webhookStatus }; },
+    env: { OPS_ALERT_WEBHOOK_URL: 'https://hooks.example.com/T1/B2', ADMIN_EMAIL: 'ops@example.com' }
+  });
+  return { db, service, posts, emails };
+}
+
+const writes = (db) => db.calls.filter(c => /INSERT INTO ops_alerts|UPDATE ops_alerts/.test(c.sql));
+
+(async () => {
+  try {
+    console.log('\nScraper health codes');
+    const monitor = new CronMonitor(null, quietLogger);
+    eq(monitor.checkScraperHealth({ success: 0, failed: 0 }).map(a => a.code), ['no-results'], 'zero results');
+    eq(monitor.checkScraperHealth({ success: 60, failed: 40, rejected: 20 }).map(a => a.code), ['drift', 'rejection-spike'], 'drift + rejection spike');
+
+    console.log('\nOpen');
+    let t = setup({ anomalies: [trafficDrop, demandUp] });
+    let result = await t.service.evaluate({ now: NOW });
+    eq([result.detections, result.opened, result.resolved, result.success], [2, 2, 0, true], 'two incidents opened');
+    const insert = t.db.calls.find(c => /INSERT INTO ops_alerts/.test(c.sql));
+    eq([insert.opts.replacements.fingerprint, insert.opts.replacements.severity, insert.opts.replacements.title],
+      ['anomaly:traffic:down', 'high', 'Traffic drop'], 'fingerprint = rule + category + direction');
+    eq(JSON.parse(insert.opts.replacements.details), { today: 40, avg7d: 100, deviation: -60, note: 'Weather-normalized (HDD)' }, 'detector numbers kept as details');
+    eq(/ON CONFLICT \(fingerprint\) WHERE status <> 'resolved' DO NOTHING/.test(insert.sql), true, 'one unresolved incident per fingerprint');
+    eq(t.posts.length, 2, 'both posted to the webhook');
+    eq(t.posts[0].body.text, '🚨 [HIGH] Traffic drop — opened', 'Slack text');
+    eq([t.posts[0].body.attachments[0].color, t.posts[0].body.attachments[0].text], ['#e8912d', trafficDrop.insight], 'attachment colored by severity');
+    eq(t.emails.map(e => [e.to, e.stream, e.source, e.subject]), [['ops@example.com', 'admin', 'ops-alert', '[HIGH] Traffic drop']], 'only the high one emailed');
+    eq(t.emails[0].idempotencyKey, 'ops-alert:new-anomaly:traffic:down:opened:high:0', 'email keyed per incident + event');
+    eq(result.notified, 3, 'deliveries counted');
+    eq(t.db.calls.filter(c => /SET last_notified_at = NOW\(\)/.test(c.sql)).length, 2, 'last_notified_at stamped');
+
+    console.log('\nRepeat / escalate');
+    t = setup({ anomalies: [trafficDrop], unresolved: { anomaly: [row()] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq([result.opened, result.updated, result.escalated, result.notified], [0, 1, 0, 0], 'still firing inside the window: updated quietly');
+    const update = t.db.calls.find(c => /SET severity = :severity/.test(c.sql));
+    eq([/occurrences = occurrences \+ 1/.test(update.sql), update.opts.replacements.escalationLevel], [true, 0], 'sighting counted');
+
+    t = setup({ anomalies: [trafficDrop], unresolved: { anomaly: [row({ first_seen_at: minutesAgo(121) })] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq([result.escalated, t.posts[0].body.text], [1, '⏫ [HIGH] Traffic drop — ESCALATED — still unacknowledged'], 'open past 2h → escalated');
+    eq(t.emails[0].subject, '[HIGH] Traffic drop — unacknowledged 2h 1m', 'escalation emailed');
+
+    t = setup({ anomalies: [trafficDrop], unresolved: { anomaly: [row({ first_seen_at: minutesAgo(300), escalation_level: 1 })] } });
+    eq((await t.service.evaluate({ now: NOW })).escalated, 0, 'escalates once');
+    t = setup({ anomalies: [trafficDrop], unresolved: { anomaly: [row({ first_seen_at: minutesAgo(300), status: 'acknowledged' })] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq([result.escalated, t.posts.length], [0, 0], 'acknowledged: no escalation, no notices');
+
+    t = setup({ anomalies: [trafficDrop], unresolved: { anomaly: [row({ severity: 'warning' })] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq([t.db.calls.find(c => /SET severity = :severity/.test(c.sql)).opts.replacements.severity, t.posts[0].body.text],
+      ['high', '🚨 [HIGH] Traffic drop — severity raised'], 'severity rise re-notifies');
+    t = setup({ anomalies: [{ ...trafficDrop, severity: 'medium' }], unresolved: { anomaly: [row()] } });
+    await t.service.evaluate({ now: NOW });
+    eq(t.db.calls.find(c => /SET severity = :severity/.test(c.sql)).opts.replacements.severity, 'high', 'severity never lowered while unresolved');
+
+    console.log('\nResolve');
+    t = setup({ anomalies: [], unresolved: { anomaly: [row({ first_seen_at: minutesAgo(95) })] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq(result.resolved, 1, 'cleared incident resolved');
+    eq(/resolved_reason = 'cleared'/.test(t.db.calls.find(c => /SET status = 'resolved'/.test(c.sql)).sql), true, 'reason cleared');
+    eq([t.posts[0].body.text, t.posts[0].body.attachments[0].fields[1]], ['✅ [HIGH] Traffic drop — resolved', { title: 'Was open', value: '1h 35m', short: true }], 'resolution notice with duration');
+
+    t = setup({ anomalyError: 'statement timeout', unresolved: { anomaly: [row()] } });
+    result = await t.service.evaluate({ now: NOW });
+    eq([result.success, result.errors, writes(t.db).length], [false, ['anomaly: statement timeout'], 0], 'failing detector resolves nothing');
+
+    const scraperRow = row({ id: '2', rule: 'scraper', fingerprint: 'scraper:drift', severity: 'warning' });
+    t = setup({ scrapeRun: null, unresolved: { scraper: [scraperRow] } });
+    await t.service.evaluate({ now: NOW });
+    eq(t.db.calls.some(c => /SET status = 'resolved'/.test(c.sql)), false, 'no recent scrape run → scraper incidents left alone');
+
+    t = setup({ scrapeRun: { run_at: minutesAgo(60), success_count: '50', failed_count: '50' } });
+    result = await t.service.evaluate({ now: NOW });
+    const scraperInsert = t.db.calls.find(c => /INSERT INTO ops_alerts/.test(c.sql)).opts.replacements;
+    eq([scraperInsert.rule, scraperInsert.fingerprint, scraperInsert.severity, scraperInsert.title], ['scraper', 'scraper:drift', 'warning', 'Scraper drift'], 'scraper drift opened');
+    eq(t.emails.length, 0, 'warning: webhook only');
+
+    t = setup({});
+    eq(await t.service.resolve('9', NOW) !== null, true, 'manual resolve');
+    eq([/resolved_reason = 'manual'/.test(t.db.calls[0].sql), t.posts.length], [true, 1], 'manual resolve notifies');
+
+    console.log('\nDelivery failures / dry run');
+    t = setup({ anomalies: [demandUp], webhookStatus: 500 });
+    result = await t.service.evaluate({ now: NOW });
+    eq([result.opened, result.notified, result.success], [1, 0, true], 'webhook 500 logged, evaluation continues');
+
+    t = setup({ anomalies: [trafficDrop], scrapeRun: { run_at: NOW, success_count: '0', failed_count: '0' }, unresolved: { anomaly: [row({ fingerprint: 'anomaly:supply:down' })] } });
+    result = await t.service.evaluate({ now: NOW, dryRun: true });
+    eq([result.dryRun, result.detections, result.found.map(f => f.fingerprint)], [true, 2, ['anomaly:traffic:down', 'scraper:no-results']], 'dry run lists detections');
+    eq([writes(t.db).length, t.posts.length, t.emails.length], [0, 0, 0], 'dry run writes and sends nothing');
+
+    console.log('\nHistory');
+    const db = fakeSequelize((sql) => {
+      if (/GROUP BY rule/.test(sql)) return [[{ rule: 'anomaly', incidents: 4, unresolved: 1, avg_minutes_open: 80, avg_minutes_to_ack: 10 }]];
+      if (/minutes_open/.test(sql)) return [[{ ...row({ status: 'resolved', resolved_reason: 'cleared', escalation_level: 1, acknowledged_by: 'sam' }), minutes_open: 95, minutes_to_ack: 12 }]];
+      return null;
+    });
+    const history = await new OpsAlertService(db, quietLogger, { commandCenter: {}, cronMonitor: {}, env: {} }).history({ status: 'resolved', days: 7 });
+    eq([history.alerts[0].minutesOpen, history.alerts[0].minutesToAck, history.alerts[0].escalated, history.alerts[0].acknowledgedBy], [95, 12, true, 'sam'], 'open duration + time to ack');
+    eq(history.rules, [{ rule: 'anomaly', incidents: 4, unresolved: 1, avgMinutesOpen: 80, avgMinutesToAck: 10 }], 'per-rule totals');
+    eq([/AND status = :status/.test(db.calls[0].sql), db.calls[0].opts.replacements.days], [true, 7], 'filtered by status + window');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+})();
@@ -2,7 +2,7 @@
  * OutreachSequenceService
  *
  * Automated follow-up email sequence for supplier outreach (heatingoil-014).
- * Runs from the 6 AM EST daily cron in server.js.
+ * Runs as the 'outreach-sequence' job (6 AM ET) on the durable job queue.
  *
  * Sequence:
  *   E1 (Day 0)  — Sent by claim-targets.js --send (manual, one-by-one)
@@ -10,17 +10,17 @@
  *   E3 (Day 14) — Auto soft close: "Should we remove your listing?"
  *
  * Safety:
- *   - Cron lock prevents concurrent runs (Railway deploy overlap)
+ *   - The job queue runs each day's occurrence once (Railway deploy overlap)
  *   - Per-run rate limits: MAX_EMAILS_PER_RUN, MAX_SMS_PER_RUN
  *   - Duplicate-send guard via audit_logs check before each send
  *   - email_unsubscribed / sms_opted_out checked before each send
  */
 
 const { buildUnsubscribeUrl } = require('../routes/outreach');
+const { getNotificationService } = require('./NotificationService');
 
 const MAX_EMAILS_PER_RUN = 50;
 const MAX_SMS_PER_RUN = 30;
-const LOCK_TTL_MINUTES = 15;
 
 class OutreachSequenceService {
   constructor(sequelize, logger) {
@@ -31,7 +31,7 @@ class OutreachSequenceService {
   }
 
   /**
-   * Main entry point — called from 6 AM cron
+   * Main entry point — the 6 AM outreach-sequence job
    */
   async runSequence() {
     if (!this.apiKey || !this.emailFrom) {
@@ -39,96 +39,45 @@ class OutreachSequenceService {
       return { skipped: true };
     }
 
-    // Acquire cron lock
-    const locked = await this.acquireLock('outreach_sequence');
-    if (!locked) {
-      this.logger.info?.('[OutreachSequence] Another instance is running — skipping');
-      return { skipped: true, reason: 'locked' };
-    }
-
     const results = { e2_sent: 0, e3_sent: 0, e2_failed: 0, e3_failed: 0, skipped: 0, complete: 0 };
 
-    try {
-      // Process E2 follow-ups (Day 5+)
-      const e2Candidates = await this.getE2Candidates();
-      let emailsSent = 0;
-
-      for (const candidate of e2Candidates) {
-        if (emailsSent >= MAX_EMAILS_PER_RUN) break;
-
-        const sent = await this.sendE2(candidate);
-        if (sent) {
-          results.e2_sent++;
-          emailsSent++;
-        } else {
-          results.e2_failed++;
-        }
-      }
+    // Process E2 follow-ups (Day 5+)
+    const e2Candidates = await this.getE2Candidates();
+    let emailsSent = 0;
 
-      // Process E3 follow-ups (Day 14+)
-      const e3Candidates = await this.getE3Candidates();
+    for (const candidate of e2Candidates) {
+      if (emailsSent >= MAX_EMAILS_PER_RUN) break;
 
-      for (const candidate of e3Candidates) {
-        if (emailsSent >= MAX_EMAILS_PER_RUN) break;
-
-        const sent = await this.sendE3(candidate);
-        if (sent) {
-          results.e3_sent++;
-          emailsSent++;
-        } else {
-          results.e3_failed++;
-        }
+      const sent = await this.sendE2(candidate);
+      if (sent) {
+        results.e2_sent++;
+        emailsSent++;
+      } else {
+        results.e2_failed++;
       }
+    }
 
-      // Mark completed sequences (E3 sent 7+ days ago, no claim)
-      results.complete = await this.markCompletedSequences();
+    // Process E3 follow-ups (Day 14+)
+    const e3Candidates = await this.getE3Candidates();
 
-      this.logger.info?.(`[OutreachSequence] Done: E2=${results.e2_sent}/${e2Candidates.length}, E3=${results.e3_sent}/${e3Candidates.length}, complete=${results.complete}`);
+    for (const candidate of e3Candidates) {
+      if (emailsSent >= MAX_EMAILS_PER_RUN) break;
 
-    } finally {
-      await this.releaseLock('outreach_sequence');
+      const sent = await this.sendE3(candidate);
+      if (sent) {
+        results.e3_sent++;
+        emailsSent++;
+      } else {
+        results.e3_failed++;
+      }
     }
 
-    return results;
-  }
-
-  /**
-   * Cron lock — prevents concurrent runs during Railway deploy overlap
-   */
-  async acquireLock(jobName) {
-    try {
-      // Try to insert or update lock only if expired
-      const [result] = await this.sequelize.query(`
-        INSERT INTO cron_locks (job_name, locked_until, locked_by)
-        VALUES (:jobName, NOW() + INTERVAL '${LOCK_TTL_MINUTES} minutes', :lockedBy)
-        ON CONFLICT (job_name) DO UPDATE
-          SET locked_until = NOW() + INTERVAL '${LOCK_TTL_MINUTES} minutes',
-              locked_by = :lockedBy,
-              updated_at = NOW()
-          WHERE cron_locks.locked_until < NOW()
-        RETURNING job_name
-      `, {
-        replacements: {
-          jobName,
-          lockedBy: `pid-${process.pid}`
-        }
-      });
+    // Mark completed sequences (E3 sent 7+ days ago, no claim)
+    results.complete = await this.markCompletedSequences();
 
-      return result.length > 0;
-    } catch (err) {
-      this.logger.warn?.('[OutreachSequence] Lock acquisition failed:', err.message);
-      return false;
-    }
-  }
+    this.logger.info?.(`[OutreachSequence] Done: E2=${results.e2_sent}/${e2Candidates.length}, E3=${results.e3_sent}/${e3Candidates.length}, complete=${results.complete}`);
 
-  async releaseLock(jobName) {
-    try {
-      await this.sequelize.query(`
-        UPDATE cron_locks SET locked_until = NOW() WHERE job_name = :jobName
-      `, { replacements: { jobName } });
-    } catch (err) {
-      // Non-critical — lock will expire naturally
-    }
+    return results;
   }
 
   /**
@@ -239,7 +188,7 @@ class OutreachSequenceService {
     const subject = `${demandData.searches} homeowners searched for heating oil near ${candidate.city} this week`;
     const html = this.buildE2Html(candidate, demandData, unsubscribeUrl);
 
-    const sent = await this.sendEmail(candidate.email, subject, html);
+    const sent = await this.sendEmail(candidate.email, subject, html, { idempotencyKey: `outreach:e2:${candidate.slug}` });
 
     // Log result
     const action = sent ? 'outreach_email_2_sent' : 'outreach_email_2_failed';
@@ -264,7 +213,7 @@ class OutreachSequenceService {
     const subject = `Should we remove ${candidate.name} from HomeHeat?`;
     const html = this.buildE3Html(candidate, demandData, unsubscribeUrl);
 
-    const sent = await this.sendEmail(candidate.email, subject, html);
+    const sent = await this.sendEmail(candidate.email, subject, html, { idempotencyKey: `outreach:e3:${candidate.slug}` });
 
     const action = sent ? 'outreach_email_3_sent' : 'outreach_email_3_failed';
     await this.logAudit(action, {
@@ -463,37 +412,24 @@ class OutreachSequenceService {
   }
 
   /**
-   * Send email via Resend
+   * Send email via NotificationService (stream 'outreach' — honors unsubscribes and bounces)
    */
-  async sendEmail(to, subject, html) {
-    try {
-      const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: this.emailFrom,
-          to: [to],
-          subject,
-          html
-        })
-      });
-
-      const result = await response.json();
+  async sendEmail(to, subject, html, { idempotencyKey = null } = {}) {
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to,
+      stream: 'outreach',
+      source: 'outreach-sequence',
+      from: this.emailFrom,
+      subject,
+      html,
+      idempotencyKey
+    });
 
-      if (response.ok) {
-        this.logger.info?.(`[OutreachSequence] Email sent to ${to}: ${result.id}`);
-        return true;
-      } else {
-        this.logger.error?.(`[OutreachSequence] Resend error for ${to}:`, JSON.stringify(result));
-        return false;
-      }
-    } catch (error) {
-      this.logger.error?.(`[OutreachSequence] Send failed for ${to}:`, error.message);
-      return false;
+    if (!sent.accepted) {
+      this.logger.error?.(`[OutreachSequence] Email to ${to} not sent: ${sent.error || sent.status}`);
     }
+    return sent.accepted;
   }
 
   /**
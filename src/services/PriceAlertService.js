@@ -1,9 +1,28 @@
 // src/services/PriceAlertService.js
-// Daily price alert checker — emails subscribers when prices drop below their threshold
+// Daily price alert checker — emails subscribers when their alert rule fires.
+//
+// V3.15.0: each price_alert_subscribers row is one rule for one ZIP + fuel:
+//   below_price      lowest price at or below threshold_price (the original alert)
+//   pct_drop         lowest price pct_drop % under signup_price_at_time
+//   lowest_in_weeks  lowest price under every price seen in the prior lookback_weeks
+//   supplier_watch   one supplier at or below threshold_price, or (no threshold)
+//                    lower than the price we last told them about
+// delivery 'instant' emails when the rule fires (7-day cooldown); 'weekly'
+// sends a Monday digest with current prices and whether the rule is met.
+//
+// V3.16.0 channels: every alert/digest goes to each channel the subscription
+// opted into — email (email_enabled), SMS from the consumer lead number once
+// the phone replied YES (STOP/START handled by lead-sms-webhook), and web push
+// (payload-less, see utils/web-push.js). Each send is logged in
+// price_alert_deliveries; the daily cap counts subscribers, not messages.
+// V3.18.0: email (stream 'alerts') and SMS (sendLeadSMS) go through NotificationService.
 
 const crypto = require('crypto');
+const { FUEL_PRICE_RANGES } = require('./priceScraper');
+const { extractLast10 } = require('../utils/phone');
+const { sendPush, isAllowedEndpoint } = require('../utils/web-push');
+const { getNotificationService } = require('./NotificationService');
 
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const FROM_EMAIL = 'Leo from HomeHeat <hello@gethomeheat.com>';
 const REPLY_TO = 'support@gethomeheat.com';
 const DRY_RUN = process.env.PRICE_ALERT_DRY_RUN === 'true';
@@ -12,11 +31,217 @@ const DAILY_CAP = 500;
 const COOLDOWN_DAYS = 7;
 const ZOMBIE_MONTHS = 6;
 const SITE_URL = 'https://www.gethomeheat.com';
+const TIMEZONE = 'America/New_York';
+const DIGEST_WEEKDAY = 'Mon';         // weekly digests go out with Monday's 8 AM run
+const DIGEST_MIN_GAP_DAYS = 6;        // a re-run on the same Monday doesn't double-send
+const FILL_GALLONS = 150;             // "save ~$X on a fill" in alert emails
+const SMS_CONFIRMS_PER_PHONE_PER_DAY = 3;
+const SMS_CONFIRMS_PER_DAY = 100;     // YES-to-confirm texts, all phones (SMS pumping guard)
+const SMS_CONFIRM_WINDOW_DAYS = 7;    // a YES later than this doesn't confirm
+const PUSH_MAX_FAILURES = 5;          // consecutive push errors before the endpoint is disabled
+
+const RULE_TYPES = ['below_price', 'pct_drop', 'lowest_in_weeks', 'supplier_watch'];
+const DELIVERY_MODES = ['instant', 'weekly'];
+const FUEL_LABELS = { heating_oil: 'Heating oil', kerosene: 'Kerosene', propane: 'Propane' };
+const PCT_DROP_RANGE = [2, 30];
+const LOOKBACK_WEEKS_RANGE = [2, 12];
+
+function money(v) {
+  return `$${parseFloat(v).toFixed(2)}`;
+}
+
+function fuelName(fuelType) {
+  return (FUEL_LABELS[fuelType] || FUEL_LABELS.heating_oil).toLowerCase();
+}
+
+/** YYYY-MM-DD in ET — alert idempotency keys are per subscriber per day */
+function todayEt(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+}
+
+function pricesUrl(zipCode, fuelType, campaign) {
+  const utm = `utm_source=price_alert&utm_campaign=${campaign}`;
+  return !fuelType || fuelType === 'heating_oil'
+    ? `${SITE_URL}/prices.html?zip=${zipCode}&${utm}`
+    : `${SITE_URL}/prices/${fuelType}/?${utm}`;
+}
 
 class PriceAlertService {
-  constructor(sequelize, logger = console) {
+  /**
+   * @param {object} [quoteRequestService] - sends alert SMS from the lead number
+   *   (sendLeadSMS); without it SMS alerts are skipped
+   */
+  constructor(sequelize, logger = console, quoteRequestService = null) {
     this.sequelize = sequelize;
     this.logger = logger;
+    this.quoteRequestService = quoteRequestService;
+  }
+
+  /** Normalize a US mobile number to its last 10 digits, or null */
+  static normalizeSmsPhone(phone) {
+    const phone10 = extractLast10(String(phone || ''));
+    if (!phone10 || !/^[2-9]\d{2}[2-9]\d{6}$/.test(phone10)) return null;
+    return phone10;
+  }
+
+  /** True when SMS alerts can go to this subscriber (confirmed, not stopped) */
+  static smsActive(sub) {
+    return !!(sub.sms_phone_last10 && sub.sms_confirmed_at && !sub.sms_opted_out_at);
+  }
+
+  /**
+   * Validate the rule fields of a subscribe request. Missing rule_type /
+   * fuel_type / delivery default to the original alert (heating oil below a
+   * threshold, emailed right away).
+   * @returns {{ rule: object }|{ error: string }}
+   */
+  static normalizeRule({ rule_type, fuel_type, threshold_price, pct_drop, lookback_weeks, supplier_slug, delivery } = {}) {
+    const fuel = fuel_type || 'heating_oil';
+    if (!FUEL_LABELS[fuel]) return { error: 'Alerts are available for heating oil, kerosene and propane.' };
+    const type = rule_type || 'below_price';
+    if (!RULE_TYPES.includes(type)) return { error: 'Unknown alert type.' };
+    const mode = delivery || 'instant';
+    if (!DELIVERY_MODES.includes(mode)) return { error: 'Delivery must be instant or weekly.' };
+
+    const rule = {
+      rule_type: type, fuel_type: fuel, delivery: mode,
+      threshold_price: null, pct_drop: null, lookback_weeks: null, supplier_slug: null
+    };
+
+    const hasThreshold = threshold_price !== undefined && threshold_price !== null && threshold_price !== '';
+    if (type === 'below_price' || (type === 'supplier_watch' && hasThreshold)) {
+      const [min, max] = FUEL_PRICE_RANGES[fuel];
+      const price = parseFloat(threshold_price);
+      if (isNaN(price) || price < min || price > max) {
+        return { error: `Threshold must be between ${money(min)} and ${money(max)}.` };
+      }
+      rule.threshold_price = price;
+    }
+
+    if (type === 'pct_drop') {
+      const pct = parseFloat(pct_drop);
+      if (isNaN(pct) || pct < PCT_DROP_RANGE[0] || pct > PCT_DROP_RANGE[1]) {
+        return { error: `Percentage drop must be between ${PCT_DROP_RANGE[0]}% and ${PCT_DROP_RANGE[1]}%.` };
+      }
+      rule.pct_drop = Math.round(pct * 10) / 10;
+    }
+
+    if (type === 'lowest_in_weeks') {
+      const weeks = parseInt(lookback_weeks);
+      if (isNaN(weeks) || weeks < LOOKBACK_WEEKS_RANGE[0] || weeks > LOOKBACK_WEEKS_RANGE[1]) {
+        return { error: `Weeks must be between ${LOOKBACK_WEEKS_RANGE[0]} and ${LOOKBACK_WEEKS_RANGE[1]}.` };
+      }
+      rule.lookback_weeks = weeks;
+    }
+
+    if (type === 'supplier_watch') {
+      const slug = String(supplier_slug || '').trim().toLowerCase();
+      if (!/^[a-z0-9-]{1,120}$/.test(slug)) return { error: 'Choose a supplier to watch.' };
+      rule.supplier_slug = slug;
+    }
+
+    return { rule };
+  }
+
+  /** One-line description of a subscriber's rule ("lowest heating oil price below $3.00/gal") */
+  static describeRule(sub) {
+    const fuel = fuelName(sub.fuel_type);
+    switch (sub.rule_type) {
+      case 'pct_drop':
+        return `lowest ${fuel} price ${parseFloat(sub.pct_drop)}% below its price when you signed up` +
+          (sub.signup_price_at_time != null ? ` (${money(sub.signup_price_at_time)}/gal)` : '');
+      case 'lowest_in_weeks':
+        return `lowest ${fuel} price in ${sub.lookback_weeks} weeks`;
+      case 'supplier_watch': {
+        const name = sub.supplier_name || 'your supplier';
+        return sub.threshold_price != null
+          ? `${name}'s ${fuel} price below ${money(sub.threshold_price)}/gal`
+          : `${name} lowers its ${fuel} price`;
+      }
+      default:
+        return `lowest ${fuel} price below ${money(sub.threshold_price)}/gal`;
+    }
+  }
+
+  /**
+   * Check one subscriber's rule against today's prices.
+   * @param {object} sub - subscriber row (rule columns, signup_price_at_time, last_price_seen, supplier_name)
+   * @param {object} priceData - getZipPriceData() for the subscriber's ZIP + fuel
+   * @param {number|null} previousLow - lowest price in the lookback window (lowest_in_weeks only)
+   * @returns {{ fired: boolean, price: number|null, comparePrice?: number, compareLabel?: string,
+   *   reason?: string, baseline?: number }} baseline is set when the rule has no reference price
+   *   yet and the caller should record today's price as signup_price_at_time
+   */
+  static evaluateRule(sub, priceData, previousLow = null) {
+    const fuel = FUEL_LABELS[sub.fuel_type] || FUEL_LABELS.heating_oil;
+    const zip = sub.zip_code;
+    const min = priceData.minPrice;
+
+    switch (sub.rule_type) {
+      case 'pct_drop': {
+        if (sub.signup_price_at_time == null) return { fired: false, price: min, baseline: min };
+        const baseline = parseFloat(sub.signup_price_at_time);
+        const dropPct = (baseline - min) / baseline * 100;
+        return {
+          fired: dropPct >= parseFloat(sub.pct_drop),
+          price: min,
+          comparePrice: baseline,
+          compareLabel: 'the price when you signed up',
+          reason: `${fuel} in ${zip} is down ${Math.round(dropPct)}% from ${money(baseline)} when you signed up — past your ${parseFloat(sub.pct_drop)}% alert.`
+        };
+      }
+
+      case 'lowest_in_weeks':
+        if (previousLow == null) return { fired: false, price: min };
+        return {
+          fired: min < previousLow,
+          price: min,
+          comparePrice: previousLow,
+          compareLabel: 'the previous low',
+          reason: `This is the lowest ${fuel.toLowerCase()} price in ${zip} in ${sub.lookback_weeks} weeks (previous low ${money(previousLow)}).`
+        };
+
+      case 'supplier_watch': {
+        const price = (priceData.supplierPrices || {})[sub.supplier_id];
+        if (price == null) return { fired: false, price: null };
+        const name = sub.supplier_name || 'Your supplier';
+        if (sub.threshold_price != null) {
+          const threshold = parseFloat(sub.threshold_price);
+          return {
+            fired: price <= threshold,
+            price,
+            comparePrice: threshold,
+            compareLabel: 'your target price',
+            reason: `${name} is at ${money(price)}/gal for ${fuel.toLowerCase()}, below your ${money(threshold)} target.`
+          };
+        }
+        const ref = sub.last_price_seen != null ? sub.last_price_seen : sub.signup_price_at_time;
+        if (ref == null) return { fired: false, price, baseline: price };
+        return {
+          fired: price < parseFloat(ref),
+          price,
+          comparePrice: parseFloat(ref),
+          compareLabel: 'their previous price',
+          reason: `${name} lowered its ${fuel.toLowerCase()} price from ${money(ref)} to ${money(price)}/gal.`
+        };
+      }
+
+      default: {
+        const threshold = parseFloat(sub.threshold_price);
+        return {
+          fired: min <= threshold,
+          price: min,
+          comparePrice: threshold,
+          compareLabel: 'your target price',
+          reason: `${fuel} in ${zip} is below your ${money(threshold)} target.`
+        };
+      }
+    }
+  }
+
+  /** True on the weekday digests go out (America/New_York) */
+  static isDigestDay(now = new Date()) {
+    return now.toLocaleDateString('en-US', { weekday: 'short', timeZone: TIMEZONE }) === DIGEST_WEEKDAY;
   }
 
   /**
@@ -40,13 +265,20 @@ class PriceAlertService {
       // Clean up zombie subscribers (signed up > 6 months ago, never received an alert)
       await this.cleanupZombies();
 
-      // Fetch all active subscribers
+      // Fetch all active subscribers (watched supplier's name for supplier_watch rules)
       const [subscribers] = await this.sequelize.query(`
-        SELECT id, email, zip_code, threshold_price, unsubscribe_token,
-               last_alert_sent_at, last_price_seen, alert_count, first_sent_at
-        FROM price_alert_subscribers
-        WHERE active = true
-        ORDER BY zip_code
+        SELECT pas.id, pas.email, pas.zip_code, pas.threshold_price, pas.unsubscribe_token,
+               pas.last_alert_sent_at, pas.last_price_seen, pas.alert_count, pas.first_sent_at,
+               pas.rule_type, pas.fuel_type, pas.pct_drop, pas.lookback_weeks, pas.supplier_id,
+               pas.delivery, pas.signup_price_at_time, s.name AS supplier_name,
+               pas.email_enabled, pas.sms_phone_last10, pas.sms_confirmed_at, pas.sms_opted_out_at,
+               ps.id AS push_subscription_id, ps.endpoint AS push_endpoint
+        FROM price_alert_subscribers pas
+        LEFT JOIN suppliers s ON s.id = pas.supplier_id
+        LEFT JOIN price_alert_push_subscriptions ps
+          ON ps.id = pas.push_subscription_id AND ps.disabled_at IS NULL
+        WHERE pas.active = true
+        ORDER BY pas.zip_code, pas.fuel_type
       `);
 
       if (subscribers.length === 0) {
@@ -54,56 +286,118 @@ class PriceAlertService {
         return { success: true, checked: 0, sent: 0, skipped: 0, capped: false, errors: 0 };
       }
 
-      // Group by ZIP for efficient price lookups
+      // Group by ZIP + fuel for efficient price lookups
       const byZip = {};
       for (const sub of subscribers) {
-        if (!byZip[sub.zip_code]) byZip[sub.zip_code] = [];
-        byZip[sub.zip_code].push(sub);
+        const key = `${sub.zip_code}|${sub.fuel_type || 'heating_oil'}`;
+        if (!byZip[key]) byZip[key] = [];
+        byZip[key].push(sub);
       }
 
-      const zipCodes = Object.keys(byZip);
+      const zipKeys = Object.keys(byZip);
+      const digestDay = PriceAlertService.isDigestDay();
       let sent = 0;
+      let digestsSent = 0;
       let skipped = 0;
       let errors = 0;
       let capped = false;
       let zipsStale = 0;
-      let skipAboveThreshold = 0;
+      let skipNotTriggered = 0;
       let skipDedup = 0;
       let skipCooldown = 0;
+      let skipDigestWait = 0;
+      let skipNoChannel = 0;
+      const channelsSent = { email: 0, sms: 0, push: 0 };
+      const channelsFailed = { email: 0, sms: 0, push: 0 };
+      const tally = (delivered) => {
+        for (const [channel, ok] of Object.entries(delivered)) {
+          if (ok) channelsSent[channel]++;
+          else channelsFailed[channel]++;
+        }
+      };
 
-      for (const zip of zipCodes) {
+      for (const key of zipKeys) {
         if (sent >= DAILY_CAP) {
           capped = true;
           this.logger.warn(`[PriceAlert] Daily cap of ${DAILY_CAP} reached, stopping.`);
           break;
         }
 
-        // Get fresh min price and top 3 suppliers for this ZIP
-        const priceData = await this.getZipPriceData(zip);
+        // Get fresh min price and top 3 suppliers for this ZIP + fuel
+        const [zip, fuelType] = key.split('|');
+        const priceData = await this.getZipPriceData(zip, fuelType);
 
         if (!priceData) {
           zipsStale++;
-          skipped += byZip[zip].length;
-          this.logger.info(`[PriceAlert] ZIP ${zip}: no fresh prices, skipping ${byZip[zip].length} subscriber(s)`);
+          skipped += byZip[key].length;
+          this.logger.info(`[PriceAlert] ZIP ${zip} (${fuelType}): no fresh prices, skipping ${byZip[key].length} subscriber(s)`);
           continue;
         }
 
-        for (const sub of byZip[zip]) {
+        const previousLows = {};
+        for (const sub of byZip[key]) {
           if (sent >= DAILY_CAP) {
             capped = true;
             break;
           }
 
-          // Check if price is below threshold
-          if (priceData.minPrice > sub.threshold_price) {
-            skipAboveThreshold++;
+          const weekly = sub.delivery === 'weekly';
+          if (sub.email_enabled === false && !PriceAlertService.smsActive(sub) && !sub.push_endpoint) {
+            // e.g. SMS-only and the phone never replied YES
+            skipNoChannel++;
+            skipped++;
+            continue;
+          }
+          if (weekly && !digestDay) {
+            skipDigestWait++;
+            skipped++;
+            continue;
+          }
+
+          let previousLow = null;
+          if (sub.rule_type === 'lowest_in_weeks') {
+            if (!(sub.lookback_weeks in previousLows)) {
+              previousLows[sub.lookback_weeks] = await this.getPreviousLow(zip, fuelType, sub.lookback_weeks);
+            }
+            previousLow = previousLows[sub.lookback_weeks];
+          }
+
+          const rule = PriceAlertService.evaluateRule(sub, priceData, previousLow);
+          if (rule.baseline != null) {
+            // No reference price yet (signed up before coverage) — today's becomes it
+            await this.setSignupPrice(sub.id, rule.baseline);
+            sub.signup_price_at_time = rule.baseline;
+          }
+
+          // Weekly digest: current prices + rule status, once a week whether or not it fired
+          if (weekly) {
+            if (sub.last_alert_sent_at &&
+                Date.now() - new Date(sub.last_alert_sent_at).getTime() < DIGEST_MIN_GAP_DAYS * 24 * 60 * 60 * 1000) {
+              skipCooldown++;
+              skipped++;
+              continue;
+            }
+            const delivered = await this.deliverAlert(sub, priceData, rule, { digest: true });
+            tally(delivered);
+            if (Object.values(delivered).some(Boolean)) {
+              await this.markAlertSent(sub.id, rule.fired ? rule.price : sub.last_price_seen);
+              sent++;
+              digestsSent++;
+            } else {
+              errors++;
+            }
+            continue;
+          }
+
+          if (!rule.fired) {
+            skipNotTriggered++;
             skipped++;
             continue;
           }
 
           // Skip if already alerted at this exact price
           if (sub.last_price_seen !== null &&
-              parseFloat(sub.last_price_seen) === priceData.minPrice) {
+              parseFloat(sub.last_price_seen) === rule.price) {
             skipDedup++;
             skipped++;
             continue;
@@ -120,10 +414,11 @@ class PriceAlertService {
             }
           }
 
-          // Send alert
-          const success = await this.sendAlertEmail(sub, priceData);
-          if (success) {
-            await this.markAlertSent(sub.id, priceData.minPrice);
+          // Send alert on every opted-in channel
+          const delivered = await this.deliverAlert(sub, priceData, rule);
+          tally(delivered);
+          if (Object.values(delivered).some(Boolean)) {
+            await this.markAlertSent(sub.id, rule.price);
             sent++;
           } else {
             errors++;
@@ -135,9 +430,15 @@ class PriceAlertService {
         success: true,
         subscribers_total: subscribers.length,
         alerts_sent: sent,
+        digests_sent: digestsSent,
         alerts_skipped: skipped,
-        skip_reasons: { above_threshold: skipAboveThreshold, dedup: skipDedup, cooldown: skipCooldown, stale: zipsStale },
-        zips_checked: zipCodes.length,
+        skip_reasons: {
+          not_triggered: skipNotTriggered, dedup: skipDedup, cooldown: skipCooldown,
+          digest_wait: skipDigestWait, no_channel: skipNoChannel, stale: zipsStale
+        },
+        channels_sent: channelsSent,
+        channels_failed: channelsFailed,
+        zips_checked: zipKeys.length,
         zips_stale: zipsStale,
         capped,
         errors,
@@ -163,15 +464,16 @@ class PriceAlertService {
   }
 
   /**
-   * Get min price and top 3 cheapest suppliers for a ZIP code.
+   * Get min price and top 3 cheapest suppliers for a ZIP code and fuel, plus
+   * every priced supplier's price (supplier_watch rules).
    * Returns null if no fresh prices available.
    */
-  async getZipPriceData(zipCode) {
+  async getZipPriceData(zipCode, fuelType = 'heating_oil') {
     // Use scraped_at window (not expires_at) for alert eligibility.
     // Alerts don't need the same real-time freshness as website display —
     // a price scraped within 72 hours is a valid signal regardless of expiry.
     const [rows] = await this.sequelize.query(`
-      SELECT DISTINCT ON (s.id) s.name, s.city, s.phone, s.slug, sp.price_per_gallon
+      SELECT DISTINCT ON (s.id) s.id, s.name, s.city, s.phone, s.slug, sp.price_per_gallon
       FROM suppliers s
       JOIN supplier_prices sp ON s.id = sp.supplier_id
       WHERE s.active = true
@@ -179,17 +481,19 @@ class PriceAlertService {
         AND sp.is_valid = true
         AND sp.scraped_at > NOW() - INTERVAL '72 hours'
         AND sp.source_type != 'aggregator_signal'
-        AND sp.fuel_type = 'heating_oil'
+        AND sp.fuel_type = :fuelType
         AND EXISTS (
           SELECT 1 FROM jsonb_array_elements_text(s.postal_codes_served) AS zip
           WHERE zip = :zipCode
         )
       ORDER BY s.id, sp.price_per_gallon ASC
-    `, { replacements: { zipCode } });
+    `, { replacements: { zipCode, fuelType } });
 
     // Re-sort by price and take top 3 (DISTINCT ON requires ORDER BY s.id first)
     rows.sort((a, b) => parseFloat(a.price_per_gallon) - parseFloat(b.price_per_gallon));
     const totalSuppliers = rows.length;
+    const supplierPrices = {};
+    for (const r of rows) supplierPrices[r.id] = parseFloat(r.price_per_gallon);
     rows.splice(3);
 
     if (rows.length === 0) return null;
@@ -197,6 +501,7 @@ class PriceAlertService {
     return {
       minPrice: parseFloat(rows[0].price_per_gallon),
       totalSuppliers,
+      supplierPrices,
       topSuppliers: rows.map(r => ({
         name: r.name,
         city: r.city,
@@ -208,121 +513,382 @@ class PriceAlertService {
   }
 
   /**
-   * Send price drop alert email via Resend.
+   * Lowest price seen in a ZIP + fuel over the prior `weeks`, excluding the
+   * 72-hour window today's prices come from. Null when there's no history.
+   * is_valid isn't filtered (a manual review expires a supplier's older rows);
+   * the per-fuel FUEL_PRICE_RANGES band drops junk values instead.
    */
-  async sendAlertEmail(subscriber, priceData) {
-    const { email, zip_code, threshold_price, unsubscribe_token } = subscriber;
-    const { minPrice, totalSuppliers, topSuppliers } = priceData;
+  async getPreviousLow(zipCode, fuelType, weeks) {
+    const [min, max] = FUEL_PRICE_RANGES[fuelType] || FUEL_PRICE_RANGES.heating_oil;
+    const [[row]] = await this.sequelize.query(`
+      SELECT MIN(sp.price_per_gallon) AS low
+      FROM suppliers s
+      JOIN supplier_prices sp ON s.id = sp.supplier_id
+      WHERE s.active = true
+        AND s.allow_price_display = true
+        AND sp.scraped_at > NOW() - INTERVAL '1 week' * :weeks
+        AND sp.scraped_at <= NOW() - INTERVAL '72 hours'
+        AND sp.source_type != 'aggregator_signal'
+        AND sp.fuel_type = :fuelType
+        AND sp.price_per_gallon BETWEEN :min AND :max
+        AND EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(s.postal_codes_served) AS zip
+          WHERE zip = :zipCode
+        )
+    `, { replacements: { zipCode, fuelType, weeks, min, max } });
+    return row && row.low != null ? parseFloat(row.low) : null;
+  }
 
-    const subject = `Heating oil at $${minPrice.toFixed(2)}/gal in ${zip_code} — below your alert`;
-    const html = this.buildAlertEmailHtml({
-      zip_code,
-      threshold_price: parseFloat(threshold_price),
-      minPrice,
-      totalSuppliers,
-      topSuppliers,
-      unsubscribe_token
-    });
+  /**
+   * Send one alert (or weekly digest) on every channel the subscriber opted
+   * into and log each send to price_alert_deliveries.
+   * @returns {Promise<object>} { email?, sms?, push? } → true when that channel went out
+   */
+  async deliverAlert(sub, priceData, rule, { digest = false } = {}) {
+    const kind = digest ? 'digest' : 'alert';
+    const title = PriceAlertService.alertSubject(sub, priceData, rule, digest);
+    const url = pricesUrl(sub.zip_code, sub.fuel_type, digest ? 'weekly_digest' : 'price_drop');
+    const delivered = {};
+
+    if (sub.email_enabled !== false) {
+      delivered.email = await this.sendAlertEmail(sub, priceData, rule, { digest });
+      await this.logDelivery(sub.id, 'email', kind, delivered.email ? 'sent' : 'failed', { title });
+    }
 
-    if (DRY_RUN) {
-      this.logger.info(`[PriceAlert] DRY RUN - Would send to ${email}: ${subject}`);
-      return true;
+    if (PriceAlertService.smsActive(sub)) {
+      const result = await this.sendSms(sub.sms_phone_last10, `HomeHeat: ${title}. ${url} Reply STOP to opt out`);
+      delivered.sms = !!result;
+      await this.logDelivery(sub.id, 'sms', kind, result ? 'sent' : 'failed', {
+        title, providerId: result ? result.sid : null, error: result ? null : 'SMS not sent'
+      });
     }
 
-    if (!RESEND_API_KEY) {
-      this.logger.error('[PriceAlert] RESEND_API_KEY not set, skipping send.');
-      return false;
+    if (sub.push_endpoint) {
+      const body = digest
+        ? `Lowest today ${money(priceData.minPrice)}/gal. ${rule.fired ? 'Your alert is met.' : "Your alert hasn't triggered yet."}`
+        : rule.reason;
+      delivered.push = await this.sendPushAlert(sub, kind, { title, body, url });
     }
 
-    try {
-      const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${RESEND_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: FROM_EMAIL,
-          to: [email],
-          reply_to: REPLY_TO,
-          subject,
-          html
-        })
-      });
+    return delivered;
+  }
 
-      const result = await response.json();
+  /** Text from the lead number via QuoteRequestService; null when not sent */
+  async sendSms(phone10, message) {
+    if (DRY_RUN) {
+      this.logger.info(`[PriceAlert] DRY RUN - Would text ${phone10.slice(-4)}: ${message}`);
+      return { sid: 'dry-run' };
+    }
+    if (!this.quoteRequestService) {
+      this.logger.warn('[PriceAlert] SMS alert skipped — no lead SMS sender');
+      return null;
+    }
+    return this.quoteRequestService.sendLeadSMS(phone10, message);
+  }
 
-      if (response.ok && result.id) {
-        this.logger.info(`[PriceAlert] Sent alert to ${email} for ZIP ${zip_code} ($${minPrice})`);
-        return true;
-      }
+  /**
+   * Web push: the delivery row is written first (the service worker fetches
+   * it when the push wakes it up), then the push itself. A 404/410 or
+   * repeated failures disable the endpoint.
+   */
+  async sendPushAlert(sub, kind, { title, body, url }) {
+    const deliveryId = await this.logDelivery(sub.id, 'push', kind, 'sent', { title, body, url });
+    const result = DRY_RUN ? { ok: true } : await sendPush(sub.push_endpoint);
+    return this.recordPushResult(sub, deliveryId, result);
+  }
 
-      // Handle bounce/suppression
-      if (result.statusCode === 422 || result.name === 'validation_error') {
-        this.logger.warn(`[PriceAlert] Bounce/suppression for ${email}, deactivating.`);
-        await this.sequelize.query(
-          `UPDATE price_alert_subscribers SET active = false WHERE email = :email`,
-          { replacements: { email } }
-        );
-        return false;
-      }
+  /** Push bookkeeping: reset the failure streak, or mark the delivery failed and maybe disable the endpoint */
+  async recordPushResult(sub, deliveryId, result) {
+    if (!result.ok) {
+      this.logger.warn(`[PriceAlert] Push failed for ${sub.id}: ${result.error}`);
+      await this.sequelize.query(`
+        UPDATE price_alert_deliveries SET status = 'failed', error = :error WHERE id = :deliveryId
+      `, { replacements: { deliveryId, error: String(result.error || 'failed').slice(0, 300) } });
+    }
+    await this.updatePushEndpoint(sub.push_subscription_id, result);
+    return !!result.ok;
+  }
 
-      this.logger.error(`[PriceAlert] Failed to send to ${email}:`, result);
-      return false;
+  /**
+   * Endpoint health after a send (shared with tank reminders): success resets
+   * the failure streak; a 404/410 or PUSH_MAX_FAILURES in a row disables it.
+   */
+  async updatePushEndpoint(pushSubscriptionId, result) {
+    if (result.ok) {
+      await this.sequelize.query(`
+        UPDATE price_alert_push_subscriptions
+        SET last_success_at = NOW(), failure_count = 0
+        WHERE id = :id
+      `, { replacements: { id: pushSubscriptionId } });
+      return;
+    }
+    await this.sequelize.query(`
+      UPDATE price_alert_push_subscriptions
+      SET failure_count = failure_count + 1,
+          disabled_at = CASE WHEN :gone OR failure_count + 1 >= :maxFailures THEN NOW() ELSE disabled_at END
+      WHERE id = :id
+    `, { replacements: { id: pushSubscriptionId, gone: !!result.gone, maxFailures: PUSH_MAX_FAILURES } });
+  }
 
+  /** Append to price_alert_deliveries; returns the row id */
+  async logDelivery(subscriberId, channel, kind, status, { title = null, body = null, url = null, providerId = null, error = null } = {}) {
+    try {
+      const [[row]] = await this.sequelize.query(`
+        INSERT INTO price_alert_deliveries (subscriber_id, channel, kind, status, title, body, url, provider_id, error)
+        VALUES (:subscriberId, :channel, :kind, :status, :title, :body, :url, :providerId, :error)
+        RETURNING id
+      `, { replacements: { subscriberId, channel, kind, status, title, body, url, providerId, error } });
+      return row ? row.id : null;
     } catch (err) {
-      this.logger.error(`[PriceAlert] Network error sending to ${email}:`, err.message);
-      return false;
+      // Logging must never block an alert
+      this.logger.error(`[PriceAlert] Delivery log failed: ${err.message}`);
+      return null;
     }
   }
 
+  // ─── SMS opt-in (lead number) ──────────────────────────────
+
   /**
-   * Send welcome email confirming alert setup.
+   * Ask a phone to confirm SMS alerts ("reply YES"). A phone already
+   * confirmed for the same email is confirmed without another text.
+   * @returns {Promise<'confirm_sent'|'confirmed'|'opted_out'|'rate_limited'|'unavailable'>}
    */
-  async sendWelcomeEmail(email, zipCode, thresholdPrice, currentMinPrice = null, unsubscribeToken = null) {
-    const subject = `Price alert set for ZIP ${zipCode}`;
-    const html = this.buildWelcomeEmailHtml({ zip_code: zipCode, threshold_price: thresholdPrice, current_price: currentMinPrice, unsubscribe_token: unsubscribeToken });
-
-    if (DRY_RUN) {
-      this.logger.info(`[PriceAlert] DRY RUN - Would send welcome to ${email}`);
-      return true;
+  async requestSmsConfirm(sub) {
+    const phone = sub.sms_phone_last10;
+    const [[state]] = await this.sequelize.query(`
+      SELECT
+        BOOL_OR(sms_opted_out_at IS NOT NULL) AS opted_out,
+        BOOL_OR(email = :email AND sms_confirmed_at IS NOT NULL AND sms_opted_out_at IS NULL) AS confirmed_for_email,
+        COUNT(*) FILTER (WHERE sms_confirm_sent_at > NOW() - INTERVAL '24 hours') AS sent_today
+      FROM price_alert_subscribers
+      WHERE sms_phone_last10 = :phone AND id <> :id
+    `, { replacements: { phone, email: sub.email, id: sub.id } });
+
+    if (state && state.opted_out) return 'opted_out';
+    if (state && state.confirmed_for_email) {
+      await this.sequelize.query(`
+        UPDATE price_alert_subscribers SET sms_confirmed_at = NOW() WHERE id = :id
+      `, { replacements: { id: sub.id } });
+      return 'confirmed';
     }
+    if (state && parseInt(state.sent_today) >= SMS_CONFIRMS_PER_PHONE_PER_DAY) return 'rate_limited';
 
-    if (!RESEND_API_KEY) {
-      this.logger.error('[PriceAlert] RESEND_API_KEY not set, skipping welcome email.');
-      return false;
+    const [[{ count }]] = await this.sequelize.query(`
+      SELECT COUNT(*) AS count FROM price_alert_deliveries
+      WHERE channel = 'sms' AND kind = 'confirm' AND created_at > NOW() - INTERVAL '24 hours'
+    `);
+    if (parseInt(count) >= SMS_CONFIRMS_PER_DAY) {
+      this.logger.warn('[PriceAlert] SMS confirm daily cap reached');
+      return 'rate_limited';
     }
 
-    try {
-      const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${RESEND_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: FROM_EMAIL,
-          to: [email],
-          reply_to: REPLY_TO,
-          subject,
-          html
-        })
-      });
+    const result = await this.sendSms(phone,
+      `HomeHeat: reply YES to get ${fuelName(sub.fuel_type)} price alerts for ${sub.zip_code} by text. ` +
+      'Up to 1 msg/day. Msg & data rates may apply. Reply STOP to opt out.');
+    await this.logDelivery(sub.id, 'sms', 'confirm', result ? 'sent' : 'failed', {
+      providerId: result ? result.sid : null, error: result ? null : 'SMS not sent'
+    });
+    if (!result) return 'unavailable';
+
+    await this.sequelize.query(`
+      UPDATE price_alert_subscribers SET sms_confirm_sent_at = NOW() WHERE id = :id
+    `, { replacements: { id: sub.id } });
+    return 'confirm_sent';
+  }
+
+  /** YES on the lead number — confirms every pending subscription for that phone. Returns ZIPs confirmed. */
+  async handleSmsConfirm(fromPhone) {
+    const phone = extractLast10(fromPhone);
+    if (!phone) return [];
+    const [rows] = await this.sequelize.query(`
+      UPDATE price_alert_subscribers
+      SET sms_confirmed_at = NOW(), sms_opted_out_at = NULL
+      WHERE sms_phone_last10 = :phone
+        AND active = true
+        AND sms_confirmed_at IS NULL
+        AND sms_confirm_sent_at > NOW() - INTERVAL '${SMS_CONFIRM_WINDOW_DAYS} days'
+      RETURNING zip_code
+    `, { replacements: { phone } });
+    return [...new Set(rows.map(r => r.zip_code))];
+  }
 
-      const result = await response.json();
-      if (response.ok && result.id) {
-        this.logger.info(`[PriceAlert] Welcome email sent to ${email}`);
-        return true;
+  /** STOP on the lead number — no more alert texts to that phone. Returns rows stopped. */
+  async handleSmsStop(fromPhone) {
+    const phone = extractLast10(fromPhone);
+    if (!phone) return 0;
+    const [rows] = await this.sequelize.query(`
+      UPDATE price_alert_subscribers
+      SET sms_opted_out_at = NOW()
+      WHERE sms_phone_last10 = :phone AND sms_opted_out_at IS NULL
+      RETURNING id
+    `, { replacements: { phone } });
+    return rows.length;
+  }
+
+  /** START on the lead number — resumes alert texts that had been confirmed. Returns rows resumed. */
+  async handleSmsStart(fromPhone) {
+    const phone = extractLast10(fromPhone);
+    if (!phone) return 0;
+    const [rows] = await this.sequelize.query(`
+      UPDATE price_alert_subscribers
+      SET sms_opted_out_at = NULL
+      WHERE sms_phone_last10 = :phone AND sms_opted_out_at IS NOT NULL AND sms_confirmed_at IS NOT NULL
+      RETURNING id
+    `, { replacements: { phone } });
+    return rows.length;
+  }
+
+  // ─── Web push ──────────────────────────────────────────────
+
+  /**
+   * Store (or revive) a browser PushSubscription ({ endpoint, keys }).
+   * @returns {Promise<string|null>} subscription id, null for a bad endpoint
+   */
+  async savePushSubscription(subscription, userAgent = null) {
+    const endpoint = subscription && subscription.endpoint;
+    if (!endpoint || endpoint.length > 1000 || !isAllowedEndpoint(endpoint)) return null;
+    const keys = subscription.keys || {};
+    const [[row]] = await this.sequelize.query(`
+      INSERT INTO price_alert_push_subscriptions (endpoint, p256dh, auth, user_agent)
+      VALUES (:endpoint, :p256dh, :auth, :userAgent)
+      ON CONFLICT (endpoint) DO UPDATE SET
+        p256dh = EXCLUDED.p256dh,
+        auth = EXCLUDED.auth,
+        failure_count = 0,
+        disabled_at = NULL
+      RETURNING id
+    `, {
+      replacements: {
+        endpoint,
+        p256dh: keys.p256dh ? String(keys.p256dh).slice(0, 200) : null,
+        auth: keys.auth ? String(keys.auth).slice(0, 50) : null,
+        userAgent: userAgent ? String(userAgent).slice(0, 200) : null
       }
+    });
+    return row ? row.id : null;
+  }
 
-      this.logger.error(`[PriceAlert] Welcome email failed for ${email}:`, result);
-      return false;
-    } catch (err) {
-      this.logger.error(`[PriceAlert] Welcome email error for ${email}:`, err.message);
-      return false;
+  /**
+   * Newest unfetched push message for a device (the service worker calls this
+   * when a push arrives). Marks it fetched; null when there's nothing new.
+   */
+  async takePendingPush(endpoint) {
+    const [rows] = await this.sequelize.query(`
+      UPDATE price_alert_deliveries SET fetched_at = NOW()
+      WHERE id = (
+        SELECT d.id
+        FROM price_alert_deliveries d
+        JOIN price_alert_subscribers pas ON pas.id = d.subscriber_id
+        JOIN price_alert_push_subscriptions ps ON ps.id = pas.push_subscription_id
+        WHERE ps.endpoint = :endpoint
+          AND d.channel = 'push'
+          AND d.status = 'sent'
+          AND d.fetched_at IS NULL
+          AND d.created_at > NOW() - INTERVAL '1 day'
+        ORDER BY d.created_at DESC
+        LIMIT 1
+      )
+      RETURNING title, body, url
+    `, { replacements: { endpoint } });
+    return rows[0] || null;
+  }
+
+  /**
+   * Send price drop alert email via Resend.
+   */
+  async sendAlertEmail(subscriber, priceData, rule = null, { digest = false } = {}) {
+    const { email, zip_code, threshold_price, unsubscribe_token } = subscriber;
+    const { minPrice, totalSuppliers, topSuppliers } = priceData;
+    const fuelType = subscriber.fuel_type || 'heating_oil';
+    const result = rule || PriceAlertService.evaluateRule(subscriber, priceData);
+
+    const subject = PriceAlertService.alertSubject(subscriber, priceData, result, digest);
+    const html = this.buildAlertEmailHtml({
+      zip_code,
+      threshold_price: threshold_price != null ? parseFloat(threshold_price) : null,
+      minPrice,
+      totalSuppliers,
+      topSuppliers,
+      unsubscribe_token,
+      fuel_type: fuelType,
+      rule: { ...result, description: PriceAlertService.describeRule(subscriber), type: subscriber.rule_type || 'below_price', supplierName: subscriber.supplier_name },
+      digest
+    });
+
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: email,
+      stream: 'alerts',
+      source: digest ? 'price-alert-digest' : 'price-alert',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      subject,
+      html,
+      idempotencyKey: subscriber.id ? `price-alert:${subscriber.id}:${digest ? 'digest' : 'alert'}:${todayEt()}` : null,
+      dryRun: DRY_RUN
+    });
+
+    if (sent.accepted) {
+      this.logger.info(`[PriceAlert] Sent alert to ${email} for ZIP ${zip_code} ($${minPrice})`);
+      return true;
+    }
+
+    // Handle bounce/suppression
+    if (sent.rejected) {
+      this.logger.warn(`[PriceAlert] Bounce/suppression for ${email}, deactivating.`);
+      await this.sequelize.query(
+        `UPDATE price_alert_subscribers SET active = false WHERE email = :email`,
+        { replacements: { email } }
+      );
+    }
+    return false;
+  }
+
+  /** Subject line for an alert or weekly digest, naming the rule that fired */
+  static alertSubject(sub, priceData, rule, digest = false) {
+    const fuel = FUEL_LABELS[sub.fuel_type] || FUEL_LABELS.heating_oil;
+    const zip = sub.zip_code;
+    if (digest) {
+      return `Your weekly ${fuel.toLowerCase()} prices for ${zip}: ${money(priceData.minPrice)}/gal` +
+        (rule.fired ? ' — your alert is met' : '');
+    }
+    switch (sub.rule_type) {
+      case 'pct_drop':
+        return `${fuel} down ${Math.round((rule.comparePrice - rule.price) / rule.comparePrice * 100)}% in ${zip} — ${money(rule.price)}/gal`;
+      case 'lowest_in_weeks':
+        return `${fuel} at a ${sub.lookback_weeks}-week low in ${zip} — ${money(rule.price)}/gal`;
+      case 'supplier_watch':
+        return `${sub.supplier_name || 'Your supplier'} dropped to ${money(rule.price)}/gal`;
+      default:
+        return `${fuel} at ${money(rule.price)}/gal in ${zip} — below your alert`;
     }
   }
 
+  /**
+   * Send welcome email confirming alert setup.
+   * @param {object} [rule] - { rule_type, fuel_type, delivery, description } for V3.15.0 rule alerts
+   */
+  async sendWelcomeEmail(email, zipCode, thresholdPrice, currentMinPrice = null, unsubscribeToken = null, rule = null) {
+    const subject = `Price alert set for ZIP ${zipCode}`;
+    const html = this.buildWelcomeEmailHtml({ zip_code: zipCode, threshold_price: thresholdPrice, current_price: currentMinPrice, unsubscribe_token: unsubscribeToken, rule });
+
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: email,
+      stream: 'alerts',
+      source: 'price-alert-welcome',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      subject,
+      html,
+      dryRun: DRY_RUN
+    });
+    if (sent.accepted) {
+      this.logger.info(`[PriceAlert] Welcome email sent to ${email}`);
+    }
+    return sent.accepted;
+  }
+
   /**
    * Mark an alert as sent for a subscriber.
    */
@@ -337,6 +903,18 @@ class PriceAlertService {
     `, { replacements: { subscriberId, price } });
   }
 
+  /**
+   * Record the reference price for a pct_drop / supplier_watch rule that
+   * signed up before the ZIP (or supplier) had a fresh price.
+   */
+  async setSignupPrice(subscriberId, price) {
+    await this.sequelize.query(`
+      UPDATE price_alert_subscribers
+      SET signup_price_at_time = :price
+      WHERE id = :subscriberId AND signup_price_at_time IS NULL
+    `, { replacements: { subscriberId, price } });
+  }
+
   /**
    * Deactivate zombie subscribers (signed up > 6 months ago, never received an alert).
    */
@@ -574,44 +1152,22 @@ class PriceAlertService {
   </p>
 </div>`;
 
-    if (DRY_RUN) {
-      this.logger.info(`[PriceAlert] DRY RUN - Would send coverage-added to ${email}`);
-      return true;
-    }
-
-    if (!RESEND_API_KEY) {
-      this.logger.error('[PriceAlert] RESEND_API_KEY not set, skipping coverage-added email.');
-      return false;
-    }
-
-    try {
-      const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${RESEND_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: FROM_EMAIL,
-          to: [email],
-          reply_to: REPLY_TO,
-          subject,
-          html
-        })
-      });
-
-      const result = await response.json();
-      if (response.ok && result.id) {
-        this.logger.info(`[PriceAlert] Coverage-added email sent to ${email} for ZIP ${zip_code}`);
-        return true;
-      }
-
-      this.logger.error(`[PriceAlert] Coverage-added email failed for ${email}:`, result);
-      return false;
-    } catch (err) {
-      this.logger.error(`[PriceAlert] Coverage-added email error for ${email}:`, err.message);
-      return false;
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: email,
+      stream: 'alerts',
+      source: 'coverage-added',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      subject,
+      html,
+      idempotencyKey: match.id ? `coverage-added:${match.id}:${knownFuels.join(',')}` : null,
+      dryRun: DRY_RUN
+    });
+    if (sent.accepted) {
+      this.logger.info(`[PriceAlert] Coverage-added email sent to ${email} for ZIP ${zip_code}`);
     }
+    return sent.accepted;
   }
 
   /**
@@ -647,17 +1203,49 @@ class PriceAlertService {
   }
 
   /**
-   * Build the price drop alert email HTML.
+   * Build the price drop alert email HTML. `rule` (evaluateRule() result plus
+   * description / type / supplierName) says which rule fired; without it the
+   * email reads as the original below-threshold alert. `digest` renders the
+   * weekly summary, which goes out whether or not the rule is met.
    */
-  buildAlertEmailHtml({ zip_code, threshold_price, minPrice, totalSuppliers, topSuppliers, unsubscribe_token }) {
-    const priceUrl = `${SITE_URL}/prices.html?zip=${zip_code}&utm_source=price_alert&utm_campaign=price_drop`;
-    const appUrl = 'https://apps.apple.com/us/app/homeheat/id6747320571?utm_source=price_alert&utm_campaign=price_drop';
-    const savings = ((threshold_price - minPrice) * 150).toFixed(0);
+  buildAlertEmailHtml({ zip_code, threshold_price, minPrice, totalSuppliers, topSuppliers, unsubscribe_token, fuel_type = 'heating_oil', rule = null, digest = false }) {
+    const campaign = digest ? 'weekly_digest' : 'price_drop';
+    const fuel = FUEL_LABELS[fuel_type] || FUEL_LABELS.heating_oil;
+    const priceUrl = pricesUrl(zip_code, fuel_type, campaign);
+    const appUrl = `https://apps.apple.com/us/app/homeheat/id6747320571?utm_source=price_alert&utm_campaign=${campaign}`;
+
+    const fired = rule || {
+      fired: true,
+      type: 'below_price',
+      price: minPrice,
+      comparePrice: threshold_price,
+      compareLabel: 'your target price',
+      reason: `${fuel} in ${zip_code} is below your ${money(threshold_price)} target.`,
+      description: `lowest ${fuel.toLowerCase()} price below ${money(threshold_price)}/gal`
+    };
+
+    // Supplier watch leads with the watched supplier's price, everything else with the ZIP low
+    const watched = fired.type === 'supplier_watch' && fired.price != null;
+    const heroLabel = watched ? `${fired.supplierName || 'Your supplier'} in ${zip_code}` : `Lowest price in ${zip_code}`;
+    const heroPrice = watched ? fired.price : minPrice;
+    const savings = fired.fired && fired.comparePrice != null
+      ? ((fired.comparePrice - fired.price) * FILL_GALLONS).toFixed(0) : '0';
+
+    let intro;
+    if (!digest) {
+      intro = `<p style="margin: 0 0 20px; font-size: 15px; color: #444;">${fired.reason}</p>`;
+    } else if (fired.fired) {
+      intro = `<p style="margin: 0 0 8px; font-size: 15px; color: #444;">Your weekly ${fuel.toLowerCase()} prices for <strong>${zip_code}</strong>.</p>
+    <p style="margin: 0 0 20px; font-size: 14px; color: #16a34a;">✓ Your alert is met: ${fired.reason}</p>`;
+    } else {
+      intro = `<p style="margin: 0 0 8px; font-size: 15px; color: #444;">Your weekly ${fuel.toLowerCase()} prices for <strong>${zip_code}</strong>.</p>
+    <p style="margin: 0 0 20px; font-size: 14px; color: #666;">Your alert (${fired.description}) hasn't triggered yet.</p>`;
+    }
 
     const supplierRows = topSuppliers.map((s, i) => {
       const phoneLink = s.phone ? `<a href="tel:${s.phone}" style="color: #2563eb; text-decoration: none;">${s.phone}</a>` : '';
       const nameHtml = s.slug
-        ? `<a href="${SITE_URL}/supplier/${s.slug}?utm_source=price_alert&utm_campaign=price_drop" style="color: #1a1a1a; text-decoration: none;">${s.name}</a>`
+        ? `<a href="${SITE_URL}/supplier/${s.slug}?utm_source=price_alert&utm_campaign=${campaign}" style="color: #1a1a1a; text-decoration: none;">${s.name}</a>`
         : s.name;
       const isFirst = i === 0;
       const rowBg = isFirst ? 'background: #f0fdf4;' : '';
@@ -680,12 +1268,12 @@ class PriceAlertService {
   ${this.buildEmailHeader()}
 
   <div style="padding: 0 20px;">
-    <p style="margin: 0 0 20px; font-size: 15px; color: #444;">Heating oil in <strong>${zip_code}</strong> is below your <strong>$${threshold_price.toFixed(2)}</strong> target.</p>
+    ${intro}
 
     <div style="background: linear-gradient(135deg, #1a56db 0%, #1e40af 100%); border-radius: 12px; padding: 24px; margin: 0 0 24px; text-align: center;">
-      <div style="font-size: 13px; color: rgba(255,255,255,0.8); margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">Lowest price in ${zip_code}</div>
-      <div style="font-size: 36px; font-weight: 800; color: #fff;">$${minPrice.toFixed(2)}<span style="font-size: 18px; font-weight: 500;">/gal</span></div>
-      ${parseFloat(savings) > 0 ? `<div style="font-size: 13px; color: rgba(255,255,255,0.85); margin-top: 6px;">Save ~$${savings} on a 150-gallon fill vs. your target price</div>` : ''}
+      <div style="font-size: 13px; color: rgba(255,255,255,0.8); margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">${heroLabel}</div>
+      <div style="font-size: 36px; font-weight: 800; color: #fff;">$${heroPrice.toFixed(2)}<span style="font-size: 18px; font-weight: 500;">/gal</span></div>
+      ${parseFloat(savings) > 0 ? `<div style="font-size: 13px; color: rgba(255,255,255,0.85); margin-top: 6px;">Save ~$${savings} on a ${FILL_GALLONS}-gallon fill vs. ${fired.compareLabel}</div>` : ''}
     </div>
 
     <table style="width: 100%; border-collapse: collapse; margin: 0 0 8px; border-radius: 8px; overflow: hidden; border: 1px solid #e5e7eb;">
@@ -707,7 +1295,10 @@ class PriceAlertService {
       <a href="${priceUrl}" style="display: inline-block; background: #2563eb; color: #fff; padding: 12px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 14px;">Compare all suppliers in ${zip_code}</a>
     </p>
 
+    ${!digest ? `<p style="margin: 0 0 24px; font-size: 12px; color: #999; text-align: center;">You're getting this because of your alert: ${fired.description}.</p>` : ''}
+
     ${(() => {
+      if (fuel_type !== 'heating_oil') return '';
       const trialZips = (process.env.QUOTE_TRIAL_ZIPS || '').split(',').filter(Boolean);
       const quoteAvailable = trialZips.length === 0 || trialZips.includes(zip_code);
       if (!quoteAvailable || process.env.DISABLE_QUOTE_SYSTEM === 'true') return '';
@@ -735,20 +1326,34 @@ class PriceAlertService {
   /**
    * Build the welcome confirmation email HTML.
    */
-  buildWelcomeEmailHtml({ zip_code, threshold_price, current_price, unsubscribe_token }) {
-    const priceUrl = `${SITE_URL}/prices.html?zip=${zip_code}&utm_source=price_alert&utm_campaign=welcome`;
+  buildWelcomeEmailHtml({ zip_code, threshold_price, current_price, unsubscribe_token, rule = null }) {
+    const fuelType = (rule && rule.fuel_type) || 'heating_oil';
+    const fuel = (FUEL_LABELS[fuelType] || FUEL_LABELS.heating_oil).toLowerCase();
+    const priceUrl = pricesUrl(zip_code, fuelType, 'welcome');
     const appUrl = 'https://apps.apple.com/us/app/homeheat/id6747320571?utm_source=price_alert&utm_campaign=welcome';
-    const formattedThreshold = parseFloat(threshold_price).toFixed(2);
     const hasCoverage = current_price !== null && current_price !== undefined;
+    const weekly = rule && rule.delivery === 'weekly';
+
+    // Threshold rules show the dollar figure; the other rule types show their description
+    const isThreshold = !rule || (rule.rule_type === 'below_price' && threshold_price != null);
+    const ruleHeading = isThreshold ? 'Alert threshold' : 'Alert rule';
+    const ruleValue = isThreshold
+      ? `<div style="font-size: 28px; font-weight: 700; color: #1a56db;">$${parseFloat(threshold_price).toFixed(2)}/gal</div>`
+      : `<div style="font-size: 17px; font-weight: 700; color: #1a56db;">${rule.description}</div>`;
+    const cadence = weekly
+      ? 'We email you a summary every Monday, with a note when your alert is met.'
+      : (isThreshold
+        ? 'We check prices daily and email you when they drop below your threshold.'
+        : 'We check prices daily and email you when your alert triggers.');
 
     // Coverage-dependent sections
     const currentPriceSection = hasCoverage
       ? `<div style="font-size: 13px; color: #666; margin-top: 8px;">Current lowest price in ${zip_code}: <strong style="color: #1a56db;">$${parseFloat(current_price).toFixed(2)}/gal</strong></div>
-    <div style="font-size: 13px; color: #666; margin-top: 4px;">We check prices daily and email you when they drop below your threshold.</div>`
-      : `<div style="font-size: 13px; color: #666; margin-top: 8px;">We don't have supplier data for ${zip_code} yet, but we're expanding coverage daily. We'll email you when we add suppliers in your area and prices match your threshold.</div>`;
+    <div style="font-size: 13px; color: #666; margin-top: 4px;">${cadence}</div>`
+      : `<div style="font-size: 13px; color: #666; margin-top: 8px;">We don't have supplier data for ${zip_code} yet, but we're expanding coverage daily. We'll email you when we add suppliers in your area and prices match your ${isThreshold ? 'threshold' : 'alert'}.</div>`;
 
     const ctaSection = hasCoverage
-      ? `<p><a href="${priceUrl}" style="color: #2563eb;">See today's cheapest heating oil in ${zip_code} →</a></p>`
+      ? `<p><a href="${priceUrl}" style="color: #2563eb;">See today's cheapest ${fuel} in ${zip_code} →</a></p>`
       : `<p><a href="${priceUrl}" style="color: #2563eb;">Check back for prices in ${zip_code} →</a></p>`;
 
     return `
@@ -758,8 +1363,8 @@ class PriceAlertService {
   <h2 style="font-size: 20px; color: #1a1a1a; margin: 0 0 16px;">Your price alert is set for ${zip_code}</h2>
 
   <div style="background: #f0f7ff; border-radius: 8px; padding: 16px; margin: 16px 0; text-align: center;">
-    <div style="font-size: 13px; color: #666; margin-bottom: 4px;">Alert threshold</div>
-    <div style="font-size: 28px; font-weight: 700; color: #1a56db;">$${formattedThreshold}/gal</div>
+    <div style="font-size: 13px; color: #666; margin-bottom: 4px;">${ruleHeading}</div>
+    ${ruleValue}
     ${currentPriceSection}
   </div>
 
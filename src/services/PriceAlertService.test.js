@@ -0,0 +1,308 @@
+// src/services/PriceAlertService.test.js
+//
+// Price alert rules (V3.15.0): rule validation per fuel, evaluating each rule
+// type, alert emails that say which rule fired, and the daily check — instant
+// rules vs the Monday digest, baselines recorded for rules that signed up
+// before coverage.
+// Channels (V3.16.0): SMS only after YES, STOP/START, push endpoints disabled
+// when gone, every send logged.
+// Fake sequelize, emails/SMS/push in dry-run mode; no DB, Resend or Twilio needed.
+//
+// Run: node src/services/PriceAlertService.test.js
+
+process.env.PRICE_ALERT_DRY_RUN = 'true';
+
+const PriceAlertService = require('./PriceAlertService');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+const PRICE_DATA = {
+  minPrice: 3.10,
+  totalSuppliers: 3,
+  supplierPrices: { 'sup-a': 3.10, 'sup-b': 3.45 },
+  topSuppliers: [
+    { name: 'Acme Oil', city: 'Hartford', phone: '8601110001', slug: 'acme-oil', price: 3.10 },
+    { name: 'Bolt Energy', city: 'Avon', phone: '8601110002', slug: 'bolt-energy', price: 3.45 }
+  ]
+};
+
+function sub(overrides) {
+  return {
+    id: 'pas-1', email: 'home@example.com', zip_code: '06103', unsubscribe_token: 'a'.repeat(64),
+    rule_type: 'below_price', fuel_type: 'heating_oil', delivery: 'instant',
+    threshold_price: '3.25', pct_drop: null, lookback_weeks: null, supplier_id: null, supplier_name: null,
+    signup_price_at_time: null, last_price_seen: null, last_alert_sent_at: null, alert_count: 0,
+    ...overrides
+  };
+}
+
+(async () => {
+  try {
+    console.log('\nnormalizeRule');
+    eq(PriceAlertService.normalizeRule({ threshold_price: '3.25' }).rule,
+      { rule_type: 'below_price', fuel_type: 'heating_oil', delivery: 'instant', threshold_price: 3.25, pct_drop: null, lookback_weeks: null, supplier_slug: null },
+      'legacy threshold payload → heating-oil below_price, instant');
+    eq(PriceAlertService.normalizeRule({ threshold_price: '7' }).error, 'Threshold must be between $2.00 and $6.00.', 'oil threshold keeps the old range');
+    eq(PriceAlertService.normalizeRule({ fuel_type: 'kerosene', threshold_price: '6.50' }).rule.threshold_price, 6.5, 'kerosene uses its own price range');
+    eq(PriceAlertService.normalizeRule({ fuel_type: 'propane', threshold_price: '5.50' }).error, 'Threshold must be between $1.50 and $5.00.', 'propane range enforced');
+    eq(PriceAlertService.normalizeRule({ fuel_type: 'diesel', threshold_price: '3' }).error, 'Alerts are available for heating oil, kerosene and propane.', 'unknown fuel rejected');
+    eq(PriceAlertService.normalizeRule({ rule_type: 'pct_drop', pct_drop: '10', delivery: 'weekly' }).rule,
+      { rule_type: 'pct_drop', fuel_type: 'heating_oil', delivery: 'weekly', threshold_price: null, pct_drop: 10, lookback_weeks: null, supplier_slug: null },
+      'pct_drop needs no threshold');
+    eq(PriceAlertService.normalizeRule({ rule_type: 'pct_drop', pct_drop: '45' }).error, 'Percentage drop must be between 2% and 30%.', 'pct_drop range enforced');
+    eq(PriceAlertService.normalizeRule({ rule_type: 'lowest_in_weeks', lookback_weeks: '1' }).error, 'Weeks must be between 2 and 12.', 'lookback range enforced');
+    eq(PriceAlertService.normalizeRule({ rule_type: 'supplier_watch', supplier_slug: ' Acme-Oil ' }).rule.supplier_slug, 'acme-oil', 'supplier slug normalized, threshold optional');
+    eq(PriceAlertService.normalizeRule({ rule_type: 'supplier_watch' }).error, 'Choose a supplier to watch.', 'supplier_watch needs a supplier');
+    eq(PriceAlertService.normalizeRule({ threshold_price: '3', delivery: 'daily' }).error, 'Delivery must be instant or weekly.', 'unknown delivery rejected');
+
+    console.log('\nevaluateRule / describeRule');
+    let r = PriceAlertService.evaluateRule(sub(), PRICE_DATA);
+    eq([r.fired, r.price, r.comparePrice], [true, 3.1, 3.25], 'below_price fires at or under the threshold');
+    eq(PriceAlertService.evaluateRule(sub({ threshold_price: '3.00' }), PRICE_DATA).fired, false, 'below_price holds above the threshold');
+
+    r = PriceAlertService.evaluateRule(sub({ rule_type: 'pct_drop', pct_drop: '10', signup_price_at_time: '3.50' }), PRICE_DATA);
+    eq([r.fired, r.comparePrice], [true, 3.5], 'pct_drop fires 11% under the signup price');
+    if (/down 11% from \$3\.50/.test(r.reason)) pass('pct_drop reason names the drop'); else fail('pct_drop reason names the drop', r.reason);
+    eq(PriceAlertService.evaluateRule(sub({ rule_type: 'pct_drop', pct_drop: '15', signup_price_at_time: '3.50' }), PRICE_DATA).fired, false, 'pct_drop holds under the percentage');
+    eq(PriceAlertService.evaluateRule(sub({ rule_type: 'pct_drop', pct_drop: '10' }), PRICE_DATA),
+      { fired: false, price: 3.1, baseline: 3.1 }, 'pct_drop without a baseline records today\'s price');
+
+    const weeks = sub({ rule_type: 'lowest_in_weeks', lookback_weeks: 6 });
+    eq(PriceAlertService.evaluateRule(weeks, PRICE_DATA, 3.15).fired, true, 'lowest_in_weeks fires under the prior low');
+    eq(PriceAlertService.evaluateRule(weeks, PRICE_DATA, 3.10).fired, false, 'lowest_in_weeks needs a strictly lower price');
+    eq(PriceAlertService.evaluateRule(weeks, PRICE_DATA, null).fired, false, 'lowest_in_weeks without history holds');
+
+    const watch = sub({ rule_type: 'supplier_watch', threshold_price: null, supplier_id: 'sup-b', supplier_name: 'Bolt Energy' });
+    eq(PriceAlertService.evaluateRule({ ...watch, signup_price_at_time: '3.60' }, PRICE_DATA).fired, true, 'supplier_watch fires when the supplier lowers its price');
+    eq(PriceAlertService.evaluateRule({ ...watch, signup_price_at_time: '3.60', last_price_seen: '3.45' }, PRICE_DATA).fired, false, 'supplier_watch compares against the last price we emailed');
+    eq(PriceAlertService.evaluateRule({ ...watch, threshold_price: '3.50' }, PRICE_DATA).price, 3.45, 'supplier_watch uses the supplier\'s price, not the ZIP low');
+    eq(PriceAlertService.evaluateRule({ ...watch, supplier_id: 'sup-x' }, PRICE_DATA), { fired: false, price: null }, 'unpriced supplier holds');
+
+    eq(PriceAlertService.describeRule(sub({ fuel_type: 'propane', threshold_price: '2.80' })), 'lowest propane price below $2.80/gal', 'describe below_price');
+    eq(PriceAlertService.describeRule(weeks), 'lowest heating oil price in 6 weeks', 'describe lowest_in_weeks');
+    eq(PriceAlertService.describeRule(watch), 'Bolt Energy lowers its heating oil price', 'describe supplier_watch');
+
+    eq(PriceAlertService.isDigestDay(new Date('2026-10-19T12:00:00Z')), true, 'Monday is digest day');
+    eq(PriceAlertService.isDigestDay(new Date('2026-10-20T03:00:00Z')), true, 'late Monday evening ET still counts');
+    eq(PriceAlertService.isDigestDay(new Date('2026-10-20T12:00:00Z')), false, 'Tuesday is not');
+
+    console.log('\nalert emails');
+    const service = new PriceAlertService(fakeSequelize(() => null), quietLogger);
+    const pctSub = sub({ rule_type: 'pct_drop', pct_drop: '10', signup_price_at_time: '3.50' });
+    const pctRule = PriceAlertService.evaluateRule(pctSub, PRICE_DATA);
+    let html = service.buildAlertEmailHtml({
+      ...PRICE_DATA, zip_code: '06103', threshold_price: null, unsubscribe_token: pctSub.unsubscribe_token,
+      rule: { ...pctRule, type: 'pct_drop', description: PriceAlertService.describeRule(pctSub) }
+    });
+    if (/down 11% from \$3\.50 when you signed up/.test(html)) pass('email explains which rule fired'); else fail('email explains which rule fired');
+    if (/vs\. the price when you signed up/.test(html)) pass('savings measured against the rule\'s reference'); else fail('savings measured against the rule\'s reference');
+    eq(PriceAlertService.alertSubject(pctSub, PRICE_DATA, pctRule), 'Heating oil down 11% in 06103 — $3.10/gal', 'pct_drop subject');
+
+    const watchSub = { ...watch, signup_price_at_time: '3.60' };
+    const watchRule = PriceAlertService.evaluateRule(watchSub, PRICE_DATA);
+    html = service.buildAlertEmailHtml({
+      ...PRICE_DATA, zip_code: '06103', threshold_price: null, unsubscribe_token: watchSub.unsubscribe_token,
+      rule: { ...watchRule, type: 'supplier_watch', supplierName: 'Bolt Energy', description: PriceAlertService.describeRule(watchSub) }
+    });
+    if (/Bolt Energy in 06103[^]*\$3\.45/.test(html)) pass('supplier watch leads with the supplier\'s price'); else fail('supplier watch leads with the supplier\'s price');
+    eq(PriceAlertService.alertSubject(watchSub, PRICE_DATA, watchRule), 'Bolt Energy dropped to $3.45/gal', 'supplier_watch subject');
+
+    html = service.buildAlertEmailHtml({ ...PRICE_DATA, zip_code: '06103', threshold_price: 3.25, unsubscribe_token: 'a'.repeat(64) });
+    if (/is below your \$3\.25 target/.test(html) && /Get quotes/i.test(html)) pass('no rule → original threshold email with quote CTA');
+    else fail('no rule → original threshold email with quote CTA');
+
+    const propane = sub({ fuel_type: 'propane', threshold_price: '2.80' });
+    const propaneRule = PriceAlertService.evaluateRule(propane, { ...PRICE_DATA, minPrice: 2.60 });
+    html = service.buildAlertEmailHtml({
+      ...PRICE_DATA, minPrice: 2.60, zip_code: '06103', threshold_price: 2.8, unsubscribe_token: 'a'.repeat(64), fuel_type: 'propane',
+      rule: { ...propaneRule, type: 'below_price', description: PriceAlertService.describeRule(propane) }
+    });
+    if (/\/prices\/propane\//.test(html) && !/Get quotes/i.test(html)) pass('propane links its price page, no oil quote CTA');
+    else fail('propane links its price page, no oil quote CTA');
+
+    const held = PriceAlertService.evaluateRule(sub({ threshold_price: '3.00' }), PRICE_DATA);
+    html = service.buildAlertEmailHtml({
+      ...PRICE_DATA, zip_code: '06103', threshold_price: 3, unsubscribe_token: 'a'.repeat(64), digest: true,
+      rule: { ...held, type: 'below_price', description: 'lowest heating oil price below $3.00/gal' }
+    });
+    if (/hasn't triggered yet/.test(html) && /weekly_digest/.test(html)) pass('digest reports an unmet rule'); else fail('digest reports an unmet rule');
+    eq(PriceAlertService.alertSubject(sub(), PRICE_DATA, held, true), 'Your weekly heating oil prices for 06103: $3.10/gal', 'digest subject');
+
+    html = service.buildWelcomeEmailHtml({
+      zip_code: '06103', threshold_price: null, current_price: 3.1, unsubscribe_token: 'a'.repeat(64),
+      rule: { rule_type: 'lowest_in_weeks', fuel_type: 'heating_oil', delivery: 'weekly', description: 'lowest heating oil price in 6 weeks' }
+    });
+    if (/Alert rule/.test(html) && /lowest heating oil price in 6 weeks/.test(html) && /every Monday/.test(html)) pass('welcome email describes the rule and digest');
+    else fail('welcome email describes the rule and digest');
+
+    console.log('\nrunDailyCheck');
+    const subscribers = [
+      sub({ id: 'fires' }),
+      sub({ id: 'holds', threshold_price: '3.00' }),
+      sub({ id: 'dedup', last_price_seen: '3.10', last_alert_sent_at: new Date(Date.now() - 30 * 864e5).toISOString() }),
+      sub({ id: 'baseline', rule_type: 'pct_drop', pct_drop: '10', threshold_price: null }),
+      sub({ id: 'weeks', rule_type: 'lowest_in_weeks', lookback_weeks: 4, threshold_price: null }),
+      sub({ id: 'digest', delivery: 'weekly', threshold_price: '3.00' }),
+      sub({ id: 'stale', zip_code: '06103', fuel_type: 'kerosene', threshold_price: '5.00' })
+    ];
+    const db = fakeSequelize((sql, opts) => {
+      if (/pg_try_advisory_lock/.test(sql)) return [[{ locked: true }]];
+      if (/FROM price_alert_subscribers pas/.test(sql)) return [subscribers];
+      if (/SELECT MIN\(sp.price_per_gallon\) AS low/.test(sql)) return [[{ low: '3.15' }]];
+      if (/SELECT DISTINCT ON \(s.id\)/.test(sql)) {
+        if (opts.replacements.fuelType !== 'heating_oil') return [[]];
+        return [[
+          { id: 'sup-a', name: 'Acme Oil', city: 'Hartford', phone: '8601110001', slug: 'acme-oil', price_per_gallon: '3.10' },
+          { id: 'sup-b', name: 'Bolt Energy', city: 'Avon', phone: '8601110002', slug: 'bolt-energy', price_per_gallon: '3.45' }
+        ]];
+      }
+      if (/information_schema.tables/.test(sql)) return [[]];
+      return null;
+    });
+    const checker = new PriceAlertService(db, quietLogger);
+    const sentTo = [];
+    checker.sendAlertEmail = async (s, priceData, rule, opts = {}) => { sentTo.push([s.id, !!opts.digest]); return true; };
+
+    const realDigestDay = PriceAlertService.isDigestDay;
+    PriceAlertService.isDigestDay = () => false;
+    let result;
+    try {
+      result = await checker.runDailyCheck();
+    } finally {
+      PriceAlertService.isDigestDay = realDigestDay;
+    }
+    eq(sentTo, [['fires', false], ['weeks', false]], 'instant alerts only for rules that fired');
+    eq(result.skip_reasons, { not_triggered: 2, dedup: 1, cooldown: 0, digest_wait: 1, no_channel: 0, stale: 1 }, 'skip reasons counted');
+    const baselineCall = db.calls.find(c => /SET signup_price_at_time = :price/.test(c.sql));
+    eq(baselineCall && baselineCall.opts.replacements, { subscriberId: 'baseline', price: 3.1 }, 'pct_drop baseline recorded from today\'s low');
+    const prevLowCall = db.calls.find(c => /AS low/.test(c.sql));
+    eq(prevLowCall && prevLowCall.opts.replacements.weeks, 4, 'previous low looks back the rule\'s weeks');
+    const marks = db.calls.filter(c => /SET last_alert_sent_at = NOW\(\)/.test(c.sql)).map(c => c.opts.replacements);
+    eq(marks, [{ subscriberId: 'fires', price: 3.1 }, { subscriberId: 'weeks', price: 3.1 }], 'sent alerts marked at the rule price');
+
+    sentTo.length = 0;
+    PriceAlertService.isDigestDay = () => true;
+    try {
+      result = await checker.runDailyCheck();
+    } finally {
+      PriceAlertService.isDigestDay = realDigestDay;
+    }
+    if (sentTo.some(([id, digest]) => id === 'digest' && digest)) pass('Monday sends the digest even though the rule holds');
+    else fail('Monday sends the digest even though the rule holds', JSON.stringify(sentTo));
+    eq(result.digests_sent, 1, 'digest counted separately');
+
+    console.log('\nchannels');
+    eq(PriceAlertService.normalizeSmsPhone('+1 (860) 555-0142'), '8605550142', 'phone normalized to last 10');
+    eq(PriceAlertService.normalizeSmsPhone('555-0142'), null, 'short number rejected');
+    eq(PriceAlertService.normalizeSmsPhone('1605550142'), null, 'invalid area code rejected');
+    eq(PriceAlertService.smsActive({ sms_phone_last10: '8605550142', sms_confirmed_at: null }), false, 'unconfirmed phone gets no texts');
+    eq(PriceAlertService.smsActive({ sms_phone_last10: '8605550142', sms_confirmed_at: '2026-10-01', sms_opted_out_at: '2026-10-02' }), false, 'STOPped phone gets no texts');
+
+    const chanDb = fakeSequelize((sql) => {
+      if (/INSERT INTO price_alert_deliveries/.test(sql)) return [[{ id: 'd-' + chanDb.calls.length }]];
+      return null;
+    });
+    const chan = new PriceAlertService(chanDb, quietLogger);
+    const multi = sub({
+      email_enabled: false, sms_phone_last10: '8605550142', sms_confirmed_at: '2026-10-01',
+      push_subscription_id: 'ps-1', push_endpoint: 'https://fcm.googleapis.com/fcm/send/x'
+    });
+    let delivered = await chan.deliverAlert(multi, PRICE_DATA, PriceAlertService.evaluateRule(multi, PRICE_DATA));
+    eq(delivered, { sms: true, push: true }, 'email off → SMS and push only');
+    const logged = chanDb.calls.filter(c => /INSERT INTO price_alert_deliveries/.test(c.sql)).map(c => c.opts.replacements);
+    eq(logged.map(r => [r.channel, r.kind, r.status]), [['sms', 'alert', 'sent'], ['push', 'alert', 'sent']], 'each channel logged');
+    eq(logged[1].body, 'Heating oil in 06103 is below your $3.25 target.', 'push message carries the rule reason');
+    if (/^https:\/\/www\.gethomeheat\.com\/prices\.html\?zip=06103/.test(logged[1].url)) pass('push opens the ZIP price page'); else fail('push opens the ZIP price page', logged[1].url);
+
+    chanDb.calls.length = 0;
+    eq(await chan.recordPushResult(multi, 'd-9', { ok: false, gone: true, error: 'HTTP 410' }), false, 'gone endpoint reported as failed');
+    eq(chanDb.calls[0].opts.replacements, { deliveryId: 'd-9', error: 'HTTP 410' }, 'delivery marked failed with the reason');
+    eq([chanDb.calls[1].opts.replacements.id, chanDb.calls[1].opts.replacements.gone], ['ps-1', true], 'gone endpoint disabled');
+    if (/failure_count \+ 1 >= :maxFailures/.test(chanDb.calls[1].sql)) pass('repeated failures also disable'); else fail('repeated failures also disable', chanDb.calls[1].sql);
+    chanDb.calls.length = 0;
+    eq(await chan.recordPushResult(multi, 'd-10', { ok: true }), true, 'successful push');
+    if (/SET last_success_at = NOW\(\), failure_count = 0/.test(chanDb.calls[0].sql)) pass('success resets the failure streak'); else fail('success resets the failure streak');
+
+    delivered = await chan.deliverAlert({ ...multi, sms_confirmed_at: null, push_endpoint: null }, PRICE_DATA, PriceAlertService.evaluateRule(multi, PRICE_DATA));
+    eq(delivered, {}, 'unconfirmed SMS and no push → nothing sent');
+
+    console.log('\nSMS opt-in');
+    let state = { opted_out: false, confirmed_for_email: false, sent_today: '0' };
+    let globalCount = '0';
+    const smsDb = fakeSequelize((sql) => {
+      if (/BOOL_OR\(sms_opted_out_at IS NOT NULL\)/.test(sql)) return [[state]];
+      if (/kind = 'confirm'/.test(sql)) return [[{ count: globalCount }]];
+      if (/SET sms_confirmed_at = NOW\(\), sms_opted_out_at = NULL/.test(sql)) return [[{ zip_code: '06103' }, { zip_code: '06103' }, { zip_code: '06107' }]];
+      if (/SET sms_opted_out_at = NOW\(\)/.test(sql)) return [[{ id: 'a' }, { id: 'b' }]];
+      if (/SET sms_opted_out_at = NULL/.test(sql)) return [[{ id: 'a' }]];
+      return null;
+    });
+    const sms = new PriceAlertService(smsDb, quietLogger);
+    const pending = { id: 'pas-9', email: 'home@example.com', zip_code: '06103', fuel_type: 'heating_oil', sms_phone_last10: '8605550142' };
+    eq(await sms.requestSmsConfirm(pending), 'confirm_sent', 'new phone asked to reply YES');
+    if (smsDb.calls.some(c => /SET sms_confirm_sent_at = NOW\(\)/.test(c.sql))) pass('confirm text timestamped'); else fail('confirm text timestamped');
+    state = { opted_out: false, confirmed_for_email: true, sent_today: '0' };
+    eq(await sms.requestSmsConfirm(pending), 'confirmed', 'phone already confirmed for this email skips the text');
+    state = { opted_out: true, confirmed_for_email: true, sent_today: '0' };
+    eq(await sms.requestSmsConfirm(pending), 'opted_out', 'STOPped phone is never texted');
+    state = { opted_out: false, confirmed_for_email: false, sent_today: '3' };
+    eq(await sms.requestSmsConfirm(pending), 'rate_limited', 'three confirm texts per phone per day');
+    state = { opted_out: false, confirmed_for_email: false, sent_today: '0' };
+    globalCount = '100';
+    eq(await sms.requestSmsConfirm(pending), 'rate_limited', 'global confirm cap');
+
+    eq(await sms.handleSmsConfirm('+18605550142'), ['06103', '06107'], 'YES confirms pending ZIPs for that phone');
+    const yes = smsDb.calls.find(c => /SET sms_confirmed_at = NOW\(\), sms_opted_out_at = NULL/.test(c.sql));
+    eq(yes.opts.replacements.phone, '8605550142', 'YES matched on last 10 digits');
+    if (/sms_confirm_sent_at > NOW\(\) - INTERVAL '7 days'/.test(yes.sql)) pass('YES only counts within a week of the ask'); else fail('YES only counts within a week of the ask', yes.sql);
+    eq(await sms.handleSmsStop('+18605550142'), 2, 'STOP stops every alert on that phone');
+    eq(await sms.handleSmsStart('+18605550142'), 1, 'START resumes confirmed alerts');
+    eq(await sms.handleSmsStop('garbage'), 0, 'unparseable phone ignored');
+
+    console.log('\npush subscriptions');
+    const pushDb = fakeSequelize((sql) => /INSERT INTO price_alert_push_subscriptions/.test(sql) ? [[{ id: 'ps-7' }]] : null);
+    const push = new PriceAlertService(pushDb, quietLogger);
+    eq(await push.savePushSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'k', auth: 'a' } }, 'UA'), 'ps-7', 'browser endpoint stored');
+    eq(await push.savePushSubscription({ endpoint: 'https://10.0.0.5/hook' }), null, 'non-push-service endpoint refused');
+    eq(pushDb.calls.length, 1, 'refused endpoint never stored');
+
+    console.log('\nno channel');
+    const quietSubs = [sub({ id: 'sms-pending', email_enabled: false, sms_phone_last10: '8605550142' })];
+    const quietDb = fakeSequelize((sql) => {
+      if (/pg_try_advisory_lock/.test(sql)) return [[{ locked: true }]];
+      if (/FROM price_alert_subscribers pas/.test(sql)) return [quietSubs];
+      if (/SELECT DISTINCT ON \(s.id\)/.test(sql)) return [[{ id: 'sup-a', name: 'Acme Oil', price_per_gallon: '3.10' }]];
+      if (/information_schema.tables/.test(sql)) return [[]];
+      return null;
+    });
+    result = await new PriceAlertService(quietDb, quietLogger).runDailyCheck();
+    eq([result.alerts_sent, result.skip_reasons.no_channel], [0, 1], 'SMS-only subscriber waits for YES');
+    if (quietDb.calls.some(c => /LEFT JOIN price_alert_push_subscriptions ps ON ps.id = pas.push_subscription_id AND ps.disabled_at IS NULL/.test(c.sql))) pass('disabled push endpoints not loaded');
+    else fail('disabled push endpoints not loaded');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
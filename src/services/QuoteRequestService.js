@@ -4,6 +4,17 @@
  * Lead routing: consumer requests quotes via web form → OTP verification →
  * 2-3 opted-in suppliers get branded SMS lead → supplier calls consumer.
  *
+ * Bid mode (V3.12.0, consumer opts in on the form): suppliers get the job
+ * details without the consumer's name or number and reply with a firm
+ * price + delivery window (SMS "BID 3.49 Thursday" or the /r/:token form).
+ * The consumer compares bids on /v/:requestId and accepts one; the winner gets
+ * the phone number, everyone else a polite close-out. Bid history reorders
+ * suppliers inside their match tier (_rotateWithinTiers).
+ *
+ * Outcomes (V3.13.0): consumers who say a supplier reached them are asked for
+ * a 1–5 rating; quoteOutcomes.js turns it all into supplier scorecards, and
+ * suppliers who keep ignoring leads are only used after everyone else.
+ *
  * Two separate SMS channels:
  *   Price SMS (845-335-8855): sms-price-service.js, TWILIO_PHONE_NUMBER, sms_opted_out
  *   Lead SMS (934-348-HEAT): this service, TWILIO_LEAD_PHONE_NUMBER, leads_opted_out_at
@@ -11,8 +22,9 @@
  */
 
 const crypto = require('crypto');
-const twilio = require('twilio');
 const { findSuppliersForZip } = require('./supplierMatcher');
+const { getNotificationService } = require('./NotificationService');
+const { getRepeatIgnorers } = require('./quoteOutcomes');
 const { isValidZip } = require('../utils/email-validation');
 const { escapeHtml } = require('../utils/html');
 const { extractLast10, formatPhone } = require('../utils/phone');
@@ -21,7 +33,6 @@ const { SITE_URL, QUOTE_STATUS, QUOTE_SUPPLIER_STATUS } = require('../utils/cons
 // --- Configuration (env-driven) ---
 const DISABLED = process.env.DISABLE_QUOTE_SYSTEM === 'true';
 const TRIAL_ZIPS = (process.env.QUOTE_TRIAL_ZIPS || '').split(',').filter(Boolean);
-const LEAD_PHONE = process.env.TWILIO_LEAD_PHONE_NUMBER;
 const CLAIM_SECRET = process.env.CLAIM_VERIFY_SECRET;
 
 // --- Constants ---
@@ -40,22 +51,16 @@ const MAX_OTP_SMS_PER_DAY = parseInt(process.env.QUOTE_MAX_OTP_PER_DAY) || 50;
 const BUSINESS_HOURS = { start: 6, end: 19 }; // ET — suppliers plan routes as early as 6 AM
 const MIN_FORM_TIME_MS = 3000;
 const ADVISORY_LOCK_KEY = 742019233;
+const BID_PRICE_MIN = 1.50;
+const BID_PRICE_MAX = 8.00;
+const BID_WINDOW_MAX_LENGTH = 60;
+const BID_STATS_DAYS = 90;
+const BID_STATS_MIN_INVITES = 3; // Fewer settled invites than this → no rank adjustment
 
 class QuoteRequestService {
   constructor(sequelize, logger) {
     this.sequelize = sequelize;
     this.logger = logger;
-    this.twilioClient = null;
-
-    const sid = process.env.TWILIO_ACCOUNT_SID;
-    const token = process.env.TWILIO_AUTH_TOKEN;
-
-    if (sid && token) {
-      this.twilioClient = twilio(sid, token);
-      this.logger.info('[QuoteRequest] Twilio client initialized');
-    } else {
-      this.logger.warn('[QuoteRequest] Twilio credentials not configured — SMS disabled');
-    }
 
     if (DISABLED) {
       this.logger.info('[QuoteRequest] System DISABLED via env var');
@@ -138,25 +143,23 @@ class QuoteRequestService {
 
   // ─── Send SMS (lead channel only) ─────────────────────────
 
-  /** Send SMS via lead phone number. Returns Twilio result or null on failure. */
+  /**
+   * Send SMS from the lead phone number (NotificationService stream 'lead',
+   * which skips phones that texted STOP). Returns { sid } or null when not sent.
+   */
   async sendLeadSMS(toPhone, message) {
-    if (!this.twilioClient || !LEAD_PHONE) {
-      this.logger.warn('[QuoteRequest] Cannot send SMS — Twilio or lead phone not configured');
-      return null;
-    }
-
-    try {
-      const result = await this.twilioClient.messages.create({
-        body: message,
-        from: LEAD_PHONE,
-        to: '+1' + extractLast10(toPhone)
-      });
-      this.logger.info(`[QuoteRequest] SMS sent to ${toPhone}: SID ${result.sid}`);
-      return result;
-    } catch (err) {
-      this.logger.error(`[QuoteRequest] SMS failed to ${toPhone}: ${err.message}`);
+    const sent = await getNotificationService().send({
+      channel: 'sms',
+      to: toPhone,
+      stream: 'lead',
+      source: 'quote-request',
+      body: message
+    });
+    if (!sent.ok) {
+      this.logger.warn(`[QuoteRequest] SMS to ${toPhone} not sent: ${sent.error || sent.status}`);
       return null;
     }
+    return { sid: sent.providerId };
   }
 
   // ─── Availability Check ────────────────────────────────────
@@ -203,7 +206,7 @@ class QuoteRequestService {
    * Validate form, check suppliers exist, send OTP.
    * Returns { success, request_id, ... } or { error }
    */
-  async createQuoteRequest({ consumer_name, consumer_phone, consumer_zip, gallons_requested, tank_level, source_page, honeypot, form_rendered_at }) {
+  async createQuoteRequest({ consumer_name, consumer_phone, consumer_zip, gallons_requested, tank_level, bid_mode, source_page, honeypot, form_rendered_at }) {
     if (DISABLED) return { error: 'Quote system is currently disabled.' };
 
     // --- Validation ---
@@ -229,6 +232,7 @@ class QuoteRequestService {
 
     const validTankLevels = ['empty', 'quarter', 'half', 'not_sure'];
     const level = validTankLevels.includes(tank_level) ? tank_level : 'not_sure';
+    const bidMode = bid_mode === true || bid_mode === 'true';
 
     // Anti-bot: honeypot must be empty
     if (honeypot) {
@@ -276,12 +280,12 @@ class QuoteRequestService {
     const [insertResult] = await this.sequelize.query(`
       INSERT INTO quote_requests (
         consumer_name, consumer_phone, consumer_phone_last10, consumer_zip,
-        gallons_requested, tank_level, phone_verified,
+        gallons_requested, tank_level, bid_mode, phone_verified,
         verification_code, verification_attempts, verification_expires_at,
         status, source_page, is_business_hours, honeypot, form_rendered_at
       ) VALUES (
         :name, :phone, :phone10, :zip,
-        :gallons, :level, false,
+        :gallons, :level, :bidMode, false,
         NULL, 0, NOW() + INTERVAL '${OTP_EXPIRY_MINUTES} minutes',
         'pending_verification', :source_page, :is_business_hours, '', :form_rendered_at
       )
@@ -289,7 +293,7 @@ class QuoteRequestService {
     `, {
       replacements: {
         name, phone: consumer_phone, phone10, zip,
-        gallons, level,
+        gallons, level, bidMode,
         source_page: source_page || null,
         is_business_hours: isBusinessHrs,
         form_rendered_at: form_rendered_at ? parseInt(form_rendered_at) : null
@@ -316,14 +320,15 @@ class QuoteRequestService {
       return { error: 'Could not send verification link. Please try again.' };
     }
 
-    await this._logAudit(null, 'system', 'quote_request_created', { requestId, zip, gallons, phone10: phone10.slice(-4) });
+    await this._logAudit(null, 'system', 'quote_request_created', { requestId, zip, gallons, bidMode, phone10: phone10.slice(-4) });
 
     return {
       success: true,
       request_id: requestId,
       verify_sent: true,
       is_business_hours: isBusinessHrs,
-      mode: isColdZip ? 'cold' : 'routed'
+      mode: isColdZip ? 'cold' : 'routed',
+      bid_mode: bidMode
     };
   }
 
@@ -377,6 +382,7 @@ class QuoteRequestService {
       const allSuppliers = result.sent > 0 ? await this._getAllSuppliersForZip(request.consumer_zip) : [];
       return {
         success: true,
+        bid_mode: request.bid_mode,
         suppliers_notified: result.sent,
         is_business_hours: true,
         fallback_phones: result.sent > 0 ? this._buildFallbackPhones(allSuppliers) : result.fallbackPhones
@@ -393,6 +399,7 @@ class QuoteRequestService {
       const allSuppliers = await this._getAllSuppliersForZip(request.consumer_zip);
       return {
         success: true,
+        bid_mode: request.bid_mode,
         suppliers_notified: 0,
         is_business_hours: false,
         queued: true,
@@ -493,7 +500,20 @@ class QuoteRequestService {
 
       const shortResponseUrl = `${SITE_URL}/r/${token}`;
 
-      const smsBody = [
+      // Bid mode: no name or number until the consumer accepts this supplier's bid
+      const smsBody = request.bid_mode ? [
+        `New Oil Request via HomeHeat — firm price wanted`,
+        ``,
+        `ZIP ${request.consumer_zip} · ~${request.gallons_requested} gal${tankLevelText}`,
+        ``,
+        `Reply with your price/gal and when you can deliver:`,
+        `BID 3.49 Thursday`,
+        ``,
+        `or bid here: ${shortResponseUrl}`,
+        othersCount > 0 ? `\nAlso sent to ${othersCount} other supplier${othersCount > 1 ? 's' : ''}` : '',
+        ``,
+        `STOP to opt out`
+      ].join('\n') : [
         `New Oil Request via HomeHeat`,
         ``,
         `ZIP ${request.consumer_zip} · ~${request.gallons_requested} gal${tankLevelText}`,
@@ -580,7 +600,8 @@ class QuoteRequestService {
     if (!token) return { found: false };
 
     const [rows] = await this.sequelize.query(`
-      SELECT qrs.*, qr.consumer_name, qr.consumer_zip, qr.gallons_requested,
+      SELECT qrs.*, qr.consumer_name, qr.consumer_zip, qr.gallons_requested, qr.tank_level,
+             qr.bid_mode, qr.status AS request_status, qr.expires_at,
              s.name AS supplier_name
       FROM quote_request_suppliers qrs
       JOIN quote_requests qr ON qr.id = qrs.quote_request_id
@@ -591,6 +612,22 @@ class QuoteRequestService {
     if (rows.length === 0) return { found: false };
 
     const row = rows[0];
+
+    // Bid mode: the link opens the bid form — bidding is the response
+    if (row.bid_mode) {
+      return {
+        found: true,
+        bid_mode: true,
+        supplier_name: row.supplier_name,
+        zip: row.consumer_zip,
+        gallons: row.gallons_requested,
+        tank_level: row.tank_level,
+        open: row.request_status === 'dispatched' && new Date(row.expires_at) > new Date(),
+        bid: row.bid_at ? { price: parseFloat(row.bid_price_per_gallon), delivery_window: row.bid_delivery_window } : null,
+        outcome: row.bid_outcome || null
+      };
+    }
+
     if (row.responded_at) return { found: true, already_responded: true, supplier_name: row.supplier_name };
 
     await this.sequelize.query(`
@@ -605,9 +642,285 @@ class QuoteRequestService {
     return { found: true, supplier_name: row.supplier_name, consumer_name: row.consumer_name };
   }
 
+  // ─── Bid Mode ──────────────────────────────────────────────
+
+  /**
+   * Parse a supplier's SMS bid: "BID 3.49 Thursday", "bid $3.49/gal tomorrow AM",
+   * "BID 349 Fri" (cents). Returns { price, deliveryWindow } or { error }.
+   */
+  static parseBidReply(body) {
+    const match = (body || '').trim().match(/^BID\s+\$?(\d+(?:\.\d{1,3})?)\s*(?:\/\s*gal(?:lon)?\b)?[\s,;:-]*(.*)$/i);
+    if (!match) return { error: 'To bid, reply BID then your price/gal and delivery day, e.g. BID 3.49 Thursday' };
+
+    let price = parseFloat(match[1]);
+    if (!match[1].includes('.') && price >= BID_PRICE_MIN * 100 && price <= BID_PRICE_MAX * 100) price = price / 100;
+    if (price < BID_PRICE_MIN || price > BID_PRICE_MAX) {
+      return { error: `Price must be between $${BID_PRICE_MIN.toFixed(2)} and $${BID_PRICE_MAX.toFixed(2)}/gal` };
+    }
+
+    const deliveryWindow = QuoteRequestService.sanitizeDeliveryWindow(match[2]);
+    if (!deliveryWindow) return { error: 'Add when you can deliver, e.g. BID 3.49 Thursday' };
+
+    return { price: Math.round(price * 1000) / 1000, deliveryWindow };
+  }
+
+  /** Delivery window as shown to the consumer: single line, ≤60 chars */
+  static sanitizeDeliveryWindow(text) {
+    return (text || '').replace(/[\x00-\x1F\x7F]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, BID_WINDOW_MAX_LENGTH);
+  }
+
+  /**
+   * Rank adjustment from settled bid invites (last 90 days):
+   * +1 bids and wins, -1 ignores most invites, 0 otherwise / too little history.
+   */
+  static bidRank({ invites, bids, wins }) {
+    invites = parseInt(invites) || 0;
+    bids = parseInt(bids) || 0;
+    wins = parseInt(wins) || 0;
+    if (invites < BID_STATS_MIN_INVITES) return 0;
+    if (bids / invites < 1 / 3) return -1;
+    if (wins > 0 && wins / bids >= 1 / 3) return 1;
+    return 0;
+  }
+
+  /**
+   * Record (or revise) a supplier's bid. Open until the consumer accepts one
+   * or the request expires. First bid texts the consumer the bids page.
+   * @param {string} token - quote_request_suppliers.response_token
+   * @param {object} bid
+   * @param {number} bid.price - $/gal
+   * @param {string} bid.deliveryWindow - e.g. "Thursday", "tomorrow AM"
+   * @param {string} bid.source - 'sms' | 'web'
+   * @returns {Promise<{ success?: boolean, error?: string, requestId?: string, zip?: string, price?: number, deliveryWindow?: string }>}
+   */
+  async submitBid(token, { price, deliveryWindow, source }) {
+    if (!token) return { error: 'Invalid bid link.' };
+
+    const priceNum = parseFloat(price);
+    if (isNaN(priceNum) || priceNum < BID_PRICE_MIN || priceNum > BID_PRICE_MAX) {
+      return { error: `Price must be between $${BID_PRICE_MIN.toFixed(2)} and $${BID_PRICE_MAX.toFixed(2)}/gal.` };
+    }
+    const windowText = QuoteRequestService.sanitizeDeliveryWindow(deliveryWindow);
+    if (!windowText) return { error: 'Please say when you can deliver.' };
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE quote_request_suppliers qrs
+      SET bid_price_per_gallon = :price, bid_delivery_window = :window, bid_source = :source,
+          bid_at = NOW(), responded_at = COALESCE(qrs.responded_at, NOW()), status = 'responded'
+      FROM quote_requests qr
+      WHERE qrs.response_token = :token
+        AND qr.id = qrs.quote_request_id
+        AND qr.bid_mode = true
+        AND qr.status = 'dispatched'
+        AND qr.expires_at > NOW()
+        AND qrs.sms_sent_at IS NOT NULL
+      RETURNING qrs.id, qrs.supplier_id, qr.id AS request_id, qr.consumer_zip, qr.gallons_requested
+    `, {
+      replacements: { token, price: Math.round(priceNum * 1000) / 1000, window: windowText, source: source === 'sms' ? 'sms' : 'web' }
+    });
+
+    if (rows.length === 0) return { error: 'This request is closed — the customer already chose a supplier or it expired.' };
+
+    const bid = rows[0];
+
+    // Consumer hears about the first bid only; later ones show up on the same page
+    const [firstBid] = await this.sequelize.query(`
+      UPDATE quote_requests SET bids_notified_at = NOW(), updated_at = NOW()
+      WHERE id = :id AND bids_notified_at IS NULL
+      RETURNING consumer_phone
+    `, { replacements: { id: bid.request_id } });
+
+    if (firstBid.length > 0) {
+      const bidsUrl = `${SITE_URL}/v/${bid.request_id}?h=${QuoteRequestService.generateVerifyHash(bid.request_id)}`;
+      await this.sendLeadSMS(
+        firstBid[0].consumer_phone,
+        `HomeHeat\n\nYou have a firm price for your oil request. Compare bids and pick one:\n${bidsUrl}\n\nMore may arrive over the next few hours.`
+      );
+    }
+
+    await this._logAudit(bid.supplier_id, 'supplier', 'quote_bid_submitted', {
+      requestId: bid.request_id, zip: bid.consumer_zip, price: priceNum, source
+    });
+
+    return { success: true, requestId: bid.request_id, zip: bid.consumer_zip, price: priceNum, deliveryWindow: windowText };
+  }
+
+  /**
+   * Inbound "BID ..." on the lead number. Matched to the supplier's most
+   * recent open bid invite by phone — the listing phone or the lead_phone the
+   * invites go to (stored as entered, so compared on its last 10 digits).
+   * Returns { reply } for the TwiML response.
+   */
+  async handleSupplierBidSMS(fromPhone, body) {
+    const phone10 = extractLast10(fromPhone);
+    if (!phone10) return { reply: null };
+
+    const parsed = QuoteRequestService.parseBidReply(body);
+    if (parsed.error) return { reply: parsed.error };
+
+    const [open] = await this.sequelize.query(`
+      SELECT qrs.response_token
+      FROM quote_request_suppliers qrs
+      JOIN quote_requests qr ON qr.id = qrs.quote_request_id
+      JOIN suppliers s ON s.id = qrs.supplier_id
+      WHERE (s.phone_last10 = :phone
+             OR RIGHT(regexp_replace(s.lead_phone, '[^0-9]', '', 'g'), 10) = :phone)
+        AND qr.bid_mode = true
+        AND qr.status = 'dispatched'
+        AND qr.expires_at > NOW()
+        AND qrs.sms_sent_at IS NOT NULL
+      ORDER BY qrs.sms_sent_at DESC
+    `, { replacements: { phone: phone10 } });
+
+    if (open.length === 0) {
+      return { reply: 'No open requests are waiting for a bid. Bids close when the customer picks one or after 24 hours.' };
+    }
+
+    const result = await this.submitBid(open[0].response_token, { ...parsed, source: 'sms' });
+    if (result.error) return { reply: result.error };
+
+    const others = open.length - 1;
+    return {
+      reply: `Bid $${result.price.toFixed(2)}/gal (${result.deliveryWindow}) sent for ZIP ${result.zip}. We'll text you if the customer accepts.` +
+        (others > 0 ? ` You have ${others} other open request${others > 1 ? 's' : ''} — use the link in ${others > 1 ? 'those texts' : 'that text'} to bid.` : '')
+    };
+  }
+
+  /**
+   * Bids for the consumer's /v/:requestId page, cheapest first.
+   * Returns null for a bad link or a request that isn't in bid mode.
+   */
+  async getBidBoard(requestId, hash) {
+    if (!requestId || !QuoteRequestService.verifyLinkHash(requestId, hash)) return null;
+
+    const [requests] = await this.sequelize.query(`
+      SELECT id, consumer_zip, gallons_requested, status, bid_mode, accepted_bid_id, accepted_at, expires_at
+      FROM quote_requests WHERE id = :id
+    `, { replacements: { id: requestId } });
+
+    if (requests.length === 0 || !requests[0].bid_mode) return null;
+    const request = requests[0];
+
+    const [rows] = await this.sequelize.query(`
+      SELECT qrs.id, qrs.bid_price_per_gallon, qrs.bid_delivery_window, qrs.bid_at, qrs.bid_outcome,
+             s.name, s.city, s.state, COALESCE(s.lead_phone, s.phone) AS phone
+      FROM quote_request_suppliers qrs
+      JOIN suppliers s ON s.id = qrs.supplier_id
+      WHERE qrs.quote_request_id = :id AND qrs.sms_sent_at IS NOT NULL
+      ORDER BY qrs.bid_price_per_gallon ASC NULLS LAST, qrs.bid_at ASC
+    `, { replacements: { id: requestId } });
+
+    const gallons = request.gallons_requested;
+    return {
+      request: {
+        id: request.id,
+        zip: request.consumer_zip,
+        gallons,
+        status: request.status,
+        open: request.status === 'dispatched' && new Date(request.expires_at) > new Date(),
+        acceptedBidId: request.accepted_bid_id,
+        acceptedAt: request.accepted_at,
+        expiresAt: request.expires_at
+      },
+      suppliersAsked: rows.length,
+      bids: rows.filter(r => r.bid_at).map(r => {
+        const price = parseFloat(r.bid_price_per_gallon);
+        return {
+          id: r.id,
+          supplierName: r.name,
+          city: r.city,
+          state: r.state,
+          pricePerGallon: price,
+          estimatedTotal: Math.round(price * gallons * 100) / 100,
+          deliveryWindow: r.bid_delivery_window,
+          bidAt: r.bid_at,
+          outcome: r.bid_outcome,
+          // The winner's number is the consumer's to call once they accept
+          phone: r.id === request.accepted_bid_id ? r.phone : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Consumer accepts one bid. Claims the request first so a double tap can't
+   * pick two winners; then texts the winner the consumer's details and closes
+   * out every other notified supplier.
+   */
+  async acceptBid(requestId, hash, bidId) {
+    if (!requestId || !QuoteRequestService.verifyLinkHash(requestId, hash)) {
+      return { error: 'Invalid or expired link.' };
+    }
+    if (!bidId) return { error: 'Pick a bid to accept.' };
+
+    const [claimed] = await this.sequelize.query(`
+      UPDATE quote_requests
+      SET status = 'accepted', accepted_bid_id = :bidId, accepted_at = NOW(), updated_at = NOW()
+      WHERE id = :id AND bid_mode = true AND status = 'dispatched'
+        AND EXISTS (
+          SELECT 1 FROM quote_request_suppliers
+          WHERE id = :bidId AND quote_request_id = :id AND bid_at IS NOT NULL
+        )
+      RETURNING consumer_name, consumer_phone_last10, consumer_zip, gallons_requested
+    `, { replacements: { id: requestId, bidId } });
+
+    if (claimed.length === 0) return { error: 'This request is no longer open, or that bid wasn\'t found.' };
+    const request = claimed[0];
+
+    const [suppliers] = await this.sequelize.query(`
+      UPDATE quote_request_suppliers qrs
+      SET bid_outcome = CASE WHEN qrs.id = :bidId THEN 'won' WHEN qrs.bid_at IS NOT NULL THEN 'lost' ELSE 'closed' END,
+          bid_outcome_at = NOW()
+      FROM suppliers s
+      WHERE qrs.quote_request_id = :id AND qrs.sms_sent_at IS NOT NULL AND s.id = qrs.supplier_id
+      RETURNING qrs.id, qrs.supplier_id, qrs.bid_outcome, qrs.bid_price_per_gallon, qrs.bid_delivery_window,
+                s.name, COALESCE(s.lead_phone, s.phone) AS phone
+    `, { replacements: { id: requestId, bidId } });
+
+    const smsName = QuoteRequestService.sanitizeName(request.consumer_name);
+    let winner = null;
+    let closedOut = 0;
+    for (const s of suppliers) {
+      if (s.bid_outcome === 'won') {
+        winner = s;
+        await this.sendLeadSMS(s.phone, [
+          `HomeHeat — your bid was accepted!`,
+          ``,
+          `$${parseFloat(s.bid_price_per_gallon).toFixed(2)}/gal · ~${request.gallons_requested} gal · ${s.bid_delivery_window}`,
+          `ZIP ${request.consumer_zip}`,
+          ``,
+          `Call ${smsName} to schedule:`,
+          formatPhone(request.consumer_phone_last10),
+          ``,
+          `STOP to opt out`
+        ].join('\n'));
+      } else {
+        closedOut++;
+        await this.sendLeadSMS(s.phone, s.bid_outcome === 'lost'
+          ? `HomeHeat\n\nThanks for bidding on the ZIP ${request.consumer_zip} request. The customer chose another supplier this time — no action needed.`
+          : `HomeHeat\n\nThe ZIP ${request.consumer_zip} request has been filled. No action needed — thanks!`);
+      }
+    }
+
+    await this._logAudit(winner && winner.supplier_id, 'consumer', 'quote_bid_accepted', {
+      requestId, bidId, zip: request.consumer_zip, price: winner ? parseFloat(winner.bid_price_per_gallon) : null, closedOut
+    });
+
+    return {
+      success: true,
+      winner: winner && {
+        name: winner.name,
+        phone: winner.phone,
+        pricePerGallon: parseFloat(winner.bid_price_per_gallon),
+        deliveryWindow: winner.bid_delivery_window
+      },
+      closedOut
+    };
+  }
+
   // ─── Consumer Reply Handling ───────────────────────────────
 
-  /** Handle consumer reply "1" (contacted) or "2" (not contacted) */
+  /** Handle consumer reply "1" (contacted) or "2" (not contacted) — call mode or an accepted bid */
   async handleConsumerReply(fromPhone, body) {
     const phone10 = extractLast10(fromPhone);
     if (!phone10) return null;
@@ -621,7 +934,7 @@ class QuoteRequestService {
     const [rows] = await this.sequelize.query(`
       SELECT id FROM quote_requests
       WHERE consumer_phone_last10 = :phone
-        AND status = 'dispatched'
+        AND status IN ('dispatched', 'accepted')
         AND consumer_outcome_sent = true
         AND consumer_outcome IS NULL
       ORDER BY dispatched_at DESC
@@ -643,6 +956,42 @@ class QuoteRequestService {
     return outcome;
   }
 
+  /**
+   * Handle the 1–5 rating that follows a "contacted" reply (within 2 days).
+   * Returns the rating, or null if nothing is waiting for one.
+   */
+  async handleConsumerRating(fromPhone, body) {
+    const phone10 = extractLast10(fromPhone);
+    if (!phone10) return null;
+
+    const trimmed = (body || '').trim();
+    if (!/^[1-5]$/.test(trimmed)) return null;
+    const rating = parseInt(trimmed);
+
+    const [rows] = await this.sequelize.query(`
+      UPDATE quote_requests
+      SET consumer_rating = :rating, consumer_rating_at = NOW(), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM quote_requests
+        WHERE consumer_phone_last10 = :phone
+          AND consumer_outcome = 'contacted'
+          AND consumer_rating IS NULL
+          AND consumer_outcome_at > NOW() - INTERVAL '2 days'
+        ORDER BY consumer_outcome_at DESC
+        LIMIT 1
+      )
+      RETURNING id
+    `, { replacements: { rating, phone: phone10 } });
+
+    if (rows.length === 0) return null;
+
+    await this._logAudit(null, 'consumer', 'quote_rating_reply', {
+      requestId: rows[0].id, rating, phone10: phone10.slice(-4)
+    });
+
+    return rating;
+  }
+
   // ─── Supplier Eligibility (gating) ─────────────────────────
 
   /** Check if supplier should receive next lead (must confirm previous) */
@@ -693,6 +1042,7 @@ class QuoteRequestService {
       SET lead_opted_in = false, leads_opted_out_at = NOW()
       WHERE phone_last10 = :phone AND lead_opted_in = true
     `, { replacements: { phone: phone10 } });
+    await getNotificationService().suppress('sms', phone10, { stream: 'lead', reason: 'stop', source: 'lead-sms-webhook' });
 
     await this._logAudit(null, 'supplier', 'lead_stopped', { phone10: phone10.slice(-4) });
   }
@@ -707,6 +1057,7 @@ class QuoteRequestService {
       SET lead_opted_in = true, leads_opted_out_at = NULL, lead_opted_in_at = NOW()
       WHERE phone_last10 = :phone
     `, { replacements: { phone: phone10 } });
+    await getNotificationService().unsuppress('sms', phone10, { stream: 'lead' });
 
     await this._logAudit(null, 'supplier', 'lead_started', { phone10: phone10.slice(-4) });
   }
@@ -816,18 +1167,23 @@ class QuoteRequestService {
 
   // ─── Cron: Outcome Check (6h) ─────────────────────────────
 
-  /** Send "Did a supplier contact you?" SMS 6h after dispatch */
+  /** Send "Did a supplier contact you?" SMS 6h after dispatch (call mode) or after the consumer accepts a bid */
   async sendOutcomeCheck() {
     if (DISABLED) return { sent: 0 };
 
     const [rows] = await this.sequelize.query(`
       SELECT id, consumer_phone, consumer_zip
       FROM quote_requests
-      WHERE status = 'dispatched'
-        AND dispatched_at < NOW() - INTERVAL '${OUTCOME_CHECK_HOURS} hours'
-        AND consumer_outcome_sent = false
+      WHERE consumer_outcome_sent = false
         AND consumer_outcome IS NULL
-        AND expires_at > NOW()
+        AND (
+          (status = 'dispatched' AND bid_mode = false
+            AND dispatched_at < NOW() - INTERVAL '${OUTCOME_CHECK_HOURS} hours'
+            AND expires_at > NOW())
+          OR (status = 'accepted'
+            AND accepted_at < NOW() - INTERVAL '${OUTCOME_CHECK_HOURS} hours'
+            AND accepted_at > NOW() - INTERVAL '${LEAD_EXPIRY_HOURS} hours')
+        )
       LIMIT 50
     `);
 
@@ -918,20 +1274,29 @@ class QuoteRequestService {
     const lastLeadMap = {};
     for (const row of lastLeads) lastLeadMap[row.supplier_id] = row;
 
+    // Repeat ignorers (most recent settled leads unanswered) only fill what's left
+    const ignorers = await getRepeatIgnorers(this.sequelize, scoredIds);
+
     const eligible = [];
+    const demoted = [];
     for (const s of scored) {
       const last = lastLeadMap[s.id];
       const isEligible = !last // No previous leads
         || last.responded_at // Confirmed previous lead
         || (Date.now() - new Date(last.sms_sent_at).getTime()) < 24 * 60 * 60 * 1000; // Grace period
-      if (isEligible) eligible.push(s);
+      if (!isEligible) continue;
+      if (ignorers.has(s.id)) demoted.push({ ...s, demoted: true });
+      else eligible.push(s);
       if (eligible.length >= SUPPLIERS_TO_QUERY) break;
     }
 
-    return eligible;
+    return [...eligible, ...demoted].slice(0, SUPPLIERS_TO_QUERY);
   }
 
-  /** Get all suppliers for a ZIP (for fallback phone numbers, any supplier) */
+  /**
+   * Get all suppliers for a ZIP (for fallback phone numbers, any supplier).
+   * leadsEnabled marks the ones opted in to lead SMS (group-order invites).
+   */
   async _getAllSuppliersForZip(zip) {
     const [candidates] = await this.sequelize.query(`
       SELECT s.id, s.name, s.slug,
@@ -942,6 +1307,7 @@ class QuoteRequestService {
              s.service_counties AS "serviceCounties",
              s.service_area_radius AS "serviceAreaRadius",
              s.lat, s.lng, s.verified,
+             (s.lead_opted_in = true AND s.leads_opted_out_at IS NULL) AS "leadsEnabled",
              sp.price_per_gallon AS "pricePerGallon"
       FROM suppliers s
       LEFT JOIN LATERAL (
@@ -974,28 +1340,68 @@ class QuoteRequestService {
     `, { replacements: { zip } });
     const requestCount = parseInt(countRows[0].cnt) || 0;
 
+    const bidRanks = await this._getBidRanks(suppliers.map(s => s.id));
+
+    // Repeat lead ignorers go after every tier (see _getEligibleSuppliers)
+    const demoted = suppliers.filter(s => s.demoted);
+
     // Group by score tier
     const tiers = {};
     for (const s of suppliers) {
+      if (s.demoted) continue;
       const score = s.score || 0;
       if (!tiers[score]) tiers[score] = [];
       tiers[score].push(s);
     }
 
-    // Sort tiers descending, rotate within each tier
+    // Sort tiers descending, rotate within each tier. Bid outcomes split a
+    // tier into bands: suppliers who bid and win first, ignored invites last.
     const sortedScores = Object.keys(tiers).map(Number).sort((a, b) => b - a);
     const result = [];
     for (const score of sortedScores) {
-      const tier = tiers[score];
-      if (tier.length > 1) {
-        const offset = requestCount % tier.length;
-        result.push(...tier.slice(offset), ...tier.slice(0, offset));
-      } else {
-        result.push(...tier);
+      const bands = {};
+      for (const s of tiers[score]) {
+        const rank = bidRanks[s.id] || 0;
+        if (!bands[rank]) bands[rank] = [];
+        bands[rank].push(s);
+      }
+      const sortedRanks = Object.keys(bands).map(Number).sort((a, b) => b - a);
+      for (const rank of sortedRanks) {
+        const band = bands[rank];
+        if (band.length > 1) {
+          const offset = requestCount % band.length;
+          result.push(...band.slice(offset), ...band.slice(0, offset));
+        } else {
+          result.push(...band);
+        }
       }
     }
 
-    return result;
+    return [...result, ...demoted];
+  }
+
+  /** Bid rank per supplier from settled bid-mode requests — { supplierId: -1 | 0 | 1 } */
+  async _getBidRanks(supplierIds) {
+    if (supplierIds.length === 0) return {};
+
+    const [rows] = await this.sequelize.query(`
+      SELECT qrs.supplier_id,
+             COUNT(*) AS invites,
+             COUNT(qrs.bid_at) AS bids,
+             COUNT(*) FILTER (WHERE qrs.bid_outcome = 'won') AS wins
+      FROM quote_request_suppliers qrs
+      JOIN quote_requests qr ON qr.id = qrs.quote_request_id
+      WHERE qrs.supplier_id IN (:ids)
+        AND qr.bid_mode = true
+        AND qr.status <> 'dispatched'
+        AND qrs.sms_sent_at IS NOT NULL
+        AND qrs.created_at > NOW() - INTERVAL '${BID_STATS_DAYS} days'
+      GROUP BY qrs.supplier_id
+    `, { replacements: { ids: supplierIds } });
+
+    const ranks = {};
+    for (const row of rows) ranks[row.supplier_id] = QuoteRequestService.bidRank(row);
+    return ranks;
   }
 
   /** Build fallback phone list from suppliers (used in 4 places) */
@@ -1028,9 +1434,6 @@ class QuoteRequestService {
       return;
     }
 
-    const RESEND_API_KEY = process.env.RESEND_API_KEY;
-    if (!RESEND_API_KEY) return;
-
     // Test mode: override all recipient emails to a safe address
     const emailOverride = process.env.ACTIVATION_EMAIL_OVERRIDE || null;
 
@@ -1087,15 +1490,17 @@ class QuoteRequestService {
       const unsubUrl = `${SITE_URL}/api/outreach/unsubscribe?supplier=${encodeURIComponent(supplier.slug)}&token=${unsubToken}`;
 
       try {
-        const emailRes = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${RESEND_API_KEY}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            from: 'Leo from HomeHeat <hello@gethomeheat.com>',
-            to: emailOverride || supplier.email,
-            reply_to: 'support@gethomeheat.com',
-            subject: `${emailOverride ? '[TEST] ' : ''}Heating oil request in ${zip} today (~${gallons} gallons)`,
-            html: `
+        // Outreach stream: the unsubscribe link below suppresses it
+        const sent = await getNotificationService().send({
+          channel: 'email',
+          to: emailOverride || supplier.email,
+          stream: 'outreach',
+          source: 'lead-activation',
+          from: 'Leo from HomeHeat <hello@gethomeheat.com>',
+          replyTo: 'support@gethomeheat.com',
+          subject: `${emailOverride ? '[TEST] ' : ''}Heating oil request in ${zip} today (~${gallons} gallons)`,
+          idempotencyKey: emailOverride ? null : `lead-activation:${supplier.id}:${zip}:${new Date().toISOString().slice(0, 10)}`,
+          html: `
 <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 560px; margin: 0 auto; background: #fff;">
   <!-- Header -->
   <div style="padding: 20px 24px; border-bottom: 1px solid #f0f0f0;">
@@ -1152,13 +1557,11 @@ class QuoteRequestService {
     </p>
   </div>
 </div>
-            `
-          })
+          `
         });
 
-        if (!emailRes.ok) {
-          const errBody = await emailRes.text();
-          this.logger.error(`[QuoteRequest] Activation email API error for ${supplier.slug}: ${emailRes.status} ${errBody}`);
+        if (!sent.accepted) {
+          this.logger.error(`[QuoteRequest] Activation email not sent to ${supplier.slug}: ${sent.error || sent.status}`);
         } else {
           await this._logAudit(supplier.id, 'system', 'lead_activation_email', { zip, gallons });
           this.logger.info(`[QuoteRequest] Activation email sent to ${supplier.slug} for ZIP ${zip}`);
@@ -0,0 +1,230 @@
+// src/services/QuoteRequestService.test.js
+//
+// Quote bid mode (V3.12.0): SMS bid parsing, bid submission + first-bid
+// consumer text, the consumer's bid board, accepting a bid (winner gets the
+// number, everyone else a close-out), and bid history reordering suppliers
+// inside a match tier. Quote outcomes (V3.13.0): the consumer's 1–5 rating
+// reply and repeat lead ignorers sent leads after every tier. Lead
+// activation emails go through the notification dispatcher.
+// Fake sequelize, SMS captured; no DB or Twilio needed.
+//
+// Run: node src/services/QuoteRequestService.test.js
+
+process.env.CLAIM_VERIFY_SECRET = process.env.CLAIM_VERIFY_SECRET || 'test-secret';
+
+const QuoteRequestService = require('./QuoteRequestService');
+const { initNotificationService } = require('./NotificationService');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function makeService(db) {
+  const service = new QuoteRequestService(db, quietLogger);
+  service.sms = [];
+  service.sendLeadSMS = async (to, body) => { service.sms.push({ to, body }); return { sid: 'SM' + service.sms.length }; };
+  return service;
+}
+
+const REQUEST_ID = '22222222-2222-4222-8222-222222222222';
+const HASH = QuoteRequestService.generateVerifyHash(REQUEST_ID);
+
+(async () => {
+  try {
+    console.log('\n=== parseBidReply ===');
+    eq(QuoteRequestService.parseBidReply('BID 3.49 Thursday'), { price: 3.49, deliveryWindow: 'Thursday' }, 'price + window');
+    eq(QuoteRequestService.parseBidReply('bid $3.459/gal, tomorrow AM'), { price: 3.459, deliveryWindow: 'tomorrow AM' }, '$ and /gal tolerated');
+    eq(QuoteRequestService.parseBidReply('BID 349 Fri'), { price: 3.49, deliveryWindow: 'Fri' }, 'cents read as dollars');
+    eq(QuoteRequestService.parseBidReply('BID 3.49').error, 'Add when you can deliver, e.g. BID 3.49 Thursday', 'window required');
+    eq(QuoteRequestService.parseBidReply('BID 12.00 Mon').error, 'Price must be between $1.50 and $8.00/gal', 'price bounds');
+    eq(QuoteRequestService.parseBidReply('BID Thursday').error, 'To bid, reply BID then your price/gal and delivery day, e.g. BID 3.49 Thursday', 'no price');
+    eq(QuoteRequestService.parseBidReply('BID 3.49 ' + 'x'.repeat(80)).deliveryWindow.length, 60, 'window capped at 60 chars');
+
+    console.log('\n=== submitBid ===');
+    let db = fakeSequelize((sql) => {
+      if (/UPDATE quote_request_suppliers qrs/.test(sql)) return [[{ id: 'b-1', supplier_id: 's-1', request_id: REQUEST_ID, consumer_zip: '06010', gallons_requested: 150 }]];
+      if (/bids_notified_at IS NULL/.test(sql)) return [[{ consumer_phone: '8605550100' }]];
+    });
+    let service = makeService(db);
+    let result = await service.submitBid('tok-1', { price: '3.49', deliveryWindow: ' Thursday\n', source: 'web' });
+    eq([result.success, result.price, result.deliveryWindow, result.zip], [true, 3.49, 'Thursday', '06010'], 'bid stored');
+    const update = db.calls[0].sql;
+    if (/qr.bid_mode = true AND qr.status = 'dispatched' AND qr.expires_at > NOW\(\)/.test(update)) pass('only open bid-mode requests take bids');
+    else fail('only open bid-mode requests take bids', update);
+    if (/responded_at = COALESCE\(qrs.responded_at, NOW\(\)\)/.test(update)) pass('bidding counts as responding (lead gating)');
+    else fail('bidding counts as responding (lead gating)', update);
+    eq([service.sms.length, service.sms[0].to], [1, '8605550100'], 'first bid texts the consumer');
+    if (service.sms[0].body.includes(`/v/${REQUEST_ID}?h=${HASH}`)) pass('text links the bid board');
+    else fail('text links the bid board', service.sms[0].body);
+
+    db = fakeSequelize((sql) => {
+      if (/UPDATE quote_request_suppliers qrs/.test(sql)) return [[{ id: 'b-1', supplier_id: 's-1', request_id: REQUEST_ID, consumer_zip: '06010' }]];
+      return [[]];
+    });
+    service = makeService(db);
+    await service.submitBid('tok-1', { price: 3.39, deliveryWindow: 'Friday', source: 'sms' });
+    eq(service.sms.length, 0, 'later bids / revisions don\'t text the consumer again');
+
+    db = fakeSequelize(() => [[]]);
+    service = makeService(db);
+    eq((await service.submitBid('tok-1', { price: 3.49, deliveryWindow: 'Thu' })).error,
+      'This request is closed — the customer already chose a supplier or it expired.', 'closed request refuses bids');
+    eq((await service.submitBid('tok-1', { price: 0.99, deliveryWindow: 'Thu' })).error, 'Price must be between $1.50 and $8.00/gal.', 'web price bounds');
+    eq((await service.submitBid('tok-1', { price: 3.49, deliveryWindow: '   ' })).error, 'Please say when you can deliver.', 'web window required');
+    eq(db.calls.length, 1, 'invalid bids never reach the database');
+
+    console.log('\n=== handleSupplierBidSMS ===');
+    db = fakeSequelize((sql) => {
+      if (/JOIN suppliers s ON s.id = qrs.supplier_id WHERE \(s.phone_last10/.test(sql.replace(/\s+/g, ' '))) return [[{ response_token: 'newest' }, { response_token: 'older' }]];
+      if (/UPDATE quote_request_suppliers qrs/.test(sql)) return [[{ id: 'b-1', supplier_id: 's-1', request_id: REQUEST_ID, consumer_zip: '06010' }]];
+    });
+    service = makeService(db);
+    result = await service.handleSupplierBidSMS('+18605550199', 'BID 3.49 Thursday');
+    eq(result.reply, 'Bid $3.49/gal (Thursday) sent for ZIP 06010. We\'ll text you if the customer accepts. You have 1 other open request — use the link in that text to bid.', 'confirms + points at the other open request');
+    eq(db.calls[1].opts.replacements.token, 'newest', 'most recent invite gets the SMS bid');
+    eq(db.calls[1].opts.replacements.source, 'sms', 'source recorded');
+    eq([/OR RIGHT\(regexp_replace\(s\.lead_phone, '\[\^0-9\]', '', 'g'\), 10\) = :phone\)/.test(db.calls[0].sql.replace(/\s+/g, ' ')), db.calls[0].opts.replacements.phone],
+      [true, '8605550199'], 'a reply from the lead_phone the invite went to matches too');
+
+    db = fakeSequelize(() => [[]]);
+    service = makeService(db);
+    eq((await service.handleSupplierBidSMS('+18605550199', 'BID 3.49 Thu')).reply,
+      'No open requests are waiting for a bid. Bids close when the customer picks one or after 24 hours.', 'nothing open');
+
+    console.log('\n=== getBidBoard ===');
+    const future = new Date(Date.now() + 3600000).toISOString();
+    db = fakeSequelize((sql) => {
+      if (/FROM quote_requests WHERE id = :id/.test(sql)) return [[{ id: REQUEST_ID, consumer_zip: '06010', gallons_requested: 150, status: 'dispatched', bid_mode: true, accepted_bid_id: null, expires_at: future }]];
+      return [[
+        { id: 'b-2', bid_price_per_gallon: '3.390', bid_delivery_window: 'Friday', bid_at: '2026-10-19T13:00:00Z', name: 'Acme Oil', city: 'Hartford', state: 'CT', phone: '8605550111' },
+        { id: 'b-1', bid_price_per_gallon: '3.490', bid_delivery_window: 'Thursday', bid_at: '2026-10-19T12:00:00Z', name: 'Best Fuel', city: 'Avon', state: 'CT', phone: '8605550122' },
+        { id: 'b-3', bid_price_per_gallon: null, bid_at: null, name: 'Slow Co', phone: '8605550133' },
+      ]];
+    });
+    service = makeService(db);
+    let board = await service.getBidBoard(REQUEST_ID, HASH);
+    eq([board.request.open, board.suppliersAsked, board.bids.map(b => [b.id, b.pricePerGallon, b.estimatedTotal])],
+      [true, 3, [['b-2', 3.39, 508.5], ['b-1', 3.49, 523.5]]], 'bids cheapest first with estimated totals');
+    eq(board.bids.map(b => b.phone), [null, null], 'no supplier numbers before accepting');
+    eq(await service.getBidBoard(REQUEST_ID, 'wronghash0000000'), null, 'bad hash → null');
+
+    db = fakeSequelize(() => [[{ id: REQUEST_ID, bid_mode: false }]]);
+    eq(await makeService(db).getBidBoard(REQUEST_ID, HASH), null, 'call-mode request has no board');
+
+    console.log('\n=== acceptBid ===');
+    db = fakeSequelize((sql) => {
+      if (/SET status = 'accepted'/.test(sql)) return [[{ consumer_name: 'Pat\nJones', consumer_phone_last10: '8605550100', consumer_zip: '06010', gallons_requested: 150 }]];
+      if (/UPDATE quote_request_suppliers qrs/.test(sql)) return [[
+        { id: 'b-2', supplier_id: 's-2', bid_outcome: 'won', bid_price_per_gallon: '3.390', bid_delivery_window: 'Friday', name: 'Acme Oil', phone: '8605550111' },
+        { id: 'b-1', supplier_id: 's-1', bid_outcome: 'lost', bid_price_per_gallon: '3.490', bid_delivery_window: 'Thursday', name: 'Best Fuel', phone: '8605550122' },
+        { id: 'b-3', supplier_id: 's-3', bid_outcome: 'closed', name: 'Slow Co', phone: '8605550133' },
+      ]];
+    });
+    service = makeService(db);
+    result = await service.acceptBid(REQUEST_ID, HASH, 'b-2');
+    eq([result.success, result.winner.name, result.winner.pricePerGallon, result.closedOut], [true, 'Acme Oil', 3.39, 2], 'winner chosen, others closed out');
+    if (/WHERE id = :id AND bid_mode = true AND status = 'dispatched' AND EXISTS/.test(db.calls[0].sql)) pass('request claimed before anyone is texted');
+    else fail('request claimed before anyone is texted', db.calls[0].sql);
+    if (/CASE WHEN qrs.id = :bidId THEN 'won' WHEN qrs.bid_at IS NOT NULL THEN 'lost' ELSE 'closed' END/.test(db.calls[1].sql)) pass('outcomes: won / lost / closed');
+    else fail('outcomes: won / lost / closed', db.calls[1].sql);
+    eq(service.sms.map(m => m.to), ['8605550111', '8605550122', '8605550133'], 'every notified supplier hears back');
+    if (service.sms[0].body.includes('Call Pat Jones to schedule:\n(860) 555-0100')) pass('winner gets the consumer\'s name + number');
+    else fail('winner gets the consumer\'s name + number', service.sms[0].body);
+    eq([/8605550100|555-0100/.test(service.sms[1].body), /chose another supplier/.test(service.sms[1].body), /has been filled/.test(service.sms[2].body)],
+      [false, true, true], 'losers get a polite close-out, never the number');
+
+    db = fakeSequelize(() => [[]]);
+    service = makeService(db);
+    eq(await service.acceptBid(REQUEST_ID, HASH, 'b-2'), { error: 'This request is no longer open, or that bid wasn\'t found.' }, 'double tap → no second winner');
+    eq(service.sms.length, 0, 'nobody texted on a lost claim');
+    eq((await service.acceptBid(REQUEST_ID, 'nope', 'b-2')).error, 'Invalid or expired link.', 'hash checked');
+
+    console.log('\n=== rotation ===');
+    eq([
+      QuoteRequestService.bidRank({ invites: '2', bids: '0', wins: '0' }),
+      QuoteRequestService.bidRank({ invites: '6', bids: '1', wins: '0' }),
+      QuoteRequestService.bidRank({ invites: '6', bids: '4', wins: '2' }),
+      QuoteRequestService.bidRank({ invites: '6', bids: '6', wins: '1' }),
+    ], [0, -1, 1, 0], 'rank: thin history neutral, ignorers down, winners up');
+
+    db = fakeSequelize((sql) => {
+      if (/COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '0' }]];
+      if (/GROUP BY qrs.supplier_id/.test(sql)) return [[
+        { supplier_id: 'ignorer', invites: '5', bids: '0', wins: '0' },
+        { supplier_id: 'winner', invites: '5', bids: '4', wins: '3' },
+      ]];
+    });
+    service = makeService(db);
+    const rotated = await service._rotateWithinTiers([
+      { id: 'ignorer', score: 100 }, { id: 'plain', score: 100 }, { id: 'winner', score: 100 }, { id: 'city', score: 80 },
+    ], '06010');
+    eq(rotated.map(s => s.id), ['winner', 'plain', 'ignorer', 'city'], 'bid rank reorders within a tier, never across tiers');
+    if (/qr.status <> 'dispatched'/.test(db.calls[1].sql)) pass('only settled requests count');
+    else fail('only settled requests count', db.calls[1].sql);
+
+    console.log('\n=== consumer rating + demotion ===');
+    db = fakeSequelize((sql) => {
+      if (/SET consumer_rating = :rating/.test(sql)) return [[{ id: REQUEST_ID }]];
+    });
+    service = makeService(db);
+    eq(await service.handleConsumerRating('+18605550100', ' 4 '), 4, 'rating stored');
+    eq(db.calls[0].opts.replacements, { rating: 4, phone: '8605550100' }, 'matched by phone');
+    if (/consumer_outcome = 'contacted' AND consumer_rating IS NULL/.test(db.calls[0].sql)) pass('only unrated "contacted" requests');
+    else fail('only unrated "contacted" requests', db.calls[0].sql);
+    eq(db.calls[1].opts.replacements.action, 'quote_rating_reply', 'rating audited');
+    db = fakeSequelize(() => [[]]);
+    service = makeService(db);
+    eq([await service.handleConsumerRating('+18605550100', '6'), db.calls.length], [null, 0], 'out of range never queried');
+    eq(await service.handleConsumerRating('+18605550100', '5'), null, 'nothing to rate → null');
+
+    db = fakeSequelize((sql) => {
+      if (/COUNT\(\*\) AS cnt/.test(sql)) return [[{ cnt: '0' }]];
+    });
+    service = makeService(db);
+    const withDemoted = await service._rotateWithinTiers([
+      { id: 'ignorer', score: 100, demoted: true }, { id: 'plain', score: 100 }, { id: 'city', score: 80 },
+    ], '06010');
+    eq(withDemoted.map(s => s.id), ['plain', 'city', 'ignorer'], 'demoted suppliers go after every tier');
+
+    console.log('\n=== activation emails ===');
+    process.env.ENABLE_ACTIVATION_EMAILS = 'true';
+    const sunk = [];
+    const activationDb = fakeSequelize((sql, opts) => {
+      if (/FROM suppliers s/.test(sql)) return [[
+        { id: 'sup-a', name: 'Acme Oil', slug: 'acme-oil', email: 'office@acme.com', postalCodesServed: ['06010'] },
+        { id: 'sup-b', name: 'Bravo Fuel', slug: 'bravo-fuel', email: 'gone@bravo.com', postalCodesServed: ['06010'] }
+      ]];
+      if (/FROM notification_suppressions/.test(sql)) return [opts.replacements.address === 'gone@bravo.com' && opts.replacements.stream === 'outreach' ? [{ id: 1 }] : []];
+      if (/INSERT INTO notification_outbox/.test(sql)) return [[{ id: 'out-' + activationDb.calls.length }]];
+    });
+    initNotificationService(activationDb, quietLogger, { transport: 'sink', channels: { sink: { name: 'sink', send: async (m, o) => { sunk.push({ ...m, ...o }); return { ok: true, providerId: 'sink-1' }; } } } });
+    await makeService(activationDb)._sendActivationEmails('06010', 150);
+    eq(sunk.map(m => [m.to, m.stream, m.source]), [['office@acme.com', 'outreach', 'lead-activation']], 'sent through the dispatcher on the outreach stream');
+    eq(/^lead-activation:sup-a:06010:\d{4}-\d{2}-\d{2}$/.test(sunk[0].idempotencyKey), true, 'one per supplier, ZIP and day');
+    eq(activationDb.calls.filter(c => /INSERT INTO audit_logs/.test(c.sql) && c.opts.replacements.action === 'lead_activation_email').length, 1, 'outreach-unsubscribed supplier skipped, not audited');
+    delete process.env.ENABLE_ACTIVATION_EMAILS;
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,660 @@
+// src/services/TankReminderService.js
+// Tank run-out reminders (V3.17.0) — nudges an opted-in household to reorder
+// before the tank runs low.
+//
+// Households are keyed by contributorHash, the anonymous key the app already
+// sends with POST /api/community/deliveries; each shared delivery moves the
+// reminder's last delivery forward. Once a day the estimate is:
+//
+//   starting  = min(tank × FILL_FRACTION, delivered + tank × threshold)
+//               (the household reordered at roughly its threshold)
+//   burned    = alpha × days + beta × HDD since the delivery
+//   remaining = starting − burned
+//
+// alpha/beta are the home's consumptionModel fit: the regional prior pulled
+// toward its own delivery-to-delivery intervals (exact gallons only — legacy
+// bucketed submissions are too coarse to fit on). HDD is accumulated from
+// weather_daily, normals filling gaps (weatherHistory.getDegreeDays).
+//
+// When remaining crosses threshold_pct the household gets one nudge by email
+// (V3.22.5: only once the address is confirmed from its link) and/or web push linking to the ZIP leaderboard and the quote form, and one
+// follow-up FOLLOW_UP_DAYS later if no new delivery was shared. Push reuses
+// the price alert endpoints (price_alert_push_subscriptions); every send is
+// logged in tank_reminder_deliveries.
+
+const crypto = require('crypto');
+const consumptionModel = require('./consumptionModel');
+const weatherHistory = require('./weatherHistory');
+const PriceAlertService = require('./PriceAlertService');
+const { FUEL_TYPES } = require('../models/CommunityDelivery');
+const { sendPush } = require('../utils/web-push');
+const { getNotificationService } = require('./NotificationService');
+
+const FROM_EMAIL = 'Leo from HomeHeat <hello@gethomeheat.com>';
+const REPLY_TO = 'support@gethomeheat.com';
+const DRY_RUN = process.env.TANK_REMINDER_DRY_RUN === 'true';
+const ADVISORY_LOCK_KEY = 742019234;
+const DAILY_CAP = 500;
+const SITE_URL = 'https://www.gethomeheat.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILL_FRACTION = 0.9;            // a "full" tank is ~90% (expansion space)
+const FOLLOW_UP_DAYS = 7;             // second nudge when no delivery was shared a week later
+const MAX_CYCLE_REMINDERS = 2;
+const HISTORY_DELIVERIES = 12;        // most recent exact deliveries used for the home's fit
+const THRESHOLD_PCT_RANGE = [10, 50];
+const TANK_SIZE_RANGE = [50, 2000];
+const DEFAULT_THRESHOLD_PCT = 25;
+
+// Midpoints for legacy submissions (CommunityDelivery.getGallonsBucket)
+const BUCKET_GALLONS = { small: 75, medium: 150, large: 275, xlarge: 425, bulk: 600 };
+const FUEL_LABELS = { heating_oil: 'heating oil', kerosene: 'kerosene', propane: 'propane' };
+
+function isoDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/** Leaderboard and quote form for a ZIP; the quote form lives on the heating oil page */
+function reorderUrls(zipCode, fuelType) {
+  const utm = 'utm_source=tank_reminder&utm_campaign=reorder';
+  const oil = !fuelType || fuelType === 'heating_oil';
+  const prices = oil
+    ? `${SITE_URL}/prices.html?zip=${zipCode}&${utm}`
+    : `${SITE_URL}/prices/${fuelType}/?${utm}`;
+  return { prices, quote: oil ? `${prices}#get-quotes` : null };
+}
+
+class TankReminderService {
+  /**
+   * @param {object} [priceAlertService] - local prices for the nudge, shared
+   *   push endpoint bookkeeping and email header
+   */
+  constructor(sequelize, logger = console, priceAlertService = null) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.priceAlertService = priceAlertService || new PriceAlertService(sequelize, logger);
+  }
+
+  /**
+   * Validate opt-in settings from the app.
+   * @returns {{ settings: object }|{ error: string }}
+   */
+  static normalizeSettings({ zipCode, fuelType, tankSize, thresholdPct } = {}) {
+    if (!/^\d{5}$/.test(String(zipCode || ''))) return { error: 'Valid 5-digit ZIP code required.' };
+    const fuel = fuelType || 'heating_oil';
+    if (!FUEL_TYPES.includes(fuel)) return { error: `Fuel type must be one of: ${FUEL_TYPES.join(', ')}` };
+
+    const size = parseInt(tankSize);
+    if (isNaN(size) || size < TANK_SIZE_RANGE[0] || size > TANK_SIZE_RANGE[1]) {
+      return { error: `Tank size must be between ${TANK_SIZE_RANGE[0]} and ${TANK_SIZE_RANGE[1]} gallons.` };
+    }
+
+    const pct = thresholdPct === undefined || thresholdPct === null || thresholdPct === ''
+      ? DEFAULT_THRESHOLD_PCT
+      : parseInt(thresholdPct);
+    if (isNaN(pct) || pct < THRESHOLD_PCT_RANGE[0] || pct > THRESHOLD_PCT_RANGE[1]) {
+      return { error: `Reminder level must be between ${THRESHOLD_PCT_RANGE[0]}% and ${THRESHOLD_PCT_RANGE[1]}%.` };
+    }
+
+    return { settings: { zipCode: String(zipCode), fuelType: fuel, tankSize: size, thresholdPct: pct } };
+  }
+
+  /** Gallons for a shared delivery: exact when the app sent them, else the bucket midpoint */
+  static deliveryGallons({ exactGallons, gallonsBucket }) {
+    const exact = parseFloat(exactGallons);
+    if (exact > 0) return exact;
+    return BUCKET_GALLONS[gallonsBucket] || null;
+  }
+
+  /** Estimated tank contents right after a delivery */
+  static startingGallons(tankSize, deliveredGallons, thresholdPct) {
+    const carryover = tankSize * thresholdPct / 100;
+    return round1(Math.min(tankSize * FILL_FRACTION, deliveredGallons + carryover));
+  }
+
+  /**
+   * Whether a reminder should go out now: the estimate is at or under the
+   * threshold, and this is the first nudge since the last delivery or the
+   * follow-up after FOLLOW_UP_DAYS.
+   */
+  static isDue(reminder, remainingGallons, now = new Date()) {
+    const thresholdGallons = reminder.tank_size_gallons * reminder.threshold_pct / 100;
+    if (remainingGallons > thresholdGallons) return false;
+    const count = reminder.cycle_reminders || 0;
+    if (count === 0) return true;
+    if (count >= MAX_CYCLE_REMINDERS) return false;
+    return now - new Date(reminder.last_reminded_at) >= FOLLOW_UP_DAYS * DAY_MS;
+  }
+
+  // ─── Estimate ──────────────────────────────────────────────
+
+  /** The household's exact deliveries of this fuel, oldest first (buildIntervals events) */
+  async loadDeliveryHistory(contributorHash, fuelType) {
+    const [rows] = await this.sequelize.query(`
+      SELECT r.exact_timestamp AS date, r.exact_gallons AS gallons
+      FROM community_deliveries cd
+      JOIN community_deliveries_raw r ON r.delivery_id = cd.id
+      WHERE cd.contributor_hash = :contributorHash AND cd.fuel_type = :fuelType
+      ORDER BY r.exact_timestamp DESC
+      LIMIT ${HISTORY_DELIVERIES}
+    `, { replacements: { contributorHash, fuelType } });
+    return rows.reverse().map(r => ({ type: 'delivery', date: r.date, gallons: parseFloat(r.gallons) }));
+  }
+
+  /**
+   * Gallons left now for a reminder with a known last delivery.
+   * @returns {Promise<{ gallons, pct, burned, days, hdd, daysUntilEmpty, fit }>}
+   */
+  async estimate(reminder, now = new Date()) {
+    const tankSize = reminder.tank_size_gallons;
+    const climate = consumptionModel.locationClimate(reminder.zip_code);
+    const { hyperparameters } = await consumptionModel.getActiveDeployment(this.sequelize);
+    const prior = consumptionModel.priorFor(hyperparameters, climate.state);
+
+    const events = await this.loadDeliveryHistory(reminder.contributor_hash, reminder.fuel_type);
+    let dailyHDD = null;
+    if (events.length >= 2) {
+      const stored = await weatherHistory.loadDailyHDD(this.sequelize,
+        weatherHistory.locationForZip(reminder.zip_code).key, isoDay(events[0].date), isoDay(events[events.length - 1].date));
+      dailyHDD = new Map([...stored].filter(([, row]) => row.hdd != null).map(([date, row]) => [date, parseFloat(row.hdd)]));
+    }
+    const intervals = consumptionModel.buildIntervals(events, { tankSize, annualHDD: climate.annualHDD, dailyHDD });
+    const fit = consumptionModel.fitHome(intervals, prior, hyperparameters.sigmaDaily);
+
+    // Degree days from the delivery date through yesterday (today isn't over)
+    const deliveredAt = new Date(reminder.last_delivery_at);
+    const days = Math.max(0, (now - deliveredAt) / DAY_MS);
+    const from = isoDay(deliveredAt);
+    const to = isoDay(now.getTime() - DAY_MS);
+    const hdd = to >= from
+      ? (await weatherHistory.getDegreeDays(this.sequelize, reminder.zip_code, { from, to })).totalHDD
+      : 0;
+
+    const burned = fit.alpha * days + fit.beta * hdd;
+    const gallons = Math.max(0, parseFloat(reminder.starting_gallons) - burned);
+    const prediction = consumptionModel.predictConsumption({
+      fit,
+      sigmaDaily: hyperparameters.sigmaDaily,
+      currentGallons: gallons,
+      tankSize,
+      annualHDD: climate.annualHDD,
+      now,
+      reorderFraction: reminder.threshold_pct / 100
+    });
+
+    return {
+      gallons: round1(gallons),
+      pct: Math.round(gallons / tankSize * 100),
+      burned: round1(burned),
+      days: round1(days),
+      hdd: round1(hdd),
+      daysUntilEmpty: prediction.daysUntilEmpty.expected,
+      fit: { alpha: fit.alpha, beta: fit.beta, intervals: fit.intervals }
+    };
+  }
+
+  // ─── Daily run ─────────────────────────────────────────────
+
+  /**
+   * Estimate every active reminder and send the ones that are due. Called by
+   * cron at 9 AM ET.
+   */
+  async runDailyCheck(now = new Date()) {
+    const startTime = Date.now();
+    let lockAcquired = false;
+
+    try {
+      const [[lockResult]] = await this.sequelize.query(
+        `SELECT pg_try_advisory_lock(${ADVISORY_LOCK_KEY}) AS locked`
+      );
+      lockAcquired = lockResult.locked;
+
+      if (!lockAcquired) {
+        this.logger.info('[TankReminder] Another instance running, skipping.');
+        return { success: false, reason: 'locked' };
+      }
+
+      const [reminders] = await this.sequelize.query(`
+        SELECT tr.id, tr.contributor_hash, tr.zip_code, tr.fuel_type, tr.tank_size_gallons,
+               tr.threshold_pct, tr.unsubscribe_token, tr.last_delivery_at,
+               CASE WHEN tr.email_confirmed_at IS NOT NULL THEN tr.email END AS email,
+               tr.starting_gallons, tr.last_reminded_at, tr.cycle_reminders,
+               ps.id AS push_subscription_id, ps.endpoint AS push_endpoint
+        FROM tank_reminders tr
+        LEFT JOIN price_alert_push_subscriptions ps
+          ON ps.id = tr.push_subscription_id AND ps.disabled_at IS NULL
+        WHERE tr.active = true
+          AND tr.last_delivery_at IS NOT NULL
+          AND tr.starting_gallons IS NOT NULL
+        ORDER BY tr.zip_code, tr.fuel_type
+      `);
+
+      let sent = 0;
+      let skipNoChannel = 0;
+      let errors = 0;
+      let capped = false;
+      const channelsSent = { email: 0, push: 0 };
+      const channelsFailed = { email: 0, push: 0 };
+      const priceCache = new Map();
+
+      for (const reminder of reminders) {
+        if (sent >= DAILY_CAP) {
+          capped = true;
+          this.logger.warn(`[TankReminder] Daily cap of ${DAILY_CAP} reached, stopping.`);
+          break;
+        }
+
+        try {
+          const est = await this.estimate(reminder, now);
+          await this.sequelize.query(`
+            UPDATE tank_reminders
+            SET last_estimate_gallons = :gallons, last_estimated_at = NOW()
+            WHERE id = :id
+          `, { replacements: { id: reminder.id, gallons: est.gallons } });
+
+          if (!TankReminderService.isDue(reminder, est.gallons, now)) continue;
+          if (!reminder.email && !reminder.push_endpoint) {
+            skipNoChannel++;
+            continue;
+          }
+
+          const priceKey = `${reminder.zip_code}|${reminder.fuel_type}`;
+          if (!priceCache.has(priceKey)) {
+            priceCache.set(priceKey, await this.priceAlertService.getZipPriceData(reminder.zip_code, reminder.fuel_type));
+          }
+
+          const delivered = await this.deliverReminder(reminder, est, priceCache.get(priceKey));
+          for (const [channel, ok] of Object.entries(delivered)) {
+            if (ok) channelsSent[channel]++;
+            else channelsFailed[channel]++;
+          }
+          if (Object.values(delivered).some(Boolean)) {
+            await this.markReminded(reminder.id);
+            sent++;
+          }
+        } catch (err) {
+          errors++;
+          this.logger.error(`[TankReminder] Error for reminder ${reminder.id}:`, err.message);
+        }
+      }
+
+      const durationMs = Date.now() - startTime;
+      this.logger.info(`[TankReminder] Done: ${reminders.length} checked, ${sent} reminded, ${skipNoChannel} without a channel, ${errors} errors (${durationMs}ms)`);
+
+      return {
+        success: true,
+        checked: reminders.length,
+        reminders_sent: sent,
+        skipped_no_channel: skipNoChannel,
+        channels_sent: channelsSent,
+        channels_failed: channelsFailed,
+        capped,
+        errors,
+        durationMs
+      };
+
+    } catch (err) {
+      this.logger.error('[TankReminder] Daily check failed:', err.message);
+      return { success: false, error: err.message };
+    } finally {
+      if (lockAcquired) {
+        await this.sequelize.query(`SELECT pg_advisory_unlock(${ADVISORY_LOCK_KEY})`).catch(() => {});
+      }
+    }
+  }
+
+  async markReminded(reminderId) {
+    await this.sequelize.query(`
+      UPDATE tank_reminders
+      SET last_reminded_at = NOW(),
+          cycle_reminders = cycle_reminders + 1,
+          reminder_count = reminder_count + 1,
+          updated_at = NOW()
+      WHERE id = :id
+    `, { replacements: { id: reminderId } });
+  }
+
+  /** Headline for every channel, e.g. "Your tank is about 24% full (~66 gal)" */
+  static reminderTitle(est) {
+    return `Your tank is about ${est.pct}% full (~${Math.round(est.gallons)} gal)`;
+  }
+
+  /** One line with the runway and today's lowest local price, when known */
+  static reminderBody(reminder, est, priceData) {
+    const parts = [];
+    if (est.daysUntilEmpty != null) parts.push(`About ${est.daysUntilEmpty} days until empty at this time of year.`);
+    parts.push(priceData
+      ? `Lowest ${FUEL_LABELS[reminder.fuel_type] || 'heating oil'} price in ${reminder.zip_code} today: $${priceData.minPrice.toFixed(2)}/gal.`
+      : `Compare ${FUEL_LABELS[reminder.fuel_type] || 'heating oil'} prices in ${reminder.zip_code}.`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Send one nudge to each channel the reminder has.
+   * @returns {Promise<{email?: boolean, push?: boolean}>}
+   */
+  async deliverReminder(reminder, est, priceData) {
+    const title = TankReminderService.reminderTitle(est);
+    const body = TankReminderService.reminderBody(reminder, est, priceData);
+    const urls = reorderUrls(reminder.zip_code, reminder.fuel_type);
+    const delivered = {};
+
+    if (reminder.email) {
+      delivered.email = await this.sendReminderEmail(reminder, est, priceData);
+      await this.logDelivery(reminder.id, 'email', delivered.email ? 'sent' : 'failed', { title, estimate: est.gallons });
+    }
+
+    if (reminder.push_endpoint) {
+      const deliveryId = await this.logDelivery(reminder.id, 'push', 'sent', {
+        title, body, url: urls.quote || urls.prices, estimate: est.gallons
+      });
+      const result = DRY_RUN ? { ok: true } : await sendPush(reminder.push_endpoint);
+      if (!result.ok) {
+        this.logger.warn(`[TankReminder] Push failed for ${reminder.id}: ${result.error}`);
+        await this.sequelize.query(`
+          UPDATE tank_reminder_deliveries SET status = 'failed', error = :error WHERE id = :deliveryId
+        `, { replacements: { deliveryId, error: String(result.error || 'failed').slice(0, 300) } });
+      }
+      await this.priceAlertService.updatePushEndpoint(reminder.push_subscription_id, result);
+      delivered.push = !!result.ok;
+    }
+
+    return delivered;
+  }
+
+  /** Append to tank_reminder_deliveries; returns the row id */
+  async logDelivery(reminderId, channel, status, { title = null, body = null, url = null, estimate = null, providerId = null, error = null } = {}) {
+    try {
+      const [[row]] = await this.sequelize.query(`
+        INSERT INTO tank_reminder_deliveries (reminder_id, channel, status, title, body, url, estimate_gallons, provider_id, error)
+        VALUES (:reminderId, :channel, :status, :title, :body, :url, :estimate, :providerId, :error)
+        RETURNING id
+      `, { replacements: { reminderId, channel, status, title, body, url, estimate, providerId, error } });
+      return row ? row.id : null;
+    } catch (err) {
+      // Logging must never block a reminder
+      this.logger.error(`[TankReminder] Delivery log failed: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Newest unfetched reminder push for a device (website/sw.js, via
+   * /api/price-alerts/push/latest). Marks it fetched; null when there's nothing new.
+   */
+  async takePendingPush(endpoint) {
+    const [rows] = await this.sequelize.query(`
+      UPDATE tank_reminder_deliveries SET fetched_at = NOW()
+      WHERE id = (
+        SELECT d.id
+        FROM tank_reminder_deliveries d
+        JOIN tank_reminders tr ON tr.id = d.reminder_id
+        JOIN price_alert_push_subscriptions ps ON ps.id = tr.push_subscription_id
+        WHERE ps.endpoint = :endpoint
+          AND d.channel = 'push'
+          AND d.status = 'sent'
+          AND d.fetched_at IS NULL
+          AND d.created_at > NOW() - INTERVAL '1 day'
+        ORDER BY d.created_at DESC
+        LIMIT 1
+      )
+      RETURNING title, body, url
+    `, { replacements: { endpoint } });
+    return rows[0] || null;
+  }
+
+  // ─── Opt-in and deliveries ─────────────────────────────────
+
+  /**
+   * Create or update a household's reminder. Without an explicit last
+   * delivery, the newest one it shared with the community is used. A new or
+   * changed email starts unconfirmed with a fresh confirmation token; the
+   * same email keeps its state (and its outstanding link).
+   * @param {object} input - normalizeSettings() settings plus contributorHash,
+   *   email, pushSubscriptionId, lastDelivery { date, gallons }
+   * @returns {Promise<object>} the tank_reminders row
+   */
+  async optIn({ contributorHash, zipCode, fuelType, tankSize, thresholdPct, email = null, pushSubscriptionId = null, lastDelivery = null }) {
+    const [[row]] = await this.sequelize.query(`
+      INSERT INTO tank_reminders (
+        contributor_hash, zip_code, fuel_type, tank_size_gallons, threshold_pct,
+        email, push_subscription_id, unsubscribe_token, email_confirm_token
+      ) VALUES (
+        :contributorHash, :zipCode, :fuelType, :tankSize, :thresholdPct,
+        :email, :pushSubscriptionId, :token, :confirmToken
+      )
+      ON CONFLICT (contributor_hash) DO UPDATE SET
+        zip_code = EXCLUDED.zip_code,
+        fuel_type = EXCLUDED.fuel_type,
+        tank_size_gallons = EXCLUDED.tank_size_gallons,
+        threshold_pct = EXCLUDED.threshold_pct,
+        email_confirmed_at = CASE
+          WHEN EXCLUDED.email IS NULL OR EXCLUDED.email = tank_reminders.email THEN tank_reminders.email_confirmed_at
+        END,
+        email_confirm_token = CASE
+          WHEN EXCLUDED.email IS NULL OR EXCLUDED.email = tank_reminders.email
+            THEN COALESCE(tank_reminders.email_confirm_token, EXCLUDED.email_confirm_token)
+          ELSE EXCLUDED.email_confirm_token
+        END,
+        email = COALESCE(EXCLUDED.email, tank_reminders.email),
+        push_subscription_id = COALESCE(EXCLUDED.push_subscription_id, tank_reminders.push_subscription_id),
+        active = true,
+        updated_at = NOW()
+      RETURNING *
+    `, {
+      replacements: {
+        contributorHash, zipCode, fuelType, tankSize, thresholdPct, email, pushSubscriptionId,
+        token: crypto.randomBytes(32).toString('hex'),
+        confirmToken: email ? crypto.randomBytes(32).toString('hex') : null
+      }
+    });
+
+    const delivery = lastDelivery || (!row.last_delivery_at && await this.latestSharedDelivery(contributorHash, fuelType));
+    if (!delivery) return row;
+    return (await this.setLastDelivery(row, delivery)) || row;
+  }
+
+  /** Newest delivery this household shared (exact or bucketed), or null */
+  async latestSharedDelivery(contributorHash, fuelType) {
+    const [[row]] = await this.sequelize.query(`
+      SELECT COALESCE(r.exact_timestamp, cd.delivery_date::timestamptz) AS date,
+             r.exact_gallons, cd.gallons_bucket
+      FROM community_deliveries cd
+      LEFT JOIN community_deliveries_raw r ON r.delivery_id = cd.id
+      WHERE cd.contributor_hash = :contributorHash
+        AND cd.fuel_type = :fuelType
+        AND COALESCE(r.exact_timestamp, cd.delivery_date::timestamptz) IS NOT NULL
+      ORDER BY 1 DESC
+      LIMIT 1
+    `, { replacements: { contributorHash, fuelType } });
+    if (!row) return null;
+    return { date: row.date, gallons: TankReminderService.deliveryGallons({ exactGallons: row.exact_gallons, gallonsBucket: row.gallons_bucket }) };
+  }
+
+  /**
+   * Start a new cycle from a delivery. Deliveries older than the one on file
+   * (back-filled history) are ignored. Returns the updated row or null.
+   */
+  async setLastDelivery(reminder, { date, gallons }) {
+    if (!date || !(gallons > 0)) return null;
+    const [rows] = await this.sequelize.query(`
+      UPDATE tank_reminders
+      SET last_delivery_at = :date,
+          last_delivery_gallons = :gallons,
+          starting_gallons = :starting,
+          last_estimate_gallons = :starting,
+          last_estimated_at = NOW(),
+          cycle_reminders = 0,
+          updated_at = NOW()
+      WHERE id = :id
+        AND (last_delivery_at IS NULL OR last_delivery_at <= :date)
+      RETURNING *
+    `, {
+      replacements: {
+        id: reminder.id,
+        date: new Date(date).toISOString(),
+        gallons,
+        starting: TankReminderService.startingGallons(reminder.tank_size_gallons, gallons, reminder.threshold_pct)
+      }
+    });
+    return rows[0] || null;
+  }
+
+  /**
+   * A delivery was shared (POST /api/community/deliveries). Moves the
+   * household's reminder forward if it has one for that fuel.
+   * @param {object} delivery - { contributorHash, fuelType, date, exactGallons?, gallonsBucket? }
+   * @returns {Promise<boolean>} true when a reminder was updated
+   */
+  async recordDelivery({ contributorHash, fuelType, date, exactGallons = null, gallonsBucket = null }) {
+    const gallons = TankReminderService.deliveryGallons({ exactGallons, gallonsBucket });
+    if (!date || !gallons) return false;
+    const [[reminder]] = await this.sequelize.query(`
+      SELECT id, tank_size_gallons, threshold_pct
+      FROM tank_reminders
+      WHERE contributor_hash = :contributorHash AND fuel_type = :fuelType AND active = true
+    `, { replacements: { contributorHash, fuelType } });
+    if (!reminder) return false;
+    return !!(await this.setLastDelivery(reminder, { date, gallons }));
+  }
+
+  /** Mark an email confirmed by its confirmation token; returns rows updated */
+  async confirmEmail(token) {
+    const [rows] = await this.sequelize.query(`
+      UPDATE tank_reminders SET email_confirmed_at = NOW(), updated_at = NOW()
+      WHERE email_confirm_token = :token AND email IS NOT NULL AND email_confirmed_at IS NULL
+      RETURNING id
+    `, { replacements: { token } });
+    return rows.length;
+  }
+
+  /** Stop reminders by email unsubscribe token; returns rows updated */
+  async unsubscribe(token) {
+    const [rows] = await this.sequelize.query(`
+      UPDATE tank_reminders SET active = false, updated_at = NOW()
+      WHERE unsubscribe_token = :token AND active = true
+      RETURNING id
+    `, { replacements: { token } });
+    return rows.length;
+  }
+
+  // ─── Email ─────────────────────────────────────────────────
+
+  async sendReminderEmail(reminder, est, priceData) {
+    const subject = `Time to order ${FUEL_LABELS[reminder.fuel_type] || 'heating oil'}: ${TankReminderService.reminderTitle(est).replace(/^Your/, 'your')}`;
+    const html = this.buildReminderEmailHtml(reminder, est, priceData);
+
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: reminder.email,
+      stream: 'alerts',
+      source: 'tank-reminder',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      subject,
+      html,
+      idempotencyKey: `tank-reminder:${reminder.id}:${new Date().toISOString().slice(0, 10)}`,
+      dryRun: DRY_RUN
+    });
+
+    if (sent.accepted) {
+      this.logger.info(`[TankReminder] Sent reminder for ZIP ${reminder.zip_code} (${est.pct}%)`);
+      return true;
+    }
+
+    // Bounce/suppression: stop emailing, keep push
+    if (sent.rejected) {
+      this.logger.warn(`[TankReminder] Bounce/suppression for reminder ${reminder.id}, dropping email.`);
+      await this.sequelize.query(
+        `UPDATE tank_reminders SET email = NULL, updated_at = NOW() WHERE id = :id`,
+        { replacements: { id: reminder.id } }
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Ask the address to confirm before any reminder is sent to it. At most one
+   * send per token per day, however often the app re-posts its settings.
+   * @param {object} reminder - tank_reminders row with an unconfirmed email
+   * @returns {Promise<boolean>} true when the email was accepted
+   */
+  async sendConfirmationEmail(reminder) {
+    const confirmUrl = `${SITE_URL}/api/tank-reminders/confirm?token=${reminder.email_confirm_token}`;
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: reminder.email,
+      stream: 'transactional',
+      source: 'tank-reminder-confirm',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      subject: 'Confirm your HomeHeat tank reminders',
+      html: `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 560px; margin: 0 auto; color: #1a1a1a;">
+  ${this.priceAlertService.buildEmailHeader()}
+  <div style="padding: 0 20px;">
+    <h1 style="font-size: 22px; margin: 0 0 12px;">Confirm your email</h1>
+    <p style="font-size: 15px; line-height: 1.5; color: #444;">
+      Someone asked HomeHeat to email this address when their ${reminder.tank_size_gallons}-gallon
+      tank in ${reminder.zip_code} runs low. We won't send any reminders until you confirm.
+    </p>
+    <p style="margin: 20px 0;">
+      <a href="${confirmUrl}" style="display: inline-block; padding: 12px 20px; border-radius: 8px; text-decoration: none; font-weight: 600; background: #2563eb; color: #fff;">Confirm tank reminders</a>
+    </p>
+    <p style="font-size: 13px; color: #888; line-height: 1.5;">Didn't ask for this? Ignore this email and you won't hear from us.</p>
+  </div>
+</body>
+</html>`,
+      idempotencyKey: `tank-reminder-confirm:${reminder.email_confirm_token}:${new Date().toISOString().slice(0, 10)}`,
+      dryRun: DRY_RUN
+    });
+    if (!sent.accepted) {
+      this.logger.warn(`[TankReminder] Confirmation email for reminder ${reminder.id} not sent: ${sent.error || sent.status}`);
+    }
+    return !!sent.accepted;
+  }
+
+  buildReminderEmailHtml(reminder, est, priceData) {
+    const urls = reorderUrls(reminder.zip_code, reminder.fuel_type);
+    const fuel = FUEL_LABELS[reminder.fuel_type] || 'heating oil';
+    const unsubUrl = `${SITE_URL}/api/tank-reminders/unsubscribe?token=${reminder.unsubscribe_token}`;
+    const button = (href, label, primary) => `
+    <a href="${href}" style="display: inline-block; padding: 12px 20px; margin: 4px 8px 4px 0; border-radius: 8px; text-decoration: none; font-weight: 600; ${primary ? 'background: #2563eb; color: #fff;' : 'background: #eef2ff; color: #2563eb;'}">${label}</a>`;
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 560px; margin: 0 auto; color: #1a1a1a;">
+  ${this.priceAlertService.buildEmailHeader()}
+  <div style="padding: 0 20px;">
+    <h1 style="font-size: 22px; margin: 0 0 12px;">${TankReminderService.reminderTitle(est)}</h1>
+    <p style="font-size: 15px; line-height: 1.5; color: #444;">
+      Based on your last delivery and the weather since, we estimate about
+      <strong>${Math.round(est.gallons)} gallons</strong> of ${fuel} left in your
+      ${reminder.tank_size_gallons}-gallon tank — at or below the ${reminder.threshold_pct}% you asked us to watch for.
+    </p>
+    <p style="font-size: 15px; line-height: 1.5; color: #444;">${TankReminderService.reminderBody(reminder, est, priceData)}</p>
+    <p style="margin: 20px 0;">
+      ${button(urls.prices, `Compare prices in ${reminder.zip_code}`, !urls.quote)}
+      ${urls.quote ? button(urls.quote, 'Request quotes', true) : ''}
+    </p>
+    <p style="font-size: 13px; color: #888; line-height: 1.5;">
+      This is an estimate. Check your gauge before you order, and share your next
+      delivery in the HomeHeat app so we can keep it accurate.
+    </p>
+  </div>
+  <p style="font-size: 12px; color: #888; margin-top: 32px; border-top: 1px solid #eee; padding-top: 16px; text-align: center;">
+    <a href="${unsubUrl}" style="color: #888;">Stop tank reminders</a> · <a href="${SITE_URL}/privacy.html" style="color: #888;">Privacy Policy</a>
+    <br><br>HomeHeat · Katonah, NY 10536
+  </p>
+</body>
+</html>`;
+  }
+}
+
+module.exports = TankReminderService;
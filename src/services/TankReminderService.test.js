@@ -0,0 +1,193 @@
+// src/services/TankReminderService.test.js
+//
+// Tank run-out reminders (V3.17.0): opt-in validation, starting gallons after
+// a delivery, the degree-day estimate, one nudge per delivery cycle plus a
+// follow-up, email + push sends logged, shared deliveries starting a new
+// cycle, and emails held until the address is confirmed.
+// Fake sequelize, emails/push in dry-run mode; no DB, Resend or push service needed.
+//
+// Run: node src/services/TankReminderService.test.js
+
+process.env.TANK_REMINDER_DRY_RUN = 'true';
+process.env.NOTIFY_SINK_FILE = 'off';
+
+const TankReminderService = require('./TankReminderService');
+const { initNotificationService } = require('./NotificationService');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-20T14:00:00Z');
+const HASH = 'c'.repeat(64);
+
+const REMINDER = {
+  id: 'tr-1', contributor_hash: HASH, zip_code: '06103', fuel_type: 'heating_oil',
+  tank_size_gallons: 275, threshold_pct: 25, email: 'home@example.com', unsubscribe_token: 't'.repeat(64),
+  last_delivery_at: new Date(NOW - 40 * DAY_MS).toISOString(), starting_gallons: '200.0',
+  last_reminded_at: null, cycle_reminders: 0, push_subscription_id: null, push_endpoint: null
+};
+
+(async () => {
+  try {
+    console.log('\nSettings');
+    eq(TankReminderService.normalizeSettings({ zipCode: '06103', tankSize: '275' }),
+      { settings: { zipCode: '06103', fuelType: 'heating_oil', tankSize: 275, thresholdPct: 25 } }, 'defaults: heating oil, 25%');
+    eq(TankReminderService.normalizeSettings({ zipCode: '6103', tankSize: 275 }).error, 'Valid 5-digit ZIP code required.', 'bad ZIP');
+    eq(!!TankReminderService.normalizeSettings({ zipCode: '06103', tankSize: 20 }).error, true, 'tank too small');
+    eq(!!TankReminderService.normalizeSettings({ zipCode: '06103', tankSize: 275, thresholdPct: 5 }).error, true, 'threshold under 10%');
+    eq(!!TankReminderService.normalizeSettings({ zipCode: '06103', tankSize: 275, fuelType: 'coal' }).error, true, 'unknown fuel');
+
+    console.log('\nDeliveries');
+    eq(TankReminderService.deliveryGallons({ exactGallons: '182.4', gallonsBucket: 'medium' }), 182.4, 'exact gallons win');
+    eq(TankReminderService.deliveryGallons({ gallonsBucket: 'large' }), 275, 'legacy bucket midpoint');
+    eq(TankReminderService.startingGallons(275, 150, 25), 218.8, 'delivered + threshold carryover');
+    eq(TankReminderService.startingGallons(275, 260, 25), 247.5, 'capped at 90% of the tank');
+
+    console.log('\nDue');
+    eq(TankReminderService.isDue(REMINDER, 80, NOW), false, 'above 25% of 275 → not yet');
+    eq(TankReminderService.isDue(REMINDER, 68, NOW), true, 'first crossing → nudge');
+    const reminded = { ...REMINDER, cycle_reminders: 1, last_reminded_at: new Date(NOW - 3 * DAY_MS).toISOString() };
+    eq(TankReminderService.isDue(reminded, 50, NOW), false, 'no repeat within the follow-up window');
+    eq(TankReminderService.isDue({ ...reminded, last_reminded_at: new Date(NOW - 7 * DAY_MS).toISOString() }, 50, NOW), true, 'follow-up after a week');
+    eq(TankReminderService.isDue({ ...reminded, cycle_reminders: 2, last_reminded_at: new Date(NOW - 30 * DAY_MS).toISOString() }, 10, NOW), false, 'two nudges per delivery cycle');
+
+    console.log('\nEstimate');
+    const estDb = fakeSequelize(() => null);
+    const svc = new TankReminderService(estDb, quietLogger);
+    const est = await svc.estimate(REMINDER, NOW);
+    // No history and no stored weather: national prior (0.3 gal/day + 0.12 gal/HDD), normals HDD
+    eq(est.days, 40, 'days since delivery');
+    const hddCall = estDb.calls.find(c => /FROM weather_daily/.test(c.sql) && c.opts.bind[1] === '2025-12-11');
+    eq(hddCall && hddCall.opts.bind[2], '2026-01-19', 'HDD from delivery day through yesterday');
+    eq(est.burned, Math.round((0.3 * 40 + 0.12 * est.hdd) * 10) / 10, 'burned = alpha × days + beta × HDD');
+    eq(est.gallons, Math.round((200 - est.burned) * 10) / 10, 'remaining = starting − burned');
+    eq(est.pct, Math.round(est.gallons / 275 * 100), 'percent of tank');
+    if (est.hdd > 900 && est.hdd < 1600) pass('midwinter Hartford HDD plausible'); else fail('midwinter Hartford HDD plausible', est.hdd);
+
+    const withHistory = fakeSequelize((sql) => (/JOIN community_deliveries_raw r/.test(sql)
+      ? [[{ date: '2025-12-11T15:00:00Z', gallons: '210.0' }, { date: '2025-11-01T15:00:00Z', gallons: '150.0' }, { date: '2025-09-20T15:00:00Z', gallons: '120.0' }]]
+      : null));
+    const fitted = await new TankReminderService(withHistory, quietLogger).estimate(REMINDER, NOW);
+    eq(fitted.fit.intervals, 2, 'shared exact deliveries fitted as intervals');
+    if (fitted.gallons < est.gallons) pass('heavier measured usage lowers the estimate'); else fail('heavier measured usage lowers the estimate', `${fitted.gallons} vs ${est.gallons}`);
+
+    console.log('\nDaily run');
+    let reminders = [];
+    const sends = [];
+    const runDb = fakeSequelize((sql, opts) => {
+      if (/pg_try_advisory_lock/.test(sql)) return [[{ locked: true }]];
+      if (/FROM tank_reminders tr/.test(sql)) return [reminders];
+      if (/INSERT INTO tank_reminder_deliveries/.test(sql)) { sends.push(opts.replacements); return [[{ id: `d-${sends.length}` }]]; }
+      if (/FROM supplier_prices|JOIN supplier_prices/.test(sql)) {
+        return [[{ id: 's1', name: 'Acme Oil', price_per_gallon: '3.19' }]];
+      }
+      return null;
+    });
+    const runner = new TankReminderService(runDb, quietLogger);
+    const low = { ...REMINDER, starting_gallons: '150.0', push_subscription_id: 'ps-1', push_endpoint: 'https://fcm.googleapis.com/fcm/send/x' };
+    const full = { ...REMINDER, id: 'tr-2', starting_gallons: '247.5', last_delivery_at: new Date(NOW - 10 * DAY_MS).toISOString() };
+    const noChannel = { ...low, id: 'tr-3', email: null, push_endpoint: null, push_subscription_id: null };
+    reminders = [low, full, noChannel];
+
+    const result = await runner.runDailyCheck(NOW);
+    eq([result.checked, result.reminders_sent, result.skipped_no_channel], [3, 1, 1], 'one due with a channel, one still full, one without a channel');
+    eq([result.channels_sent, result.channels_failed], [{ email: 1, push: 1 }, { email: 0, push: 0 }], 'email + push sent');
+    eq(sends.map(s => [s.reminderId, s.channel, s.status]), [['tr-1', 'email', 'sent'], ['tr-1', 'push', 'sent']], 'each send logged');
+    const push = sends[1];
+    if (/^Your tank is about \d+% full \(~\d+ gal\)$/.test(push.title)) pass('push title names the level'); else fail('push title names the level', push.title);
+    if (/Lowest heating oil price in 06103 today: \$3\.19\/gal\./.test(push.body)) pass('push body quotes the local low'); else fail('push body quotes the local low', push.body);
+    eq(push.url, 'https://www.gethomeheat.com/prices.html?zip=06103&utm_source=tank_reminder&utm_campaign=reorder#get-quotes', 'push opens the quote form');
+    const estimates = runDb.calls.filter(c => /SET last_estimate_gallons/.test(c.sql)).map(c => c.opts.replacements.id);
+    eq(estimates, ['tr-1', 'tr-2', 'tr-3'], 'every reminder gets today\'s estimate');
+    const marked = runDb.calls.filter(c => /cycle_reminders = cycle_reminders \+ 1/.test(c.sql)).map(c => c.opts.replacements.id);
+    eq(marked, ['tr-1'], 'only the nudged reminder advances its cycle');
+    if (runDb.calls.some(c => /SET last_success_at = NOW\(\), failure_count = 0/.test(c.sql) && c.opts.replacements.id === 'ps-1')) pass('push endpoint health shared with price alerts');
+    else fail('push endpoint health shared with price alerts');
+    if (/pg_advisory_unlock/.test(runDb.calls[runDb.calls.length - 1].sql)) pass('lock released'); else fail('lock released');
+
+    const html = runner.buildReminderEmailHtml(low, { gallons: 60, pct: 22, daysUntilEmpty: 9 }, { minPrice: 3.19 });
+    if (html.includes('/api/tank-reminders/unsubscribe?token=' + 't'.repeat(64))) pass('email has its own unsubscribe link'); else fail('email has its own unsubscribe link');
+    if (html.includes('prices.html?zip=06103&utm_source=tank_reminder') && html.includes('#get-quotes')) pass('email links leaderboard and quote form'); else fail('email links leaderboard and quote form');
+    const propaneHtml = runner.buildReminderEmailHtml({ ...low, fuel_type: 'propane' }, { gallons: 60, pct: 22, daysUntilEmpty: null }, null);
+    if (propaneHtml.includes('/prices/propane/') && !propaneHtml.includes('#get-quotes')) pass('propane links its price page, no oil quote form'); else fail('propane links its price page, no oil quote form');
+
+    const lockedDb = fakeSequelize((sql) => (/pg_try_advisory_lock/.test(sql) ? [[{ locked: false }]] : null));
+    eq(await new TankReminderService(lockedDb, quietLogger).runDailyCheck(NOW), { success: false, reason: 'locked' }, 'second instance skips');
+
+    console.log('\nShared deliveries');
+    let found = { id: 'tr-1', tank_size_gallons: 275, threshold_pct: 25 };
+    const delDb = fakeSequelize((sql) => {
+      if (/SELECT id, tank_size_gallons, threshold_pct FROM tank_reminders/.test(sql.replace(/\s+/g, ' '))) return [[found].filter(Boolean)];
+      if (/SET last_delivery_at = :date/.test(sql)) return [[{ id: 'tr-1' }]];
+      return null;
+    });
+    const del = new TankReminderService(delDb, quietLogger);
+    eq(await del.recordDelivery({ contributorHash: HASH, fuelType: 'heating_oil', date: '2026-01-18T16:00:00Z', exactGallons: 150 }), true, 'delivery starts a new cycle');
+    const update = delDb.calls.find(c => /SET last_delivery_at = :date/.test(c.sql));
+    eq([update.opts.replacements.gallons, update.opts.replacements.starting], [150, 218.8], 'starting gallons from the delivery');
+    if (/cycle_reminders = 0/.test(update.sql) && /last_delivery_at IS NULL OR last_delivery_at <= :date/.test(update.sql)) pass('cycle reset, older deliveries ignored');
+    else fail('cycle reset, older deliveries ignored', update.sql);
+    eq(await del.recordDelivery({ contributorHash: HASH, fuelType: 'heating_oil', date: '2026-01-18', gallonsBucket: 'medium' }), true, 'legacy bucket accepted');
+    found = null;
+    delDb.calls.length = 0;
+    eq(await del.recordDelivery({ contributorHash: HASH, fuelType: 'heating_oil', date: '2026-01-18', exactGallons: 180 }), false, 'no reminder → nothing to do');
+    eq(delDb.calls.length, 1, 'only the lookup ran');
+
+    console.log('\nEmail confirmation');
+    const optDb = fakeSequelize((sql) => (/INSERT INTO tank_reminders/.test(sql) ? [[{ id: 'tr-9', last_delivery_at: '2026-01-01T00:00:00Z' }]] : null));
+    const opt = new TankReminderService(optDb, quietLogger);
+    await opt.optIn({ contributorHash: HASH, zipCode: '06103', fuelType: 'heating_oil', tankSize: 275, thresholdPct: 25, email: 'home@mailbox.org' });
+    const upsert = optDb.calls[0];
+    if (/^[a-f0-9]{64}$/.test(upsert.opts.replacements.confirmToken)) pass('new email gets a confirmation token'); else fail('new email gets a confirmation token', upsert.opts.replacements.confirmToken);
+    if (/email_confirmed_at = CASE WHEN EXCLUDED\.email IS NULL OR EXCLUDED\.email = tank_reminders\.email THEN tank_reminders\.email_confirmed_at END/.test(upsert.sql)) pass('changed email is unconfirmed again');
+    else fail('changed email is unconfirmed again', upsert.sql);
+    optDb.calls.length = 0;
+    await opt.optIn({ contributorHash: HASH, zipCode: '06103', fuelType: 'heating_oil', tankSize: 275, thresholdPct: 25, pushSubscriptionId: 'ps-1' });
+    eq(optDb.calls[0].opts.replacements.confirmToken, null, 'push-only opt-in issues no token');
+
+    const maskDb = fakeSequelize((sql) => (/pg_try_advisory_lock/.test(sql) ? [[{ locked: true }]] : null));
+    await new TankReminderService(maskDb, quietLogger).runDailyCheck(NOW);
+    if (maskDb.calls.some(c => /CASE WHEN tr\.email_confirmed_at IS NOT NULL THEN tr\.email END AS email/.test(c.sql))) pass('daily run only sees confirmed emails');
+    else fail('daily run only sees confirmed emails');
+
+    const confirmDb = fakeSequelize((sql, opts) => (/SET email_confirmed_at = NOW\(\)/.test(sql) && opts.replacements.token === 'a'.repeat(64) ? [[{ id: 'tr-1' }]] : null));
+    const confirmer = new TankReminderService(confirmDb, quietLogger);
+    eq([await confirmer.confirmEmail('a'.repeat(64)), await confirmer.confirmEmail('b'.repeat(64))], [1, 0], 'confirm by token');
+    if (/email IS NOT NULL AND email_confirmed_at IS NULL/.test(confirmDb.calls[0].sql)) pass('used links confirm nothing twice'); else fail('used links confirm nothing twice', confirmDb.calls[0].sql);
+
+    const sunk = [];
+    initNotificationService(fakeSequelize((sql) => (/INSERT INTO notification_outbox/.test(sql) ? [[{ id: 'n-1' }]] : null)), quietLogger, { transport: 'sink', channels: { sink: { name: 'sink', send: async (m, o) => { sunk.push({ ...m, ...o }); return { ok: true, providerId: 'sink-1' }; } } } });
+    eq(await confirmer.sendConfirmationEmail({ ...REMINDER, email_confirm_token: 'a'.repeat(64) }), true, 'confirmation email accepted');
+    eq([sunk.length, sunk[0] && sunk[0].to], [1, 'home@example.com'], 'sent to the address being confirmed');
+    if (sunk[0] && sunk[0].html.includes('/api/tank-reminders/confirm?token=' + 'a'.repeat(64))) pass('email carries the confirm link'); else fail('email carries the confirm link');
+
+    console.log('\nPush fetch');
+    const fetchDb = fakeSequelize((sql) => (/UPDATE tank_reminder_deliveries SET fetched_at/.test(sql) ? [[{ title: 't', body: 'b', url: 'u' }]] : null));
+    eq(await new TankReminderService(fetchDb, quietLogger).takePendingPush('https://fcm.googleapis.com/fcm/send/x'), { title: 't', body: 'b', url: 'u' }, 'service worker gets the reminder');
+    eq(fetchDb.calls[0].opts.replacements, { endpoint: 'https://fcm.googleapis.com/fcm/send/x' }, 'looked up by device endpoint');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+})();
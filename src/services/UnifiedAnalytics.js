@@ -12,6 +12,7 @@
 const path = require('path');
 const fs = require('fs');
 const { BigQuery } = require('@google-cloud/bigquery');
+const { recordObservation, loadRegionalDailyWeather } = require('./weatherHistory');
 
 class UnifiedAnalytics {
   constructor(sequelize, logger) {
@@ -1597,20 +1598,6 @@ class UnifiedAnalytics {
    */
   async getWeatherCorrelation(days = 30) {
     try {
-      // Ensure weather_history table exists
-      await this.sequelize.query(`
-        CREATE TABLE IF NOT EXISTS weather_history (
-          id SERIAL PRIMARY KEY,
-          date DATE UNIQUE NOT NULL,
-          temp_high NUMERIC(5,2),
-          temp_low NUMERIC(5,2),
-          temp_avg NUMERIC(5,2),
-          conditions VARCHAR(50),
-          location VARCHAR(100) DEFAULT 'Hartford, CT',
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `).catch(() => {}); // Ignore if exists
-
       const weatherApiKey = process.env.OPENWEATHER_API_KEY;
       let currentTemp = null;
       let conditions = null;
@@ -1632,16 +1619,8 @@ class UnifiedAnalytics {
           const tempLow = currentWeather.data.main.temp_min;
           conditions = currentWeather.data.weather[0].main;
 
-          // Store today's weather (upsert)
-          await this.sequelize.query(`
-            INSERT INTO weather_history (date, temp_high, temp_low, temp_avg, conditions)
-            VALUES (CURRENT_DATE, $1, $2, $3, $4)
-            ON CONFLICT (date) DO UPDATE SET
-              temp_high = GREATEST(weather_history.temp_high, $1),
-              temp_low = LEAST(weather_history.temp_low, $2),
-              temp_avg = $3,
-              conditions = $4
-          `, { bind: [tempHigh, tempLow, currentTemp, conditions] });
+          // V3.7.0: Fold into today's Hartford County row (weather_daily)
+          await recordObservation(this.sequelize, '06103', { temp: currentTemp, high: tempHigh, low: tempLow, conditions });
         } catch (apiError) {
           this.logger.error('[UnifiedAnalytics] Weather API error:', apiError.message);
         }
@@ -1679,20 +1658,29 @@ class UnifiedAnalytics {
         )
         SELECT
           ds.date,
+          ds.date::text as day,
           COALESCE(cd.total_clicks, 0) as total_clicks,
           COALESCE(cd.unique_users, 0) as unique_users,
           COALESCE(cd.web_clicks, 0) as web_clicks,
-          COALESCE(cd.app_clicks, 0) as app_clicks,
-          wh.temp_avg as temperature,
-          wh.temp_high,
-          wh.temp_low,
-          wh.conditions
+          COALESCE(cd.app_clicks, 0) as app_clicks
         FROM date_series ds
         LEFT JOIN click_data cd ON ds.date = cd.date
-        LEFT JOIN weather_history wh ON ds.date = wh.date
         ORDER BY ds.date ASC
       `, { type: this.sequelize.QueryTypes.SELECT });
 
+      // V3.22.5: regional daily weather over a fixed county set (see
+      // weatherHistory.regionalDailyWeather); conditions from the Hartford
+      // row this method records, as weather_history had
+      const weatherByDay = new Map((await loadRegionalDailyWeather(this.sequelize, days, { conditionsKey: 'CT:Hartford' }))
+        .map(d => [d.date, d]));
+      for (const r of dailyData) {
+        const wh = weatherByDay.get(r.day);
+        r.temperature = wh ? wh.tempAvg : null;
+        r.temp_high = wh ? wh.tempHigh : null;
+        r.temp_low = wh ? wh.tempLow : null;
+        r.conditions = wh ? wh.conditions : null;
+      }
+
       // Calculate correlation if we have enough weather data
       const dataWithWeather = dailyData.filter(d => d.temperature && d.total_clicks > 0);
       let correlation = null;
@@ -0,0 +1,189 @@
+/**
+ * Account Export — GDPR/CCPA right-of-access archive
+ * V3.5.0: Backs GET /api/auth/export. Collects every row tied to the caller's
+ * identity keys, using the same keys the writing routes use:
+ *   - device_id_hash  SHA-256(deviceId)[0:32] of every device on the account
+ *                     (app_events via /api/track, user_locations via supplier lookups)
+ *   - contributorHash 64-char client hash sent with /api/community/deliveries
+ *                     (and /api/tank-reminders, V3.17.0)
+ *   - email           price_alert_subscribers / coverage_requests, only for emails
+ *                     proven by an unsubscribe token from one of their emails
+ *   - user_id         training_queue / predictions / prediction_feedback
+ *                     (tank readings and forecasts via /api/ml)
+ *
+ * onboarding_steps is not exported: it is keyed only by a hash of the client
+ * IP, which doesn't identify the caller (shared and NAT'd networks).
+ *
+ * Each section is read independently; a missing table yields [] and is listed
+ * in `unavailable` rather than failing the whole export.
+ */
+
+const { hashDeviceId, getUser } = require('./deviceRegistry');
+
+const EXPORT_VERSION = 1;
+
+async function readSection(sequelize, name, sql, options, unavailable) {
+  try {
+    const [rows] = await sequelize.query(sql, options);
+    return rows;
+  } catch (error) {
+    unavailable.push({ section: name, reason: error.message });
+    return [];
+  }
+}
+
+/**
+ * Emails whose ownership the caller proved with unsubscribe tokens
+ * @returns {Promise<string[]>}
+ */
+async function resolveTokenEmails(sequelize, tokens, unavailable) {
+  if (!tokens.length) return [];
+  const rows = await readSection(sequelize, 'emailTokens', `
+    SELECT email FROM price_alert_subscribers WHERE unsubscribe_token IN (:tokens)
+    UNION
+    SELECT email FROM coverage_requests WHERE unsubscribe_token IN (:tokens)
+  `, { replacements: { tokens } }, unavailable);
+  return [...new Set(rows.map(r => r.email.toLowerCase()))];
+}
+
+/**
+ * Assemble the export archive
+ * @param {object} sequelize
+ * @param {string} userId - From the verified token
+ * @param {object} keys
+ * @param {string} keys.deviceId - Token's device (included even if unregistered)
+ * @param {string} keys.contributorHash - Community contributor hash, if sent
+ * @param {string[]} keys.emailTokens - Unsubscribe tokens proving email ownership
+ * @returns {Promise<object>}
+ */
+async function buildAccountExport(sequelize, userId, { deviceId = null, contributorHash = null, emailTokens = [] } = {}) {
+  const unavailable = [];
+
+  const account = await getUser(sequelize, userId);
+  const devices = await readSection(sequelize, 'devices', `
+    SELECT device_id, device_model, os_version, app_version, is_admin_device,
+           registered_at, last_seen_at
+    FROM device_registrations
+    WHERE user_id = $1
+    ORDER BY registered_at
+  `, { bind: [userId] }, unavailable);
+
+  const deviceIds = [...new Set([...devices.map(d => d.device_id), deviceId].filter(Boolean))];
+  const deviceIdHashes = deviceIds.map(hashDeviceId);
+  const emails = await resolveTokenEmails(sequelize, emailTokens, unavailable);
+
+  const byDevice = (name, sql) => (deviceIdHashes.length
+    ? readSection(sequelize, name, sql, { replacements: { hashes: deviceIdHashes } }, unavailable)
+    : []);
+  const byEmail = (name, sql) => (emails.length
+    ? readSection(sequelize, name, sql, { replacements: { emails } }, unavailable)
+    : []);
+  const byContributor = (name, sql) => (contributorHash
+    ? readSection(sequelize, name, sql, { bind: [contributorHash] }, unavailable)
+    : []);
+
+  const appEvents = await byDevice('appEvents', `
+    SELECT event_name, event_data, zip_prefix, fuel_type, app_version, device_type, os_version, created_at
+    FROM app_events
+    WHERE device_id_hash IN (:hashes)
+    ORDER BY created_at
+  `);
+  // Per-ZIP aggregate rows: only the ZIP/location is the device's own data
+  const userLocations = await byDevice('userLocations', `
+    SELECT zip_code, city, county, state, last_seen_at
+    FROM user_locations
+    WHERE device_id_hash IN (:hashes)
+    ORDER BY last_seen_at
+  `);
+
+  const communityDeliveries = await byContributor('communityDeliveries', `
+    SELECT id, zip_prefix, full_zip_code, fuel_type, price_per_gallon, delivery_month,
+           delivery_date, gallons_bucket, market_price_at_time, validation_status,
+           rejection_reason, supplier_name, supplier_id, is_directory_supplier, created_at
+    FROM community_deliveries
+    WHERE contributor_hash = $1
+    ORDER BY created_at
+  `);
+  const communityDeliveriesRaw = await byContributor('communityDeliveriesRaw', `
+    SELECT r.delivery_id, r.exact_price, r.exact_gallons, r.exact_timestamp, r.full_zip_code, r.created_at
+    FROM community_deliveries_raw r
+    JOIN community_deliveries d ON d.id = r.delivery_id
+    WHERE d.contributor_hash = $1
+    ORDER BY r.created_at
+  `);
+  const tankReminders = await byContributor('tankReminders', `
+    SELECT zip_code, fuel_type, tank_size_gallons, threshold_pct, email,
+           last_delivery_at, last_delivery_gallons, starting_gallons,
+           last_estimate_gallons, last_estimated_at, last_reminded_at,
+           reminder_count, active, email_confirmed_at, created_at
+    FROM tank_reminders
+    WHERE contributor_hash = $1
+  `);
+
+  const byUser = (name, sql) => readSection(sequelize, name, sql, { bind: [userId] }, unavailable);
+  const mlTrainingData = await byUser('mlTrainingData', `
+    SELECT data_type, data_payload, processed, created_at
+    FROM training_queue
+    WHERE user_id = $1
+    ORDER BY created_at
+  `);
+  const predictions = await byUser('predictions', `
+    SELECT id, prediction_date, predicted_days_left, predicted_daily_usage, predicted_runout_date,
+           predicted_reorder_days, confidence_score, model_version, model_type, region, factors, created_at
+    FROM predictions
+    WHERE user_id = $1
+    ORDER BY created_at
+  `);
+  const predictionFeedback = await byUser('predictionFeedback', `
+    SELECT prediction_id, feedback_type, actual_date, actual_outcome, user_comments, created_at
+    FROM prediction_feedback
+    WHERE user_id = $1
+    ORDER BY created_at
+  `);
+
+  const priceAlertSubscriptions = await byEmail('priceAlertSubscriptions', `
+    SELECT email, zip_code, rule_type, fuel_type, threshold_price, pct_drop, lookback_weeks,
+           delivery, email_enabled, sms_phone_last10, sms_confirmed_at, sms_opted_out_at,
+           signup_price_at_time, source_page, active,
+           last_alert_sent_at, alert_count, created_at
+    FROM price_alert_subscribers
+    WHERE LOWER(email) IN (:emails)
+    ORDER BY created_at
+  `);
+  const coverageRequests = await byEmail('coverageRequests', `
+    SELECT email, zip_code, fuel_types, source_page, state, county, city,
+           notified_at, notified_fuel_type, active, created_at
+    FROM coverage_requests
+    WHERE LOWER(email) IN (:emails)
+    ORDER BY created_at
+  `);
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    identity: {
+      userId,
+      deviceIdHashes,
+      contributorHash: contributorHash || null,
+      emails
+    },
+    account,
+    devices,
+    communityDeliveries,
+    communityDeliveriesRaw,
+    tankReminders,
+    mlTrainingData,
+    predictions,
+    predictionFeedback,
+    appEvents,
+    userLocations,
+    priceAlertSubscriptions,
+    coverageRequests,
+    unavailable
+  };
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  buildAccountExport
+};
@@ -0,0 +1,89 @@
+// src/services/accountExport.test.js
+//
+// Right-of-access archive (V3.5.0): each section is keyed by the same identity
+// the writing route uses, email-keyed sections need a proven email, and a
+// missing table degrades to [] + `unavailable` instead of failing the export.
+//
+// Run: node src/services/accountExport.test.js
+
+const { buildAccountExport } = require('./accountExport');
+const { hashDeviceId } = require('./deviceRegistry');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+const callFor = (db, re) => db.calls.find(c => re.test(c.sql));
+
+const HASH = 'a'.repeat(64);
+const USER_ROW = { id: 'u-1', user_type: 'anonymous', is_active: true, privacy_settings: {} };
+
+(async () => {
+  try {
+    console.log('\n=== identity keys ===');
+    let db = fakeSequelize((sql) => {
+      if (/FROM anonymous_users/.test(sql)) return [[USER_ROW]];
+      if (/FROM device_registrations/.test(sql)) return [[{ device_id: 'DEVICE-ONE-0001' }]];
+      if (/unsubscribe_token IN/.test(sql)) return [[{ email: 'Home@Example.com' }]];
+      if (/FROM app_events/.test(sql)) return [[{ event_name: 'app_open' }]];
+      if (/FROM community_deliveries_raw/.test(sql)) return [[{ exact_price: '3.49' }]];
+      if (/FROM predictions/.test(sql)) return [[{ id: 'p-1', predicted_days_left: 21 }]];
+      return null;
+    });
+    let out = await buildAccountExport(db, 'u-1', {
+      deviceId: 'DEVICE-TWO-0002', contributorHash: HASH, emailTokens: ['tok-1'],
+    });
+
+    eq(out.identity.deviceIdHashes, [hashDeviceId('DEVICE-ONE-0001'), hashDeviceId('DEVICE-TWO-0002')], 'registered devices + token device');
+    eq(callFor(db, /FROM app_events/).opts.replacements.hashes, out.identity.deviceIdHashes, 'app_events keyed by device hashes');
+    eq(callFor(db, /FROM user_locations/).opts.replacements.hashes, out.identity.deviceIdHashes, 'user_locations keyed by device hashes');
+    eq(callFor(db, /FROM community_deliveries WHERE/).opts.bind, [HASH], 'community deliveries keyed by contributor hash');
+    if (/JOIN community_deliveries d ON d.id = r.delivery_id WHERE d.contributor_hash = \$1/.test(callFor(db, /community_deliveries_raw/).sql)) pass('raw deliveries reached through the public row');
+    else fail('raw deliveries reached through the public row');
+    eq([callFor(db, /FROM onboarding_steps/), 'onboardingSteps' in out], [undefined, false], 'ip-keyed onboarding steps not exported');
+    eq(['training_queue', 'predictions', 'prediction_feedback'].map(t => callFor(db, new RegExp(`FROM ${t} WHERE user_id`)).opts.bind), [['u-1'], ['u-1'], ['u-1']], 'ML rows keyed by user id');
+    eq(out.predictions.map(p => p.id), ['p-1'], 'predictions exported');
+    eq(out.identity.emails, ['home@example.com'], 'token proves (lowercased) email');
+    eq(callFor(db, /FROM price_alert_subscribers WHERE LOWER/).opts.replacements.emails, ['home@example.com'], 'price alerts keyed by proven email');
+    eq([out.appEvents.length, out.communityDeliveriesRaw.length, out.account.id], [1, 1, 'u-1'], 'sections carry rows');
+    if (!db.calls.some(c => /SELECT[^]*unsubscribe_token[^]*FROM (price_alert_subscribers|coverage_requests) WHERE LOWER/.test(c.sql))) pass('unsubscribe tokens never exported');
+    else fail('unsubscribe tokens never exported');
+
+    console.log('\n=== absent keys skip sections ===');
+    db = fakeSequelize((sql) => (/FROM anonymous_users/.test(sql) ? [[USER_ROW]] : null));
+    out = await buildAccountExport(db, 'u-1', {});
+    eq(db.calls.map(c => c.sql.match(/FROM (\w+)/)[1]), ['anonymous_users', 'device_registrations', 'training_queue', 'predictions', 'prediction_feedback'],
+      'no device, hash or token → only user-id queries');
+    eq([out.priceAlertSubscriptions, out.coverageRequests, out.identity.emails], [[], [], []], 'no email proof → no email-keyed rows');
+
+    console.log('\n=== missing tables ===');
+    db = fakeSequelize((sql) => {
+      if (/FROM anonymous_users/.test(sql)) return [[USER_ROW]];
+      if (/FROM tank_reminders/.test(sql)) throw new Error('relation "tank_reminders" does not exist');
+      return null;
+    });
+    out = await buildAccountExport(db, 'u-1', { deviceId: 'DEVICE-ONE-0001', contributorHash: HASH });
+    eq(out.tankReminders, [], 'missing table → empty section');
+    eq(out.unavailable.map(u => u.section), ['tankReminders'], 'missing table listed in unavailable');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,521 @@
+/**
+ * Consumption Model — degree-day regression for heating oil burn
+ * V3.6.0: Replaces the 3.5 gal/day SimplePredictionModel behind /api/ml.
+ *
+ *   gallons(interval) = alpha × days + beta × HDD
+ *
+ * alpha is base load (hot water, gal/day), beta is gallons per heating degree
+ * day (base 65°F). Each home is fitted at request time by Bayesian linear
+ * regression over its own intervals — consecutive tank readings (plus any
+ * deliveries between them) from training_queue, or delivery-to-delivery
+ * intervals when there are fewer than two readings. The prior comes from a
+ * regional fit over community delivery intervals, trained offline by
+ * scripts/train-consumption-model.js and versioned in model_deployments.
+ * With no home data the prediction is the regional prior; every interval
+ * pulls it toward the home.
+ *
+ * Interval noise is heteroscedastic: variance = sigmaDaily² × days.
+ * Interval HDD, best source first: daily history from weather_daily (V3.7.0,
+ * gaps filled from normals), the temperatures logged with both readings, or
+ * 30-year county normals (hdd-by-county.json) spread by MONTHLY_HDD_SHARE.
+ */
+
+const { getHDD } = require('../data/energy-rates');
+const usZipLookup = require('../data/us-zip-lookup.json');
+
+const MODEL_TYPE = 'degree_day_regression';
+const BASE_TEMP_F = 65;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HORIZON_DAYS = 365;
+const MIN_INTERVAL_DAYS = 2;
+const MAX_INTERVAL_DAYS = 400;
+const Z_80 = 1.2816; // two-sided 80% interval
+const MIN_SIGMA_DAILY = 0.25;
+const DEPLOYMENT_CACHE_MS = 10 * 60 * 1000;
+
+// Share of annual HDD per month (Jan..Dec), Northeast heating-season profile.
+const MONTHLY_HDD_SHARE = [0.195, 0.170, 0.140, 0.080, 0.030, 0.005, 0, 0, 0.015, 0.060, 0.125, 0.180];
+
+// Used until the first trained deployment exists: ~800 gal/yr at 6,000 HDD.
+const DEFAULT_HYPERPARAMETERS = {
+  baseTemp: BASE_TEMP_F,
+  sigmaDaily: 1.5,
+  national: { alpha: 0.3, beta: 0.12, sdAlpha: 0.5, sdBeta: 0.06, samples: 0 },
+  regions: {}
+};
+
+// ─── HDD ───────────────────────────────────────────────────────
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+/**
+ * Normal HDD for one calendar day
+ * @param {number} annualHDD
+ * @param {Date} date
+ */
+function normalDailyHDD(annualHDD, date) {
+  return annualHDD * MONTHLY_HDD_SHARE[date.getUTCMonth()] / daysInMonth(date);
+}
+
+/**
+ * Normal HDD over [start, end) in whole days
+ */
+function normalHDDBetween(annualHDD, start, end) {
+  let total = 0;
+  const days = Math.round((new Date(end) - new Date(start)) / DAY_MS);
+  for (let i = 0; i < days; i++) {
+    total += normalDailyHDD(annualHDD, new Date(new Date(start).getTime() + i * DAY_MS));
+  }
+  return total;
+}
+
+/**
+ * Annual normal HDD + state for a ZIP (county → state → national fallback)
+ * @param {string} zip
+ * @returns {{ annualHDD: number, state: string|null, source: string }}
+ */
+function locationClimate(zip) {
+  const info = (zip && usZipLookup[zip]) || null;
+  const { hdd, source } = getHDD({ state: info && info.state, county: info && info.county });
+  return { annualHDD: hdd, state: info ? info.state : null, source };
+}
+
+// ─── Intervals ─────────────────────────────────────────────────
+
+/**
+ * HDD over [start, end) from daily history, normals for days it lacks
+ * @param {Map<string, number>} dailyHDD - 'YYYY-MM-DD' → HDD
+ * @returns {{ hdd: number, observedDays: number, days: number }}
+ */
+function historyHDDBetween(dailyHDD, annualHDD, start, end) {
+  const days = Math.round((new Date(end) - new Date(start)) / DAY_MS);
+  let hdd = 0;
+  let observedDays = 0;
+  for (let i = 0; i < days; i++) {
+    const date = new Date(new Date(start).getTime() + i * DAY_MS);
+    const observed = dailyHDD.get(date.toISOString().slice(0, 10));
+    if (observed != null) {
+      hdd += observed;
+      observedDays++;
+    } else {
+      hdd += normalDailyHDD(annualHDD, date);
+    }
+  }
+  return { hdd, observedDays, days };
+}
+
+/**
+ * Turn a home's readings and deliveries into usage intervals
+ * @param {Array<object>} events - { type: 'reading'|'delivery', date, tankLevel?, gallons?, temperature? }
+ * @param {object} options - { tankSize, annualHDD, dailyHDD? (Map 'YYYY-MM-DD' → HDD) }
+ * @returns {Array<object>} - [{ start, end, days, hdd, gallons, hddSource }]
+ *   hddSource: 'weather' | 'weather_partial' | 'observed' (reading temps) | 'normals'
+ */
+function buildIntervals(events, { tankSize, annualHDD, dailyHDD = null }) {
+  const sorted = [...events]
+    .filter(e => e && e.date && !Number.isNaN(new Date(e.date).getTime()))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const readings = sorted.filter(e => e.type === 'reading' && e.tankLevel != null);
+  const deliveries = sorted.filter(e => e.type === 'delivery' && e.gallons > 0);
+
+  const intervals = [];
+  const push = (start, end, gallons, temps) => {
+    const days = (new Date(end) - new Date(start)) / DAY_MS;
+    if (days < MIN_INTERVAL_DAYS || days > MAX_INTERVAL_DAYS || !(gallons >= 0)) return;
+    const history = dailyHDD ? historyHDDBetween(dailyHDD, annualHDD, start, end) : null;
+    if (history && history.observedDays > 0) {
+      const hddSource = history.observedDays === history.days ? 'weather' : 'weather_partial';
+      intervals.push({ start, end, days, hdd: history.hdd, gallons, hddSource });
+      return;
+    }
+    const observed = temps.every(t => t != null);
+    const hdd = observed
+      ? days * Math.max(0, BASE_TEMP_F - (temps[0] + temps[1]) / 2)
+      : normalHDDBetween(annualHDD, start, end);
+    intervals.push({ start, end, days, hdd, gallons, hddSource: observed ? 'observed' : 'normals' });
+  };
+
+  if (readings.length >= 2) {
+    for (let i = 1; i < readings.length; i++) {
+      const a = readings[i - 1];
+      const b = readings[i];
+      const delivered = deliveries
+        .filter(d => new Date(d.date) > new Date(a.date) && new Date(d.date) <= new Date(b.date))
+        .reduce((sum, d) => sum + d.gallons, 0);
+      push(a.date, b.date, (a.tankLevel - b.tankLevel) * tankSize + delivered, [a.temperature, b.temperature]);
+    }
+  } else {
+    // Fill-up assumption: each delivery replaces what was burned since the last one.
+    for (let i = 1; i < deliveries.length; i++) {
+      push(deliveries[i - 1].date, deliveries[i].date, deliveries[i].gallons, [null, null]);
+    }
+  }
+  return intervals;
+}
+
+// ─── Fitting ───────────────────────────────────────────────────
+
+function invert2x2([[a, b], [c, d]]) {
+  const det = a * d - b * c;
+  return [[d / det, -b / det], [-c / det, a / det]];
+}
+
+/**
+ * Bayesian fit of (alpha, beta) with a Gaussian prior
+ * @param {Array<object>} intervals - From buildIntervals
+ * @param {object} prior - { alpha, beta, sdAlpha, sdBeta }
+ * @param {number} sigmaDaily - Daily usage noise (gal)
+ * @returns {object} - { alpha, beta, cov: 2x2, intervals }
+ */
+function fitHome(intervals, prior, sigmaDaily) {
+  const A = [[1 / prior.sdAlpha ** 2, 0], [0, 1 / prior.sdBeta ** 2]];
+  const b = [prior.alpha / prior.sdAlpha ** 2, prior.beta / prior.sdBeta ** 2];
+  for (const iv of intervals) {
+    const w = 1 / (sigmaDaily ** 2 * iv.days);
+    A[0][0] += w * iv.days * iv.days;
+    A[0][1] += w * iv.days * iv.hdd;
+    A[1][0] += w * iv.hdd * iv.days;
+    A[1][1] += w * iv.hdd * iv.hdd;
+    b[0] += w * iv.days * iv.gallons;
+    b[1] += w * iv.hdd * iv.gallons;
+  }
+  const cov = invert2x2(A);
+  return {
+    alpha: Math.max(0, cov[0][0] * b[0] + cov[0][1] * b[1]),
+    beta: Math.max(0, cov[1][0] * b[0] + cov[1][1] * b[1]),
+    cov,
+    intervals: intervals.length
+  };
+}
+
+/**
+ * Regional prior for a state from trained hyperparameters
+ */
+function priorFor(hyperparameters, state) {
+  const region = state && hyperparameters.regions && hyperparameters.regions[state];
+  return region
+    ? { ...region, region: state }
+    : { ...hyperparameters.national, region: 'national' };
+}
+
+// ─── Prediction ────────────────────────────────────────────────
+
+/**
+ * Daily HDD path for the forecast horizon. currentTemp, when given, stands in
+ * for the first week (weather-forecast range); normals after that.
+ */
+function forecastHDD(annualHDD, startDate, days, currentTemp) {
+  const path = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(startDate.getTime() + i * DAY_MS);
+    path.push(currentTemp != null && i < 7
+      ? Math.max(0, BASE_TEMP_F - currentTemp)
+      : normalDailyHDD(annualHDD, date));
+  }
+  return path;
+}
+
+/**
+ * Days until `gallons` are burned at the mean and at the 80% usage band
+ * @returns {{ expected: number|null, low: number|null, high: number|null }}
+ *   low = earliest (high usage), high = latest (low usage); null = beyond horizon
+ */
+function daysUntilBurned(gallons, fit, sigmaDaily, hddPath) {
+  const out = { expected: null, low: null, high: null };
+  if (gallons <= 0) return { expected: 0, low: 0, high: 0 };
+  let sumHDD = 0;
+  for (let t = 1; t <= hddPath.length; t++) {
+    sumHDD += hddPath[t - 1];
+    const mean = fit.alpha * t + fit.beta * sumHDD;
+    const x = [t, sumHDD];
+    const paramVar = x[0] * (fit.cov[0][0] * x[0] + fit.cov[0][1] * x[1])
+      + x[1] * (fit.cov[1][0] * x[0] + fit.cov[1][1] * x[1]);
+    const sd = Math.sqrt(paramVar + sigmaDaily ** 2 * t);
+    if (out.low === null && mean + Z_80 * sd >= gallons) out.low = t;
+    if (out.expected === null && mean >= gallons) out.expected = t;
+    if (out.high === null && Math.max(0, mean - Z_80 * sd) >= gallons) { out.high = t; break; }
+  }
+  return out;
+}
+
+/**
+ * Predict burn for one home
+ * @param {object} input
+ * @param {object} input.fit - From fitHome
+ * @param {number} input.sigmaDaily
+ * @param {number} input.currentGallons
+ * @param {number} input.tankSize
+ * @param {number} input.annualHDD
+ * @param {number} input.forecastDays - Window for the average daily usage figure
+ * @param {number} input.currentTemp - Optional °F for the next 7 days
+ * @param {Date} input.now
+ * @returns {object}
+ */
+function predictConsumption({ fit, sigmaDaily, currentGallons, tankSize, annualHDD, forecastDays = 30, currentTemp = null, now = new Date(), reorderFraction = 0.25 }) {
+  const hddPath = forecastHDD(annualHDD, now, MAX_HORIZON_DAYS, currentTemp);
+  const windowHDD = hddPath.slice(0, forecastDays).reduce((a, b) => a + b, 0);
+
+  const windowMean = fit.alpha * forecastDays + fit.beta * windowHDD;
+  const x = [forecastDays, windowHDD];
+  const windowVar = x[0] * (fit.cov[0][0] * x[0] + fit.cov[0][1] * x[1])
+    + x[1] * (fit.cov[1][0] * x[0] + fit.cov[1][1] * x[1])
+    + sigmaDaily ** 2 * forecastDays;
+  const windowSd = Math.sqrt(windowVar);
+
+  const empty = daysUntilBurned(currentGallons, fit, sigmaDaily, hddPath);
+  const reorder = daysUntilBurned(currentGallons - tankSize * reorderFraction, fit, sigmaDaily, hddPath);
+
+  // Confidence: how tight the 80% band on usage is relative to the mean
+  const confidence = windowMean > 0
+    ? Math.min(0.95, Math.max(0.05, 1 - (Z_80 * windowSd) / windowMean))
+    : 0.05;
+
+  const round2 = (v) => Math.round(v * 100) / 100;
+  return {
+    dailyUsageGallons: round2(windowMean / forecastDays),
+    dailyUsageInterval: {
+      low: round2(Math.max(0, windowMean - Z_80 * windowSd) / forecastDays),
+      high: round2((windowMean + Z_80 * windowSd) / forecastDays)
+    },
+    daysUntilEmpty: empty,
+    daysUntilReorder: reorder,
+    forecastHDD: Math.round(windowHDD),
+    confidence: round2(confidence)
+  };
+}
+
+// ─── Training (offline) ────────────────────────────────────────
+
+function groupByContributor(samples) {
+  const groups = new Map();
+  for (const s of samples) {
+    if (!groups.has(s.contributor)) groups.set(s.contributor, []);
+    groups.get(s.contributor).push(s);
+  }
+  return groups;
+}
+
+/**
+ * Fit regional priors from community delivery intervals
+ * @param {Array<object>} samples - [{ contributor, state, days, hdd, gallons }]
+ * @param {object} options
+ * @param {number} options.minRegionSamples - Intervals needed for a state prior (default 30)
+ * @returns {object} - { hyperparameters, trainingMetrics, validationMetrics }
+ */
+function trainPriors(samples, { minRegionSamples = 30 } = {}) {
+  const weak = { alpha: DEFAULT_HYPERPARAMETERS.national.alpha, beta: DEFAULT_HYPERPARAMETERS.national.beta, sdAlpha: 5, sdBeta: 1 };
+  const sigma0 = DEFAULT_HYPERPARAMETERS.sigmaDaily;
+
+  // Hold out each contributor's last interval for validation
+  const byContributor = groupByContributor(samples);
+  const train = [];
+  const holdout = [];
+  for (const list of byContributor.values()) {
+    if (list.length >= 2) {
+      train.push(...list.slice(0, -1));
+      holdout.push(list[list.length - 1]);
+    } else {
+      train.push(...list);
+    }
+  }
+
+  // Interval noise from within-home residuals: pooled residuals would count
+  // between-home differences as noise and over-shrink every home to the prior
+  const withinHomeSigma = (list) => {
+    let sumSq = 0;
+    let dof = 0;
+    for (const group of groupByContributor(list).values()) {
+      if (group.length < 3) continue;
+      const fit = fitHome(group, weak, sigma0);
+      for (const s of group) sumSq += (s.gallons - fit.alpha * s.days - fit.beta * s.hdd) ** 2 / s.days;
+      dof += group.length - 2;
+    }
+    return dof > 0 ? Math.max(MIN_SIGMA_DAILY, Math.sqrt(sumSq / dof)) : sigma0;
+  };
+
+  // Between-home spread of beta: contributors with ≥2 intervals, fitted alone
+  const spread = (list, center) => {
+    const betas = [...groupByContributor(list).values()].filter(g => g.length >= 2)
+      .map(g => fitHome(g, { ...weak, alpha: center.alpha, sdAlpha: 0.5 }, sigma0).beta);
+    if (betas.length < 5) return DEFAULT_HYPERPARAMETERS.national.sdBeta;
+    const mean = betas.reduce((a, b) => a + b, 0) / betas.length;
+    return Math.max(0.02, Math.sqrt(betas.reduce((a, b) => a + (b - mean) ** 2, 0) / (betas.length - 1)));
+  };
+
+  const region = (list) => {
+    const fit = fitHome(list, weak, sigma0);
+    return {
+      alpha: round4(fit.alpha),
+      beta: round4(fit.beta),
+      sdAlpha: DEFAULT_HYPERPARAMETERS.national.sdAlpha,
+      sdBeta: round4(spread(list, fit)),
+      samples: list.length
+    };
+  };
+
+  if (train.length === 0) {
+    return {
+      hyperparameters: { ...DEFAULT_HYPERPARAMETERS },
+      trainingMetrics: { contributors: 0, intervals: 0, regions: 0 },
+      validationMetrics: { holdout: 0, mae: null, mape: null }
+    };
+  }
+
+  const national = region(train);
+  const regions = {};
+  const states = [...new Set(train.map(s => s.state).filter(Boolean))];
+  for (const state of states) {
+    const list = train.filter(s => s.state === state);
+    if (list.length >= minRegionSamples) regions[state] = region(list);
+  }
+
+  const hyperparameters = {
+    baseTemp: BASE_TEMP_F,
+    sigmaDaily: round4(withinHomeSigma(train)),
+    national,
+    regions
+  };
+
+  // Validation: predict each held-out interval from that contributor's other intervals
+  const errors = holdout.map((h) => {
+    const history = train.filter(s => s.contributor === h.contributor);
+    const fit = fitHome(history, priorFor(hyperparameters, h.state), hyperparameters.sigmaDaily);
+    const predicted = fit.alpha * h.days + fit.beta * h.hdd;
+    return { abs: Math.abs(predicted - h.gallons), pct: h.gallons > 0 ? Math.abs(predicted - h.gallons) / h.gallons : null };
+  });
+  const pcts = errors.map(e => e.pct).filter(p => p != null);
+
+  return {
+    hyperparameters,
+    trainingMetrics: { contributors: byContributor.size, intervals: train.length, regions: Object.keys(regions).length },
+    validationMetrics: {
+      holdout: errors.length,
+      mae: errors.length ? round4(errors.reduce((a, e) => a + e.abs, 0) / errors.length) : null,
+      mape: pcts.length ? round4(pcts.reduce((a, b) => a + b, 0) / pcts.length) : null
+    }
+  };
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+// ─── Persistence ───────────────────────────────────────────────
+
+let deploymentCache = null;
+
+/**
+ * Active deployment for MODEL_TYPE, cached briefly. Falls back to the
+ * built-in prior (version 'default') before the first training run or if
+ * migration 183 has not run.
+ * @param {object} sequelize
+ * @returns {Promise<{ modelVersion, deploymentDate, hyperparameters, validationMetrics }>}
+ */
+async function getActiveDeployment(sequelize) {
+  if (deploymentCache && Date.now() - deploymentCache.loadedAt < DEPLOYMENT_CACHE_MS) {
+    return deploymentCache.value;
+  }
+  let value = { modelVersion: 'default', deploymentDate: null, hyperparameters: DEFAULT_HYPERPARAMETERS, validationMetrics: null };
+  if (sequelize) {
+    try {
+      const [rows] = await sequelize.query(`
+        SELECT model_version, deployment_date, hyperparameters, validation_metrics
+        FROM model_deployments
+        WHERE model_type = $1 AND is_active = true
+        LIMIT 1
+      `, { bind: [MODEL_TYPE] });
+      if (rows[0]) {
+        value = {
+          modelVersion: rows[0].model_version,
+          deploymentDate: rows[0].deployment_date,
+          hyperparameters: rows[0].hyperparameters,
+          validationMetrics: rows[0].validation_metrics
+        };
+      }
+    } catch {
+      // model_deployments may not exist yet (migration 183 not run)
+    }
+  }
+  deploymentCache = { loadedAt: Date.now(), value };
+  return value;
+}
+
+function clearDeploymentCache() {
+  deploymentCache = null;
+}
+
+/**
+ * Record a trained model and make it the active one for MODEL_TYPE
+ * @param {object} sequelize
+ * @param {string} modelVersion
+ * @param {object} trained - trainPriors() result
+ */
+async function saveDeployment(sequelize, modelVersion, trained) {
+  const t = await sequelize.transaction();
+  try {
+    await sequelize.query(
+      'UPDATE model_deployments SET is_active = false WHERE model_type = $1 AND is_active = true',
+      { bind: [MODEL_TYPE], transaction: t }
+    );
+    await sequelize.query(`
+      INSERT INTO model_deployments
+        (model_version, model_type, deployment_date, is_active, training_metrics, validation_metrics, hyperparameters)
+      VALUES ($1, $2, NOW(), true, $3, $4, $5)
+    `, {
+      bind: [
+        modelVersion,
+        MODEL_TYPE,
+        JSON.stringify(trained.trainingMetrics),
+        JSON.stringify(trained.validationMetrics),
+        JSON.stringify(trained.hyperparameters)
+      ],
+      transaction: t
+    });
+    await t.commit();
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+  clearDeploymentCache();
+}
+
+/**
+ * A home's readings and deliveries from training_queue
+ * @returns {Promise<Array<object>>} - buildIntervals() events, plus the latest
+ *   zipCode/tankSize the app submitted (or null)
+ */
+async function loadHomeEvents(sequelize, userId) {
+  const [rows] = await sequelize.query(`
+    SELECT data_type, data_payload
+    FROM training_queue
+    WHERE user_id = $1 AND data_type IN ('tank_reading', 'delivery')
+    ORDER BY created_at
+  `, { bind: [userId] });
+  return rows.map((r) => {
+    const p = r.data_payload || {};
+    return r.data_type === 'delivery'
+      ? { type: 'delivery', date: p.date, gallons: parseFloat(p.gallonsDelivered), zipCode: p.zipCode, tankSize: p.tankSize }
+      : { type: 'reading', date: p.date, tankLevel: parseFloat(p.tankLevel), temperature: p.temperature != null ? parseFloat(p.temperature) : null, zipCode: p.zipCode, tankSize: p.tankSize };
+  });
+}
+
+module.exports = {
+  MODEL_TYPE,
+  BASE_TEMP_F,
+  MONTHLY_HDD_SHARE,
+  DEFAULT_HYPERPARAMETERS,
+  normalDailyHDD,
+  normalHDDBetween,
+  locationClimate,
+  buildIntervals,
+  fitHome,
+  priorFor,
+  predictConsumption,
+  trainPriors,
+  getActiveDeployment,
+  clearDeploymentCache,
+  saveDeployment,
+  loadHomeEvents
+};
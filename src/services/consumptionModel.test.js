@@ -0,0 +1,191 @@
+// src/services/consumptionModel.test.js
+//
+// Degree-day consumption model (V3.6.0): interval construction from readings
+// and deliveries, the Bayesian per-home fit recovering known alpha/beta, the
+// prior dominating an empty history, forecast intervals bracketing the
+// expectation, and offline prior training + deployment swap. No DB needed.
+//
+// Run: node src/services/consumptionModel.test.js
+
+const {
+  MONTHLY_HDD_SHARE,
+  DEFAULT_HYPERPARAMETERS,
+  normalDailyHDD,
+  normalHDDBetween,
+  locationClimate,
+  buildIntervals,
+  fitHome,
+  priorFor,
+  predictConsumption,
+  trainPriors,
+  getActiveDeployment,
+  clearDeploymentCache,
+  saveDeployment,
+} = require('./consumptionModel');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+function near(actual, expected, tolerance, label) {
+  if (Math.abs(actual - expected) <= tolerance) return pass(label);
+  fail(label, `expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [], commits: 0, rollbacks: 0 };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  db.transaction = async () => ({
+    commit: async () => { db.commits++; },
+    rollback: async () => { db.rollbacks++; },
+  });
+  return db;
+}
+
+const PRIOR = { alpha: 0.3, beta: 0.12, sdAlpha: 0.5, sdBeta: 0.06 };
+const day = (iso) => new Date(`${iso}T12:00:00Z`);
+
+(async () => {
+  try {
+    console.log('\n=== HDD normals ===');
+    near(MONTHLY_HDD_SHARE.reduce((a, b) => a + b, 0), 1, 1e-9, 'monthly shares sum to 1');
+    near(normalHDDBetween(6000, day('2025-01-01'), day('2026-01-01')), 6000, 1e-6, 'a full year of normals = annual HDD');
+    eq(normalHDDBetween(6000, day('2025-07-01'), day('2025-08-01')), 0, 'July has no HDD');
+    eq(locationClimate('99999').source, 'national', 'unknown ZIP → national HDD');
+
+    console.log('\n=== buildIntervals ===');
+    let intervals = buildIntervals([
+      { type: 'reading', date: '2025-01-01', tankLevel: 0.8, temperature: 25 },
+      { type: 'reading', date: '2025-01-11', tankLevel: 0.6, temperature: 35 },
+      { type: 'delivery', date: '2025-01-15', gallons: 100 },
+      { type: 'reading', date: '2025-01-21', tankLevel: 0.75 },
+    ], { tankSize: 275, annualHDD: 6000 });
+    eq(intervals.length, 2, 'one interval per consecutive reading pair');
+    near(intervals[0].gallons, 55, 1e-9, 'level drop × tank');
+    eq([intervals[0].hdd, intervals[0].hddSource], [350, 'observed'], 'HDD from both temperatures');
+    near(intervals[1].gallons, 100 - 0.15 * 275, 1e-9, 'delivery between readings added back');
+    eq(intervals[1].hddSource, 'normals', 'missing temperature → county normals');
+
+    intervals = buildIntervals([
+      { type: 'delivery', date: '2025-01-01', gallons: 150 },
+      { type: 'delivery', date: '2025-02-10', gallons: 180 },
+      { type: 'reading', date: '2025-02-11', tankLevel: 0.9 },
+    ], { tankSize: 275, annualHDD: 6000 });
+    eq(intervals.map(iv => [iv.days, iv.gallons]), [[40, 180]], 'under two readings → fill-up delivery intervals');
+
+    const dailyHDD = new Map([['2025-01-01', 30], ['2025-01-02', 20]]);
+    intervals = buildIntervals([
+      { type: 'reading', date: '2025-01-01', tankLevel: 0.8, temperature: 25 },
+      { type: 'reading', date: '2025-01-03', tankLevel: 0.7, temperature: 35 },
+      { type: 'reading', date: '2025-01-05', tankLevel: 0.6 },
+    ], { tankSize: 275, annualHDD: 6000, dailyHDD });
+    eq([intervals[0].hdd, intervals[0].hddSource], [50, 'weather'], 'stored daily HDD preferred over reading temps');
+    near(intervals[1].hdd, 2 * normalDailyHDD(6000, day('2025-01-03')), 1e-9, 'days without history → normals');
+    eq(intervals[1].hddSource, 'normals', 'no stored days → normals');
+    intervals = buildIntervals([
+      { type: 'reading', date: '2025-01-02', tankLevel: 0.8 },
+      { type: 'reading', date: '2025-01-04', tankLevel: 0.7 },
+    ], { tankSize: 275, annualHDD: 6000, dailyHDD });
+    near(intervals[0].hdd, 20 + normalDailyHDD(6000, day('2025-01-03')), 1e-9, 'partial history filled from normals');
+    eq(intervals[0].hddSource, 'weather_partial', 'partial history flagged');
+
+    console.log('\n=== fitHome ===');
+    const truth = { alpha: 0.5, beta: 0.2 };
+    const synthetic = [];
+    for (let i = 0; i < 12; i++) {
+      const days = 20 + (i % 4) * 5;
+      const hdd = days * (5 + i * 2.5);
+      synthetic.push({ days, hdd, gallons: truth.alpha * days + truth.beta * hdd });
+    }
+    let fit = fitHome(synthetic, PRIOR, 1.5);
+    near(fit.beta, truth.beta, 0.01, 'recovers gallons per HDD');
+    near(fit.alpha, truth.alpha, 0.15, 'recovers base load');
+
+    fit = fitHome([], PRIOR, 1.5);
+    near(fit.alpha + fit.beta, PRIOR.alpha + PRIOR.beta, 1e-12, 'no history → prior mean');
+    eq(fit.intervals, 0, 'no intervals used');
+    near(Math.sqrt(fit.cov[1][1]), PRIOR.sdBeta, 1e-12, 'no history → prior variance');
+
+    const one = fitHome(synthetic.slice(0, 1), PRIOR, 1.5);
+    if (one.beta > PRIOR.beta && one.beta < truth.beta) pass('one interval pulls partway from prior toward home');
+    else fail('one interval pulls partway from prior toward home', String(one.beta));
+
+    eq(priorFor({ national: PRIOR, regions: { CT: { ...PRIOR, beta: 0.15 } } }, 'CT').region, 'CT', 'state prior when trained');
+    eq(priorFor({ national: PRIOR, regions: {} }, 'NY').region, 'national', 'national prior otherwise');
+
+    console.log('\n=== predictConsumption ===');
+    const winter = day('2026-01-05');
+    const base = { fit: fitHome([], PRIOR, 1.5), sigmaDaily: 1.5, tankSize: 275, annualHDD: 6000, now: winter };
+    let p = predictConsumption({ ...base, currentGallons: 200 });
+    const e = p.daysUntilEmpty;
+    if (e.low <= e.expected && e.expected <= e.high) pass('run-out interval brackets the expectation');
+    else fail('run-out interval brackets the expectation', JSON.stringify(e));
+    if (p.daysUntilReorder.expected < e.expected) pass('reorder (25%) comes before empty');
+    else fail('reorder (25%) comes before empty');
+    // January: 6000 × 0.195 / 31 ≈ 37.7 HDD/day → 0.3 + 0.12 × 37.7 ≈ 4.83 gal/day
+    near(p.dailyUsageGallons, 4.83, 0.1, 'daily usage from normals');
+    if (p.dailyUsageInterval.low < p.dailyUsageGallons && p.dailyUsageGallons < p.dailyUsageInterval.high) pass('daily usage interval brackets the mean');
+    else fail('daily usage interval brackets the mean');
+
+    const cold = predictConsumption({ ...base, currentGallons: 200, currentTemp: 10 });
+    if (cold.dailyUsageGallons > p.dailyUsageGallons) pass('cold currentTemp raises near-term usage');
+    else fail('cold currentTemp raises near-term usage');
+
+    const learned = predictConsumption({ ...base, fit: fitHome(synthetic, PRIOR, 1.5), currentGallons: 200 });
+    if (learned.confidence > p.confidence) pass('home history raises confidence');
+    else fail('home history raises confidence', `${learned.confidence} vs ${p.confidence}`);
+
+    p = predictConsumption({ ...base, currentGallons: 50 });
+    eq(p.daysUntilReorder, { expected: 0, low: 0, high: 0 }, 'already below reorder point → 0');
+
+    console.log('\n=== trainPriors ===');
+    const samples = [];
+    for (let c = 0; c < 40; c++) {
+      const beta = c % 2 ? 0.14 : 0.18;
+      for (let i = 0; i < 4; i++) {
+        const days = 30 + i * 10;
+        const hdd = days * (10 + i * 8);
+        samples.push({ contributor: `c${c}`, state: c < 32 ? 'CT' : 'NY', days, hdd, gallons: 0.4 * days + beta * hdd });
+      }
+    }
+    const trained = trainPriors(samples);
+    near(trained.hyperparameters.national.beta, 0.16, 0.01, 'pooled beta is the population centre');
+    eq(Object.keys(trained.hyperparameters.regions), ['CT'], 'state prior only past minRegionSamples');
+    eq([trained.trainingMetrics.contributors, trained.trainingMetrics.intervals, trained.validationMetrics.holdout], [40, 120, 40], 'last interval per contributor held out');
+    if (trained.validationMetrics.mae < 5) pass('holdout MAE small on clean data');
+    else fail('holdout MAE small on clean data', String(trained.validationMetrics.mae));
+    eq(trainPriors([]).hyperparameters.national, DEFAULT_HYPERPARAMETERS.national, 'no samples → default prior');
+
+    console.log('\n=== deployments ===');
+    clearDeploymentCache();
+    let db = fakeSequelize(() => { throw new Error('relation "model_deployments" does not exist'); });
+    eq((await getActiveDeployment(db)).modelVersion, 'default', 'missing table → built-in prior');
+
+    clearDeploymentCache();
+    db = fakeSequelize(() => [[{ model_version: 'ddr-1', deployment_date: '2026-10-01', hyperparameters: trained.hyperparameters, validation_metrics: {} }]]);
+    eq((await getActiveDeployment(db)).modelVersion, 'ddr-1', 'active deployment loaded');
+    await getActiveDeployment(db);
+    eq(db.calls.length, 1, 'deployment cached');
+
+    db = fakeSequelize(() => null);
+    await saveDeployment(db, 'ddr-2', trained);
+    if (/UPDATE model_deployments SET is_active = false/.test(db.calls[0].sql) && /INSERT INTO model_deployments/.test(db.calls[1].sql)) pass('old deployment deactivated before insert');
+    else fail('old deployment deactivated before insert');
+    eq([db.commits, db.calls.every(c => c.opts.transaction)], [1, true], 'swap runs in one transaction');
+    eq(db.calls[1].opts.bind.slice(0, 2), ['ddr-2', 'degree_day_regression'], 'version + model type recorded');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
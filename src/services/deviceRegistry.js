@@ -0,0 +1,338 @@
+/**
+ * Device Registry — persisted anonymous users + device registrations
+ * V3.5.0: Backs /api/auth (register, verify, privacy-settings, account
+ * deletion, stats). Replaces the in-memory Maps that were wiped on every deploy.
+ *
+ * Tables (migration 182): anonymous_users, device_registrations
+ * (device_id PK, ON DELETE CASCADE from the user).
+ *
+ * Account deletion also removes what other tables hold for the user's devices:
+ *   - app_events          rows with the device's device_id_hash
+ *   - user_locations      per-ZIP rows the device alone created (request_count 1);
+ *                         shared ZIP rows just lose their device_id_hash
+ *   - community_deliveries_raw  exact telemetry for deliveries carrying the
+ *                         contributorHash the app sends (the hash is salted
+ *                         client-side, so the server cannot derive it)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PRIVACY_SETTINGS = {
+  analyticsConsent: true,
+  communityConsent: false,
+  marketDataConsent: true
+};
+
+const INACTIVE_USER_DAYS = 180;
+
+/**
+ * Same truncated SHA-256 the tracking routes store in app_events.device_id_hash
+ * @param {string} deviceId
+ * @returns {string|null}
+ */
+function hashDeviceId(deviceId) {
+  if (!deviceId) return null;
+  return crypto.createHash('sha256').update(deviceId).digest('hex').substring(0, 32);
+}
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.user_type,
+    email: row.email || null,
+    role: row.role || null,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    lastActive: row.last_active_at,
+    lastLoginAt: row.last_login_at || null,
+    privacySettings: { ...DEFAULT_PRIVACY_SETTINGS, ...(row.privacy_settings || {}) }
+  };
+}
+
+/**
+ * Register a device, reusing its user if the device is already known
+ * @param {object} sequelize
+ * @param {object} device - { deviceId, deviceModel, osVersion, appVersion }
+ * @returns {Promise<{ userId: string, isNew: boolean }>}
+ */
+async function registerDevice(sequelize, { deviceId, deviceModel, osVersion, appVersion }) {
+  const [existing] = await sequelize.query(`
+    UPDATE device_registrations
+    SET last_seen_at = NOW(), app_version = $2, is_active = true
+    WHERE device_id = $1
+    RETURNING user_id
+  `, { bind: [deviceId, appVersion] });
+
+  if (existing.length > 0) {
+    const userId = existing[0].user_id;
+    await sequelize.query(
+      'UPDATE anonymous_users SET last_active_at = NOW() WHERE id = $1',
+      { bind: [userId] }
+    );
+    return { userId, isNew: false };
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const [users] = await sequelize.query(`
+      INSERT INTO anonymous_users (user_type, privacy_settings)
+      VALUES ('anonymous', $1)
+      RETURNING id
+    `, { bind: [JSON.stringify(DEFAULT_PRIVACY_SETTINGS)], transaction: t });
+    const userId = users[0].id;
+
+    // A concurrent first launch can register the same device between the
+    // UPDATE above and here: keep its user and drop the one we just made
+    const [devices] = await sequelize.query(`
+      INSERT INTO device_registrations (device_id, user_id, device_model, os_version, app_version)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (device_id) DO UPDATE
+      SET last_seen_at = NOW(), app_version = EXCLUDED.app_version, is_active = true
+      RETURNING user_id
+    `, { bind: [deviceId, userId, deviceModel || 'unknown', osVersion || 'unknown', appVersion], transaction: t });
+
+    if (devices[0].user_id !== userId) {
+      await t.rollback();
+      return { userId: devices[0].user_id, isNew: false };
+    }
+
+    await t.commit();
+    return { userId, isNew: true };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Find-or-create the admin user for an email and bind the device to it
+ * @param {object} sequelize
+ * @param {object} login - { email, role, deviceId, appVersion }
+ * @returns {Promise<object>} - Admin user (toUser shape)
+ */
+async function upsertAdminSession(sequelize, { email, role, deviceId, appVersion }) {
+  const t = await sequelize.transaction();
+  try {
+    let [rows] = await sequelize.query(`
+      UPDATE anonymous_users
+      SET role = $2, is_active = true, last_active_at = NOW(), last_login_at = NOW()
+      WHERE email = $1 AND user_type = 'admin'
+      RETURNING *
+    `, { bind: [email, role], transaction: t });
+
+    if (rows.length === 0) {
+      [rows] = await sequelize.query(`
+        INSERT INTO anonymous_users (user_type, email, role, privacy_settings, last_login_at)
+        VALUES ('admin', $1, $2, $3, NOW())
+        RETURNING *
+      `, {
+        bind: [email, role, JSON.stringify({ analyticsConsent: true, communityConsent: true, marketDataConsent: true })],
+        transaction: t
+      });
+    }
+    const user = rows[0];
+
+    await sequelize.query(`
+      INSERT INTO device_registrations (device_id, user_id, device_model, os_version, app_version, is_admin_device)
+      VALUES ($1, $2, 'Admin Device', 'iOS', $3, true)
+      ON CONFLICT (device_id) DO UPDATE
+      SET user_id = EXCLUDED.user_id, app_version = EXCLUDED.app_version,
+          is_admin_device = true, is_active = true, last_seen_at = NOW()
+    `, { bind: [deviceId, user.id, appVersion || null], transaction: t });
+
+    await t.commit();
+    return toUser(user);
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+}
+
+/**
+ * @param {object} sequelize
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function getUser(sequelize, userId) {
+  const [rows] = await sequelize.query(
+    'SELECT * FROM anonymous_users WHERE id = $1',
+    { bind: [userId] }
+  );
+  return toUser(rows[0]);
+}
+
+/**
+ * Mark a user (and the token's device) active — token refresh path
+ * @returns {Promise<object|null>} - User, or null if the account no longer exists
+ */
+async function touchSession(sequelize, userId, deviceId) {
+  const [rows] = await sequelize.query(`
+    UPDATE anonymous_users SET last_active_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, { bind: [userId] });
+  if (rows.length === 0) return null;
+
+  if (deviceId) {
+    await sequelize.query(`
+      UPDATE device_registrations SET last_seen_at = NOW()
+      WHERE device_id = $1 AND user_id = $2
+    `, { bind: [deviceId, userId] });
+  }
+  return toUser(rows[0]);
+}
+
+/**
+ * @returns {Promise<object|null>} - Saved settings, or null if the user is gone
+ */
+async function updatePrivacySettings(sequelize, userId, settings) {
+  const [rows] = await sequelize.query(`
+    UPDATE anonymous_users
+    SET privacy_settings = $2, last_active_at = NOW()
+    WHERE id = $1
+    RETURNING privacy_settings
+  `, { bind: [userId, JSON.stringify(settings)] });
+  return rows.length ? rows[0].privacy_settings : null;
+}
+
+/**
+ * Delete a user, its devices, and the device-linked rows in other tables
+ * @param {object} sequelize
+ * @param {string} userId
+ * @param {object} options
+ * @param {string} options.deviceId - Device from the token (included even if unregistered)
+ * @param {string} options.contributorHash - App's community contributor hash, if sent
+ * @returns {Promise<object>} - Deleted row counts per table
+ */
+async function deleteAccount(sequelize, userId, { deviceId = null, contributorHash = null } = {}) {
+  const t = await sequelize.transaction();
+  try {
+    const [devices] = await sequelize.query(
+      'SELECT device_id FROM device_registrations WHERE user_id = $1',
+      { bind: [userId], transaction: t }
+    );
+    const deviceIds = [...new Set([...devices.map(d => d.device_id), deviceId].filter(Boolean))];
+    const hashes = deviceIds.map(hashDeviceId);
+
+    const counts = {
+      devices: devices.length, appEvents: 0, userLocations: 0, communityDeliveriesRaw: 0, tankReminders: 0,
+      predictionFeedback: 0, predictions: 0, trainingQueue: 0, user: 0
+    };
+
+    if (hashes.length > 0) {
+      const [, events] = await sequelize.query(
+        'DELETE FROM app_events WHERE device_id_hash IN (:hashes)',
+        { replacements: { hashes }, transaction: t }
+      );
+      counts.appEvents = events?.rowCount || 0;
+
+      const [, locations] = await sequelize.query(
+        'DELETE FROM user_locations WHERE device_id_hash IN (:hashes) AND request_count <= 1',
+        { replacements: { hashes }, transaction: t }
+      );
+      counts.userLocations = locations?.rowCount || 0;
+
+      await sequelize.query(
+        'UPDATE user_locations SET device_id_hash = NULL WHERE device_id_hash IN (:hashes)',
+        { replacements: { hashes }, transaction: t }
+      );
+    }
+
+    if (contributorHash) {
+      const [, raw] = await sequelize.query(`
+        DELETE FROM community_deliveries_raw
+        WHERE delivery_id IN (SELECT id FROM community_deliveries WHERE contributor_hash = $1)
+      `, { bind: [contributorHash], transaction: t });
+      counts.communityDeliveriesRaw = raw?.rowCount || 0;
+
+      // tank_reminder_deliveries cascade from the reminder
+      const [, reminders] = await sequelize.query(
+        'DELETE FROM tank_reminders WHERE contributor_hash = $1',
+        { bind: [contributorHash], transaction: t }
+      );
+      counts.tankReminders = reminders?.rowCount || 0;
+    }
+
+    // ML rows also cascade from anonymous_users (migration 203); deleted
+    // here so the counts are reported
+    for (const [key, table] of [['predictionFeedback', 'prediction_feedback'], ['predictions', 'predictions'], ['trainingQueue', 'training_queue']]) {
+      const [, ml] = await sequelize.query(
+        `DELETE FROM ${table} WHERE user_id = $1`,
+        { bind: [userId], transaction: t }
+      );
+      counts[key] = ml?.rowCount || 0;
+    }
+
+    const [, user] = await sequelize.query(
+      'DELETE FROM anonymous_users WHERE id = $1',
+      { bind: [userId], transaction: t }
+    );
+    counts.user = user?.rowCount || 0;
+
+    await t.commit();
+    return counts;
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Counts for GET /api/auth/stats
+ * @returns {Promise<object>} - { users, devices, privacy }
+ */
+async function getAuthStats(sequelize) {
+  const [[users]] = await sequelize.query(`
+    SELECT
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE last_active_at > NOW() - INTERVAL '24 hours') AS active_24h,
+      COUNT(*) FILTER (WHERE last_active_at > NOW() - INTERVAL '7 days') AS active_7d,
+      COUNT(*) FILTER (WHERE (privacy_settings->>'analyticsConsent')::boolean) AS analytics_opt_in,
+      COUNT(*) FILTER (WHERE (privacy_settings->>'communityConsent')::boolean) AS community_opt_in,
+      COUNT(*) FILTER (WHERE (privacy_settings->>'marketDataConsent')::boolean) AS market_data_opt_in
+    FROM anonymous_users
+  `);
+  const [[devices]] = await sequelize.query(`
+    SELECT
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE last_seen_at > NOW() - INTERVAL '24 hours') AS active_24h
+    FROM device_registrations
+  `);
+  const n = (v) => parseInt(v, 10) || 0;
+  return {
+    users: { total: n(users.total), active24h: n(users.active_24h), active7d: n(users.active_7d) },
+    devices: { total: n(devices.total), active24h: n(devices.active_24h) },
+    privacy: {
+      analyticsOptIn: n(users.analytics_opt_in),
+      communityOptIn: n(users.community_opt_in),
+      marketDataOptIn: n(users.market_data_opt_in)
+    }
+  };
+}
+
+/**
+ * Drop users inactive for INACTIVE_USER_DAYS (devices and ML rows cascade)
+ * @returns {Promise<number>} - Users deleted
+ */
+async function cleanupInactiveUsers(sequelize, days = INACTIVE_USER_DAYS) {
+  const [, meta] = await sequelize.query(`
+    DELETE FROM anonymous_users
+    WHERE last_active_at < NOW() - make_interval(days => $1)
+  `, { bind: [days] });
+  return meta?.rowCount || 0;
+}
+
+module.exports = {
+  DEFAULT_PRIVACY_SETTINGS,
+  INACTIVE_USER_DAYS,
+  hashDeviceId,
+  registerDevice,
+  upsertAdminSession,
+  getUser,
+  touchSession,
+  updatePrivacySettings,
+  deleteAccount,
+  getAuthStats,
+  cleanupInactiveUsers
+};
@@ -0,0 +1,171 @@
+// src/services/deviceRegistry.test.js
+//
+// Persisted anonymous auth (V3.5.0): registration reuse, token-refresh touch,
+// privacy updates, and the account-deletion cascade across app_events,
+// user_locations, community_deliveries_raw and tank_reminders. Fake sequelize records every
+// query and transaction outcome; no DB needed.
+//
+// Run: node src/services/deviceRegistry.test.js
+
+const {
+  hashDeviceId,
+  registerDevice,
+  touchSession,
+  updatePrivacySettings,
+  deleteAccount,
+  getAuthStats,
+} = require('./deviceRegistry');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+// responder(sql, opts) → [rows, meta]; every call is recorded.
+function fakeSequelize(responder) {
+  const db = { calls: [], commits: 0, rollbacks: 0 };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[], { rowCount: 0 }];
+  };
+  db.transaction = async () => ({
+    commit: async () => { db.commits++; },
+    rollback: async () => { db.rollbacks++; },
+  });
+  return db;
+}
+
+const DEVICE = 'ABCDEF12-3456-7890-ABCD-EF1234567890';
+
+(async () => {
+  try {
+    console.log('\n=== hashDeviceId ===');
+    eq(hashDeviceId(DEVICE).length, 32, 'truncated to 32 hex chars (matches app_events.device_id_hash)');
+    eq(hashDeviceId(null), null, 'no device → null');
+
+    console.log('\n=== registerDevice ===');
+    let db = fakeSequelize((sql) => {
+      if (/UPDATE device_registrations/.test(sql)) return [[{ user_id: 'u-1' }], { rowCount: 1 }];
+      return null;
+    });
+    let r = await registerDevice(db, { deviceId: DEVICE, appVersion: '3.1' });
+    eq(r, { userId: 'u-1', isNew: false }, 'known device keeps its user');
+    if (db.calls.some(c => /UPDATE anonymous_users SET last_active_at/.test(c.sql))) pass('re-register touches the user');
+    else fail('re-register touches the user');
+    eq(db.calls.some(c => /INSERT/.test(c.sql)), false, 'no insert for a known device');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO anonymous_users/.test(sql)) return [[{ id: 'u-2' }], { rowCount: 1 }];
+      if (/INSERT INTO device_registrations/.test(sql)) return [[{ user_id: 'u-2' }], { rowCount: 1 }];
+      return null;
+    });
+    r = await registerDevice(db, { deviceId: DEVICE, appVersion: '3.1' });
+    eq(r, { userId: 'u-2', isNew: true }, 'unknown device creates a user');
+    const deviceInsert = db.calls.find(c => /INSERT INTO device_registrations/.test(c.sql));
+    eq(deviceInsert && deviceInsert.opts.bind, [DEVICE, 'u-2', 'unknown', 'unknown', '3.1'], 'device row defaults model/os to unknown');
+    eq([db.commits, db.rollbacks], [1, 0], 'user + device insert committed together');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO anonymous_users/.test(sql)) return [[{ id: 'u-4' }], { rowCount: 1 }];
+      if (/INSERT INTO device_registrations/.test(sql)) return [[{ user_id: 'u-winner' }], { rowCount: 1 }];
+      return null;
+    });
+    r = await registerDevice(db, { deviceId: DEVICE, appVersion: '3.1' });
+    eq(r, { userId: 'u-winner', isNew: false }, 'concurrent first register → both get the winning user');
+    eq(/ON CONFLICT \(device_id\) DO UPDATE .* RETURNING user_id/.test(db.calls.find(c => /INSERT INTO device_registrations/.test(c.sql)).sql), true, 'device insert is an upsert');
+    eq([db.commits, db.rollbacks], [0, 1], 'losing request rolls back its orphan user');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO anonymous_users/.test(sql)) return [[{ id: 'u-3' }], { rowCount: 1 }];
+      if (/INSERT INTO device_registrations/.test(sql)) throw new Error('duplicate key');
+      return null;
+    });
+    try {
+      await registerDevice(db, { deviceId: DEVICE, appVersion: '3.1' });
+      fail('insert failure propagates');
+    } catch {
+      eq([db.commits, db.rollbacks], [0, 1], 'insert failure rolls back the orphan user');
+    }
+
+    console.log('\n=== touchSession / updatePrivacySettings ===');
+    db = fakeSequelize(() => [[], { rowCount: 0 }]);
+    eq(await touchSession(db, 'gone', DEVICE), null, 'deleted account → null (route answers 404)');
+    eq(db.calls.length, 1, 'device not touched for a missing user');
+
+    db = fakeSequelize((sql) => (/UPDATE anonymous_users/.test(sql)
+      ? [[{ id: 'u-1', user_type: 'anonymous', is_active: true, privacy_settings: { communityConsent: true } }], { rowCount: 1 }]
+      : null));
+    const user = await touchSession(db, 'u-1', DEVICE);
+    eq(user.privacySettings, { analyticsConsent: true, communityConsent: true, marketDataConsent: true }, 'stored settings merged over defaults');
+
+    db = fakeSequelize(() => [[{ privacy_settings: { analyticsConsent: false } }], { rowCount: 1 }]);
+    eq(await updatePrivacySettings(db, 'u-1', { analyticsConsent: false }), { analyticsConsent: false }, 'privacy update returns saved settings');
+    eq(db.calls[0].opts.bind[1], '{"analyticsConsent":false}', 'settings stored as JSON');
+
+    console.log('\n=== deleteAccount cascade ===');
+    db = fakeSequelize((sql) => {
+      if (/SELECT device_id FROM device_registrations/.test(sql)) return [[{ device_id: DEVICE }, { device_id: 'SECOND-DEVICE-0001' }]];
+      if (/DELETE FROM app_events/.test(sql)) return [[], { rowCount: 12 }];
+      if (/DELETE FROM user_locations/.test(sql)) return [[], { rowCount: 2 }];
+      if (/DELETE FROM community_deliveries_raw/.test(sql)) return [[], { rowCount: 3 }];
+      if (/DELETE FROM tank_reminders/.test(sql)) return [[], { rowCount: 1 }];
+      if (/DELETE FROM predictions/.test(sql)) return [[], { rowCount: 4 }];
+      if (/DELETE FROM training_queue/.test(sql)) return [[], { rowCount: 5 }];
+      if (/DELETE FROM anonymous_users/.test(sql)) return [[], { rowCount: 1 }];
+      return null;
+    });
+    const counts = await deleteAccount(db, 'u-1', { deviceId: DEVICE, contributorHash: 'f'.repeat(64) });
+    eq(counts, { devices: 2, appEvents: 12, userLocations: 2, communityDeliveriesRaw: 3, tankReminders: 1, predictionFeedback: 0, predictions: 4, trainingQueue: 5, user: 1 }, 'returns per-table counts');
+    eq(['prediction_feedback', 'predictions', 'training_queue'].map(t => db.calls.find(c => c.sql === `DELETE FROM ${t} WHERE user_id = $1`).opts.bind),
+      [['u-1'], ['u-1'], ['u-1']], 'ML rows deleted by user id');
+    const events = db.calls.find(c => /DELETE FROM app_events/.test(c.sql));
+    eq(events.opts.replacements.hashes, [hashDeviceId(DEVICE), hashDeviceId('SECOND-DEVICE-0001')], 'app_events deleted for every device hash');
+    const locations = db.calls.find(c => /DELETE FROM user_locations/.test(c.sql));
+    if (/request_count <= 1/.test(locations.sql)) pass('only single-request ZIP rows deleted');
+    else fail('only single-request ZIP rows deleted', locations.sql);
+    if (db.calls.some(c => /UPDATE user_locations SET device_id_hash = NULL/.test(c.sql))) pass('shared ZIP rows unlinked');
+    else fail('shared ZIP rows unlinked');
+    const raw = db.calls.find(c => /community_deliveries_raw/.test(c.sql));
+    eq(raw.opts.bind, ['f'.repeat(64)], 'raw deliveries matched by contributor hash');
+    eq(db.calls.find(c => /DELETE FROM tank_reminders/.test(c.sql)).opts.bind, ['f'.repeat(64)], 'tank reminders matched by contributor hash');
+    eq(db.calls[db.calls.length - 1].sql, 'DELETE FROM anonymous_users WHERE id = $1', 'user deleted last (devices cascade)');
+    eq(db.calls.every(c => c.opts.transaction), true, 'every statement runs in the transaction');
+    eq(db.commits, 1, 'cascade committed');
+
+    db = fakeSequelize(() => null);
+    await deleteAccount(db, 'u-1', {});
+    eq(db.calls.some(c => /app_events|user_locations|community_deliveries_raw|tank_reminders/.test(c.sql)), false, 'no devices, no hash → only user-id rows are touched');
+
+    db = fakeSequelize((sql) => {
+      if (/DELETE FROM app_events/.test(sql)) throw new Error('boom');
+      return null;
+    });
+    try {
+      await deleteAccount(db, 'u-1', { deviceId: DEVICE });
+      fail('cascade failure propagates');
+    } catch {
+      eq([db.commits, db.rollbacks], [0, 1], 'cascade failure rolls back (user kept)');
+    }
+
+    console.log('\n=== getAuthStats ===');
+    db = fakeSequelize((sql) => (/FROM anonymous_users/.test(sql)
+      ? [[{ total: '5', active_24h: '2', active_7d: '4', analytics_opt_in: '5', community_opt_in: '1', market_data_opt_in: '3' }]]
+      : [[{ total: '7', active_24h: '3' }]]));
+    eq(await getAuthStats(db), {
+      users: { total: 5, active24h: 2, active7d: 4 },
+      devices: { total: 7, active24h: 3 },
+      privacy: { analyticsOptIn: 5, communityOptIn: 1, marketDataOptIn: 3 },
+    }, 'stats parsed from counts');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
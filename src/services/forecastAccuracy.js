@@ -0,0 +1,268 @@
+/**
+ * Forecast Accuracy — feedback loop for consumption predictions
+ * V3.6.1: The app reports what actually happened against a prediction it was
+ * served (POST /api/ml/predictions/:id/feedback):
+ *   - runout    tank ran dry on `date`  → scored against predicted_days_left
+ *   - delivery  oil delivered on `date` → scored against predicted_reorder_days
+ * Error is predicted − actual days: positive bias means forecasts run late
+ * (the tank emptied / reorder came sooner than promised).
+ *
+ * A nightly cron (forecast-accuracy) writes MAE and bias over the trailing
+ * METRIC_WINDOW_DAYS of feedback to model_metrics, per model version × region
+ * plus an 'all' region row, so the dashboard can compare versions over time.
+ */
+
+const FEEDBACK_TYPES = ['runout', 'delivery'];
+const METRIC_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Prediction row, scoped to the user it was served to
+ * @returns {Promise<object|null>}
+ */
+async function getPrediction(sequelize, predictionId, userId) {
+  const [rows] = await sequelize.query(`
+    SELECT id, user_id, prediction_date, predicted_days_left, predicted_reorder_days,
+           model_version, model_type, region
+    FROM predictions
+    WHERE id = $1 AND user_id = $2
+  `, { bind: [predictionId, userId] });
+  return rows[0] || null;
+}
+
+/**
+ * Whole days from the prediction to the reported event (America/New_York dates)
+ * @param {Date|string} predictionDate
+ * @param {string} actualDate - YYYY-MM-DD
+ */
+function actualDaysFrom(predictionDate, actualDate) {
+  const served = new Date(predictionDate).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  return Math.round((Date.parse(actualDate.slice(0, 10)) - Date.parse(served)) / DAY_MS);
+}
+
+/**
+ * Record (or correct) one feedback event for a prediction
+ * @param {object} sequelize
+ * @param {object} prediction - From getPrediction
+ * @param {object} feedback - { feedbackType, date, comments }
+ * @returns {Promise<{ id, feedbackType, actualDays, predictedDays, errorDays }>}
+ */
+async function recordFeedback(sequelize, prediction, { feedbackType, date, comments = null }) {
+  const actualDays = actualDaysFrom(prediction.prediction_date, date);
+  const [rows] = await sequelize.query(`
+    INSERT INTO prediction_feedback
+      (prediction_id, user_id, feedback_type, actual_date, actual_outcome, user_comments)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (prediction_id, feedback_type) DO UPDATE SET
+      actual_date = EXCLUDED.actual_date,
+      actual_outcome = EXCLUDED.actual_outcome,
+      user_comments = EXCLUDED.user_comments,
+      created_at = NOW()
+    RETURNING id
+  `, {
+    bind: [prediction.id, prediction.user_id, feedbackType, date.slice(0, 10), actualDays, comments]
+  });
+
+  const predictedDays = feedbackType === 'runout'
+    ? prediction.predicted_days_left
+    : prediction.predicted_reorder_days;
+  return {
+    id: rows[0].id,
+    feedbackType,
+    actualDays,
+    predictedDays,
+    errorDays: predictedDays == null ? null : predictedDays - actualDays
+  };
+}
+
+/**
+ * MAE + bias per (model version, model type, region), plus region 'all'
+ * @param {Array<object>} rows - [{ model_version, model_type, region, predicted_days, actual_days }]
+ * @returns {Array<{ modelVersion, modelType, region, mae, bias, dataPoints }>}
+ */
+function summarizeErrors(rows) {
+  const groups = new Map();
+  const add = (modelVersion, modelType, region, error) => {
+    const key = `${modelVersion}|${modelType}|${region}`;
+    if (!groups.has(key)) groups.set(key, { modelVersion, modelType, region, errors: [] });
+    groups.get(key).errors.push(error);
+  };
+  for (const r of rows) {
+    if (r.predicted_days == null || r.actual_days == null) continue;
+    const error = Number(r.predicted_days) - Number(r.actual_days);
+    add(r.model_version, r.model_type, r.region || 'unknown', error);
+    add(r.model_version, r.model_type, 'all', error);
+  }
+  const round = (v) => Math.round(v * 100) / 100;
+  return [...groups.values()].map(g => ({
+    modelVersion: g.modelVersion,
+    modelType: g.modelType,
+    region: g.region,
+    mae: round(g.errors.reduce((a, e) => a + Math.abs(e), 0) / g.errors.length),
+    bias: round(g.errors.reduce((a, e) => a + e, 0) / g.errors.length),
+    dataPoints: g.errors.length
+  }));
+}
+
+/**
+ * Nightly job: score the trailing window of feedback and upsert model_metrics
+ * @param {object} sequelize
+ * @param {object} options - { windowDays, evaluationDate: 'YYYY-MM-DD' }
+ * @returns {Promise<{ feedback: number, groups: number }>}
+ */
+async function computeDailyMetrics(sequelize, { windowDays = METRIC_WINDOW_DAYS, evaluationDate = null } = {}) {
+  const date = evaluationDate || new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  const [rows] = await sequelize.query(`
+    SELECT p.model_version, p.model_type, p.region,
+           CASE f.feedback_type
+             WHEN 'runout' THEN p.predicted_days_left
+             ELSE p.predicted_reorder_days
+           END AS predicted_days,
+           f.actual_outcome AS actual_days
+    FROM prediction_feedback f
+    JOIN predictions p ON p.id = f.prediction_id
+    WHERE f.created_at > NOW() - make_interval(days => $1)
+      AND p.model_version IS NOT NULL
+  `, { bind: [windowDays] });
+
+  const summary = summarizeErrors(rows);
+  for (const g of summary) {
+    for (const [metricType, value] of [['mae', g.mae], ['bias', g.bias]]) {
+      await sequelize.query(`
+        INSERT INTO model_metrics
+          (model_version, model_type, region, metric_type, metric_value, evaluation_date, data_points)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (model_version, model_type, region, metric_type, evaluation_date) DO UPDATE SET
+          metric_value = EXCLUDED.metric_value,
+          data_points = EXCLUDED.data_points
+      `, { bind: [g.modelVersion, g.modelType, g.region, metricType, value, date, g.dataPoints] });
+    }
+  }
+  return { feedback: rows.length, groups: summary.length };
+}
+
+/**
+ * Dashboard data: daily 'all'-region series per version, plus the latest
+ * per-region breakdown
+ * @param {object} sequelize
+ * @param {number} days - History window
+ */
+async function getAccuracyHistory(sequelize, days = 90) {
+  const [rows] = await sequelize.query(`
+    SELECT evaluation_date::text AS date, model_version, model_type, region,
+           MAX(metric_value) FILTER (WHERE metric_type = 'mae') AS mae,
+           MAX(metric_value) FILTER (WHERE metric_type = 'bias') AS bias,
+           MAX(data_points) AS data_points
+    FROM model_metrics
+    WHERE evaluation_date > CURRENT_DATE - $1::int
+    GROUP BY evaluation_date, model_version, model_type, region
+    ORDER BY evaluation_date, model_version, region
+  `, { bind: [days] });
+
+  const parse = (r) => ({
+    date: r.date,
+    modelVersion: r.model_version,
+    modelType: r.model_type,
+    region: r.region,
+    mae: r.mae === null ? null : parseFloat(r.mae),
+    bias: r.bias === null ? null : parseFloat(r.bias),
+    dataPoints: parseInt(r.data_points)
+  });
+  const all = rows.filter(r => r.region === 'all').map(parse);
+  const latestDate = rows.length ? rows[rows.length - 1].date : null;
+
+  // Latest snapshot per version ('all' region) for the comparison table
+  const versions = new Map();
+  for (const r of all) versions.set(`${r.modelVersion}|${r.modelType}`, r);
+
+  return {
+    windowDays: METRIC_WINDOW_DAYS,
+    history: all,
+    versions: [...versions.values()],
+    regions: rows.filter(r => r.region !== 'all' && r.date === latestDate).map(parse)
+  };
+}
+
+/**
+ * One home's analytics for GET /api/ml/analytics: its own forecast error from
+ * the feedback it reported, weekly average predicted usage from the
+ * predictions it was served, and the latest nightly 'all'-region metrics for
+ * the model version behind its newest prediction
+ * @param {object} sequelize
+ * @param {string} userId - Token user
+ * @param {number} days - History window
+ */
+async function getUserAnalytics(sequelize, userId, days = METRIC_WINDOW_DAYS) {
+  const [scored] = await sequelize.query(`
+    SELECT p.model_version, p.model_type, p.region,
+           CASE f.feedback_type
+             WHEN 'runout' THEN p.predicted_days_left
+             ELSE p.predicted_reorder_days
+           END AS predicted_days,
+           f.actual_outcome AS actual_days
+    FROM prediction_feedback f
+    JOIN predictions p ON p.id = f.prediction_id
+    WHERE f.user_id = $1
+      AND f.created_at > NOW() - make_interval(days => $2)
+  `, { bind: [userId, days] });
+
+  const [weeks] = await sequelize.query(`
+    SELECT date_trunc('week', prediction_date)::date::text AS week,
+           AVG(predicted_daily_usage) AS avg_daily_usage,
+           COUNT(*) AS predictions
+    FROM predictions
+    WHERE user_id = $1
+      AND prediction_date > NOW() - make_interval(days => $2)
+    GROUP BY 1
+    ORDER BY 1
+  `, { bind: [userId, days] });
+
+  const [metrics] = await sequelize.query(`
+    SELECT m.evaluation_date::text AS date, m.model_version,
+           MAX(m.metric_value) FILTER (WHERE m.metric_type = 'mae') AS mae,
+           MAX(m.metric_value) FILTER (WHERE m.metric_type = 'bias') AS bias,
+           MAX(m.data_points) AS data_points
+    FROM model_metrics m
+    WHERE m.region = 'all'
+      AND m.model_version = (
+        SELECT model_version FROM predictions
+        WHERE user_id = $1 AND model_version IS NOT NULL
+        ORDER BY prediction_date DESC
+        LIMIT 1
+      )
+    GROUP BY m.evaluation_date, m.model_version
+    ORDER BY m.evaluation_date DESC
+    LIMIT 1
+  `, { bind: [userId] });
+
+  const home = summarizeErrors(scored.map(r => ({ ...r, model_version: null, model_type: null })))
+    .find(g => g.region === 'all');
+  const num = (v) => (v === null || v === undefined ? null : parseFloat(v));
+  const m = metrics[0];
+  return {
+    days,
+    home: home
+      ? { mae: home.mae, bias: home.bias, dataPoints: home.dataPoints }
+      : { mae: null, bias: null, dataPoints: 0 },
+    model: m
+      ? { modelVersion: m.model_version, date: m.date, mae: num(m.mae), bias: num(m.bias), dataPoints: parseInt(m.data_points) }
+      : null,
+    weeklyUsage: weeks.map(w => ({
+      week: w.week,
+      avgDailyUsage: w.avg_daily_usage === null ? null : Math.round(parseFloat(w.avg_daily_usage) * 100) / 100,
+      predictions: parseInt(w.predictions)
+    }))
+  };
+}
+
+module.exports = {
+  FEEDBACK_TYPES,
+  METRIC_WINDOW_DAYS,
+  getPrediction,
+  actualDaysFrom,
+  recordFeedback,
+  summarizeErrors,
+  computeDailyMetrics,
+  getAccuracyHistory,
+  getUserAnalytics
+};
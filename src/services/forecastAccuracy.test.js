@@ -0,0 +1,135 @@
+// src/services/forecastAccuracy.test.js
+//
+// Forecast feedback loop (V3.6.1): reported dates become actual days from the
+// prediction (NY calendar), runout/delivery score against the matching
+// forecast, and the nightly job upserts MAE + bias per version × region plus
+// an 'all' row. Fake sequelize; no DB needed.
+//
+// Run: node src/services/forecastAccuracy.test.js
+
+const {
+  actualDaysFrom,
+  recordFeedback,
+  summarizeErrors,
+  computeDailyMetrics,
+  getAccuracyHistory,
+  getUserAnalytics,
+} = require('./forecastAccuracy');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const PREDICTION = {
+  id: 'p-1',
+  user_id: 'u-1',
+  // 11:30 PM Jan 9 in New York — already Jan 10 in UTC
+  prediction_date: '2026-01-10T04:30:00Z',
+  predicted_days_left: 40,
+  predicted_reorder_days: 20,
+  model_version: 'ddr-1',
+  model_type: 'degree_day_regression',
+  region: 'CT',
+};
+
+(async () => {
+  try {
+    console.log('\n=== actualDaysFrom ===');
+    eq(actualDaysFrom(PREDICTION.prediction_date, '2026-01-09'), 0, 'same NY calendar day → 0');
+    eq(actualDaysFrom(PREDICTION.prediction_date, '2026-02-13T08:00:00Z'), 35, 'timestamp trimmed to its date');
+
+    console.log('\n=== recordFeedback ===');
+    let db = fakeSequelize(() => [[{ id: 'f-1' }]]);
+    let r = await recordFeedback(db, PREDICTION, { feedbackType: 'runout', date: '2026-02-13' });
+    eq(r, { id: 'f-1', feedbackType: 'runout', actualDays: 35, predictedDays: 40, errorDays: 5 }, 'run-out scored against days-until-empty');
+    eq(db.calls[0].opts.bind, ['p-1', 'u-1', 'runout', '2026-02-13', 35, null], 'feedback row stores the actual days');
+    if (/ON CONFLICT \(prediction_id, feedback_type\) DO UPDATE/.test(db.calls[0].sql)) pass('re-reporting corrects the same event');
+    else fail('re-reporting corrects the same event');
+
+    r = await recordFeedback(db, PREDICTION, { feedbackType: 'delivery', date: '2026-01-24' });
+    eq([r.predictedDays, r.errorDays], [20, 5], 'delivery scored against days-until-reorder');
+
+    r = await recordFeedback(db, { ...PREDICTION, predicted_days_left: null }, { feedbackType: 'runout', date: '2026-02-13' });
+    eq(r.errorDays, null, 'beyond-horizon forecast → no error');
+
+    console.log('\n=== summarizeErrors ===');
+    const rows = [
+      { model_version: 'ddr-1', model_type: 'ddr', region: 'CT', predicted_days: 40, actual_days: '35.00' },
+      { model_version: 'ddr-1', model_type: 'ddr', region: 'CT', predicted_days: 20, actual_days: '30.00' },
+      { model_version: 'ddr-1', model_type: 'ddr', region: null, predicted_days: 10, actual_days: '10.00' },
+      { model_version: 'ddr-2', model_type: 'ddr', region: 'CT', predicted_days: 12, actual_days: '10.00' },
+      { model_version: 'ddr-2', model_type: 'ddr', region: 'CT', predicted_days: null, actual_days: '10.00' },
+    ];
+    const summary = summarizeErrors(rows);
+    const find = (v, region) => summary.find(s => s.modelVersion === v && s.region === region);
+    eq(find('ddr-1', 'CT'), { modelVersion: 'ddr-1', modelType: 'ddr', region: 'CT', mae: 7.5, bias: -2.5, dataPoints: 2 }, 'per-region MAE and signed bias');
+    eq(find('ddr-1', 'all').dataPoints, 3, "'all' row spans every region");
+    eq(find('ddr-1', 'unknown').dataPoints, 1, 'missing region grouped as unknown');
+    eq(find('ddr-2', 'all'), { modelVersion: 'ddr-2', modelType: 'ddr', region: 'all', mae: 2, bias: 2, dataPoints: 1 }, 'versions scored separately; null forecasts skipped');
+
+    console.log('\n=== computeDailyMetrics ===');
+    db = fakeSequelize((sql) => (/FROM prediction_feedback/.test(sql) ? [rows] : null));
+    const result = await computeDailyMetrics(db, { evaluationDate: '2026-02-14' });
+    eq(result, { feedback: 5, groups: summary.length }, 'returns feedback and group counts');
+    eq(db.calls[0].opts.bind, [30], 'trailing 30-day window by default');
+    const upserts = db.calls.filter(c => /INSERT INTO model_metrics/.test(c.sql));
+    eq(upserts.length, summary.length * 2, 'mae + bias row per group');
+    eq(upserts[0].opts.bind, ['ddr-1', 'ddr', 'CT', 'mae', 7.5, '2026-02-14', 2], 'metric row bound in column order');
+    if (upserts.every(c => /ON CONFLICT \(model_version, model_type, region, metric_type, evaluation_date\)/.test(c.sql))) pass('rerun on the same day overwrites');
+    else fail('rerun on the same day overwrites');
+
+    console.log('\n=== getAccuracyHistory ===');
+    db = fakeSequelize(() => [[
+      { date: '2026-02-13', model_version: 'ddr-1', model_type: 'ddr', region: 'all', mae: '8.0000', bias: '-1.0000', data_points: 4 },
+      { date: '2026-02-14', model_version: 'ddr-1', model_type: 'ddr', region: 'CT', mae: '7.5000', bias: '-2.5000', data_points: 2 },
+      { date: '2026-02-14', model_version: 'ddr-1', model_type: 'ddr', region: 'all', mae: '6.0000', bias: '-2.0000', data_points: 3 },
+      { date: '2026-02-14', model_version: 'ddr-2', model_type: 'ddr', region: 'all', mae: '2.0000', bias: '2.0000', data_points: 1 },
+    ]]);
+    const history = await getAccuracyHistory(db, 90);
+    eq(history.history.map(h => [h.date, h.modelVersion, h.mae]), [['2026-02-13', 'ddr-1', 8], ['2026-02-14', 'ddr-1', 6], ['2026-02-14', 'ddr-2', 2]], "series uses the 'all' rows");
+    eq(history.versions.map(v => [v.modelVersion, v.date, v.mae]), [['ddr-1', '2026-02-14', 6], ['ddr-2', '2026-02-14', 2]], 'latest snapshot per version');
+    eq(history.regions.map(r => r.region), ['CT'], 'latest per-region breakdown');
+
+    console.log('\n=== getUserAnalytics ===');
+    db = fakeSequelize((sql) => {
+      if (/FROM prediction_feedback/.test(sql)) return [[
+        { model_version: 'ddr-1', model_type: 'ddr', region: 'CT', predicted_days: 30, actual_days: '26.00' },
+        { model_version: 'ddr-2', model_type: 'ddr', region: 'CT', predicted_days: 40, actual_days: '42.00' },
+      ]];
+      if (/FROM model_metrics/.test(sql)) return [[{ date: '2026-02-14', model_version: 'ddr-2', mae: '5.2500', bias: '1.0000', data_points: 12 }]];
+      if (/FROM predictions/.test(sql)) return [[
+        { week: '2026-02-02', avg_daily_usage: '3.456', predictions: '2' },
+        { week: '2026-02-09', avg_daily_usage: null, predictions: '1' },
+      ]];
+      return null;
+    });
+    const analytics = await getUserAnalytics(db, 'u-1', 60);
+    eq(analytics.home, { mae: 3, bias: 1, dataPoints: 2 }, "home error pools the user's feedback across versions");
+    eq(analytics.model, { modelVersion: 'ddr-2', date: '2026-02-14', mae: 5.25, bias: 1, dataPoints: 12 }, 'latest metrics for the serving version');
+    eq(analytics.weeklyUsage, [{ week: '2026-02-02', avgDailyUsage: 3.46, predictions: 2 }, { week: '2026-02-09', avgDailyUsage: null, predictions: 1 }], 'weekly predicted usage');
+    eq(db.calls.map(c => c.opts.bind), [['u-1', 60], ['u-1', 60], ['u-1']], 'every query scoped to the token user');
+    db = fakeSequelize(() => null);
+    eq(await getUserAnalytics(db, 'u-1'), { days: 30, home: { mae: null, bias: null, dataPoints: 0 }, model: null, weeklyUsage: [] }, 'no data → empty analytics, not made-up numbers');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,139 @@
+/**
+ * Notification channel adapters — the only code that talks to Resend or Twilio.
+ *
+ * Each adapter is { name, send(message, { idempotencyKey }) } and resolves to
+ *   { ok, providerId, error, retryable, rejected, optedOut }
+ * without throwing:
+ *   retryable  429 / 5xx / network error — NotificationService retries via the outbox
+ *   rejected   Resend 422 (invalid or provider-suppressed address)
+ *   optedOut   Twilio 21610 (recipient texted STOP to that number)
+ *
+ * The sink adapter stands in for both providers outside production: it logs
+ * the message and appends it as a JSON line to NOTIFY_SINK_FILE
+ * (default logs/notifications.jsonl, 'off' to only log) so a dev run can be
+ * inspected after.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractLast10 } = require('../utils/phone');
+
+const RESEND_URL = 'https://api.resend.com/emails';
+const DEFAULT_SINK_FILE = path.join(__dirname, '..', '..', 'logs', 'notifications.jsonl');
+const TWILIO_OPTED_OUT = 21610;
+
+// SMS streams map to the Twilio number they're sent from — STOP on one number
+// doesn't opt the phone out of the other (see QuoteRequestService header)
+const SMS_FROM_ENV = {
+  lead: 'TWILIO_LEAD_PHONE_NUMBER',
+  price: 'TWILIO_PHONE_NUMBER'
+};
+
+function errorText(err) {
+  return String(err || 'unknown error').slice(0, 300);
+}
+
+/** Resend HTTP API; the idempotency key makes provider-side retries safe for 24h */
+function createResendChannel({ apiKey = process.env.RESEND_API_KEY, fetchImpl = (...args) => fetch(...args) } = {}) {
+  return {
+    name: 'resend',
+    async send(message, { idempotencyKey } = {}) {
+      if (!apiKey) return { ok: false, error: 'RESEND_API_KEY not set' };
+
+      const headers = {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      };
+      if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+      try {
+        const response = await fetchImpl(RESEND_URL, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            from: message.from,
+            to: [message.to],
+            ...(message.bcc ? { bcc: [].concat(message.bcc) } : {}),
+            ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+            subject: message.subject,
+            html: message.html,
+            ...(message.text ? { text: message.text } : {})
+          })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok && result.id) return { ok: true, providerId: result.id };
+
+        const error = errorText(result.message || result.name || `HTTP ${response.status}`);
+        if (response.status === 422 || result.statusCode === 422 || result.name === 'validation_error') {
+          return { ok: false, rejected: true, error };
+        }
+        return { ok: false, retryable: response.status === 429 || response.status >= 500, error };
+      } catch (err) {
+        return { ok: false, retryable: true, error: errorText(err.message) };
+      }
+    }
+  };
+}
+
+/** Twilio Messages API; the client is created on first send so dev never needs the SDK configured */
+function createTwilioChannel({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  client = null
+} = {}) {
+  let twilioClient = client;
+  return {
+    name: 'twilio',
+    async send(message) {
+      const from = process.env[SMS_FROM_ENV[message.stream]];
+      if (!from) return { ok: false, error: `No Twilio number for SMS stream '${message.stream}'` };
+      if (!twilioClient) {
+        if (!accountSid || !authToken) return { ok: false, error: 'Twilio credentials not configured' };
+        twilioClient = require('twilio')(accountSid, authToken);
+      }
+
+      try {
+        const result = await twilioClient.messages.create({
+          body: message.body,
+          from,
+          to: '+1' + extractLast10(message.to)
+        });
+        return { ok: true, providerId: result.sid };
+      } catch (err) {
+        if (err.code === TWILIO_OPTED_OUT) return { ok: false, optedOut: true, error: errorText(err.message) };
+        return { ok: false, retryable: !err.status || err.status === 429 || err.status >= 500, error: errorText(err.message) };
+      }
+    }
+  };
+}
+
+/** Dev/test stand-in for every provider: log + JSON line, never leaves the machine */
+function createSinkChannel({ file = process.env.NOTIFY_SINK_FILE || DEFAULT_SINK_FILE, logger = console } = {}) {
+  return {
+    name: 'sink',
+    async send(message, { idempotencyKey } = {}) {
+      const providerId = `sink-${crypto.randomUUID()}`;
+      const summary = message.channel === 'sms' ? message.body : message.subject;
+      logger.info(`[Notify] SINK ${message.channel}/${message.stream} → ${message.to}: ${summary}`);
+
+      if (file !== 'off') {
+        try {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), providerId, idempotencyKey, ...message }) + '\n');
+        } catch (err) {
+          logger.warn(`[Notify] Sink file ${file} not writable: ${err.message}`);
+        }
+      }
+      return { ok: true, providerId };
+    }
+  };
+}
+
+module.exports = {
+  SMS_FROM_ENV,
+  createResendChannel,
+  createTwilioChannel,
+  createSinkChannel
+};
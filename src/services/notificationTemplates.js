@@ -0,0 +1,81 @@
+/**
+ * Notification templates — named subject/html/text strings for
+ * NotificationService.send({ template, data }).
+ *
+ *   {{name}}     HTML-escaped value (use for anything a user or supplier typed)
+ *   {{{name}}}   raw value (pre-built HTML fragments, URLs we generated)
+ *
+ * Missing values render as ''. Senders with heavily computed HTML (price
+ * alerts, coverage reports) still build it themselves and pass subject/html.
+ */
+
+const { escapeHtml } = require('../utils/html');
+
+const TEMPLATES = {
+  // Supplier claimed a listing (supplier-claim.js) — data: { supplierName }
+  'claim-received': {
+    subject: 'Claim Received - {{{supplierName}}}',
+    html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <span style="font-size: 48px;">📋</span>
+      </div>
+
+      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 8px;">Claim Received</h1>
+
+      <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; margin: 24px 0;">
+        <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0;">
+          We received your claim for <strong>{{supplierName}}</strong>.
+        </p>
+      </div>
+
+      <h3 style="color: #1a1a1a; margin-top: 24px;">What happens next?</h3>
+      <ol style="color: #666; font-size: 15px; line-height: 1.8; padding-left: 20px;">
+        <li>We'll verify your claim by calling the business phone on file</li>
+        <li>Verification typically takes 24-48 hours</li>
+        <li>Once verified, you'll receive a secure link to update your prices anytime</li>
+      </ol>
+
+      <div style="margin-top: 32px; padding-top: 20px; border-top: 1px solid #eee;">
+        <p style="color: #999; font-size: 13px; margin: 0;">
+          Questions? Just reply to this email.
+        </p>
+      </div>
+
+      <p style="color: #999; font-size: 12px; text-align: center; margin-top: 32px;">
+        HomeHeat · Connecting homeowners with local heating oil suppliers
+      </p>
+    </div>
+  `,
+    text: 'We received your claim for {{{supplierName}}}. We\'ll verify it by calling the business phone on file (usually 24-48 hours), then send you a secure link to update your prices.'
+  }
+};
+
+/** Fill {{name}} (escaped) and {{{name}}} (raw) placeholders */
+function renderTemplate(source, data = {}) {
+  if (source == null) return source;
+  return source
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => (data[key] == null ? '' : String(data[key])))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (data[key] == null ? '' : escapeHtml(String(data[key]))));
+}
+
+/**
+ * Render a registered template
+ * @returns {{subject: string, html: string, text: string|undefined}}
+ * @throws {Error} for an unknown template name
+ */
+function renderNamedTemplate(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  return {
+    subject: renderTemplate(template.subject, data),
+    html: renderTemplate(template.html, data),
+    text: renderTemplate(template.text, data)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  renderNamedTemplate
+};
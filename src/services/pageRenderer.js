@@ -0,0 +1,83 @@
+/**
+ * Page Renderer — child process for the scraper's rendered pattern
+ * V3.22.5: priceScraper.renderPage forks this file once per render instead of
+ * running supplier scripts inside the API process. The parent caps its heap
+ * (--max-old-space-size), kills it with SIGKILL at the deadline and gives it
+ * an environment without the API's secrets.
+ *
+ * This is isolation, not a sandbox: jsdom runs the page's scripts with
+ * runScripts: 'dangerously', and the process still has the API user's
+ * filesystem and network access. What it buys is that a hostile or broken
+ * widget can hang, leak or crash only this process.
+ *
+ * Protocol: one message in { html, url, config, userAgent }, one message out
+ * { html, selectorFound } or { error }, then exit.
+ */
+
+const RENDER_POLL_MS = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a page's scripts in jsdom and return the rendered markup.
+ * With config.waitForSelector, polls until that element exists AND has text
+ * (widgets usually mount an empty placeholder first); otherwise waits for the
+ * window load event. Both are bounded by timeoutMs.
+ * Script elements are stripped before serializing so priceRegex only sees the
+ * rendered DOM — never the widget source, which often carries sample prices.
+ * @returns {Promise<{html: string, selectorFound: boolean}>}
+ */
+async function render({ html, url, config, userAgent, timeoutMs }) {
+  let jsdom;
+  try {
+    jsdom = require('jsdom');
+  } catch {
+    throw new Error('Render unavailable (jsdom not installed)');
+  }
+  const { JSDOM, VirtualConsole, ResourceLoader } = jsdom;
+
+  // Page console output and uncaught script errors are noise — a broken widget
+  // shows up as selector-not-found / price-not-found instead.
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'dangerously',
+    resources: new ResourceLoader({ userAgent, strictSSL: !config.ignoreSSL }),
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+  });
+  const { window } = dom;
+
+  let selectorFound = false;
+  if (config.waitForSelector) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const el = window.document.querySelector(config.waitForSelector);
+      if (el && el.textContent.trim() !== '') {
+        selectorFound = true;
+        break;
+      }
+      await sleep(RENDER_POLL_MS);
+    }
+  } else {
+    selectorFound = await new Promise((resolve) => {
+      if (window.document.readyState === 'complete') return resolve(true);
+      const timer = setTimeout(() => resolve(false), timeoutMs);
+      window.addEventListener('load', () => { clearTimeout(timer); resolve(true); });
+    });
+  }
+
+  window.document.querySelectorAll('script:not([type="application/ld+json"])').forEach((s) => s.remove());
+  return { html: dom.serialize(), selectorFound };
+}
+
+process.once('message', async (job) => {
+  let reply;
+  try {
+    reply = await render(job);
+  } catch (e) {
+    reply = { error: e.message };
+  }
+  // Exit without closing the window: whatever timers the page left running
+  // die with the process.
+  process.send(reply, () => process.exit(0));
+});
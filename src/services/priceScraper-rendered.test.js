@@ -0,0 +1,112 @@
+// src/services/priceScraper-rendered.test.js
+//
+// rendered pattern (V3.2.0): the page's own scripts inject the price after load,
+// so raw-HTML extraction sees nothing. The scraper runs the scripts in jsdom,
+// waits for config.waitForSelector to be populated, then feeds the rendered DOM
+// through the same extractPrice/extractFuelPrices used by every other pattern.
+// Renders happen in a forked child (pageRenderer.js): a page that spins or
+// allocates without bound is killed there and comes back as a failed scrape.
+//
+// fetch is mocked; all widget scripts are inline so no network is touched.
+//
+// Run: node src/services/priceScraper-rendered.test.js
+
+const { scrapeSupplierPriceOnce, getHostGroup } = require('./priceScraper');
+const { classifyError } = require('./SupplierDiagnosticsService');
+
+let passed = 0, failed = 0;
+const ok = (l) => { passed++; console.log(`  ✓ ${l}`); };
+const no = (l, d) => { failed++; console.error(`  ✗ ${l} — ${d}`); };
+
+const CONFIG = {
+  enabled: true, pattern: 'rendered',
+  waitForSelector: '#oil-price',
+  renderTimeoutMs: 2000,
+  priceRegex: 'id="oil-price">\\$([0-9]+\\.[0-9]{2,3})',
+  fuels: { kerosene: { enabled: true, priceRegex: 'id="k1-price">\\$([0-9]+\\.[0-9]{2,3})' } },
+};
+const SUP = { id: 't', name: 'test', website: 'https://example.com' };
+const mockFetch = (html, status = 200) => {
+  global.fetch = async () => ({ ok: status === 200, status, text: async () => html });
+};
+
+// Widget mounts empty placeholders, then fills them on a timer — the common
+// shape of client-side price widgets. The script source carries a decoy price.
+const WIDGET_PAGE = `<html><body>
+<div id="oil-price"></div><div id="k1-price"></div>
+<script>
+  // sample: <div id="oil-price">$9.99</div>
+  setTimeout(function () {
+    document.getElementById('oil-price').textContent = '$3.459';
+    document.getElementById('k1-price').textContent = '$4.899';
+  }, 300);
+</script>
+</body></html>`;
+
+(async () => {
+  console.log('\n=== rendered pattern ===');
+
+  // 1. Client-side injected price → success with fuels
+  mockFetch(WIDGET_PAGE);
+  let r = await scrapeSupplierPriceOnce(SUP, CONFIG);
+  if (r.success === true && Math.abs(r.pricePerGallon - 3.459) < 0.0001) ok('injected price extracted after render ($3.459)');
+  else no('injected price extracted after render', JSON.stringify({ success: r.success, price: r.pricePerGallon, error: r.error }));
+  const k = (r.fuelPrices || []).find((fp) => fp.fuelType === 'kerosene');
+  if (k && Math.abs(k.price - 4.899) < 0.0001) ok('secondary fuel extracted from rendered DOM');
+  else no('secondary fuel extracted from rendered DOM', JSON.stringify(r.fuelPrices));
+  if (r.sourceType === 'scraped' && r.minGallons === 150) ok('result shape matches direct/table (scraped, 150 gal)');
+  else no('result shape', JSON.stringify({ sourceType: r.sourceType, minGallons: r.minGallons }));
+
+  // 2. Raw-HTML patterns can't see it — proves the render is doing the work
+  mockFetch(WIDGET_PAGE);
+  r = await scrapeSupplierPriceOnce(SUP, { ...CONFIG, pattern: 'direct' });
+  if (r.success === false) ok('same page with pattern=direct finds nothing');
+  else no('same page with pattern=direct finds nothing', JSON.stringify({ price: r.pricePerGallon }));
+
+  // 3. Widget never fills the selector → non-retryable, classified html_changed
+  mockFetch('<html><body><div id="oil-price"></div><script>/* widget broke */</script></body></html>');
+  r = await scrapeSupplierPriceOnce(SUP, { ...CONFIG, renderTimeoutMs: 600 });
+  if (r.success === false && r.retryable === false && classifyError(r.error) === 'html_changed') ok('unpopulated selector → html_changed, not retryable');
+  else no('unpopulated selector → html_changed', JSON.stringify({ success: r.success, retryable: r.retryable, error: r.error }));
+
+  // 4. HTTP errors keep the usual classification (5xx retryable)
+  mockFetch('', 503);
+  r = await scrapeSupplierPriceOnce(SUP, CONFIG);
+  if (r.success === false && r.error === 'HTTP 503' && r.retryable === true) ok('HTTP 503 → retryable');
+  else no('HTTP 503 → retryable', JSON.stringify({ error: r.error, retryable: r.retryable }));
+
+  // 5. No waitForSelector → waits for window load, then extracts
+  mockFetch('<html><body><div id="oil-price"></div><script>document.getElementById("oil-price").textContent = "$3.299";</script></body></html>');
+  r = await scrapeSupplierPriceOnce(SUP, { ...CONFIG, waitForSelector: undefined });
+  if (r.success === true && Math.abs(r.pricePerGallon - 3.299) < 0.0001) ok('no selector → extracted after load event');
+  else no('no selector → extracted after load event', JSON.stringify({ success: r.success, error: r.error }));
+
+  console.log('\n=== render isolation ===');
+
+  // 6. A page that never yields is killed at renderTimeoutMs + grace, not left spinning
+  mockFetch('<html><body><div id="oil-price"></div><script>while (true) {}</script></body></html>');
+  let t0 = Date.now();
+  r = await scrapeSupplierPriceOnce(SUP, { ...CONFIG, renderTimeoutMs: 300 });
+  if (r.success === false && /^Render timeout/.test(r.error) && Date.now() - t0 < 10000) ok('busy-looping page killed at the deadline');
+  else no('busy-looping page killed at the deadline', JSON.stringify({ success: r.success, error: r.error, ms: Date.now() - t0 }));
+
+  // 7. A page that allocates without bound hits the child's heap cap, not ours
+  mockFetch('<html><body><script>var a = []; while (true) a.push(new Array(1e6).fill(1.5));</script></body></html>');
+  const heapBefore = process.memoryUsage().heapUsed;
+  r = await scrapeSupplierPriceOnce(SUP, { ...CONFIG, waitForSelector: undefined });
+  if (r.success === false && /^Render process exited/.test(r.error)) ok('runaway allocation ends the render process');
+  else no('runaway allocation ends the render process', JSON.stringify({ success: r.success, error: r.error }));
+  if (process.memoryUsage().heapUsed - heapBefore < 64 * 1024 * 1024) ok('caller heap untouched');
+  else no('caller heap untouched', `${process.memoryUsage().heapUsed - heapBefore} bytes`);
+
+  console.log('\n=== getHostGroup ===');
+  if (getHostGroup(CONFIG) === 'rendered') ok("rendered configs share the 'rendered' host group");
+  else no('rendered host group', getHostGroup(CONFIG));
+  if (getHostGroup({ pattern: 'post_form', hostGroup: 'droplet' }) === 'droplet') ok('explicit hostGroup passes through');
+  else no('explicit hostGroup passes through', getHostGroup({ pattern: 'post_form', hostGroup: 'droplet' }));
+  if (getHostGroup({ pattern: 'direct' }) === null) ok('plain configs are unthrottled');
+  else no('plain configs are unthrottled', getHostGroup({ pattern: 'direct' }));
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
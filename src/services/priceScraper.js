@@ -5,6 +5,10 @@
  * V2.12.0: Multi-fuel extraction — scrape kerosene (and future fuels) from same HTML
  * V2.15.0: json_api multi-fuel — secondary fuels via config.fuels.<fuel>.apiUrl + jsonPath
  * V3.0.1: post_form multi-fuel (heatingoil-qt3c) — Droplet secondary fuels via fuels.<fuel>.formBody (separate POST per product)
+ * V3.2.0: rendered pattern — client-side price widgets executed in jsdom before extraction
+ * V3.22.5: rendered pages run in a forked, memory-capped child (pageRenderer.js), killed at the deadline
+ * V3.3.0: Fixture recording (SCRAPE_RECORD_FIXTURES=true) for offline scrape-config replay — see scrapeFixtures.js
+ * V3.4.0: fetchSupplierPage — extraction input without extraction, for regex repair suggestions
  *
  * Architecture:
  * - Honest User-Agent (HomeHeatBot)
@@ -18,6 +22,8 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const { fork } = require('child_process');
+const { isRecordingFixtures, createRecorder, saveFixture } = require('./scrapeFixtures');
 
 const USER_AGENT = 'HomeHeatBot/1.0 (gethomeheat.com; published-price-aggregation)';
 
@@ -53,6 +59,63 @@ async function getGotScraping() {
   }
 }
 
+// V3.2.0: rendered pattern — suppliers whose price widget is injected client-side.
+// V3.22.5: jsdom runs the supplier's scripts with runScripts: 'dangerously',
+// which is not a sandbox, so every render happens in a forked child
+// (pageRenderer.js) with a capped heap, a hard kill at the deadline and none
+// of the API's environment. The admin regex-suggestion routes share this path.
+const RENDER_TIMEOUT_MS = 15000;
+const RENDER_KILL_GRACE_MS = 5000; // child startup + serialize, past renderTimeoutMs
+const RENDER_MAX_MEMORY_MB = parseInt(process.env.RENDER_MAX_MEMORY_MB || '256');
+const RENDER_WORKER = path.join(__dirname, 'pageRenderer.js');
+
+/**
+ * V3.2.0: Run a page's scripts and return the rendered markup.
+ * With config.waitForSelector the child polls until that element exists AND
+ * has text; otherwise it waits for the window load event. Both are bounded by
+ * config.renderTimeoutMs; the child is SIGKILLed RENDER_KILL_GRACE_MS later
+ * if it hasn't answered (a page spinning in a loop never yields to the poll).
+ * Script elements are stripped before serializing so priceRegex only sees the
+ * rendered DOM — never the widget source, which often carries sample prices.
+ * @param {string} html - Raw HTML as fetched
+ * @param {string} url - Page URL (document location + base for relative script src)
+ * @param {object} config - Scrape config for this supplier
+ * @returns {Promise<{html: string, selectorFound: boolean}>}
+ */
+function renderPage(html, url, config) {
+  const timeoutMs = config.renderTimeoutMs || RENDER_TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const child = fork(RENDER_WORKER, [], {
+      execArgv: [`--max-old-space-size=${RENDER_MAX_MEMORY_MB}`],
+      env: { PATH: process.env.PATH, NODE_ENV: process.env.NODE_ENV },
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+    });
+    let settled = false;
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const killTimer = setTimeout(
+      () => finish(new Error(`Render timeout (killed after ${timeoutMs + RENDER_KILL_GRACE_MS}ms)`)),
+      timeoutMs + RENDER_KILL_GRACE_MS
+    );
+
+    child.once('message', (reply) => {
+      if (reply.error) finish(new Error(reply.error));
+      else finish(null, { html: reply.html, selectorFound: reply.selectorFound });
+    });
+    child.once('error', (e) => finish(new Error(`Render process failed: ${e.message}`)));
+    // No reply before exit: out of memory (heap cap) or killed from outside
+    child.once('close', (code, signal) => finish(new Error(`Render process exited (${signal || `code ${code}`})`)));
+
+    child.send({ html, url, config, userAgent: USER_AGENT, timeoutMs });
+  });
+}
+
 /**
  * Extract price from HTML using config selectors
  * @param {string} html - Raw HTML content
@@ -197,6 +260,74 @@ function extractFuelPrices(html, config) {
   return results;
 }
 
+/**
+ * Resolve the page URL a GET-style scrape fetches
+ * @param {object} supplier - Supplier record with website
+ * @param {object} config - Scrape config for this supplier
+ * @returns {string} - Absolute URL
+ */
+function buildScrapeUrl(supplier, config) {
+  // Normalize URL
+  let url = supplier.website;
+  if (!url.startsWith('http')) {
+    url = 'https://' + url;
+  }
+
+  // V1.6.0: Support custom price page path from config
+  if (config.pricePath) {
+    const urlObj = new URL(url);
+    urlObj.pathname = config.pricePath;
+    url = urlObj.toString();
+  }
+
+  // V2.14.0: lookupUrl — fetch price from a different URL (e.g., third-party checkout portal).
+  // Supports {zip} placeholder interpolated from config.lookupZip.
+  if (config.lookupUrl && config.lookupZip) {
+    url = config.lookupUrl.replace('{zip}', config.lookupZip);
+  }
+
+  return url;
+}
+
+/**
+ * V3.4.0: Fetch the HTML a GET-style scrape would run extraction against,
+ * without extracting. Used by the regex repair assistant (regexRepair.js).
+ * post_form/json_api are not supported — their extraction input isn't a page.
+ * @param {object} supplier - Supplier record with website
+ * @param {object} config - Scrape config for this supplier
+ * @returns {Promise<object>} - { html, url } or { error, url }
+ */
+async function fetchSupplierPage(supplier, config) {
+  if (!supplier.website) return { error: 'No website configured', url: null };
+  if (config.pattern === 'post_form' || config.pattern === 'json_api') {
+    return { error: `${config.pattern} entries are not page-based`, url: null };
+  }
+  const url = buildScrapeUrl(supplier, config);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  try {
+    const resp = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9'
+      },
+      signal: controller.signal,
+    });
+    if (!resp.ok) return { error: `HTTP ${resp.status}`, url };
+    const html = await resp.text();
+    if (config.pattern === 'rendered') {
+      const rendered = await renderPage(html, url, config);
+      return { html: rendered.html, url };
+    }
+    return { html, url };
+  } catch (e) {
+    return { error: e.name === 'AbortError' ? 'Timeout' : e.message, url };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
 /**
  * Fetch and scrape price from a supplier website (single attempt)
  * @param {object} supplier - Supplier record with id, name, website
@@ -204,7 +335,24 @@ function extractFuelPrices(html, config) {
  * @returns {object} - Result with price data or error. V2.12.0: includes fuelPrices array.
  */
 async function scrapeSupplierPriceOnce(supplier, config) {
+  // V3.3.0: capture the response bytes of successful scrapes as regression fixtures
+  if (!isRecordingFixtures()) return scrapeOnce(supplier, config, null);
+
+  const recorder = createRecorder();
+  const result = await scrapeOnce(supplier, config, recorder);
+  if (result.success) {
+    try {
+      saveFixture(supplier, config, recorder, result);
+    } catch (e) {
+      console.warn(`[Scraper] ⚠️ fixture not saved for ${supplier.name}: ${e.message}`);
+    }
+  }
+  return result;
+}
+
+async function scrapeOnce(supplier, config, recorder) {
   const startTime = Date.now();
+  const doFetch = recorder ? recorder.fetch : fetch;
 
   try {
     // Skip if no website
@@ -243,24 +391,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
       };
     }
 
-    // Normalize URL
-    let url = supplier.website;
-    if (!url.startsWith('http')) {
-      url = 'https://' + url;
-    }
-
-    // V1.6.0: Support custom price page path from config
-    if (config.pricePath) {
-      const urlObj = new URL(url);
-      urlObj.pathname = config.pricePath;
-      url = urlObj.toString();
-    }
-
-    // V2.14.0: lookupUrl — fetch price from a different URL (e.g., third-party checkout portal).
-    // Supports {zip} placeholder interpolated from config.lookupZip.
-    if (config.lookupUrl && config.lookupZip) {
-      url = config.lookupUrl.replace('{zip}', config.lookupZip);
-    }
+    const url = buildScrapeUrl(supplier, config);
 
     // V2.10.0: json_api pattern — call a JSON API with custom method/headers,
     // extract price from a dot-notation path in the response.
@@ -274,7 +405,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
       const apiController = new AbortController();
       const apiTimeout = setTimeout(() => apiController.abort(), 10000);
       try {
-        const apiResp = await fetch(apiUrl, {
+        const apiResp = await doFetch(apiUrl, {
           method: config.apiMethod || 'POST',
           headers: { 'Content-Type': 'application/json', ...config.apiHeaders },
           body: config.apiMethod === 'GET' ? undefined : JSON.stringify(config.apiBody || {}),
@@ -319,7 +450,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
             const fCtrl = new AbortController();
             const fTimer = setTimeout(() => fCtrl.abort(), 10000);
             try {
-              const fResp = await fetch(fuelConfig.apiUrl, {
+              const fResp = await doFetch(fuelConfig.apiUrl, {
                 method: fuelConfig.apiMethod || config.apiMethod || 'GET',
                 headers: { 'Content-Type': 'application/json', ...config.apiHeaders, ...fuelConfig.apiHeaders },
                 body: (fuelConfig.apiMethod || config.apiMethod) === 'GET' ? undefined
@@ -384,7 +515,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
       const postTimeout = setTimeout(() => postController.abort(), 10000);
 
       try {
-        const resp = await fetch(postUrl, {
+        const resp = await doFetch(postUrl, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -467,7 +598,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
             const fCtrl = new AbortController();
             const fTimer = setTimeout(() => fCtrl.abort(), 10000);
             try {
-              const fResp = await fetch(postUrl, {
+              const fResp = await doFetch(postUrl, {
                 method: 'POST',
                 headers: {
                   'Content-Type': 'application/x-www-form-urlencoded',
@@ -542,6 +673,73 @@ async function scrapeSupplierPriceOnce(supplier, config) {
       }
     }
 
+    // V3.2.0: rendered pattern — fetch the page, execute its scripts (renderPage),
+    // then run the normal extractPrice/extractFuelPrices over the rendered DOM.
+    // Config fields: waitForSelector (recommended), renderTimeoutMs (default 15s).
+    if (config.pattern === 'rendered') {
+      const pageController = new AbortController();
+      const pageTimeout = setTimeout(() => pageController.abort(), 10000);
+      let pageResp;
+      try {
+        pageResp = await doFetch(url, {
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml',
+            'Accept-Language': 'en-US,en;q=0.9'
+          },
+          signal: pageController.signal,
+        });
+      } finally {
+        clearTimeout(pageTimeout);
+      }
+
+      if (!pageResp.ok) {
+        return {
+          supplierId: supplier.id, supplierName: supplier.name, success: false,
+          error: `HTTP ${pageResp.status}`,
+          duration: Date.now() - startTime,
+          retryable: pageResp.status >= 500,
+        };
+      }
+
+      const rendered = await renderPage(await pageResp.text(), url, config);
+      if (recorder) recorder.html = rendered.html;
+      const renderedFuelPrices = extractFuelPrices(rendered.html, config);
+
+      if (config.waitForSelector && !rendered.selectorFound) {
+        return {
+          supplierId: supplier.id, supplierName: supplier.name, success: false,
+          error: `Price not found in rendered HTML (${config.waitForSelector} never populated)`,
+          duration: Date.now() - startTime,
+          retryable: false,
+          fuelPrices: renderedFuelPrices,
+        };
+      }
+
+      const renderedPrice = extractPrice(rendered.html, config);
+      if (renderedPrice === null) {
+        return {
+          supplierId: supplier.id, supplierName: supplier.name, success: false,
+          error: 'Price not found in rendered HTML',
+          duration: Date.now() - startTime,
+          retryable: false,
+          fuelPrices: renderedFuelPrices,
+        };
+      }
+
+      return {
+        supplierId: supplier.id, supplierName: supplier.name, success: true,
+        pricePerGallon: renderedPrice, minGallons: 150, fuelType: 'heating_oil',
+        sourceType: config.displayable === false ? 'aggregator_signal' : 'scraped',
+        sourceUrl: url,
+        scrapedAt: new Date(),
+        expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000),
+        duration: Date.now() - startTime,
+        isAggregator: config.displayable === false,
+        fuelPrices: renderedFuelPrices,
+      };
+    }
+
     // Fetch with timeout
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 10000);
@@ -565,7 +763,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
 
     let response;
     try {
-      response = await fetch(url, fetchOptions);
+      response = await doFetch(url, fetchOptions);
     } finally {
       // Restore SSL verification
       if (config.ignoreSSL) {
@@ -597,6 +795,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
 
             if (gotResponse.statusCode === 200) {
               const gotHtml = gotResponse.body;
+              if (recorder) recorder.html = gotHtml;
               const gotPrice = extractPrice(gotHtml, config);
               const gotFuelPrices = extractFuelPrices(gotHtml, config); // V2.12.0
 
@@ -639,6 +838,7 @@ async function scrapeSupplierPriceOnce(supplier, config) {
     }
 
     const html = await response.text();
+    if (recorder) recorder.html = html;
 
     // V2.12.0: Extract additional fuel prices from same HTML (independent of oil)
     const fuelPrices = extractFuelPrices(html, config);
@@ -769,6 +969,21 @@ function loadScrapeConfig() {
   }
 }
 
+/**
+ * scrape-config.json key for a supplier website (hostname without www.)
+ * @param {string} website - Supplier website URL
+ * @returns {string|null}
+ */
+function getConfigDomain(website) {
+  if (!website) return null;
+  try {
+    const url = website.startsWith('http') ? website : 'https://' + website;
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get config for a supplier based on their website domain
  * @param {string} website - Supplier website URL
@@ -778,14 +993,8 @@ function loadScrapeConfig() {
 function getConfigForSupplier(website, config, supplierSlug = null) {
   if (!website || !config) return null;
 
-  // Extract domain from URL
-  let domain;
-  try {
-    const url = website.startsWith('http') ? website : 'https://' + website;
-    domain = new URL(url).hostname.replace('www.', '');
-  } catch {
-    return null;
-  }
+  const domain = getConfigDomain(website);
+  if (!domain) return null;
 
   const base = config[domain];
   if (!base) return null;
@@ -833,6 +1042,19 @@ function getSourceType(config) {
   return isAggregatorConfig(config) ? 'aggregator_signal' : 'scraped';
 }
 
+/**
+ * V3.2.0: Host group used for scheduler spacing. Rendered scrapes execute
+ * supplier JavaScript in-process, so they all share the 'rendered' group
+ * regardless of which host serves them.
+ * @param {object} config - Scrape config for a supplier
+ * @returns {string|null} - Host group key, or null if unthrottled
+ */
+function getHostGroup(config) {
+  if (!config) return null;
+  if (config.pattern === 'rendered') return 'rendered';
+  return config.hostGroup || null;
+}
+
 module.exports = {
   USER_AGENT,
   extractPrice,
@@ -842,8 +1064,16 @@ module.exports = {
   scrapeSupplierPriceOnce, // V2.15.0: exposed for single-attempt test harness (bypasses retry loop)
   loadScrapeConfig,
   getConfigForSupplier,
+  getConfigDomain,
   sleep,
   // V2.1.0: Aggregator helpers
   isAggregatorConfig,
-  getSourceType
+  getSourceType,
+  // V3.2.0: rendered pattern
+  renderPage,
+  getHostGroup,
+  RENDER_TIMEOUT_MS,
+  // V3.4.0: regex repair assistant
+  buildScrapeUrl,
+  fetchSupplierPage
 };
@@ -0,0 +1,191 @@
+/**
+ * Quote Outcomes — per-supplier lead scorecards and response SLA scoring
+ * V3.13.0: Aggregates quote_requests / quote_request_suppliers into one
+ * scorecard per supplier (response time, contact rate, bid win rate,
+ * consumer-reported contact + 1–5 rating) for the admin Quote Requests tab
+ * and the supplier's own dashboard, and flags suppliers who keep ignoring
+ * leads so _getEligibleSuppliers sends them leads only after everyone else.
+ *
+ * A lead is "settled" once it is older than the 24h grace the lead gating
+ * already allows; unanswered leads only count against a supplier after that.
+ * Consumer reports are per request, so they are credited to the supplier the
+ * consumer dealt with: the accepted bid in bid mode, otherwise the suppliers
+ * who confirmed they called.
+ */
+
+const DEFAULT_WINDOW_DAYS = 90;
+const SLA_RESPONSE_MINUTES = 60;     // "responded within the hour"
+const LEAD_GRACE_HOURS = 24;         // same grace as QuoteRequestService lead gating
+const MIN_SETTLED_FOR_SCORE = 3;     // fewer settled leads → health 'new', no score
+const IGNORE_LOOKBACK_LEADS = 5;
+const IGNORE_DEMOTE_THRESHOLD = 3;   // ≥3 of the last 5 settled leads unanswered → demoted
+
+// Score weights; satisfaction drops out (and the rest rescale) with no consumer feedback
+const WEIGHTS = { sla: 0.5, contact: 0.3, satisfaction: 0.2 };
+
+function toInt(v) {
+  return parseInt(v) || 0;
+}
+
+function ratio(n, d) {
+  return d > 0 ? n / d : null;
+}
+
+/**
+ * SLA score 0–100 and health band from raw counts.
+ * @param {object} stats - settled, responded_settled, within_sla, reported_contacted,
+ *   reported_not_contacted, avg_rating, ratings
+ * @returns {{ score: number|null, health: 'new'|'good'|'fair'|'poor' }}
+ */
+function scoreSupplier(stats) {
+  const settled = toInt(stats.settled);
+  if (settled < MIN_SETTLED_FOR_SCORE) return { score: null, health: 'new' };
+
+  const parts = [
+    [WEIGHTS.sla, toInt(stats.within_sla) / settled],
+    [WEIGHTS.contact, toInt(stats.responded_settled) / settled],
+  ];
+
+  const ratings = toInt(stats.ratings);
+  const reports = toInt(stats.reported_contacted) + toInt(stats.reported_not_contacted);
+  if (ratings > 0) {
+    parts.push([WEIGHTS.satisfaction, (parseFloat(stats.avg_rating) - 1) / 4]);
+  } else if (reports > 0) {
+    parts.push([WEIGHTS.satisfaction, toInt(stats.reported_contacted) / reports]);
+  }
+
+  const totalWeight = parts.reduce((sum, [w]) => sum + w, 0);
+  const score = Math.round(100 * parts.reduce((sum, [w, v]) => sum + w * v, 0) / totalWeight);
+  return { score, health: score >= 70 ? 'good' : score >= 40 ? 'fair' : 'poor' };
+}
+
+/** Row from the scorecard query → API shape */
+function buildScorecard(row) {
+  const leads = toInt(row.leads);
+  const settled = toInt(row.settled);
+  const respondedSettled = toInt(row.responded_settled);
+  const bids = toInt(row.bids);
+  const wins = toInt(row.wins);
+  const reportedContacted = toInt(row.reported_contacted);
+  const reportedNotContacted = toInt(row.reported_not_contacted);
+  const ratings = toInt(row.ratings);
+  const { score, health } = scoreSupplier(row);
+
+  return {
+    supplierId: row.supplier_id,
+    leads,
+    settledLeads: settled,
+    responded: toInt(row.responded),
+    failed: toInt(row.failed),
+    medianResponseMinutes: row.median_response_minutes != null ? Math.round(parseFloat(row.median_response_minutes)) : null,
+    slaRate: ratio(toInt(row.within_sla), settled),
+    contactRate: ratio(respondedSettled, settled),
+    ignored: settled - respondedSettled,
+    bids,
+    wins,
+    winRate: ratio(wins, bids),
+    consumerReports: { contacted: reportedContacted, notContacted: reportedNotContacted },
+    consumerContactRate: ratio(reportedContacted, reportedContacted + reportedNotContacted),
+    avgRating: ratings > 0 ? Math.round(parseFloat(row.avg_rating) * 10) / 10 : null,
+    ratings,
+    score,
+    health,
+  };
+}
+
+/**
+ * Per-supplier scorecards over the last `days` days.
+ * @param {object} sequelize
+ * @param {object} [options]
+ * @param {string[]} [options.supplierIds] - Limit to these suppliers (default: all with leads)
+ * @param {number} [options.days=90]
+ * @returns {Promise<Map<string, object>>} supplierId → scorecard
+ */
+async function getSupplierScorecards(sequelize, { supplierIds, days = DEFAULT_WINDOW_DAYS } = {}) {
+  if (supplierIds && supplierIds.length === 0) return new Map();
+
+  const [rows] = await sequelize.query(`
+    WITH leads AS (
+      SELECT qrs.supplier_id, qrs.status, qrs.sms_sent_at, qrs.responded_at, qrs.bid_at, qrs.bid_outcome,
+             qr.consumer_outcome, qr.consumer_rating,
+             qrs.sms_sent_at < NOW() - INTERVAL '${LEAD_GRACE_HOURS} hours' AS settled,
+             CASE WHEN qr.bid_mode THEN qrs.bid_outcome = 'won' ELSE qrs.responded_at IS NOT NULL END AS credited
+      FROM quote_request_suppliers qrs
+      JOIN quote_requests qr ON qr.id = qrs.quote_request_id
+      WHERE qrs.created_at > NOW() - INTERVAL '1 day' * :days
+        ${supplierIds ? 'AND qrs.supplier_id IN (:supplierIds)' : ''}
+    )
+    SELECT supplier_id,
+           COUNT(*) FILTER (WHERE sms_sent_at IS NOT NULL) AS leads,
+           COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+           COUNT(responded_at) AS responded,
+           COUNT(*) FILTER (WHERE settled) AS settled,
+           COUNT(responded_at) FILTER (WHERE settled) AS responded_settled,
+           COUNT(*) FILTER (WHERE settled AND responded_at <= sms_sent_at + INTERVAL '${SLA_RESPONSE_MINUTES} minutes') AS within_sla,
+           PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (responded_at - sms_sent_at)) / 60.0)
+             FILTER (WHERE responded_at IS NOT NULL AND sms_sent_at IS NOT NULL) AS median_response_minutes,
+           COUNT(bid_at) AS bids,
+           COUNT(*) FILTER (WHERE bid_outcome = 'won') AS wins,
+           COUNT(*) FILTER (WHERE credited AND consumer_outcome = 'contacted') AS reported_contacted,
+           COUNT(*) FILTER (WHERE credited AND consumer_outcome = 'not_contacted') AS reported_not_contacted,
+           AVG(consumer_rating) FILTER (WHERE credited) AS avg_rating,
+           COUNT(consumer_rating) FILTER (WHERE credited) AS ratings
+    FROM leads
+    GROUP BY supplier_id
+  `, { replacements: { days, supplierIds: supplierIds || null } });
+
+  const cards = new Map();
+  for (const row of rows) cards.set(row.supplier_id, buildScorecard(row));
+  return cards;
+}
+
+/**
+ * Suppliers who left most of their recent settled leads unanswered.
+ * @returns {Promise<Set<string>>} supplier ids to demote
+ */
+async function getRepeatIgnorers(sequelize, supplierIds) {
+  if (!supplierIds || supplierIds.length === 0) return new Set();
+
+  const [rows] = await sequelize.query(`
+    SELECT supplier_id
+    FROM (
+      SELECT supplier_id, responded_at,
+             ROW_NUMBER() OVER (PARTITION BY supplier_id ORDER BY sms_sent_at DESC) AS rn
+      FROM quote_request_suppliers
+      WHERE supplier_id IN (:supplierIds)
+        AND sms_sent_at IS NOT NULL
+        AND sms_sent_at < NOW() - INTERVAL '${LEAD_GRACE_HOURS} hours'
+    ) recent
+    WHERE rn <= ${IGNORE_LOOKBACK_LEADS}
+    GROUP BY supplier_id
+    HAVING COUNT(*) FILTER (WHERE responded_at IS NULL) >= ${IGNORE_DEMOTE_THRESHOLD}
+  `, { replacements: { supplierIds } });
+
+  return new Set(rows.map(r => r.supplier_id));
+}
+
+/**
+ * One supplier's scorecard for their own dashboard, or null if they have
+ * never been sent a lead.
+ */
+async function getSupplierLeadSummary(sequelize, supplierId, { days = DEFAULT_WINDOW_DAYS } = {}) {
+  const [cards, ignorers] = await Promise.all([
+    getSupplierScorecards(sequelize, { supplierIds: [supplierId], days }),
+    getRepeatIgnorers(sequelize, [supplierId]),
+  ]);
+  const card = cards.get(supplierId);
+  if (!card || card.leads === 0) return null;
+  return { ...card, windowDays: days, slaMinutes: SLA_RESPONSE_MINUTES, demoted: ignorers.has(supplierId) };
+}
+
+module.exports = {
+  scoreSupplier,
+  buildScorecard,
+  getSupplierScorecards,
+  getRepeatIgnorers,
+  getSupplierLeadSummary,
+  DEFAULT_WINDOW_DAYS,
+  SLA_RESPONSE_MINUTES,
+  IGNORE_LOOKBACK_LEADS,
+  IGNORE_DEMOTE_THRESHOLD,
+};
@@ -0,0 +1,101 @@
+// src/services/quoteOutcomes.test.js
+//
+// Quote outcomes (V3.13.0): SLA score + health bands, scorecard shaping from
+// the aggregate row, consumer reports credited to the supplier the consumer
+// dealt with, repeat-ignorer detection, and the supplier's own summary.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/quoteOutcomes.test.js
+
+const {
+  scoreSupplier,
+  buildScorecard,
+  getSupplierScorecards,
+  getRepeatIgnorers,
+  getSupplierLeadSummary,
+} = require('./quoteOutcomes');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const SUPPLIER_ID = 'aaaaaaaa-0000-4000-8000-000000000001';
+const ROW = {
+  supplier_id: SUPPLIER_ID, leads: '10', failed: '1', responded: '8', settled: '8', responded_settled: '6',
+  within_sla: '4', median_response_minutes: '42.6', bids: '4', wins: '1',
+  reported_contacted: '3', reported_not_contacted: '1', avg_rating: '4.333', ratings: '3',
+};
+
+(async () => {
+  try {
+    console.log('\n=== scoreSupplier ===');
+    eq(scoreSupplier({ settled: '2', within_sla: '2', responded_settled: '2' }), { score: null, health: 'new' }, 'too few settled leads → new');
+    eq(scoreSupplier({ settled: '4', within_sla: '4', responded_settled: '4' }), { score: 100, health: 'good' }, 'no feedback → SLA + contact only');
+    eq(scoreSupplier({ settled: '4', within_sla: '0', responded_settled: '0' }), { score: 0, health: 'poor' }, 'ignored everything');
+    eq(scoreSupplier({ settled: '4', within_sla: '2', responded_settled: '4', ratings: '2', avg_rating: '1' }).score, 55,
+      'ratings feed satisfaction (1 star → 0)');
+    eq(scoreSupplier({ settled: '4', within_sla: '2', responded_settled: '2', reported_contacted: '1', reported_not_contacted: '1' }),
+      { score: 50, health: 'fair' }, 'without ratings, consumer reports stand in');
+
+    console.log('\n=== buildScorecard ===');
+    const card = buildScorecard(ROW);
+    eq([card.leads, card.settledLeads, card.ignored, card.medianResponseMinutes], [10, 8, 2, 43], 'counts + median rounded');
+    eq([card.slaRate, card.contactRate, card.winRate, card.consumerContactRate], [0.5, 0.75, 0.25, 0.75], 'rates');
+    eq([card.avgRating, card.ratings, card.score, card.health], [4.3, 3, 64, 'fair'], 'rating + score');
+    const empty = buildScorecard({ supplier_id: SUPPLIER_ID, leads: '1' });
+    eq([empty.slaRate, empty.winRate, empty.avgRating, empty.medianResponseMinutes, empty.health], [null, null, null, null, 'new'], 'no data → nulls');
+
+    console.log('\n=== getSupplierScorecards ===');
+    let db = fakeSequelize(() => [[ROW]]);
+    const cards = await getSupplierScorecards(db, { supplierIds: [SUPPLIER_ID], days: 30 });
+    eq(cards.get(SUPPLIER_ID).leads, 10, 'keyed by supplier');
+    eq(db.calls[0].opts.replacements, { days: 30, supplierIds: [SUPPLIER_ID] }, 'window + ids bound');
+    if (/CASE WHEN qr.bid_mode THEN qrs.bid_outcome = 'won' ELSE qrs.responded_at IS NOT NULL END AS credited/.test(db.calls[0].sql)) pass('reports credited to the winner / suppliers who called');
+    else fail('reports credited to the winner / suppliers who called', db.calls[0].sql);
+    if (/AVG\(consumer_rating\) FILTER \(WHERE credited\)/.test(db.calls[0].sql)) pass('ratings only count for credited leads');
+    else fail('ratings only count for credited leads', db.calls[0].sql);
+    db = fakeSequelize(() => [[]]);
+    eq((await getSupplierScorecards(db, { supplierIds: [] })).size, 0, 'empty id list');
+    eq(db.calls.length, 0, 'no query for empty id list');
+
+    console.log('\n=== getRepeatIgnorers ===');
+    db = fakeSequelize(() => [[{ supplier_id: SUPPLIER_ID }]]);
+    const ignorers = await getRepeatIgnorers(db, [SUPPLIER_ID, 'other']);
+    eq([...ignorers], [SUPPLIER_ID], 'returns the ignorers');
+    if (/WHERE rn <= 5 GROUP BY supplier_id HAVING COUNT\(\*\) FILTER \(WHERE responded_at IS NULL\) >= 3/.test(db.calls[0].sql)) pass('3 of the last 5 settled leads');
+    else fail('3 of the last 5 settled leads', db.calls[0].sql);
+    if (/sms_sent_at < NOW\(\) - INTERVAL '24 hours'/.test(db.calls[0].sql)) pass('leads inside the grace period don\'t count');
+    else fail('leads inside the grace period don\'t count', db.calls[0].sql);
+
+    console.log('\n=== getSupplierLeadSummary ===');
+    db = fakeSequelize((sql) => {
+      if (/ROW_NUMBER\(\)/.test(sql)) return [[{ supplier_id: SUPPLIER_ID }]];
+      return [[ROW]];
+    });
+    const summary = await getSupplierLeadSummary(db, SUPPLIER_ID);
+    eq([summary.leads, summary.windowDays, summary.slaMinutes, summary.demoted], [10, 90, 60, true], 'card + window + demoted flag');
+    db = fakeSequelize(() => [[]]);
+    eq(await getSupplierLeadSummary(db, SUPPLIER_ID), null, 'never sent a lead → null');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,329 @@
+/**
+ * Regex Repair Assistant
+ * V3.4.0: Suggests replacement priceRegex / sectionStart configs for suppliers
+ * whose scrape failed as html_changed (SupplierDiagnosticsService).
+ *
+ * Inputs: the current page HTML, the supplier's current config, and the last
+ * known-good scraped oil price. Steps:
+ *   1. Find every oil-range price string on the page.
+ *   2. Score each by closeness to the last good price and by proximity to
+ *      anchor text (literal words from the old regex / sectionStart, falling
+ *      back to "heating oil" style labels).
+ *   3. For the best candidates, build up to three configs — left-context
+ *      regex, anchor-bounded regex, sectionStart + generic regex — and
+ *      dry-run each through extractPrice(). Only configs that extract exactly
+ *      that candidate are kept.
+ *
+ * Accepted suggestions are stored in scrape_regex_repairs (migration 181) and
+ * layered over scrape-config.json at scrape time by applyRegexRepair() until
+ * the JSON catches up (scripts/list-regex-repairs.js lists what to fold back in).
+ * V3.22.1: repairs are keyed by domain + branch slug (migration 200), so a
+ * repair on one branch of a multi-branch entry leaves its siblings alone.
+ */
+
+const { extractPrice, FUEL_PRICE_RANGES } = require('./priceScraper');
+
+const GENERIC_PRICE_GROUP = '\\$\\s*([0-9]+\\.[0-9]{2,3})';
+const ANCHOR_WINDOW = 300;       // chars before a price an anchor may sit
+const CONTEXT_CHARS = 40;        // left context used for the context regex
+const CLOSE_PRICE_DELTA = 0.50;  // $/gal — beyond this, price closeness scores 0
+const MAX_CANDIDATES = 5;
+
+const DEFAULT_ANCHORS = ['heating oil', 'home heating oil', 'fuel oil', '#2 oil', 'oil price'];
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Literal label text from an existing regex, e.g.
+ * 'Heating Oil[^$]*\\$([0-9.]+)' → ['Heating Oil']. Character classes,
+ * groups and escapes are dropped; runs shorter than 4 chars are ignored.
+ */
+function regexAnchors(source) {
+  if (!source) return [];
+  const stripped = source
+    .replace(/\\[dDsSwWbB]/g, ' ')
+    .replace(/\\(.)/g, '$1')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/[()*+?|^$]/g, ' ');
+  return (stripped.match(/[A-Za-z#][A-Za-z0-9#&;\- ]{3,}[A-Za-z]/g) || [])
+    .map((s) => s.trim())
+    .filter((s) => s.length >= 4 && !/^(span|div|strong|class|style|td|tr)$/i.test(s));
+}
+
+/**
+ * Mirror extractPrice's pre-processing so candidate offsets line up with
+ * what the dry run sees.
+ */
+function normalizeHtml(html, config) {
+  let out = html;
+  if (!config.useJsonLd) {
+    out = out.replace(/<script[^>]*type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>/gi, '');
+  }
+  return out.replace(/<sup[^>]*>(\d)<\/sup>/gi, '$1');
+}
+
+function findCandidates(html) {
+  const [lo, hi] = FUEL_PRICE_RANGES.heating_oil;
+  const re = /(\$\s*)?\b([0-9]\.[0-9]{2,3})\b/g;
+  const out = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const price = parseFloat(m[2]);
+    const dollar = Boolean(m[1]);
+    // Bare numbers only count with 3 decimals (9-tenths pricing) — "2.50" alone is too noisy.
+    if (!dollar && m[2].split('.')[1].length < 3) continue;
+    if (price < lo || price > hi) continue;
+    out.push({ price, index: m.index, raw: m[0], dollar });
+  }
+  return out;
+}
+
+function findAnchors(html, anchors) {
+  const lower = html.toLowerCase();
+  const hits = [];
+  for (const anchor of anchors) {
+    const needle = anchor.toLowerCase();
+    let idx = lower.indexOf(needle);
+    while (idx !== -1) {
+      hits.push({ text: html.substr(idx, anchor.length), index: idx, end: idx + anchor.length });
+      idx = lower.indexOf(needle, idx + 1);
+    }
+  }
+  return hits;
+}
+
+function nearestAnchorBefore(candidate, anchorHits) {
+  let best = null;
+  for (const a of anchorHits) {
+    if (a.end > candidate.index) continue;
+    const distance = candidate.index - a.end;
+    if (distance > ANCHOR_WINDOW) continue;
+    if (!best || distance < best.distance) best = { ...a, distance };
+  }
+  return best;
+}
+
+/**
+ * Context regex: the markup immediately before the price, anchored at a tag
+ * boundary, digits generalized so tier labels like "150+" survive edits.
+ */
+function contextRegex(html, candidate) {
+  let ctx = html.slice(Math.max(0, candidate.index - CONTEXT_CHARS), candidate.index);
+  const tagStart = ctx.indexOf('<');
+  if (tagStart > 0) ctx = ctx.slice(tagStart);
+  if (!ctx.trim()) return null;
+  const body = escapeRegex(ctx.replace(/[0-9]+/g, '\u0001'))
+    .replace(/\s+/g, '\\s*')
+    .replace(/\u0001/g, '[0-9]+');
+  return `${body}${candidate.dollar ? '\\$\\s*' : ''}([0-9]+\\.[0-9]{2,3})`;
+}
+
+function countMatches(html, priceRegex) {
+  try {
+    return (html.match(new RegExp(priceRegex, 'gi')) || []).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Rank replacement configs for a broken priceRegex
+ * @param {string} html - Current page HTML (rendered DOM for the rendered pattern)
+ * @param {object} options
+ * @param {object} options.config - Current scrape config entry
+ * @param {number|null} options.lastPrice - Last known-good scraped oil price
+ * @param {number} options.limit - Max suggestions (default 3)
+ * @returns {Array<object>} - [{ priceRegex, sectionStart, pattern?, extractedPrice,
+ *   priceDelta, anchor, strategy, matchCount, score, confidence, context }]
+ */
+function suggestRegexRepairs(html, { config = {}, lastPrice = null, limit = 3 } = {}) {
+  if (!html) return [];
+  const page = normalizeHtml(html, config);
+
+  const anchorTexts = [...new Set([
+    ...regexAnchors(config.priceRegex),
+    ...(config.sectionStart ? [config.sectionStart] : []),
+    ...DEFAULT_ANCHORS,
+  ])];
+  const anchorHits = findAnchors(page, anchorTexts);
+
+  const scored = findCandidates(page).map((c) => {
+    const anchor = nearestAnchorBefore(c, anchorHits);
+    const delta = lastPrice != null ? Math.abs(c.price - lastPrice) : null;
+    let score = 0;
+    if (delta != null) score += Math.max(0, 1 - delta / CLOSE_PRICE_DELTA) * 50;
+    if (delta === 0) score += 10;
+    if (anchor) score += (1 - anchor.distance / ANCHOR_WINDOW) * 30;
+    if (c.raw.split('.')[1].length === 3) score += 5;
+    return { ...c, anchor, delta, score };
+  }).sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+
+  // Our regexes have a single capture group — split entries switch to direct.
+  const basePattern = config.pattern === 'split' ? 'direct' : config.pattern;
+
+  const suggestions = [];
+  const seen = new Set();
+  for (const c of scored) {
+    const variants = [];
+    const ctx = contextRegex(page, c);
+    if (ctx) variants.push({ strategy: 'context', priceRegex: ctx, sectionStart: null, bonus: 3 });
+    if (c.anchor) {
+      const gap = Math.ceil((c.anchor.distance + 20) / 50) * 50;
+      variants.push({
+        strategy: 'anchor',
+        priceRegex: `${escapeRegex(c.anchor.text)}[\\s\\S]{0,${gap}}?${c.dollar ? '\\$\\s*' : ''}([0-9]+\\.[0-9]{2,3})`,
+        sectionStart: null,
+        bonus: 2,
+      });
+      if (c.dollar) {
+        variants.push({ strategy: 'section', priceRegex: GENERIC_PRICE_GROUP, sectionStart: c.anchor.text, bonus: 1 });
+      }
+    }
+
+    for (const v of variants) {
+      const key = `${v.priceRegex}\u0000${v.sectionStart}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const trial = { ...config, pattern: basePattern, priceRegex: v.priceRegex, sectionStart: v.sectionStart || undefined };
+      if (!v.sectionStart) delete trial.sectionEnd;
+      let extracted;
+      try {
+        extracted = extractPrice(html, trial);
+      } catch {
+        continue;
+      }
+      if (extracted === null || Math.abs(extracted - c.price) > 0.0001) continue;
+
+      const matchCount = countMatches(v.sectionStart ? page.slice(page.indexOf(v.sectionStart)) : page, v.priceRegex);
+      const score = Math.round((c.score + v.bonus + (matchCount === 1 ? 5 : 0)) * 10) / 10;
+      let confidence = 'low';
+      if (c.delta != null && c.delta <= 0.10 && c.anchor) confidence = 'high';
+      else if ((c.delta != null && c.delta <= 0.30) || c.anchor) confidence = 'medium';
+
+      suggestions.push({
+        priceRegex: v.priceRegex,
+        sectionStart: v.sectionStart,
+        ...(basePattern !== config.pattern ? { pattern: basePattern } : {}),
+        extractedPrice: extracted,
+        priceDelta: c.delta != null ? Math.round(c.delta * 1000) / 1000 : null,
+        anchor: c.anchor ? c.anchor.text : null,
+        strategy: v.strategy,
+        matchCount,
+        score,
+        confidence,
+        context: page.slice(Math.max(0, c.index - 80), c.index + c.raw.length + 20)
+          .replace(/^[^<]*>/, '').replace(/<[^>]*>?/g, ' ').replace(/\s+/g, ' ').trim(),
+      });
+    }
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Layer an accepted repair over a scrape-config entry. No-op once the JSON
+ * already carries the repaired regex (the override has been folded in).
+ * @param {object|null} config - Entry from getConfigForSupplier
+ * @param {object|null} repair - Active scrape_regex_repairs row
+ * @returns {object|null}
+ */
+function applyRegexRepair(config, repair) {
+  if (!config || !repair) return config;
+  if (config.priceRegex === repair.price_regex
+    && (config.sectionStart || null) === (repair.section_start || null)
+    && (!repair.pattern || config.pattern === repair.pattern)) {
+    return config;
+  }
+  const patched = { ...config, priceRegex: repair.price_regex, regexRepairId: repair.id };
+  if (repair.section_start) {
+    patched.sectionStart = repair.section_start;
+  } else {
+    delete patched.sectionStart;
+    delete patched.sectionEnd;
+  }
+  if (repair.pattern) patched.pattern = repair.pattern;
+  return patched;
+}
+
+/**
+ * Branch a repair is keyed to: the supplier slug when the domain's
+ * scrape-config entry has `branches`, null for single-branch entries
+ * @param {object} scrapeConfig - Parsed scrape-config.json
+ * @param {string} domain - scrape-config key
+ * @param {string|null} supplierSlug
+ * @returns {string|null}
+ */
+function repairBranchSlug(scrapeConfig, domain, supplierSlug) {
+  const entry = scrapeConfig && domain ? scrapeConfig[domain] : null;
+  return entry && entry.branches ? (supplierSlug || null) : null;
+}
+
+/**
+ * loadActiveRepairs() map key for a domain / branch
+ * @param {string} domain
+ * @param {string|null} branchSlug
+ * @returns {string}
+ */
+function repairKey(domain, branchSlug = null) {
+  return branchSlug ? `${domain}[${branchSlug}]` : domain;
+}
+
+/**
+ * Active repair for one domain / branch (scheduler path — one lookup per scrape)
+ * @param {object} sequelize
+ * @param {string} domain - scrape-config key
+ * @param {string|null} [branchSlug] - from repairBranchSlug()
+ * @returns {Promise<object|null>}
+ */
+async function getActiveRepair(sequelize, domain, branchSlug = null) {
+  if (!domain) return null;
+  try {
+    const [rows] = await sequelize.query(`
+      SELECT id, domain, branch_slug, price_regex, section_start, pattern
+      FROM scrape_regex_repairs
+      WHERE domain = $1 AND branch_slug IS NOT DISTINCT FROM $2 AND status = 'active'
+      ORDER BY accepted_at DESC LIMIT 1
+    `, { bind: [domain, branchSlug] });
+    return rows[0] || null;
+  } catch {
+    // Table may not exist yet (migration 181 not run)
+    return null;
+  }
+}
+
+/**
+ * All active repairs keyed by repairKey(domain, branch_slug) (batch path —
+ * one query per run)
+ * @param {object} sequelize
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadActiveRepairs(sequelize) {
+  const map = new Map();
+  try {
+    const [rows] = await sequelize.query(`
+      SELECT DISTINCT ON (domain, branch_slug) id, domain, branch_slug, price_regex, section_start, pattern
+      FROM scrape_regex_repairs
+      WHERE status = 'active'
+      ORDER BY domain, branch_slug, accepted_at DESC
+    `);
+    for (const r of rows) map.set(repairKey(r.domain, r.branch_slug), r);
+  } catch {
+    // Table may not exist yet (migration 181 not run)
+  }
+  return map;
+}
+
+module.exports = {
+  suggestRegexRepairs,
+  applyRegexRepair,
+  getActiveRepair,
+  loadActiveRepairs,
+  repairBranchSlug,
+  repairKey,
+  regexAnchors,
+  contextRegex,
+};
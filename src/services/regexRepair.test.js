@@ -0,0 +1,116 @@
+// src/services/regexRepair.test.js
+//
+// Regex repair assistant (V3.4.0): given a redesigned page and the last good
+// price, suggestRegexRepairs must propose configs that extract the right
+// price through extractPrice — and must not propose a decoy (delivery fee,
+// kerosene, stale "last week" price) as the top pick. V3.22.1: repairs are
+// keyed by domain + branch slug, so one branch's repair leaves siblings alone.
+//
+// Run: node src/services/regexRepair.test.js
+
+const { extractPrice } = require('./priceScraper');
+const { suggestRegexRepairs, applyRegexRepair, regexAnchors, contextRegex, repairBranchSlug, repairKey, getActiveRepair, loadActiveRepairs } = require('./regexRepair');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label} — ${detail}`); }
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) pass(label); else fail(label, `expected ${e}, got ${a}`);
+}
+function assertTrue(cond, label, detail) { if (cond) pass(label); else fail(label, detail || 'expected true'); }
+
+// Old site: <td>Heating Oil</td><td>$3.459</td>. Redesign moved to cards and
+// added other numbers that look like prices.
+const OLD_CONFIG = {
+  enabled: true, pattern: 'direct',
+  priceRegex: 'Heating Oil</td>\\s*<td>\\$([0-9]+\\.[0-9]{2,3})',
+};
+const REDESIGNED = `
+<header>Free delivery over 150 gal — otherwise $2.50 fee</header>
+<div class="card"><h3>Kerosene</h3><span class="amount">$4.899</span></div>
+<div class="card"><h3>Heating Oil</h3><p>150+ gallons</p><span class="amount">$3.499</span></div>
+<aside>Last week: $3.999</aside>`;
+
+console.log('\n=== regexAnchors ===');
+assertEqual(regexAnchors(OLD_CONFIG.priceRegex), ['Heating Oil'], 'literal label pulled from old regex');
+assertEqual(regexAnchors('\\$\\s*([0-9]+\\.[0-9]{2,3})'), [], 'generic regex has no anchors');
+
+console.log('\n=== suggestRegexRepairs: redesigned page ===');
+assertEqual(extractPrice(REDESIGNED, OLD_CONFIG), null, 'precondition: old regex finds nothing');
+const sugs = suggestRegexRepairs(REDESIGNED, { config: OLD_CONFIG, lastPrice: 3.459 });
+assertTrue(sugs.length > 0, 'returns suggestions', JSON.stringify(sugs));
+assertEqual(sugs[0] && sugs[0].extractedPrice, 3.499, 'top suggestion is the oil price, not kerosene/stale/fee');
+assertEqual(sugs[0] && sugs[0].anchor, 'Heating Oil', 'top suggestion anchored on old label');
+assertTrue(sugs.every((s) => extractPrice(REDESIGNED, { ...OLD_CONFIG, priceRegex: s.priceRegex, sectionStart: s.sectionStart || undefined }) === s.extractedPrice),
+  'every suggestion dry-runs to its reported price');
+assertTrue(sugs.every((s, i) => i === 0 || sugs[i - 1].score >= s.score), 'ranked by score');
+assertEqual(sugs[0] && sugs[0].confidence, 'high', 'close price + anchor → high confidence');
+
+// The suggested regex must survive the next price change.
+const nextWeek = REDESIGNED.replace('$3.499', '$3.389');
+assertEqual(extractPrice(nextWeek, { ...OLD_CONFIG, priceRegex: sugs[0].priceRegex, sectionStart: sugs[0].sectionStart || undefined }), 3.389,
+  'top suggestion still matches after the price changes');
+
+console.log('\n=== section strategy ===');
+const section = sugs.find((s) => s.strategy === 'section');
+assertTrue(section && section.sectionStart === 'Heating Oil' && section.extractedPrice === 3.499, 'sectionStart variant offered', JSON.stringify(section));
+
+console.log('\n=== no last price: anchor alone drives ranking ===');
+const noHist = suggestRegexRepairs(REDESIGNED, { config: OLD_CONFIG, lastPrice: null });
+assertEqual(noHist[0] && noHist[0].extractedPrice, 3.499, 'anchor proximity picks oil without history');
+assertEqual(noHist[0] && noHist[0].priceDelta, null, 'priceDelta null without history');
+
+console.log('\n=== contextRegex ===');
+const html = '<li>200 gal <b>$3.299</b></li>';
+const ctx = contextRegex(html, { index: html.indexOf('$'), dollar: true });
+assertTrue(/\[0-9\]\+/.test(ctx) && !/200/.test(ctx), 'digits in left context generalized', ctx);
+assertEqual(extractPrice('<li>300 gal <b>$3.199</b></li>', { pattern: 'direct', priceRegex: ctx }), 3.199, 'context regex tolerates tier label change');
+
+console.log('\n=== split entries switch to direct ===');
+const splitSugs = suggestRegexRepairs(REDESIGNED, { config: { ...OLD_CONFIG, pattern: 'split' }, lastPrice: 3.459 });
+assertEqual(splitSugs[0] && splitSugs[0].pattern, 'direct', 'single-group suggestion carries pattern: direct');
+
+console.log('\n=== empty / priceless pages ===');
+assertEqual(suggestRegexRepairs('', { config: OLD_CONFIG }), [], 'empty html → []');
+assertEqual(suggestRegexRepairs('<p>Call for pricing</p>', { config: OLD_CONFIG, lastPrice: 3.4 }), [], 'no price strings → []');
+
+console.log('\n=== applyRegexRepair ===');
+const repair = { id: 'r1', price_regex: 'NEW([0-9.]+)', section_start: null, pattern: null };
+const patched = applyRegexRepair({ ...OLD_CONFIG, sectionStart: 'X', sectionEnd: 'Y' }, repair);
+assertEqual([patched.priceRegex, patched.sectionStart, patched.sectionEnd, patched.regexRepairId], ['NEW([0-9.]+)', undefined, undefined, 'r1'],
+  'override replaces regex, clears stale section markers');
+const caughtUp = { ...OLD_CONFIG, priceRegex: 'NEW([0-9.]+)' };
+assertTrue(applyRegexRepair(caughtUp, repair) === caughtUp, 'no-op once JSON carries the repaired regex');
+assertTrue(applyRegexRepair(OLD_CONFIG, null) === OLD_CONFIG, 'no repair → config unchanged');
+assertEqual(applyRegexRepair(null, repair), null, 'no config → null');
+assertEqual(applyRegexRepair(OLD_CONFIG, { ...repair, section_start: 'Heating Oil' }).sectionStart, 'Heating Oil', 'section_start applied');
+
+console.log('\n=== branch keying ===');
+const BRANCH_CONFIG = { 'chain.com': { pattern: 'direct', branches: { 'chain-north': {}, 'chain-south': {} } }, 'solo.com': { pattern: 'direct' } };
+assertEqual([repairBranchSlug(BRANCH_CONFIG, 'chain.com', 'chain-north'), repairBranchSlug(BRANCH_CONFIG, 'solo.com', 'solo-oil'), repairBranchSlug(BRANCH_CONFIG, 'gone.com', 'x')],
+  ['chain-north', null, null], 'branch slug only for multi-branch entries');
+assertEqual([repairKey('chain.com', 'chain-north'), repairKey('solo.com', null)], ['chain.com[chain-north]', 'solo.com'], 'map key per domain / branch');
+
+(async () => {
+  const calls = [];
+  const db = { query: async (sql, opts) => {
+    calls.push({ sql, opts });
+    if (/DISTINCT ON \(domain, branch_slug\)/.test(sql)) {
+      return [[{ id: 'r1', domain: 'chain.com', branch_slug: 'chain-north' }, { id: 'r2', domain: 'solo.com', branch_slug: null }]];
+    }
+    return [[]];
+  } };
+  await getActiveRepair(db, 'chain.com', 'chain-north');
+  assertTrue(/branch_slug IS NOT DISTINCT FROM \$2/.test(calls[0].sql) && calls[0].opts.bind[1] === 'chain-north', 'single lookup matches the branch');
+  await getActiveRepair(db, 'solo.com');
+  assertEqual(calls[1].opts.bind, ['solo.com', null], 'single-branch lookup matches branch_slug NULL');
+  const map = await loadActiveRepairs(db);
+  assertEqual([map.get('chain.com[chain-north]').id, map.has('chain.com[chain-south]'), map.get('solo.com').id], ['r1', false, 'r2'],
+    'batch map: a branch repair does not cover its siblings');
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
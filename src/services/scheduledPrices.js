@@ -0,0 +1,346 @@
+/**
+ * Scheduled Supplier Prices — prices that start later and/or stop on time
+ * V3.9.0: Suppliers posting weekly specials can set a start ("3.29 starting
+ * Monday 6am") and an explicit valid-until ("until Friday") from the magic
+ * link or SMS. Pending rows live in scheduled_supplier_prices; the
+ * scheduled-prices cron inserts each into supplier_prices at effective_at and
+ * marks that row is_valid = false at valid_until, so every price query keeps
+ * seeing only rows that are live now.
+ *
+ * Without a valid-until a published price expires like any supplier price
+ * (7 days). Times in SMS are America/New_York wall-clock.
+ */
+
+const PRICE_EXPIRY_DAYS = 7;
+const MAX_LEAD_DAYS = 30;   // how far ahead a start can be scheduled
+const MAX_VALID_DAYS = 30;  // longest explicit valid-until window
+const TIMEZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const END_OF_DAY = 23 * 60 + 59; // "until Friday" = through 11:59 PM Friday
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WHEN = '(today|tonight|tomorrow|tmrw|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?|\\d{1,2}/\\d{1,2}(?:/\\d{2,4})?)\\.?(?!\\w)'
+  + '(?:\\s+(?:at\\s+|@\\s*)?(\\d{1,2}(?::\\d{2})?\\s*[ap]\\.?m?\\.?(?!\\w)|noon|midnight))?';
+const START_PATTERN = new RegExp(`\\b(?:starting|starts?|effective|beginning|from)\\s+(?:on\\s+)?${WHEN}`, 'i');
+const END_PATTERN = new RegExp(`\\b(?:until|till|til|thru|through|ends?|expires?|good\\s+(?:thru|through|until|till))\\s+(?:on\\s+)?${WHEN}`, 'i');
+
+// ─── Time helpers ──────────────────────────────────────────────
+
+/**
+ * America/New_York calendar day for an instant
+ * @returns {string} YYYY-MM-DD
+ */
+function easternDay(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+}
+
+/**
+ * Instant for an America/New_York wall-clock time
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date}
+ */
+function easternTime(day, minutes) {
+  const [y, m, d] = day.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d) + minutes * 60 * 1000;
+  // Offset of the zone at (roughly) that instant; re-check once across a DST change
+  let instant = wall - zoneOffsetMs(new Date(wall));
+  instant = wall - zoneOffsetMs(new Date(instant));
+  return new Date(instant);
+}
+
+function zoneOffsetMs(date) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date)) parts[type] = value;
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function addDays(day, n) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * "Mon Oct 26, 6:00 AM" in Eastern time
+ */
+function formatEastern(date) {
+  const day = date.toLocaleDateString('en-US', { timeZone: TIMEZONE, weekday: 'short', month: 'short', day: 'numeric' });
+  const time = date.toLocaleTimeString('en-US', { timeZone: TIMEZONE, hour: 'numeric', minute: '2-digit' });
+  return `${day.replace(',', '')}, ${time}`;
+}
+
+// ─── SMS phrases ───────────────────────────────────────────────
+
+function resolveDay(token, today) {
+  const word = token.toLowerCase();
+  if (word === 'today' || word === 'tonight') return today;
+  if (word === 'tomorrow' || word === 'tmrw') return addDays(today, 1);
+
+  const weekday = WEEKDAYS.indexOf(word.slice(0, 3));
+  if (weekday >= 0) {
+    const [y, m, d] = today.split('-').map(Number);
+    const current = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return addDays(today, (weekday - current + 7) % 7);
+  }
+
+  const [month, date, year] = word.split('/').map(Number);
+  if (month < 1 || month > 12 || date < 1 || date > 31) return null;
+  const thisYear = Number(today.slice(0, 4));
+  let fullYear = year ? (year < 100 ? 2000 + year : year) : thisYear;
+  let day = `${fullYear}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+  // A month/day well behind today without a year means next year's
+  if (!year && day < addDays(today, -60)) {
+    fullYear += 1;
+    day = `${fullYear}-${day.slice(5)}`;
+  }
+  return day;
+}
+
+function resolveMinutes(token, fallback) {
+  if (!token) return fallback;
+  const word = token.toLowerCase().replace(/[.\s]/g, '');
+  if (word === 'noon') return 12 * 60;
+  if (word === 'midnight') return fallback;
+  const match = word.match(/^(\d{1,2})(?::(\d{2}))?([ap])m?$/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour < 1 || hour > 12 || minute > 59) return null;
+  return ((hour % 12) + (match[3] === 'p' ? 12 : 0)) * 60 + minute;
+}
+
+/**
+ * Pull "starting Monday 6am" / "until Fri" / "thru 10/30" out of an SMS.
+ * Starts default to the beginning of the day, ends to the end of it.
+ *
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {{ text: string, phrase: string, effectiveAt: Date|null, validUntil: Date|null, error: string|null }}
+ *   text is the message with the phrases removed (ready for price parsing)
+ */
+function parseScheduleText(text, now = new Date()) {
+  const today = easternDay(now);
+  const result = { text: text || '', phrase: '', effectiveAt: null, validUntil: null, error: null };
+  const phrases = [];
+
+  for (const [pattern, field, fallback] of [[START_PATTERN, 'effectiveAt', 0], [END_PATTERN, 'validUntil', END_OF_DAY]]) {
+    const match = result.text.match(pattern);
+    if (!match) continue;
+    const day = resolveDay(match[1], today);
+    const minutes = resolveMinutes(match[2], fallback);
+    if (!day || minutes === null) {
+      result.error = `Couldn't read the date in "${match[0].trim()}"`;
+      continue;
+    }
+    result[field] = easternTime(day, minutes);
+    phrases.push(match[0].trim());
+    result.text = result.text.replace(match[0], ' ');
+  }
+
+  result.text = result.text.replace(/[ \t]{2,}/g, ' ').trim();
+  result.phrase = phrases.join(' ');
+  if (!result.error) result.error = validateWindow(result, now);
+  return result;
+}
+
+/**
+ * Check a start / valid-until pair. A start already past means "now".
+ * @returns {string|null} Problem, or null when the window is usable
+ */
+function validateWindow({ effectiveAt = null, validUntil = null }, now = new Date()) {
+  if (effectiveAt && Number.isNaN(effectiveAt.getTime())) return 'Invalid start time';
+  if (validUntil && Number.isNaN(validUntil.getTime())) return 'Invalid valid-until time';
+  const start = effectiveAt && effectiveAt > now ? effectiveAt : now;
+  if (start - now > MAX_LEAD_DAYS * DAY_MS) return `Start can be at most ${MAX_LEAD_DAYS} days ahead`;
+  if (validUntil) {
+    if (validUntil <= start) return 'Valid-until must be after the start';
+    if (validUntil - start > MAX_VALID_DAYS * DAY_MS) return `Valid-until can be at most ${MAX_VALID_DAYS} days after the start`;
+  }
+  return null;
+}
+
+// ─── Storage ───────────────────────────────────────────────────
+
+/**
+ * Queue prices for a supplier. Rows whose start has passed are published by
+ * the next publishDuePrices() call (callers wanting them live now call it
+ * with the supplierId).
+ *
+ * @param {object} sequelize
+ * @param {object} options
+ * @param {string} options.supplierId
+ * @param {Array<{price: number, fuelType: string, minGallons: number, tiers?: Array}>} options.prices
+ *   One listing row per fuel; `tiers` is its ladder (supplier_prices.tiers)
+ * @param {Date|null} options.effectiveAt - null = now
+ * @param {Date|null} options.validUntil
+ * @param {string} options.sourceType - 'supplier_direct' | 'supplier_sms'
+ * @param {string} [options.notes]
+ * @param {string} [options.enteredByUserId] - Supplier user (V3.11.0), copied to supplier_prices on publish
+ * @returns {Promise<string[]>} Scheduled row ids
+ */
+async function schedulePrices(sequelize, { supplierId, prices, effectiveAt = null, validUntil = null, sourceType, notes = null, enteredByUserId = null }) {
+  const ids = [];
+  for (const p of prices) {
+    const [rows] = await sequelize.query(`
+      INSERT INTO scheduled_supplier_prices (
+        supplier_id, fuel_type, price_per_gallon, min_gallons, tiers,
+        effective_at, valid_until, source_type, notes, entered_by_user_id
+      ) VALUES (
+        :supplierId, :fuelType, :price, :minGallons, CAST(:tiers AS jsonb),
+        COALESCE(:effectiveAt, NOW()), :validUntil, :sourceType, :notes, :enteredByUserId
+      )
+      RETURNING id
+    `, {
+      replacements: {
+        supplierId, fuelType: p.fuelType, price: p.price, minGallons: p.minGallons,
+        tiers: p.tiers ? JSON.stringify(p.tiers) : null, effectiveAt, validUntil, sourceType, notes, enteredByUserId,
+      },
+    });
+    ids.push(rows[0] && rows[0].id);
+  }
+  return ids;
+}
+
+/**
+ * Insert every due scheduled price into supplier_prices. Claiming the rows
+ * (status → published) and inserting happen in one statement so overlapping
+ * runs can't publish a row twice. Rows whose valid-until passed before they
+ * were ever published are marked expired instead.
+ *
+ * @param {object} sequelize
+ * @param {object} [options]
+ * @param {string} [options.supplierId] - Limit to one supplier
+ * @returns {Promise<{ published: number, lapsed: number }>}
+ */
+async function publishDuePrices(sequelize, { supplierId = null } = {}) {
+  const supplierFilter = supplierId ? 'AND supplier_id = :supplierId' : '';
+
+  const [lapsed] = await sequelize.query(`
+    UPDATE scheduled_supplier_prices
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'scheduled' AND valid_until <= NOW() ${supplierFilter}
+    RETURNING id
+  `, { replacements: { supplierId } });
+
+  const [published] = await sequelize.query(`
+    WITH due AS (
+      UPDATE scheduled_supplier_prices
+      SET status = 'published', published_at = NOW(), updated_at = NOW(),
+          supplier_price_id = gen_random_uuid()
+      WHERE status = 'scheduled' AND effective_at <= NOW() ${supplierFilter}
+      RETURNING *
+    )
+    INSERT INTO supplier_prices (
+      id, supplier_id, price_per_gallon, min_gallons, fuel_type, tiers,
+      source_type, scraped_at, expires_at, is_valid, notes,
+      verified_at, verification_method, verified_by, entered_by_user_id, created_at, updated_at
+    )
+    -- Magic-link rows carry the same verification columns as the immediate path
+    SELECT
+      due.supplier_price_id, due.supplier_id, due.price_per_gallon, due.min_gallons, due.fuel_type, due.tiers,
+      due.source_type, NOW(), COALESCE(due.valid_until, NOW() + INTERVAL '${PRICE_EXPIRY_DAYS} days'), true,
+      COALESCE(due.notes, 'Scheduled supplier price'),
+      CASE WHEN due.source_type = 'supplier_direct' THEN NOW() END,
+      CASE WHEN due.source_type = 'supplier_direct' THEN 'magic_link' END,
+      CASE WHEN due.source_type = 'supplier_direct' THEN 'supplier' END,
+      due.entered_by_user_id, NOW(), NOW()
+    FROM due
+    RETURNING id
+  `, { replacements: { supplierId } });
+
+  return { published: published.length, lapsed: lapsed.length };
+}
+
+/**
+ * Retire published scheduled prices whose valid-until has passed.
+ * @returns {Promise<number>} supplier_prices rows set is_valid = false
+ */
+async function retireExpiredPrices(sequelize) {
+  const [retired] = await sequelize.query(`
+    WITH ended AS (
+      UPDATE scheduled_supplier_prices
+      SET status = 'retired', retired_at = NOW(), updated_at = NOW()
+      WHERE status = 'published' AND valid_until <= NOW()
+      RETURNING supplier_price_id
+    )
+    UPDATE supplier_prices sp
+    SET is_valid = false, updated_at = NOW()
+    FROM ended
+    WHERE sp.id = ended.supplier_price_id AND sp.is_valid = true
+    RETURNING sp.id
+  `);
+  return retired.length;
+}
+
+/**
+ * Cron entry point: publish what's due, then retire what's ended.
+ * @returns {Promise<{ published: number, lapsed: number, retired: number }>}
+ */
+async function runScheduledPrices(sequelize) {
+  const { published, lapsed } = await publishDuePrices(sequelize);
+  const retired = await retireExpiredPrices(sequelize);
+  return { published, lapsed, retired };
+}
+
+/**
+ * Upcoming changes for the supplier dashboard: prices waiting to start and
+ * live scheduled prices that will end.
+ * @returns {Promise<Array>}
+ */
+async function getUpcomingPrices(sequelize, supplierId) {
+  const [rows] = await sequelize.query(`
+    SELECT id, fuel_type, price_per_gallon, min_gallons, tiers, effective_at, valid_until,
+           source_type, status
+    FROM scheduled_supplier_prices
+    WHERE supplier_id = :supplierId
+      AND (status = 'scheduled' OR (status = 'published' AND valid_until > NOW()))
+    ORDER BY COALESCE(CASE WHEN status = 'scheduled' THEN effective_at END, valid_until), created_at
+  `, { replacements: { supplierId } });
+
+  return rows.map(r => ({
+    id: r.id,
+    fuelType: r.fuel_type,
+    price: parseFloat(r.price_per_gallon),
+    minGallons: r.min_gallons,
+    tiers: r.tiers || null,
+    effectiveAt: r.effective_at,
+    validUntil: r.valid_until,
+    source: r.source_type,
+    status: r.status,
+  }));
+}
+
+/**
+ * Cancel a price that hasn't started yet.
+ * @returns {Promise<boolean>} false when not found, not the supplier's, or already published
+ */
+async function cancelScheduledPrice(sequelize, supplierId, id) {
+  const [rows] = await sequelize.query(`
+    UPDATE scheduled_supplier_prices
+    SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+    WHERE id = :id AND supplier_id = :supplierId AND status = 'scheduled'
+    RETURNING id
+  `, { replacements: { id, supplierId } });
+  return rows.length > 0;
+}
+
+module.exports = {
+  PRICE_EXPIRY_DAYS,
+  MAX_LEAD_DAYS,
+  MAX_VALID_DAYS,
+  easternDay,
+  easternTime,
+  formatEastern,
+  parseScheduleText,
+  validateWindow,
+  schedulePrices,
+  publishDuePrices,
+  retireExpiredPrices,
+  runScheduledPrices,
+  getUpcomingPrices,
+  cancelScheduledPrice,
+};
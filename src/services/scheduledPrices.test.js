@@ -0,0 +1,137 @@
+// src/services/scheduledPrices.test.js
+//
+// Scheduled supplier prices (V3.9.0): SMS "starting ..." / "until ..."
+// phrases resolved in Eastern time (incl. DST), window validation, and the
+// publish / retire / cancel statements against scheduled_supplier_prices.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/scheduledPrices.test.js
+
+const {
+  easternTime,
+  formatEastern,
+  parseScheduleText,
+  validateWindow,
+  schedulePrices,
+  publishDuePrices,
+  retireExpiredPrices,
+  runScheduledPrices,
+  getUpcomingPrices,
+  cancelScheduledPrice,
+} = require('./scheduledPrices');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+// Wednesday Oct 21 2026, 10:00 AM EDT
+const NOW = new Date('2026-10-21T14:00:00Z');
+const when = (text) => {
+  const r = parseScheduleText(text, NOW);
+  return [r.text, r.effectiveAt && r.effectiveAt.toISOString(), r.validUntil && r.validUntil.toISOString(), r.error];
+};
+
+(async () => {
+  try {
+    console.log('\n=== Eastern time ===');
+    eq(easternTime('2026-10-26', 6 * 60).toISOString(), '2026-10-26T10:00:00.000Z', 'EDT is UTC-4');
+    eq(easternTime('2026-11-02', 6 * 60).toISOString(), '2026-11-02T11:00:00.000Z', 'EST is UTC-5');
+    eq(easternTime('2026-03-08', 3 * 60).toISOString(), '2026-03-08T07:00:00.000Z', 'spring-forward day');
+    eq(formatEastern(new Date('2026-10-26T10:00:00Z')), 'Mon Oct 26, 6:00 AM', 'reply format');
+
+    console.log('\n=== parseScheduleText ===');
+    eq(when('3.29 starting Monday 6am'), ['3.29', '2026-10-26T10:00:00.000Z', null, null], 'weekday + time');
+    eq(when('3.29 until Friday'), ['3.29', null, '2026-10-24T03:59:00.000Z', null], 'end defaults to 11:59 PM');
+    eq(when('oil 3.29 / 150+ 3.19 from 10/26 thru 10/30'),
+      ['oil 3.29 / 150+ 3.19', '2026-10-26T04:00:00.000Z', '2026-10-31T03:59:00.000Z', null],
+      'month/day phrases removed before price parsing (no stray "/" lines)');
+    eq(when('2.99 starting tomorrow until sun 5 p.m.'), ['2.99', '2026-10-22T04:00:00.000Z', '2026-10-25T21:00:00.000Z', null], 'tomorrow + "5 p.m."');
+    eq(when('3.49 starting Wednesday')[1], '2026-10-21T04:00:00.000Z', 'today\'s weekday = today (already started)');
+    eq(when('3.29 from Acme'), ['3.29 from Acme', null, null, null], '"from" without a date is left alone');
+    eq(when('3.29 until 13/40')[3], 'Couldn\'t read the date in "until 13/40"', 'impossible date');
+    eq(when('3.29 starting 12/30')[3], 'Start can be at most 30 days ahead', 'too far ahead');
+    eq(when('3.29 starting fri until wed')[3], 'Valid-until must be after the start', 'end before start');
+    eq(parseScheduleText('3.29 starting 1/5', new Date('2026-12-20T15:00:00Z')).effectiveAt.toISOString(), '2027-01-05T05:00:00.000Z', 'month/day rolls into next year');
+
+    console.log('\n=== validateWindow ===');
+    eq(validateWindow({ effectiveAt: new Date('2026-10-20T00:00:00Z'), validUntil: new Date('2026-10-22T00:00:00Z') }, NOW), null, 'past start = now');
+    eq(validateWindow({ validUntil: new Date('2026-10-21T13:00:00Z') }, NOW), 'Valid-until must be after the start', 'valid-until already passed');
+    eq(validateWindow({ effectiveAt: new Date('nope') }, NOW), 'Invalid start time', 'unparseable start');
+    eq(validateWindow({ validUntil: new Date('2026-12-01T00:00:00Z') }, NOW), 'Valid-until can be at most 30 days after the start', 'window too long');
+
+    console.log('\n=== storage ===');
+    let db = fakeSequelize(() => [[{ id: 'sched-1' }]]);
+    const ids = await schedulePrices(db, {
+      supplierId: 's-1', prices: [{ price: 3.29, fuelType: 'heating_oil', minGallons: 150 }],
+      effectiveAt: new Date('2026-10-26T10:00:00Z'), validUntil: null, sourceType: 'supplier_sms', notes: 'SMS price update',
+    });
+    eq(ids, ['sched-1'], 'row id returned');
+    eq([db.calls[0].opts.replacements.sourceType, db.calls[0].opts.replacements.minGallons, db.calls[0].opts.replacements.tiers], ['supplier_sms', 150, null], 'source + tier stored, no ladder');
+
+    db = fakeSequelize(() => [[{ id: 'sched-2' }]]);
+    await schedulePrices(db, {
+      supplierId: 's-1', prices: [{ price: 3.39, fuelType: 'heating_oil', minGallons: 150, tiers: [{ minGallons: 150, price: 3.39 }, { minGallons: 300, price: 3.29 }] }],
+      effectiveAt: null, validUntil: null, sourceType: 'supplier_sms',
+    });
+    eq(JSON.parse(db.calls[0].opts.replacements.tiers), [{ minGallons: 150, price: 3.39 }, { minGallons: 300, price: 3.29 }], 'tier ladder stored with the listing row');
+
+    db = fakeSequelize(() => [[{ id: 'a' }, { id: 'b' }]]);
+    eq(await publishDuePrices(db, { supplierId: 's-1' }), { published: 2, lapsed: 2 }, 'counts from RETURNING');
+    if (/SET status = 'expired'.*valid_until <= NOW\(\) AND supplier_id = :supplierId/.test(db.calls[0].sql)) pass('never-published rows past valid-until lapse first');
+    else fail('never-published rows past valid-until lapse first', db.calls[0].sql);
+    const publish = db.calls[1].sql;
+    if (/WITH due AS \( UPDATE scheduled_supplier_prices SET status = 'published'/.test(publish) && /INSERT INTO supplier_prices/.test(publish)) pass('claim + insert in one statement');
+    else fail('claim + insert in one statement', publish);
+    if (/COALESCE\(due.valid_until, NOW\(\) \+ INTERVAL '7 days'\)/.test(publish)) pass('expires at valid-until, else 7 days');
+    else fail('expires at valid-until, else 7 days');
+    if (/due.fuel_type, due.tiers,/.test(publish)) pass('published row keeps the tier ladder');
+    else fail('published row keeps the tier ladder');
+
+    db = fakeSequelize(() => null);
+    await publishDuePrices(db);
+    eq(db.calls.some(c => /supplier_id = :supplierId/.test(c.sql)), false, 'cron run covers every supplier');
+
+    db = fakeSequelize(() => [[{ id: 'sp-1' }]]);
+    eq(await retireExpiredPrices(db), 1, 'retired count');
+    if (/SET status = 'retired'.*UPDATE supplier_prices sp SET is_valid = false/.test(db.calls[0].sql)) pass('retiring flips the published row invalid');
+    else fail('retiring flips the published row invalid', db.calls[0].sql);
+
+    db = fakeSequelize(() => null);
+    eq(await runScheduledPrices(db), { published: 0, lapsed: 0, retired: 0 }, 'cron summary');
+
+    db = fakeSequelize(() => [[{
+      id: 'sched-1', fuel_type: 'heating_oil', price_per_gallon: '3.290', min_gallons: 150,
+      effective_at: '2026-10-26T10:00:00.000Z', valid_until: null, source_type: 'supplier_direct', status: 'scheduled',
+    }]]);
+    eq(await getUpcomingPrices(db, 's-1'), [{
+      id: 'sched-1', fuelType: 'heating_oil', price: 3.29, minGallons: 150, tiers: null,
+      effectiveAt: '2026-10-26T10:00:00.000Z', validUntil: null, source: 'supplier_direct', status: 'scheduled',
+    }], 'upcoming rows mapped for the dashboard');
+
+    db = fakeSequelize(() => [[]]);
+    eq(await cancelScheduledPrice(db, 's-1', 'sched-9'), false, 'nothing to cancel → false');
+    if (/supplier_id = :supplierId AND status = 'scheduled'/.test(db.calls[0].sql)) pass('only the supplier\'s own not-yet-started rows');
+    else fail('only the supplier\'s own not-yet-started rows');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,296 @@
+/**
+ * Scrape Fixtures — recorded responses for offline scrape-config regression
+ * V3.3.0: One fixture per scrape-config entry (keyed by domain, and by branch
+ * slug for multi-branch entries — V3.22.5), captured on a
+ * successful scrape when SCRAPE_RECORD_FIXTURES=true. Replay runs the CURRENT
+ * config for that domain against the recorded bytes and compares the result to
+ * what was extracted at record time — so a regex edit that stops matching (or
+ * matches a different number) is caught without touching the live site.
+ *
+ * Fixture shape (src/data/scrape-fixtures/<domain>.json, or
+ * <domain>[<branch>].json for a branch of a multi-branch entry):
+ *   { domain, pattern, recordedAt, website, sourceUrl, branch?,
+ *     html,        // extraction input for direct/table/split/rendered (rendered = post-render DOM)
+ *     responses,   // post_form/json_api: every HTTP exchange, replayed in place of fetch()
+ *     expected: { pricePerGallon, fuelPrices } }
+ *
+ * Recording is opt-in and local: production containers have an ephemeral
+ * filesystem, so record with the batch scraper and commit the fixtures.
+ *   SCRAPE_RECORD_FIXTURES=true node scripts/scrape-prices.js --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../data/scrape-fixtures');
+
+// Patterns replayed by mocking fetch() through scrapeSupplierPriceOnce, so the
+// whole request/extract path (jsonPath walk, per-fuel POSTs) is exercised.
+const HTTP_REPLAY_PATTERNS = new Set(['post_form', 'json_api']);
+
+const PRICE_EPSILON = 0.0005;
+
+function getFixtureDir() {
+  return process.env.SCRAPE_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+function isRecordingFixtures() {
+  return process.env.SCRAPE_RECORD_FIXTURES === 'true';
+}
+
+/**
+ * Fixture file key: the config domain, plus the branch slug for a branch of a
+ * multi-branch entry — each branch scrapes its own lookupZip, so they can't
+ * share a file
+ * @param {string} domain
+ * @param {string|null} branch
+ * @returns {string}
+ */
+function fixtureKey(domain, branch = null) {
+  return branch ? `${domain}[${branch}]` : domain;
+}
+
+/** Inverse of fixtureKey */
+function parseFixtureKey(key) {
+  const m = key.match(/^(.+?)(?:\[([^\]]+)\])?$/);
+  return { domain: m[1], branch: m[2] || null };
+}
+
+/**
+ * Request identity used to match a replayed fetch to a recorded response.
+ * zip_code is dropped from form bodies because post_form rotates it per run.
+ */
+function requestKey(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  let body = options.body == null ? '' : String(options.body);
+  const contentType = (options.headers && options.headers['Content-Type']) || '';
+  if (body && contentType.includes('x-www-form-urlencoded')) {
+    const params = new URLSearchParams(body);
+    params.delete('zip_code');
+    params.sort();
+    body = params.toString();
+  }
+  return `${method} ${url} ${body}`;
+}
+
+/**
+ * Wrap fetch() for one scrape so every response body is captured.
+ * The returned response exposes ok/status/text()/json() — the only members
+ * scrapeSupplierPriceOnce uses.
+ * @returns {{ fetch: Function, responses: Array, html: string|null }}
+ */
+function createRecorder() {
+  const recorder = {
+    responses: [],
+    html: null,
+    fetch: async (url, options = {}) => {
+      const resp = await fetch(url, options);
+      const text = await resp.text();
+      recorder.responses.push({ key: requestKey(url, options), status: resp.status, text });
+      return {
+        ok: resp.ok,
+        status: resp.status,
+        text: async () => text,
+        json: async () => JSON.parse(text),
+      };
+    },
+  };
+  return recorder;
+}
+
+/**
+ * fetch() replacement that serves recorded responses in recorded order.
+ * Unknown requests throw so the replay reports them instead of hitting the network.
+ */
+function createReplayFetch(responses) {
+  const queue = (responses || []).map((r) => ({ ...r }));
+  return async (url, options = {}) => {
+    const key = requestKey(url, options);
+    const idx = queue.findIndex((r) => r.key === key);
+    if (idx === -1) throw new Error(`No recorded response for ${key.trim()}`);
+    const [r] = queue.splice(idx, 1);
+    return {
+      ok: r.status >= 200 && r.status < 300,
+      status: r.status,
+      text: async () => r.text,
+      json: async () => JSON.parse(r.text),
+    };
+  };
+}
+
+/**
+ * Write a fixture for a successful scrape
+ * @param {object} supplier - Supplier record (website used for the domain key)
+ * @param {object} config - Scrape config used for the scrape
+ * @param {object} recorder - From createRecorder()
+ * @param {object} result - Successful scrapeSupplierPriceOnce result
+ * @returns {string|null} - Path written, or null if nothing to record
+ */
+function saveFixture(supplier, config, recorder, result) {
+  // Lazy require: priceScraper requires this module for recording.
+  const { getConfigDomain } = require('./priceScraper');
+  const domain = getConfigDomain(supplier.website);
+  if (!domain || !result || !result.success) return null;
+  const branch = config.branches && supplier.slug ? supplier.slug : null;
+
+  const httpReplay = HTTP_REPLAY_PATTERNS.has(config.pattern);
+  if (!httpReplay && recorder.html == null) return null;
+
+  const fixture = {
+    domain,
+    pattern: config.pattern || 'direct',
+    recordedAt: new Date().toISOString(),
+    website: supplier.website,
+    sourceUrl: result.sourceUrl || null,
+    ...(branch ? { branch } : {}),
+    ...(httpReplay ? { responses: recorder.responses } : { html: recorder.html }),
+    expected: {
+      pricePerGallon: result.pricePerGallon,
+      fuelPrices: result.fuelPrices || [],
+    },
+  };
+
+  const dir = getFixtureDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${fixtureKey(domain, branch)}.json`);
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * @param {string} key - fixtureKey(domain, branch)
+ * @param {string} dir
+ */
+function loadFixture(key, dir = getFixtureDir()) {
+  const file = path.join(dir, `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function samePrice(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  return Math.abs(a - b) < PRICE_EPSILON;
+}
+
+function diffFuelPrices(expected = [], actual = []) {
+  const diffs = [];
+  const fuels = new Set([...expected, ...actual].map((fp) => fp.fuelType));
+  for (const fuelType of fuels) {
+    const e = expected.find((fp) => fp.fuelType === fuelType);
+    const a = actual.find((fp) => fp.fuelType === fuelType);
+    if (!samePrice(e ? e.price : null, a ? a.price : null)) {
+      diffs.push({ fuelType, expected: e ? e.price : null, actual: a ? a.price : null });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Replay one config entry against its fixture
+ * @param {string} domain - scrape-config key
+ * @param {object} config - Current config entry
+ * @param {object} fixture - Loaded fixture
+ * @returns {Promise<object>} - { domain, branch, status: 'pass'|'changed'|'missing', expected, actual, fuelDiffs, error }
+ */
+async function replayFixture(domain, config, fixture) {
+  // Lazy require: priceScraper requires this module for recording.
+  const { extractPrice, extractFuelPrices, scrapeSupplierPriceOnce } = require('./priceScraper');
+  const expected = fixture.expected || {};
+  let actual = { pricePerGallon: null, fuelPrices: [] };
+  let error = null;
+
+  // Multi-branch entries: replay with the branch that was recorded so lookupZip etc. match.
+  const branch = config.branches
+    ? (config.branches[fixture.branch] || Object.values(config.branches)[0])
+    : null;
+  const effective = branch ? { ...config, ...branch } : config;
+
+  if (HTTP_REPLAY_PATTERNS.has(effective.pattern)) {
+    const realFetch = global.fetch;
+    global.fetch = createReplayFetch(fixture.responses);
+    try {
+      const supplier = { id: null, name: domain, website: fixture.website || domain };
+      const result = await scrapeSupplierPriceOnce(supplier, effective);
+      actual = { pricePerGallon: result.success ? result.pricePerGallon : null, fuelPrices: result.fuelPrices || [] };
+      if (!result.success) error = result.error;
+    } finally {
+      global.fetch = realFetch;
+    }
+  } else {
+    actual = {
+      pricePerGallon: extractPrice(fixture.html || '', effective),
+      fuelPrices: extractFuelPrices(fixture.html || '', effective),
+    };
+  }
+
+  const fuelDiffs = diffFuelPrices(expected.fuelPrices, actual.fuelPrices);
+  let status = 'pass';
+  if (actual.pricePerGallon == null) status = 'missing';
+  else if (!samePrice(expected.pricePerGallon, actual.pricePerGallon) || fuelDiffs.length) status = 'changed';
+
+  return { domain, branch: fixture.branch || null, pattern: effective.pattern || 'direct', status, expected, actual, fuelDiffs, error };
+}
+
+/**
+ * Replay every enabled config entry that has a fixture (every recorded branch
+ * of a multi-branch entry)
+ * @param {object} scrapeConfig - Full scrape-config.json
+ * @param {object} options
+ * @param {string} options.dir - Fixture directory (default src/data/scrape-fixtures)
+ * @param {string} options.domain - Only replay this entry
+ * @returns {Promise<object>} - { results, noFixture: [domain], fixtureWithoutConfig: [fixture key] }
+ */
+async function replayAll(scrapeConfig, options = {}) {
+  const dir = options.dir || getFixtureDir();
+  const results = [];
+  const noFixture = [];
+
+  const keys = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5)).sort()
+    : [];
+
+  const domains = Object.keys(scrapeConfig).filter((k) => !k.startsWith('_')
+    && scrapeConfig[k] && scrapeConfig[k].enabled
+    && (!options.domain || k === options.domain));
+
+  for (const domain of domains) {
+    const cfg = scrapeConfig[domain];
+    const domainKeys = keys.filter((k) => {
+      const { domain: d, branch } = parseFixtureKey(k);
+      return d === domain && (!branch || !!(cfg.branches && cfg.branches[branch]));
+    });
+    if (domainKeys.length === 0) { noFixture.push(domain); continue; }
+    for (const key of domainKeys) {
+      const fixture = loadFixture(key, dir);
+      try {
+        results.push(await replayFixture(domain, scrapeConfig[domain], fixture));
+      } catch (e) {
+        results.push({ domain, branch: fixture.branch || null, pattern: scrapeConfig[domain].pattern, status: 'missing', expected: fixture.expected, actual: null, fuelDiffs: [], error: e.message });
+      }
+    }
+  }
+
+  // Fixtures whose entry (or branch) was removed or disabled — stale, worth pruning.
+  const fixtureWithoutConfig = keys.filter((k) => {
+    const { domain, branch } = parseFixtureKey(k);
+    if (options.domain && domain !== options.domain) return false;
+    const cfg = scrapeConfig[domain];
+    return !(cfg && cfg.enabled) || (branch && !(cfg.branches && cfg.branches[branch]));
+  });
+
+  return { results, noFixture, fixtureWithoutConfig };
+}
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  getFixtureDir,
+  isRecordingFixtures,
+  fixtureKey,
+  requestKey,
+  createRecorder,
+  createReplayFetch,
+  saveFixture,
+  loadFixture,
+  replayFixture,
+  replayAll,
+};
@@ -0,0 +1,165 @@
+// src/services/scrapeFixtures.test.js
+//
+// Record → replay round trip for the scrape-config regression harness
+// (V3.3.0). Recording goes through the real scrapeSupplierPriceOnce with
+// SCRAPE_RECORD_FIXTURES=true and a mocked fetch; replay then runs the
+// fixture against the same config (must pass) and against edited configs
+// (must report 'changed' or 'missing'). Fixtures go to a temp dir.
+//
+// Run: node src/services/scrapeFixtures.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-fixtures-'));
+process.env.SCRAPE_FIXTURE_DIR = dir;
+
+const { scrapeSupplierPriceOnce } = require('./priceScraper');
+const { loadFixture, fixtureKey, replayFixture, replayAll, requestKey } = require('./scrapeFixtures');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label} — ${detail}`); }
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) pass(label); else fail(label, `expected ${e}, got ${a}`);
+}
+
+// Route-based fetch mock: key = "METHOD url"
+function mockFetch(routes) {
+  global.fetch = async (url, opts = {}) => {
+    const r = routes[`${(opts.method || 'GET').toUpperCase()} ${url}`];
+    if (!r) return { ok: false, status: 404, text: async () => '', json: async () => ({}) };
+    return { ok: true, status: 200, text: async () => r, json: async () => JSON.parse(r) };
+  };
+}
+function offline() {
+  global.fetch = async (url) => { throw new Error(`network touched: ${url}`); };
+}
+
+const DIRECT = {
+  enabled: true, pattern: 'direct',
+  priceRegex: 'Heating Oil[^$]*\\$([0-9]+\\.[0-9]{2,3})',
+  fuels: { kerosene: { enabled: true, priceRegex: 'Kerosene[^$]*\\$([0-9]+\\.[0-9]{2,3})' } },
+};
+const DIRECT_HTML = '<p>Heating Oil: $3.459</p><p>Kerosene: $4.299</p><p>Heating Oil 100 gal min: $3.599</p>';
+
+const JSON_API = {
+  enabled: true, pattern: 'json_api', apiUrl: 'https://api.json-oil.test/price', apiMethod: 'GET',
+  jsonPath: 'data.0.oil',
+};
+
+const POST_FORM = {
+  enabled: true, pattern: 'post_form', lookupUrl: 'https://droplet.test/wp-admin/admin-ajax.php',
+  formBody: { action: 'get_price', wcp_id: '2', zip_code: '06712' },
+  postalCodesServed: ['06712', '06716', '06770'],
+  priceRegex: '\\$([0-9]+\\.[0-9]{2,3})<\\/td>',
+};
+const POST_HTML = '<table><tr><td>100-149</td><td>$3.599</td></tr><tr><td>150+</td><td>$3.399</td></tr></table>';
+
+(async () => {
+  try {
+    console.log('\n=== requestKey ===');
+    const k1 = requestKey('https://x.test/a', { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'zip_code=06712&wcp_id=2&action=p' });
+    const k2 = requestKey('https://x.test/a', { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'action=p&wcp_id=2&zip_code=06770' });
+    assertEqual(k1, k2, 'form bodies match regardless of rotated zip_code and param order');
+    const k3 = requestKey('https://x.test/a', { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'action=p&wcp_id=1' });
+    if (k3 !== k1) pass('different wcp_id → different key'); else fail('different wcp_id → different key', k3);
+
+    console.log('\n=== recording is opt-in ===');
+    mockFetch({ 'GET https://direct-oil.test': DIRECT_HTML, 'GET https://www.direct-oil.test': DIRECT_HTML });
+    await scrapeSupplierPriceOnce({ id: 1, name: 'Direct', website: 'direct-oil.test' }, DIRECT);
+    assertEqual(loadFixture('direct-oil.test'), null, 'no fixture written without SCRAPE_RECORD_FIXTURES');
+
+    process.env.SCRAPE_RECORD_FIXTURES = 'true';
+
+    console.log('\n=== direct: record + replay ===');
+    const live = await scrapeSupplierPriceOnce({ id: 1, name: 'Direct', website: 'https://www.direct-oil.test' }, DIRECT);
+    const fx = loadFixture('direct-oil.test');
+    if (fx && fx.html === DIRECT_HTML) pass('fixture keyed by bare domain, stores extraction HTML');
+    else fail('fixture keyed by bare domain, stores extraction HTML', JSON.stringify(fx && Object.keys(fx)));
+    assertEqual(fx && fx.expected.pricePerGallon, live.pricePerGallon, 'fixture records the live price');
+
+    offline();
+    let r = await replayFixture('direct-oil.test', DIRECT, fx);
+    assertEqual(r.status, 'pass', 'unchanged config replays clean');
+
+    r = await replayFixture('direct-oil.test', { ...DIRECT, priceRegex: 'Heating Oil 100 gal min: \\$([0-9]+\\.[0-9]{2,3})' }, fx);
+    assertEqual([r.status, r.actual.pricePerGallon], ['changed', 3.599], 'regex matching a different number → changed');
+
+    r = await replayFixture('direct-oil.test', { ...DIRECT, priceRegex: 'Diesel: \\$([0-9.]+)' }, fx);
+    assertEqual(r.status, 'missing', 'regex matching nothing → missing');
+
+    r = await replayFixture('direct-oil.test', { ...DIRECT, fuels: {} }, fx);
+    assertEqual([r.status, r.fuelDiffs], ['changed', [{ fuelType: 'kerosene', expected: 4.299, actual: null }]], 'dropped secondary fuel → changed with fuel diff');
+
+    console.log('\n=== json_api: record + replay through scrapeSupplierPriceOnce ===');
+    mockFetch({ 'GET https://api.json-oil.test/price': JSON.stringify({ data: [{ oil: '3.289' }] }) });
+    await scrapeSupplierPriceOnce({ id: 2, name: 'Json', website: 'json-oil.test' }, JSON_API);
+    const jfx = loadFixture('json-oil.test');
+    assertEqual(jfx && jfx.responses.length, 1, 'json_api fixture stores the HTTP exchange');
+    offline();
+    r = await replayFixture('json-oil.test', JSON_API, jfx);
+    assertEqual([r.status, r.actual.pricePerGallon], ['pass', 3.289], 'json_api replays offline');
+    r = await replayFixture('json-oil.test', { ...JSON_API, jsonPath: 'data.0.kero' }, jfx);
+    assertEqual(r.status, 'missing', 'broken jsonPath → missing');
+    r = await replayFixture('json-oil.test', { ...JSON_API, apiUrl: 'https://api.json-oil.test/v2' }, jfx);
+    if (r.status === 'missing' && /No recorded response/.test(r.error)) pass('unrecorded request → missing, never hits network');
+    else fail('unrecorded request → missing', JSON.stringify(r));
+
+    console.log('\n=== post_form: rotated ZIP still replays ===');
+    mockFetch({ 'POST https://droplet.test/wp-admin/admin-ajax.php': POST_HTML });
+    await scrapeSupplierPriceOnce({ id: 3, name: 'Droplet', website: 'post-oil.test' }, POST_FORM);
+    offline();
+    r = await replayFixture('post-oil.test', POST_FORM, loadFixture('post-oil.test'));
+    assertEqual([r.status, r.actual.pricePerGallon], ['pass', 3.399], 'post_form replays lowest tier');
+    r = await replayFixture('post-oil.test', { ...POST_FORM, targetTier: 2 }, loadFixture('post-oil.test'));
+    assertEqual([r.status, r.actual.pricePerGallon], ['changed', 3.599], 'targetTier edit → changed');
+
+    console.log('\n=== failed scrapes are not recorded ===');
+    mockFetch({ 'GET https://broken-oil.test': '<p>Call for price</p>' });
+    await scrapeSupplierPriceOnce({ id: 4, name: 'Broken', website: 'broken-oil.test' }, DIRECT);
+    assertEqual(loadFixture('broken-oil.test'), null, 'no fixture for a failed scrape');
+
+    console.log('\n=== multi-branch entry: one fixture per branch ===');
+    const CHAIN = { ...DIRECT, branches: { 'chain-north': { lookupZip: '06001' }, 'chain-south': { lookupZip: '06401' } } };
+    mockFetch({ 'GET https://chain-oil.test': DIRECT_HTML });
+    await scrapeSupplierPriceOnce({ id: 5, name: 'Chain North', slug: 'chain-north', website: 'chain-oil.test' }, { ...CHAIN, ...CHAIN.branches['chain-north'] });
+    mockFetch({ 'GET https://chain-oil.test': DIRECT_HTML.replace('3.459', '3.199') });
+    await scrapeSupplierPriceOnce({ id: 6, name: 'Chain South', slug: 'chain-south', website: 'chain-oil.test' }, { ...CHAIN, ...CHAIN.branches['chain-south'] });
+    const north = loadFixture(fixtureKey('chain-oil.test', 'chain-north'));
+    const south = loadFixture(fixtureKey('chain-oil.test', 'chain-south'));
+    assertEqual([north && north.branch, north && north.expected.pricePerGallon, south && south.branch, south && south.expected.pricePerGallon],
+      ['chain-north', 3.459, 'chain-south', 3.199], 'second branch doesn\'t overwrite the first');
+    assertEqual(loadFixture('chain-oil.test'), null, 'no bare-domain file for a branch');
+
+    console.log('\n=== replayAll ===');
+    offline();
+    const report = await replayAll({
+      _comment: 'ignored',
+      'direct-oil.test': DIRECT,
+      'json-oil.test': JSON_API,
+      'post-oil.test': { ...POST_FORM, enabled: false },
+      'new-oil.test': DIRECT,
+    });
+    assertEqual(report.results.map((x) => `${x.domain}:${x.status}`), ['direct-oil.test:pass', 'json-oil.test:pass'], 'replays enabled entries with fixtures');
+    assertEqual(report.noFixture, ['new-oil.test'], 'lists enabled entries without a fixture');
+    assertEqual(report.fixtureWithoutConfig, ['chain-oil.test[chain-north]', 'chain-oil.test[chain-south]', 'post-oil.test'], 'flags fixtures for disabled entries');
+
+    const chainReport = await replayAll({ 'chain-oil.test': CHAIN });
+    assertEqual(chainReport.results.map((x) => `${fixtureKey(x.domain, x.branch)}:${x.status}`),
+      ['chain-oil.test[chain-north]:pass', 'chain-oil.test[chain-south]:pass'], 'every recorded branch replays');
+    const pruned = await replayAll({ 'chain-oil.test': { ...CHAIN, branches: { 'chain-north': CHAIN.branches['chain-north'] } } }, { domain: 'chain-oil.test' });
+    assertEqual([pruned.results.map((x) => x.branch), pruned.fixtureWithoutConfig], [['chain-north'], ['chain-oil.test[chain-south]']], 'fixture for a removed branch flagged, not replayed');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
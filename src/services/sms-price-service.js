@@ -6,9 +6,23 @@
  * Flow:
  *   First time: Supplier texts price → gets YES prompt → replies YES → price published
  *   Returning:  Supplier texts price → price updated immediately
+ *
+ * V3.8.0: One text can carry several fuels and minimum-gallon tiers, e.g.
+ *   "oil 3.49 / 150+ 3.39 / propane 2.89 / k1 4.59"
+ * Each line is gated by the shared price-sanity guards; each fuel is then
+ * published as one supplier_prices row at its listing tier, carrying the
+ * full tier ladder in `tiers` (src/utils/price-tiers.js). Messages we can't read with
+ * confidence get a "did you mean" reply; when every problem has a single
+ * suggestion, YES publishes the suggested reading.
+ *
+ * V3.9.0: "starting Monday 6am" / "until Friday" schedule the lines instead
+ * of publishing now (scheduledPrices.js publishes and retires them on time).
  */
 
-const twilio = require('twilio');
+const { getNotificationService } = require('./NotificationService');
+const { checkAndRecordPrice, getStateMedian } = require('../utils/price-sanity');
+const scheduledPrices = require('./scheduledPrices');
+const { STANDARD_MIN_GALLONS, toListingRows, getLastTierPrice } = require('../utils/price-tiers');
 
 const PRICE_EXPIRY_DAYS = 7;
 const CONFIRM_EXPIRY_HOURS = 24;
@@ -18,26 +32,128 @@ const KEYWORDS = ['STOP', 'HELP', 'START'];
 const FUEL_PRICE_RANGES = {
   heating_oil: { min: 1.50, max: 8.00 },
   kerosene:    { min: 2.50, max: 8.00 },
+  propane:     { min: 1.50, max: 7.00 },
+};
+const FUEL_LABELS = {
+  heating_oil: 'Heating Oil',
+  kerosene: 'K-1 Kerosene',
+  propane: 'Propane',
 };
-// V2.12.0: Keywords that identify kerosene in SMS messages
-const KEROSENE_KEYWORDS = ['k1', 'k-1', 'kero', 'kerosene'];
+// Keyword used when we write a message back (canonical resend / YES body)
+const FUEL_SHORT_NAMES = {
+  heating_oil: 'oil',
+  kerosene: 'k1',
+  propane: 'propane',
+};
+// V3.8.0: Words that name a fuel. Longest first so "heating oil" is one keyword.
+const FUEL_KEYWORDS = [
+  ['home heating oil', 'heating_oil'],
+  ['heating oil', 'heating_oil'],
+  ['fuel oil', 'heating_oil'],
+  ['kerosene', 'kerosene'],
+  ['propane', 'propane'],
+  ['heating', 'heating_oil'],
+  ['kero', 'kerosene'],
+  ['prop', 'propane'],
+  ['k-1', 'kerosene'],
+  ['lpg', 'propane'],
+  ['oil', 'heating_oil'],
+  ['#2', 'heating_oil'],
+  ['k1', 'kerosene'],
+  ['ho', 'heating_oil'],
+  ['lp', 'propane'],
+];
+// Words that commonly appear in price texts and are never a fuel typo
+const FILLER_WORDS = new Set([
+  'price', 'prices', 'gal', 'gals', 'gallon', 'gallons', 'per', 'cash', 'cod', 'check', 'credit',
+  'card', 'today', 'now', 'new', 'min', 'minimum', 'and', 'the', 'for', 'our', 'plus', 'tier',
+  'update', 'delivery', 'off', 'discount', 'over', 'each', 'all', 'only', 'also',
+]);
+
+// Rows without a tier use the listing's standard minimum; when the same text
+// also names a tier at or below it, the untiered price is the small-order tier
+const DEFAULT_MIN_GALLONS = STANDARD_MIN_GALLONS;
+const BASE_TIER_GALLONS = 100;
+const TIER_GALLONS = { min: 50, max: 500 };
+
+const SEGMENT_SEPARATORS = /[\n/;|,]/;
+const PRICE_PATTERN = /\$?(\d+\.\d{1,3})/g;
+const TIER_PATTERN = /(?<![\d.])(\d{2,3})\s*(?:\+|-\s*\d{2,4}|(?:gal(?:lon)?s?|g)\b\s*\+?)|\bmin(?:imum)?\.?\s*(\d{2,3})\b/g;
+const FUEL_PATTERN = new RegExp(
+  `(?<![a-z0-9#])(${FUEL_KEYWORDS.map(([kw]) => kw.replace(/[#-]/g, '\\$&')).join('|')})(?![a-z0-9])`,
+  'g'
+);
+
+/**
+ * V3.8.0: Prices, fuel keywords, tiers and fuel-like typos on one line, with positions.
+ */
+function scanLine(line) {
+  const prices = [...line.matchAll(PRICE_PATTERN)].map(m => ({
+    value: Math.round(parseFloat(m[1]) * 1000) / 1000, index: m.index, end: m.index + m[0].length,
+    fuelType: null, minGallons: null,
+  }));
+  const tiers = [...line.matchAll(TIER_PATTERN)].map(m => ({
+    value: parseInt(m[1] || m[2], 10), index: m.index, end: m.index + m[0].length,
+  }));
+  const fuels = [...line.matchAll(FUEL_PATTERN)].map(m => {
+    const fuelType = FUEL_KEYWORDS.find(([kw]) => kw === m[1])[1];
+    return { fuelType, value: fuelType, index: m.index, end: m.index + m[0].length };
+  });
+
+  // Words left after removing keywords that are one or two edits from a fuel name
+  const remaining = line.replace(FUEL_PATTERN, (m) => ' '.repeat(m.length));
+  const typos = [];
+  for (const [word] of remaining.matchAll(/[a-z][a-z-]{2,}/g)) {
+    if (FILLER_WORDS.has(word)) continue;
+    const match = FUEL_KEYWORDS.find(([kw]) => kw.length >= 3 && /^[a-z]+$/.test(kw)
+      && editDistance(word, kw) <= (kw.length >= 6 ? 2 : 1));
+    if (match) typos.push({ word, fuelType: match[1] });
+  }
+
+  return { prices, tiers, fuels, typos };
+}
+
+/**
+ * Assign each token (in text order) to the nearest price whose `field` is
+ * still unset. Returns tokens that found no price.
+ */
+function bindNearest(tokens, prices, field, distance) {
+  const leftover = [];
+  for (const token of [...tokens].sort((a, b) => a.index - b.index)) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const p of prices) {
+      if (p[field] !== null) continue;
+      const dist = distance(token, p);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = p;
+      }
+    }
+    if (nearest) nearest[field] = token.value;
+    else leftover.push(token);
+  }
+  return leftover;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = above;
+    }
+  }
+  return row[b.length];
+}
 
 class SmsPriceService {
   constructor(sequelize, logger) {
     this.sequelize = sequelize;
     this.logger = logger;
-    this.twilioClient = null;
-
-    const sid = process.env.TWILIO_ACCOUNT_SID;
-    const token = process.env.TWILIO_AUTH_TOKEN;
-    this.twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-
-    if (sid && token) {
-      this.twilioClient = twilio(sid, token);
-      this.logger.info('[SmsPriceService] Twilio client initialized');
-    } else {
-      this.logger.warn('[SmsPriceService] Twilio credentials not configured — SMS disabled');
-    }
   }
 
   /**
@@ -75,7 +191,7 @@ class SmsPriceService {
     }
 
     const [suppliers] = await this.sequelize.query(`
-      SELECT id, name, slug, sms_confirmed, sms_opted_out, allow_price_display
+      SELECT id, name, slug, state, sms_confirmed, sms_opted_out, allow_price_display
       FROM suppliers
       WHERE phone_last10 = :phone AND active = true
     `, { replacements: { phone: normalizedPhone } });
@@ -120,20 +236,20 @@ class SmsPriceService {
   /**
    * First-time supplier: parse price, store pending, ask for YES confirmation
    * V2.12.0: Supports multi-fuel messages
+   * V3.8.0: Tiers + "did you mean" replies
    */
   async handleFirstTime(fromPhone, normalizedPhone, body, supplier, twilioMessageSid) {
-    const priceResults = this.parsePriceMessage(body);
-
-    if (priceResults.length === 0) {
-      // Check if it was an ambiguous two-price message without keywords
-      const priceCount = (body.match(/\d+\.\d{1,2}/g) || []).length;
-      if (priceCount >= 2) {
-        await this.logSms({
-          fromPhone, messageBody: body, supplierId: supplier.id,
-          type: 'price_attempt', status: 'ambiguous_fuel', twilioMessageSid
-        });
-        return "Got two prices but not sure which is oil vs kerosene. Try: 3.49 oil 4.91 k1";
-      }
+    const schedule = scheduledPrices.parseScheduleText(body);
+    if (schedule.error) {
+      return this.handleBadSchedule(fromPhone, body, supplier, twilioMessageSid, 'price_attempt', schedule);
+    }
+    const analysis = this.analyzePriceMessage(schedule.text);
+    const { prices, issues } = analysis;
+
+    if (issues.length > 0) {
+      return this.handleUnclear(fromPhone, body, supplier, twilioMessageSid, 'price_attempt', analysis, schedule.phrase);
+    }
+    if (prices.length === 0) {
       await this.logSms({
         fromPhone, messageBody: body, supplierId: supplier.id,
         type: 'price_attempt', status: 'invalid_price', twilioMessageSid
@@ -141,25 +257,20 @@ class SmsPriceService {
       return "Didn't catch that. Please reply with just your price, like 3.49";
     }
 
-    // Store pending confirmation — serialize all fuel prices as JSON in parsed_price note
-    const primaryPrice = priceResults[0].price;
+    // Store pending confirmation — YES re-parses message_body to publish every line
     await this.logSms({
       fromPhone, messageBody: body, supplierId: supplier.id,
-      parsedPrice: primaryPrice, type: 'price_attempt', status: 'pending_confirm',
-      twilioMessageSid, fuelType: priceResults[0].fuelType
+      parsedPrice: prices[0].price, type: 'price_attempt', status: 'pending_confirm',
+      twilioMessageSid, fuelType: prices[0].fuelType
     });
 
-    // Build confirmation message
-    const priceList = priceResults.map(p => {
-      const label = p.fuelType === 'kerosene' ? 'K-1 Kerosene' : 'Heating Oil';
-      return `${label} $${p.price.toFixed(2)}`;
-    }).join(' and ');
-
-    return `HomeHeat: You're updating ${supplier.name}. Reply YES to publish ${priceList} on your listing. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help.`;
+    const priceList = prices.map(p => this.describePrice(p)).join(' and ');
+    return `HomeHeat: You're updating ${supplier.name}. Reply YES to publish ${priceList}${this.describeWindow(schedule)} on your listing. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help.`;
   }
 
   /**
    * Handle YES confirmation — publish the pending price
+   * V3.8.0: Also publishes an accepted "did you mean" suggestion
    */
   async handleConfirmation(fromPhone, normalizedPhone, supplier, twilioMessageSid) {
     // Look up latest pending confirmation for this supplier from this phone
@@ -167,9 +278,9 @@ class SmsPriceService {
       SELECT id, parsed_price, fuel_type, message_body FROM sms_price_updates
       WHERE supplier_id = :supplierId
         AND from_phone = :phone
-        AND type = 'price_attempt'
+        AND type IN ('price_attempt', 'price_update')
         AND status = 'pending_confirm'
-        AND created_at > NOW() - INTERVAL '24 hours'
+        AND created_at > NOW() - INTERVAL '${CONFIRM_EXPIRY_HOURS} hours'
       ORDER BY created_at DESC
       LIMIT 1
     `, { replacements: { supplierId: supplier.id, phone: fromPhone } });
@@ -180,7 +291,7 @@ class SmsPriceService {
         SELECT id FROM sms_price_updates
         WHERE supplier_id = :supplierId
           AND from_phone = :phone
-          AND type = 'price_attempt'
+          AND type IN ('price_attempt', 'price_update')
           AND status = 'pending_confirm'
         ORDER BY created_at DESC
         LIMIT 1
@@ -199,36 +310,28 @@ class SmsPriceService {
     // V2.12.0: Get fuel type from pending record (defaults to heating_oil)
     const fuelType = pending[0].fuel_type || 'heating_oil';
 
-    // Re-parse the original message to get all fuel prices (for multi-fuel confirmation)
+    // Re-parse the pending message to get all fuel prices (for multi-fuel confirmation)
     const originalBody = pending[0].message_body || '';
-    const allPrices = this.parsePriceMessage(originalBody);
+    const schedule = scheduledPrices.parseScheduleText(originalBody);
+    const allPrices = schedule.error ? [] : this.analyzePriceMessage(schedule.text).prices;
     // If re-parse fails, fall back to the single stored price
-    const pricesToInsert = allPrices.length > 0 ? allPrices : [{ price, fuelType }];
+    const pricesToInsert = allPrices.length > 0 ? allPrices : [{ price, fuelType, minGallons: DEFAULT_MIN_GALLONS }];
 
-    // Insert into supplier_prices (one row per fuel)
-    const expiresAt = new Date(Date.now() + PRICE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    for (const fp of pricesToInsert) {
-      await this.sequelize.query(`
-        INSERT INTO supplier_prices (
-          id, supplier_id, price_per_gallon, min_gallons, fuel_type,
-          source_type, scraped_at, expires_at, is_valid, notes,
-          created_at, updated_at
-        ) VALUES (
-          gen_random_uuid(), :supplierId, :price, 150, :fuelType,
-          'supplier_sms', NOW(), :expiresAt, true, 'First SMS price update (confirmed)',
-          NOW(), NOW()
-        )
-      `, { replacements: { supplierId: supplier.id, price: fp.price, fuelType: fp.fuelType, expiresAt } });
-    }
+    const firstTime = !supplier.sms_confirmed;
+    const { saved, rejected, scheduled } = await this.publishOrSchedule(supplier, pricesToInsert,
+      firstTime ? 'First SMS price update (confirmed)' : 'SMS price update (confirmed suggestion)',
+      schedule.error ? {} : schedule);
 
     // Mark supplier as confirmed + enable price display
-    await this.sequelize.query(`
-      UPDATE suppliers
-      SET sms_confirmed = true,
-          sms_confirmed_at = NOW(),
-          allow_price_display = true
-      WHERE id = :id
-    `, { replacements: { id: supplier.id } });
+    if (saved.length > 0) {
+      await this.sequelize.query(`
+        UPDATE suppliers
+        SET sms_confirmed = true,
+            sms_confirmed_at = COALESCE(sms_confirmed_at, NOW()),
+            allow_price_display = true
+        WHERE id = :id
+      `, { replacements: { id: supplier.id } });
+    }
 
     // Mark the pending record as confirmed
     await this.sequelize.query(`
@@ -237,36 +340,43 @@ class SmsPriceService {
 
     // Log the confirmation
     await this.logSms({
-      fromPhone, supplierId: supplier.id, parsedPrice: price,
-      type: 'confirm', status: 'success', twilioMessageSid
+      fromPhone, supplierId: supplier.id, parsedPrice: saved.length > 0 ? saved[0].price : price,
+      type: 'confirm', status: saved.length > 0 ? 'success' : 'rejected', twilioMessageSid,
+      errorMessage: this.rejectionSummary(rejected)
     });
 
+    if (saved.length === 0) {
+      return `Not published: ${this.rejectedList(rejected)}. If that's right, email support@gethomeheat.com and we'll post it.`;
+    }
+
     const slug = supplier.slug || supplier.id;
     // V2.12.0: Confirm all published fuel prices
-    const confirmList = pricesToInsert.map(fp => {
-      const label = fp.fuelType === 'kerosene' ? 'K-1 Kerosene' : 'Heating Oil';
-      return `${label} $${fp.price.toFixed(2)}/gal`;
-    }).join(' and ');
-    return `Published! ${confirmList} now live: gethomeheat.com/supplier/${slug}\nJust text your price anytime to update. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help.`;
+    const confirmList = saved.map(fp => `${this.describePrice(fp)}/gal`).join(' and ');
+    const held = rejected.length > 0 ? `\nNot published: ${this.rejectedList(rejected)}.` : '';
+    const tail = firstTime ? '\nJust text your price anytime to update.' : '';
+    const opening = scheduled
+      ? `Scheduled! ${confirmList}${this.describeWindow(schedule)} on gethomeheat.com/supplier/${slug}`
+      : `Published! ${confirmList} now live${this.describeWindow(schedule)}: gethomeheat.com/supplier/${slug}`;
+    return `${opening}${held}${tail} Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help.`;
   }
 
   /**
    * Returning supplier — direct price update
    * V2.12.0: Supports multi-fuel messages
+   * V3.8.0: Tiers, sanity guards, one confirmation for every line
    */
   async handlePriceUpdate(fromPhone, normalizedPhone, body, supplier, twilioMessageSid) {
-    const priceResults = this.parsePriceMessage(body);
-
-    if (priceResults.length === 0) {
-      // Check for ambiguous two-price message
-      const priceCount = (body.match(/\d+\.\d{1,2}/g) || []).length;
-      if (priceCount >= 2) {
-        await this.logSms({
-          fromPhone, messageBody: body, supplierId: supplier.id,
-          type: 'price_update', status: 'ambiguous_fuel', twilioMessageSid
-        });
-        return "Got two prices but not sure which is oil vs kerosene. Try: 3.49 oil 4.91 k1";
-      }
+    const schedule = scheduledPrices.parseScheduleText(body);
+    if (schedule.error) {
+      return this.handleBadSchedule(fromPhone, body, supplier, twilioMessageSid, 'price_update', schedule);
+    }
+    const analysis = this.analyzePriceMessage(schedule.text);
+    const { prices, issues } = analysis;
+
+    if (issues.length > 0) {
+      return this.handleUnclear(fromPhone, body, supplier, twilioMessageSid, 'price_update', analysis, schedule.phrase);
+    }
+    if (prices.length === 0) {
       await this.logSms({
         fromPhone, messageBody: body, supplierId: supplier.id,
         type: 'price_update', status: 'invalid_price', twilioMessageSid
@@ -274,44 +384,184 @@ class SmsPriceService {
       return "Didn't catch that. Please reply with just your price, like 3.49";
     }
 
-    // Insert into supplier_prices (one row per fuel)
+    const { saved, rejected, scheduled } = await this.publishOrSchedule(supplier, prices, 'SMS price update', schedule);
+
+    if (saved.length > 0) {
+      // Ensure allow_price_display is on (idempotent)
+      await this.sequelize.query(`
+        UPDATE suppliers SET allow_price_display = true WHERE id = :id AND allow_price_display = false
+      `, { replacements: { id: supplier.id } });
+    }
+
+    const primaryPrice = saved[0] || prices[0];
+    await this.logSms({
+      fromPhone, messageBody: body, supplierId: supplier.id,
+      parsedPrice: primaryPrice.price, type: 'price_update',
+      status: saved.length === 0 ? 'rejected' : scheduled ? 'scheduled' : 'success',
+      twilioMessageSid, fuelType: primaryPrice.fuelType, errorMessage: this.rejectionSummary(rejected)
+    });
+
+    if (saved.length === 0) {
+      return `Not saved: ${this.rejectedList(rejected)}. If that's right, email support@gethomeheat.com and we'll post it.`;
+    }
+
+    const held = rejected.length > 0 ? ` Not saved: ${this.rejectedList(rejected)}.` : '';
+
+    if (scheduled) {
+      const list = saved.map(fp => `${this.describePrice(fp)}/gal`).join('\n');
+      return `Scheduled${this.describeWindow(schedule)}:\n${list}\n${held ? held.trim() + '\n' : ''}Reply STOP to unsubscribe or HELP for help.`;
+    }
+
+    // Single standard oil price keeps the short V2 reply (no end date to echo)
+    if (!schedule.validUntil && saved.length === 1 && !held && saved[0].fuelType === 'heating_oil' && saved[0].minGallons === DEFAULT_MIN_GALLONS) {
+      return `Saved at $${this.formatPrice(saved[0].price)}/gal. Message frequency varies. Reply STOP to unsubscribe or HELP for help.`;
+    }
+
+    // V2.12.0: Confirm all fuel prices in response
+    const confirmList = saved.map(fp => `${this.describePrice(fp)}/gal`).join('\n');
+    return `Got it — updated${this.describeWindow(schedule)}:\n${confirmList}\n${held ? held.trim() + '\n' : ''}Reply STOP to unsubscribe or HELP for help.`;
+  }
+
+  /**
+   * V3.8.0: Reply to a message we couldn't read with confidence.
+   * When every problem has exactly one suggested reading, store that reading
+   * as a pending confirmation so YES publishes it; otherwise ask for a resend.
+   */
+  async handleUnclear(fromPhone, body, supplier, twilioMessageSid, type, { issues, suggestion }, schedulePhrase = '') {
+    const lines = issues.map(issue => `- ${issue.message}`);
+    // Keep any "starting ..." / "until ..." so YES schedules the suggestion the same way
+    const canonical = suggestion && schedulePhrase ? `${suggestion} ${schedulePhrase}` : suggestion;
+
+    if (canonical) {
+      const reading = this.analyzePriceMessage(suggestion).prices;
+      await this.logSms({
+        fromPhone, messageBody: canonical, supplierId: supplier.id,
+        parsedPrice: reading[0].price, type, status: 'pending_confirm', twilioMessageSid,
+        fuelType: reading[0].fuelType, errorMessage: `Suggested reading of: ${body}`
+      });
+      const list = reading.map(p => this.describePrice(p)).join(', ');
+      return `Not saved yet:\n${lines.join('\n')}\nReply YES to publish ${list}, or resend like: ${canonical}`;
+    }
+
+    await this.logSms({
+      fromPhone, messageBody: body, supplierId: supplier.id,
+      type, status: 'needs_clarification', twilioMessageSid,
+      errorMessage: issues.map(issue => issue.type).join(',')
+    });
+    return `Not saved yet:\n${lines.join('\n')}\nResend with a fuel before each price, like: oil 3.49 / 150+ 3.39 / propane 2.89 / k1 4.59`;
+  }
+
+  /**
+   * V3.9.0: A "starting ..." / "until ..." we couldn't use — nothing saved.
+   */
+  async handleBadSchedule(fromPhone, body, supplier, twilioMessageSid, type, schedule) {
+    await this.logSms({
+      fromPhone, messageBody: body, supplierId: supplier.id,
+      type, status: 'needs_clarification', twilioMessageSid, errorMessage: schedule.error
+    });
+    return `Not saved yet: ${schedule.error}.\nResend like: 3.29 starting Mon 6am until Fri`;
+  }
+
+  /**
+   * V3.9.0: Publish now, or queue in scheduled_supplier_prices when the text
+   * has a start or valid-until. Lines are sanity-checked either way, so a
+   * held line is reported when the supplier texts, not when it would start.
+   * @returns {Promise<{saved: Array, rejected: Array, scheduled: boolean}>}
+   *   scheduled is true when the prices start later
+   */
+  async publishOrSchedule(supplier, prices, notes, { effectiveAt = null, validUntil = null } = {}) {
+    if (!effectiveAt && !validUntil) {
+      return { ...(await this.publishPrices(supplier, prices, notes)), scheduled: false };
+    }
+
+    const { accepted, rejected } = await this.screenPrices(supplier, prices);
+    const startsLater = !!(effectiveAt && effectiveAt > new Date());
+    if (accepted.length > 0) {
+      await scheduledPrices.schedulePrices(this.sequelize, {
+        supplierId: supplier.id, prices: toListingRows(accepted),
+        effectiveAt: startsLater ? effectiveAt : null, validUntil,
+        sourceType: 'supplier_sms', notes,
+      });
+      if (!startsLater) await scheduledPrices.publishDuePrices(this.sequelize, { supplierId: supplier.id });
+    }
+    return { saved: accepted, rejected, scheduled: startsLater };
+  }
+
+  /**
+   * V3.8.0: Sanity-check every parsed line, then insert one supplier_prices
+   * row per fuel at its listing tier with the accepted ladder in `tiers`.
+   * Uses the same guards as both scrape paths (price-sanity.js); rejected
+   * lines are logged to price_rejections and reported back, not inserted.
+   * @returns {Promise<{saved: Array, rejected: Array}>} saved lists every
+   *   accepted line, including tiers stored on the listing row
+   */
+  async publishPrices(supplier, prices, notes) {
+    const { accepted, rejected } = await this.screenPrices(supplier, prices);
+
     const expiresAt = new Date(Date.now() + PRICE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    for (const fp of priceResults) {
+    for (const fp of toListingRows(accepted)) {
       await this.sequelize.query(`
         INSERT INTO supplier_prices (
-          id, supplier_id, price_per_gallon, min_gallons, fuel_type,
+          id, supplier_id, price_per_gallon, min_gallons, fuel_type, tiers,
           source_type, scraped_at, expires_at, is_valid, notes,
           created_at, updated_at
         ) VALUES (
-          gen_random_uuid(), :supplierId, :price, 150, :fuelType,
-          'supplier_sms', NOW(), :expiresAt, true, 'SMS price update',
+          gen_random_uuid(), :supplierId, :price, :minGallons, :fuelType, CAST(:tiers AS jsonb),
+          'supplier_sms', NOW(), :expiresAt, true, :notes,
           NOW(), NOW()
         )
-      `, { replacements: { supplierId: supplier.id, price: fp.price, fuelType: fp.fuelType, expiresAt } });
+      `, {
+        replacements: {
+          supplierId: supplier.id, price: fp.price, minGallons: fp.minGallons, fuelType: fp.fuelType,
+          tiers: fp.tiers ? JSON.stringify(fp.tiers) : null, expiresAt, notes
+        }
+      });
     }
 
-    // Ensure allow_price_display is on (idempotent)
-    await this.sequelize.query(`
-      UPDATE suppliers SET allow_price_display = true WHERE id = :id AND allow_price_display = false
-    `, { replacements: { id: supplier.id } });
+    return { saved: accepted, rejected };
+  }
 
-    const primaryPrice = priceResults[0];
-    await this.logSms({
-      fromPhone, messageBody: body, supplierId: supplier.id,
-      parsedPrice: primaryPrice.price, type: 'price_update', status: 'success',
-      twilioMessageSid, fuelType: primaryPrice.fuelType
-    });
+  /**
+   * Run each parsed line through the shared price-sanity guards.
+   * @returns {Promise<{accepted: Array, rejected: Array}>}
+   */
+  async screenPrices(supplier, prices) {
+    const accepted = [];
+    const rejected = [];
+    const hasOil = prices.some(p => p.fuelType === 'heating_oil');
+    const stateMedian = hasOil ? await getStateMedian(this.sequelize, supplier.state) : null;
+
+    // Cross-fuel identity guard compares secondary fuels to this text's oil price, else the listing's
+    let primaryPrice = (prices.find(p => p.fuelType === 'heating_oil') || {}).price ?? null;
+    if (primaryPrice === null && prices.length > 0) {
+      const [oil] = await this.sequelize.query(`
+        SELECT price_per_gallon FROM supplier_prices
+        WHERE supplier_id = :supplierId AND fuel_type = 'heating_oil' AND is_valid = true
+        ORDER BY scraped_at DESC
+        LIMIT 1
+      `, { replacements: { supplierId: supplier.id } });
+      primaryPrice = oil.length > 0 ? parseFloat(oil[0].price_per_gallon) : null;
+    }
 
-    // V2.12.0: Confirm all fuel prices in response
-    if (priceResults.length > 1) {
-      const confirmList = priceResults.map(fp => {
-        const label = fp.fuelType === 'kerosene' ? 'K-1 Kerosene' : 'Heating Oil';
-        return `${label} $${fp.price.toFixed(2)}/gal`;
-      }).join(' and ');
-      return `Got it — ${confirmList} updated. Reply STOP to unsubscribe or HELP for help.`;
+    for (const fp of prices) {
+      const prevPrice = await getLastTierPrice(this.sequelize, { supplierId: supplier.id, fuelType: fp.fuelType, minGallons: fp.minGallons });
+
+      const isOil = fp.fuelType === 'heating_oil';
+      const verdict = await checkAndRecordPrice(this.sequelize, {
+        supplierId: supplier.id, supplierName: supplier.name, fuelType: fp.fuelType, newPrice: fp.price,
+        prevPrice,
+        stateMedian: isOil ? stateMedian : null, state: supplier.state || null,
+        primaryPrice: isOil ? null : primaryPrice, source: 'sms',
+      }, this.logger);
+      if (!verdict.ok) {
+        this.logger.warn(`[SmsPriceService] [price-rejected] ${supplier.name} ${fp.fuelType} $${fp.price} — ${verdict.rejection.reason}`);
+        rejected.push({ ...fp, reason: verdict.rejection.reason });
+        continue;
+      }
+      accepted.push(fp);
     }
 
-    return `Saved at $${primaryPrice.price.toFixed(2)}/gal. Message frequency varies. Reply STOP to unsubscribe or HELP for help.`;
+    return { accepted, rejected };
   }
 
   /**
@@ -323,6 +573,7 @@ class SmsPriceService {
         await this.sequelize.query(`
           UPDATE suppliers SET sms_opted_out = true WHERE phone_last10 = :phone
         `, { replacements: { phone: normalizedPhone } });
+        await getNotificationService().suppress('sms', normalizedPhone, { stream: 'price', reason: 'stop', source: 'sms-price-webhook' });
       }
       await this.logSms({ fromPhone, type: 'keyword', status: 'stop', twilioMessageSid });
       return "You've been unsubscribed. Text START to re-enable.";
@@ -333,6 +584,7 @@ class SmsPriceService {
         await this.sequelize.query(`
           UPDATE suppliers SET sms_opted_out = false WHERE phone_last10 = :phone
         `, { replacements: { phone: normalizedPhone } });
+        await getNotificationService().unsuppress('sms', normalizedPhone, { stream: 'price' });
       }
       await this.logSms({ fromPhone, type: 'keyword', status: 'start', twilioMessageSid });
       return "HomeHeat: You're all set! Just text your price anytime to update your listing. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for info.";
@@ -340,33 +592,29 @@ class SmsPriceService {
 
     if (keyword === 'HELP') {
       await this.logSms({ fromPhone, type: 'keyword', status: 'help', twilioMessageSid });
-      return "HomeHeat SMS Help: Text your price like 3.49 to update your listing. Message frequency varies. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help. Terms: gethomeheat.com/sms-terms Privacy: gethomeheat.com/privacy";
+      return "HomeHeat SMS Help: Text your price like 3.49, or several like: oil 3.49 / 150+ 3.39 / propane 2.89 / k1 4.59. Add 'starting Mon 6am' or 'until Fri' to schedule a special. Message frequency varies. Msg & data rates may apply. Reply STOP to unsubscribe or HELP for help. Terms: gethomeheat.com/sms-terms Privacy: gethomeheat.com/privacy";
     }
 
     return null;
   }
 
   /**
-   * Send an outbound SMS via Twilio
+   * Send an outbound SMS from the price number (NotificationService stream
+   * 'price'). Returns { sid } or null when not sent.
    */
   async sendSMS(toPhone, message) {
-    if (!this.twilioClient || !this.twilioPhone) {
-      this.logger.warn('[SmsPriceService] Cannot send SMS — Twilio not configured');
-      return null;
-    }
-
-    try {
-      const result = await this.twilioClient.messages.create({
-        body: message,
-        from: this.twilioPhone,
-        to: toPhone
-      });
-      this.logger.info(`[SmsPriceService] SMS sent to ${toPhone}: SID ${result.sid}`);
-      return result;
-    } catch (err) {
-      this.logger.error(`[SmsPriceService] Failed to send SMS to ${toPhone}: ${err.message}`);
+    const sent = await getNotificationService().send({
+      channel: 'sms',
+      to: toPhone,
+      stream: 'price',
+      source: 'sms-price',
+      body: message
+    });
+    if (!sent.ok) {
+      this.logger.warn(`[SmsPriceService] SMS to ${toPhone} not sent: ${sent.error || sent.status}`);
       return null;
     }
+    return { sid: sent.providerId };
   }
 
   /**
@@ -396,121 +644,180 @@ class SmsPriceService {
 
   /**
    * V2.12.0: Parse one or more fuel prices from an SMS message.
-   * Returns array of { price, fuelType }, ordered by position in message.
+   * Returns array of { price, fuelType, minGallons }, ordered by position in
+   * message — empty when anything in the message needs clarification.
+   */
+  parsePriceMessage(text) {
+    const { prices, issues } = this.analyzePriceMessage(text);
+    return issues.length > 0 ? [] : prices;
+  }
+
+  /**
+   * V3.8.0: Read every fuel/tier/price line in a message.
    *
    * Algorithm:
-   *   1. Find all prices (with positions)
-   *   2. Find all fuel keywords (with positions and fuel type)
-   *   3. Bind each keyword to the nearest price (by character distance)
-   *   4. Unbound prices default to heating_oil
-   *   5. Two prices + zero keywords → ambiguous, return []
+   *   1. Split into lines on newline / ; | ,
+   *   2. Per line, find prices, fuel keywords and tiers ("150+", "150 gal",
+   *      "100-199", "min 150"); bind each keyword and tier to the nearest
+   *      unclaimed price on that line
+   *   3. A price with no keyword takes the fuel named on an earlier
+   *      price-less line ("Propane:"), else the previous line's fuel if it
+   *      has a tier ("oil 3.49 / 150+ 3.39"), else heating_oil when it is the
+   *      only price in the message
+   *   4. Validate fuel range and tier; one price per fuel + tier
+   *
+   * Safety: bare number always → heating_oil. Other fuels REQUIRE a keyword;
+   * a near-miss ("propain") is a suggestion, never a silent oil price.
    *
-   * Safety: bare number always → heating_oil. Kerosene REQUIRES explicit keyword.
+   * @returns {{ prices: Array<{price, fuelType, minGallons}>, issues: Array<{type, message, suggestion}>, suggestion: string|null }}
+   *   suggestion: the whole message rewritten with every issue's suggested
+   *   reading, when each issue has one (YES publishes it)
    */
-  parsePriceMessage(text) {
-    if (!text) return [];
-    const cleaned = text.trim().toLowerCase();
-
-    // Step 1: Find all prices with positions
-    const pricePattern = /\d+\.\d{1,2}/g;
-    const prices = [];
-    let m;
-    while ((m = pricePattern.exec(cleaned)) !== null) {
-      prices.push({ value: parseFloat(m[0]), index: m.index, fuelType: null });
-    }
-
-    if (prices.length === 0) return [];
-    if (prices.length > 2) return []; // 3+ prices — too ambiguous
-
-    // Step 2: Find all fuel keywords with positions
-    const keywords = [];
-    // Kerosene keywords
-    for (const kw of KEROSENE_KEYWORDS) {
-      let idx = cleaned.indexOf(kw);
-      while (idx !== -1) {
-        keywords.push({ index: idx, fuelType: 'kerosene' });
-        idx = cleaned.indexOf(kw, idx + kw.length);
+  analyzePriceMessage(text) {
+    if (!text) return { prices: [], issues: [], suggestion: null };
+
+    const items = [];
+    const issues = [];
+    let headerFuel = null;
+
+    for (const line of text.toLowerCase().split(SEGMENT_SEPARATORS)) {
+      const scan = scanLine(line);
+      if (scan.prices.length === 0) {
+        if (scan.fuels.length > 0) headerFuel = scan.fuels[scan.fuels.length - 1].fuelType;
+        continue;
       }
-    }
-    // Oil keywords
-    for (const kw of ['oil', 'heating']) {
-      let idx = cleaned.indexOf(kw);
-      while (idx !== -1) {
-        keywords.push({ index: idx, fuelType: 'heating_oil' });
-        idx = cleaned.indexOf(kw, idx + kw.length);
+
+      const leftoverFuels = bindNearest(scan.fuels, scan.prices, 'fuelType', (fuel, price) =>
+        (price.index < fuel.index ? fuel.index - price.end : price.index - fuel.index));
+      bindNearest(scan.tiers, scan.prices, 'minGallons', (tier, price) =>
+        (price.index < tier.index ? tier.index - price.end + 1 : price.index - tier.end));
+
+      const lineText = line.trim();
+      if (leftoverFuels.some(f => !scan.prices.some(p => p.fuelType === f.fuelType))) {
+        issues.push({ type: 'ambiguous', message: `"${lineText}" names more fuels than prices` });
+        continue;
+      }
+      for (const p of scan.prices) {
+        items.push({ ...p, lineText, typo: scan.typos[0] || null, headerFuel, explicitTier: p.minGallons !== null });
       }
     }
 
-    // Step 3: Bind each keyword to the nearest UNCLAIMED price
-    // Process keywords in order of appearance. Once a price is claimed, later keywords
-    // can only claim unclaimed prices. This handles "oil 3.49 kero 5.10" correctly:
-    // "oil" claims 3.49 first, "kero" can only claim 5.10.
-    // Sort keywords by position in text
-    keywords.sort((a, b) => a.index - b.index);
-
-    for (const kw of keywords) {
-      let nearestPrice = null;
-      let nearestDist = Infinity;
-      for (const p of prices) {
-        // Skip prices already claimed by a previous keyword
-        if (p.fuelType !== null) continue;
-
-        let dist;
-        if (p.index < kw.index) {
-          const priceEnd = p.index + String(p.value).length;
-          dist = kw.index - priceEnd;
+    // Fuel for prices with no keyword of their own
+    let previousFuel = null;
+    for (const item of items) {
+      if (item.fuelType === null) {
+        if (item.typo) {
+          item.issue = { type: 'unknown_fuel', suggestFuel: item.typo.fuelType };
+        } else if (item.headerFuel) {
+          item.fuelType = item.headerFuel;
+        } else if (item.explicitTier) {
+          item.fuelType = previousFuel || 'heating_oil';
+        } else if (items.length === 1) {
+          item.fuelType = 'heating_oil';
         } else {
-          dist = p.index - kw.index;
-        }
-        if (dist < nearestDist) {
-          nearestDist = dist;
-          nearestPrice = p;
+          item.issue = { type: 'ambiguous' };
         }
       }
+      previousFuel = item.fuelType || previousFuel;
+    }
 
-      // If no unclaimed price, try all prices (kerosene overrides oil)
-      if (!nearestPrice) {
-        nearestDist = Infinity;
-        for (const p of prices) {
-          if (p.fuelType === kw.fuelType) continue; // Same type, skip
-          let dist;
-          if (p.index < kw.index) {
-            dist = kw.index - (p.index + String(p.value).length);
-          } else {
-            dist = p.index - kw.index;
-          }
-          if (dist < nearestDist) {
-            nearestDist = dist;
-            nearestPrice = p;
-          }
-        }
+    // Range + tier validation; suggestions are complete readings of the line
+    for (const item of items) {
+      const fuelType = item.fuelType || (item.issue && item.issue.suggestFuel);
+      const tier = item.explicitTier ? item.minGallons : null;
+      const described = `"${item.lineText}"`;
+
+      if (item.issue && item.issue.type === 'ambiguous') {
+        issues.push({ type: 'ambiguous', message: `${described} — which fuel is this?` });
+        continue;
+      }
+      if (tier !== null && (tier < TIER_GALLONS.min || tier > TIER_GALLONS.max)) {
+        issues.push({ type: 'bad_tier', message: `${described} — tiers must be ${TIER_GALLONS.min}-${TIER_GALLONS.max} gal` });
+        continue;
       }
 
-      if (nearestPrice) {
-        nearestPrice.fuelType = kw.fuelType;
+      const inRange = (v) => v >= FUEL_PRICE_RANGES[fuelType].min && v <= FUEL_PRICE_RANGES[fuelType].max;
+      if (!inRange(item.value)) {
+        const shifted = [item.value / 10, item.value * 10].map(v => Math.round(v * 1000) / 1000).find(inRange);
+        if (shifted) {
+          item.suggested = { price: shifted, fuelType, minGallons: tier };
+          issues.push({ type: 'out_of_range', message: `${described} — did you mean ${this.describePrice(item.suggested)}?`, suggestion: item.suggested });
+        } else {
+          const { min, max } = FUEL_PRICE_RANGES[fuelType];
+          issues.push({ type: 'out_of_range', message: `${described} — ${FUEL_LABELS[fuelType]} must be $${min.toFixed(2)}-$${max.toFixed(2)}` });
+        }
+        continue;
       }
-    }
 
-    // Step 4: Unbound prices default to heating_oil
-    // BUT: if 2 prices and zero keywords total → ambiguous
-    if (prices.length === 2 && keywords.length === 0) {
-      return []; // "3.49 / 4.91" — can't tell which is which
+      if (item.issue) {
+        item.suggested = { price: item.value, fuelType, minGallons: tier };
+        issues.push({ type: 'unknown_fuel', message: `${described} — did you mean ${this.describePrice(item.suggested)}?`, suggestion: item.suggested });
+        continue;
+      }
+      item.reading = { price: item.value, fuelType, minGallons: tier };
     }
 
+    // Untiered prices: standard minimum, or the small-order tier next to a named one
+    const readings = items.filter(i => i.reading).map(i => i.reading);
+    const prices = readings.map(r => ({
+      price: r.price,
+      fuelType: r.fuelType,
+      minGallons: r.minGallons !== null ? r.minGallons
+        : (readings.some(o => o.fuelType === r.fuelType && o.minGallons !== null && o.minGallons <= DEFAULT_MIN_GALLONS)
+          ? BASE_TIER_GALLONS : DEFAULT_MIN_GALLONS),
+    }));
+
+    const seen = new Map();
     for (const p of prices) {
-      if (p.fuelType === null) p.fuelType = 'heating_oil';
+      const key = `${p.fuelType}:${p.minGallons}`;
+      if (seen.has(key)) {
+        issues.push({ type: 'duplicate', message: `Two ${FUEL_LABELS[p.fuelType]} prices for ${p.minGallons}+ gal ($${this.formatPrice(seen.get(key))} and $${this.formatPrice(p.price)}) — which one?` });
+      }
+      seen.set(key, p.price);
     }
 
-    // Step 5: Validate each price against its fuel range and build results
-    const results = [];
-    for (const p of prices) {
-      const range = FUEL_PRICE_RANGES[p.fuelType];
-      if (p.value >= range.min && p.value <= range.max) {
-        results.push({ price: Math.round(p.value * 100) / 100, fuelType: p.fuelType });
-      }
+    let suggestion = null;
+    if (issues.length > 0 && issues.every(i => i.suggestion)) {
+      // Rewrite the message with each suggestion in place of its line, then re-read it
+      const canonical = items.map(i => this.canonicalLine(i.reading || i.suggested)).join(' / ');
+      if (this.analyzePriceMessage(canonical).issues.length === 0) suggestion = canonical;
     }
 
-    return results;
+    return { prices: issues.length > 0 ? [] : prices, issues, suggestion };
+  }
+
+  /** "oil 150+ 3.39" — a line the parser reads back exactly */
+  canonicalLine({ price, fuelType, minGallons }) {
+    return `${FUEL_SHORT_NAMES[fuelType]} ${minGallons !== null && minGallons !== undefined ? `${minGallons}+ ` : ''}${this.formatPrice(price)}`;
+  }
+
+  /** "Heating Oil 150+ gal $3.39" */
+  describePrice({ price, fuelType, minGallons }) {
+    const tier = minGallons !== null && minGallons !== undefined && minGallons !== DEFAULT_MIN_GALLONS ? ` ${minGallons}+ gal` : '';
+    return `${FUEL_LABELS[fuelType]}${tier} $${this.formatPrice(price)}`;
+  }
+
+  /**
+   * V3.9.0: " starting Mon Oct 26, 6:00 AM until Fri Oct 30, 11:59 PM" (Eastern), or ''
+   */
+  describeWindow({ effectiveAt = null, validUntil = null } = {}) {
+    let text = '';
+    if (effectiveAt && effectiveAt > new Date()) text += ` starting ${scheduledPrices.formatEastern(effectiveAt)}`;
+    if (validUntil) text += ` until ${scheduledPrices.formatEastern(validUntil)}`;
+    return text;
+  }
+
+  /** Two decimals unless the supplier sent a third (3.499) */
+  formatPrice(price) {
+    return Math.round(price * 100) === price * 100 ? price.toFixed(2) : price.toFixed(3);
+  }
+
+  rejectedList(rejected) {
+    return rejected.map(r => `${this.describePrice(r)} (${r.reason})`).join('; ');
+  }
+
+  rejectionSummary(rejected) {
+    return rejected.length > 0 ? rejected.map(r => `${r.fuelType} ${r.minGallons}: ${r.reason}`).join('; ') : null;
   }
 
   /**
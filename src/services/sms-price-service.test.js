@@ -0,0 +1,176 @@
+// src/services/sms-price-service.test.js
+//
+// Multi-fuel SMS price updates (V3.8.0): fuel keywords, minimum-gallon tiers,
+// backward-compatible single prices, "did you mean" suggestions that YES can
+// publish, the shared price-sanity guards on every stored row, and (V3.9.0)
+// "starting ..." / "until ..." phrases that queue scheduled prices.
+// Fake sequelize; no DB or Twilio needed.
+//
+// Run: node src/services/sms-price-service.test.js
+
+delete process.env.TWILIO_ACCOUNT_SID;
+delete process.env.DISABLE_PRICE_SANITY;
+const SmsPriceService = require('./sms-price-service');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const SUPPLIER = { id: 's-1', name: 'Acme Oil', slug: 'acme-oil', state: 'CT', sms_confirmed: true };
+const read = (svc, text) => svc.analyzePriceMessage(text);
+const short = (prices) => prices.map(p => [p.fuelType, p.minGallons, p.price]);
+
+(async () => {
+  try {
+    const svc = new SmsPriceService(fakeSequelize(() => null), quietLogger);
+
+    console.log('\n=== analyzePriceMessage ===');
+    eq(short(read(svc, 'oil 3.49 / 150+ 3.39 / propane 2.89 / k1 4.59').prices),
+      [['heating_oil', 100, 3.49], ['heating_oil', 150, 3.39], ['propane', 150, 2.89], ['kerosene', 150, 4.59]],
+      'fuels and tiers; tier line inherits oil, untiered oil becomes the small-order tier');
+    eq(short(read(svc, '3.49').prices), [['heating_oil', 150, 3.49]], 'bare price → heating oil at the standard minimum');
+    eq(short(read(svc, '$3.49/gal').prices), [['heating_oil', 150, 3.49]], '"/gal" is not a separate line');
+    eq(short(read(svc, '3.49 oil 4.91 k1').prices), [['heating_oil', 150, 3.49], ['kerosene', 150, 4.91]], 'keywords after prices still bind (V2.12 format)');
+    eq(short(read(svc, 'Propane:\n2.89\n300+ 2.59').prices), [['propane', 150, 2.89], ['propane', 300, 2.59]], 'fuel header line applies to the prices below it');
+    eq(short(read(svc, 'heating oil 3.49, min 200 3.29').prices), [['heating_oil', 150, 3.49], ['heating_oil', 200, 3.29]], '"min 200" tier; untiered stays at 150 when no lower tier');
+    eq(read(svc, '349'), { prices: [], issues: [], suggestion: null }, 'no decimal → nothing read');
+
+    let r = read(svc, '3.49 / 4.91');
+    eq([r.prices.length, r.issues.map(i => i.type), r.suggestion], [0, ['ambiguous', 'ambiguous'], null], 'two bare prices → ask which fuel');
+    r = read(svc, 'propain 2.89');
+    eq([r.issues[0].type, r.issues[0].message, r.suggestion], ['unknown_fuel', '"propain 2.89" — did you mean Propane $2.89?', 'propane 2.89'], 'fuel typo → suggestion, never a silent oil price');
+    r = read(svc, 'kerosine 4.59 / oil 3.49');
+    eq(r.suggestion, 'k1 4.59 / oil 3.49', 'suggestion keeps the rest of the message');
+    r = read(svc, 'oil 34.9');
+    eq([r.issues[0].type, r.suggestion], ['out_of_range', 'oil 3.49'], 'misplaced decimal → suggested price');
+    eq(read(svc, 'propane 12.00').issues[0].message, '"propane 12.00" — Propane must be $1.50-$7.00', 'out of range with no shift → range shown');
+    eq(read(svc, 'oil 3.49 / oil 3.39').issues.map(i => i.type), ['duplicate'], 'two prices for one fuel + tier');
+    eq(read(svc, 'oil 3.49 / 20+ 3.00').issues.map(i => i.type), ['bad_tier'], 'tier outside 50-500 gal');
+    eq(read(svc, 'oil k1 4.91').issues.map(i => i.type), ['ambiguous'], 'two fuels for one price');
+    eq(svc.parsePriceMessage('3.49 / 4.91'), [], 'parsePriceMessage stays empty when anything is unclear');
+    eq(svc.parsePrice('3.49'), 3.49, 'parsePrice single-price compat');
+
+    console.log('\n=== handlePriceUpdate ===');
+    const prevBy = { 'heating_oil:100': '3.55', 'propane:150': '4.20' };
+    let db = fakeSequelize((sql, opts) => {
+      if (/PERCENTILE_CONT/.test(sql)) return [[{ median_price: '3.60' }]];
+      if (/tier_prices/.test(sql)) {
+        const key = `${opts.replacements.fuelType}:${opts.replacements.minGallons}`;
+        return [prevBy[key] ? [{ price_per_gallon: prevBy[key] }] : []];
+      }
+      return null;
+    });
+    let sms = new SmsPriceService(db, quietLogger);
+    let reply = await sms.handlePriceUpdate('+18605551234', '8605551234', 'oil 3.49 / 150+ 3.39 / propane 2.89 / k1 4.59', SUPPLIER, 'SM1');
+    const inserts = db.calls.filter(c => /INSERT INTO supplier_prices/.test(c.sql)).map(c => c.opts.replacements);
+    eq(inserts.map(i => [i.fuelType, i.minGallons, i.price]), [['heating_oil', 150, 3.39], ['kerosene', 150, 4.59]], 'one listing row per fuel at the standard tier; sanity-rejected propane not stored');
+    eq(inserts.map(i => JSON.parse(i.tiers)), [[{ minGallons: 100, price: 3.49 }, { minGallons: 150, price: 3.39 }], null], 'small-order tier kept on the oil row\'s ladder');
+    eq(db.calls.find(c => /tier_prices/.test(c.sql) && c.opts.replacements.minGallons === 100).sql.includes("jsonb_array_elements(tiers)"), true, 'jump guard finds a tier\'s last price on earlier ladders');
+    const rejections = db.calls.filter(c => /INSERT INTO price_rejections/.test(c.sql));
+    eq([rejections.length, rejections[0].opts.bind[2], rejections[0].opts.bind[10]], [1, 'propane', 'sms'], 'rejection logged through the shared guard');
+    if (/Heating Oil 100\+ gal \$3\.49\/gal\nHeating Oil \$3\.39\/gal\nK-1 Kerosene \$4\.59\/gal\nNot saved: Propane \$2\.89 \(31% drop/.test(reply)) pass('single confirmation echoes every line and the held one');
+    else fail('single confirmation echoes every line and the held one', reply);
+    const log = db.calls.find(c => /INSERT INTO sms_price_updates/.test(c.sql)).opts.replacements;
+    eq([log.status, log.type], ['success', 'price_update'], 'update logged');
+
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    await sms.handlePriceUpdate('+18605551234', '8605551234', '150+ 3.39 / 300+ 3.29', SUPPLIER, 'SM1b');
+    eq(db.calls.filter(c => /INSERT INTO supplier_prices/.test(c.sql)).map(c => [c.opts.replacements.minGallons, c.opts.replacements.price]), [[150, 3.39]], 'volume tier never becomes the listing price');
+
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', '3.49', SUPPLIER, 'SM2');
+    eq(reply, 'Saved at $3.49/gal. Message frequency varies. Reply STOP to unsubscribe or HELP for help.', 'single oil price keeps the short reply');
+
+    console.log('\n=== did you mean ===');
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', 'oil 3.49 / propain 2.89', SUPPLIER, 'SM3');
+    eq(db.calls.filter(c => /INSERT INTO supplier_prices/.test(c.sql)).length, 0, 'nothing published while unclear');
+    const pending = db.calls.find(c => /INSERT INTO sms_price_updates/.test(c.sql)).opts.replacements;
+    eq([pending.status, pending.messageBody], ['pending_confirm', 'oil 3.49 / propane 2.89'], 'suggested reading stored for YES');
+    if (/did you mean Propane \$2\.89\?/.test(reply) && /Reply YES to publish Heating Oil \$3\.49, Propane \$2\.89/.test(reply)) pass('structured did-you-mean reply');
+    else fail('structured did-you-mean reply', reply);
+
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', '3.49 / 4.91', SUPPLIER, 'SM4');
+    eq(db.calls[0].opts.replacements.status, 'needs_clarification', 'no single reading → ask for a resend');
+    if (/Resend with a fuel before each price/.test(reply)) pass('resend example given');
+    else fail('resend example given', reply);
+
+    db = fakeSequelize((sql) => {
+      if (/status = 'pending_confirm'/.test(sql)) return [[{ id: 'p-1', parsed_price: '3.49', fuel_type: 'heating_oil', message_body: 'oil 3.49 / propane 2.89' }]];
+      return null;
+    });
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handleConfirmation('+18605551234', '8605551234', SUPPLIER, 'SM5');
+    eq(db.calls.filter(c => /INSERT INTO supplier_prices/.test(c.sql)).map(c => c.opts.replacements.fuelType), ['heating_oil', 'propane'], 'YES publishes the suggestion');
+    if (/type IN \('price_attempt', 'price_update'\)/.test(db.calls[0].sql)) pass('returning suppliers can confirm suggestions');
+    else fail('returning suppliers can confirm suggestions');
+    if (/^Published! Heating Oil \$3\.49\/gal and Propane \$2\.89\/gal/.test(reply) && !/Just text your price anytime/.test(reply)) pass('confirmed-supplier YES reply');
+    else fail('confirmed-supplier YES reply', reply);
+
+    console.log('\n=== scheduled ===');
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', 'oil 3.29 / 200+ 3.19 starting tomorrow 6am until tomorrow 8pm', SUPPLIER, 'SM7');
+    eq(db.calls.filter(c => /INSERT INTO supplier_prices/.test(c.sql)).length, 0, 'future start → nothing live yet');
+    eq(db.calls.filter(c => /INSERT INTO scheduled_supplier_prices/.test(c.sql)).map(c => [c.opts.replacements.minGallons, c.opts.replacements.sourceType]),
+      [[150, 'supplier_sms']], 'listing row queued (schedule phrase not read as a tier)');
+    eq(JSON.parse(db.calls.find(c => /INSERT INTO scheduled_supplier_prices/.test(c.sql)).opts.replacements.tiers).map(t => t.minGallons), [150, 200], 'queued with its tier ladder');
+    eq(db.calls.some(c => /WITH due AS/.test(c.sql)), false, 'not published early');
+    if (/^Scheduled starting \w{3} \w{3} \d+, 6:00 AM until \w{3} \w{3} \d+, 8:00 PM:\nHeating Oil \$3\.29\/gal\nHeating Oil 200\+ gal \$3\.19\/gal/.test(reply)) pass('scheduled reply echoes the window');
+    else fail('scheduled reply echoes the window', reply);
+    eq(db.calls.find(c => /INSERT INTO sms_price_updates/.test(c.sql)).opts.replacements.status, 'scheduled', 'logged as scheduled');
+
+    db = fakeSequelize((sql) => (/tier_prices/.test(sql) ? [[{ price_per_gallon: '4.50' }]] : null));
+    sms = new SmsPriceService(db, quietLogger);
+    await sms.handlePriceUpdate('+18605551234', '8605551234', 'oil 2.89 starting tomorrow', SUPPLIER, 'SM7b');
+    eq([db.calls.some(c => /INSERT INTO scheduled_supplier_prices/.test(c.sql)), db.calls.filter(c => /INSERT INTO price_rejections/.test(c.sql)).length],
+      [false, 1], 'future-dated price screened when it is texted, not queued');
+
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', '3.19 until tomorrow', SUPPLIER, 'SM8');
+    eq([db.calls.some(c => /INSERT INTO scheduled_supplier_prices/.test(c.sql)), db.calls.some(c => /WITH due AS/.test(c.sql))], [true, true], 'valid-until only → queued and published now');
+    if (/^Got it — updated until \w{3} \w{3} \d+, 11:59 PM:\nHeating Oil \$3\.19\/gal/.test(reply)) pass('live-until reply');
+    else fail('live-until reply', reply);
+
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handlePriceUpdate('+18605551234', '8605551234', '3.29 until 13/40', SUPPLIER, 'SM9');
+    eq([db.calls[0].opts.replacements.status, reply.split('\n')[0]], ['needs_clarification', 'Not saved yet: Couldn\'t read the date in "until 13/40".'], 'unreadable date → nothing saved');
+
+    console.log('\n=== first time ===');
+    db = fakeSequelize(() => null);
+    sms = new SmsPriceService(db, quietLogger);
+    reply = await sms.handleFirstTime('+18605551234', '8605551234', 'oil 3.49 / 200+ 3.29', { ...SUPPLIER, sms_confirmed: false }, 'SM6');
+    eq(db.calls[0].opts.replacements.status, 'pending_confirm', 'first text waits for YES');
+    if (/Reply YES to publish Heating Oil \$3\.49 and Heating Oil 200\+ gal \$3\.29/.test(reply)) pass('first-time prompt lists tiers');
+    else fail('first-time prompt lists tiers', reply);
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
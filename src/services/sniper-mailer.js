@@ -2,9 +2,9 @@
 // Sniper Mailer - Send lead notifications to suppliers when users click their listings
 
 const { Sequelize } = require('sequelize');
+const { getNotificationService } = require('./NotificationService');
 
 // Configuration
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const FROM_EMAIL = 'Leo from HomeHeat <hello@gethomeheat.com>';
 const REPLY_TO = 'support@gethomeheat.com';
 const ADMIN_BCC = 'ltsoir@gmail.com';
@@ -96,11 +96,15 @@ class SniperMailer {
         const isFirstEmail = previousEmails.length === 0;
 
         // Send email
-        const success = await this.sendEmail(click, isFirstEmail);
+        const result = await this.sendEmail(click, isFirstEmail);
 
-        if (success) {
+        if (result.accepted) {
           await this.markProcessed(click.click_id, true);
           sent++;
+        } else if (result.status === 'suppressed') {
+          // Unsubscribed/bounced — don't retry this click every run
+          await this.markProcessed(click.click_id, false);
+          skipped++;
         } else {
           errors++;
         }
@@ -117,6 +121,7 @@ class SniperMailer {
 
   /**
    * Send email to supplier
+   * @returns {Promise<object>} NotificationService.send() result
    */
   async sendEmail(click, isFirstEmail) {
     const { supplier_email, supplier_name, supplier_id, zip_code, action_type, phone, website, state, price_per_gallon } = click;
@@ -157,43 +162,27 @@ class SniperMailer {
       ? this.getEmail1Template({ zip_code, actionText, priceDisplay, phoneDisplay, websiteDisplay, siteUrl })
       : this.getEmail2Template({ zip_code, actionText, priceDisplay, siteUrl });
 
-    if (DRY_RUN) {
-      console.log(`[SniperMailer] DRY RUN - Would send ${isFirstEmail ? 'Email 1' : 'Email 2'} to ${supplier_email}`);
-      console.log(`  Subject: ${subject}`);
-      return true;
-    }
+    // Outreach stream: suppliers who unsubscribed or bounced are skipped
+    const sent = await getNotificationService().send({
+      channel: 'email',
+      to: supplier_email,
+      stream: 'outreach',
+      source: 'sniper',
+      from: FROM_EMAIL,
+      replyTo: REPLY_TO,
+      bcc: ADMIN_BCC,
+      subject,
+      html,
+      idempotencyKey: click.click_id ? `sniper:${click.click_id}` : null,
+      dryRun: DRY_RUN
+    });
 
-    // Send via Resend
-    try {
-      const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${RESEND_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: FROM_EMAIL,
-          to: [supplier_email],
-          bcc: [ADMIN_BCC],
-          reply_to: REPLY_TO,
-          subject,
-          html
-        })
-      });
-
-      const result = await response.json();
-
-      if (response.ok && result.id) {
-        console.log(`[SniperMailer] Sent ${isFirstEmail ? 'Email 1' : 'Email 2'} to ${supplier_email} (${supplier_name})`);
-        return true;
-      } else {
-        console.error(`[SniperMailer] Failed to send to ${supplier_email}:`, result);
-        return false;
-      }
-    } catch (err) {
-      console.error(`[SniperMailer] Network error sending to ${supplier_email}:`, err.message);
-      return false;
+    if (sent.accepted) {
+      console.log(`[SniperMailer] Sent ${isFirstEmail ? 'Email 1' : 'Email 2'} to ${supplier_email} (${supplier_name})`);
+    } else if (sent.status !== 'suppressed') {
+      console.error(`[SniperMailer] Failed to send to ${supplier_email}: ${sent.error || sent.status}`);
     }
+    return sent;
   }
 
   /**
@@ -0,0 +1,352 @@
+/**
+ * Supplier Accounts — team logins for a listing
+ * V3.11.0: A magic link belongs to one claim, so a company with an owner and
+ * an office manager had to share it. Supplier users sign in with an emailed
+ * one-time code and hold a role per supplier:
+ *   owner    prices, profile edits, team management
+ *   pricing  prices
+ *   viewer   dashboard only
+ * A role with include_branches also covers the sibling branches of a
+ * multi-branch scrape-config.json entry (the cnbrownenergy.com shape), matched
+ * by slug the same way ScrapeConfigSync does.
+ *
+ * A signed-in session is a magic_link_tokens row (purpose 'supplier_session')
+ * so every magic-link route accepts it unchanged; validateMagicLink resolves
+ * the role for the listing being viewed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['owner', 'pricing', 'viewer'];
+const PERMISSIONS = {
+  owner: ['view', 'price', 'profile', 'team'],
+  pricing: ['view', 'price'],
+  viewer: ['view'],
+};
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_HOUR = 5;
+const SESSION_DAYS = 30;
+const SESSION_PURPOSE = 'supplier_session';
+const SCRAPE_CONFIG_PATH = path.join(__dirname, '../data/scrape-config.json');
+
+let branchGroupsCache = null;
+
+/**
+ * @param {string} role
+ * @param {string} action - view | price | profile | team
+ */
+function can(role, action) {
+  return !!(role && PERMISSIONS[role] && PERMISSIONS[role].includes(action));
+}
+
+function normalizeEmail(email) {
+  const clean = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean) && clean.length <= 255 ? clean : null;
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function hashCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
+
+// ─── Branches ──────────────────────────────────────────────────
+
+/**
+ * Slug → all slugs in the same multi-branch entry
+ * @param {Object} config - Parsed scrape-config.json
+ * @returns {Map<string, string[]>}
+ */
+function buildBranchGroups(config) {
+  const groups = new Map();
+  for (const [domain, cfg] of Object.entries(config || {})) {
+    if (domain.startsWith('_') || !cfg || !cfg.branches) continue;
+    const slugs = Object.keys(cfg.branches);
+    slugs.forEach(slug => groups.set(slug, slugs));
+  }
+  return groups;
+}
+
+function loadBranchGroups() {
+  if (!branchGroupsCache) {
+    try {
+      branchGroupsCache = buildBranchGroups(JSON.parse(fs.readFileSync(SCRAPE_CONFIG_PATH, 'utf8')));
+    } catch (e) {
+      console.error('[SupplierAccounts] Failed to load scrape-config.json:', e.message);
+      return new Map();
+    }
+  }
+  return branchGroupsCache;
+}
+
+// ─── One-time codes ────────────────────────────────────────────
+
+/**
+ * Issue a login code for an active supplier user. Earlier unused codes keep
+ * working until they expire, so a slow email doesn't strand the user.
+ * Callers answer the same way whether or not the email is known — including
+ * when the user is throttled.
+ * @returns {{ user: Object, code: string } | { throttled: true } | null}
+ */
+async function requestLoginCode(sequelize, email, { ip = null } = {}) {
+  const clean = normalizeEmail(email);
+  if (!clean) return null;
+
+  const [users] = await sequelize.query(`
+    SELECT su.id, su.email, su.name,
+      (SELECT COUNT(*) FROM supplier_login_codes c
+        WHERE c.supplier_user_id = su.id AND c.created_at > NOW() - INTERVAL '1 hour') as recent_codes
+    FROM supplier_users su
+    WHERE su.email = :email AND su.disabled_at IS NULL
+      AND EXISTS (SELECT 1 FROM supplier_user_roles r WHERE r.supplier_user_id = su.id)
+  `, { replacements: { email: clean } });
+
+  const user = users[0];
+  if (!user) return null;
+  if (parseInt(user.recent_codes) >= MAX_CODES_PER_HOUR) return { throttled: true };
+
+  const code = generateCode();
+  await sequelize.query(`
+    INSERT INTO supplier_login_codes (supplier_user_id, code_hash, expires_at, ip_address)
+    VALUES (:userId, :codeHash, NOW() + INTERVAL '${CODE_TTL_MINUTES} minutes', :ip)
+  `, { replacements: { userId: user.id, codeHash: hashCode(user.id, code), ip } });
+
+  return { user: { id: user.id, email: user.email, name: user.name }, code };
+}
+
+/**
+ * Check a code against every outstanding code for the email; a match is
+ * consumed, a miss counts toward MAX_CODE_ATTEMPTS on each of them
+ * @returns {Object|null} user
+ */
+async function verifyLoginCode(sequelize, email, code) {
+  const clean = normalizeEmail(email);
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!clean || !/^\d{6}$/.test(digits)) return null;
+
+  const [rows] = await sequelize.query(`
+    SELECT su.id as user_id, su.email, su.name, c.id as code_id, c.code_hash, c.attempts
+    FROM supplier_users su
+    JOIN supplier_login_codes c ON c.supplier_user_id = su.id
+    WHERE su.email = :email AND su.disabled_at IS NULL
+      AND c.consumed_at IS NULL AND c.expires_at > NOW()
+    ORDER BY c.created_at DESC
+  `, { replacements: { email: clean } });
+
+  const live = rows.filter(r => r.attempts < MAX_CODE_ATTEMPTS);
+  if (live.length === 0) return null;
+
+  const actual = Buffer.from(hashCode(live[0].user_id, digits), 'hex');
+  const row = live.find(r => {
+    const expected = Buffer.from(r.code_hash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  });
+  if (!row) {
+    await sequelize.query(`
+      UPDATE supplier_login_codes SET attempts = attempts + 1 WHERE id IN (:codeIds)
+    `, { replacements: { codeIds: live.map(r => r.code_id) } });
+    return null;
+  }
+
+  await sequelize.query(`
+    UPDATE supplier_login_codes SET consumed_at = NOW() WHERE id = :codeId
+  `, { replacements: { codeId: row.code_id } });
+  await sequelize.query(`
+    UPDATE supplier_users SET last_login_at = NOW(), updated_at = NOW() WHERE id = :userId
+  `, { replacements: { userId: row.user_id } });
+
+  return { id: row.user_id, email: row.email, name: row.name };
+}
+
+// ─── Access ────────────────────────────────────────────────────
+
+/**
+ * Every listing a user can open, with the strongest role that reaches it
+ * @returns {Promise<Array<{ id, name, slug, city, state, role }>>}
+ */
+async function listAccess(sequelize, userId, branchGroups = loadBranchGroups()) {
+  const [direct] = await sequelize.query(`
+    SELECT s.id, s.name, s.slug, s.city, s.state, r.role, r.include_branches
+    FROM supplier_user_roles r
+    JOIN suppliers s ON s.id = r.supplier_id
+    WHERE r.supplier_user_id = :userId
+  `, { replacements: { userId } });
+
+  const access = new Map();
+  const grant = (s, role) => {
+    const held = access.get(s.id);
+    if (!held || ROLES.indexOf(role) < ROLES.indexOf(held.role)) {
+      access.set(s.id, { id: s.id, name: s.name, slug: s.slug, city: s.city, state: s.state, role });
+    }
+  };
+  direct.forEach(s => grant(s, s.role));
+
+  const branchRoles = new Map();
+  for (const row of direct) {
+    if (!row.include_branches || !branchGroups.has(row.slug)) continue;
+    for (const slug of branchGroups.get(row.slug)) {
+      const held = branchRoles.get(slug);
+      if (!held || ROLES.indexOf(row.role) < ROLES.indexOf(held)) branchRoles.set(slug, row.role);
+    }
+  }
+  if (branchRoles.size > 0) {
+    const [branches] = await sequelize.query(`
+      SELECT id, name, slug, city, state FROM suppliers WHERE slug IN (:slugs)
+    `, { replacements: { slugs: [...branchRoles.keys()] } });
+    branches.forEach(s => grant(s, branchRoles.get(s.slug)));
+  }
+
+  return [...access.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Whether the user is an owner with include_branches on this listing (directly
+ * or from a sibling branch) — only they may hand out all-branches roles
+ */
+async function ownsAllBranches(sequelize, userId, supplierSlug, branchGroups = loadBranchGroups()) {
+  const [rows] = await sequelize.query(`
+    SELECT s.slug
+    FROM supplier_user_roles r
+    JOIN suppliers s ON s.id = r.supplier_id
+    WHERE r.supplier_user_id = :userId AND r.role = 'owner' AND r.include_branches = true
+  `, { replacements: { userId } });
+
+  return rows.some(r => r.slug === supplierSlug || (branchGroups.get(r.slug) || []).includes(supplierSlug));
+}
+
+async function roleFor(sequelize, userId, supplierId, branchGroups) {
+  const access = await listAccess(sequelize, userId, branchGroups);
+  const match = access.find(s => s.id === supplierId);
+  return match ? match.role : null;
+}
+
+// ─── Sessions ──────────────────────────────────────────────────
+
+/**
+ * Sign-in session; supplierId is the listing opened when none is requested
+ */
+async function createSession(sequelize, userId, supplierId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+
+  await sequelize.query(`
+    INSERT INTO magic_link_tokens (token, purpose, supplier_id, supplier_user_id, expires_at)
+    VALUES (:token, '${SESSION_PURPOSE}', :supplierId, :userId, :expiresAt)
+  `, { replacements: { token, supplierId, userId, expiresAt } });
+
+  return { token, expiresAt };
+}
+
+async function revokeSession(sequelize, token) {
+  const [rows] = await sequelize.query(`
+    UPDATE magic_link_tokens
+    SET revoked_at = NOW()
+    WHERE token = :token AND purpose = '${SESSION_PURPOSE}' AND revoked_at IS NULL
+    RETURNING id
+  `, { replacements: { token } });
+  return rows.length > 0;
+}
+
+// ─── Team ──────────────────────────────────────────────────────
+
+async function listTeam(sequelize, supplierId) {
+  const [rows] = await sequelize.query(`
+    SELECT su.id, su.email, su.name, su.last_login_at, r.role, r.include_branches, r.created_at
+    FROM supplier_user_roles r
+    JOIN supplier_users su ON su.id = r.supplier_user_id
+    WHERE r.supplier_id = :supplierId AND su.disabled_at IS NULL
+    ORDER BY r.created_at
+  `, { replacements: { supplierId } });
+
+  return rows.map(r => ({
+    userId: r.id,
+    email: r.email,
+    name: r.name,
+    role: r.role,
+    allBranches: r.include_branches,
+    lastLoginAt: r.last_login_at,
+    addedAt: r.created_at
+  }));
+}
+
+/**
+ * Add (or change the role of) a team member, creating the user if needed.
+ * The last owner can't be demoted.
+ * @returns {{ error?: string, userId?: string, email?: string, role?: string }}
+ */
+async function addTeamMember(sequelize, { supplierId, email, name = null, role, includeBranches = false, invitedBy = null }) {
+  const clean = normalizeEmail(email);
+  if (!clean) return { error: 'Enter a valid email address' };
+  if (!ROLES.includes(role)) return { error: `Role must be one of ${ROLES.join(', ')}` };
+
+  const [users] = await sequelize.query(`
+    INSERT INTO supplier_users (email, name)
+    VALUES (:email, :name)
+    ON CONFLICT (email) DO UPDATE SET name = COALESCE(supplier_users.name, EXCLUDED.name), updated_at = NOW()
+    RETURNING id
+  `, { replacements: { email: clean, name: name ? String(name).trim().slice(0, 100) : null } });
+  const userId = users[0].id;
+
+  if (role !== 'owner') {
+    const [owners] = await sequelize.query(`
+      SELECT supplier_user_id FROM supplier_user_roles
+      WHERE supplier_id = :supplierId AND role = 'owner'
+    `, { replacements: { supplierId } });
+    if (owners.length === 1 && owners[0].supplier_user_id === userId) {
+      return { error: 'A listing needs at least one owner' };
+    }
+  }
+
+  await sequelize.query(`
+    INSERT INTO supplier_user_roles (supplier_user_id, supplier_id, role, include_branches, invited_by)
+    VALUES (:userId, :supplierId, :role, :includeBranches, :invitedBy)
+    ON CONFLICT (supplier_user_id, supplier_id)
+    DO UPDATE SET role = EXCLUDED.role, include_branches = EXCLUDED.include_branches, updated_at = NOW()
+  `, { replacements: { userId, supplierId, role, includeBranches: !!includeBranches, invitedBy } });
+
+  return { userId, email: clean, role };
+}
+
+/**
+ * Remove a member from a listing. The last owner can't be removed — an admin
+ * revoke handles that.
+ */
+async function removeTeamMember(sequelize, supplierId, userId) {
+  const [rows] = await sequelize.query(`
+    DELETE FROM supplier_user_roles r
+    WHERE r.supplier_id = :supplierId AND r.supplier_user_id = :userId
+      AND (r.role <> 'owner' OR EXISTS (
+        SELECT 1 FROM supplier_user_roles o
+        WHERE o.supplier_id = r.supplier_id AND o.role = 'owner' AND o.supplier_user_id <> r.supplier_user_id
+      ))
+    RETURNING id
+  `, { replacements: { supplierId, userId } });
+
+  if (rows.length === 0) return { error: 'Not removed — they may be the only owner' };
+  return { removed: true };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_PURPOSE,
+  can,
+  normalizeEmail,
+  hashCode,
+  buildBranchGroups,
+  loadBranchGroups,
+  requestLoginCode,
+  verifyLoginCode,
+  listAccess,
+  roleFor,
+  ownsAllBranches,
+  createSession,
+  revokeSession,
+  listTeam,
+  addTeamMember,
+  removeTeamMember,
+};
@@ -0,0 +1,199 @@
+// src/services/supplierAccounts.test.js
+//
+// Supplier team accounts (V3.11.0): role permissions, branch expansion from
+// multi-branch scrape-config entries, one-time code issue / verify, team
+// membership guards, and validateMagicLink accepting team sessions.
+// Fake sequelize; no DB needed.
+//
+// Run: node src/services/supplierAccounts.test.js
+
+const {
+  can,
+  normalizeEmail,
+  hashCode,
+  buildBranchGroups,
+  requestLoginCode,
+  verifyLoginCode,
+  listAccess,
+  ownsAllBranches,
+  createSession,
+  addTeamMember,
+  removeTeamMember,
+} = require('./supplierAccounts');
+const { validateMagicLink } = require('../lib/validate-magic-link');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const AUGUSTA = { id: 'aaaaaaaa-0000-4000-8000-000000000001', name: 'CN Brown Augusta', slug: 'cn-brown-augusta', city: 'Augusta', state: 'ME' };
+const BREWER = { id: 'aaaaaaaa-0000-4000-8000-000000000002', name: 'CN Brown Brewer', slug: 'cn-brown-brewer', city: 'Brewer', state: 'ME' };
+const ACME = { id: 'aaaaaaaa-0000-4000-8000-000000000003', name: 'Acme Oil', slug: 'acme-oil', city: 'Hartford', state: 'CT' };
+const GROUPS = buildBranchGroups({
+  _comment: 'x',
+  'cnbrownenergy.com': { branches: { 'cn-brown-augusta': {}, 'cn-brown-brewer': {} } },
+  'acmeoil.com': { postalCodesServed: ['06001'] },
+});
+
+(async () => {
+  try {
+    console.log('\n=== roles ===');
+    eq([can('owner', 'team'), can('pricing', 'price'), can('pricing', 'profile'), can('viewer', 'price'), can(null, 'view')],
+      [true, true, false, false, false], 'permission matrix');
+    eq([normalizeEmail('  Office@Acme.COM '), normalizeEmail('nope')], ['office@acme.com', null], 'emails lowercased / rejected');
+    eq(GROUPS.get('cn-brown-brewer'), ['cn-brown-augusta', 'cn-brown-brewer'], 'branch groups keyed by slug');
+    eq(GROUPS.has('acme-oil'), false, 'single-branch entries have no group');
+
+    console.log('\n=== listAccess ===');
+    let db = fakeSequelize((sql) => {
+      if (/FROM supplier_user_roles r/.test(sql)) return [[{ ...AUGUSTA, role: 'pricing', include_branches: true }, { ...ACME, role: 'viewer', include_branches: true }]];
+      if (/slug IN \(:slugs\)/.test(sql)) return [[AUGUSTA, BREWER]];
+    });
+    eq((await listAccess(db, USER_ID, GROUPS)).map(l => [l.slug, l.role]),
+      [['acme-oil', 'viewer'], ['cn-brown-augusta', 'pricing'], ['cn-brown-brewer', 'pricing']], 'include_branches reaches sibling branches');
+    eq(db.calls[1].opts.replacements.slugs, ['cn-brown-augusta', 'cn-brown-brewer'], 'only grouped slugs looked up');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_user_roles r/.test(sql)) return [[{ ...BREWER, role: 'owner', include_branches: false }, { ...AUGUSTA, role: 'viewer', include_branches: true }]];
+      if (/slug IN \(:slugs\)/.test(sql)) return [[AUGUSTA, BREWER]];
+    });
+    eq((await listAccess(db, USER_ID, GROUPS)).map(l => [l.slug, l.role]),
+      [['cn-brown-augusta', 'viewer'], ['cn-brown-brewer', 'owner']], 'strongest role wins');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_user_roles r/.test(sql)) return [[{ ...AUGUSTA, role: 'owner', include_branches: false }]];
+    });
+    eq((await listAccess(db, USER_ID, GROUPS)).length, 1, 'without include_branches only the listing itself');
+    eq(db.calls.length, 1, 'no branch lookup');
+
+    db = fakeSequelize((sql) => {
+      if (/r.include_branches = true/.test(sql)) return [[{ slug: AUGUSTA.slug }]];
+    });
+    eq([await ownsAllBranches(db, USER_ID, BREWER.slug, GROUPS), await ownsAllBranches(db, USER_ID, ACME.slug, GROUPS)],
+      [true, false], 'all-branches owner covers siblings only');
+    eq(/r.role = 'owner'/.test(db.calls[0].sql), true, 'only owner rows count');
+    eq(await ownsAllBranches(fakeSequelize(() => null), USER_ID, AUGUSTA.slug, GROUPS), false, 'owner without include_branches can\'t grant all branches');
+
+    console.log('\n=== one-time codes ===');
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_users su/.test(sql)) return [[{ id: USER_ID, email: 'office@acme.com', name: 'Pat', recent_codes: '0' }]];
+    });
+    const issued = await requestLoginCode(db, 'Office@Acme.com', { ip: '1.2.3.4' });
+    eq([issued.user.email, /^\d{6}$/.test(issued.code)], ['office@acme.com', true], '6-digit code issued');
+    eq(db.calls.some(c => /consumed_at/.test(c.sql)), false, 'earlier codes stay valid until they expire');
+    eq(db.calls[1].opts.replacements.codeHash, hashCode(USER_ID, issued.code), 'only the hash is stored');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_users su/.test(sql)) return [[{ id: USER_ID, email: 'office@acme.com', recent_codes: '5' }]];
+    });
+    eq(await requestLoginCode(db, 'office@acme.com'), { throttled: true }, 'hourly cap');
+    db = fakeSequelize(() => [[]]);
+    eq(await requestLoginCode(db, 'stranger@example.com'), null, 'unknown email → null, nothing stored');
+    eq(db.calls.length, 1, 'no code written for unknown email');
+
+    const codeRow = { user_id: USER_ID, email: 'office@acme.com', name: 'Pat', code_id: 'c-1', code_hash: hashCode(USER_ID, '123456'), attempts: 0 };
+    db = fakeSequelize((sql) => { if (/JOIN supplier_login_codes/.test(sql)) return [[codeRow]]; });
+    eq(await verifyLoginCode(db, 'office@acme.com', '123 456'), { id: USER_ID, email: 'office@acme.com', name: 'Pat' }, 'right code signs in');
+    if (/SET consumed_at = NOW\(\) WHERE id = :codeId/.test(db.calls[1].sql)) pass('code consumed');
+    else fail('code consumed', db.calls[1].sql);
+
+    db = fakeSequelize((sql) => { if (/JOIN supplier_login_codes/.test(sql)) return [[codeRow]]; });
+    eq(await verifyLoginCode(db, 'office@acme.com', '654321'), null, 'wrong code rejected');
+    if (/SET attempts = attempts \+ 1/.test(db.calls[1].sql)) pass('miss counted');
+    else fail('miss counted', db.calls[1].sql);
+
+    const olderRow = { ...codeRow, code_id: 'c-0', code_hash: hashCode(USER_ID, '111111'), attempts: 1 };
+    db = fakeSequelize((sql) => { if (/JOIN supplier_login_codes/.test(sql)) return [[codeRow, olderRow]]; });
+    eq((await verifyLoginCode(db, 'office@acme.com', '111111'))?.id, USER_ID, 'an earlier outstanding code still signs in');
+    eq(db.calls[1].opts.replacements.codeId, 'c-0', 'only the matching code consumed');
+    db = fakeSequelize((sql) => { if (/JOIN supplier_login_codes/.test(sql)) return [[codeRow, olderRow]]; });
+    await verifyLoginCode(db, 'office@acme.com', '999999');
+    eq(db.calls[1].opts.replacements.codeIds, ['c-1', 'c-0'], 'a miss counts against every outstanding code');
+
+    db = fakeSequelize((sql) => { if (/JOIN supplier_login_codes/.test(sql)) return [[{ ...codeRow, attempts: 5 }]]; });
+    eq(await verifyLoginCode(db, 'office@acme.com', '123456'), null, 'locked after 5 misses even with the right code');
+    eq(await verifyLoginCode(db, 'office@acme.com', 'abc'), null, 'malformed code never queried');
+
+    console.log('\n=== sessions + team ===');
+    db = fakeSequelize(() => null);
+    const session = await createSession(db, USER_ID, ACME.id);
+    eq([session.token.length, db.calls[0].opts.replacements.userId], [64, USER_ID], 'session token stored with its user');
+    if (/'supplier_session'/.test(db.calls[0].sql)) pass('session purpose');
+    else fail('session purpose', db.calls[0].sql);
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO supplier_users/.test(sql)) return [[{ id: USER_ID }]];
+      if (/role = 'owner'/.test(sql)) return [[{ supplier_user_id: USER_ID }]];
+    });
+    eq(await addTeamMember(db, { supplierId: ACME.id, email: 'office@acme.com', role: 'viewer' }),
+      { error: 'A listing needs at least one owner' }, 'last owner can\'t demote themselves');
+    eq(db.calls.some(c => /INSERT INTO supplier_user_roles/.test(c.sql)), false, 'role untouched');
+
+    db = fakeSequelize((sql) => {
+      if (/INSERT INTO supplier_users/.test(sql)) return [[{ id: 'u-2' }]];
+      if (/role = 'owner'/.test(sql)) return [[{ supplier_user_id: USER_ID }]];
+    });
+    eq(await addTeamMember(db, { supplierId: ACME.id, email: 'Driver@Acme.com', role: 'pricing', includeBranches: true, invitedBy: USER_ID }),
+      { userId: 'u-2', email: 'driver@acme.com', role: 'pricing' }, 'member added');
+    eq(db.calls[2].opts.replacements.includeBranches, true, 'branch scope stored');
+    eq((await addTeamMember(db, { supplierId: ACME.id, email: 'x@acme.com', role: 'admin' })).error, 'Role must be one of owner, pricing, viewer', 'unknown role');
+
+    db = fakeSequelize(() => [[]]);
+    eq(await removeTeamMember(db, ACME.id, USER_ID), { error: 'Not removed — they may be the only owner' }, 'only owner kept');
+    if (/r.role <> 'owner' OR EXISTS/.test(db.calls[0].sql)) pass('owner removal needs another owner');
+    else fail('owner removal needs another owner', db.calls[0].sql);
+
+    console.log('\n=== validateMagicLink ===');
+    const future = new Date(Date.now() + 86400000).toISOString();
+    const tokenRow = (over) => ({
+      token_id: 't-1', purpose: 'supplier_session', supplier_id: ACME.id, expires_at: future, revoked_at: null,
+      supplier_name: 'Acme Oil', user_id: USER_ID, user_email: 'office@acme.com', user_disabled_at: null, ...over,
+    });
+    db = fakeSequelize((sql) => {
+      if (/FROM magic_link_tokens mlt/.test(sql)) return [[tokenRow()]];
+      if (/FROM supplier_user_roles r/.test(sql)) return [[{ ...ACME, role: 'pricing', include_branches: false }]];
+    });
+    let v = await validateMagicLink(db, 'tok', null, { supplierId: ACME.id });
+    eq([v.valid, v.isSession, v.role, v.userEmail], [true, true, 'pricing', 'office@acme.com'], 'session resolves the role for the listing');
+    eq(db.calls[0].opts.replacements.requestedId, ACME.id, 'requested listing joined');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM magic_link_tokens mlt/.test(sql)) return [[tokenRow()]];
+      return [[]];
+    });
+    v = await validateMagicLink(db, 'tok', null, { supplierId: ACME.id });
+    eq([v.valid, v.status], [false, 'forbidden'], 'no role on that listing');
+    eq((await validateMagicLink(db, 'tok', null, { supplierId: "x' OR 1=1" })).status, 'forbidden', 'malformed supplierId refused before querying');
+
+    db = fakeSequelize(() => [[tokenRow({ purpose: 'supplier_price_update', user_id: null, user_email: null })]]);
+    v = await validateMagicLink(db, 'tok', null);
+    eq([v.valid, v.isSession, v.role, v.userId], [true, false, 'owner', null], 'claim magic link acts as owner');
+    v = await validateMagicLink(db, 'tok', null, { supplierId: BREWER.id });
+    eq(v.status, 'forbidden', 'magic link can\'t open another listing');
+
+    db = fakeSequelize(() => [[tokenRow({ user_disabled_at: '2026-10-01' })]]);
+    eq((await validateMagicLink(db, 'tok', null)).status, 'disabled', 'disabled user locked out');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
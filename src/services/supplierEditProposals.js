@@ -0,0 +1,531 @@
+/**
+ * Supplier Edit Proposals — self-service profile edits with admin approval
+ * V3.10.0: A claimed supplier can propose changes to hours, delivery options,
+ * delivery model, fuels, minimum gallons and service ZIPs from the magic-link
+ * dashboard. Each submission is stored as a diff ({ column: { from, to } })
+ * in supplier_edit_proposals; nothing reaches the listing until an admin
+ * approves it.
+ *
+ * Service ZIPs are never written to suppliers.postal_codes_served — from
+ * migration 100 on ScrapeConfigSync owns that column. Approving a ZIP change
+ * instead produces a scrape-config.json patch (stored on the proposal);
+ * scripts/apply-coverage-patches.js folds approved patches into the JSON for
+ * an operator to commit, and the next sync applies them.
+ */
+
+const FUEL_TYPES = ['heating_oil', 'kerosene', 'propane'];
+const YES_NO = ['yes', 'no', 'unknown'];
+const DELIVERY_MODELS = ['cod', 'contract'];
+const MIN_GALLONS = 50;
+const MAX_GALLONS = 500;
+const MAX_ZIPS = 500;
+const HOURS_FIELDS = ['hours_weekday', 'hours_saturday', 'hours_sunday'];
+
+// Column → API key, label and value type. Order is the order shown to admins.
+const FIELDS = {
+  hours_weekday: { key: 'hoursWeekday', label: 'Weekday hours', type: 'hours' },
+  hours_saturday: { key: 'hoursSaturday', label: 'Saturday hours', type: 'hours' },
+  hours_sunday: { key: 'hoursSunday', label: 'Sunday hours', type: 'hours' },
+  weekend_delivery: { key: 'weekendDelivery', label: 'Weekend delivery', type: 'yesNo' },
+  emergency_delivery: { key: 'emergencyDelivery', label: 'Emergency delivery', type: 'yesNo' },
+  emergency_phone: { key: 'emergencyPhone', label: 'Emergency phone', type: 'phone' },
+  delivery_model: { key: 'deliveryModel', label: 'Delivery model', type: 'deliveryModel' },
+  fuel_types: { key: 'fuelTypes', label: 'Fuels', type: 'fuels' },
+  minimum_gallons: { key: 'minimumGallons', label: 'Minimum gallons', type: 'gallons' },
+  postal_codes_served: { key: 'postalCodesServed', label: 'Service ZIPs', type: 'zips' },
+};
+const COLUMNS = Object.keys(FIELDS);
+
+// ─── Validation ────────────────────────────────────────────────
+
+function toList(raw) {
+  if (Array.isArray(raw)) return raw.map(v => String(v).trim()).filter(Boolean);
+  if (typeof raw === 'string') return raw.split(/[\s,]+/).filter(Boolean);
+  return null;
+}
+
+/**
+ * Normalize one submitted value
+ * @returns {{ value } | { error: string }}
+ */
+function normalizeValue(type, raw) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+
+  switch (type) {
+    case 'hours':
+      if (text.length > 50) return { error: 'must be 50 characters or fewer' };
+      return { value: text || null };
+
+    case 'phone': {
+      if (!text) return { value: null };
+      const digits = text.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+      if (digits.length !== 10) return { error: 'must be a 10-digit phone number' };
+      return { value: `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` };
+    }
+
+    case 'yesNo':
+      if (!YES_NO.includes(text.toLowerCase())) return { error: `must be one of ${YES_NO.join(', ')}` };
+      return { value: text.toLowerCase() };
+
+    case 'deliveryModel':
+      if (!DELIVERY_MODELS.includes(text.toLowerCase())) return { error: `must be one of ${DELIVERY_MODELS.join(', ')}` };
+      return { value: text.toLowerCase() };
+
+    case 'fuels': {
+      const list = toList(raw);
+      if (!list || list.length === 0) return { error: 'must list at least one fuel' };
+      const bad = list.filter(f => !FUEL_TYPES.includes(f));
+      if (bad.length) return { error: `unknown fuel ${bad[0]} (use ${FUEL_TYPES.join(', ')})` };
+      return { value: FUEL_TYPES.filter(f => list.includes(f)) };
+    }
+
+    case 'gallons': {
+      if (!text) return { value: null };
+      const n = Number(text);
+      if (!Number.isInteger(n) || n < MIN_GALLONS || n > MAX_GALLONS) {
+        return { error: `must be a whole number between ${MIN_GALLONS} and ${MAX_GALLONS}` };
+      }
+      return { value: n };
+    }
+
+    case 'zips': {
+      const list = toList(raw);
+      if (!list || list.length === 0) return { error: 'must list at least one ZIP' };
+      const bad = list.find(z => !/^\d{5}$/.test(z));
+      if (bad) return { error: `"${bad}" is not a 5-digit ZIP` };
+      const zips = [...new Set(list)].sort();
+      if (zips.length > MAX_ZIPS) return { error: `can list at most ${MAX_ZIPS} ZIPs` };
+      return { value: zips };
+    }
+
+    default:
+      return { error: 'is not editable' };
+  }
+}
+
+/**
+ * Validate a supplier's submitted edits (camelCase API keys)
+ * @returns {{ values: Object, errors: string[] }} values keyed by column
+ */
+function normalizeEdits(edits) {
+  const values = {};
+  const errors = [];
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+    return { values, errors: ['No changes submitted'] };
+  }
+
+  const byKey = {};
+  for (const column of COLUMNS) byKey[FIELDS[column].key] = column;
+
+  for (const [key, raw] of Object.entries(edits)) {
+    const column = byKey[key];
+    if (!column) {
+      errors.push(`${key} can't be edited here`);
+      continue;
+    }
+    const result = normalizeValue(FIELDS[column].type, raw);
+    if (result.error) errors.push(`${FIELDS[column].label} ${result.error}`);
+    else values[column] = result.value;
+  }
+  return { values, errors };
+}
+
+// ─── Diffing ───────────────────────────────────────────────────
+
+/**
+ * Current value of a column as stored, in the same shape normalizeValue returns
+ */
+function currentValue(column, row) {
+  const raw = row ? row[column] : null;
+  const type = FIELDS[column].type;
+  if (type === 'fuels' || type === 'zips') {
+    let list = raw;
+    if (typeof list === 'string') {
+      try { list = JSON.parse(list); } catch (e) { list = []; }
+    }
+    list = Array.isArray(list) ? list.map(String) : [];
+    return type === 'zips' ? [...new Set(list)].sort() : FUEL_TYPES.filter(f => list.includes(f));
+  }
+  if (type === 'gallons') return raw === null || raw === undefined ? null : Number(raw);
+  return raw === undefined || raw === '' ? null : raw;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Diff normalized values against the supplier row — unchanged fields dropped
+ * @returns {Object} { column: { from, to } }
+ */
+function diffProfile(row, values) {
+  const changes = {};
+  for (const column of COLUMNS) {
+    if (!(column in values)) continue;
+    const from = currentValue(column, row);
+    if (!sameValue(from, values[column])) changes[column] = { from, to: values[column] };
+  }
+  return changes;
+}
+
+/**
+ * Diff entries in display order, each compared with the live value so an
+ * admin can see when the listing moved on after the supplier submitted
+ */
+function describeChanges(changes, row) {
+  return COLUMNS.filter(column => changes && changes[column]).map(column => {
+    const { from, to } = changes[column];
+    const entry = { field: FIELDS[column].key, label: FIELDS[column].label, from, to };
+    if (row) {
+      entry.current = currentValue(column, row);
+      entry.stale = !sameValue(entry.current, from);
+    }
+    if (FIELDS[column].type === 'zips') {
+      const before = new Set(from || []);
+      const after = new Set(to || []);
+      entry.added = to.filter(z => !before.has(z));
+      entry.removed = (from || []).filter(z => !after.has(z));
+    }
+    return entry;
+  });
+}
+
+// ─── scrape-config.json patch ──────────────────────────────────
+
+function normalizeDomain(domain) {
+  return String(domain)
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/.*$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Patch that makes ScrapeConfigSync apply a service-ZIP change. Matches the
+ * supplier the way the sync does: a branch keyed by slug, else the entry for
+ * its website domain. Removals need postalCodesOverride — the default sync is
+ * a union merge that never drops ZIPs.
+ * @param {Object} config - Parsed scrape-config.json
+ * @param {Object} supplier - { slug, website }
+ * @param {{ from: string[], to: string[] }} change
+ * @returns {{ path: string[], set: Object, added: string[], removed: string[] } | { error: string }}
+ */
+function buildScrapeConfigPatch(config, supplier, change) {
+  const after = new Set(change.to);
+  const before = new Set(change.from || []);
+  const added = change.to.filter(z => !before.has(z));
+  const removed = (change.from || []).filter(z => !after.has(z));
+
+  const set = { postalCodesServed: change.to };
+  if (removed.length) set.postalCodesOverride = true;
+
+  const entries = Object.entries(config || {}).filter(([domain]) => !domain.startsWith('_'));
+  const branch = entries.find(([, cfg]) => cfg && cfg.branches && supplier.slug && cfg.branches[supplier.slug]);
+  if (branch) {
+    return { path: [branch[0], 'branches', supplier.slug], set, added, removed };
+  }
+
+  if (!supplier.website) {
+    return { error: 'Supplier has no website, so there is no scrape-config.json entry to carry its ZIPs' };
+  }
+  const domain = normalizeDomain(supplier.website);
+  const existing = entries.find(([key]) => normalizeDomain(key) === domain);
+  if (existing) {
+    return { path: [existing[0]], set, added, removed };
+  }
+
+  // No entry yet: a coverage-only entry, same shape as the COD batch (175)
+  return {
+    path: [domain],
+    set: { enabled: false, pattern: 'none', notes: `Coverage from ${supplier.name || domain} self-service edit`, ...set },
+    added,
+    removed
+  };
+}
+
+/** The config object a patch path points at, or null if it isn't there yet */
+function patchTarget(config, patch) {
+  let node = config;
+  for (const key of patch.path) {
+    if (!node || typeof node !== 'object' || !node[key]) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Whether scrape-config.json already carries a patch (every `set` key equal)
+ */
+function isConfigPatchApplied(config, patch) {
+  const target = patchTarget(config, patch);
+  if (!target) return false;
+  return Object.entries(patch.set).every(([key, value]) => JSON.stringify(target[key]) === JSON.stringify(value));
+}
+
+/**
+ * Write a patch into a parsed scrape-config.json (in place), creating the
+ * entry when the path doesn't exist yet
+ */
+function applyConfigPatch(config, patch) {
+  let node = config;
+  for (const key of patch.path) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  Object.assign(node, patch.set);
+  return config;
+}
+
+// ─── Storage ───────────────────────────────────────────────────
+
+const PROFILE_SELECT = `
+  SELECT id, name, slug, website, ${COLUMNS.join(', ')}
+  FROM suppliers
+  WHERE id = :supplierId
+`;
+
+/**
+ * Editable profile (camelCase) plus the supplier's pending proposal, if any
+ */
+async function getProfile(sequelize, supplierId) {
+  const [[row], [pending]] = await Promise.all([
+    sequelize.query(PROFILE_SELECT, { replacements: { supplierId } }),
+    sequelize.query(`
+      SELECT id, changes, created_at
+      FROM supplier_edit_proposals
+      WHERE supplier_id = :supplierId AND status = 'pending'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, { replacements: { supplierId } })
+  ]);
+
+  const profile = {};
+  for (const column of COLUMNS) profile[FIELDS[column].key] = currentValue(column, row[0]);
+
+  const proposal = pending[0];
+  return {
+    profile,
+    pending: proposal ? {
+      id: proposal.id,
+      submittedAt: proposal.created_at,
+      changes: describeChanges(proposal.changes)
+    } : null
+  };
+}
+
+/**
+ * Store a supplier's proposed edits. A newer submission supersedes any
+ * proposal still waiting for review.
+ * @returns {{ errors?: string[], proposalId?: string, changes?: Object[] }}
+ *   proposalId is null when nothing differs from the live listing
+ */
+async function proposeEdits(sequelize, { supplierId, edits, tokenId = null, userId = null, ip = null }) {
+  const { values, errors } = normalizeEdits(edits);
+  if (errors.length) return { errors };
+
+  const [rows] = await sequelize.query(PROFILE_SELECT, { replacements: { supplierId } });
+  const changes = diffProfile(rows[0], values);
+  if (Object.keys(changes).length === 0) {
+    return { proposalId: null, changes: [] };
+  }
+
+  await sequelize.query(`
+    UPDATE supplier_edit_proposals
+    SET status = 'superseded', updated_at = NOW()
+    WHERE supplier_id = :supplierId AND status = 'pending'
+  `, { replacements: { supplierId } });
+
+  const [inserted] = await sequelize.query(`
+    INSERT INTO supplier_edit_proposals (supplier_id, changes, token_id, submitted_by_user_id, submitted_ip)
+    VALUES (:supplierId, CAST(:changes AS jsonb), :tokenId, :userId, :ip)
+    RETURNING id
+  `, { replacements: { supplierId, changes: JSON.stringify(changes), tokenId, userId, ip } });
+
+  return { proposalId: inserted[0].id, changes: describeChanges(changes) };
+}
+
+/**
+ * Admin queue — proposals with their diff against the live listing
+ */
+async function listProposals(sequelize, { status = 'pending', limit = 100 } = {}) {
+  const [rows] = await sequelize.query(`
+    SELECT p.id, p.supplier_id, p.changes, p.status, p.created_at,
+           p.reviewed_by, p.reviewed_at, p.review_notes, p.config_patch,
+           su.email as submitted_by_email,
+           s.name, s.slug, s.city, s.state, s.website, ${COLUMNS.map(c => `s.${c}`).join(', ')}
+    FROM supplier_edit_proposals p
+    JOIN suppliers s ON s.id = p.supplier_id
+    LEFT JOIN supplier_users su ON su.id = p.submitted_by_user_id
+    WHERE p.status = :status
+    ORDER BY p.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+    LIMIT :limit
+  `, { replacements: { status, limit } });
+
+  const [counts] = await sequelize.query(`
+    SELECT status, COUNT(*) as count
+    FROM supplier_edit_proposals
+    GROUP BY status
+  `);
+  const statusCounts = {};
+  counts.forEach(c => { statusCounts[c.status] = parseInt(c.count); });
+
+  return {
+    proposals: rows.map(r => ({
+      id: r.id,
+      supplier: { id: r.supplier_id, name: r.name, slug: r.slug, city: r.city, state: r.state, website: r.website },
+      status: r.status,
+      submittedAt: r.created_at,
+      submittedBy: r.submitted_by_email || null,
+      reviewedBy: r.reviewed_by,
+      reviewedAt: r.reviewed_at,
+      reviewNotes: r.review_notes,
+      configPatch: r.config_patch,
+      changes: describeChanges(r.changes, r)
+    })),
+    counts: statusCounts
+  };
+}
+
+/**
+ * Approve a pending proposal: write the supplier columns and, for a ZIP
+ * change, record the scrape-config.json patch instead of touching coverage.
+ * Hours an admin approved count as verified, sourced from the supplier.
+ * @param {Object} opts - { config (parsed scrape-config.json), reviewedBy, notes }
+ * @returns {{ error?: string, status?: number, proposal?: Object, applied?: string[], configPatch?: Object }}
+ */
+async function approveProposal(sequelize, proposalId, { config, reviewedBy = 'admin', notes = null } = {}) {
+  const [rows] = await sequelize.query(`
+    SELECT p.id, p.supplier_id, p.changes, p.status, s.name, s.slug, s.website
+    FROM supplier_edit_proposals p
+    JOIN suppliers s ON s.id = p.supplier_id
+    WHERE p.id = :proposalId
+  `, { replacements: { proposalId } });
+
+  const proposal = rows[0];
+  if (!proposal) return { error: 'Proposal not found', status: 404 };
+  if (proposal.status !== 'pending') return { error: `Proposal is already ${proposal.status}`, status: 400 };
+
+  const changes = proposal.changes || {};
+  let configPatch = null;
+  if (changes.postal_codes_served) {
+    configPatch = buildScrapeConfigPatch(config, proposal, changes.postal_codes_served);
+    if (configPatch.error) return { error: configPatch.error, status: 409 };
+  }
+
+  // Claim it first so two admins can't both apply it; the claim and the
+  // supplier update commit together
+  const t = await sequelize.transaction();
+  try {
+    const [claimed] = await sequelize.query(`
+      UPDATE supplier_edit_proposals
+      SET status = 'approved', reviewed_by = :reviewedBy, reviewed_at = NOW(),
+          review_notes = :notes, config_patch = CAST(:configPatch AS jsonb), updated_at = NOW()
+      WHERE id = :proposalId AND status = 'pending'
+      RETURNING id
+    `, {
+      replacements: {
+        proposalId,
+        reviewedBy,
+        notes: notes || null,
+        configPatch: configPatch ? JSON.stringify(configPatch) : null
+      },
+      transaction: t
+    });
+    if (claimed.length === 0) {
+      await t.rollback();
+      return { error: 'Proposal was already reviewed', status: 400 };
+    }
+
+    const applied = COLUMNS.filter(c => c !== 'postal_codes_served' && changes[c]);
+    if (applied.length) {
+      const setClauses = [];
+      const replacements = { supplierId: proposal.supplier_id };
+      for (const column of applied) {
+        const type = FIELDS[column].type;
+        if (type === 'fuels') {
+          setClauses.push(`${column} = CAST(:${column} AS jsonb)`);
+          replacements[column] = JSON.stringify(changes[column].to);
+        } else {
+          setClauses.push(`${column} = :${column}`);
+          replacements[column] = changes[column].to;
+        }
+      }
+      if (applied.some(c => HOURS_FIELDS.includes(c))) {
+        setClauses.push(`hours_source = 'self_reported'`, 'hours_verified_at = NOW()');
+      }
+      setClauses.push('updated_at = NOW()');
+
+      await sequelize.query(`
+        UPDATE suppliers
+        SET ${setClauses.join(', ')}
+        WHERE id = :supplierId
+      `, { replacements, transaction: t });
+    }
+
+    await t.commit();
+    return {
+      proposal: { id: proposal.id, supplierId: proposal.supplier_id, supplierName: proposal.name, supplierSlug: proposal.slug },
+      applied: applied.map(c => FIELDS[c].key),
+      configPatch
+    };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Approved ZIP patches scrape-config.json doesn't carry yet, newest approval
+ * per path only (a later approval for the same entry supersedes earlier ones)
+ * @param {Object} config - parsed scrape-config.json
+ * @returns {Promise<Array<{ proposalId, supplierName, reviewedAt, patch }>>}
+ */
+async function listPendingConfigPatches(sequelize, config) {
+  const [rows] = await sequelize.query(`
+    SELECT p.id, p.config_patch, p.reviewed_at, s.name
+    FROM supplier_edit_proposals p
+    JOIN suppliers s ON s.id = p.supplier_id
+    WHERE p.status = 'approved' AND p.config_patch IS NOT NULL
+    ORDER BY p.reviewed_at ASC
+  `);
+
+  const latest = new Map();
+  for (const row of rows) {
+    latest.set(JSON.stringify(row.config_patch.path), row);
+  }
+  return [...latest.values()]
+    .filter(row => !isConfigPatchApplied(config, row.config_patch))
+    .map(row => ({ proposalId: row.id, supplierName: row.name, reviewedAt: row.reviewed_at, patch: row.config_patch }));
+}
+
+/**
+ * Reject a pending proposal
+ * @returns {Object|null} { id, supplierId } or null if nothing was pending
+ */
+async function rejectProposal(sequelize, proposalId, { reviewedBy = 'admin', reason = null } = {}) {
+  const [rows] = await sequelize.query(`
+    UPDATE supplier_edit_proposals
+    SET status = 'rejected', reviewed_by = :reviewedBy, reviewed_at = NOW(),
+        review_notes = :reason, updated_at = NOW()
+    WHERE id = :proposalId AND status = 'pending'
+    RETURNING id, supplier_id
+  `, { replacements: { proposalId, reviewedBy, reason: reason || null } });
+
+  return rows[0] ? { id: rows[0].id, supplierId: rows[0].supplier_id } : null;
+}
+
+module.exports = {
+  FIELDS,
+  normalizeEdits,
+  diffProfile,
+  describeChanges,
+  buildScrapeConfigPatch,
+  isConfigPatchApplied,
+  applyConfigPatch,
+  getProfile,
+  proposeEdits,
+  listProposals,
+  approveProposal,
+  listPendingConfigPatches,
+  rejectProposal,
+};
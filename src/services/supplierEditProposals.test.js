@@ -0,0 +1,221 @@
+// src/services/supplierEditProposals.test.js
+//
+// Supplier self-service profile edits (V3.10.0): validation of submitted
+// fields, the stored diff, the scrape-config.json patch that carries ZIP
+// changes (ScrapeConfigSync owns postal_codes_served), the approve / reject
+// statements (approval in one transaction), and the approved patches
+// scripts/apply-coverage-patches.js folds into the JSON. Fake sequelize; no DB
+// needed.
+//
+// Run: node src/services/supplierEditProposals.test.js
+
+const {
+  normalizeEdits,
+  diffProfile,
+  describeChanges,
+  buildScrapeConfigPatch,
+  getProfile,
+  proposeEdits,
+  listProposals,
+  approveProposal,
+  listPendingConfigPatches,
+  isConfigPatchApplied,
+  applyConfigPatch,
+  rejectProposal,
+} = require('./supplierEditProposals');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [], commits: 0, rollbacks: 0 };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  db.transaction = async () => ({ commit: async () => { db.commits++; }, rollback: async () => { db.rollbacks++; } });
+  return db;
+}
+
+const SUPPLIER = {
+  id: 's-1', name: 'Acme Oil', slug: 'acme-oil', website: 'https://www.acmeoil.com/',
+  hours_weekday: '8am-5pm', hours_saturday: null, hours_sunday: null,
+  weekend_delivery: 'unknown', emergency_delivery: 'no', emergency_phone: null,
+  delivery_model: 'cod', fuel_types: ['heating_oil'], minimum_gallons: 100,
+  postal_codes_served: ['06010', '06001'],
+};
+
+(async () => {
+  try {
+    console.log('\n=== normalizeEdits ===');
+    eq(normalizeEdits({
+      hoursSaturday: ' 8am-12pm ', weekendDelivery: 'Yes', emergencyPhone: '1-860-555-0100',
+      fuelTypes: ['propane', 'heating_oil'], minimumGallons: '150', postalCodesServed: '06010, 06001 06010',
+    }), {
+      values: {
+        hours_saturday: '8am-12pm', weekend_delivery: 'yes', emergency_phone: '(860) 555-0100',
+        fuel_types: ['heating_oil', 'propane'], minimum_gallons: 150, postal_codes_served: ['06001', '06010'],
+      },
+      errors: [],
+    }, 'values trimmed, canonical order, ZIPs deduped');
+    eq(normalizeEdits({ hoursSunday: '' }).values, { hours_sunday: null }, 'blank hours clears the field');
+    eq(normalizeEdits({
+      deliveryModel: 'auto', fuelTypes: ['diesel'], minimumGallons: 20, postalCodesServed: ['6010'], name: 'New Name',
+    }).errors, [
+      'Delivery model must be one of cod, contract',
+      'Fuels unknown fuel diesel (use heating_oil, kerosene, propane)',
+      'Minimum gallons must be a whole number between 50 and 500',
+      'Service ZIPs "6010" is not a 5-digit ZIP',
+      'name can\'t be edited here',
+    ], 'bad values and non-editable fields rejected');
+    eq(normalizeEdits(null).errors, ['No changes submitted'], 'missing body');
+
+    console.log('\n=== diff ===');
+    const { values } = normalizeEdits({ hoursWeekday: '8am-5pm', weekendDelivery: 'yes', postalCodesServed: ['06001', '06010', '06002'] });
+    const changes = diffProfile(SUPPLIER, values);
+    eq(changes, {
+      weekend_delivery: { from: 'unknown', to: 'yes' },
+      postal_codes_served: { from: ['06001', '06010'], to: ['06001', '06002', '06010'] },
+    }, 'unchanged fields dropped; stored ZIP order ignored');
+    const described = describeChanges(changes, { ...SUPPLIER, weekend_delivery: 'no' });
+    eq(described.map(c => [c.field, c.stale]), [['weekendDelivery', true], ['postalCodesServed', false]], 'stale when the listing moved on');
+    eq([described[1].added, described[1].removed], [['06002'], []], 'ZIP additions / removals');
+
+    console.log('\n=== scrape-config.json patch ===');
+    const config = {
+      _comment: 'x',
+      'acmeoil.com': { enabled: true, pattern: 'table', postalCodesServed: ['06001', '06010'] },
+      'bigco.com': { branches: { 'acme-oil': { postalCodesServed: ['06001'] } } },
+    };
+    const add = { from: ['06001', '06010'], to: ['06001', '06002', '06010'] };
+    eq(buildScrapeConfigPatch({ 'acmeoil.com': config['acmeoil.com'] }, SUPPLIER, add),
+      { path: ['acmeoil.com'], set: { postalCodesServed: ['06001', '06002', '06010'] }, added: ['06002'], removed: [] },
+      'addition: union merge is enough');
+    eq(buildScrapeConfigPatch({ 'acmeoil.com': {} }, SUPPLIER, { from: ['06001', '06010'], to: ['06001'] }).set,
+      { postalCodesServed: ['06001'], postalCodesOverride: true }, 'removal needs postalCodesOverride');
+    eq(buildScrapeConfigPatch(config, SUPPLIER, add).path, ['bigco.com', 'branches', 'acme-oil'], 'branch matched by slug first');
+    eq(buildScrapeConfigPatch({}, SUPPLIER, add).set.pattern, 'none', 'no entry → coverage-only entry');
+    eq(buildScrapeConfigPatch({}, { ...SUPPLIER, website: null }, add).error,
+      'Supplier has no website, so there is no scrape-config.json entry to carry its ZIPs', 'no website, no entry');
+
+    console.log('\n=== storage ===');
+    let db = fakeSequelize((sql) => {
+      if (/FROM suppliers/.test(sql)) return [[SUPPLIER]];
+      if (/RETURNING id/.test(sql)) return [[{ id: 'p-1' }]];
+    });
+    const proposed = await proposeEdits(db, { supplierId: 's-1', edits: { weekendDelivery: 'yes' }, tokenId: 't-1' });
+    eq([proposed.proposalId, proposed.changes.map(c => c.field)], ['p-1', ['weekendDelivery']], 'proposal stored');
+    if (/SET status = 'superseded'.*supplier_id = :supplierId AND status = 'pending'/.test(db.calls[1].sql)) pass('older pending proposal superseded');
+    else fail('older pending proposal superseded', db.calls[1].sql);
+    eq(JSON.parse(db.calls[2].opts.replacements.changes), { weekend_delivery: { from: 'unknown', to: 'yes' } }, 'diff stored as from / to');
+
+    db = fakeSequelize(() => [[SUPPLIER]]);
+    eq(await proposeEdits(db, { supplierId: 's-1', edits: { deliveryModel: 'COD' } }), { proposalId: null, changes: [] }, 'no-op submission not stored');
+    eq(db.calls.length, 1, 'no writes for a no-op');
+    eq((await proposeEdits(db, { supplierId: 's-1', edits: { minimumGallons: 5 } })).errors.length, 1, 'validation error returned');
+    eq(db.calls.length, 1, 'invalid edits never reach the database');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM suppliers/.test(sql)) return [[SUPPLIER]];
+      return [[{ id: 'p-1', changes: { weekend_delivery: { from: 'unknown', to: 'yes' } }, created_at: '2026-10-19T12:00:00.000Z' }]];
+    });
+    const profile = await getProfile(db, 's-1');
+    eq([profile.profile.postalCodesServed, profile.profile.fuelTypes, profile.pending.changes[0].to], [['06001', '06010'], ['heating_oil'], 'yes'], 'profile + pending proposal');
+
+    db = fakeSequelize((sql) => {
+      if (/GROUP BY status/.test(sql)) return [[{ status: 'pending', count: '2' }]];
+      return [[{ ...SUPPLIER, id: 'p-1', supplier_id: 's-1', status: 'pending', changes: { minimum_gallons: { from: 100, to: 150 } } }]];
+    });
+    const queue = await listProposals(db);
+    eq([queue.counts, queue.proposals[0].changes], [{ pending: 2 }, [{ field: 'minimumGallons', label: 'Minimum gallons', from: 100, to: 150, current: 100, stale: false }]], 'admin queue with live values');
+    if (/ORDER BY p.created_at ASC/.test(db.calls[0].sql)) pass('pending queue oldest first');
+    else fail('pending queue oldest first');
+
+    console.log('\n=== approve / reject ===');
+    const pendingRow = {
+      id: 'p-1', supplier_id: 's-1', status: 'pending', name: 'Acme Oil', slug: 'acme-oil', website: 'acmeoil.com',
+      changes: {
+        hours_saturday: { from: null, to: '8am-12pm' },
+        fuel_types: { from: ['heating_oil'], to: ['heating_oil', 'kerosene'] },
+        postal_codes_served: add,
+      },
+    };
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_edit_proposals p/.test(sql)) return [[pendingRow]];
+      if (/RETURNING id/.test(sql)) return [[{ id: 'p-1' }]];
+    });
+    const approved = await approveProposal(db, 'p-1', { config: { 'acmeoil.com': {} } });
+    eq([approved.applied, approved.configPatch.path], [['hoursSaturday', 'fuelTypes'], ['acmeoil.com']], 'columns applied, ZIPs routed to the config patch');
+    const update = db.calls[2].sql;
+    if (/UPDATE suppliers SET hours_saturday = :hours_saturday, fuel_types = CAST\(:fuel_types AS jsonb\), hours_source = 'self_reported', hours_verified_at = NOW\(\)/.test(update)) pass('approved hours marked self-reported + verified');
+    else fail('approved hours marked self-reported + verified', update);
+    eq(db.calls.some(c => /postal_codes_served\s*=/.test(c.sql)), false, 'postal_codes_served never written');
+    eq(JSON.parse(db.calls[1].opts.replacements.configPatch).set.postalCodesServed, add.to, 'patch recorded on the proposal');
+    eq([db.calls.slice(1).every(c => c.opts.transaction), db.commits, db.rollbacks], [true, 1, 0], 'claim + supplier update in one transaction');
+
+    db = fakeSequelize(() => [[{ ...pendingRow, website: null, slug: 'nope' }]]);
+    eq(await approveProposal(db, 'p-1', { config: {} }), {
+      error: 'Supplier has no website, so there is no scrape-config.json entry to carry its ZIPs', status: 409,
+    }, 'ZIP change with nowhere to go is refused before claiming');
+    eq(db.calls.length, 1, 'nothing written');
+
+    db = fakeSequelize(() => [[{ ...pendingRow, status: 'rejected' }]]);
+    eq(await approveProposal(db, 'p-1'), { error: 'Proposal is already rejected', status: 400 }, 'already reviewed');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_edit_proposals p/.test(sql)) return [[{ ...pendingRow, changes: { delivery_model: { from: 'cod', to: 'contract' } } }]];
+      return [[]];
+    });
+    eq(await approveProposal(db, 'p-1'), { error: 'Proposal was already reviewed', status: 400 }, 'lost the claim race → no supplier update');
+    eq(db.calls.some(c => /UPDATE suppliers/.test(c.sql)), false, 'loser does not apply');
+    eq([db.commits, db.rollbacks], [0, 1], 'lost claim rolled back');
+
+    db = fakeSequelize((sql) => {
+      if (/FROM supplier_edit_proposals p/.test(sql)) return [[pendingRow]];
+      if (/UPDATE suppliers/.test(sql)) throw new Error('deadlock');
+      return [[{ id: 'p-1' }]];
+    });
+    let thrown = null;
+    await approveProposal(db, 'p-1', { config: { 'acmeoil.com': {} } }).catch(e => { thrown = e.message; });
+    eq([thrown, db.commits, db.rollbacks], ['deadlock', 0, 1], 'failed supplier update un-claims the proposal');
+
+    console.log('\n=== approved coverage patches ===');
+    const patch = buildScrapeConfigPatch({ 'acmeoil.com': {} }, SUPPLIER, add);
+    const live = { 'acmeoil.com': { enabled: true, pattern: 'table', postalCodesServed: ['06001', '06010'] } };
+    eq(isConfigPatchApplied(live, patch), false, 'unapplied patch detected');
+    applyConfigPatch(live, patch);
+    eq([live['acmeoil.com'].postalCodesServed, live['acmeoil.com'].pattern, isConfigPatchApplied(live, patch)], [add.to, 'table', true], 'patch merged into the entry');
+    const fresh = applyConfigPatch({}, { path: ['bigco.com', 'branches', 'acme-oil'], set: { postalCodesServed: ['06001'] } });
+    eq(fresh, { 'bigco.com': { branches: { 'acme-oil': { postalCodesServed: ['06001'] } } } }, 'missing path created');
+
+    const older = { ...patch, set: { postalCodesServed: ['06001'] } };
+    db = fakeSequelize(() => [[
+      { id: 'p-0', name: 'Acme Oil', reviewed_at: '2026-10-01', config_patch: older },
+      { id: 'p-1', name: 'Acme Oil', reviewed_at: '2026-10-02', config_patch: patch },
+      { id: 'p-2', name: 'Bravo Fuel', reviewed_at: '2026-10-03', config_patch: { path: ['bravo.com'], set: { postalCodesServed: ['06010'] }, added: [], removed: [] } },
+    ]]);
+    const pendingPatches = await listPendingConfigPatches(db, { 'acmeoil.com': { postalCodesServed: ['06001'] }, 'bravo.com': { postalCodesServed: ['06010'] } });
+    eq(pendingPatches.map(p => p.proposalId), ['p-1'], 'newest approval per entry, applied ones dropped');
+    if (/WHERE p.status = 'approved' AND p.config_patch IS NOT NULL ORDER BY p.reviewed_at ASC/.test(db.calls[0].sql)) pass('approved patches oldest first');
+    else fail('approved patches oldest first', db.calls[0].sql);
+
+    db = fakeSequelize(() => [[{ id: 'p-1', supplier_id: 's-1' }]]);
+    eq(await rejectProposal(db, 'p-1', { reason: 'Hours look wrong' }), { id: 'p-1', supplierId: 's-1' }, 'rejected');
+    eq(db.calls[0].opts.replacements.reason, 'Hours look wrong', 'reason stored');
+    db = fakeSequelize(() => [[]]);
+    eq(await rejectProposal(db, 'p-9'), null, 'nothing pending → null');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
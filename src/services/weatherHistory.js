@@ -0,0 +1,450 @@
+/**
+ * Weather History — daily temperatures and heating degree days per location
+ * V3.7.0: Replaces degree days computed from a single instantaneous
+ * OpenWeather reading with accumulated daily HDD from weather_daily.
+ *
+ * Locations are counties keyed '<STATE>:<County>' (the same keys as
+ * hdd-by-county.json, resolved through us-zip-lookup.json), or 'zip3:<prefix>'
+ * for ZIPs the lookup doesn't know. Two sources fill the table:
+ *   - noaa         GHCN-Daily CSV exports (scripts/import-noaa-weather.js);
+ *                  authoritative, overwrites anything else for that day
+ *   - openweather  running min/max of live lookups (GET /api/weather/current);
+ *                  never overwrites a NOAA day
+ *
+ * Degree-day queries fill days with no row from 30-year normals and report
+ * how many days were observed vs filled.
+ *
+ * V3.7.1: Season-to-date view (heating season starts July 1) for the
+ * heating-cost API: observed departure from normal plus a full-season
+ * projection (actual so far + normal for the rest).
+ *
+ * V3.22.5: Regional daily temperatures for the dashboards, stable when only
+ * some counties report on a given day (regionalDailyWeather).
+ */
+
+const usZipLookup = require('../data/us-zip-lookup.json');
+const { getHDD } = require('../data/energy-rates');
+const { normalDailyHDD, BASE_TEMP_F } = require('./consumptionModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+const UPSERT_BATCH = 500;
+
+/**
+ * Weather location for a ZIP
+ * @param {string} zip
+ * @returns {{ key: string, state: string|null, county: string|null, annualHDD: number, normalsSource: string }}
+ */
+function locationForZip(zip) {
+  const info = usZipLookup[zip];
+  const { hdd, source } = getHDD({ state: info && info.state, county: info && info.county });
+  return info
+    ? { key: `${info.state}:${info.county}`, state: info.state, county: info.county, annualHDD: hdd, normalsSource: source }
+    : { key: `zip3:${String(zip).slice(0, 3)}`, state: null, county: null, annualHDD: hdd, normalsSource: source };
+}
+
+/**
+ * HDD for one day from its high/low (°F). Falls back to avg when one bound is missing.
+ */
+function hddFromTemps(high, low, avg = null) {
+  const mean = high != null && low != null ? (high + low) / 2 : avg;
+  if (mean == null || Number.isNaN(mean)) return null;
+  return Math.round(Math.max(0, BASE_TEMP_F - mean) * 100) / 100;
+}
+
+// ─── NOAA CSV ──────────────────────────────────────────────────
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parse an NCEI Climate Data Online "Daily Summaries" CSV (GHCN-Daily).
+ * Needs STATION, DATE and TMAX/TMIN (TAVG optional); other columns ignored.
+ * @param {string} text - CSV content
+ * @param {object} options
+ * @param {string} options.units - 'standard' (°F, default) or 'metric' (°C)
+ * @returns {{ rows: Array<{ station, date, high, low, avg }>, skipped: number }}
+ */
+function parseNoaaCsv(text, { units = 'standard' } = {}) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length === 0) return { rows: [], skipped: 0 };
+
+  const header = parseCsvLine(lines[0]).map(h => h.trim().toUpperCase());
+  const col = (name) => header.indexOf(name);
+  const [iStation, iDate, iMax, iMin, iAvg] = ['STATION', 'DATE', 'TMAX', 'TMIN', 'TAVG'].map(col);
+  if (iStation === -1 || iDate === -1 || (iAvg === -1 && (iMax === -1 || iMin === -1))) {
+    throw new Error('NOAA CSV must have STATION, DATE and TMAX/TMIN (or TAVG) columns');
+  }
+
+  const toF = (raw) => {
+    if (raw === undefined || raw.trim() === '') return null;
+    const v = parseFloat(raw);
+    if (Number.isNaN(v)) return null;
+    return units === 'metric' ? Math.round((v * 9 / 5 + 32) * 10) / 10 : v;
+  };
+
+  const rows = [];
+  let skipped = 0;
+  for (let i = 1; i < lines.length; i++) {
+    const f = parseCsvLine(lines[i]);
+    const date = (f[iDate] || '').trim();
+    const high = iMax === -1 ? null : toF(f[iMax]);
+    const low = iMin === -1 ? null : toF(f[iMin]);
+    const avg = iAvg === -1 ? null : toF(f[iAvg]);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || hddFromTemps(high, low, avg) === null) {
+      skipped++;
+      continue;
+    }
+    rows.push({ station: f[iStation].trim(), date, high, low, avg });
+  }
+  return { rows, skipped };
+}
+
+/**
+ * Collapse parsed station rows into one row per (location, date), averaging
+ * stations that map to the same county
+ * @param {Array<object>} rows - parseNoaaCsv rows
+ * @param {function} locationOf - station → location key (null = skip)
+ * @returns {Array<{ locationKey, date, high, low, avg, hdd, stationId }>}
+ */
+function aggregateDaily(rows, locationOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const locationKey = locationOf(r.station);
+    if (!locationKey) continue;
+    const key = `${locationKey}|${r.date}`;
+    if (!groups.has(key)) groups.set(key, { locationKey, date: r.date, rows: [] });
+    groups.get(key).rows.push(r);
+  }
+  const mean = (list) => {
+    const vals = list.filter(v => v != null);
+    return vals.length ? Math.round((vals.reduce((a, b) => a + b, 0) / vals.length) * 100) / 100 : null;
+  };
+  return [...groups.values()].map((g) => {
+    const high = mean(g.rows.map(r => r.high));
+    const low = mean(g.rows.map(r => r.low));
+    const avg = mean(g.rows.map(r => r.avg)) ?? (high != null && low != null ? Math.round(((high + low) / 2) * 100) / 100 : null);
+    return {
+      locationKey: g.locationKey,
+      date: g.date,
+      high,
+      low,
+      avg,
+      hdd: hddFromTemps(high, low, avg),
+      stationId: g.rows.length === 1 ? g.rows[0].station : null
+    };
+  });
+}
+
+// ─── Writes ────────────────────────────────────────────────────
+
+/**
+ * Upsert NOAA days (authoritative — replaces any source)
+ * @param {object} sequelize
+ * @param {Array<object>} days - aggregateDaily output
+ * @returns {Promise<number>} - rows written
+ */
+async function upsertNoaaDays(sequelize, days) {
+  let written = 0;
+  for (let i = 0; i < days.length; i += UPSERT_BATCH) {
+    const batch = days.slice(i, i + UPSERT_BATCH);
+    const values = [];
+    const bind = [];
+    batch.forEach((d, j) => {
+      const o = j * 7;
+      values.push(`($${o + 1}, $${o + 2}, $${o + 3}, $${o + 4}, $${o + 5}, $${o + 6}, 'noaa', $${o + 7})`);
+      bind.push(d.locationKey, d.date, d.high, d.low, d.avg, d.hdd, d.stationId);
+    });
+    await sequelize.query(`
+      INSERT INTO weather_daily (location_key, date, temp_high, temp_low, temp_avg, hdd, source, station_id)
+      VALUES ${values.join(', ')}
+      ON CONFLICT (location_key, date) DO UPDATE SET
+        temp_high = EXCLUDED.temp_high,
+        temp_low = EXCLUDED.temp_low,
+        temp_avg = EXCLUDED.temp_avg,
+        hdd = EXCLUDED.hdd,
+        source = 'noaa',
+        station_id = EXCLUDED.station_id,
+        updated_at = NOW()
+    `, { bind });
+    written += batch.length;
+  }
+  return written;
+}
+
+/**
+ * Fold a live reading into today's running high/low for the ZIP's location.
+ * Skipped once NOAA data exists for the day.
+ * @param {object} sequelize
+ * @param {string} zip
+ * @param {object} reading - { temp, high?, low?, conditions? (OpenWeather
+ *   weather[0].main; the latest one wins), date? (YYYY-MM-DD, default today ET) }
+ */
+async function recordObservation(sequelize, zip, { temp, high = temp, low = temp, conditions = null, date = null }) {
+  if (temp == null) return;
+  const day = date || new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  const { key } = locationForZip(zip);
+  await sequelize.query(`
+    INSERT INTO weather_daily (location_key, date, temp_high, temp_low, temp_avg, hdd, source, conditions)
+    VALUES ($1, $2, $3::numeric, $4::numeric, ($3::numeric + $4::numeric) / 2,
+            GREATEST(0, ${BASE_TEMP_F} - ($3::numeric + $4::numeric) / 2), 'openweather', $5)
+    ON CONFLICT (location_key, date) DO UPDATE SET
+      temp_high = GREATEST(weather_daily.temp_high, EXCLUDED.temp_high),
+      temp_low = LEAST(weather_daily.temp_low, EXCLUDED.temp_low),
+      temp_avg = (GREATEST(weather_daily.temp_high, EXCLUDED.temp_high) + LEAST(weather_daily.temp_low, EXCLUDED.temp_low)) / 2,
+      hdd = GREATEST(0, ${BASE_TEMP_F} - (GREATEST(weather_daily.temp_high, EXCLUDED.temp_high) + LEAST(weather_daily.temp_low, EXCLUDED.temp_low)) / 2),
+      conditions = COALESCE(EXCLUDED.conditions, weather_daily.conditions),
+      updated_at = NOW()
+    WHERE weather_daily.source <> 'noaa'
+  `, { bind: [key, day, high, low, conditions ? String(conditions).slice(0, 50) : null] });
+}
+
+// ─── Reads ─────────────────────────────────────────────────────
+
+function isoDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Stored daily HDD for a location key, as a Map of 'YYYY-MM-DD' → row
+ * @param {object} sequelize
+ * @param {string} locationKey
+ * @param {string} from - YYYY-MM-DD inclusive
+ * @param {string} to - YYYY-MM-DD inclusive
+ */
+async function loadDailyHDD(sequelize, locationKey, from, to) {
+  const [rows] = await sequelize.query(`
+    SELECT date::text AS date, temp_high, temp_low, temp_avg, hdd, source
+    FROM weather_daily
+    WHERE location_key = $1 AND date BETWEEN $2 AND $3
+    ORDER BY date
+  `, { bind: [locationKey, from, to] });
+  return new Map(rows.map(r => [r.date, r]));
+}
+
+/**
+ * Accumulated HDD for [from, to], observed where stored, normals elsewhere
+ * @param {Map} observed - loadDailyHDD result
+ * @param {object} location - locationForZip result
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {object}
+ */
+function accumulateDegreeDays(observed, location, from, to) {
+  const daily = [];
+  let totalHDD = 0;
+  let normalHDD = 0;
+  let observedDays = 0;
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    const date = isoDay(t);
+    const normal = normalDailyHDD(location.annualHDD, new Date(t));
+    const row = observed.get(date);
+    const hdd = row && row.hdd != null ? parseFloat(row.hdd) : null;
+    normalHDD += normal;
+    if (hdd !== null) {
+      observedDays++;
+      totalHDD += hdd;
+      daily.push({
+        date,
+        high: row.temp_high == null ? null : parseFloat(row.temp_high),
+        low: row.temp_low == null ? null : parseFloat(row.temp_low),
+        hdd,
+        source: row.source
+      });
+    } else {
+      totalHDD += normal;
+      daily.push({ date, high: null, low: null, hdd: Math.round(normal * 100) / 100, source: 'normal' });
+    }
+  }
+  const round1 = (v) => Math.round(v * 10) / 10;
+  return {
+    totalHDD: round1(totalHDD),
+    normalHDD: round1(normalHDD),
+    departurePct: normalHDD > 0 ? round1(((totalHDD - normalHDD) / normalHDD) * 100) : null,
+    observedDays,
+    filledDays: daily.length - observedDays,
+    daily
+  };
+}
+
+/**
+ * Degree days for a ZIP over a date range
+ * @param {object} sequelize
+ * @param {string} zip
+ * @param {object} range - { from, to } YYYY-MM-DD inclusive
+ */
+async function getDegreeDays(sequelize, zip, { from, to }) {
+  const location = locationForZip(zip);
+  const observed = await loadDailyHDD(sequelize, location.key, from, to);
+  return {
+    zip,
+    location: { key: location.key, state: location.state, county: location.county },
+    from,
+    to,
+    baseTemp: BASE_TEMP_F,
+    ...accumulateDegreeDays(observed, location, from, to)
+  };
+}
+
+/**
+ * Regional daily weather across counties that don't all report every day.
+ * A plain per-day AVG follows whichever counties happened to be looked up —
+ * a day with only a cold county reporting reads as a cold day. Instead each
+ * field is the mean of every county in the window (fixed set) plus the
+ * average departure of that day's reporting counties from their own window
+ * mean.
+ * @param {Array<object>} rows - weather_daily rows: { location_key, date,
+ *   temp_avg, temp_high, temp_low, conditions? }
+ * @param {object} options
+ * @param {string} options.conditionsKey - location whose conditions are reported
+ * @returns {Array<{ date: string, tempAvg: number|null, tempHigh: number|null,
+ *   tempLow: number|null, counties: number, conditions: string|null }>} by date
+ */
+function regionalDailyWeather(rows, { conditionsKey = null } = {}) {
+  const num = (v) => (v == null ? null : parseFloat(v));
+  const round2 = (v) => Math.round(v * 100) / 100;
+
+  const regional = (field) => {
+    const byCounty = new Map();
+    for (const r of rows) {
+      const v = num(r[field]);
+      if (v === null) continue;
+      if (!byCounty.has(r.location_key)) byCounty.set(r.location_key, []);
+      byCounty.get(r.location_key).push(v);
+    }
+    const countyMean = new Map([...byCounty].map(([key, vals]) => [key, vals.reduce((a, b) => a + b, 0) / vals.length]));
+    const setMean = [...countyMean.values()].reduce((a, b) => a + b, 0) / (countyMean.size || 1);
+
+    const departures = new Map();
+    for (const r of rows) {
+      const v = num(r[field]);
+      if (v === null) continue;
+      if (!departures.has(r.date)) departures.set(r.date, []);
+      departures.get(r.date).push(v - countyMean.get(r.location_key));
+    }
+    return new Map([...departures].map(([date, d]) => [date, round2(setMean + d.reduce((a, b) => a + b, 0) / d.length)]));
+  };
+
+  const avg = regional('temp_avg');
+  const high = regional('temp_high');
+  const low = regional('temp_low');
+
+  const days = new Map();
+  for (const r of rows) {
+    const day = days.get(r.date) || { date: r.date, counties: 0, conditions: null };
+    day.counties++;
+    if (conditionsKey && r.location_key === conditionsKey && r.conditions) day.conditions = r.conditions;
+    days.set(r.date, day);
+  }
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({
+      date: d.date,
+      tempAvg: avg.has(d.date) ? avg.get(d.date) : null,
+      tempHigh: high.has(d.date) ? high.get(d.date) : null,
+      tempLow: low.has(d.date) ? low.get(d.date) : null,
+      counties: d.counties,
+      conditions: d.conditions
+    }));
+}
+
+/**
+ * regionalDailyWeather over the last `days` days (today included)
+ * @param {object} sequelize
+ * @param {number} days
+ * @param {object} options - { conditionsKey }
+ */
+async function loadRegionalDailyWeather(sequelize, days, options = {}) {
+  const [rows] = await sequelize.query(`
+    SELECT location_key, date::text AS date, temp_avg, temp_high, temp_low, conditions
+    FROM weather_daily
+    WHERE date >= CURRENT_DATE - $1::int
+  `, { bind: [days] });
+  return regionalDailyWeather(rows, options);
+}
+
+/**
+ * First day of the heating season containing a date (July 1)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function seasonStart(date) {
+  const [year, month] = date.split('-').map(Number);
+  return `${month >= 7 ? year : year - 1}-07-01`;
+}
+
+/**
+ * Heating season so far vs normal, and the projected full-season HDD
+ * @param {object} sequelize
+ * @param {string} zip
+ * @param {object} [options] - { asOf } YYYY-MM-DD, default today (ET)
+ * @returns {Promise<object>} - departurePct compares observed days only, so
+ *   gaps filled from normals don't dilute it (null when nothing is stored)
+ */
+async function getSeasonToDate(sequelize, zip, { asOf } = {}) {
+  const to = asOf || new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  const from = seasonStart(to);
+  const location = locationForZip(zip);
+  const observed = await loadDailyHDD(sequelize, location.key, from, to);
+  const acc = accumulateDegreeDays(observed, location, from, to);
+
+  let observedHDD = 0;
+  let observedNormal = 0;
+  for (const day of acc.daily) {
+    if (day.source === 'normal') continue;
+    observedHDD += day.hdd;
+    observedNormal += normalDailyHDD(location.annualHDD, new Date(`${day.date}T00:00:00Z`));
+  }
+
+  const round1 = (v) => Math.round(v * 10) / 10;
+  return {
+    location: { key: location.key, state: location.state, county: location.county },
+    from,
+    to,
+    hddToDate: acc.totalHDD,
+    normalToDate: acc.normalHDD,
+    departurePct: observedNormal > 0 ? round1(((observedHDD - observedNormal) / observedNormal) * 100) : null,
+    observedDays: acc.observedDays,
+    filledDays: acc.filledDays,
+    normalSeasonHDD: location.annualHDD,
+    projectedSeasonHDD: round1(acc.totalHDD + Math.max(0, location.annualHDD - acc.normalHDD))
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  locationForZip,
+  hddFromTemps,
+  parseCsvLine,
+  parseNoaaCsv,
+  aggregateDaily,
+  upsertNoaaDays,
+  recordObservation,
+  loadDailyHDD,
+  accumulateDegreeDays,
+  getDegreeDays,
+  regionalDailyWeather,
+  loadRegionalDailyWeather,
+  seasonStart,
+  getSeasonToDate
+};
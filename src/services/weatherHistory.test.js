@@ -0,0 +1,160 @@
+// src/services/weatherHistory.test.js
+//
+// Weather history (V3.7.0): NOAA GHCN-Daily CSV parsing (quoted station names,
+// °C exports, rows without temperatures), per-county aggregation, NOAA-wins
+// upserts, and degree-day accumulation that fills missing days from normals.
+// V3.7.1: season-to-date departure and projection. V3.22.5: regional daily
+// averages with uneven county coverage. Fake sequelize; no DB needed.
+//
+// Run: node src/services/weatherHistory.test.js
+
+const {
+  locationForZip,
+  hddFromTemps,
+  parseNoaaCsv,
+  aggregateDaily,
+  upsertNoaaDays,
+  recordObservation,
+  accumulateDegreeDays,
+  getDegreeDays,
+  regionalDailyWeather,
+  loadRegionalDailyWeather,
+  seasonStart,
+  getSeasonToDate,
+} = require('./weatherHistory');
+const { normalDailyHDD } = require('./consumptionModel');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+function fakeSequelize(responder) {
+  const db = { calls: [] };
+  db.query = async (sql, opts = {}) => {
+    db.calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), opts });
+    return responder(sql, opts) || [[]];
+  };
+  return db;
+}
+
+const CSV = [
+  '"STATION","NAME","DATE","TAVG","TMAX","TMIN"',
+  '"USW00014740","HARTFORD BRADLEY INTERNATIONAL AIRPORT, CT US","2025-01-01","","41","29"',
+  '"USW00014740","HARTFORD BRADLEY INTERNATIONAL AIRPORT, CT US","2025-01-02","","",""',
+  '"USC00062658","FALLS VILLAGE, CT US","2025-01-01","","37","25"',
+  '"USC00062658","FALLS VILLAGE, CT US","not-a-date","","37","25"',
+].join('\n');
+
+(async () => {
+  try {
+    console.log('\n=== locations ===');
+    eq(locationForZip('06103').key, 'CT:Hartford', 'known ZIP → <STATE>:<County> (hdd-by-county keys)');
+    eq(locationForZip('99999').key, 'zip3:999', 'unknown ZIP → ZIP prefix');
+    eq([hddFromTemps(41, 29), hddFromTemps(80, 70), hddFromTemps(null, 29, 40), hddFromTemps(null, null)], [30, 0, 25, null], 'HDD from high/low, avg fallback');
+
+    console.log('\n=== parseNoaaCsv ===');
+    let parsed = parseNoaaCsv(CSV);
+    eq(parsed.rows.map(r => [r.station, r.date, r.high, r.low]), [['USW00014740', '2025-01-01', 41, 29], ['USC00062658', '2025-01-01', 37, 25]], 'quoted commas in NAME handled');
+    eq(parsed.skipped, 2, 'missing temps and bad dates skipped');
+    parsed = parseNoaaCsv('STATION,DATE,TMAX,TMIN\nX,2025-01-01,5,-5');
+    eq([parsed.rows[0].high, parsed.rows[0].low], [5, -5], 'standard units by default');
+    parsed = parseNoaaCsv('STATION,DATE,TMAX,TMIN\nX,2025-01-01,5,-5', { units: 'metric' });
+    eq([parsed.rows[0].high, parsed.rows[0].low], [41, 23], 'metric export converted to °F');
+    try {
+      parseNoaaCsv('STATION,DATE,PRCP\nX,2025-01-01,0.1');
+      fail('temperature columns required');
+    } catch (e) {
+      pass('temperature columns required');
+    }
+
+    console.log('\n=== aggregateDaily ===');
+    const days = aggregateDaily(parseNoaaCsv(CSV).rows, s => (s === 'USW00014740' || s === 'USC00062658' ? 'CT:Hartford' : null));
+    eq(days, [{ locationKey: 'CT:Hartford', date: '2025-01-01', high: 39, low: 27, avg: 33, hdd: 32, stationId: null }], 'stations in one county averaged');
+    eq(aggregateDaily(parseNoaaCsv(CSV).rows, s => (s === 'USW00014740' ? 'CT:Hartford' : null))[0].stationId, 'USW00014740', 'single station recorded; unmapped dropped');
+
+    console.log('\n=== writes ===');
+    let db = fakeSequelize(() => null);
+    const many = Array.from({ length: 501 }, (_, i) => ({ locationKey: 'CT:Hartford', date: `d${i}`, high: 40, low: 30, avg: 35, hdd: 30, stationId: 'S' }));
+    eq(await upsertNoaaDays(db, many), 501, 'all days written');
+    eq([db.calls.length, db.calls[1].opts.bind.length], [2, 7], 'batched 500 rows per insert');
+    if (/source = 'noaa'/.test(db.calls[0].sql) && !/WHERE/.test(db.calls[0].sql)) pass('NOAA overwrites any stored day');
+    else fail('NOAA overwrites any stored day');
+
+    db = fakeSequelize(() => null);
+    await recordObservation(db, '06103', { temp: 33, high: 35, low: 30, conditions: 'Snow', date: '2026-01-05' });
+    eq(db.calls[0].opts.bind, ['CT:Hartford', '2026-01-05', 35, 30, 'Snow'], 'live reading keyed to county/day, with conditions');
+    if (/conditions = COALESCE\(EXCLUDED.conditions, weather_daily.conditions\)/.test(db.calls[0].sql)) pass('latest conditions win, a reading without them keeps the old');
+    else fail('latest conditions win, a reading without them keeps the old');
+    if (/GREATEST\(weather_daily.temp_high/.test(db.calls[0].sql) && /WHERE weather_daily.source <> 'noaa'/.test(db.calls[0].sql)) pass('running high/low, never over NOAA');
+    else fail('running high/low, never over NOAA');
+    await recordObservation(db, '06103', { temp: null });
+    eq(db.calls.length, 1, 'no reading → no write');
+
+    console.log('\n=== degree days ===');
+    const location = { key: 'CT:Hartford', annualHDD: 6000 };
+    const observed = new Map([
+      ['2026-01-01', { hdd: '30.00', temp_high: '40.00', temp_low: '30.00', source: 'noaa' }],
+      ['2026-01-03', { hdd: '40.00', temp_high: '30.00', temp_low: '20.00', source: 'openweather' }],
+    ]);
+    const acc = accumulateDegreeDays(observed, location, '2026-01-01', '2026-01-03');
+    const janNormal = normalDailyHDD(6000, new Date('2026-01-02T00:00:00Z'));
+    eq([acc.observedDays, acc.filledDays], [2, 1], 'observed vs filled days');
+    eq(acc.totalHDD, Math.round((70 + janNormal) * 10) / 10, 'gap filled from the day\'s normal');
+    eq(acc.daily.map(d => d.source), ['noaa', 'normal', 'openweather'], 'per-day source reported');
+    eq(acc.departurePct, Math.round(((70 + janNormal - 3 * janNormal) / (3 * janNormal)) * 1000) / 10, 'departure vs normal');
+
+    db = fakeSequelize(() => [[{ date: '2026-01-01', hdd: '30.00', temp_high: '40', temp_low: '30', source: 'noaa' }]]);
+    const dd = await getDegreeDays(db, '06103', { from: '2026-01-01', to: '2026-01-02' });
+    eq(db.calls[0].opts.bind, ['CT:Hartford', '2026-01-01', '2026-01-02'], 'range query keyed by county');
+    eq([dd.location.key, dd.observedDays, dd.daily.length], ['CT:Hartford', 1, 2], 'inclusive range');
+
+    console.log('\n=== season to date ===');
+    eq([seasonStart('2026-10-19'), seasonStart('2027-02-01'), seasonStart('2026-07-01')], ['2026-07-01', '2026-07-01', '2026-07-01'], 'season starts July 1');
+    const annual = locationForZip('06103').annualHDD;
+    const jan = (d) => normalDailyHDD(annual, new Date(`2027-01-${d}T00:00:00Z`));
+    // Jan 1–2 stored 20% colder than normal; July–Dec + Jan 3 filled from normals
+    db = fakeSequelize(() => [[
+      { date: '2027-01-01', hdd: String(jan('01') * 1.2), temp_high: null, temp_low: null, source: 'noaa' },
+      { date: '2027-01-02', hdd: String(jan('02') * 1.2), temp_high: null, temp_low: null, source: 'noaa' },
+    ]]);
+    const season = await getSeasonToDate(db, '06103', { asOf: '2027-01-03' });
+    eq(db.calls[0].opts.bind, ['CT:Hartford', '2026-07-01', '2027-01-03'], 'loads the season so far');
+    eq([season.observedDays, season.departurePct], [2, 20], 'departure from observed days only');
+    eq(season.projectedSeasonHDD, Math.round((annual + 0.2 * (jan('01') + jan('02'))) * 10) / 10, 'projection = actual so far + normal remainder');
+    db = fakeSequelize(() => null);
+    eq((await getSeasonToDate(db, '06103', { asOf: '2026-11-01' })).departurePct, null, 'no stored days → no departure');
+
+    console.log('\n=== regional daily weather ===');
+    // Warm county reports days 1 and 3, cold county days 1 and 2. A plain
+    // per-day average reads 40 / 30 / 54 — day 2 "cold" and day 3 "hot" only
+    // because of who reported.
+    const uneven = [
+      { location_key: 'CT:Hartford', date: '2026-12-01', temp_avg: '50', temp_high: '56', temp_low: '44', conditions: 'Clouds' },
+      { location_key: 'ME:Aroostook', date: '2026-12-01', temp_avg: '30', temp_high: '36', temp_low: '24', conditions: 'Snow' },
+      { location_key: 'ME:Aroostook', date: '2026-12-02', temp_avg: '30', temp_high: '36', temp_low: '24', conditions: 'Snow' },
+      { location_key: 'CT:Hartford', date: '2026-12-03', temp_avg: '54', temp_high: '60', temp_low: '48', conditions: 'Clear' },
+    ];
+    const regional = regionalDailyWeather(uneven, { conditionsKey: 'CT:Hartford' });
+    eq(regional.map(d => d.tempAvg), [40, 41, 43], 'each day measured against the same two counties');
+    eq(regional.map(d => [d.tempHigh, d.tempLow]), [[46, 34], [47, 35], [49, 37]], 'highs and lows the same way');
+    eq(regional.map(d => [d.counties, d.conditions]), [[2, 'Clouds'], [1, null], [1, 'Clear']], 'reporting counties + conditions from the chosen county');
+    eq(regionalDailyWeather(uneven.filter(r => r.location_key === 'CT:Hartford')).map(d => d.tempAvg), [50, 54], 'one county → its own readings');
+    eq(regionalDailyWeather([{ location_key: 'CT:Hartford', date: '2026-12-01', temp_avg: null, temp_high: null, temp_low: null }])[0].tempAvg, null, 'no temperature → null, not NaN');
+
+    db = fakeSequelize(() => [uneven]);
+    eq((await loadRegionalDailyWeather(db, 7)).length, 3, 'loader groups stored rows by day');
+    eq(db.calls[0].opts.bind, [7], 'window in days');
+  } catch (e) {
+    fail('unexpected error', e.stack);
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,113 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in an IANA timezone. Used by JobQueue to compute the next run of
+ * a recurring job — node-cron only fires callbacks, it can't tell us when a
+ * schedule is next due, which the queue needs to persist.
+ *
+ * Supports *, a, a-b, comma lists and /n steps on * or a range. Day-of-week
+ * 0 and 7 are both Sunday. When day-of-month and day-of-week are both
+ * restricted a day matches either (standard cron). Local times skipped by a
+ * spring-forward DST change don't fire that day.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_SEARCH_HOURS = 366 * 24 + 1;
+const formatters = new Map();
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: '${text}'`);
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (to === undefined) to = stepText ? max : from;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: '${text}'`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression - e.g. '31 23 * * *'
+ * @returns {object} parsed fields; throws on anything it can't evaluate
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: '${expression}'`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/** Wall-clock fields of `date` in `timeZone` */
+function zonedParts(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) parts[type] = value;
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+function dayMatches(cron, t) {
+  const dom = cron.dayOfMonth.has(t.dayOfMonth);
+  const dow = cron.dayOfWeek.has(t.dayOfWeek);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+/**
+ * First minute strictly after `after` that matches the expression.
+ * Walks hour by hour until the day and hour match (so DST transitions can't
+ * skip a day), then minute by minute within the hour.
+ *
+ * @param {string|object} expression - cron string or parseCron() result
+ * @param {Date} [after=new Date()]
+ * @param {string} [timeZone='America/New_York']
+ * @returns {Date|null} null if nothing matches within a year (e.g. '0 0 31 2 *')
+ */
+function nextCronTime(expression, after = new Date(), timeZone = 'America/New_York') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let t = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+
+  for (let hours = 0; hours < MAX_SEARCH_HOURS; hours++) {
+    const local = zonedParts(t, timeZone);
+    if (!cron.month.has(local.month) || !dayMatches(cron, local) || !cron.hour.has(local.hour)) {
+      t = new Date(t.getTime() + (60 - local.minute) * 60000);
+      continue;
+    }
+    for (let m = local.minute; m < 60; m++) {
+      if (cron.minute.has(m)) return new Date(t.getTime() + (m - local.minute) * 60000);
+    }
+    t = new Date(t.getTime() + (60 - local.minute) * 60000);
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextCronTime };
@@ -0,0 +1,39 @@
+// src/utils/cron-expression.test.js
+// Next-run computation for JobQueue schedules: ET wall clock across DST,
+// steps/ranges/lists, monthly and weekday schedules, invalid expressions.
+// Run: node src/utils/cron-expression.test.js
+const { parseCron, nextCronTime } = require('./cron-expression');
+let passed=0, failed=0;
+const pass=l=>{passed++;console.log(`  ✓ ${l}`);};
+const fail=(l,d)=>{failed++;console.error(`  ✗ ${l} — ${d}`);};
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+const next=(expr, after, tz)=>{ const d = nextCronTime(expr, new Date(after), tz); return d && d.toISOString(); };
+
+console.log('\n=== parse ===');
+eq([...parseCron('*/15 * * * *').minute], [0, 15, 30, 45], '*/15 minutes');
+eq([...parseCron('0 8-18/5 * * *').hour], [8, 13, 18], 'stepped range');
+eq([...parseCron('0 9 * * 1,3,5').dayOfWeek], [1, 3, 5], 'weekday list');
+eq(parseCron('0 9 * * 7').dayOfWeek.has(0), true, '7 is Sunday');
+for (const bad of ['* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', 'a * * * *', '5-1 * * * *', '*/0 * * * *']) {
+  try { parseCron(bad); fail(`rejects '${bad}'`, 'no throw'); } catch (e) { pass(`rejects '${bad}'`); }
+}
+
+console.log('\n=== next run ===');
+eq(next('31 23 * * *', '2026-10-19T12:00:00Z'), '2026-10-20T03:31:00.000Z', '11:31 PM EDT');
+eq(next('31 23 * * *', '2026-12-01T12:00:00Z'), '2026-12-02T04:31:00.000Z', '11:31 PM EST');
+eq(next('*/5 * * * *', '2026-10-19T12:03:10Z'), '2026-10-19T12:05:00.000Z', 'every 5 min');
+eq(next('*/5 * * * *', '2026-10-19T12:05:00Z'), '2026-10-19T12:10:00.000Z', 'strictly after the given minute');
+eq(next('0 21 * * *', '2026-10-19T21:00:00Z', 'UTC'), '2026-10-20T21:00:00.000Z', 'UTC schedule');
+eq(next('30 3 18 * *', '2026-10-19T12:00:00Z'), '2026-11-18T08:30:00.000Z', 'monthly on the 18th');
+eq(next('0 9 * * 1', '2026-10-19T14:00:00Z'), '2026-10-26T13:00:00.000Z', 'weekly on Monday');
+eq(next('0 9 1 * 1', '2026-10-19T14:00:00Z'), '2026-10-26T13:00:00.000Z', 'dom + dow restricted → either matches');
+eq(next('0 0 31 2 *', '2026-03-08T00:00:00Z'), null, 'impossible date → null');
+
+console.log('\n=== DST ===');
+eq(next('30 0 * * *', '2026-03-07T12:00:00Z'), '2026-03-08T05:30:00.000Z', 'spring-forward day: 12:30 AM EST');
+eq(next('30 0 * * *', '2026-03-08T12:00:00Z'), '2026-03-09T04:30:00.000Z', 'day after: 12:30 AM EDT');
+eq(next('30 2 * * *', '2026-03-08T00:00:00Z'), '2026-03-09T06:30:00.000Z', '2:30 AM skipped on spring-forward day');
+eq(next('0 1 * * *', '2026-10-31T12:00:00Z'), '2026-11-01T05:00:00.000Z', 'fall-back day: first 1 AM');
+
+console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+process.exit(failed===0?0:1);
@@ -1,6 +1,7 @@
 /**
- * Shared HTML utility — escapeHtml
- * Single source of truth. Used by QuoteRequestService, claim-page, generators.
+ * Shared HTML utility — escapeHtml, renderPage
+ * Single source of truth. Used by QuoteRequestService, claim-page, generators,
+ * and the server-rendered quote-request / group-buy pages.
  */
 
 function escapeHtml(text) {
@@ -13,4 +14,24 @@ function escapeHtml(text) {
     .replace(/'/g, '&#39;');
 }
 
-module.exports = { escapeHtml };
+/** Minimal HomeHeat page shell for server-rendered consumer / supplier pages */
+function renderPage(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} — HomeHeat</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+           margin: 0; padding: 40px 20px; background: #FEF3EB; color: #1a1a1a; }
+    h2 { font-size: 1.4rem; }
+    p { font-size: 15px; line-height: 1.5; }
+    a { color: #FF6B35; }
+  </style>
+</head>
+<body>${bodyHtml}</body>
+</html>`;
+}
+
+module.exports = { escapeHtml, renderPage };
@@ -0,0 +1,87 @@
+/**
+ * Price tiers — which min_gallons tier is a supplier's listing price
+ *
+ * A supplier can quote several tiers for one fuel (100-gal small order,
+ * 150 standard, 300+ volume). Anything that shows ONE price per supplier —
+ * listings, market stats, daily history — uses the listing tier: the largest
+ * tier at or under STANDARD_MIN_GALLONS, else the smallest tier quoted. A row
+ * without min_gallons counts as standard. Same rule as the supplier
+ * dashboard's comparison price.
+ *
+ * SMS texts quote several tiers at once; only the listing tier is written as
+ * the supplier_prices row, the full ladder rides along in its `tiers` column.
+ */
+
+const STANDARD_MIN_GALLONS = 150;
+
+/**
+ * @param {Array<number|null>} tiers - min_gallons values quoted together
+ * @returns {number|null} The listing tier, or null for an empty list
+ */
+function listingTier(tiers) {
+  const gallons = tiers.map(g => (g == null ? STANDARD_MIN_GALLONS : g));
+  if (gallons.length === 0) return null;
+  const underStandard = gallons.filter(g => g <= STANDARD_MIN_GALLONS);
+  return underStandard.length > 0 ? Math.max(...underStandard) : Math.min(...gallons);
+}
+
+/**
+ * SQL aggregate picking the listing tier of a group of rows
+ * @param {string} [column] - min_gallons column reference
+ * @returns {string}
+ */
+function listingTierSql(column = 'min_gallons') {
+  const gallons = `COALESCE(${column}, ${STANDARD_MIN_GALLONS})`;
+  return `COALESCE(MAX(${gallons}) FILTER (WHERE ${gallons} <= ${STANDARD_MIN_GALLONS}), MIN(${gallons}))`;
+}
+
+/**
+ * Collapse parsed price lines to one listing row per fuel. The row is the
+ * listing tier's line; when the fuel has more than one tier, `tiers` holds
+ * the whole ladder (stored as supplier_prices.tiers) so readers that take
+ * one row per supplier still see the listing price.
+ * @param {Array<{fuelType: string, minGallons: number|null, price: number}>} lines
+ * @returns {Array<object>} One line per fuel, first-seen order, with `tiers`
+ *   ([{ minGallons, price }] ascending) or null
+ */
+function toListingRows(lines) {
+  const byFuel = new Map();
+  for (const line of lines) {
+    if (!byFuel.has(line.fuelType)) byFuel.set(line.fuelType, []);
+    byFuel.get(line.fuelType).push(line);
+  }
+  return [...byFuel.values()].map(fuelLines => {
+    const tier = listingTier(fuelLines.map(l => l.minGallons));
+    const listing = fuelLines.find(l => (l.minGallons == null ? STANDARD_MIN_GALLONS : l.minGallons) === tier);
+    const tiers = fuelLines.length > 1
+      ? fuelLines.map(l => ({ minGallons: l.minGallons, price: l.price })).sort((a, b) => a.minGallons - b.minGallons)
+      : null;
+    return { ...listing, tiers };
+  });
+}
+
+/**
+ * A supplier's last valid price for one fuel + tier, whether it was the
+ * listing row or on an earlier row's ladder. The previous price the sanity
+ * guards compare against.
+ * @returns {Promise<number|null>}
+ */
+async function getLastTierPrice(sequelize, { supplierId, fuelType, minGallons }) {
+  const [rows] = await sequelize.query(`
+    SELECT price_per_gallon FROM (
+      SELECT scraped_at,
+        CASE WHEN min_gallons = :minGallons THEN price_per_gallon
+          ELSE (SELECT (t->>'price')::numeric FROM jsonb_array_elements(tiers) t
+                WHERE (t->>'minGallons')::int = :minGallons LIMIT 1)
+        END AS price_per_gallon
+      FROM supplier_prices
+      WHERE supplier_id = :supplierId AND fuel_type = :fuelType AND is_valid = true
+    ) tier_prices
+    WHERE price_per_gallon IS NOT NULL
+    ORDER BY scraped_at DESC
+    LIMIT 1
+  `, { replacements: { supplierId, fuelType, minGallons } });
+  return rows.length > 0 ? parseFloat(rows[0].price_per_gallon) : null;
+}
+
+module.exports = { STANDARD_MIN_GALLONS, listingTier, listingTierSql, toListingRows, getLastTierPrice };
@@ -0,0 +1,45 @@
+// src/utils/price-tiers.test.js
+//
+// Listing tier rule: largest tier at or under 150 gal, else the smallest
+// quoted; missing min_gallons counts as standard.
+// Run: node src/utils/price-tiers.test.js
+
+const { listingTier, listingTierSql, toListingRows } = require('./price-tiers');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+
+console.log('\n=== listingTier ===');
+eq(listingTier([150, 300]), 150, '150+ / 300+ → 150');
+eq(listingTier([100, 150]), 150, '100 small-order / 150 → 150');
+eq(listingTier([100, 300]), 100, 'nothing at 150 → largest under it');
+eq(listingTier([200, 300]), 200, 'all above 150 → smallest quoted');
+eq(listingTier([null, 300]), 150, 'missing tier counts as standard');
+eq(listingTier([]), null, 'no tiers → null');
+
+console.log('\n=== listingTierSql ===');
+eq(listingTierSql('sp.min_gallons'),
+  'COALESCE(MAX(COALESCE(sp.min_gallons, 150)) FILTER (WHERE COALESCE(sp.min_gallons, 150) <= 150), MIN(COALESCE(sp.min_gallons, 150)))',
+  'same rule as an aggregate');
+
+console.log('\n=== toListingRows ===');
+eq(toListingRows([
+  { fuelType: 'heating_oil', minGallons: 300, price: 3.29 },
+  { fuelType: 'propane', minGallons: 150, price: 2.89 },
+  { fuelType: 'heating_oil', minGallons: 150, price: 3.39 },
+]), [
+  { fuelType: 'heating_oil', minGallons: 150, price: 3.39, tiers: [{ minGallons: 150, price: 3.39 }, { minGallons: 300, price: 3.29 }] },
+  { fuelType: 'propane', minGallons: 150, price: 2.89, tiers: null },
+], 'one row per fuel at the listing tier, ladder ascending');
+eq(toListingRows([]), [], 'nothing accepted → no rows');
+
+console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,186 @@
+// src/utils/supplier-price-history.js
+//
+// Daily-collapsed price history for one supplier, per fuel type. Backs
+// GET /api/v1/suppliers/:slug/prices (iOS sparklines) and is reusable by
+// scripts/generate-supplier-pages.js.
+//
+// One point per (fuel, America/New_York calendar day): the LAST observation
+// of the day is the point's price/tier/source; low/high/samples summarize the
+// day. aggregator_signal rows are never returned (signal-only, not displayable).
+// Only the day's listing tier (price-tiers.js) is used, so a supplier quoting
+// 100 / 150 / 300 gal tiers gets one continuous series instead of one that
+// jumps between whichever tier was written last.
+//
+// is_valid is deliberately NOT filtered: scrapers never invalidate old rows,
+// but a manual review submit expires every prior row for that fuel — filtering
+// would erase a supplier's history the first time an operator touches it.
+// Junk values are dropped by the per-fuel FUEL_PRICE_RANGES band instead.
+//
+// Gaps: runs of days with no point between the first point and today. Oil
+// gaps are labelled from the backoff state on `suppliers` (scrape_failure_dates
+// covers the last 30 days; scrape_status covers a gap that runs to today).
+// Backoff is oil-only, so other fuels' gaps are always 'no_data'.
+
+const { FUEL_PRICE_RANGES } = require('../services/priceScraper');
+const { STANDARD_MIN_GALLONS, listingTierSql } = require('./price-tiers');
+
+const HISTORY_FUEL_TYPES = ['heating_oil', 'kerosene', 'propane'];
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 365;
+const HISTORY_TIMEZONE = 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 'YYYY-MM-DD' for a Date in HISTORY_TIMEZONE */
+function localDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: HISTORY_TIMEZONE });
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * SQL for the daily rollup. Replacements: supplierId, days, fuelTypes[].
+ */
+const DAILY_HISTORY_SQL = `
+  WITH observed AS (
+    SELECT
+      fuel_type,
+      to_char((scraped_at AT TIME ZONE '${HISTORY_TIMEZONE}')::date, 'YYYY-MM-DD') AS day,
+      price_per_gallon, min_gallons, source_type, scraped_at
+    FROM supplier_prices
+    WHERE supplier_id = :supplierId
+      AND scraped_at >= NOW() - make_interval(days => :days)
+      AND source_type != 'aggregator_signal'
+      AND fuel_type IN (:fuelTypes)
+      AND (
+        (fuel_type = 'heating_oil' AND price_per_gallon BETWEEN ${FUEL_PRICE_RANGES.heating_oil[0]} AND ${FUEL_PRICE_RANGES.heating_oil[1]})
+        OR (fuel_type = 'kerosene' AND price_per_gallon BETWEEN ${FUEL_PRICE_RANGES.kerosene[0]} AND ${FUEL_PRICE_RANGES.kerosene[1]})
+        OR (fuel_type = 'propane' AND price_per_gallon BETWEEN ${FUEL_PRICE_RANGES.propane[0]} AND ${FUEL_PRICE_RANGES.propane[1]})
+      )
+  ),
+  day_tiers AS (
+    SELECT fuel_type, day, ${listingTierSql()} AS tier
+    FROM observed
+    GROUP BY fuel_type, day
+  )
+  SELECT
+    o.fuel_type,
+    o.day,
+    (ARRAY_AGG(o.price_per_gallon ORDER BY o.scraped_at DESC))[1] AS price,
+    MIN(o.price_per_gallon) AS low,
+    MAX(o.price_per_gallon) AS high,
+    (ARRAY_AGG(o.min_gallons ORDER BY o.scraped_at DESC))[1] AS min_gallons,
+    (ARRAY_AGG(o.source_type ORDER BY o.scraped_at DESC))[1] AS source_type,
+    COUNT(*) AS samples
+  FROM observed o
+  JOIN day_tiers t ON t.fuel_type = o.fuel_type AND t.day = o.day
+  WHERE COALESCE(o.min_gallons, ${STANDARD_MIN_GALLONS}) = t.tier
+  GROUP BY o.fuel_type, o.day
+  ORDER BY o.fuel_type, o.day
+`;
+
+/**
+ * Gap ranges between the first point and `today` (inclusive)
+ * @param {string[]} pointDays - Sorted 'YYYY-MM-DD' days that have a point
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {object} backoff - { failureDays: Set<string>, status, cooldownUntil } or null (non-oil)
+ * @returns {Array<object>} - [{ start, end, days, reason }]
+ */
+function findGaps(pointDays, today, backoff) {
+  if (pointDays.length === 0) return [];
+  const have = new Set(pointDays);
+  const gaps = [];
+  let start = null;
+  for (let day = pointDays[0]; day <= today; day = addDays(day, 1)) {
+    if (!have.has(day)) {
+      if (!start) start = day;
+      continue;
+    }
+    if (start) gaps.push({ start, end: addDays(day, -1) });
+    start = null;
+  }
+  if (start) gaps.push({ start, end: today, open: true });
+
+  return gaps.map(({ start: s, end, open }) => {
+    let reason = 'no_data';
+    if (backoff) {
+      if (open && (backoff.status === 'phone_only' || backoff.status === 'cooldown')) {
+        reason = backoff.status;
+      } else {
+        for (let d = s; d <= end; d = addDays(d, 1)) {
+          if (backoff.failureDays.has(d)) { reason = 'scrape_failed'; break; }
+        }
+      }
+    }
+    const gap = { start: s, end, days: Math.round((Date.parse(end) - Date.parse(s)) / DAY_MS) + 1, reason };
+    if (reason === 'cooldown' && backoff.cooldownUntil) gap.until = localDay(backoff.cooldownUntil);
+    return gap;
+  });
+}
+
+/**
+ * Shape daily rollup rows into per-fuel series
+ * @param {Array<object>} rows - DAILY_HISTORY_SQL rows
+ * @param {object} supplier - suppliers row (scrape_status, scrape_cooldown_until, scrape_failure_dates)
+ * @param {object} options
+ * @param {string[]} options.fuelTypes - Fuels to include (each gets a key, even if empty)
+ * @param {Date} options.now - Clock override for tests
+ * @returns {object} - { [fuelType]: { points, gaps, latest } }
+ */
+function buildPriceHistory(rows, supplier, { fuelTypes = HISTORY_FUEL_TYPES, now = new Date() } = {}) {
+  const today = localDay(now);
+  let failureDates = supplier.scrape_failure_dates || [];
+  if (!Array.isArray(failureDates)) failureDates = [];
+  const oilBackoff = {
+    failureDays: new Set(failureDates.map(localDay)),
+    status: supplier.scrape_status || 'active',
+    cooldownUntil: supplier.scrape_cooldown_until || null,
+  };
+
+  const fuels = {};
+  for (const fuelType of fuelTypes) {
+    const points = rows
+      .filter((r) => r.fuel_type === fuelType)
+      .map((r) => ({
+        date: r.day,
+        price: parseFloat(r.price),
+        low: parseFloat(r.low),
+        high: parseFloat(r.high),
+        minGallons: r.min_gallons != null ? parseInt(r.min_gallons, 10) : null,
+        sourceType: r.source_type,
+        samples: parseInt(r.samples, 10),
+      }));
+    fuels[fuelType] = {
+      points,
+      gaps: findGaps(points.map((p) => p.date), today, fuelType === 'heating_oil' ? oilBackoff : null),
+      latest: points.length ? points[points.length - 1] : null,
+    };
+  }
+  return fuels;
+}
+
+/**
+ * Load + shape history for one supplier
+ * @param {object} sequelize
+ * @param {object} supplier - suppliers row incl. id and backoff columns
+ * @param {object} options - { days, fuelTypes, now }
+ * @returns {Promise<object>} - buildPriceHistory() result
+ */
+async function getSupplierPriceHistory(sequelize, supplier, { days = DEFAULT_HISTORY_DAYS, fuelTypes = HISTORY_FUEL_TYPES, now } = {}) {
+  const [rows] = await sequelize.query(DAILY_HISTORY_SQL, {
+    replacements: { supplierId: supplier.id, days, fuelTypes },
+  });
+  return buildPriceHistory(rows, supplier, { fuelTypes, now });
+}
+
+module.exports = {
+  HISTORY_FUEL_TYPES,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  DAILY_HISTORY_SQL,
+  buildPriceHistory,
+  findGaps,
+  getSupplierPriceHistory,
+};
@@ -0,0 +1,97 @@
+// src/utils/supplier-price-history.test.js
+//
+// Tests for the per-supplier daily price history helper: SQL filters, row
+// shaping, and gap labelling from the supplier backoff columns.
+// No DB needed. Run: node src/utils/supplier-price-history.test.js
+
+const {
+  DAILY_HISTORY_SQL,
+  buildPriceHistory,
+  getSupplierPriceHistory,
+} = require('./supplier-price-history');
+
+let passed = 0;
+let failed = 0;
+function pass(label) { passed++; console.log(`  ✓ ${label}`); }
+function fail(label, detail) { failed++; console.error(`  ✗ ${label}${detail ? ' — ' + detail : ''}`); }
+function eq(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) return pass(label);
+  fail(label, `\n      expected: ${e}\n      actual:   ${a}`);
+}
+function contains(haystack, needle, label) {
+  if (haystack.includes(needle)) return pass(label);
+  fail(label, `missing substring: ${JSON.stringify(needle)}`);
+}
+
+// Noon ET on 2026-01-10
+const NOW = new Date('2026-01-10T17:00:00Z');
+const row = (fuel, day, price, extra = {}) => ({
+  fuel_type: fuel, day, price: String(price), low: String(price), high: String(price),
+  min_gallons: '100', source_type: 'scraped', samples: '1', ...extra,
+});
+
+console.log('\n=== DAILY_HISTORY_SQL ===');
+contains(DAILY_HISTORY_SQL, "source_type != 'aggregator_signal'", 'excludes aggregator signals');
+contains(DAILY_HISTORY_SQL, "AT TIME ZONE 'America/New_York'", 'buckets by Eastern calendar day');
+contains(DAILY_HISTORY_SQL, "fuel_type = 'propane' AND price_per_gallon BETWEEN 1.5 AND 5", 'per-fuel sanity band');
+contains(DAILY_HISTORY_SQL, 'COALESCE(MAX(COALESCE(min_gallons, 150)) FILTER (WHERE COALESCE(min_gallons, 150) <= 150), MIN(COALESCE(min_gallons, 150))) AS tier', "picks each day's listing tier");
+contains(DAILY_HISTORY_SQL, 'WHERE COALESCE(o.min_gallons, 150) = t.tier', 'point, low and high come from that tier only');
+if (!/is_valid/.test(DAILY_HISTORY_SQL)) pass('does not filter is_valid');
+else fail('does not filter is_valid');
+
+console.log('\n=== buildPriceHistory: points ===');
+let fuels = buildPriceHistory([
+  row('heating_oil', '2026-01-09', '3.499', { low: '3.459', high: '3.499', samples: '3', source_type: 'supplier_sms' }),
+  row('heating_oil', '2026-01-10', '3.459', { min_gallons: null, source_type: 'supplier_direct' }),
+  row('kerosene', '2026-01-10', '4.299'),
+], { scrape_status: 'active' }, { now: NOW });
+
+eq(Object.keys(fuels), ['heating_oil', 'kerosene', 'propane'], 'every requested fuel has a key');
+eq(fuels.heating_oil.points[0], {
+  date: '2026-01-09', price: 3.499, low: 3.459, high: 3.499, minGallons: 100, sourceType: 'supplier_sms', samples: 3,
+}, 'point parses numerics and keeps tier + source');
+eq(fuels.heating_oil.latest.minGallons, null, 'missing tier stays null');
+eq(fuels.heating_oil.latest.sourceType, 'supplier_direct', 'latest is the last day');
+eq([fuels.propane.points, fuels.propane.gaps, fuels.propane.latest], [[], [], null], 'empty fuel → no points, no gaps');
+
+fuels = buildPriceHistory([row('heating_oil', '2026-01-10', 3.4)], {}, { now: NOW, fuelTypes: ['heating_oil'] });
+eq(Object.keys(fuels), ['heating_oil'], 'fuelTypes narrows the response');
+
+console.log('\n=== buildPriceHistory: gaps ===');
+const oilDays = ['2026-01-01', '2026-01-02', '2026-01-05', '2026-01-06'];
+fuels = buildPriceHistory(oilDays.map((d) => row('heating_oil', d, 3.5)).concat([
+  row('kerosene', '2026-01-01', 4.2), row('kerosene', '2026-01-06', 4.2),
+]), {
+  scrape_status: 'cooldown',
+  scrape_cooldown_until: '2026-01-12T05:00:00Z',
+  scrape_failure_dates: ['2026-01-04T14:00:00Z', '2026-01-08T14:00:00Z'],
+}, { now: NOW });
+
+eq(fuels.heating_oil.gaps, [
+  { start: '2026-01-03', end: '2026-01-04', days: 2, reason: 'scrape_failed' },
+  { start: '2026-01-07', end: '2026-01-10', days: 4, reason: 'cooldown', until: '2026-01-12' },
+], 'interior gap with failures → scrape_failed; trailing gap → current backoff status');
+eq(fuels.kerosene.gaps.map((g) => g.reason), ['no_data', 'no_data'], 'non-oil gaps are always no_data');
+
+fuels = buildPriceHistory([row('heating_oil', '2026-01-07', 3.5)], { scrape_status: 'phone_only' }, { now: NOW });
+eq(fuels.heating_oil.gaps, [{ start: '2026-01-08', end: '2026-01-10', days: 3, reason: 'phone_only' }], 'phone_only trailing gap');
+
+fuels = buildPriceHistory([row('heating_oil', '2026-01-07', 3.5)], { scrape_status: 'active', scrape_failure_dates: {} }, { now: NOW });
+eq(fuels.heating_oil.gaps[0].reason, 'no_data', 'malformed failure dates tolerated');
+
+fuels = buildPriceHistory([row('heating_oil', '2026-01-10', 3.5)], { scrape_status: 'phone_only' }, { now: NOW });
+eq(fuels.heating_oil.gaps, [], 'price today → no trailing gap');
+
+console.log('\n=== getSupplierPriceHistory ===');
+(async () => {
+  const calls = [];
+  const sequelize = { query: async (sql, opts) => { calls.push(opts); return [[row('propane', '2026-01-10', 2.999)]]; } };
+  const out = await getSupplierPriceHistory(sequelize, { id: 'abc' }, { days: 30, fuelTypes: ['propane'], now: NOW });
+  eq(calls[0].replacements, { supplierId: 'abc', days: 30, fuelTypes: ['propane'] }, 'passes supplier, window and fuels as replacements');
+  eq(out.propane.latest.price, 2.999, 'returns shaped history');
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+})();
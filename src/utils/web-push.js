@@ -0,0 +1,113 @@
+/**
+ * Web push (VAPID, RFC 8292) — price alert notifications via website/sw.js.
+ *
+ * Messages are sent WITHOUT a payload, so there's no RFC 8291 encryption to
+ * get wrong: the service worker wakes up, asks /api/price-alerts/push/latest
+ * for its newest undelivered message and shows that.
+ *
+ * Keys: VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, raw P-256 point and
+ * scalar). Generate a pair with:
+ *   node -e "console.log(require('./src/utils/web-push').generateVapidKeys())"
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SUBJECT = 'mailto:support@gethomeheat.com';
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+// Browser push services. Anything else is refused so a posted "subscription"
+// can't make the server POST to arbitrary URLs.
+const PUSH_HOSTS = [
+  /^fcm\.googleapis\.com$/,
+  /^android\.googleapis\.com$/,
+  /\.push\.services\.mozilla\.com$/,
+  /\.notify\.windows\.com$/,
+  /^web\.push\.apple\.com$/,
+  /\.push\.apple\.com$/
+];
+
+/** VAPID config from env, or null when push isn't configured */
+function getVapidKeys() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT };
+}
+
+/** New VAPID key pair (base64url) */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url')
+  };
+}
+
+/** True for https endpoints on a known browser push service */
+function isAllowedEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' && PUSH_HOSTS.some(re => re.test(url.hostname));
+}
+
+function b64json(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+/** `Authorization: vapid t=<ES256 JWT>, k=<public key>` for one push service origin */
+function vapidAuthHeader(endpoint, keys, now = Date.now()) {
+  const pub = Buffer.from(keys.publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: keys.privateKey,
+      x: pub.subarray(1, 33).toString('base64url'),
+      y: pub.subarray(33, 65).toString('base64url')
+    },
+    format: 'jwk'
+  });
+  const unsigned = `${b64json({ typ: 'JWT', alg: 'ES256' })}.${b64json({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + TOKEN_TTL_SECONDS,
+    sub: keys.subject
+  })}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${keys.publicKey}`;
+}
+
+/**
+ * Send one payload-less push.
+ * @returns {Promise<{ok: boolean, status?: number, gone?: boolean, id?: string, error?: string}>}
+ *   gone = the push service no longer knows the subscription (404/410)
+ */
+async function sendPush(endpoint, { ttlSeconds = 86400, urgency = 'normal' } = {}, keys = getVapidKeys()) {
+  if (!keys) return { ok: false, error: 'VAPID keys not configured' };
+  if (!isAllowedEndpoint(endpoint)) return { ok: false, gone: true, error: 'Endpoint not allowed' };
+
+  try {
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: vapidAuthHeader(endpoint, keys),
+        TTL: String(ttlSeconds),
+        Urgency: urgency,
+        'Content-Length': '0'
+      }
+    });
+    if (res.status === 404 || res.status === 410) {
+      return { ok: false, gone: true, status: res.status, error: `HTTP ${res.status}` };
+    }
+    if (!res.ok) return { ok: false, status: res.status, error: `HTTP ${res.status}` };
+    return { ok: true, status: res.status, id: res.headers.get('location') || null };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+module.exports = { getVapidKeys, generateVapidKeys, isAllowedEndpoint, vapidAuthHeader, sendPush };
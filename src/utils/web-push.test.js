@@ -0,0 +1,58 @@
+// src/utils/web-push.test.js
+// VAPID header signs a verifiable ES256 JWT for the push service origin;
+// only known push services are contacted; 404/410 marks a subscription gone.
+// Run: node src/utils/web-push.test.js
+const crypto = require('crypto');
+const { generateVapidKeys, isAllowedEndpoint, vapidAuthHeader, sendPush } = require('./web-push');
+let passed=0, failed=0;
+const pass=l=>{passed++;console.log(`  ✓ ${l}`);};
+const fail=(l,d)=>{failed++;console.error(`  ✗ ${l} — ${d}`);};
+const eq=(a,b,l)=>JSON.stringify(a)===JSON.stringify(b)?pass(l):fail(l,`got ${JSON.stringify(a)}`);
+const ok=(c,l)=>c?pass(l):fail(l,'expected true');
+
+const FCM = 'https://fcm.googleapis.com/fcm/send/abc123';
+
+console.log('\n=== keys + header ===');
+const keys = { ...generateVapidKeys(), subject: 'mailto:test@example.com' };
+eq([Buffer.from(keys.publicKey, 'base64url').length, Buffer.from(keys.privateKey, 'base64url').length], [65, 32], 'raw P-256 key sizes');
+{ const header = vapidAuthHeader(FCM, keys, Date.UTC(2026, 9, 19));
+  const [, jwt, k] = header.match(/^vapid t=([^,]+), k=(.+)$/) || [];
+  eq(k, keys.publicKey, 'k= carries the public key');
+  const [h, c, sig] = jwt.split('.');
+  const claims = JSON.parse(Buffer.from(c, 'base64url'));
+  eq(claims.aud, 'https://fcm.googleapis.com', 'aud is the push service origin');
+  eq(claims.exp, Date.UTC(2026, 9, 19) / 1000 + 12 * 3600, 'token valid 12h');
+  eq(claims.sub, 'mailto:test@example.com', 'sub from config');
+  const pub = Buffer.from(keys.publicKey, 'base64url');
+  const publicKey = crypto.createPublicKey({ key: { kty: 'EC', crv: 'P-256', x: pub.subarray(1, 33).toString('base64url'), y: pub.subarray(33).toString('base64url') }, format: 'jwk' });
+  ok(crypto.verify('sha256', Buffer.from(`${h}.${c}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(sig, 'base64url')), 'ES256 signature verifies'); }
+
+console.log('\n=== endpoints ===');
+ok(isAllowedEndpoint(FCM), 'FCM allowed');
+ok(isAllowedEndpoint('https://updates.push.services.mozilla.com/wpush/v2/x'), 'Mozilla allowed');
+ok(isAllowedEndpoint('https://web.push.apple.com/QGx'), 'Apple allowed');
+ok(!isAllowedEndpoint('http://fcm.googleapis.com/fcm/send/x'), 'plain http refused');
+ok(!isAllowedEndpoint('https://169.254.169.254/latest'), 'internal address refused');
+ok(!isAllowedEndpoint('https://fcm.googleapis.com.evil.test/x'), 'lookalike host refused');
+ok(!isAllowedEndpoint('not a url'), 'garbage refused');
+
+(async () => {
+  console.log('\n=== sendPush ===');
+  const realFetch = global.fetch;
+  const seen = [];
+  try {
+    global.fetch = async (url, opts) => { seen.push({ url, opts }); return { ok: true, status: 201, headers: { get: () => 'https://fcm.googleapis.com/m/1' } }; };
+    eq(await sendPush(FCM, {}, keys), { ok: true, status: 201, id: 'https://fcm.googleapis.com/m/1' }, '201 → sent');
+    ok(seen[0].opts.headers.TTL === '86400' && seen[0].opts.body === undefined, 'no payload, 24h TTL');
+    global.fetch = async () => ({ ok: false, status: 410, headers: { get: () => null } });
+    eq(await sendPush(FCM, {}, keys), { ok: false, gone: true, status: 410, error: 'HTTP 410' }, '410 → gone');
+    global.fetch = async () => { throw new Error('ECONNRESET'); };
+    eq(await sendPush(FCM, {}, keys), { ok: false, error: 'ECONNRESET' }, 'network error reported');
+    eq((await sendPush('https://example.com/x', {}, keys)).gone, true, 'unknown host never fetched');
+    eq(await sendPush(FCM, {}, null), { ok: false, error: 'VAPID keys not configured' }, 'unconfigured → not sent');
+  } finally {
+    global.fetch = realFetch;
+  }
+  console.log(`\n${failed===0?'✅':'❌'} ${passed} passed, ${failed} failed`);
+  process.exit(failed===0?0:1);
+})();
@@ -3494,6 +3494,9 @@ async function loadHealth() {
     // V3.1.0: Load cron health (non-blocking — don't fail the whole tab)
     try { await loadCronHealth(); } catch (e) { console.warn('Cron health load failed:', e); }
 
+    // V3.6.1: Forecast accuracy panel (non-blocking)
+    try { await loadForecastAccuracy(); } catch (e) { console.warn('Forecast accuracy load failed:', e); }
+
     if (loadingEl) loadingEl.classList.add('hidden');
     if (contentEl) contentEl.classList.remove('hidden');
   } catch (error) {
@@ -3554,6 +3557,89 @@ async function loadCronHealth() {
   function esc(s) { return s ? String(s).replace(/</g, '&lt;').replace(/>/g, '&gt;') : ''; }
 }
 
+// V3.6.1: Consumption forecast accuracy (MAE/bias per model version over time)
+let forecastAccuracyChart = null;
+
+async function loadForecastAccuracy() {
+  const data = await api('/forecast-accuracy?days=90');
+  const badge = document.getElementById('forecast-active-version');
+  if (badge) badge.textContent = data.activeVersion ? 'Active: ' + data.activeVersion : 'No model';
+  const windowEl = document.getElementById('forecast-window-days');
+  if (windowEl && data.windowDays) windowEl.textContent = data.windowDays;
+
+  const fmt = (v) => (v === null || v === undefined ? '—' : (v > 0 ? '+' : '') + v.toFixed(1));
+  const versionsBody = document.getElementById('forecast-versions-body');
+  if (versionsBody) {
+    versionsBody.innerHTML = data.versions.length === 0
+      ? '<tr><td colspan="5" class="empty-state">No prediction feedback yet</td></tr>'
+      : data.versions.map(v => `<tr${v.modelVersion === data.activeVersion ? ' style="font-weight:600"' : ''}>
+          <td>${v.modelVersion}</td>
+          <td style="text-align:right">${v.mae.toFixed(1)}</td>
+          <td style="text-align:right">${fmt(v.bias)}</td>
+          <td style="text-align:right">${v.dataPoints}</td>
+          <td>${v.date}</td>
+        </tr>`).join('');
+  }
+
+  const regionsBody = document.getElementById('forecast-regions-body');
+  if (regionsBody) {
+    regionsBody.innerHTML = data.regions.length === 0
+      ? '<tr><td colspan="5" class="empty-state">—</td></tr>'
+      : data.regions.map(r => `<tr>
+          <td>${r.region}</td>
+          <td>${r.modelVersion}</td>
+          <td style="text-align:right">${r.mae.toFixed(1)}</td>
+          <td style="text-align:right">${fmt(r.bias)}</td>
+          <td style="text-align:right">${r.dataPoints}</td>
+        </tr>`).join('');
+  }
+
+  const canvas = document.getElementById('forecast-accuracy-chart');
+  if (!canvas) return;
+  if (forecastAccuracyChart) forecastAccuracyChart.destroy();
+
+  const dates = [...new Set(data.history.map(h => h.date))];
+  const versionNames = [...new Set(data.history.map(h => h.modelVersion))];
+  const colors = ['#3b82f6', '#f97316', '#10b981', '#8b5cf6', '#ef4444'];
+  forecastAccuracyChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: dates.map(d => new Date(d + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+      datasets: versionNames.map((name, i) => ({
+        label: name,
+        data: dates.map(d => {
+          const point = data.history.find(h => h.date === d && h.modelVersion === name);
+          return point ? point.mae : null;
+        }),
+        borderColor: colors[i % colors.length],
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2,
+        spanGaps: true
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: MAE ${context.parsed.y.toFixed(1)} days`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: { beginAtZero: true, title: { display: true, text: 'MAE (days)' } }
+      }
+    }
+  });
+}
+
 function renderFreshnessBar(freshness) {
   const bar = document.getElementById('freshness-bar');
   const legend = document.getElementById('freshness-legend');
@@ -4320,6 +4406,7 @@ function loadQrSubtab(tab) {
   else if (tab === 'orders') loadQrOrders();
   else if (tab === 'consumers') loadQrConsumers();
   else if (tab === 'suppliers') loadQrSuppliers();
+  else if (tab === 'group-buys') loadQrGroupBuys();
 }
 
 async function loadQrOverview() {
@@ -4675,25 +4762,31 @@ async function loadQrSuppliers() {
     }
 
     const tbody = document.getElementById('qr-suppliers-body');
+    const healthClass = { no_leads: 'none', sms_problem: 'sms', new: 'none' };
+    const healthLabels = { no_leads: 'No leads', sms_problem: 'SMS problem', new: 'New' };
     tbody.innerHTML = suppliers.map(s => {
-      const health = s.health || 'none';
-      const healthLabel = health.charAt(0).toUpperCase() + health.slice(1);
+      const health = s.health || 'no_leads';
+      const healthLabel = healthLabels[health] || health.charAt(0).toUpperCase() + health.slice(1);
       const location = [s.city, s.state].filter(Boolean).join(', ') || '—';
-      const responseRate = s.response_rate !== undefined && s.response_rate !== null
-        ? s.response_rate : '—';
-      const avgResponse = s.avg_response_minutes
-        ? `${Math.round(s.avg_response_minutes)}m` : '—';
+      const medianResponse = s.median_response_minutes != null
+        ? `${s.median_response_minutes}m` : '—';
+      const rating = s.avg_rating != null ? `${s.avg_rating} (${s.ratings})` : '—';
+      const demoted = s.demoted
+        ? ' <span class="qr-health qr-health-poor" title="Ignored most recent leads — sent leads last">Demoted</span>' : '';
       return `<tr>
         <td><strong>${s.name}</strong></td>
         <td>${location}</td>
-        <td>${s.leads_received || 0}</td>
-        <td>${s.leads_responded || 0}</td>
-        <td>${responseRate}</td>
+        <td>${s.total_leads || 0}</td>
+        <td>${s.responded || 0}</td>
+        <td>${s.response_rate || '—'}</td>
+        <td>${s.sla_rate || '—'}</td>
+        <td>${medianResponse}</td>
         <td>${s.win_rate || '—'}</td>
-        <td>${avgResponse}</td>
-        <td>${s.sms_failures || 0}</td>
-        <td><span class="qr-health qr-health-${health}">${healthLabel}</span></td>
-        <td>${qrFmtDate(s.opted_in_at, false)}</td>
+        <td>${rating}</td>
+        <td>${s.failed || 0}</td>
+        <td>${s.score != null ? s.score : '—'}</td>
+        <td><span class="qr-health qr-health-${healthClass[health] || health}">${healthLabel}</span>${demoted}</td>
+        <td>${qrFmtDate(s.lead_opted_in_at, false)}</td>
       </tr>`;
     }).join('');
 
@@ -4704,3 +4797,86 @@ async function loadQrSuppliers() {
     if (loadingEl) loadingEl.textContent = 'Failed to load suppliers';
   }
 }
+
+// V3.14.0: Group orders — always re-fetches so cancels show up immediately
+async function loadQrGroupBuys() {
+  const loadingEl = document.getElementById('qr-group-buys-loading');
+  const tableEl = document.getElementById('qr-group-buys-table');
+  const emptyEl = document.getElementById('qr-group-buys-empty');
+  const summaryEl = document.getElementById('qr-group-buys-summary');
+
+  try {
+    const data = await api('/quote-requests/group-buys');
+    if (loadingEl) loadingEl.style.display = 'none';
+
+    const pools = data.group_buys || [];
+    if (pools.length === 0) {
+      if (tableEl) tableEl.style.display = 'none';
+      if (summaryEl) summaryEl.style.display = 'none';
+      if (emptyEl) emptyEl.style.display = '';
+      return;
+    }
+
+    const sum = data.summary || {};
+    if (summaryEl) {
+      summaryEl.textContent = `${sum.total} group orders in ${data.days} days — ${sum.open} gathering, ${sum.bidding} bidding, ${sum.awarded} awarded, ${sum.expired} expired, ${sum.cancelled} cancelled`;
+      summaryEl.style.display = '';
+    }
+
+    const reasonLabels = {
+      under_threshold: 'missed threshold',
+      no_suppliers: 'no suppliers',
+      no_bids: 'no bids',
+      unconfirmed: 'never confirmed',
+      cancelled: 'cancelled'
+    };
+    const tbody = document.getElementById('qr-group-buys-body');
+    tbody.innerHTML = pools.map(g => {
+      const reason = g.closed_reason && g.status === 'expired'
+        ? ` <span style="font-size:11px;color:var(--gray-500)">${reasonLabels[g.closed_reason] || g.closed_reason}</span>` : '';
+      const winner = g.winner ? `${g.winner} ($${g.winning_bid.toFixed(3)})` : '—';
+      const cancel = g.status === 'open' || g.status === 'bidding'
+        ? `<button class="qr-gb-cancel" data-gb-id="${g.id}">Cancel</button>` : '';
+      return `<tr>
+        <td><a href="/g/${g.id}" target="_blank" rel="noopener">${g.zip}</a></td>
+        <td>${qrFmtDate(g.delivery_week + 'T12:00:00', false)}</td>
+        <td>${g.households}</td>
+        <td>${g.gallons} / ${g.threshold}</td>
+        <td><span class="qr-status status-${g.status}">${qrStatusLabel(g.status)}</span>${reason}</td>
+        <td>${qrFmtDate(g.join_deadline, true)}</td>
+        <td>${g.invited}</td>
+        <td>${g.bids}</td>
+        <td>${g.lowest_bid != null ? '$' + g.lowest_bid.toFixed(3) : '—'}</td>
+        <td>${winner}</td>
+        <td>${qrFmtDate(g.created_at, false)}</td>
+        <td>${cancel}</td>
+      </tr>`;
+    }).join('');
+
+    if (!tbody.dataset.bound) {
+      tbody.dataset.bound = '1';
+      tbody.addEventListener('click', (e) => {
+        const btn = e.target.closest('.qr-gb-cancel');
+        if (btn) cancelQrGroupBuy(btn.dataset.gbId);
+      });
+    }
+
+    if (emptyEl) emptyEl.style.display = 'none';
+    if (tableEl) tableEl.style.display = '';
+  } catch (error) {
+    console.error('QR group buys load error:', error);
+    if (loadingEl) loadingEl.textContent = 'Failed to load group orders';
+  }
+}
+
+async function cancelQrGroupBuy(id) {
+  if (!confirm('Cancel this group order? Every household that joined gets a text.')) return;
+
+  try {
+    await api(`/quote-requests/group-buys/${id}/cancel`, { method: 'POST' });
+    showToast('Group order cancelled', 'success');
+    loadQrGroupBuys();
+  } catch (error) {
+    showToast(error.message || 'Failed to cancel group order', 'error');
+  }
+}
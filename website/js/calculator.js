@@ -21,6 +21,11 @@
   const emailBtn = document.getElementById('calc-email-submit');
   const emailStatus = document.getElementById('calc-email-status');
   const honeypot = document.getElementById('calc-hp');
+  const seasonEl = document.getElementById('calc-season');
+  const profileNoteEl = document.getElementById('calc-profile-note');
+  const sqftInput = document.getElementById('calc-sqft');
+  const insulationInput = document.getElementById('calc-insulation');
+  const setpointInput = document.getElementById('calc-setpoint');
 
   if (!zipInput || !submitBtn) return;
 
@@ -66,7 +71,7 @@
     submitBtn.disabled = true;
 
     try {
-      const res = await fetch('/api/v1/heating-cost?zip=' + encodeURIComponent(zip));
+      const res = await fetch('/api/v1/heating-cost?' + buildQuery(zip));
       const data = await res.json();
 
       if (!res.ok) {
@@ -83,11 +88,44 @@
     }
   }
 
+  // Optional home profile + this-season-so-far comparison
+  function buildQuery(zip) {
+    var params = new URLSearchParams({ zip: zip, mode: 'season' });
+    if (sqftInput && sqftInput.value) params.set('squareFeet', sqftInput.value);
+    if (insulationInput && insulationInput.value !== 'average') params.set('insulation', insulationInput.value);
+    if (setpointInput && setpointInput.value) params.set('setpoint', setpointInput.value);
+    return params.toString();
+  }
+
+  function renderSeason(data) {
+    if (!seasonEl) return;
+    var season = data.season;
+    var oil = season && season.fuels['heating-oil'];
+    if (!season || !season.observedDays || season.departurePct === null || !oil) {
+      seasonEl.hidden = true;
+      return;
+    }
+    var pct = Math.abs(Math.round(season.departurePct));
+    var feel = pct === 0 ? 'about as cold as normal'
+      : pct + '% ' + (season.departurePct > 0 ? 'colder' : 'warmer') + ' than normal';
+    var diff = oil.difference === 0 ? 'about the usual heating oil bill'
+      : formatDollars(Math.abs(oil.difference)) + (oil.difference > 0 ? ' more' : ' less') + ' on heating oil';
+    seasonEl.innerHTML = '<strong>This season so far:</strong> ' + feel + ' in ' + esc(data.county) +
+      ' County &mdash; expect ' + diff + ' this winter.';
+    seasonEl.hidden = false;
+  }
+
   function render(data) {
     // Location header
     locationEl.innerHTML = '<strong>' + esc(data.county) + ' County, ' + esc(data.state) + '</strong>' +
       ' <span class="calc-hdd">' + data.hdd.toLocaleString() + ' heating degree days/year</span>';
 
+    if (profileNoteEl && data.profile) {
+      profileNoteEl.textContent = 'Based on a ' + data.profile.squareFeet.toLocaleString() + ' sq ft home with ' +
+        data.profile.insulation + ' insulation at ' + data.profile.setpoint + '\u00B0F in your area.';
+    }
+    renderSeason(data);
+
     // Store oil price for email signup
     lastOilPrice = data.fuels['heating-oil'] ? data.fuels['heating-oil'].price : null;
 
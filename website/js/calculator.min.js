@@ -1 +1 @@
-(function(){"use strict";const o=document.getElementById("calc-zip"),p=document.getElementById("calc-submit"),m=document.getElementById("calc-error"),h=document.getElementById("calc-loading"),w=document.getElementById("calc-results"),B=document.getElementById("calc-related"),M=document.getElementById("calc-location"),f=document.getElementById("calc-verdict"),C=document.getElementById("calc-table-body"),y=document.getElementById("calc-payback"),S=document.getElementById("calc-cta-oil-link"),L=document.getElementById("calc-features"),z=document.getElementById("calc-email"),g=document.getElementById("calc-email-submit"),l=document.getElementById("calc-email-status"),P=document.getElementById("calc-hp");if(!o||!p)return;var x=null;const N=["heating-oil","natural-gas","heat-pump","electric-baseboard"],D={"heating-oil":"\u{1F6E2}\uFE0F","natural-gas":"\u{1F525}","heat-pump":"\u2744\uFE0F","electric-baseboard":"\u26A1",propane:"\u{1F535}"};function v(e){m.textContent=e,m.hidden=!1,h.hidden=!0}function _(){m.hidden=!0,m.textContent=""}function d(e){return"$"+e.toLocaleString("en-US")}async function E(){const e=o.value.trim();if(!/^\d{5}$/.test(e)){v("Please enter a valid 5-digit ZIP code.");return}_(),w.hidden=!0,B.hidden=!0,L&&(L.hidden=!0),h.hidden=!1,p.disabled=!0;try{const t=await fetch("/api/v1/heating-cost?zip="+encodeURIComponent(e)),a=await t.json();if(!t.ok){v(a.error||"Unable to calculate for this ZIP code.");return}H(a)}catch(t){v("Network error. Please try again.")}finally{h.hidden=!0,p.disabled=!1}}function H(e){M.innerHTML="<strong>"+s(e.county)+" County, "+s(e.state)+'</strong> <span class="calc-hdd">'+e.hdd.toLocaleString()+" heating degree days/year</span>",x=e.fuels["heating-oil"]?e.fuels["heating-oil"].price:null,C.innerHTML="";var t=e.cheapest,a=e.fuels;if(N.forEach(function(i){var n=a[i];if(n){var c=i===t,u=document.createElement("tr");c&&(u.className="calc-row-cheapest"),u.innerHTML='<td class="calc-fuel-name">'+(D[i]||"")+" "+s(n.label)+(c?' <span class="calc-badge">Cheapest</span>':"")+"</td><td>"+U(n.price,n.unit)+"</td><td><strong>"+d(n.annualCost)+"</strong>/yr</td><td>"+d(n.monthlyCost)+"/mo</td><td>$"+n.costPerMMBTU.toFixed(1)+"</td>",C.appendChild(u)}}),t&&a[t]){var r=a[t];f.innerHTML='<div class="calc-verdict-inner"><span class="calc-verdict-label">Cheapest option for '+s(e.county)+' County</span><span class="calc-verdict-fuel">'+(D[t]||"")+" "+s(r.label)+'</span><span class="calc-verdict-cost">'+d(r.annualCost)+"/year estimated</span></div>",f.hidden=!1}else f.hidden=!0;if(e.payback&&e.payback.years){let i=function(n){var c=k>0?n/k:null,u=c!==null?c.toFixed(1)+" years":"N/A",j=c!==null&&c<=7?"calc-payback-good":c!==null&&c<=12?"calc-payback-ok":"calc-payback-long";y.innerHTML="<h3>Heat Pump Payback Period</h3><p>Switching from heating oil to a heat pump (mini-split) could save approximately <strong>"+d(Math.round(k))+'/year</strong> in your area.</p><div class="calc-slider-row"><label for="calc-install-slider">Installed cost (equipment + labor):</label><div class="calc-slider-controls"><input type="range" id="calc-install-slider" min="5000" max="20000" step="500" value="'+n+'"><span id="calc-install-value" class="calc-slider-value">'+d(n)+'</span></div></div><p>Estimated payback: <span class="calc-payback-years '+j+'">'+u+'</span></p><p class="calc-note">Federal tax credits (up to $2,000) and state rebates can reduce your out-of-pocket cost significantly.</p>';var F=document.getElementById("calc-install-slider");F&&F.addEventListener("input",function(){i(parseInt(this.value,10))})};var I=a["heating-oil"]?a["heating-oil"].annualCost:0,O=a["heat-pump"]?a["heat-pump"].annualCost:0,k=I-O,R=11e3;i(R),y.hidden=!1}else y.hidden=!0;var T=e.state?e.state.toLowerCase():"";T&&(S.href="/prices/"+T+"/"),w.hidden=!1,B.hidden=!1,window.gtag&&window.gtag("event","calculator_used",{event_category:"engagement",event_label:e.zip,value:e.fuels["heating-oil"]?e.fuels["heating-oil"].annualCost:0})}function U(e,t){return"$"+e.toFixed(2)+"/"+s(t)}function s(e){var t=document.createElement("span");return t.textContent=e||"",t.innerHTML}p.addEventListener("click",E),o.addEventListener("keydown",function(e){e.key==="Enter"&&E()}),g&&g.addEventListener("click",function(){if(!(P&&P.value)){var e=z.value.trim();if(!e||!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)){l.textContent="Please enter a valid email address.",l.className="calc-email-status calc-email-error",l.hidden=!1;return}var t=o.value.trim(),a=x||4;fetch("/api/price-alerts/subscribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:e,zip_code:t,threshold_price:a,source_page:"calculator"})}).then(function(r){if(!r.ok)return r.json().then(function(I){throw new Error(I.error||"Failed")});l.textContent="Thanks! We'll notify you when oil prices drop in your area.",l.className="calc-email-status calc-email-success",l.hidden=!1,g.disabled=!0}).catch(function(r){l.textContent=r.message||"Something went wrong. Try again later.",l.className="calc-email-status calc-email-error",l.hidden=!1})}});var $=new URLSearchParams(window.location.search),b=$.get("zip");b&&/^\d{5}$/.test(b)&&(o.value=b,E())})();
+(function(){"use strict";const u=document.getElementById("calc-zip"),m=document.getElementById("calc-submit"),f=document.getElementById("calc-error"),g=document.getElementById("calc-loading"),x=document.getElementById("calc-results"),D=document.getElementById("calc-related"),U=document.getElementById("calc-location"),y=document.getElementById("calc-verdict"),F=document.getElementById("calc-table-body"),v=document.getElementById("calc-payback"),$=document.getElementById("calc-cta-oil-link"),T=document.getElementById("calc-features"),q=document.getElementById("calc-email"),E=document.getElementById("calc-email-submit"),c=document.getElementById("calc-email-status"),M=document.getElementById("calc-hp"),h=document.getElementById("calc-season"),S=document.getElementById("calc-profile-note"),b=document.getElementById("calc-sqft"),I=document.getElementById("calc-insulation"),B=document.getElementById("calc-setpoint");if(!u||!m)return;var N=null;const O=["heating-oil","natural-gas","heat-pump","electric-baseboard"],z={"heating-oil":"\u{1F6E2}\uFE0F","natural-gas":"\u{1F525}","heat-pump":"\u2744\uFE0F","electric-baseboard":"\u26A1",propane:"\u{1F535}"};function w(e){f.textContent=e,f.hidden=!1,g.hidden=!0}function R(){f.hidden=!0,f.textContent=""}function i(e){return"$"+e.toLocaleString("en-US")}async function C(){const e=u.value.trim();if(!/^\d{5}$/.test(e)){w("Please enter a valid 5-digit ZIP code.");return}R(),x.hidden=!0,D.hidden=!0,T&&(T.hidden=!0),g.hidden=!1,m.disabled=!0;try{const t=await fetch("/api/v1/heating-cost?"+j(e)),a=await t.json();if(!t.ok){w(a.error||"Unable to calculate for this ZIP code.");return}A(a)}catch(t){w("Network error. Please try again.")}finally{g.hidden=!0,m.disabled=!1}}function j(e){var t=new URLSearchParams({zip:e,mode:"season"});return b&&b.value&&t.set("squareFeet",b.value),I&&I.value!=="average"&&t.set("insulation",I.value),B&&B.value&&t.set("setpoint",B.value),t.toString()}function Z(e){if(h){var t=e.season,a=t&&t.fuels["heating-oil"];if(!t||!t.observedDays||t.departurePct===null||!a){h.hidden=!0;return}var l=Math.abs(Math.round(t.departurePct)),d=l===0?"about as cold as normal":l+"% "+(t.departurePct>0?"colder":"warmer")+" than normal",L=a.difference===0?"about the usual heating oil bill":i(Math.abs(a.difference))+(a.difference>0?" more":" less")+" on heating oil";h.innerHTML="<strong>This season so far:</strong> "+d+" in "+s(e.county)+" County &mdash; expect "+L+" this winter.",h.hidden=!1}}function A(e){U.innerHTML="<strong>"+s(e.county)+" County, "+s(e.state)+'</strong> <span class="calc-hdd">'+e.hdd.toLocaleString()+" heating degree days/year</span>",S&&e.profile&&(S.textContent="Based on a "+e.profile.squareFeet.toLocaleString()+" sq ft home with "+e.profile.insulation+" insulation at "+e.profile.setpoint+"\xB0F in your area."),Z(e),N=e.fuels["heating-oil"]?e.fuels["heating-oil"].price:null,F.innerHTML="";var t=e.cheapest,a=e.fuels;if(O.forEach(function(o){var n=a[o];if(n){var r=o===t,p=document.createElement("tr");r&&(p.className="calc-row-cheapest"),p.innerHTML='<td class="calc-fuel-name">'+(z[o]||"")+" "+s(n.label)+(r?' <span class="calc-badge">Cheapest</span>':"")+"</td><td>"+J(n.price,n.unit)+"</td><td><strong>"+i(n.annualCost)+"</strong>/yr</td><td>"+i(n.monthlyCost)+"/mo</td><td>$"+n.costPerMMBTU.toFixed(1)+"</td>",F.appendChild(p)}}),t&&a[t]){var l=a[t];y.innerHTML='<div class="calc-verdict-inner"><span class="calc-verdict-label">Cheapest option for '+s(e.county)+' County</span><span class="calc-verdict-fuel">'+(z[t]||"")+" "+s(l.label)+'</span><span class="calc-verdict-cost">'+i(l.annualCost)+"/year estimated</span></div>",y.hidden=!1}else y.hidden=!0;if(e.payback&&e.payback.years){let o=function(n){var r=P>0?n/P:null,p=r!==null?r.toFixed(1)+" years":"N/A",W=r!==null&&r<=7?"calc-payback-good":r!==null&&r<=12?"calc-payback-ok":"calc-payback-long";v.innerHTML="<h3>Heat Pump Payback Period</h3><p>Switching from heating oil to a heat pump (mini-split) could save approximately <strong>"+i(Math.round(P))+'/year</strong> in your area.</p><div class="calc-slider-row"><label for="calc-install-slider">Installed cost (equipment + labor):</label><div class="calc-slider-controls"><input type="range" id="calc-install-slider" min="5000" max="20000" step="500" value="'+n+'"><span id="calc-install-value" class="calc-slider-value">'+i(n)+'</span></div></div><p>Estimated payback: <span class="calc-payback-years '+W+'">'+p+'</span></p><p class="calc-note">Federal tax credits (up to $2,000) and state rebates can reduce your out-of-pocket cost significantly.</p>';var _=document.getElementById("calc-install-slider");_&&_.addEventListener("input",function(){o(parseInt(this.value,10))})};var d=a["heating-oil"]?a["heating-oil"].annualCost:0,L=a["heat-pump"]?a["heat-pump"].annualCost:0,P=d-L,Q=11e3;o(Q),v.hidden=!1}else v.hidden=!0;var H=e.state?e.state.toLowerCase():"";H&&($.href="/prices/"+H+"/"),x.hidden=!1,D.hidden=!1,window.gtag&&window.gtag("event","calculator_used",{event_category:"engagement",event_label:e.zip,value:e.fuels["heating-oil"]?e.fuels["heating-oil"].annualCost:0})}function J(e,t){return"$"+e.toFixed(2)+"/"+s(t)}function s(e){var t=document.createElement("span");return t.textContent=e||"",t.innerHTML}m.addEventListener("click",C),u.addEventListener("keydown",function(e){e.key==="Enter"&&C()}),E&&E.addEventListener("click",function(){if(!(M&&M.value)){var e=q.value.trim();if(!e||!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)){c.textContent="Please enter a valid email address.",c.className="calc-email-status calc-email-error",c.hidden=!1;return}var t=u.value.trim(),a=N||4;fetch("/api/price-alerts/subscribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:e,zip_code:t,threshold_price:a,source_page:"calculator"})}).then(function(l){if(!l.ok)return l.json().then(function(d){throw new Error(d.error||"Failed")});c.textContent="Thanks! We'll notify you when oil prices drop in your area.",c.className="calc-email-status calc-email-success",c.hidden=!1,E.disabled=!0}).catch(function(l){c.textContent=l.message||"Something went wrong. Try again later.",c.className="calc-email-status calc-email-error",c.hidden=!1})}});var K=new URLSearchParams(window.location.search),k=K.get("zip");k&&/^\d{5}$/.test(k)&&(u.value=k,C())})();
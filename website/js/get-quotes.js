@@ -53,6 +53,10 @@
           '<div class="get-quotes-title">Get quotes from local suppliers</div>' +
           renderFormFields() +
           '<div class="get-quotes-meta">No spam, no account required.</div>' +
+          // V3.14.0: group orders need opted-in suppliers, so routed mode only
+          '<div class="get-quotes-meta">' +
+            '<a href="/api/group-buy/start?zip=' + encodeURIComponent(zip) + '">Start a group order with neighbors</a> for a pooled price.' +
+          '</div>' +
         '</div>';
 
       attachFormHandlers();
@@ -90,6 +94,13 @@
                 '<button type="submit" class="get-quotes-btn">' + (mode === 'cold' ? 'Submit Request &rarr;' : 'Get Quotes &rarr;') + '</button>' +
               '</div>' +
             '</div>' +
+            (mode === 'cold' ? '' :
+              '<div class="get-quotes-consent">' +
+                '<label><input type="checkbox" class="get-quotes-bid-check"> ' +
+                  'Get firm price bids instead of calls &mdash; compare prices and delivery days, then pick one. ' +
+                  'Only the supplier you pick gets your number.' +
+                '</label>' +
+              '</div>') +
             '<div class="get-quotes-consent">' +
               '<label><input type="checkbox" class="get-quotes-consent-check" required> ' +
                 'I consent to sharing my info with up to 3 local suppliers. ' +
@@ -148,6 +159,8 @@
       var gallons = container.querySelector('.get-quotes-gallons').value;
       var honeypot = form.querySelector('[name="website_url"]').value;
       var consentChecked = container.querySelector('.get-quotes-consent-check').checked;
+      var bidCheck = container.querySelector('.get-quotes-bid-check');
+      var bidMode = !!(bidCheck && bidCheck.checked);
 
       var tankLevel = 'not_sure';
 
@@ -176,6 +189,7 @@
           consumer_zip: zip,
           gallons_requested: parseInt(gallons),
           tank_level: tankLevel,
+          bid_mode: bidMode,
           source_page: window.location.pathname + window.location.search,
           honeypot: honeypot,
           form_rendered_at: formRenderedAt
@@ -204,7 +218,7 @@
             '</div>';
 
           if (typeof gtag === 'function') {
-            gtag('event', 'quote_verify_sent', { zip: zip });
+            gtag('event', 'quote_verify_sent', { zip: zip, bid_mode: bidMode });
           }
         })
         .catch(function () {
@@ -1 +1 @@
-(function(){"use strict";window.initGetQuotesForm=function(x,a){var o=document.querySelector(x);if(!o)return;var v=a.zip||"",H=a.supplierCount||0,u=a.mode||"routed",P=a.fallback_phones||null,k=Date.now(),D=null,h=parseInt(new Date().toLocaleString("en-US",{timeZone:"America/New_York",hour:"numeric",hour12:!1})),w=h<7||h>=19;o.style.display="block",S();function S(){u==="cold"?_():F()}function F(){var t=w?'<div class="get-quotes-after-hours">Outside business hours. Requests will be sent at 6 AM ET.</div>':"";o.innerHTML='<div class="get-quotes-inner">'+t+'<div class="get-quotes-title">Get quotes from local suppliers</div>'+y()+'<div class="get-quotes-meta">No spam, no account required.</div></div>',q()}function _(){o.innerHTML=`<div class="get-quotes-inner"><div class="get-quotes-title">Want suppliers to call you?</div><div style="font-size:0.85rem; color:#666; margin-bottom:8px;">Leave your details and we'll connect you with local suppliers.</div>`+y()+"</div>",q()}function y(){return'<form class="get-quotes-form"><div class="get-quotes-fields"><div class="get-quotes-field"><label class="get-quotes-label">Your name</label><input type="text" class="get-quotes-name" maxlength="100" required autocomplete="name"></div><div class="get-quotes-field"><label class="get-quotes-label">Phone</label><input type="tel" class="get-quotes-phone" maxlength="14" required autocomplete="tel" placeholder="(914) 555-1234" inputmode="tel"></div><div class="get-quotes-field"><label class="get-quotes-label">Approx. gallons</label><input type="number" class="get-quotes-gallons" min="75" max="500" value="150" required inputmode="numeric"></div><div class="get-quotes-field get-quotes-field-btn"><label class="get-quotes-label">&nbsp;</label><button type="submit" class="get-quotes-btn">'+(u==="cold"?"Submit Request &rarr;":"Get Quotes &rarr;")+'</button></div></div><div class="get-quotes-consent"><label><input type="checkbox" class="get-quotes-consent-check" required> I consent to sharing my info with up to 3 local suppliers. <a href="/privacy" target="_blank">Privacy Policy</a></label></div><input type="text" name="website_url" style="display:none" tabindex="-1" autocomplete="off"><div class="get-quotes-error" style="display:none;"></div></form>'}function q(){var t=o.querySelector(".get-quotes-form");t.addEventListener("submit",C);var i=o.querySelector(".get-quotes-phone");i.addEventListener("input",function(){var e=this.value.replace(/\D/g,"");e.length>10&&e[0]==="1"&&(e=e.slice(1)),e.length>10&&(e=e.slice(0,10)),e.length>=7?this.value="("+e.slice(0,3)+") "+e.slice(3,6)+"-"+e.slice(6):e.length>=4?this.value="("+e.slice(0,3)+") "+e.slice(3):e.length>0&&(this.value="("+e)});var r=!1;t.addEventListener("focusin",function(e){!r&&e.target.tagName==="INPUT"&&(r=!0,typeof gtag=="function"&&gtag("event","quote_form_started",{zip:v}))})}function C(t){t.preventDefault();var i=o.querySelector(".get-quotes-form"),r=o.querySelector(".get-quotes-error"),e=o.querySelector(".get-quotes-btn");r.style.display="none";var c=o.querySelector(".get-quotes-name").value.trim(),g=o.querySelector(".get-quotes-phone").value.trim(),m=o.querySelector(".get-quotes-gallons").value,T=i.querySelector('[name="website_url"]').value,z=o.querySelector(".get-quotes-consent-check").checked,A="not_sure";if(!c)return n(r,"Please enter your name.");var l=g.replace(/\D/g,"");if(l.length>10&&l[0]==="1"&&(l=l.slice(1)),l.length!==10)return n(r,"Please enter a valid 10-digit US phone number.");var f=l.slice(0,3);if(f==="900"||f==="976"||f==="555")return n(r,"Please enter a standard US mobile or landline number.");if(!m||parseInt(m)<75)return n(r,"Minimum 75 gallons.");if(!z)return n(r,"Please agree to the terms to continue.");e.disabled=!0,e.textContent="Sending...",fetch("/api/quote-request",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({consumer_name:c,consumer_phone:g,consumer_zip:v,gallons_requested:parseInt(m),tank_level:A,source_page:window.location.pathname+window.location.search,honeypot:T,form_rendered_at:k})}).then(function(s){return s.json().then(function(b){return{ok:s.ok,data:b}})}).then(function(s){if(!s.ok||s.data.error){n(r,s.data.error||"Something went wrong."),e.disabled=!1,e.textContent=u==="cold"?"Submit Request \u2192":"Get Quotes \u2192";return}var b=g.replace(/\D/g,""),E="(***) ***-"+b.slice(-4);o.innerHTML='<div class="get-quotes-inner"><div style="background:#EFF6FF; border:1px solid #93C5FD; border-radius:10px; padding:20px; text-align:center;"><div style="font-size:1.5rem; margin-bottom:8px;">\u{1F4F1}</div><div style="font-weight:600; color:#1E40AF; margin-bottom:4px;">Check your phone</div><div style="font-size:0.9rem; color:#666;">We sent a confirmation link to <strong>'+E+'</strong></div><div style="font-size:0.85rem; color:#999; margin-top:8px;">Tap the link in your text message to confirm your request.</div></div></div>',typeof gtag=="function"&&gtag("event","quote_verify_sent",{zip:v})}).catch(function(){n(r,"Network error. Please try again."),e.disabled=!1,e.textContent=u==="cold"?"Submit Request \u2192":"Get Quotes \u2192"})}function M(t){var i=t.suppliers_notified,r=p(t.fallback_phones);if(i===0){o.innerHTML=`<div class="get-quotes-inner"><div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:12px;"><div style="font-size:1.5rem; margin-bottom:4px;">\u2713</div><div style="font-weight:600; color:#16A34A;">Request received</div><div style="font-size:0.85rem; color:#666; margin-top:4px;">We'll notify local suppliers about demand in your area.</div></div><div style="font-weight:600; font-size:0.9rem; margin-bottom:4px;">Call suppliers directly:</div>`+r+"</div>";return}var e=i===1?"We've notified the best available supplier in your area.":"We've notified "+i+" local suppliers.",c=i===1?"Expect a call shortly.":"You may receive 1\u2013"+i+" calls within 30\u201360 minutes.";t.is_business_hours?o.innerHTML='<div class="get-quotes-inner"><div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:12px;"><div style="font-size:1.5rem; margin-bottom:4px;">\u2713</div><div style="font-weight:600; color:#16A34A;">'+e+'</div><div style="font-size:0.85rem; color:#666; margin-top:4px;">'+c+" Suppliers may call from unknown numbers.</div></div>"+(r?'<div style="font-size:0.85rem; color:#666; margin-bottom:4px;">Or call directly:</div>'+r:"")+"</div>":L(t.fallback_phones)}function L(t){var i=p(t);o.innerHTML=`<div class="get-quotes-inner get-quotes-after-hours-result"><span class="get-quotes-check">&#10003;</span> It's currently outside business hours. Your request will be sent at 7 AM ET.<div style="margin-top:12px; font-weight:600;">Need oil sooner? Call directly:</div>`+i+"</div>"}function I(t,i){var r=p(t);o.innerHTML='<div class="get-quotes-inner"><div class="get-quotes-title">'+d(i||"Call suppliers directly")+"</div>"+r+"</div>"}function p(t){if(!t||t.length===0)return"";var i='<div class="get-quotes-fallback-list">';return t.forEach(function(r){var e=r.price?" \u2014 $"+Number(r.price).toFixed(2)+"/gal":"";i+='<div class="get-quotes-fallback-item"><strong>'+d(r.name)+"</strong>"+e+'<br><a href="tel:'+d(r.phone)+'">'+d(r.phone)+"</a></div>"}),i+="</div>",i}function n(t,i){t.textContent=i,t.style.display="block"}function d(t){return t?t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"):""}}})();
+(function(){"use strict";window.initGetQuotesForm=function(w,u){var i=document.querySelector(w);if(!i)return;var d=u.zip||"",M=u.supplierCount||0,a=u.mode||"routed",D=u.fallback_phones||null,S=Date.now(),I=null,h=parseInt(new Date().toLocaleString("en-US",{timeZone:"America/New_York",hour:"numeric",hour12:!1})),_=h<7||h>=19;i.style.display="block",F();function F(){a==="cold"?z():C()}function C(){var t=_?'<div class="get-quotes-after-hours">Outside business hours. Requests will be sent at 6 AM ET.</div>':"";i.innerHTML='<div class="get-quotes-inner">'+t+'<div class="get-quotes-title">Get quotes from local suppliers</div>'+y()+'<div class="get-quotes-meta">No spam, no account required.</div><div class="get-quotes-meta"><a href="/api/group-buy/start?zip='+encodeURIComponent(d)+'">Start a group order with neighbors</a> for a pooled price.</div></div>',q()}function z(){i.innerHTML=`<div class="get-quotes-inner"><div class="get-quotes-title">Want suppliers to call you?</div><div style="font-size:0.85rem; color:#666; margin-bottom:8px;">Leave your details and we'll connect you with local suppliers.</div>`+y()+"</div>",q()}function y(){return'<form class="get-quotes-form"><div class="get-quotes-fields"><div class="get-quotes-field"><label class="get-quotes-label">Your name</label><input type="text" class="get-quotes-name" maxlength="100" required autocomplete="name"></div><div class="get-quotes-field"><label class="get-quotes-label">Phone</label><input type="tel" class="get-quotes-phone" maxlength="14" required autocomplete="tel" placeholder="(914) 555-1234" inputmode="tel"></div><div class="get-quotes-field"><label class="get-quotes-label">Approx. gallons</label><input type="number" class="get-quotes-gallons" min="75" max="500" value="150" required inputmode="numeric"></div><div class="get-quotes-field get-quotes-field-btn"><label class="get-quotes-label">&nbsp;</label><button type="submit" class="get-quotes-btn">'+(a==="cold"?"Submit Request &rarr;":"Get Quotes &rarr;")+"</button></div></div>"+(a==="cold"?"":'<div class="get-quotes-consent"><label><input type="checkbox" class="get-quotes-bid-check"> Get firm price bids instead of calls &mdash; compare prices and delivery days, then pick one. Only the supplier you pick gets your number.</label></div>')+'<div class="get-quotes-consent"><label><input type="checkbox" class="get-quotes-consent-check" required> I consent to sharing my info with up to 3 local suppliers. <a href="/privacy" target="_blank">Privacy Policy</a></label></div><input type="text" name="website_url" style="display:none" tabindex="-1" autocomplete="off"><div class="get-quotes-error" style="display:none;"></div></form>'}function q(){var t=i.querySelector(".get-quotes-form");t.addEventListener("submit",L);var o=i.querySelector(".get-quotes-phone");o.addEventListener("input",function(){var e=this.value.replace(/\D/g,"");e.length>10&&e[0]==="1"&&(e=e.slice(1)),e.length>10&&(e=e.slice(0,10)),e.length>=7?this.value="("+e.slice(0,3)+") "+e.slice(3,6)+"-"+e.slice(6):e.length>=4?this.value="("+e.slice(0,3)+") "+e.slice(3):e.length>0&&(this.value="("+e)});var r=!1;t.addEventListener("focusin",function(e){!r&&e.target.tagName==="INPUT"&&(r=!0,typeof gtag=="function"&&gtag("event","quote_form_started",{zip:d}))})}function L(t){t.preventDefault();var o=i.querySelector(".get-quotes-form"),r=i.querySelector(".get-quotes-error"),e=i.querySelector(".get-quotes-btn");r.style.display="none";var p=i.querySelector(".get-quotes-name").value.trim(),g=i.querySelector(".get-quotes-phone").value.trim(),m=i.querySelector(".get-quotes-gallons").value,A=o.querySelector('[name="website_url"]').value,E=i.querySelector(".get-quotes-consent-check").checked,x=i.querySelector(".get-quotes-bid-check"),k=!!(x&&x.checked),H="not_sure";if(!p)return n(r,"Please enter your name.");var s=g.replace(/\D/g,"");if(s.length>10&&s[0]==="1"&&(s=s.slice(1)),s.length!==10)return n(r,"Please enter a valid 10-digit US phone number.");var f=s.slice(0,3);if(f==="900"||f==="976"||f==="555")return n(r,"Please enter a standard US mobile or landline number.");if(!m||parseInt(m)<75)return n(r,"Minimum 75 gallons.");if(!E)return n(r,"Please agree to the terms to continue.");e.disabled=!0,e.textContent="Sending...",fetch("/api/quote-request",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({consumer_name:p,consumer_phone:g,consumer_zip:d,gallons_requested:parseInt(m),tank_level:H,bid_mode:k,source_page:window.location.pathname+window.location.search,honeypot:A,form_rendered_at:S})}).then(function(l){return l.json().then(function(b){return{ok:l.ok,data:b}})}).then(function(l){if(!l.ok||l.data.error){n(r,l.data.error||"Something went wrong."),e.disabled=!1,e.textContent=a==="cold"?"Submit Request \u2192":"Get Quotes \u2192";return}var b=g.replace(/\D/g,""),P="(***) ***-"+b.slice(-4);i.innerHTML='<div class="get-quotes-inner"><div style="background:#EFF6FF; border:1px solid #93C5FD; border-radius:10px; padding:20px; text-align:center;"><div style="font-size:1.5rem; margin-bottom:8px;">\u{1F4F1}</div><div style="font-weight:600; color:#1E40AF; margin-bottom:4px;">Check your phone</div><div style="font-size:0.9rem; color:#666;">We sent a confirmation link to <strong>'+P+'</strong></div><div style="font-size:0.85rem; color:#999; margin-top:8px;">Tap the link in your text message to confirm your request.</div></div></div>',typeof gtag=="function"&&gtag("event","quote_verify_sent",{zip:d,bid_mode:k})}).catch(function(){n(r,"Network error. Please try again."),e.disabled=!1,e.textContent=a==="cold"?"Submit Request \u2192":"Get Quotes \u2192"})}function N(t){var o=t.suppliers_notified,r=v(t.fallback_phones);if(o===0){i.innerHTML=`<div class="get-quotes-inner"><div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:12px;"><div style="font-size:1.5rem; margin-bottom:4px;">\u2713</div><div style="font-weight:600; color:#16A34A;">Request received</div><div style="font-size:0.85rem; color:#666; margin-top:4px;">We'll notify local suppliers about demand in your area.</div></div><div style="font-weight:600; font-size:0.9rem; margin-bottom:4px;">Call suppliers directly:</div>`+r+"</div>";return}var e=o===1?"We've notified the best available supplier in your area.":"We've notified "+o+" local suppliers.",p=o===1?"Expect a call shortly.":"You may receive 1\u2013"+o+" calls within 30\u201360 minutes.";t.is_business_hours?i.innerHTML='<div class="get-quotes-inner"><div style="background:#F0FDF4; border:1px solid #86EFAC; border-radius:10px; padding:16px; text-align:center; margin-bottom:12px;"><div style="font-size:1.5rem; margin-bottom:4px;">\u2713</div><div style="font-weight:600; color:#16A34A;">'+e+'</div><div style="font-size:0.85rem; color:#666; margin-top:4px;">'+p+" Suppliers may call from unknown numbers.</div></div>"+(r?'<div style="font-size:0.85rem; color:#666; margin-bottom:4px;">Or call directly:</div>'+r:"")+"</div>":T(t.fallback_phones)}function T(t){var o=v(t);i.innerHTML=`<div class="get-quotes-inner get-quotes-after-hours-result"><span class="get-quotes-check">&#10003;</span> It's currently outside business hours. Your request will be sent at 7 AM ET.<div style="margin-top:12px; font-weight:600;">Need oil sooner? Call directly:</div>`+o+"</div>"}function R(t,o){var r=v(t);i.innerHTML='<div class="get-quotes-inner"><div class="get-quotes-title">'+c(o||"Call suppliers directly")+"</div>"+r+"</div>"}function v(t){if(!t||t.length===0)return"";var o='<div class="get-quotes-fallback-list">';return t.forEach(function(r){var e=r.price?" \u2014 $"+Number(r.price).toFixed(2)+"/gal":"";o+='<div class="get-quotes-fallback-item"><strong>'+c(r.name)+"</strong>"+e+'<br><a href="tel:'+c(r.phone)+'">'+c(r.phone)+"</a></div>"}),o+="</div>",o}function n(t,o){t.textContent=o,t.style.display="block"}function c(t){return t?t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"):""}}})();
@@ -253,7 +253,14 @@
                 '<span class="price-alert-check">&#10003;</span> Alert set for ZIP ' + formZip +
                 ' &mdash; we\'ll email you when prices drop below $' + formThreshold.toFixed(2) + '.' +
                 '<div class="price-alert-meta">' + successMeta + '</div>' +
+                '<div class="price-alert-meta price-alert-channels"></div>' +
               '</div>';
+            renderChannelOptions(container.querySelector('.price-alert-channels'), {
+              email: email,
+              zip_code: formZip,
+              threshold_price: formThreshold,
+              source_page: window.location.pathname
+            });
           } else {
             showError(errorEl, result.data.error || 'Something went wrong. Please try again.');
             btn.disabled = false;
@@ -268,6 +275,121 @@
     });
   }
 
+  // ─── Extra channels (SMS / this device) after the email alert is set ───
+
+  function pushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  function urlBase64ToUint8Array(base64) {
+    var padded = (base64 + '===='.slice(0, (4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    var raw = window.atob(padded);
+    var out = new Uint8Array(raw.length);
+    for (var i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+    return out;
+  }
+
+  // Re-posting the same alert with a channel attached adds it to the subscription
+  function addChannel(alertFields, extra) {
+    var body = {};
+    for (var k in alertFields) body[k] = alertFields[k];
+    for (var e in extra) body[e] = extra[e];
+    return fetch('/api/price-alerts/subscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (res) { return res.json().then(function (data) { return { ok: res.ok, data: data }; }); });
+  }
+
+  function renderChannelOptions(el, alertFields) {
+    if (!el) return;
+    el.innerHTML =
+      '<a href="#" class="price-alert-update-link price-alert-sms-link">Also text me &rarr;</a>' +
+      (pushSupported() ? ' &middot; <a href="#" class="price-alert-update-link price-alert-push-link" style="display:none;">Notify me on this device &rarr;</a>' : '');
+
+    el.querySelector('.price-alert-sms-link').addEventListener('click', function (e) {
+      e.preventDefault();
+      renderSmsForm(el, alertFields);
+    });
+
+    var pushLink = el.querySelector('.price-alert-push-link');
+    if (!pushLink) return;
+    fetch('/api/price-alerts/push/key')
+      .then(function (res) { return res.ok ? res.json() : null; })
+      .then(function (data) {
+        if (!data || !data.publicKey) return;
+        pushLink.style.display = '';
+        pushLink.addEventListener('click', function (e) {
+          e.preventDefault();
+          enablePush(el, alertFields, data.publicKey);
+        });
+      })
+      .catch(function () { /* push is optional */ });
+  }
+
+  function renderSmsForm(el, alertFields) {
+    el.innerHTML =
+      '<form class="price-alert-sms-form">' +
+        '<input type="tel" class="price-alert-phone" placeholder="Mobile number" autocomplete="tel" required> ' +
+        '<button type="submit" class="price-alert-btn">Text me &rarr;</button>' +
+      '</form>' +
+      '<div class="price-alert-error" style="display:none;"></div>';
+    var errorEl = el.querySelector('.price-alert-error');
+    el.querySelector('.price-alert-sms-form').addEventListener('submit', function (e) {
+      e.preventDefault();
+      var phone = el.querySelector('.price-alert-phone').value.trim();
+      if (phone.replace(/\D/g, '').length < 10) {
+        showError(errorEl, 'Please enter a valid US mobile number.');
+        return;
+      }
+      addChannel(alertFields, { sms_phone: phone })
+        .then(function (result) {
+          if (!result.ok) {
+            showError(errorEl, result.data.error || 'Something went wrong. Please try again.');
+            return;
+          }
+          var status = result.data.channels && result.data.channels.sms;
+          el.textContent = status === 'confirmed'
+            ? 'Texts are on for this alert.'
+            : status === 'confirm_sent'
+              ? 'Check your phone \u2014 reply YES to start getting alert texts.'
+              : status === 'opted_out'
+                ? 'This number replied STOP to HomeHeat. Text START to (934) 348-4328 to turn texts back on.'
+                : 'We couldn\'t text that number right now. Please try again later.';
+        })
+        .catch(function () { showError(errorEl, 'Network error. Please try again.'); });
+    });
+  }
+
+  function enablePush(el, alertFields, publicKey) {
+    Notification.requestPermission()
+      .then(function (permission) {
+        if (permission !== 'granted') throw new Error('denied');
+        return navigator.serviceWorker.register('/sw.js').then(function () { return navigator.serviceWorker.ready; });
+      })
+      .then(function (registration) {
+        return registration.pushManager.getSubscription().then(function (existing) {
+          return existing || registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey)
+          });
+        });
+      })
+      .then(function (subscription) {
+        return addChannel(alertFields, { push_subscription: subscription.toJSON() });
+      })
+      .then(function (result) {
+        el.textContent = result.ok
+          ? 'Notifications are on for this device.'
+          : (result.data.error || 'Something went wrong. Please try again.');
+      })
+      .catch(function (err) {
+        el.textContent = err && err.message === 'denied'
+          ? 'Notifications are blocked in your browser settings.'
+          : 'Couldn\'t turn on notifications. Please try again.';
+      });
+  }
+
   function showError(el, msg) {
     el.textContent = msg;
     el.style.display = '';
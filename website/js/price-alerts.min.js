@@ -1 +1 @@
-(function(){"use strict";var $=["mailinator.com","tempmail.com","guerrillamail.com","10minutemail.com","throwaway.email","yopmail.com","sharklasers.com","guerrillamail.info","grr.la","guerrillamail.biz","guerrillamail.de","guerrillamail.net","trashmail.com","trashmail.me","trashmail.net","dispostable.com","maildrop.cc","mailnesia.com","tempail.com","tempmailaddress.com","getairmail.com","fakeinbox.com","mailcatch.com","mintemail.com","example.com"];function L(e){var r=e.toLowerCase().split("@")[1];return $.indexOf(r)!==-1}function S(e){var r=new URLSearchParams(window.location.search);return r.get(e)}function T(e){return"homeheat_alert_set_"+e}function M(e){try{var r=localStorage.getItem(T(e));return r?JSON.parse(r):null}catch(a){return null}}function I(e,r){try{localStorage.setItem(T(e),JSON.stringify({threshold:r,ts:Date.now()}))}catch(a){}}function P(e,r){var a=e-r;return a<=0?null:Math.round(a*275)}window.initPriceAlertForm=function(e,r){var a=document.querySelector(e);if(a){var t=r.zip||"",p=r.lowestPrice||null,s=r.defaultThreshold||(p?Math.max(p-.15,1.5):null),d=S("update_alert")==="1",g=t.length>=5?M(t):null;if(g&&!d){a.innerHTML='<div class="price-alert-inner"><span class="price-alert-check">&#10003;</span> Price alert active for '+t+'. <a href="#" class="price-alert-update-link">Update threshold &rarr;</a></div>',a.style.display="",a.querySelector(".price-alert-update-link").addEventListener("click",function(x){x.preventDefault(),_(a,t,p,g.threshold)});return}_(a,t,p,d&&g?g.threshold:s),d&&setTimeout(function(){a.scrollIntoView({behavior:"smooth",block:"center"})},300)}};function _(e,r,a,t){var p=t!=null&&!isNaN(t),s=p?Math.round(t*100)/100:null,d=a&&s?P(a,s):null,g=s!==null?' value="'+s.toFixed(2)+'"':"",x=s!==null?"":' placeholder="e.g. 3.00"';e.innerHTML='<div class="price-alert-inner"><div class="price-alert-title">Alert me when prices drop to my target</div><form class="price-alert-form"><div class="price-alert-fields"><div class="price-alert-field"><label class="price-alert-label">Your ZIP</label><input type="text" class="price-alert-zip" maxlength="5" pattern="\\d{5}" placeholder="'+(r||"ZIP")+'" value="'+r+'" required></div><div class="price-alert-field"><label class="price-alert-label">Target price</label><div class="price-alert-input-wrap"><span class="price-alert-dollar">$</span><input type="number" class="price-alert-threshold" step="0.01" min="2.00" max="6.00"'+g+x+' required></div></div><div class="price-alert-field price-alert-field-email"><label class="price-alert-label">Email</label><input type="email" class="price-alert-email" placeholder="you@email.com" required></div></div><button type="submit" class="price-alert-btn">Set Alert &rarr;</button></form><div class="price-alert-meta">'+(d?"A $0.15 drop saves ~$"+d+" on a 275-gal fill &middot; ":"")+'No spam, only price drops.</div><div class="price-alert-error" style="display:none;"></div><div class="price-alert-warning" style="display:none;"></div></div>',e.style.display="";var z=e.querySelector(".price-alert-form"),h=e.querySelector(".price-alert-threshold"),k=e.querySelector(".price-alert-meta"),A=e.querySelector(".price-alert-warning"),f=e.querySelector(".price-alert-error"),b=a;if(!a){var E=e.querySelector(".price-alert-zip");E.addEventListener("blur",function(){var m=E.value.trim();!/^\d{5}$/.test(m)||b||fetch("/api/v1/suppliers?zip="+m+"&limit=5").then(function(l){return l.ok?l.json():null}).then(function(l){var o=l&&l.data?l.data:null;if(!(!o||!o.length)){for(var i=null,v=0;v<o.length;v++){var c=o[v].currentPrice,n=c&&c.pricePerGallon?c.pricePerGallon:null;n&&n>0&&(i===null||n<i)&&(i=n)}if(i&&!h._userEdited){b=i;var u=Math.max(i-.15,1.5),w=Math.round(u*100)/100;h.value=w.toFixed(2),h.placeholder="";var N=P(i,w),q=[];N&&N>0&&q.push("A $0.15 drop saves ~$"+N+" on a 275-gal fill"),q.push("No spam, only price drops."),k.textContent=q.join(" \xB7 ")}}}).catch(function(){})})}h.addEventListener("input",function(){h._userEdited=!0;var m=parseFloat(h.value);if(!isNaN(m)){var l=b?P(b,m):null,o=[];l&&l>0&&o.push("A $0.15 drop saves ~$"+l+" on a 275-gal fill"),o.push("No spam, only price drops."),k.textContent=o.join(" \xB7 "),b&&m<b-1?(A.textContent="That price hasn't been seen in this area recently \u2014 we'll still save your alert.",A.style.display=""):A.style.display="none"}}),z.addEventListener("submit",function(m){m.preventDefault(),f.style.display="none";var l=e.querySelector(".price-alert-email"),o=e.querySelector(".price-alert-zip"),i=l.value.trim(),v=o.value.trim(),c=parseFloat(h.value);if(!/^\d{5}$/.test(v)){y(f,"Please enter a valid 5-digit ZIP code.");return}if(!i||!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(i)){y(f,"Please enter a valid email address.");return}if(L(i)){y(f,"Please use a non-disposable email address.");return}if(isNaN(c)||c<2||c>6){y(f,"Threshold must be between $2.00 and $6.00.");return}var n=e.querySelector(".price-alert-btn");n.disabled=!0,n.textContent="Setting alert...",fetch("/api/price-alerts/subscribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:i,zip_code:v,threshold_price:c,source_page:window.location.pathname,utm_source:S("utm_source"),utm_campaign:S("utm_campaign")})}).then(function(u){return u.json().then(function(w){return{ok:u.ok,data:w}})}).then(function(u){if(u.ok&&u.data.success){I(v,c);var w=u.data.has_coverage===!1?"No suppliers in your area yet \u2014 we'll notify you when we add coverage.":"We check prices daily. No spam, no newsletters.";e.innerHTML='<div class="price-alert-inner price-alert-success"><span class="price-alert-check">&#10003;</span> Alert set for ZIP '+v+" &mdash; we'll email you when prices drop below $"+c.toFixed(2)+'.<div class="price-alert-meta">'+w+"</div></div>"}else y(f,u.data.error||"Something went wrong. Please try again."),n.disabled=!1,n.textContent="Set Alert \u2192"}).catch(function(){y(f,"Network error. Please try again."),n.disabled=!1,n.textContent="Set Alert \u2192"})})}function y(e,r){e.textContent=r,e.style.display=""}document.addEventListener("DOMContentLoaded",function(){for(var e=document.querySelectorAll(".price-alert-card[data-price]"),r=0;r<e.length;r++){var a=e[r],t=parseFloat(a.getAttribute("data-price")),p=a.getAttribute("data-zip")||"",s=t>0,d=a.id||"price-alert-"+r;a.id=d,window.initPriceAlertForm("#"+d,{zip:p,lowestPrice:s?t:null,defaultThreshold:s?Math.max(t-.15,1.5):null})}})})();
+(function(){"use strict";var L=["mailinator.com","tempmail.com","guerrillamail.com","10minutemail.com","throwaway.email","yopmail.com","sharklasers.com","guerrillamail.info","grr.la","guerrillamail.biz","guerrillamail.de","guerrillamail.net","trashmail.com","trashmail.me","trashmail.net","dispostable.com","maildrop.cc","mailnesia.com","tempail.com","tempmailaddress.com","getairmail.com","fakeinbox.com","mailcatch.com","mintemail.com","example.com"];function M(e){var a=e.toLowerCase().split("@")[1];return L.indexOf(a)!==-1}function S(e){var a=new URLSearchParams(window.location.search);return a.get(e)}function q(e){return"homeheat_alert_set_"+e}function O(e){try{var a=localStorage.getItem(q(e));return a?JSON.parse(a):null}catch(t){return null}}function $(e,a){try{localStorage.setItem(q(e),JSON.stringify({threshold:a,ts:Date.now()}))}catch(t){}}function k(e,a){var t=e-a;return t<=0?null:Math.round(t*275)}window.initPriceAlertForm=function(e,a){var t=document.querySelector(e);if(t){var r=a.zip||"",i=a.lowestPrice||null,n=a.defaultThreshold||(i?Math.max(i-.15,1.5):null),l=S("update_alert")==="1",g=r.length>=5?O(r):null;if(g&&!l){t.innerHTML='<div class="price-alert-inner"><span class="price-alert-check">&#10003;</span> Price alert active for '+r+'. <a href="#" class="price-alert-update-link">Update threshold &rarr;</a></div>',t.style.display="",t.querySelector(".price-alert-update-link").addEventListener("click",function(P){P.preventDefault(),_(t,r,i,g.threshold)});return}_(t,r,i,l&&g?g.threshold:n),l&&setTimeout(function(){t.scrollIntoView({behavior:"smooth",block:"center"})},300)}};function _(e,a,t,r){var i=r!=null&&!isNaN(r),n=i?Math.round(r*100)/100:null,l=t&&n?k(t,n):null,g=n!==null?' value="'+n.toFixed(2)+'"':"",P=n!==null?"":' placeholder="e.g. 3.00"';e.innerHTML='<div class="price-alert-inner"><div class="price-alert-title">Alert me when prices drop to my target</div><form class="price-alert-form"><div class="price-alert-fields"><div class="price-alert-field"><label class="price-alert-label">Your ZIP</label><input type="text" class="price-alert-zip" maxlength="5" pattern="\\d{5}" placeholder="'+(a||"ZIP")+'" value="'+a+'" required></div><div class="price-alert-field"><label class="price-alert-label">Target price</label><div class="price-alert-input-wrap"><span class="price-alert-dollar">$</span><input type="number" class="price-alert-threshold" step="0.01" min="2.00" max="6.00"'+g+P+' required></div></div><div class="price-alert-field price-alert-field-email"><label class="price-alert-label">Email</label><input type="email" class="price-alert-email" placeholder="you@email.com" required></div></div><button type="submit" class="price-alert-btn">Set Alert &rarr;</button></form><div class="price-alert-meta">'+(l?"A $0.15 drop saves ~$"+l+" on a 275-gal fill &middot; ":"")+'No spam, only price drops.</div><div class="price-alert-error" style="display:none;"></div><div class="price-alert-warning" style="display:none;"></div></div>',e.style.display="";var H=e.querySelector(".price-alert-form"),f=e.querySelector(".price-alert-threshold"),E=e.querySelector(".price-alert-meta"),x=e.querySelector(".price-alert-warning"),y=e.querySelector(".price-alert-error"),b=t;if(!t){var C=e.querySelector(".price-alert-zip");C.addEventListener("blur",function(){var v=C.value.trim();!/^\d{5}$/.test(v)||b||fetch("/api/v1/suppliers?zip="+v+"&limit=5").then(function(s){return s.ok?s.json():null}).then(function(s){var d=s&&s.data?s.data:null;if(!(!d||!d.length)){for(var o=null,h=0;h<d.length;h++){var c=d[h].currentPrice,u=c&&c.pricePerGallon?c.pricePerGallon:null;u&&u>0&&(o===null||u<o)&&(o=u)}if(o&&!f._userEdited){b=o;var m=Math.max(o-.15,1.5),w=Math.round(m*100)/100;f.value=w.toFixed(2),f.placeholder="";var T=k(o,w),N=[];T&&T>0&&N.push("A $0.15 drop saves ~$"+T+" on a 275-gal fill"),N.push("No spam, only price drops."),E.textContent=N.join(" \xB7 ")}}}).catch(function(){})})}f.addEventListener("input",function(){f._userEdited=!0;var v=parseFloat(f.value);if(!isNaN(v)){var s=b?k(b,v):null,d=[];s&&s>0&&d.push("A $0.15 drop saves ~$"+s+" on a 275-gal fill"),d.push("No spam, only price drops."),E.textContent=d.join(" \xB7 "),b&&v<b-1?(x.textContent="That price hasn't been seen in this area recently \u2014 we'll still save your alert.",x.style.display=""):x.style.display="none"}}),H.addEventListener("submit",function(v){v.preventDefault(),y.style.display="none";var s=e.querySelector(".price-alert-email"),d=e.querySelector(".price-alert-zip"),o=s.value.trim(),h=d.value.trim(),c=parseFloat(f.value);if(!/^\d{5}$/.test(h)){p(y,"Please enter a valid 5-digit ZIP code.");return}if(!o||!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(o)){p(y,"Please enter a valid email address.");return}if(M(o)){p(y,"Please use a non-disposable email address.");return}if(isNaN(c)||c<2||c>6){p(y,"Threshold must be between $2.00 and $6.00.");return}var u=e.querySelector(".price-alert-btn");u.disabled=!0,u.textContent="Setting alert...",fetch("/api/price-alerts/subscribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:o,zip_code:h,threshold_price:c,source_page:window.location.pathname,utm_source:S("utm_source"),utm_campaign:S("utm_campaign")})}).then(function(m){return m.json().then(function(w){return{ok:m.ok,data:w}})}).then(function(m){if(m.ok&&m.data.success){$(h,c);var w=m.data.has_coverage===!1?"No suppliers in your area yet \u2014 we'll notify you when we add coverage.":"We check prices daily. No spam, no newsletters.";e.innerHTML='<div class="price-alert-inner price-alert-success"><span class="price-alert-check">&#10003;</span> Alert set for ZIP '+h+" &mdash; we'll email you when prices drop below $"+c.toFixed(2)+'.<div class="price-alert-meta">'+w+'</div><div class="price-alert-meta price-alert-channels"></div></div>',I(e.querySelector(".price-alert-channels"),{email:o,zip_code:h,threshold_price:c,source_page:window.location.pathname})}else p(y,m.data.error||"Something went wrong. Please try again."),u.disabled=!1,u.textContent="Set Alert \u2192"}).catch(function(){p(y,"Network error. Please try again."),u.disabled=!1,u.textContent="Set Alert \u2192"})})}function z(){return"serviceWorker"in navigator&&"PushManager"in window&&"Notification"in window}function D(e){for(var a=(e+"====".slice(0,(4-e.length%4)%4)).replace(/-/g,"+").replace(/_/g,"/"),t=window.atob(a),r=new Uint8Array(t.length),i=0;i<t.length;i++)r[i]=t.charCodeAt(i);return r}function A(e,a){var t={};for(var r in e)t[r]=e[r];for(var i in a)t[i]=a[i];return fetch("/api/price-alerts/subscribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(t)}).then(function(n){return n.json().then(function(l){return{ok:n.ok,data:l}})})}function I(e,a){if(e){e.innerHTML='<a href="#" class="price-alert-update-link price-alert-sms-link">Also text me &rarr;</a>'+(z()?' &middot; <a href="#" class="price-alert-update-link price-alert-push-link" style="display:none;">Notify me on this device &rarr;</a>':""),e.querySelector(".price-alert-sms-link").addEventListener("click",function(r){r.preventDefault(),F(e,a)});var t=e.querySelector(".price-alert-push-link");t&&fetch("/api/price-alerts/push/key").then(function(r){return r.ok?r.json():null}).then(function(r){!r||!r.publicKey||(t.style.display="",t.addEventListener("click",function(i){i.preventDefault(),j(e,a,r.publicKey)}))}).catch(function(){})}}function F(e,a){e.innerHTML='<form class="price-alert-sms-form"><input type="tel" class="price-alert-phone" placeholder="Mobile number" autocomplete="tel" required> <button type="submit" class="price-alert-btn">Text me &rarr;</button></form><div class="price-alert-error" style="display:none;"></div>';var t=e.querySelector(".price-alert-error");e.querySelector(".price-alert-sms-form").addEventListener("submit",function(r){r.preventDefault();var i=e.querySelector(".price-alert-phone").value.trim();if(i.replace(/\D/g,"").length<10){p(t,"Please enter a valid US mobile number.");return}A(a,{sms_phone:i}).then(function(n){if(!n.ok){p(t,n.data.error||"Something went wrong. Please try again.");return}var l=n.data.channels&&n.data.channels.sms;e.textContent=l==="confirmed"?"Texts are on for this alert.":l==="confirm_sent"?"Check your phone \u2014 reply YES to start getting alert texts.":l==="opted_out"?"This number replied STOP to HomeHeat. Text START to (934) 348-4328 to turn texts back on.":"We couldn't text that number right now. Please try again later."}).catch(function(){p(t,"Network error. Please try again.")})})}function j(e,a,t){Notification.requestPermission().then(function(r){if(r!=="granted")throw new Error("denied");return navigator.serviceWorker.register("/sw.js").then(function(){return navigator.serviceWorker.ready})}).then(function(r){return r.pushManager.getSubscription().then(function(i){return i||r.pushManager.subscribe({userVisibleOnly:!0,applicationServerKey:D(t)})})}).then(function(r){return A(a,{push_subscription:r.toJSON()})}).then(function(r){e.textContent=r.ok?"Notifications are on for this device.":r.data.error||"Something went wrong. Please try again."}).catch(function(r){e.textContent=r&&r.message==="denied"?"Notifications are blocked in your browser settings.":"Couldn't turn on notifications. Please try again."})}function p(e,a){e.textContent=a,e.style.display=""}document.addEventListener("DOMContentLoaded",function(){for(var e=document.querySelectorAll(".price-alert-card[data-price]"),a=0;a<e.length;a++){var t=e[a],r=parseFloat(t.getAttribute("data-price")),i=t.getAttribute("data-zip")||"",n=r>0,l=t.id||"price-alert-"+a;t.id=l,window.initPriceAlertForm("#"+l,{zip:i,lowestPrice:n?r:null,defaultThreshold:n?Math.max(r-.15,1.5):null})}})})();
@@ -473,6 +473,10 @@
         mode: availData.mode || 'routed',
         fallback_phones: availData.fallback_phones || null
       });
+      // V3.17.0: Tank reminder links land on the quote form
+      if (window.location.hash === '#get-quotes' && container) {
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
     }
 
     // Show PWA install banner after user has seen value (Android only)
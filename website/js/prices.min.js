@@ -1,14 +1,14 @@
-(function(){"use strict";const L="/api/v1/suppliers",S={10501:"Westchester County",10502:"Westchester County",10503:"Westchester County",10504:"Westchester County",10505:"Westchester County",10506:"Westchester County",10507:"Westchester County",10509:"Westchester County",10510:"Westchester County",10514:"Westchester County",10516:"Westchester County",10517:"Westchester County",10518:"Westchester County",10519:"Westchester County",10520:"Westchester County",10521:"Westchester County",10522:"Westchester County",10523:"Westchester County",10524:"Westchester County",10526:"Westchester County",10527:"Westchester County",10528:"Westchester County",10530:"Westchester County",10532:"Westchester County",10533:"Westchester County",10535:"Westchester County",10536:"Westchester County",10537:"Westchester County",10538:"Westchester County",10540:"Westchester County",10541:"Westchester County",10543:"Westchester County",10545:"Westchester County",10546:"Westchester County",10547:"Westchester County",10548:"Westchester County",10549:"Westchester County",10550:"Westchester County",10552:"Westchester County",10553:"Westchester County",10560:"Westchester County",10562:"Westchester County",10566:"Westchester County",10567:"Westchester County",10570:"Westchester County",10573:"Westchester County",10576:"Westchester County",10577:"Westchester County",10578:"Westchester County",10580:"Westchester County",10583:"Westchester County",10588:"Westchester County",10589:"Westchester County",10590:"Westchester County",10591:"Westchester County",10594:"Westchester County",10595:"Westchester County",10597:"Westchester County",10598:"Westchester County",10601:"Westchester County",10603:"Westchester County",10604:"Westchester County",10605:"Westchester County",10606:"Westchester County",10607:"Westchester County",10701:"Westchester County",10703:"Westchester County",10704:"Westchester County",10705:"Westchester County",10706:"Westchester County",10707:"Westchester County",10708:"Westchester County",10709:"Westchester County",10710:"Westchester County",10801:"Westchester County",10803:"Westchester County",10804:"Westchester County",10805:"Westchester County",11701:"Suffolk County",11702:"Suffolk County",11703:"Suffolk County",11704:"Suffolk County",11705:"Suffolk County",11706:"Suffolk County",11713:"Suffolk County",11715:"Suffolk County",11716:"Suffolk County",11717:"Suffolk County",11718:"Suffolk County",11719:"Suffolk County",11720:"Suffolk County",11721:"Suffolk County",11722:"Suffolk County",11724:"Suffolk County",11725:"Suffolk County",11726:"Suffolk County",11727:"Suffolk County",11729:"Suffolk County",11730:"Suffolk County",11731:"Suffolk County",11733:"Suffolk County",11738:"Suffolk County",11739:"Suffolk County",11740:"Suffolk County",11741:"Suffolk County",11742:"Suffolk County",11743:"Suffolk County",11746:"Suffolk County",11747:"Suffolk County",11749:"Suffolk County",11751:"Suffolk County",11752:"Suffolk County",11754:"Suffolk County",11755:"Suffolk County",11757:"Suffolk County",11758:"Suffolk County",11763:"Suffolk County",11764:"Suffolk County",11766:"Suffolk County",11767:"Suffolk County",11768:"Suffolk County",11769:"Suffolk County",11770:"Suffolk County",11772:"Suffolk County",11776:"Suffolk County",11777:"Suffolk County",11778:"Suffolk County",11779:"Suffolk County",11780:"Suffolk County",11782:"Suffolk County",11784:"Suffolk County",11786:"Suffolk County",11787:"Suffolk County",11788:"Suffolk County",11789:"Suffolk County",11790:"Suffolk County",11792:"Suffolk County",11794:"Suffolk County",11795:"Suffolk County",11796:"Suffolk County",11798:"Suffolk County",11001:"Nassau County",11002:"Nassau County",11003:"Nassau County",11010:"Nassau County",11020:"Nassau County",11021:"Nassau County",11023:"Nassau County",11024:"Nassau County",11030:"Nassau County",11040:"Nassau County",11042:"Nassau County",11050:"Nassau County",11096:"Nassau County",11501:"Nassau County",11507:"Nassau County",11509:"Nassau County",11510:"Nassau County",11514:"Nassau County",11516:"Nassau County",11518:"Nassau County",11520:"Nassau County",11530:"Nassau County",11542:"Nassau County",11545:"Nassau County",11548:"Nassau County",11549:"Nassau County",11550:"Nassau County",11552:"Nassau County",11553:"Nassau County",11554:"Nassau County",11556:"Nassau County",11557:"Nassau County",11558:"Nassau County",11559:"Nassau County",11560:"Nassau County",11561:"Nassau County",11563:"Nassau County",11565:"Nassau County",11566:"Nassau County",11568:"Nassau County",11569:"Nassau County",11570:"Nassau County",11572:"Nassau County",11575:"Nassau County",11576:"Nassau County",11577:"Nassau County",11579:"Nassau County",11580:"Nassau County",11581:"Nassau County",11590:"Nassau County",11596:"Nassau County",11598:"Nassau County",11599:"Nassau County","06601":"Fairfield County","06604":"Fairfield County","06605":"Fairfield County","06606":"Fairfield County","06607":"Fairfield County","06608":"Fairfield County","06610":"Fairfield County","06611":"Fairfield County","06612":"Fairfield County","06614":"Fairfield County","06615":"Fairfield County","06776":"Fairfield County","06801":"Fairfield County","06804":"Fairfield County","06807":"Fairfield County","06810":"Fairfield County","06811":"Fairfield County","06812":"Fairfield County","06820":"Fairfield County","06824":"Fairfield County","06825":"Fairfield County","06828":"Fairfield County","06830":"Fairfield County","06831":"Fairfield County","06840":"Fairfield County","06850":"Fairfield County","06851":"Fairfield County","06853":"Fairfield County","06854":"Fairfield County","06855":"Fairfield County","06856":"Fairfield County","06857":"Fairfield County","06858":"Fairfield County","06870":"Fairfield County","06877":"Fairfield County","06878":"Fairfield County","06880":"Fairfield County","06883":"Fairfield County","06888":"Fairfield County","06889":"Fairfield County","06896":"Fairfield County","06897":"Fairfield County"},X=document.getElementById("zip-form"),P=document.getElementById("zip-input"),A=document.getElementById("check-btn"),U=document.getElementById("loading-state"),O=document.getElementById("results-section"),q=document.getElementById("empty-state"),H=document.getElementById("error-state"),M=document.getElementById("app-cta"),ee=document.getElementById("share-btn"),B=document.getElementById("share-feedback"),te=document.getElementById("retry-btn"),b=document.getElementById("price-movement"),g=document.getElementById("default-leaderboard"),I=document.getElementById("lowest-price-card"),j=document.getElementById("pulse-suppliers"),G=document.getElementById("pulse-states");let f="",x=[],ne=Date.now(),_=0,k=null;async function oe(){try{const o=await fetch("/api/market/pulse");if(!o.ok)return;const n=await o.json();j&&n.supplierCount&&(j.textContent=n.supplierCount+"+"),G&&n.stateCount&&(G.textContent=n.stateCount);var e=document.getElementById("leaderboard-suppliers"),t=document.getElementById("leaderboard-states");e&&n.supplierCount&&(e.textContent=n.supplierCount),t&&n.stateCount&&(t.textContent=n.stateCount)}catch(o){}}async function ae(){try{const i=await fetch("/api/market/leaderboard");if(!i.ok)return;const s=await i.json();k=s;const c=document.getElementById("leaderboard-date");c&&s.generatedAt&&(c.textContent="Updated "+s.generatedAt);const l=document.querySelector(".averages-table-v2 tbody");if(l&&s.stateAverages&&s.stateAverages.length>0){const m=s.stateAverages.map(function(d){const w=d.stateName.toLowerCase().replace(/\s+/g,"-"),C=d.state.toLowerCase();return'<tr><td><a href="prices/'+C+'/">'+u(d.stateName)+"</a></td><td>$"+d.avgPrice.toFixed(2)+" avg</td><td>"+d.supplierCount+' suppliers</td><td><a href="prices/'+C+'/">See all \u2192</a></td></tr>'}).join(`
+(function(){"use strict";const L="/api/v1/suppliers",S={10501:"Westchester County",10502:"Westchester County",10503:"Westchester County",10504:"Westchester County",10505:"Westchester County",10506:"Westchester County",10507:"Westchester County",10509:"Westchester County",10510:"Westchester County",10514:"Westchester County",10516:"Westchester County",10517:"Westchester County",10518:"Westchester County",10519:"Westchester County",10520:"Westchester County",10521:"Westchester County",10522:"Westchester County",10523:"Westchester County",10524:"Westchester County",10526:"Westchester County",10527:"Westchester County",10528:"Westchester County",10530:"Westchester County",10532:"Westchester County",10533:"Westchester County",10535:"Westchester County",10536:"Westchester County",10537:"Westchester County",10538:"Westchester County",10540:"Westchester County",10541:"Westchester County",10543:"Westchester County",10545:"Westchester County",10546:"Westchester County",10547:"Westchester County",10548:"Westchester County",10549:"Westchester County",10550:"Westchester County",10552:"Westchester County",10553:"Westchester County",10560:"Westchester County",10562:"Westchester County",10566:"Westchester County",10567:"Westchester County",10570:"Westchester County",10573:"Westchester County",10576:"Westchester County",10577:"Westchester County",10578:"Westchester County",10580:"Westchester County",10583:"Westchester County",10588:"Westchester County",10589:"Westchester County",10590:"Westchester County",10591:"Westchester County",10594:"Westchester County",10595:"Westchester County",10597:"Westchester County",10598:"Westchester County",10601:"Westchester County",10603:"Westchester County",10604:"Westchester County",10605:"Westchester County",10606:"Westchester County",10607:"Westchester County",10701:"Westchester County",10703:"Westchester County",10704:"Westchester County",10705:"Westchester County",10706:"Westchester County",10707:"Westchester County",10708:"Westchester County",10709:"Westchester County",10710:"Westchester County",10801:"Westchester County",10803:"Westchester County",10804:"Westchester County",10805:"Westchester County",11701:"Suffolk County",11702:"Suffolk County",11703:"Suffolk County",11704:"Suffolk County",11705:"Suffolk County",11706:"Suffolk County",11713:"Suffolk County",11715:"Suffolk County",11716:"Suffolk County",11717:"Suffolk County",11718:"Suffolk County",11719:"Suffolk County",11720:"Suffolk County",11721:"Suffolk County",11722:"Suffolk County",11724:"Suffolk County",11725:"Suffolk County",11726:"Suffolk County",11727:"Suffolk County",11729:"Suffolk County",11730:"Suffolk County",11731:"Suffolk County",11733:"Suffolk County",11738:"Suffolk County",11739:"Suffolk County",11740:"Suffolk County",11741:"Suffolk County",11742:"Suffolk County",11743:"Suffolk County",11746:"Suffolk County",11747:"Suffolk County",11749:"Suffolk County",11751:"Suffolk County",11752:"Suffolk County",11754:"Suffolk County",11755:"Suffolk County",11757:"Suffolk County",11758:"Suffolk County",11763:"Suffolk County",11764:"Suffolk County",11766:"Suffolk County",11767:"Suffolk County",11768:"Suffolk County",11769:"Suffolk County",11770:"Suffolk County",11772:"Suffolk County",11776:"Suffolk County",11777:"Suffolk County",11778:"Suffolk County",11779:"Suffolk County",11780:"Suffolk County",11782:"Suffolk County",11784:"Suffolk County",11786:"Suffolk County",11787:"Suffolk County",11788:"Suffolk County",11789:"Suffolk County",11790:"Suffolk County",11792:"Suffolk County",11794:"Suffolk County",11795:"Suffolk County",11796:"Suffolk County",11798:"Suffolk County",11001:"Nassau County",11002:"Nassau County",11003:"Nassau County",11010:"Nassau County",11020:"Nassau County",11021:"Nassau County",11023:"Nassau County",11024:"Nassau County",11030:"Nassau County",11040:"Nassau County",11042:"Nassau County",11050:"Nassau County",11096:"Nassau County",11501:"Nassau County",11507:"Nassau County",11509:"Nassau County",11510:"Nassau County",11514:"Nassau County",11516:"Nassau County",11518:"Nassau County",11520:"Nassau County",11530:"Nassau County",11542:"Nassau County",11545:"Nassau County",11548:"Nassau County",11549:"Nassau County",11550:"Nassau County",11552:"Nassau County",11553:"Nassau County",11554:"Nassau County",11556:"Nassau County",11557:"Nassau County",11558:"Nassau County",11559:"Nassau County",11560:"Nassau County",11561:"Nassau County",11563:"Nassau County",11565:"Nassau County",11566:"Nassau County",11568:"Nassau County",11569:"Nassau County",11570:"Nassau County",11572:"Nassau County",11575:"Nassau County",11576:"Nassau County",11577:"Nassau County",11579:"Nassau County",11580:"Nassau County",11581:"Nassau County",11590:"Nassau County",11596:"Nassau County",11598:"Nassau County",11599:"Nassau County","06601":"Fairfield County","06604":"Fairfield County","06605":"Fairfield County","06606":"Fairfield County","06607":"Fairfield County","06608":"Fairfield County","06610":"Fairfield County","06611":"Fairfield County","06612":"Fairfield County","06614":"Fairfield County","06615":"Fairfield County","06776":"Fairfield County","06801":"Fairfield County","06804":"Fairfield County","06807":"Fairfield County","06810":"Fairfield County","06811":"Fairfield County","06812":"Fairfield County","06820":"Fairfield County","06824":"Fairfield County","06825":"Fairfield County","06828":"Fairfield County","06830":"Fairfield County","06831":"Fairfield County","06840":"Fairfield County","06850":"Fairfield County","06851":"Fairfield County","06853":"Fairfield County","06854":"Fairfield County","06855":"Fairfield County","06856":"Fairfield County","06857":"Fairfield County","06858":"Fairfield County","06870":"Fairfield County","06877":"Fairfield County","06878":"Fairfield County","06880":"Fairfield County","06883":"Fairfield County","06888":"Fairfield County","06889":"Fairfield County","06896":"Fairfield County","06897":"Fairfield County"},X=document.getElementById("zip-form"),B=document.getElementById("zip-input"),x=document.getElementById("check-btn"),U=document.getElementById("loading-state"),O=document.getElementById("results-section"),q=document.getElementById("empty-state"),H=document.getElementById("error-state"),M=document.getElementById("app-cta"),ee=document.getElementById("share-btn"),W=document.getElementById("share-feedback"),te=document.getElementById("retry-btn"),b=document.getElementById("price-movement"),g=document.getElementById("default-leaderboard"),I=document.getElementById("lowest-price-card"),j=document.getElementById("pulse-suppliers"),G=document.getElementById("pulse-states");let f="",_=[],ne=Date.now(),$=0,k=null;async function oe(){try{const o=await fetch("/api/market/pulse");if(!o.ok)return;const n=await o.json();j&&n.supplierCount&&(j.textContent=n.supplierCount+"+"),G&&n.stateCount&&(G.textContent=n.stateCount);var e=document.getElementById("leaderboard-suppliers"),t=document.getElementById("leaderboard-states");e&&n.supplierCount&&(e.textContent=n.supplierCount),t&&n.stateCount&&(t.textContent=n.stateCount)}catch(o){}}async function ae(){try{const i=await fetch("/api/market/leaderboard");if(!i.ok)return;const s=await i.json();k=s;const c=document.getElementById("leaderboard-date");c&&s.generatedAt&&(c.textContent="Updated "+s.generatedAt);const l=document.querySelector(".averages-table-v2 tbody");if(l&&s.stateAverages&&s.stateAverages.length>0){const m=s.stateAverages.map(function(d){const w=d.stateName.toLowerCase().replace(/\s+/g,"-"),C=d.state.toLowerCase();return'<tr><td><a href="prices/'+C+'/">'+u(d.stateName)+"</a></td><td>$"+d.avgPrice.toFixed(2)+" avg</td><td>"+d.supplierCount+' suppliers</td><td><a href="prices/'+C+'/">See all \u2192</a></td></tr>'}).join(`
 `);l.innerHTML=m}const y=document.querySelector(".deals-list-v2");if(y&&s.topDeals&&s.topDeals.length>0){const m=s.topDeals.map(function(d){return'<li><span class="deal-price">$'+d.price+'/gal</span><div class="deal-info"><div class="deal-supplier">'+u(d.supplierName)+'</div><div class="deal-location">'+u(d.city)+", "+d.state+"</div></div></li>"}).join(`
-`);y.innerHTML=m}if(s.topDeals&&s.topDeals.length>0){var e=s.topDeals[0],t=document.getElementById("lowest-price-card");if(t){var o=s.stateAverages&&s.stateAverages.length>0?s.stateAverages.reduce(function(m,d){return m+d.avgPrice},0)/s.stateAverages.length:0,n=o>0?(o-parseFloat(e.price)).toFixed(2):null;t.innerHTML='<p class="lowest-label">Lowest Heating Oil Price Today</p><span class="lowest-value">$'+e.price+"/gal</span>"+(n&&parseFloat(n)>0?'<span class="lowest-vs-avg">$'+n+" below Northeast average</span>":"")+'<p class="lowest-supplier">'+u(e.supplierName)+" \u2014 "+u(e.city)+", "+e.state+(e.zip?" ("+e.zip+")":"")+"</p>"}}if(s.topDeals&&s.topDeals.length>0&&typeof window.initPriceAlertForm=="function"){var a=parseFloat(s.topDeals[0].price);if(a>0){var r="";try{r=localStorage.getItem("homeheat_last_zip")||""}catch(m){}/^\d{5}$/.test(r)||(r=""),window.initPriceAlertForm("#default-alert-container",{zip:r,lowestPrice:a,defaultThreshold:Math.max(a-.2,1.5)})}}}catch(i){}}function Ee(e){const t=new Date(e),n=new Date-t,a=Math.floor(n/(1e3*60*60*24));return a<=0?"Updated today":a===1?"Updated yesterday":a<7?`Updated ${a} days ago`:`Updated ${t.toLocaleDateString("en-US",{month:"long",day:"numeric",year:"numeric"})}`}function se(){oe(),ae(),ge(),window.addEventListener("beforeunload",Ce);const t=new URLSearchParams(window.location.search).get("zip"),o=localStorage.getItem("homeheat_last_zip");t&&/^\d{5}$/.test(t)?(P.value=t,$(t)):o&&/^\d{5}$/.test(o)&&(P.value=o),X.addEventListener("submit",re),ee.addEventListener("click",pe),te.addEventListener("click",ie),P.addEventListener("input",n=>{n.target.value=n.target.value.replace(/\D/g,"").slice(0,5)})}function re(e){e.preventDefault();const t=P.value.trim();if(!/^\d{5}$/.test(t)){Q("Please enter a valid 5-digit ZIP code.");return}$(t)}function ie(){f&&$(f)}async function $(e){f=e,localStorage.setItem("homeheat_last_zip",e);const t=new URL(window.location);t.searchParams.set("zip",e),window.history.replaceState({},"",t),W("loading"),A.disabled=!0,A.textContent="Loading...";try{const o=fetch(`${L}?zip=${e}`),n=typeof window.initGetQuotesForm=="function"?fetch("/api/quote-request/availability?zip="+e).then(c=>c.ok?c.json():null).catch(()=>null):Promise.resolve(null),a=await o;if(!a.ok)throw new Error(`API error: ${a.status}`);const[r,i]=await Promise.all([a.json(),n]),s=r.meta||{};if(r.data&&r.data.length>0){const c=r.data.filter(y=>y.currentPrice&&y.currentPrice.pricePerGallon),l=r.data.filter(y=>!y.currentPrice||!y.currentPrice.pricePerGallon);c.length>0?(x=c,ce(e,c,l,i),W("results"),F(e,s,!0),h("price_lookup",{zip:e,count:c.length,unpricedCount:l.length})):l.length>0?(x=[],le(e,l),W("results"),F(e,s,!0),h("price_lookup_unpriced_only",{zip:e,count:l.length})):(z(e),F(e,s,!1),h("price_lookup_empty",{zip:e,reason:"no_prices"}))}else z(e),F(e,s,!1),h("price_lookup_empty",{zip:e,reason:"no_suppliers"})}catch(o){console.error("Price lookup failed:",o),Q("We couldn't load prices right now. Please try again."),h("price_lookup_error",{zip:e,error:o.message})}finally{A.disabled=!1,A.textContent="Check Prices"}}function F(e,t,o){const n={zip:e,city:t&&t.userCity?t.userCity:null,county:t&&t.userCounty?t.userCounty:null,state:null,count:t&&typeof t.count=="number"?t.count:0,pricedCount:t&&typeof t.pricedCount=="number"?t.pricedCount:0,covered:!!o};window.dispatchEvent(new CustomEvent("homeheat:zip-searched",{detail:n}))}function ce(e,t,o=[],n=null){t.sort((p,v)=>p.currentPrice.pricePerGallon-v.currentPrice.pricePerGallon);const a=t.map(p=>p.currentPrice.pricePerGallon),r=Math.min(...a),i=Math.max(...a),s=i-r,c=Math.round(s*200),l=S[e],y=l?`${l} (${e})`:`ZIP ${e}`;document.getElementById("result-location").textContent=y,document.getElementById("lowest-price").textContent=`$${r.toFixed(2)}`,document.getElementById("highest-price").textContent=`$${i.toFixed(2)}`;const m=document.getElementById("savings-potential");c>0?(m.innerHTML=`Save up to <strong>$${c}</strong> on 200 gallons`,m.style.display="block"):m.style.display="none";const d=t.reduce((p,v)=>{const E=v.currentPrice.scrapedAt?new Date(v.currentPrice.scrapedAt):null;return E&&E>p?E:p},new Date(0));document.getElementById("freshness").textContent=he(d);const w=document.getElementById("supplier-cards");let C=t.map(p=>fe(p)).join("");if(o.length>0&&(C+=`
+`);y.innerHTML=m}if(s.topDeals&&s.topDeals.length>0){var e=s.topDeals[0],t=document.getElementById("lowest-price-card");if(t){var o=s.stateAverages&&s.stateAverages.length>0?s.stateAverages.reduce(function(m,d){return m+d.avgPrice},0)/s.stateAverages.length:0,n=o>0?(o-parseFloat(e.price)).toFixed(2):null;t.innerHTML='<p class="lowest-label">Lowest Heating Oil Price Today</p><span class="lowest-value">$'+e.price+"/gal</span>"+(n&&parseFloat(n)>0?'<span class="lowest-vs-avg">$'+n+" below Northeast average</span>":"")+'<p class="lowest-supplier">'+u(e.supplierName)+" \u2014 "+u(e.city)+", "+e.state+(e.zip?" ("+e.zip+")":"")+"</p>"}}if(s.topDeals&&s.topDeals.length>0&&typeof window.initPriceAlertForm=="function"){var a=parseFloat(s.topDeals[0].price);if(a>0){var r="";try{r=localStorage.getItem("homeheat_last_zip")||""}catch(m){}/^\d{5}$/.test(r)||(r=""),window.initPriceAlertForm("#default-alert-container",{zip:r,lowestPrice:a,defaultThreshold:Math.max(a-.2,1.5)})}}}catch(i){}}function Ee(e){const t=new Date(e),n=new Date-t,a=Math.floor(n/(1e3*60*60*24));return a<=0?"Updated today":a===1?"Updated yesterday":a<7?`Updated ${a} days ago`:`Updated ${t.toLocaleDateString("en-US",{month:"long",day:"numeric",year:"numeric"})}`}function se(){oe(),ae(),ge(),window.addEventListener("beforeunload",Ce);const t=new URLSearchParams(window.location.search).get("zip"),o=localStorage.getItem("homeheat_last_zip");t&&/^\d{5}$/.test(t)?(B.value=t,F(t)):o&&/^\d{5}$/.test(o)&&(B.value=o),X.addEventListener("submit",re),ee.addEventListener("click",pe),te.addEventListener("click",ie),B.addEventListener("input",n=>{n.target.value=n.target.value.replace(/\D/g,"").slice(0,5)})}function re(e){e.preventDefault();const t=B.value.trim();if(!/^\d{5}$/.test(t)){Q("Please enter a valid 5-digit ZIP code.");return}F(t)}function ie(){f&&F(f)}async function F(e){f=e,localStorage.setItem("homeheat_last_zip",e);const t=new URL(window.location);t.searchParams.set("zip",e),window.history.replaceState({},"",t),N("loading"),x.disabled=!0,x.textContent="Loading...";try{const o=fetch(`${L}?zip=${e}`),n=typeof window.initGetQuotesForm=="function"?fetch("/api/quote-request/availability?zip="+e).then(c=>c.ok?c.json():null).catch(()=>null):Promise.resolve(null),a=await o;if(!a.ok)throw new Error(`API error: ${a.status}`);const[r,i]=await Promise.all([a.json(),n]),s=r.meta||{};if(r.data&&r.data.length>0){const c=r.data.filter(y=>y.currentPrice&&y.currentPrice.pricePerGallon),l=r.data.filter(y=>!y.currentPrice||!y.currentPrice.pricePerGallon);c.length>0?(_=c,ce(e,c,l,i),N("results"),T(e,s,!0),h("price_lookup",{zip:e,count:c.length,unpricedCount:l.length})):l.length>0?(_=[],le(e,l),N("results"),T(e,s,!0),h("price_lookup_unpriced_only",{zip:e,count:l.length})):(z(e),T(e,s,!1),h("price_lookup_empty",{zip:e,reason:"no_prices"}))}else z(e),T(e,s,!1),h("price_lookup_empty",{zip:e,reason:"no_suppliers"})}catch(o){console.error("Price lookup failed:",o),Q("We couldn't load prices right now. Please try again."),h("price_lookup_error",{zip:e,error:o.message})}finally{x.disabled=!1,x.textContent="Check Prices"}}function T(e,t,o){const n={zip:e,city:t&&t.userCity?t.userCity:null,county:t&&t.userCounty?t.userCounty:null,state:null,count:t&&typeof t.count=="number"?t.count:0,pricedCount:t&&typeof t.pricedCount=="number"?t.pricedCount:0,covered:!!o};window.dispatchEvent(new CustomEvent("homeheat:zip-searched",{detail:n}))}function ce(e,t,o=[],n=null){t.sort((p,v)=>p.currentPrice.pricePerGallon-v.currentPrice.pricePerGallon);const a=t.map(p=>p.currentPrice.pricePerGallon),r=Math.min(...a),i=Math.max(...a),s=i-r,c=Math.round(s*200),l=S[e],y=l?`${l} (${e})`:`ZIP ${e}`;document.getElementById("result-location").textContent=y,document.getElementById("lowest-price").textContent=`$${r.toFixed(2)}`,document.getElementById("highest-price").textContent=`$${i.toFixed(2)}`;const m=document.getElementById("savings-potential");c>0?(m.innerHTML=`Save up to <strong>$${c}</strong> on 200 gallons`,m.style.display="block"):m.style.display="none";const d=t.reduce((p,v)=>{const P=v.currentPrice.scrapedAt?new Date(v.currentPrice.scrapedAt):null;return P&&P>p?P:p},new Date(0));document.getElementById("freshness").textContent=he(d);const w=document.getElementById("supplier-cards");let C=t.map(p=>fe(p)).join("");if(o.length>0&&(C+=`
         <div class="unpriced-section">
           <h3 class="unpriced-heading">Other Suppliers in Your Area</h3>
           <p class="unpriced-subtitle">Call for current pricing</p>
           ${o.map(p=>D(p)).join("")}
         </div>
-      `),w.innerHTML=C,b.style.display="none",we(e,r),Se(e,t),typeof window.initPriceAlertForm=="function"&&window.initPriceAlertForm("#price-alert-container",{zip:e,lowestPrice:r,defaultThreshold:Math.max(r-.15,1.5)}),typeof window.initGetQuotesForm=="function"&&n&&n.available){var N=document.querySelectorAll("#supplier-cards > .supplier-card"),T=document.getElementById("get-quotes-container");N.length>=3&&T&&N[2].after(T),window.initGetQuotesForm("#get-quotes-container",{zip:e,supplierCount:n.supplier_count,mode:n.mode||"routed",fallback_phones:n.fallback_phones||null})}typeof window.showPwaInstallBanner=="function"&&setTimeout(()=>window.showPwaInstallBanner(),1500),Z(e)}function le(e,t){const o=S[e],n=o?`${o} (${e})`:`ZIP ${e}`;document.getElementById("result-location").textContent=n,document.getElementById("lowest-price").textContent="Call",document.getElementById("highest-price").textContent="Call";const a=document.getElementById("savings-potential");a.innerHTML=`<strong>${t.length}</strong> supplier${t.length>1?"s":""} serve this area`,a.style.display="block",document.getElementById("freshness").textContent="Call for prices";const r=document.getElementById("supplier-cards");r.innerHTML=`
+      `),w.innerHTML=C,b.style.display="none",we(e,r),Se(e,t),typeof window.initPriceAlertForm=="function"&&window.initPriceAlertForm("#price-alert-container",{zip:e,lowestPrice:r,defaultThreshold:Math.max(r-.15,1.5)}),typeof window.initGetQuotesForm=="function"&&n&&n.available){var A=document.querySelectorAll("#supplier-cards > .supplier-card"),E=document.getElementById("get-quotes-container");A.length>=3&&E&&A[2].after(E),window.initGetQuotesForm("#get-quotes-container",{zip:e,supplierCount:n.supplier_count,mode:n.mode||"routed",fallback_phones:n.fallback_phones||null}),window.location.hash==="#get-quotes"&&E&&E.scrollIntoView({behavior:"smooth",block:"start"})}typeof window.showPwaInstallBanner=="function"&&setTimeout(()=>window.showPwaInstallBanner(),1500),Z(e)}function le(e,t){const o=S[e],n=o?`${o} (${e})`:`ZIP ${e}`;document.getElementById("result-location").textContent=n,document.getElementById("lowest-price").textContent="Call",document.getElementById("highest-price").textContent="Call";const a=document.getElementById("savings-potential");a.innerHTML=`<strong>${t.length}</strong> supplier${t.length>1?"s":""} serve this area`,a.style.display="block",document.getElementById("freshness").textContent="Call for prices";const r=document.getElementById("supplier-cards");r.innerHTML=`
       <div class="unpriced-notice">
         <p>We don't have current pricing for suppliers in this area yet. Contact them directly for quotes.</p>
       </div>
       ${t.map(i=>D(i)).join("")}
-    `,Z(e)}function Z(e){var t=document.getElementById("kerosene-cross-sell");t&&t.remove(),fetch(""+L+"?zip="+e+"&fuel=kerosene").then(function(o){return o.ok?o.json():null}).then(function(o){if(!(!o||!o.data)){var n=o.data.filter(function(i){return i.currentPrice&&i.currentPrice.pricePerGallon});if(n.length!==0){var a=document.createElement("div");a.id="kerosene-cross-sell",a.className="kerosene-cross-sell",a.innerHTML="<h4>K-1 Kerosene Also Available</h4><p>"+n.length+" supplier"+(n.length>1?"s":"")+" deliver K-1 kerosene to "+e+'</p><a href="/prices/kerosene/?zip='+e+'" class="kerosene-cross-sell-link">See Kerosene Prices &rarr;</a>';var r=document.getElementById("supplier-cards");r&&r.appendChild(a)}}}).catch(function(){})}function ue(e){if(!e)return"?";var t=e.split(/\s+/).filter(Boolean);return t.length===0?"?":t.length===1?t[0].substring(0,2).toUpperCase():(t[0].charAt(0)+t[1].charAt(0)).toUpperCase()}function de(e){if(!e)return 0;for(var t=0,o=0;o<e.length;o++)t=(t<<5)-t+e.charCodeAt(o),t=t&t;return Math.abs(t)%10}function R(e){return'<div class="supplier-avatar" data-color="'+de(e)+'">'+u(ue(e))+"</div>"}function K(e){var t=[];if(e.fuelTypes&&e.fuelTypes.length>0){var o={oil:"Heating Oil",kerosene:"Kerosene",diesel:"Diesel",propane:"Propane"};e.fuelTypes.forEach(function(a){o[a]&&a!=="oil"&&t.push(o[a])})}if(e.paymentMethods&&e.paymentMethods.length>0){var n=e.paymentMethods.indexOf("credit_card")!==-1;n&&t.push("Credit Cards")}return e.seniorDiscount==="yes"&&t.push("Senior Discount"),t.length===0?"":'<div class="supplier-badges">'+t.map(function(a){return'<span class="supplier-badge">'+u(a)+"</span>"}).join("")+"</div>"}function ye(e){if(!e)return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var t=new Date(e);if(isNaN(t.getTime()))return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var o=new Date,n=o-t;if(n<0)return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var a=Math.floor(n/(1e3*60*60)),r=Math.floor(n/(1e3*60*60*24)),i,s;return a<24?(i="fresh",s=a<1?"Updated now":a+"h ago"):r<=3?(i="recent",s=r===1?"Yesterday":r+"d ago"):(i="stale",s=r<7?r+"d ago":t.toLocaleDateString("en-US",{month:"short",day:"numeric"})),'<div class="price-freshness"><span class="freshness-dot '+i+'"></span> '+u(s)+"</div>"}function V(e){return e.claimedAt?'<span class="verified-badge"><svg viewBox="0 0 16 16"><path d="M6.5 12.5l-4-4 1.5-1.5 2.5 2.5 5.5-5.5 1.5 1.5z"/></svg>Verified</span>':""}function fe(e){var t=e.currentPrice,o=t?Number(t.pricePerGallon):NaN;if(!t||!Number.isFinite(o)||o<=0)return D(e);var n=e.phone||"",a=n.replace(/\D/g,""),r=a.length>=10,i=e.website&&/^https?:\/\//i.test(e.website),s=e.slug?encodeURIComponent(e.slug):"",c=150,l=Math.floor(Number(e.minimumGallons||t.minGallons||0)||0);l>c&&(c=l);var y=Math.round(o*c);return'<div class="supplier-card">'+R(e.name)+'<div class="supplier-info"><div class="supplier-name-row"><div class="supplier-name">'+(s?'<a href="/supplier/'+s+'" class="supplier-profile-link">'+u(e.name)+"</a>":u(e.name))+"</div>"+V(e)+'</div><div class="supplier-location">'+u(e.city||"")+", "+u(e.state||"")+"</div>"+K(e)+'<div class="supplier-actions">'+(r?'<a href="tel:'+a+'" class="supplier-phone" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="call">Call '+u(n)+"</a>":"")+(i?'<a href="'+u(e.website)+'" target="_blank" rel="noopener noreferrer" referrerpolicy="no-referrer" class="supplier-website-btn" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="website">Visit Website</a>':"")+'</div></div><div class="supplier-price"><div class="price-amount">$'+o.toFixed(2)+'</div><div class="price-unit">per gallon</div><div class="price-estimate">~$'+y+" for "+c+" gal</div>"+(l?'<div class="price-min">'+l+"+ gal min</div>":"")+ye(t.scrapedAt)+"</div></div>"}function D(e){var t=e.phone||"",o=t.replace(/\D/g,""),n=o.length>=10,a=e.website&&/^https?:\/\//i.test(e.website),r=e.slug?encodeURIComponent(e.slug):"";return'<div class="supplier-card supplier-card-unpriced">'+R(e.name)+'<div class="supplier-info"><div class="supplier-name-row"><div class="supplier-name">'+(r?'<a href="/supplier/'+r+'" class="supplier-profile-link">'+u(e.name)+"</a>":u(e.name))+"</div>"+V(e)+'</div><div class="supplier-location">'+u(e.city||"")+", "+u(e.state||"")+"</div>"+K(e)+'<div class="supplier-actions">'+(n?'<a href="tel:'+o+'" class="supplier-phone" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="call">Call '+u(t)+"</a>":"")+(a?'<a href="'+u(e.website)+'" target="_blank" rel="noopener noreferrer" referrerpolicy="no-referrer" class="supplier-website-btn" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="website">Visit Website</a>':"")+'</div></div><div class="supplier-price supplier-price-unpriced"><div class="price-unavailable">No online price</div></div></div>'}async function pe(){if(x.length===0)return;const e=x.map(s=>s.currentPrice.pricePerGallon),t=Math.min(...e).toFixed(2),o=Math.max(...e).toFixed(2),n=S[f],a=n?`${n} (${f})`:`near ${f}`,r=`Heating oil in ${a} is $${t}\u2013$${o} today. Check your ZIP: gethomeheat.com/prices.html?zip=${f}`,i=`https://gethomeheat.com/prices.html?zip=${f}`;if(navigator.share&&/Mobi|Android/i.test(navigator.userAgent))try{await navigator.share({title:`Heating Oil Prices in ${a}`,text:r,url:i}),h("share_native",{zip:f});return}catch(s){}navigator.clipboard.writeText(r).then(()=>{B.textContent="Copied!",B.style.display="inline",setTimeout(()=>{B.style.display="none"},2e3),h("share_clipboard",{zip:f})}).catch(()=>{B.textContent="Copy failed",B.style.display="inline"})}function W(e){switch(U.style.display="none",O.style.display="none",q.style.display="none",H.style.display="none",M.style.display="none",e){case"loading":U.style.display="block";break;case"results":O.style.display="block",M.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break;case"empty":q.style.display="block",M.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break;case"error":H.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break}}var me={"01":"ma","02":"ma","03":"nh","04":"me","05":"vt","06":"ct","07":"nj","08":"nj",10:"ny",11:"ny",12:"ny",13:"ny",14:"ny",15:"pa",16:"pa",17:"pa",18:"pa",19:"pa",20:"dc",21:"md",22:"va",23:"va",24:"wv",25:"wv",26:"wv",27:"nc",28:"nc",29:"sc",30:"ga",31:"ga",32:"fl",33:"fl",34:"fl",35:"al",36:"al",37:"tn",38:"tn",39:"ms",40:"ky",41:"ky",42:"ky",43:"oh",44:"oh",45:"oh",46:"in",47:"in",48:"mi",49:"mi",50:"ia",51:"ia",52:"ia",53:"wi",54:"wi",55:"mn",56:"mt",57:"sd",58:"nd",59:"mt",60:"il",61:"il",62:"il",63:"mo",64:"mo",65:"mo",66:"ks",67:"ks",68:"ne",69:"ne",70:"la",71:"la",72:"ar",73:"ok",74:"ok",75:"tx",76:"tx",77:"tx",78:"tx",79:"tx",80:"co",81:"co",82:"wy",83:"id",84:"ut",85:"az",86:"az",87:"nm",88:"nm",89:"nv",90:"ca",91:"ca",92:"ca",93:"ca",94:"ca",95:"ca",96:"hi",97:"or",98:"wa",99:"ak"};function J(e){if(!e||e.length<2)return null;var t=e.substring(0,3);return t==="028"||t==="029"?"ri":t==="197"||t==="198"||t==="199"?"de":me[e.substring(0,2)]||null}function z(e){document.getElementById("empty-zip").textContent=e;var t=document.getElementById("empty-state-avg");if(k&&k.stateAverages){var o=J(e);if(o){var n=k.stateAverages.find(function(l){return l.state===o});n?(document.getElementById("empty-state-name").textContent=n.stateName,document.getElementById("empty-avg-price").textContent="$"+n.avgPrice.toFixed(2),document.getElementById("empty-supplier-count").textContent=n.supplierCount,t.style.display="block"):t.style.display="none"}else t.style.display="none"}else t&&(t.style.display="none");var a=document.getElementById("coverage-zip");a&&(a.value=e);var r=document.getElementById("coverage-request-form-inner"),i=document.getElementById("coverage-request-already"),s=document.getElementById("coverage-request-success");try{var c=localStorage.getItem("homeheat_coverage_"+e);c&&i&&r?(document.getElementById("coverage-already-zip").textContent=e,i.style.display="block",r.style.display="none",s.style.display="none"):(i&&(i.style.display="none"),r&&(r.style.display="block"),s&&(s.style.display="none"))}catch(l){}ke(e),W("empty"),h("coverage_empty_shown",{zip:e})}(function(){var e=document.getElementById("coverage-update-link");e&&e.addEventListener("click",function(t){t.preventDefault();var o=document.getElementById("coverage-request-already"),n=document.getElementById("coverage-request-form-inner");o&&(o.style.display="none"),n&&(n.style.display="block")})})(),(function(){var e=document.getElementById("coverage-request-form");e&&e.addEventListener("submit",function(t){t.preventDefault();var o=document.getElementById("coverage-email"),n=document.getElementById("coverage-zip"),a=document.getElementById("coverage-submit-btn"),r=document.getElementById("coverage-request-error"),i=e.querySelector('[name="website_url"]'),s=(o.value||"").trim(),c=(n.value||"").trim();if(!(i&&i.value)){if(!s||!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(s)){r.textContent="Please enter a valid email address.",r.style.display="block";return}if(!c||!/^\d{5}$/.test(c)){r.textContent="Please enter a valid 5-digit ZIP code.",r.style.display="block";return}var l=["heating_oil"],y=document.querySelector('input[name="fuel_kerosene"]');y&&y.checked&&l.push("kerosene");var m=document.querySelector('input[name="fuel_propane"]');m&&m.checked&&l.push("propane"),a.disabled=!0,a.textContent="Sending...",r.style.display="none",fetch("/api/coverage-request",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:s,zip_code:c,fuel_types:l,source_page:window.location.pathname})}).then(function(d){return d.json().then(function(w){return{ok:d.ok,data:w}})}).then(function(d){if(d.ok&&d.data.success){try{localStorage.setItem("homeheat_coverage_"+c,Date.now().toString())}catch(Y){}var w=document.getElementById("coverage-request-form-inner"),C=document.getElementById("coverage-request-success"),N=document.getElementById("coverage-request-already");w&&(w.style.display="none"),N&&(N.style.display="none");var T=d.data.city&&d.data.state?d.data.city+", "+d.data.state.toUpperCase():c;document.getElementById("coverage-success-location").textContent=T;var p="";if(k&&k.stateAverages){var v=J(c);if(v){var E=k.stateAverages.find(function(Y){return Y.state===v});E&&(p+='<a href="/prices/'+v+'/">View '+u(E.stateName)+" heating oil prices</a>")}}p+='<a href="/prices">View all prices</a>',document.getElementById("coverage-success-links").innerHTML=p,C&&(C.style.display="block"),h("coverage_request",{zip:c,fuels:l.join(",")})}else r.textContent=d.data.error||"Something went wrong \u2014 please try again.",r.style.display="block",a.disabled=!1,a.textContent="Notify Me"}).catch(function(){r.textContent="Something went wrong \u2014 please try again.",r.style.display="block",a.disabled=!1,a.textContent="Notify Me"})}})})();function Q(e){document.getElementById("error-message").textContent=e,W("error")}function he(e){if(!e||e.getTime()===0)return"Updated recently";const o=new Date-e,n=Math.floor(o/(1e3*60*60)),a=Math.floor(o/(1e3*60*60*24));return n<1?"Updated just now":n===1?"Updated 1 hour ago":n<24?`Updated ${n} hours ago`:a===1?"Updated yesterday":a<7?`Updated ${a} days ago`:`Updated ${e.toLocaleDateString()}`}function u(e){const t=document.createElement("div");return t.textContent=e,t.innerHTML}function h(e,t){typeof gtag=="function"&&gtag("event",e,t||{})}function ge(){const e="homeheat_visits",t="homeheat_last_visit",o=parseInt(localStorage.getItem(e)||"0",10)+1,n=localStorage.getItem(t),a=Date.now();localStorage.setItem(e,o.toString()),localStorage.setItem(t,a.toString());const r=n&&a-parseInt(n,10)>1440*60*1e3;h("page_view",{visits:o,isReturn:r,daysSinceLastVisit:n?Math.round((a-parseInt(n,10))/(1440*60*1e3)):null})}function Ce(){const e=Math.round((Date.now()-ne)/1e3);h("page_exit",{timeOnPageSeconds:e,zip:f||null})}function ve(e){const t=e.substring(0,3),o=parseInt(e,10),n=new Set;for(let i=-5;i<=5;i++){if(i===0)continue;const s=(o+i).toString().padStart(5,"0");s.startsWith(t)&&s!==e&&n.add(s)}const a=parseInt(t,10);return[a-1,a+1].forEach(i=>{if(i>=0&&i<=999){const s=i.toString().padStart(3,"0")+e.substring(3);s!==e&&n.add(s)}}),Array.from(n).sort((i,s)=>{const c=S[i]?1:0;return(S[s]?1:0)-c}).slice(0,4)}function ke(e){const t=ve(e),o=document.getElementById("nearby-zips"),n=document.getElementById("nearby-zip-buttons");t.length>0&&o&&n&&(n.innerHTML=t.map(a=>`<button class="nearby-zip-btn" data-nearby-zip="${a}">${a}</button>`).join(""),o.style.display="block")}window.lookupZip=function(e){P.value=e,$(e)};function we(e,t){const o=`homeheat_price_${e}`,n=localStorage.getItem(o);if(n)try{const{price:a,timestamp:r}=JSON.parse(n),i=(Date.now()-r)/(1e3*60*60*24);if(i>=1&&i<=14){const s=t-a,c=Math.abs(Math.round(s*100));if(c>=2){const l=document.getElementById("movement-icon"),y=document.getElementById("movement-text");s>0?(b.className="price-movement movement-up",l.textContent="\u2191",y.textContent=`Prices up ${c}\xA2 since last check`):(b.className="price-movement movement-down",l.textContent="\u2193",y.textContent=`Prices down ${c}\xA2 since last check`),b.style.display="flex",h("price_movement_shown",{zip:e,diff:c,direction:s>0?"up":"down"})}else b.className="price-movement movement-flat",document.getElementById("movement-icon").textContent="\u2192",document.getElementById("movement-text").textContent="Prices stable since last check",b.style.display="flex"}}catch(a){console.error("Error parsing cached price:",a)}localStorage.setItem(o,JSON.stringify({price:t,timestamp:Date.now()}))}function Se(e,t){const o=document.getElementById("schema-markup");if(!o||t.length===0)return;const n=S[e]||"",a=n?`${n} (${e})`:`ZIP ${e}`,r=t.slice(0,10).map((s,c)=>({"@type":"ListItem",position:c+1,item:{"@type":"Service",name:`Heating Oil Delivery from ${s.name}`,description:`Heating oil delivery service from ${s.name}. Current price: $${s.currentPrice.pricePerGallon.toFixed(2)} per gallon.`,image:"https://www.gethomeheat.com/images/app-icon.png",serviceType:"Heating Oil Delivery",areaServed:a,provider:{"@type":"LocalBusiness",name:s.name,image:"https://www.gethomeheat.com/images/app-icon.png",address:{"@type":"PostalAddress",addressLocality:s.city||"",addressRegion:s.state||""},telephone:s.phone||"",priceRange:`$${s.currentPrice.pricePerGallon.toFixed(2)}/gal`},priceSpecification:{"@type":"UnitPriceSpecification",price:s.currentPrice.pricePerGallon.toFixed(2),priceCurrency:"USD",unitCode:"GLL",unitText:"gallon"}}})),i={"@context":"https://schema.org","@type":"WebPage",name:`Heating Oil Prices in ${a}`,description:`Compare current heating oil prices from ${t.length} local suppliers in ${a}.`,publisher:{"@type":"Organization",name:"HomeHeat",url:"https://gethomeheat.com"},mainEntity:{"@type":"ItemList",name:`Heating Oil Prices in ${a}`,description:`Current heating oil prices from local suppliers serving ${a}`,numberOfItems:t.length,itemListElement:r}};o.textContent=JSON.stringify(i)}window.trackWebsiteClick=function(e,t){const o=Date.now();if(o-_<500)return;_=o;const n=/Mobi|Android/i.test(navigator.userAgent),a=/Android/i.test(navigator.userAgent),r=JSON.stringify({supplierId:e,supplierName:t,action:"website",zipCode:f||null,pageSource:"prices",deviceType:n?"mobile":"desktop",platform:a?"android":n?"ios":"web"});navigator.sendBeacon?navigator.sendBeacon("/api/log-action",new Blob([r],{type:"application/json"})):fetch("/api/log-action",{method:"POST",headers:{"Content-Type":"application/json"},body:r,keepalive:!0}).catch(function(i){console.error("[Tracking] Website click failed:",i)}),typeof gtag=="function"&&gtag("event","supplier_outbound_click",{supplier_id:e,supplier_name:t,zip_code:f||""})},window.trackCallClick=function(e,t){const o=Date.now();if(o-_<500)return;_=o;const n=/Mobi|Android/i.test(navigator.userAgent),a=/Android/i.test(navigator.userAgent),r=JSON.stringify({supplierId:e,supplierName:t,action:"call",zipCode:f||null,pageSource:"prices",deviceType:n?"mobile":"desktop",platform:a?"android":n?"ios":"web"});navigator.sendBeacon?navigator.sendBeacon("/api/log-action",new Blob([r],{type:"application/json"})):fetch("/api/log-action",{method:"POST",headers:{"Content-Type":"application/json"},body:r,keepalive:!0}).catch(function(i){console.error("[Tracking] Call click failed:",i)}),typeof gtag=="function"&&gtag("event","supplier_call_click",{supplier_id:e,supplier_name:t,zip_code:f||""})},document.addEventListener("click",function(e){var t=e.target.closest("a[data-track-supplier-id]");if(t){var o=t.getAttribute("data-track-supplier-id"),n=t.getAttribute("data-track-supplier-name"),a=t.getAttribute("data-track-action");o&&n&&a&&(a==="call"?window.trackCallClick(o,n):a==="website"&&window.trackWebsiteClick(o,n));return}var r=e.target.closest("button[data-nearby-zip]");if(r){var i=r.getAttribute("data-nearby-zip");i&&window.lookupZip(i)}});function be(){/Android/i.test(navigator.userAgent)&&document.querySelectorAll(".ios-only").forEach(function(e){e.style.display="none"})}se(),be()})();
+    `,Z(e)}function Z(e){var t=document.getElementById("kerosene-cross-sell");t&&t.remove(),fetch(""+L+"?zip="+e+"&fuel=kerosene").then(function(o){return o.ok?o.json():null}).then(function(o){if(!(!o||!o.data)){var n=o.data.filter(function(i){return i.currentPrice&&i.currentPrice.pricePerGallon});if(n.length!==0){var a=document.createElement("div");a.id="kerosene-cross-sell",a.className="kerosene-cross-sell",a.innerHTML="<h4>K-1 Kerosene Also Available</h4><p>"+n.length+" supplier"+(n.length>1?"s":"")+" deliver K-1 kerosene to "+e+'</p><a href="/prices/kerosene/?zip='+e+'" class="kerosene-cross-sell-link">See Kerosene Prices &rarr;</a>';var r=document.getElementById("supplier-cards");r&&r.appendChild(a)}}}).catch(function(){})}function ue(e){if(!e)return"?";var t=e.split(/\s+/).filter(Boolean);return t.length===0?"?":t.length===1?t[0].substring(0,2).toUpperCase():(t[0].charAt(0)+t[1].charAt(0)).toUpperCase()}function de(e){if(!e)return 0;for(var t=0,o=0;o<e.length;o++)t=(t<<5)-t+e.charCodeAt(o),t=t&t;return Math.abs(t)%10}function R(e){return'<div class="supplier-avatar" data-color="'+de(e)+'">'+u(ue(e))+"</div>"}function V(e){var t=[];if(e.fuelTypes&&e.fuelTypes.length>0){var o={oil:"Heating Oil",kerosene:"Kerosene",diesel:"Diesel",propane:"Propane"};e.fuelTypes.forEach(function(a){o[a]&&a!=="oil"&&t.push(o[a])})}if(e.paymentMethods&&e.paymentMethods.length>0){var n=e.paymentMethods.indexOf("credit_card")!==-1;n&&t.push("Credit Cards")}return e.seniorDiscount==="yes"&&t.push("Senior Discount"),t.length===0?"":'<div class="supplier-badges">'+t.map(function(a){return'<span class="supplier-badge">'+u(a)+"</span>"}).join("")+"</div>"}function ye(e){if(!e)return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var t=new Date(e);if(isNaN(t.getTime()))return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var o=new Date,n=o-t;if(n<0)return'<div class="price-freshness"><span class="freshness-dot stale"></span> Update time unknown</div>';var a=Math.floor(n/(1e3*60*60)),r=Math.floor(n/(1e3*60*60*24)),i,s;return a<24?(i="fresh",s=a<1?"Updated now":a+"h ago"):r<=3?(i="recent",s=r===1?"Yesterday":r+"d ago"):(i="stale",s=r<7?r+"d ago":t.toLocaleDateString("en-US",{month:"short",day:"numeric"})),'<div class="price-freshness"><span class="freshness-dot '+i+'"></span> '+u(s)+"</div>"}function K(e){return e.claimedAt?'<span class="verified-badge"><svg viewBox="0 0 16 16"><path d="M6.5 12.5l-4-4 1.5-1.5 2.5 2.5 5.5-5.5 1.5 1.5z"/></svg>Verified</span>':""}function fe(e){var t=e.currentPrice,o=t?Number(t.pricePerGallon):NaN;if(!t||!Number.isFinite(o)||o<=0)return D(e);var n=e.phone||"",a=n.replace(/\D/g,""),r=a.length>=10,i=e.website&&/^https?:\/\//i.test(e.website),s=e.slug?encodeURIComponent(e.slug):"",c=150,l=Math.floor(Number(e.minimumGallons||t.minGallons||0)||0);l>c&&(c=l);var y=Math.round(o*c);return'<div class="supplier-card">'+R(e.name)+'<div class="supplier-info"><div class="supplier-name-row"><div class="supplier-name">'+(s?'<a href="/supplier/'+s+'" class="supplier-profile-link">'+u(e.name)+"</a>":u(e.name))+"</div>"+K(e)+'</div><div class="supplier-location">'+u(e.city||"")+", "+u(e.state||"")+"</div>"+V(e)+'<div class="supplier-actions">'+(r?'<a href="tel:'+a+'" class="supplier-phone" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="call">Call '+u(n)+"</a>":"")+(i?'<a href="'+u(e.website)+'" target="_blank" rel="noopener noreferrer" referrerpolicy="no-referrer" class="supplier-website-btn" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="website">Visit Website</a>':"")+'</div></div><div class="supplier-price"><div class="price-amount">$'+o.toFixed(2)+'</div><div class="price-unit">per gallon</div><div class="price-estimate">~$'+y+" for "+c+" gal</div>"+(l?'<div class="price-min">'+l+"+ gal min</div>":"")+ye(t.scrapedAt)+"</div></div>"}function D(e){var t=e.phone||"",o=t.replace(/\D/g,""),n=o.length>=10,a=e.website&&/^https?:\/\//i.test(e.website),r=e.slug?encodeURIComponent(e.slug):"";return'<div class="supplier-card supplier-card-unpriced">'+R(e.name)+'<div class="supplier-info"><div class="supplier-name-row"><div class="supplier-name">'+(r?'<a href="/supplier/'+r+'" class="supplier-profile-link">'+u(e.name)+"</a>":u(e.name))+"</div>"+K(e)+'</div><div class="supplier-location">'+u(e.city||"")+", "+u(e.state||"")+"</div>"+V(e)+'<div class="supplier-actions">'+(n?'<a href="tel:'+o+'" class="supplier-phone" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="call">Call '+u(t)+"</a>":"")+(a?'<a href="'+u(e.website)+'" target="_blank" rel="noopener noreferrer" referrerpolicy="no-referrer" class="supplier-website-btn" data-track-supplier-id="'+e.id+'" data-track-supplier-name="'+u(e.name)+'" data-track-action="website">Visit Website</a>':"")+'</div></div><div class="supplier-price supplier-price-unpriced"><div class="price-unavailable">No online price</div></div></div>'}async function pe(){if(_.length===0)return;const e=_.map(s=>s.currentPrice.pricePerGallon),t=Math.min(...e).toFixed(2),o=Math.max(...e).toFixed(2),n=S[f],a=n?`${n} (${f})`:`near ${f}`,r=`Heating oil in ${a} is $${t}\u2013$${o} today. Check your ZIP: gethomeheat.com/prices.html?zip=${f}`,i=`https://gethomeheat.com/prices.html?zip=${f}`;if(navigator.share&&/Mobi|Android/i.test(navigator.userAgent))try{await navigator.share({title:`Heating Oil Prices in ${a}`,text:r,url:i}),h("share_native",{zip:f});return}catch(s){}navigator.clipboard.writeText(r).then(()=>{W.textContent="Copied!",W.style.display="inline",setTimeout(()=>{W.style.display="none"},2e3),h("share_clipboard",{zip:f})}).catch(()=>{W.textContent="Copy failed",W.style.display="inline"})}function N(e){switch(U.style.display="none",O.style.display="none",q.style.display="none",H.style.display="none",M.style.display="none",e){case"loading":U.style.display="block";break;case"results":O.style.display="block",M.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break;case"empty":q.style.display="block",M.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break;case"error":H.style.display="block",g&&(g.style.opacity="0",setTimeout(()=>{g.style.display="none"},300)),I&&(I.style.display="none");break}}var me={"01":"ma","02":"ma","03":"nh","04":"me","05":"vt","06":"ct","07":"nj","08":"nj",10:"ny",11:"ny",12:"ny",13:"ny",14:"ny",15:"pa",16:"pa",17:"pa",18:"pa",19:"pa",20:"dc",21:"md",22:"va",23:"va",24:"wv",25:"wv",26:"wv",27:"nc",28:"nc",29:"sc",30:"ga",31:"ga",32:"fl",33:"fl",34:"fl",35:"al",36:"al",37:"tn",38:"tn",39:"ms",40:"ky",41:"ky",42:"ky",43:"oh",44:"oh",45:"oh",46:"in",47:"in",48:"mi",49:"mi",50:"ia",51:"ia",52:"ia",53:"wi",54:"wi",55:"mn",56:"mt",57:"sd",58:"nd",59:"mt",60:"il",61:"il",62:"il",63:"mo",64:"mo",65:"mo",66:"ks",67:"ks",68:"ne",69:"ne",70:"la",71:"la",72:"ar",73:"ok",74:"ok",75:"tx",76:"tx",77:"tx",78:"tx",79:"tx",80:"co",81:"co",82:"wy",83:"id",84:"ut",85:"az",86:"az",87:"nm",88:"nm",89:"nv",90:"ca",91:"ca",92:"ca",93:"ca",94:"ca",95:"ca",96:"hi",97:"or",98:"wa",99:"ak"};function J(e){if(!e||e.length<2)return null;var t=e.substring(0,3);return t==="028"||t==="029"?"ri":t==="197"||t==="198"||t==="199"?"de":me[e.substring(0,2)]||null}function z(e){document.getElementById("empty-zip").textContent=e;var t=document.getElementById("empty-state-avg");if(k&&k.stateAverages){var o=J(e);if(o){var n=k.stateAverages.find(function(l){return l.state===o});n?(document.getElementById("empty-state-name").textContent=n.stateName,document.getElementById("empty-avg-price").textContent="$"+n.avgPrice.toFixed(2),document.getElementById("empty-supplier-count").textContent=n.supplierCount,t.style.display="block"):t.style.display="none"}else t.style.display="none"}else t&&(t.style.display="none");var a=document.getElementById("coverage-zip");a&&(a.value=e);var r=document.getElementById("coverage-request-form-inner"),i=document.getElementById("coverage-request-already"),s=document.getElementById("coverage-request-success");try{var c=localStorage.getItem("homeheat_coverage_"+e);c&&i&&r?(document.getElementById("coverage-already-zip").textContent=e,i.style.display="block",r.style.display="none",s.style.display="none"):(i&&(i.style.display="none"),r&&(r.style.display="block"),s&&(s.style.display="none"))}catch(l){}ke(e),N("empty"),h("coverage_empty_shown",{zip:e})}(function(){var e=document.getElementById("coverage-update-link");e&&e.addEventListener("click",function(t){t.preventDefault();var o=document.getElementById("coverage-request-already"),n=document.getElementById("coverage-request-form-inner");o&&(o.style.display="none"),n&&(n.style.display="block")})})(),(function(){var e=document.getElementById("coverage-request-form");e&&e.addEventListener("submit",function(t){t.preventDefault();var o=document.getElementById("coverage-email"),n=document.getElementById("coverage-zip"),a=document.getElementById("coverage-submit-btn"),r=document.getElementById("coverage-request-error"),i=e.querySelector('[name="website_url"]'),s=(o.value||"").trim(),c=(n.value||"").trim();if(!(i&&i.value)){if(!s||!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(s)){r.textContent="Please enter a valid email address.",r.style.display="block";return}if(!c||!/^\d{5}$/.test(c)){r.textContent="Please enter a valid 5-digit ZIP code.",r.style.display="block";return}var l=["heating_oil"],y=document.querySelector('input[name="fuel_kerosene"]');y&&y.checked&&l.push("kerosene");var m=document.querySelector('input[name="fuel_propane"]');m&&m.checked&&l.push("propane"),a.disabled=!0,a.textContent="Sending...",r.style.display="none",fetch("/api/coverage-request",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:s,zip_code:c,fuel_types:l,source_page:window.location.pathname})}).then(function(d){return d.json().then(function(w){return{ok:d.ok,data:w}})}).then(function(d){if(d.ok&&d.data.success){try{localStorage.setItem("homeheat_coverage_"+c,Date.now().toString())}catch(Y){}var w=document.getElementById("coverage-request-form-inner"),C=document.getElementById("coverage-request-success"),A=document.getElementById("coverage-request-already");w&&(w.style.display="none"),A&&(A.style.display="none");var E=d.data.city&&d.data.state?d.data.city+", "+d.data.state.toUpperCase():c;document.getElementById("coverage-success-location").textContent=E;var p="";if(k&&k.stateAverages){var v=J(c);if(v){var P=k.stateAverages.find(function(Y){return Y.state===v});P&&(p+='<a href="/prices/'+v+'/">View '+u(P.stateName)+" heating oil prices</a>")}}p+='<a href="/prices">View all prices</a>',document.getElementById("coverage-success-links").innerHTML=p,C&&(C.style.display="block"),h("coverage_request",{zip:c,fuels:l.join(",")})}else r.textContent=d.data.error||"Something went wrong \u2014 please try again.",r.style.display="block",a.disabled=!1,a.textContent="Notify Me"}).catch(function(){r.textContent="Something went wrong \u2014 please try again.",r.style.display="block",a.disabled=!1,a.textContent="Notify Me"})}})})();function Q(e){document.getElementById("error-message").textContent=e,N("error")}function he(e){if(!e||e.getTime()===0)return"Updated recently";const o=new Date-e,n=Math.floor(o/(1e3*60*60)),a=Math.floor(o/(1e3*60*60*24));return n<1?"Updated just now":n===1?"Updated 1 hour ago":n<24?`Updated ${n} hours ago`:a===1?"Updated yesterday":a<7?`Updated ${a} days ago`:`Updated ${e.toLocaleDateString()}`}function u(e){const t=document.createElement("div");return t.textContent=e,t.innerHTML}function h(e,t){typeof gtag=="function"&&gtag("event",e,t||{})}function ge(){const e="homeheat_visits",t="homeheat_last_visit",o=parseInt(localStorage.getItem(e)||"0",10)+1,n=localStorage.getItem(t),a=Date.now();localStorage.setItem(e,o.toString()),localStorage.setItem(t,a.toString());const r=n&&a-parseInt(n,10)>1440*60*1e3;h("page_view",{visits:o,isReturn:r,daysSinceLastVisit:n?Math.round((a-parseInt(n,10))/(1440*60*1e3)):null})}function Ce(){const e=Math.round((Date.now()-ne)/1e3);h("page_exit",{timeOnPageSeconds:e,zip:f||null})}function ve(e){const t=e.substring(0,3),o=parseInt(e,10),n=new Set;for(let i=-5;i<=5;i++){if(i===0)continue;const s=(o+i).toString().padStart(5,"0");s.startsWith(t)&&s!==e&&n.add(s)}const a=parseInt(t,10);return[a-1,a+1].forEach(i=>{if(i>=0&&i<=999){const s=i.toString().padStart(3,"0")+e.substring(3);s!==e&&n.add(s)}}),Array.from(n).sort((i,s)=>{const c=S[i]?1:0;return(S[s]?1:0)-c}).slice(0,4)}function ke(e){const t=ve(e),o=document.getElementById("nearby-zips"),n=document.getElementById("nearby-zip-buttons");t.length>0&&o&&n&&(n.innerHTML=t.map(a=>`<button class="nearby-zip-btn" data-nearby-zip="${a}">${a}</button>`).join(""),o.style.display="block")}window.lookupZip=function(e){B.value=e,F(e)};function we(e,t){const o=`homeheat_price_${e}`,n=localStorage.getItem(o);if(n)try{const{price:a,timestamp:r}=JSON.parse(n),i=(Date.now()-r)/(1e3*60*60*24);if(i>=1&&i<=14){const s=t-a,c=Math.abs(Math.round(s*100));if(c>=2){const l=document.getElementById("movement-icon"),y=document.getElementById("movement-text");s>0?(b.className="price-movement movement-up",l.textContent="\u2191",y.textContent=`Prices up ${c}\xA2 since last check`):(b.className="price-movement movement-down",l.textContent="\u2193",y.textContent=`Prices down ${c}\xA2 since last check`),b.style.display="flex",h("price_movement_shown",{zip:e,diff:c,direction:s>0?"up":"down"})}else b.className="price-movement movement-flat",document.getElementById("movement-icon").textContent="\u2192",document.getElementById("movement-text").textContent="Prices stable since last check",b.style.display="flex"}}catch(a){console.error("Error parsing cached price:",a)}localStorage.setItem(o,JSON.stringify({price:t,timestamp:Date.now()}))}function Se(e,t){const o=document.getElementById("schema-markup");if(!o||t.length===0)return;const n=S[e]||"",a=n?`${n} (${e})`:`ZIP ${e}`,r=t.slice(0,10).map((s,c)=>({"@type":"ListItem",position:c+1,item:{"@type":"Service",name:`Heating Oil Delivery from ${s.name}`,description:`Heating oil delivery service from ${s.name}. Current price: $${s.currentPrice.pricePerGallon.toFixed(2)} per gallon.`,image:"https://www.gethomeheat.com/images/app-icon.png",serviceType:"Heating Oil Delivery",areaServed:a,provider:{"@type":"LocalBusiness",name:s.name,image:"https://www.gethomeheat.com/images/app-icon.png",address:{"@type":"PostalAddress",addressLocality:s.city||"",addressRegion:s.state||""},telephone:s.phone||"",priceRange:`$${s.currentPrice.pricePerGallon.toFixed(2)}/gal`},priceSpecification:{"@type":"UnitPriceSpecification",price:s.currentPrice.pricePerGallon.toFixed(2),priceCurrency:"USD",unitCode:"GLL",unitText:"gallon"}}})),i={"@context":"https://schema.org","@type":"WebPage",name:`Heating Oil Prices in ${a}`,description:`Compare current heating oil prices from ${t.length} local suppliers in ${a}.`,publisher:{"@type":"Organization",name:"HomeHeat",url:"https://gethomeheat.com"},mainEntity:{"@type":"ItemList",name:`Heating Oil Prices in ${a}`,description:`Current heating oil prices from local suppliers serving ${a}`,numberOfItems:t.length,itemListElement:r}};o.textContent=JSON.stringify(i)}window.trackWebsiteClick=function(e,t){const o=Date.now();if(o-$<500)return;$=o;const n=/Mobi|Android/i.test(navigator.userAgent),a=/Android/i.test(navigator.userAgent),r=JSON.stringify({supplierId:e,supplierName:t,action:"website",zipCode:f||null,pageSource:"prices",deviceType:n?"mobile":"desktop",platform:a?"android":n?"ios":"web"});navigator.sendBeacon?navigator.sendBeacon("/api/log-action",new Blob([r],{type:"application/json"})):fetch("/api/log-action",{method:"POST",headers:{"Content-Type":"application/json"},body:r,keepalive:!0}).catch(function(i){console.error("[Tracking] Website click failed:",i)}),typeof gtag=="function"&&gtag("event","supplier_outbound_click",{supplier_id:e,supplier_name:t,zip_code:f||""})},window.trackCallClick=function(e,t){const o=Date.now();if(o-$<500)return;$=o;const n=/Mobi|Android/i.test(navigator.userAgent),a=/Android/i.test(navigator.userAgent),r=JSON.stringify({supplierId:e,supplierName:t,action:"call",zipCode:f||null,pageSource:"prices",deviceType:n?"mobile":"desktop",platform:a?"android":n?"ios":"web"});navigator.sendBeacon?navigator.sendBeacon("/api/log-action",new Blob([r],{type:"application/json"})):fetch("/api/log-action",{method:"POST",headers:{"Content-Type":"application/json"},body:r,keepalive:!0}).catch(function(i){console.error("[Tracking] Call click failed:",i)}),typeof gtag=="function"&&gtag("event","supplier_call_click",{supplier_id:e,supplier_name:t,zip_code:f||""})},document.addEventListener("click",function(e){var t=e.target.closest("a[data-track-supplier-id]");if(t){var o=t.getAttribute("data-track-supplier-id"),n=t.getAttribute("data-track-supplier-name"),a=t.getAttribute("data-track-action");o&&n&&a&&(a==="call"?window.trackCallClick(o,n):a==="website"&&window.trackWebsiteClick(o,n));return}var r=e.target.closest("button[data-nearby-zip]");if(r){var i=r.getAttribute("data-nearby-zip");i&&window.lookupZip(i)}});function be(){/Android/i.test(navigator.userAgent)&&document.querySelectorAll(".ios-only").forEach(function(e){e.style.display="none"})}se(),be()})();
@@ -5,6 +5,7 @@
  */
 
 let token = null;
+let supplierId = null;   // team accounts: which listing this tab is looking at
 let dashData = null;
 
 document.addEventListener('DOMContentLoaded', init);
@@ -15,11 +16,14 @@ async function init() {
   token = params.get('token');
 
   if (!token) {
-    try { token = sessionStorage.getItem('dash_token'); } catch (e) {}
+    try {
+      token = sessionStorage.getItem('dash_token');
+      supplierId = sessionStorage.getItem('dash_supplier');
+    } catch (e) {}
   }
 
   if (!token) {
-    showError('No access token provided. Please use the link from your email.');
+    showSignIn();
     return;
   }
 
@@ -33,10 +37,16 @@ async function init() {
 
 async function loadDashboard() {
   try {
-    const resp = await fetch('/api/supplier-dashboard?token=' + encodeURIComponent(token));
+    const resp = await fetch('/api/supplier-dashboard' + authQuery());
     const data = await resp.json();
 
     if (!resp.ok || !data.success) {
+      if (data.status === 'expired' && supplierId) {
+        // Signed-in session ran out: go straight back to the code form
+        clearSession();
+        showSignIn();
+        return;
+      }
       if (data.status === 'revoked') {
         showError(data.error || 'Your listing claim has been removed.', 'Claim Removed');
       } else if (resp.status === 429) {
@@ -66,6 +76,7 @@ function renderDashboard(data) {
   document.getElementById('dash-name').textContent = data.supplier.name;
   document.getElementById('dash-location').textContent = data.supplier.city + ', ' + data.supplier.state;
   document.getElementById('dash-refreshed').textContent = relativeTime(data.generatedAt);
+  renderAccess(data);
 
   // Price badge in header
   const priceBadge = document.getElementById('dash-price-badge');
@@ -133,6 +144,7 @@ function renderDashboard(data) {
   renderCompetitivePanel(data);
   renderOpportunityPanel(data);
   renderPricePanel(data);
+  renderLeadsPanel(data);
 
   // Log panel views
   logEvent('panel_viewed', { panels: ['performance', 'competitive', 'opportunity', 'price'] });
@@ -293,6 +305,51 @@ function renderOpportunityPanel(data) {
   el.innerHTML = html;
 }
 
+function renderLeadsPanel(data) {
+  const l = data.leads;
+  if (!l) return;
+
+  const pct = (v) => v != null ? Math.round(v * 100) + '%' : '&mdash;';
+  let html = '';
+
+  if (l.demoted) {
+    html += '<div class="price-gap-alert"><strong>You\'re getting leads last.</strong> ' +
+      'Most of your recent quote requests went unanswered. Reply to the next few and you\'ll move back up.</div>';
+  }
+
+  if (l.score != null) {
+    html += '<div class="leads-score">' + l.score + '<span class="' + l.health + '">' + l.health + '</span></div>';
+  }
+
+  html += '<div class="stat-row"><span class="stat-label">Leads (last ' + l.windowDays + ' days)</span>' +
+    '<span class="stat-value">' + l.leads + '</span></div>';
+  html += '<div class="stat-row"><span class="stat-label">Answered</span>' +
+    '<span class="stat-value">' + pct(l.contactRate) + '</span></div>';
+  html += '<div class="stat-row"><span class="stat-label">Answered within ' + l.slaMinutes + ' min</span>' +
+    '<span class="stat-value">' + pct(l.slaRate) + '</span></div>';
+  if (l.medianResponseMinutes != null) {
+    html += '<div class="stat-row"><span class="stat-label">Typical response</span>' +
+      '<span class="stat-value">' + l.medianResponseMinutes + ' min</span></div>';
+  }
+  if (l.bids > 0) {
+    html += '<div class="stat-row"><span class="stat-label">Bids won</span>' +
+      '<span class="stat-value">' + l.wins + ' of ' + l.bids + '</span></div>';
+  }
+  if (l.avgRating != null) {
+    html += '<div class="stat-row"><span class="stat-label">Homeowner rating</span>' +
+      '<span class="stat-value">' + l.avgRating + ' / 5 (' + l.ratings + ')</span></div>';
+  }
+
+  if (l.score == null) {
+    html += '<div class="estimate-note">Your score appears after a few more leads.</div>';
+  } else {
+    html += '<div class="estimate-note">Faster replies mean you\'re sent leads sooner.</div>';
+  }
+
+  document.getElementById('leads-content').innerHTML = html;
+  document.getElementById('panel-leads').style.display = 'block';
+}
+
 function renderPricePanel(data) {
   const priceForm = document.getElementById('price-form');
   const gapAlert = document.getElementById('price-gap-alert');
@@ -342,6 +399,18 @@ function renderPricePanel(data) {
     statusEl.style.display = 'block';
   }
 
+  renderUpcoming(p && p.upcoming);
+
+  if (!canDo('price')) {
+    priceForm.style.display = 'none';
+    document.querySelector('.price-sms-alt').style.display = 'none';
+    var note = document.createElement('div');
+    note.className = 'price-readonly';
+    note.textContent = 'Your account can view this listing. Ask an owner for pricing access to update the price.';
+    priceForm.after(note);
+    return;
+  }
+
   // Form submission
   priceForm.addEventListener('submit', handlePriceSubmit);
 
@@ -382,6 +451,65 @@ function renderPriceImpact(impact) {
   el.style.display = 'block';
 }
 
+// Scheduled prices: not started yet (cancellable) or live until a set end
+function renderUpcoming(upcoming) {
+  var el = document.getElementById('price-upcoming');
+  if (!upcoming || upcoming.length === 0) {
+    el.style.display = 'none';
+    el.innerHTML = '';
+    return;
+  }
+
+  var html = '<div class="price-upcoming-title">Upcoming changes</div>';
+  upcoming.forEach(function (u) {
+    var label = '$' + u.price.toFixed(2) + '/gal' + (u.minGallons ? ' (' + u.minGallons + '+ gal)' : '');
+    var when = u.status === 'scheduled'
+      ? 'Starts ' + formatWhen(u.effectiveAt) + (u.validUntil ? ' &middot; until ' + formatWhen(u.validUntil) : '')
+      : 'Live until ' + formatWhen(u.validUntil);
+    html += '<div class="price-upcoming-row"><span><strong>' + label + '</strong> &middot; ' + when + '</span>' +
+      (u.status === 'scheduled'
+        ? '<button type="button" class="price-upcoming-cancel" data-id="' + escapeHtml(u.id) + '">Cancel</button>'
+        : '') +
+      '</div>';
+  });
+  el.innerHTML = html;
+  el.style.display = 'block';
+
+  el.querySelectorAll('.price-upcoming-cancel').forEach(function (btn) {
+    btn.addEventListener('click', function () { cancelScheduled(btn.dataset.id, btn); });
+  });
+}
+
+async function cancelScheduled(id, btn) {
+  btn.disabled = true;
+  try {
+    const resp = await fetch('/api/supplier-update/scheduled/' + encodeURIComponent(id) + '/cancel', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(authBody({}))
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) throw new Error(result.error || 'Could not cancel');
+    logEvent('scheduled_price_cancelled');
+    await refreshUpcoming();
+  } catch (err) {
+    btn.disabled = false;
+    btn.textContent = err.message || 'Try again';
+  }
+}
+
+async function refreshUpcoming() {
+  try {
+    const resp = await fetch('/api/supplier-update' + authQuery());
+    const data = await resp.json();
+    if (resp.ok && data.success) renderUpcoming(data.upcoming);
+  } catch (e) { /* list refreshes on next load */ }
+}
+
+function formatWhen(iso) {
+  return new Date(iso).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
 // ─── Price Form Handling ──────────────────────────────────
 
 async function handlePriceSubmit(e) {
@@ -400,6 +528,12 @@ async function handlePriceSubmit(e) {
   const price = parseFloat(priceInput.value);
   const minGallons = parseInt(galInput.value) || 100;
 
+  // Optional schedule (datetime-local is the browser's local time)
+  const startInput = document.getElementById('price-effective-at');
+  const untilInput = document.getElementById('price-valid-until');
+  const effectiveAt = startInput.value ? new Date(startInput.value) : null;
+  const validUntil = untilInput.value ? new Date(untilInput.value) : null;
+
   // Inline validation
   if (isNaN(price) || price < 1.50 || price > 8.00) {
     errEl.textContent = 'Price must be between $1.50 and $8.00';
@@ -413,6 +547,12 @@ async function handlePriceSubmit(e) {
     return;
   }
 
+  if (validUntil && validUntil <= (effectiveAt && effectiveAt > new Date() ? effectiveAt : new Date())) {
+    errEl.textContent = 'Valid until must be after the start';
+    errEl.style.display = 'block';
+    return;
+  }
+
   btn.disabled = true;
   btn.textContent = 'Updating...';
 
@@ -420,7 +560,12 @@ async function handlePriceSubmit(e) {
     const resp = await fetch('/api/supplier-update/price', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ token, price, minGallons })
+      body: JSON.stringify(authBody({
+        price,
+        minGallons,
+        effectiveAt: effectiveAt ? effectiveAt.toISOString() : undefined,
+        validUntil: validUntil ? validUntil.toISOString() : undefined
+      }))
     });
 
     const result = await resp.json();
@@ -429,6 +574,21 @@ async function handlePriceSubmit(e) {
       throw new Error(result.error || 'Failed to update price');
     }
 
+    if (effectiveAt || validUntil) {
+      startInput.value = '';
+      untilInput.value = '';
+      logEvent('price_scheduled', { startsLater: result.scheduled, hasValidUntil: !!validUntil });
+      refreshUpcoming();
+    }
+
+    if (result.scheduled) {
+      successEl.textContent = result.message + '. Your current price stays up until then.';
+      successEl.style.display = 'block';
+      btn.disabled = false;
+      btn.textContent = 'Update Price';
+      return;
+    }
+
     successEl.textContent = 'Price updated to $' + result.price.toFixed(2) + '/gal. Your listing is now showing the fresh price.';
     successEl.style.display = 'block';
 
@@ -456,8 +616,244 @@ async function handlePriceSubmit(e) {
   }
 }
 
+// ─── Sign-in + Team Accounts ──────────────────────────────
+
+function showSignIn() {
+  document.getElementById('dash-loading').style.display = 'none';
+  document.getElementById('dash-main').style.display = 'none';
+  document.getElementById('dash-error').style.display = 'none';
+  document.getElementById('dash-signin').style.display = 'block';
+}
+
+async function handleRequestCode(e) {
+  e.preventDefault();
+  const btn = document.getElementById('signin-email-btn');
+  const email = document.getElementById('signin-email').value.trim();
+  setSignInError('');
+  btn.disabled = true;
+
+  try {
+    const resp = await fetch('/api/supplier-auth/request-code', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) throw new Error(result.error || 'Could not send a code');
+
+    document.getElementById('signin-code-hint').textContent = result.message;
+    document.getElementById('signin-email-form').style.display = 'none';
+    document.getElementById('signin-code-form').style.display = 'block';
+    document.getElementById('signin-code').focus();
+  } catch (err) {
+    setSignInError(err.message || 'Network error. Please try again.');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function handleVerifyCode(e) {
+  e.preventDefault();
+  const btn = document.getElementById('signin-code-btn');
+  setSignInError('');
+  btn.disabled = true;
+
+  try {
+    const resp = await fetch('/api/supplier-auth/verify-code', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: document.getElementById('signin-email').value.trim(),
+        code: document.getElementById('signin-code').value.trim()
+      })
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) throw new Error(result.error || 'Could not sign in');
+
+    token = result.token;
+    supplierId = result.listings[0].id;
+    try {
+      sessionStorage.setItem('dash_token', token);
+      sessionStorage.setItem('dash_supplier', supplierId);
+    } catch (err) { /* private browsing */ }
+
+    document.getElementById('dash-signin').style.display = 'none';
+    document.getElementById('dash-loading').style.display = 'block';
+    await loadDashboard();
+  } catch (err) {
+    setSignInError(err.message || 'Network error. Please try again.');
+    btn.disabled = false;
+  }
+}
+
+function setSignInError(message) {
+  const el = document.getElementById('signin-error');
+  el.textContent = message;
+  el.style.display = message ? 'block' : 'none';
+}
+
+function clearSession() {
+  token = null;
+  supplierId = null;
+  try {
+    sessionStorage.removeItem('dash_token');
+    sessionStorage.removeItem('dash_supplier');
+  } catch (e) { /* private browsing */ }
+}
+
+async function signOut() {
+  try {
+    await fetch('/api/supplier-auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+  } catch (e) { /* session expires on its own */ }
+  clearSession();
+  window.location.reload();
+}
+
+function canDo(action) {
+  return !!(dashData && dashData.access && dashData.access.permissions.indexOf(action) !== -1);
+}
+
+// Header: who is signed in, listing switcher, sign-out (email sign-ins only)
+function renderAccess(data) {
+  const access = data.access;
+  const el = document.getElementById('dash-account');
+  if (!access || !access.email) return;
+
+  supplierId = data.supplier.id;
+  let html = '<span>Signed in as ' + escapeHtml(access.email) + ' &middot; ' + escapeHtml(access.role) + '</span>';
+  if (access.listings.length > 1) {
+    html += '<select id="dash-listing-select" aria-label="Switch listing">' +
+      access.listings.map(function (l) {
+        return '<option value="' + escapeHtml(l.id) + '"' + (l.id === supplierId ? ' selected' : '') + '>' +
+          escapeHtml(l.name + ' — ' + l.city + ', ' + l.state) + '</option>';
+      }).join('') + '</select>';
+  }
+  html += '<a id="dash-signout">Sign out</a>';
+  el.innerHTML = html;
+  el.style.display = 'flex';
+
+  const select = document.getElementById('dash-listing-select');
+  if (select) {
+    select.addEventListener('change', function () {
+      try { sessionStorage.setItem('dash_supplier', select.value); } catch (e) { /* private browsing */ }
+      logEvent('listing_switched');
+      window.location.reload();
+    });
+  }
+  document.getElementById('dash-signout').addEventListener('click', signOut);
+
+  if (access.permissions.indexOf('team') !== -1) {
+    document.getElementById('panel-team').style.display = 'block';
+    document.getElementById('team-form').addEventListener('submit', handleTeamAdd);
+    refreshTeam();
+  }
+}
+
+async function refreshTeam() {
+  const el = document.getElementById('team-list');
+  try {
+    const resp = await fetch('/api/supplier-auth/team' + authQuery());
+    const data = await resp.json();
+    if (!resp.ok || !data.success) throw new Error(data.error);
+
+    // Only offer "all branches" when this listing has sibling branches
+    const branches = dashData.access.listings.length > 1;
+    document.getElementById('team-branches-label').style.display = branches ? 'flex' : 'none';
+
+    el.innerHTML = data.members.map(function (m) {
+      return '<div class="team-row"><span>' + escapeHtml(m.name || m.email) +
+        (m.name ? ' <span class="team-role">' + escapeHtml(m.email) + '</span>' : '') +
+        ' <span class="team-role">' + escapeHtml(m.role) + (m.allBranches ? ' &middot; all branches' : '') + '</span></span>' +
+        (m.email === dashData.access.email ? '' :
+          '<button type="button" class="team-remove" data-id="' + escapeHtml(m.userId) + '">Remove</button>') +
+        '</div>';
+    }).join('');
+
+    el.querySelectorAll('.team-remove').forEach(function (btn) {
+      btn.addEventListener('click', function () { removeTeamMember(btn.dataset.id, btn); });
+    });
+  } catch (e) {
+    el.textContent = 'Could not load your team.';
+  }
+}
+
+async function handleTeamAdd(e) {
+  e.preventDefault();
+  const btn = document.getElementById('team-submit-btn');
+  const errEl = document.getElementById('team-form-error');
+  errEl.style.display = 'none';
+  btn.disabled = true;
+
+  try {
+    const resp = await fetch('/api/supplier-auth/team', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(authBody({
+        email: document.getElementById('team-email').value.trim(),
+        role: document.getElementById('team-role').value,
+        allBranches: document.getElementById('team-all-branches').checked
+      }))
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) throw new Error(result.error || 'Could not add team member');
+
+    document.getElementById('team-email').value = '';
+    logEvent('team_member_added', { role: result.member && result.member.role });
+    await refreshTeam();
+  } catch (err) {
+    errEl.textContent = err.message || 'Network error. Please try again.';
+    errEl.style.display = 'block';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function removeTeamMember(userId, btn) {
+  btn.disabled = true;
+  try {
+    const resp = await fetch('/api/supplier-auth/team/' + encodeURIComponent(userId) + '/remove', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(authBody({}))
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) throw new Error(result.error || 'Could not remove');
+    await refreshTeam();
+  } catch (err) {
+    btn.disabled = false;
+    btn.textContent = err.message || 'Try again';
+  }
+}
+
+document.getElementById('signin-email-form').addEventListener('submit', handleRequestCode);
+document.getElementById('signin-code-form').addEventListener('submit', handleVerifyCode);
+document.getElementById('signin-restart').addEventListener('click', function () {
+  document.getElementById('signin-code-form').style.display = 'none';
+  document.getElementById('signin-email-form').style.display = 'block';
+  setSignInError('');
+});
+document.getElementById('dash-error-signin').addEventListener('click', function () {
+  clearSession();
+  showSignIn();
+});
+
 // ─── Utilities ────────────────────────────────────────────
 
+// token (+ supplierId for team sessions) as a query string / request body
+function authQuery() {
+  return '?token=' + encodeURIComponent(token) + (supplierId ? '&supplierId=' + encodeURIComponent(supplierId) : '');
+}
+
+function authBody(fields) {
+  fields.token = token;
+  if (supplierId) fields.supplierId = supplierId;
+  return fields;
+}
+
 function trendBadge(trend, raw) {
   if (!trend && raw) {
     // Low-volume: show raw numbers instead of percentage
@@ -517,7 +913,7 @@ function logEvent(event, data) {
     fetch('/api/supplier-dashboard/event', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ token: token, event: event, data: data || {} })
+      body: JSON.stringify(authBody({ event: event, data: data || {} }))
     }).catch(function () { /* fire-and-forget */ });
   } catch (e) { /* ignore */ }
 }
@@ -1 +1 @@
-let token=null,dashData=null;document.addEventListener("DOMContentLoaded",init);async function init(){if(token=new URLSearchParams(window.location.search).get("token"),!token)try{token=sessionStorage.getItem("dash_token")}catch(s){}if(!token){showError("No access token provided. Please use the link from your email.");return}try{sessionStorage.setItem("dash_token",token),window.history.replaceState({},document.title,"/supplier-dashboard")}catch(s){}await loadDashboard()}async function loadDashboard(){try{const e=await fetch("/api/supplier-dashboard?token="+encodeURIComponent(token)),s=await e.json();if(!e.ok||!s.success){s.status==="revoked"?showError(s.error||"Your listing claim has been removed.","Claim Removed"):e.status===429?showError("Too many requests. Please wait a few minutes and refresh.","Slow Down"):e.status>=500?showError("Our server is temporarily unavailable. Please refresh in a moment.","Temporary Issue"):showError(s.error||"Invalid or expired link.");return}dashData=s,renderDashboard(s)}catch(e){console.error("Dashboard load error:",e),showError("Could not load dashboard. Please try again later.")}}function renderDashboard(e){document.getElementById("dash-loading").style.display="none",document.getElementById("dash-main").style.display="block",document.getElementById("dash-name").textContent=e.supplier.name,document.getElementById("dash-location").textContent=e.supplier.city+", "+e.supplier.state,document.getElementById("dash-refreshed").textContent=relativeTime(e.generatedAt);const s=document.getElementById("dash-price-badge");if(e.price&&e.price.comparisonPrice){const t=e.price.stale?"stale":"fresh",n=e.price.lastUpdated?new Date(e.price.lastUpdated).toLocaleDateString("en-US",{month:"short",day:"numeric"}):"";s.innerHTML='<span class="stale-dot '+t+'"></span><span class="price-badge">Your price: $'+e.price.comparisonPrice.toFixed(2)+(n?" (set "+n+")":"")+"</span>"}else s.innerHTML='<span class="price-badge" style="color:#6b7280;">No price set</span>';if(e.urgency&&e.urgency.pricesChangedToday){const t=document.getElementById("dash-urgency");t.innerHTML="&#9889; "+e.urgency.areaCompetitorPriceDrops+" competitor"+(e.urgency.areaCompetitorPriceDrops>1?"s":"")+" dropped prices in your area today.",t.style.display="block"}if(e.priceImpact&&renderPriceImpact(e.priceImpact),e.isFirstVisit&&e.state!=="zero-traffic"&&(document.getElementById("dash-welcome").style.display="block"),e.state==="stale-price"||e.price&&e.price.stale){const t=document.getElementById("dash-stale-banner");t.innerHTML="&#9888;&#65039; Your price is marked as stale &mdash; homeowners see a warning dot next to it. <strong>Update now</strong> to show a fresh price.",t.style.display="block"}if(e.seasonalContext&&e.seasonalContext.active){const t=document.getElementById("dash-seasonal");t.textContent=e.seasonalContext.message,t.style.display="block"}if(e.state==="zero-traffic"){document.getElementById("dash-zero-traffic").style.display="block",document.getElementById("dash-panels").style.display="none";const t=document.getElementById("panel-price");t.style.display="block",t.style.maxWidth="860px",t.style.margin="24px auto",document.getElementById("dash-zero-traffic").after(t),renderPricePanel(e);return}renderPerformancePanel(e),renderCompetitivePanel(e),renderOpportunityPanel(e),renderPricePanel(e),logEvent("panel_viewed",{panels:["performance","competitive","opportunity","price"]})}function renderPerformancePanel(e){const s=document.getElementById("performance-content"),t=e.demand,n=e.clickShare;if(!t){s.innerHTML='<p style="color:#9ca3af;">Temporarily unavailable &mdash; refresh to retry.</p>';return}let r="";if(r+='<div class="demand-metrics">',r+='<div class="demand-metric"><div class="demand-metric-value">'+formatNumber(t.areaSearches)+'</div><div class="demand-metric-label">Searches</div></div>',r+='<div class="demand-metric"><div class="demand-metric-value">'+t.clicksLast30Days+'</div><div class="demand-metric-label">Clicks'+trendBadge(t.clicksTrend,t.clicksTrendRaw)+"</div></div>",r+='<div class="demand-metric"><div class="demand-metric-value">'+(t.calls+t.websites)+'</div><div class="demand-metric-label">Leads</div></div>',r+="</div>",r+='<div class="demand-breakdown">',r+="<span>"+t.calls+" calls</span>",r+="<span>"+t.websites+" website visits</span>",r+="</div>",n){r+='<div class="perf-divider"></div>';var a=n.rank===1;r+='<div class="rank-badge'+(a?" winning":"")+'">Rank #'+n.rank+" of "+n.totalRanked+"</div>",r+='<div class="share-bar-container">',r+='<div class="share-bar-track"><div class="share-bar-fill" style="width:'+n.sharePercent+'%;"></div></div>',r+='<div class="share-bar-labels"><span>You: '+n.sharePercent+"%</span>",!a&&n.leaderSharePercent&&(r+="<span>Leader: "+n.leaderSharePercent+"%</span>"),r+="</div></div>",!a&&n.captureVsLeader&&n.captureVsLeader<100&&(r+='<div style="font-size:11px;color:#94a3b8;margin-top:4px;">Capturing '+n.captureVsLeader+"% of leader traffic</div>")}e.mode==="full"&&t.estGallonsPerWeek&&(r+='<div class="estimate-note">Est. ~'+formatNumber(t.estGallonsPerWeek)+" gal/wk (5% of clicks &#8594; orders &#215; 175 gal)</div>"),s.innerHTML=r}function renderCompetitivePanel(e){const s=document.getElementById("competitive-content"),t=e.competitive;if(!t){s.innerHTML='<p style="color:#9ca3af;">Temporarily unavailable &mdash; refresh to retry.</p>';return}if(!t.currentPrice){s.innerHTML='<div class="no-price-cta"><p>Set your price to see how you compare to other suppliers in your area.</p><a href="#panel-price" style="color:#FF6B35;font-weight:600;font-size:14px;">Set your price below &#8595;</a></div>';return}let n='<div class="price-compare">';n+=priceRow("Your price","$"+t.currentPrice.toFixed(2),!0),t.isOnlySupplier||(t.lowestInArea!==null&&(n+=priceRow("Lowest","$"+t.lowestInArea.toFixed(2))),t.avgInArea!==null&&(n+=priceRow("Average","$"+t.avgInArea.toFixed(2))),t.priceSpread!==null&&(n+=priceRow("Spread","$"+t.priceSpread.toFixed(2)))),n+="</div>",t.deltaFromLowest>0&&!t.isOnlySupplier&&(n+='<div style="font-size:14px;font-weight:600;color:#EA580C;margin-bottom:8px;">You are $'+t.deltaFromLowest.toFixed(2)+" above lowest</div>"),t.qualitativeNudge&&(n+='<div class="competitive-nudge">'+escapeHtml(t.qualitativeNudge)+"</div>"),t.ifMatchLowest&&t.ifMatchLowest.estClickIncrease&&t.deltaFromLowest>0&&(n+='<div style="margin-top:10px;font-size:12px;color:#9ca3af;cursor:pointer;" data-preview="projections" class="locked-teaser">&#128274; See exact impact numbers</div>'),n+='<div class="competitive-note">Prices compared at 150-gal minimum</div>',s.innerHTML=n}function renderOpportunityPanel(e){const s=document.getElementById("opportunity-content"),t=document.getElementById("panel-opportunity"),n=e.missedVolume,r=e.competitive;if(r&&(r.isLowest||r.isOnlySupplier)){t.style.display="none";return}if(e.mode==="growth"){t.style.display="none";return}if(!n){t.style.display="none";return}let a="";a+='<div class="missed-headline">'+formatNumber(n.missedClicks)+"</div>",a+='<div class="missed-label">'+escapeHtml(n.missedClicksLabel)+"</div>",n.estGalPerWeek?(a+='<div class="stat-row"><span class="stat-label">Est. volume</span>',a+='<span class="stat-value">~'+formatNumber(n.estGalPerWeek)+" gal/wk</span></div>",a+='<div class="estimate-note">'+escapeHtml(n.estFormula)+"</div>"):a+='<div class="estimate-note">Update your price to see revenue estimates.</div>',n.confidence&&(a+='<div class="confidence-badge"><span class="dot '+n.confidence+'"></span>'+n.confidence.toUpperCase()+" ("+escapeHtml(n.confidenceBasis)+")</div>"),s.innerHTML=a}function renderPricePanel(e){const s=document.getElementById("price-form"),t=document.getElementById("price-gap-alert"),n=e.competitive,r=e.price;n&&n.deltaFromLowest>0&&!n.isOnlySupplier?(t.innerHTML="&#9888;&#65039; You are <strong>$"+n.deltaFromLowest.toFixed(2)+" above lowest</strong> in your area.",t.style.display="block"):n&&n.isLowest&&(t.innerHTML="&#9989; <strong>You're the lowest in your area.</strong> Keep your price current to stay on top.",t.style.display="block",t.style.background="#F0FDF4",t.style.color="#166534");var a=document.getElementById("price-status");if(r&&r.tiers&&r.tiers.length>0){var i=r.tiers[0],l=s.querySelector(".tier-price"),c=s.querySelector(".tier-mingal");l&&(l.value=i.price.toFixed(3)),c&&(c.value=i.minGallons);var o=i.lastUpdated?new Date(i.lastUpdated).toLocaleDateString("en-US",{month:"short",day:"numeric",hour:"numeric",minute:"2-digit"}):"",d=i.source==="supplier_direct"?"by you":i.source==="supplier_sms"?"via SMS":"auto-scraped";r.stale?(a.innerHTML='<span class="price-status-stale">Your price ($'+i.price.toFixed(2)+") is stale &mdash; last updated "+o+" ("+d+"). Homeowners see a warning on your listing.</span>",a.style.display="block",l&&l.classList.add("stale-highlight")):o&&(a.innerHTML='<span class="price-status-fresh">Current: $'+i.price.toFixed(2)+"/gal &middot; Updated "+o+" ("+d+")</span>",a.style.display="block")}else a.innerHTML='<span class="price-status-expired">You have no active price. Your listing is not showing a price to homeowners. Set one below to go live.</span>',a.style.display="block";s.addEventListener("submit",handlePriceSubmit),s.addEventListener("focusin",function(p){p.target.classList.contains("tier-price")&&logEvent("price_form_focused")})}function renderPriceImpact(e){const s=document.getElementById("dash-impact"),t=e.direction;s.className="dash-impact "+t;const n=new Date(e.updatedAt).toLocaleDateString("en-US",{month:"short",day:"numeric"}),r="$"+e.priceAfter.toFixed(2);let a="";if(e.clicksBefore7d>0){const o=Math.round((e.clicksAfter7d-e.clicksBefore7d)/e.clicksBefore7d*100);a=(o>=0?"+":"")+o+"% clicks"}else e.clicksAfter7d>0&&(a=e.clicksAfter7d+" clicks");const i=e.callsAfter7d-e.callsBefore7d,l=i!==0?", "+(i>0?"+":"")+i+" calls":"",c=t==="drop"?"dropped to":"raised to";s.innerHTML=(t==="drop"?"&#9989; ":"")+"You "+c+" <strong>"+r+"</strong> on "+n+". Since then: <strong>"+a+l+"</strong>",s.style.display="block"}async function handlePriceSubmit(e){e.preventDefault();const s=document.getElementById("price-submit-btn"),t=document.getElementById("price-form-error"),n=document.getElementById("price-form-success");t.style.display="none",n.style.display="none";const r=document.querySelector(".tier-price"),a=document.querySelector(".tier-mingal"),i=parseFloat(r.value),l=parseInt(a.value)||100;if(isNaN(i)||i<1.5||i>8){t.textContent="Price must be between $1.50 and $8.00",t.style.display="block";return}if(l<50||l>500){t.textContent="Minimum gallons must be between 50 and 500",t.style.display="block";return}s.disabled=!0,s.textContent="Updating...";try{const c=await fetch("/api/supplier-update/price",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({token,price:i,minGallons:l})}),o=await c.json();if(!c.ok||!o.success)throw new Error(o.error||"Failed to update price");n.textContent="Price updated to $"+o.price.toFixed(2)+"/gal. Your listing is now showing the fresh price.",n.style.display="block";const d=document.getElementById("dash-price-badge"),p=new Date().toLocaleDateString("en-US",{month:"short",day:"numeric"});d.innerHTML='<span class="stale-dot fresh"></span><span class="price-badge">Your price: $'+o.price.toFixed(2)+" (set "+p+")</span>",r.classList.remove("stale-highlight"),document.getElementById("dash-stale-banner").style.display="none",s.textContent="Updated!",setTimeout(function(){s.disabled=!1,s.textContent="Update Price"},3e3)}catch(c){t.textContent=c.message||"Network error. Please try again.",t.style.display="block",s.disabled=!1,s.textContent="Update Price"}}function trendBadge(e,s){if(!e&&s)return' <span class="trend trend-flat">('+s.thisWeek+" this wk, "+s.lastWeek+" last)</span>";if(!e)return"";if(e==="new")return' <span class="trend trend-up">&#8593; new</span>';const t=e.startsWith("+"),n=e.startsWith("-"),r=t?"trend-up":n?"trend-down":"trend-flat",a=t?"&#8593;":n?"&#8595;":"";return' <span class="trend '+r+'">'+a+" "+escapeHtml(e)+"</span>"}function priceRow(e,s,t){return'<div class="price-compare-row"><span class="label">'+e+'</span><span class="value'+(t?" highlight":"")+'">'+s+"</span></div>"}function formatNumber(e){return e==null?"0":e.toLocaleString("en-US")}function relativeTime(e){if(!e)return"just now";var s=Math.floor((Date.now()-new Date(e).getTime())/1e3);return s<60?"just now":s<3600?Math.floor(s/60)+" min ago":s<86400?Math.floor(s/3600)+"h ago":Math.floor(s/86400)+"d ago"}function escapeHtml(e){if(!e)return"";var s=document.createElement("div");return s.textContent=e,s.innerHTML}function showError(e,s){document.getElementById("dash-loading").style.display="none",document.getElementById("dash-main").style.display="none",document.getElementById("dash-error").style.display="block",document.getElementById("dash-error-message").textContent=e,s&&(document.getElementById("dash-error-title").textContent=s)}function logEvent(e,s){if(token)try{fetch("/api/supplier-dashboard/event",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({token,event:e,data:s||{}})}).catch(function(){})}catch(t){}}document.addEventListener("click",function(e){var s=e.target.closest(".locked-card"),t=e.target.closest(".locked-teaser"),n=s&&s.dataset.preview||t&&t.dataset.preview;if(n){logEvent("locked_preview_clicked",{preview:n});var r=document.querySelector(".dash-toast");r&&r.remove();var a=document.createElement("div");a.className="dash-toast",a.textContent="Coming soon \u2014 we'll notify you when this is available.",document.body.appendChild(a),setTimeout(function(){a.remove()},3e3)}});
+let token=null,supplierId=null,dashData=null;document.addEventListener("DOMContentLoaded",init);async function init(){if(token=new URLSearchParams(window.location.search).get("token"),!token)try{token=sessionStorage.getItem("dash_token"),supplierId=sessionStorage.getItem("dash_supplier")}catch(t){}if(!token){showSignIn();return}try{sessionStorage.setItem("dash_token",token),window.history.replaceState({},document.title,"/supplier-dashboard")}catch(t){}await loadDashboard()}async function loadDashboard(){try{const e=await fetch("/api/supplier-dashboard"+authQuery()),t=await e.json();if(!e.ok||!t.success){if(t.status==="expired"&&supplierId){clearSession(),showSignIn();return}t.status==="revoked"?showError(t.error||"Your listing claim has been removed.","Claim Removed"):e.status===429?showError("Too many requests. Please wait a few minutes and refresh.","Slow Down"):e.status>=500?showError("Our server is temporarily unavailable. Please refresh in a moment.","Temporary Issue"):showError(t.error||"Invalid or expired link.");return}dashData=t,renderDashboard(t)}catch(e){console.error("Dashboard load error:",e),showError("Could not load dashboard. Please try again later.")}}function renderDashboard(e){document.getElementById("dash-loading").style.display="none",document.getElementById("dash-main").style.display="block",document.getElementById("dash-name").textContent=e.supplier.name,document.getElementById("dash-location").textContent=e.supplier.city+", "+e.supplier.state,document.getElementById("dash-refreshed").textContent=relativeTime(e.generatedAt),renderAccess(e);const t=document.getElementById("dash-price-badge");if(e.price&&e.price.comparisonPrice){const n=e.price.stale?"stale":"fresh",s=e.price.lastUpdated?new Date(e.price.lastUpdated).toLocaleDateString("en-US",{month:"short",day:"numeric"}):"";t.innerHTML='<span class="stale-dot '+n+'"></span><span class="price-badge">Your price: $'+e.price.comparisonPrice.toFixed(2)+(s?" (set "+s+")":"")+"</span>"}else t.innerHTML='<span class="price-badge" style="color:#6b7280;">No price set</span>';if(e.urgency&&e.urgency.pricesChangedToday){const n=document.getElementById("dash-urgency");n.innerHTML="&#9889; "+e.urgency.areaCompetitorPriceDrops+" competitor"+(e.urgency.areaCompetitorPriceDrops>1?"s":"")+" dropped prices in your area today.",n.style.display="block"}if(e.priceImpact&&renderPriceImpact(e.priceImpact),e.isFirstVisit&&e.state!=="zero-traffic"&&(document.getElementById("dash-welcome").style.display="block"),e.state==="stale-price"||e.price&&e.price.stale){const n=document.getElementById("dash-stale-banner");n.innerHTML="&#9888;&#65039; Your price is marked as stale &mdash; homeowners see a warning dot next to it. <strong>Update now</strong> to show a fresh price.",n.style.display="block"}if(e.seasonalContext&&e.seasonalContext.active){const n=document.getElementById("dash-seasonal");n.textContent=e.seasonalContext.message,n.style.display="block"}if(e.state==="zero-traffic"){document.getElementById("dash-zero-traffic").style.display="block",document.getElementById("dash-panels").style.display="none";const n=document.getElementById("panel-price");n.style.display="block",n.style.maxWidth="860px",n.style.margin="24px auto",document.getElementById("dash-zero-traffic").after(n),renderPricePanel(e);return}renderPerformancePanel(e),renderCompetitivePanel(e),renderOpportunityPanel(e),renderPricePanel(e),renderLeadsPanel(e),logEvent("panel_viewed",{panels:["performance","competitive","opportunity","price"]})}function renderPerformancePanel(e){const t=document.getElementById("performance-content"),n=e.demand,s=e.clickShare;if(!n){t.innerHTML='<p style="color:#9ca3af;">Temporarily unavailable &mdash; refresh to retry.</p>';return}let a="";if(a+='<div class="demand-metrics">',a+='<div class="demand-metric"><div class="demand-metric-value">'+formatNumber(n.areaSearches)+'</div><div class="demand-metric-label">Searches</div></div>',a+='<div class="demand-metric"><div class="demand-metric-value">'+n.clicksLast30Days+'</div><div class="demand-metric-label">Clicks'+trendBadge(n.clicksTrend,n.clicksTrendRaw)+"</div></div>",a+='<div class="demand-metric"><div class="demand-metric-value">'+(n.calls+n.websites)+'</div><div class="demand-metric-label">Leads</div></div>',a+="</div>",a+='<div class="demand-breakdown">',a+="<span>"+n.calls+" calls</span>",a+="<span>"+n.websites+" website visits</span>",a+="</div>",s){a+='<div class="perf-divider"></div>';var i=s.rank===1;a+='<div class="rank-badge'+(i?" winning":"")+'">Rank #'+s.rank+" of "+s.totalRanked+"</div>",a+='<div class="share-bar-container">',a+='<div class="share-bar-track"><div class="share-bar-fill" style="width:'+s.sharePercent+'%;"></div></div>',a+='<div class="share-bar-labels"><span>You: '+s.sharePercent+"%</span>",!i&&s.leaderSharePercent&&(a+="<span>Leader: "+s.leaderSharePercent+"%</span>"),a+="</div></div>",!i&&s.captureVsLeader&&s.captureVsLeader<100&&(a+='<div style="font-size:11px;color:#94a3b8;margin-top:4px;">Capturing '+s.captureVsLeader+"% of leader traffic</div>")}e.mode==="full"&&n.estGallonsPerWeek&&(a+='<div class="estimate-note">Est. ~'+formatNumber(n.estGallonsPerWeek)+" gal/wk (5% of clicks &#8594; orders &#215; 175 gal)</div>"),t.innerHTML=a}function renderCompetitivePanel(e){const t=document.getElementById("competitive-content"),n=e.competitive;if(!n){t.innerHTML='<p style="color:#9ca3af;">Temporarily unavailable &mdash; refresh to retry.</p>';return}if(!n.currentPrice){t.innerHTML='<div class="no-price-cta"><p>Set your price to see how you compare to other suppliers in your area.</p><a href="#panel-price" style="color:#FF6B35;font-weight:600;font-size:14px;">Set your price below &#8595;</a></div>';return}let s='<div class="price-compare">';s+=priceRow("Your price","$"+n.currentPrice.toFixed(2),!0),n.isOnlySupplier||(n.lowestInArea!==null&&(s+=priceRow("Lowest","$"+n.lowestInArea.toFixed(2))),n.avgInArea!==null&&(s+=priceRow("Average","$"+n.avgInArea.toFixed(2))),n.priceSpread!==null&&(s+=priceRow("Spread","$"+n.priceSpread.toFixed(2)))),s+="</div>",n.deltaFromLowest>0&&!n.isOnlySupplier&&(s+='<div style="font-size:14px;font-weight:600;color:#EA580C;margin-bottom:8px;">You are $'+n.deltaFromLowest.toFixed(2)+" above lowest</div>"),n.qualitativeNudge&&(s+='<div class="competitive-nudge">'+escapeHtml(n.qualitativeNudge)+"</div>"),n.ifMatchLowest&&n.ifMatchLowest.estClickIncrease&&n.deltaFromLowest>0&&(s+='<div style="margin-top:10px;font-size:12px;color:#9ca3af;cursor:pointer;" data-preview="projections" class="locked-teaser">&#128274; See exact impact numbers</div>'),s+='<div class="competitive-note">Prices compared at 150-gal minimum</div>',t.innerHTML=s}function renderOpportunityPanel(e){const t=document.getElementById("opportunity-content"),n=document.getElementById("panel-opportunity"),s=e.missedVolume,a=e.competitive;if(a&&(a.isLowest||a.isOnlySupplier)){n.style.display="none";return}if(e.mode==="growth"){n.style.display="none";return}if(!s){n.style.display="none";return}let i="";i+='<div class="missed-headline">'+formatNumber(s.missedClicks)+"</div>",i+='<div class="missed-label">'+escapeHtml(s.missedClicksLabel)+"</div>",s.estGalPerWeek?(i+='<div class="stat-row"><span class="stat-label">Est. volume</span>',i+='<span class="stat-value">~'+formatNumber(s.estGalPerWeek)+" gal/wk</span></div>",i+='<div class="estimate-note">'+escapeHtml(s.estFormula)+"</div>"):i+='<div class="estimate-note">Update your price to see revenue estimates.</div>',s.confidence&&(i+='<div class="confidence-badge"><span class="dot '+s.confidence+'"></span>'+s.confidence.toUpperCase()+" ("+escapeHtml(s.confidenceBasis)+")</div>"),t.innerHTML=i}function renderLeadsPanel(e){const t=e.leads;if(!t)return;const n=a=>a!=null?Math.round(a*100)+"%":"&mdash;";let s="";t.demoted&&(s+=`<div class="price-gap-alert"><strong>You're getting leads last.</strong> Most of your recent quote requests went unanswered. Reply to the next few and you'll move back up.</div>`),t.score!=null&&(s+='<div class="leads-score">'+t.score+'<span class="'+t.health+'">'+t.health+"</span></div>"),s+='<div class="stat-row"><span class="stat-label">Leads (last '+t.windowDays+' days)</span><span class="stat-value">'+t.leads+"</span></div>",s+='<div class="stat-row"><span class="stat-label">Answered</span><span class="stat-value">'+n(t.contactRate)+"</span></div>",s+='<div class="stat-row"><span class="stat-label">Answered within '+t.slaMinutes+' min</span><span class="stat-value">'+n(t.slaRate)+"</span></div>",t.medianResponseMinutes!=null&&(s+='<div class="stat-row"><span class="stat-label">Typical response</span><span class="stat-value">'+t.medianResponseMinutes+" min</span></div>"),t.bids>0&&(s+='<div class="stat-row"><span class="stat-label">Bids won</span><span class="stat-value">'+t.wins+" of "+t.bids+"</span></div>"),t.avgRating!=null&&(s+='<div class="stat-row"><span class="stat-label">Homeowner rating</span><span class="stat-value">'+t.avgRating+" / 5 ("+t.ratings+")</span></div>"),t.score==null?s+='<div class="estimate-note">Your score appears after a few more leads.</div>':s+=`<div class="estimate-note">Faster replies mean you're sent leads sooner.</div>`,document.getElementById("leads-content").innerHTML=s,document.getElementById("panel-leads").style.display="block"}function renderPricePanel(e){const t=document.getElementById("price-form"),n=document.getElementById("price-gap-alert"),s=e.competitive,a=e.price;s&&s.deltaFromLowest>0&&!s.isOnlySupplier?(n.innerHTML="&#9888;&#65039; You are <strong>$"+s.deltaFromLowest.toFixed(2)+" above lowest</strong> in your area.",n.style.display="block"):s&&s.isLowest&&(n.innerHTML="&#9989; <strong>You're the lowest in your area.</strong> Keep your price current to stay on top.",n.style.display="block",n.style.background="#F0FDF4",n.style.color="#166534");var i=document.getElementById("price-status");if(a&&a.tiers&&a.tiers.length>0){var o=a.tiers[0],r=t.querySelector(".tier-price"),p=t.querySelector(".tier-mingal");r&&(r.value=o.price.toFixed(3)),p&&(p.value=o.minGallons);var l=o.lastUpdated?new Date(o.lastUpdated).toLocaleDateString("en-US",{month:"short",day:"numeric",hour:"numeric",minute:"2-digit"}):"",d=o.source==="supplier_direct"?"by you":o.source==="supplier_sms"?"via SMS":"auto-scraped";a.stale?(i.innerHTML='<span class="price-status-stale">Your price ($'+o.price.toFixed(2)+") is stale &mdash; last updated "+l+" ("+d+"). Homeowners see a warning on your listing.</span>",i.style.display="block",r&&r.classList.add("stale-highlight")):l&&(i.innerHTML='<span class="price-status-fresh">Current: $'+o.price.toFixed(2)+"/gal &middot; Updated "+l+" ("+d+")</span>",i.style.display="block")}else i.innerHTML='<span class="price-status-expired">You have no active price. Your listing is not showing a price to homeowners. Set one below to go live.</span>',i.style.display="block";if(renderUpcoming(a&&a.upcoming),!canDo("price")){t.style.display="none",document.querySelector(".price-sms-alt").style.display="none";var c=document.createElement("div");c.className="price-readonly",c.textContent="Your account can view this listing. Ask an owner for pricing access to update the price.",t.after(c);return}t.addEventListener("submit",handlePriceSubmit),t.addEventListener("focusin",function(m){m.target.classList.contains("tier-price")&&logEvent("price_form_focused")})}function renderPriceImpact(e){const t=document.getElementById("dash-impact"),n=e.direction;t.className="dash-impact "+n;const s=new Date(e.updatedAt).toLocaleDateString("en-US",{month:"short",day:"numeric"}),a="$"+e.priceAfter.toFixed(2);let i="";if(e.clicksBefore7d>0){const l=Math.round((e.clicksAfter7d-e.clicksBefore7d)/e.clicksBefore7d*100);i=(l>=0?"+":"")+l+"% clicks"}else e.clicksAfter7d>0&&(i=e.clicksAfter7d+" clicks");const o=e.callsAfter7d-e.callsBefore7d,r=o!==0?", "+(o>0?"+":"")+o+" calls":"",p=n==="drop"?"dropped to":"raised to";t.innerHTML=(n==="drop"?"&#9989; ":"")+"You "+p+" <strong>"+a+"</strong> on "+s+". Since then: <strong>"+i+r+"</strong>",t.style.display="block"}function renderUpcoming(e){var t=document.getElementById("price-upcoming");if(!e||e.length===0){t.style.display="none",t.innerHTML="";return}var n='<div class="price-upcoming-title">Upcoming changes</div>';e.forEach(function(s){var a="$"+s.price.toFixed(2)+"/gal"+(s.minGallons?" ("+s.minGallons+"+ gal)":""),i=s.status==="scheduled"?"Starts "+formatWhen(s.effectiveAt)+(s.validUntil?" &middot; until "+formatWhen(s.validUntil):""):"Live until "+formatWhen(s.validUntil);n+='<div class="price-upcoming-row"><span><strong>'+a+"</strong> &middot; "+i+"</span>"+(s.status==="scheduled"?'<button type="button" class="price-upcoming-cancel" data-id="'+escapeHtml(s.id)+'">Cancel</button>':"")+"</div>"}),t.innerHTML=n,t.style.display="block",t.querySelectorAll(".price-upcoming-cancel").forEach(function(s){s.addEventListener("click",function(){cancelScheduled(s.dataset.id,s)})})}async function cancelScheduled(e,t){t.disabled=!0;try{const n=await fetch("/api/supplier-update/scheduled/"+encodeURIComponent(e)+"/cancel",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(authBody({}))}),s=await n.json();if(!n.ok||!s.success)throw new Error(s.error||"Could not cancel");logEvent("scheduled_price_cancelled"),await refreshUpcoming()}catch(n){t.disabled=!1,t.textContent=n.message||"Try again"}}async function refreshUpcoming(){try{const e=await fetch("/api/supplier-update"+authQuery()),t=await e.json();e.ok&&t.success&&renderUpcoming(t.upcoming)}catch(e){}}function formatWhen(e){return new Date(e).toLocaleString("en-US",{weekday:"short",month:"short",day:"numeric",hour:"numeric",minute:"2-digit"})}async function handlePriceSubmit(e){e.preventDefault();const t=document.getElementById("price-submit-btn"),n=document.getElementById("price-form-error"),s=document.getElementById("price-form-success");n.style.display="none",s.style.display="none";const a=document.querySelector(".tier-price"),i=document.querySelector(".tier-mingal"),o=parseFloat(a.value),r=parseInt(i.value)||100,p=document.getElementById("price-effective-at"),l=document.getElementById("price-valid-until"),d=p.value?new Date(p.value):null,c=l.value?new Date(l.value):null;if(isNaN(o)||o<1.5||o>8){n.textContent="Price must be between $1.50 and $8.00",n.style.display="block";return}if(r<50||r>500){n.textContent="Minimum gallons must be between 50 and 500",n.style.display="block";return}if(c&&c<=(d&&d>new Date?d:new Date)){n.textContent="Valid until must be after the start",n.style.display="block";return}t.disabled=!0,t.textContent="Updating...";try{const m=await fetch("/api/supplier-update/price",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(authBody({price:o,minGallons:r,effectiveAt:d?d.toISOString():void 0,validUntil:c?c.toISOString():void 0}))}),u=await m.json();if(!m.ok||!u.success)throw new Error(u.error||"Failed to update price");if((d||c)&&(p.value="",l.value="",logEvent("price_scheduled",{startsLater:u.scheduled,hasValidUntil:!!c}),refreshUpcoming()),u.scheduled){s.textContent=u.message+". Your current price stays up until then.",s.style.display="block",t.disabled=!1,t.textContent="Update Price";return}s.textContent="Price updated to $"+u.price.toFixed(2)+"/gal. Your listing is now showing the fresh price.",s.style.display="block";const y=document.getElementById("dash-price-badge"),f=new Date().toLocaleDateString("en-US",{month:"short",day:"numeric"});y.innerHTML='<span class="stale-dot fresh"></span><span class="price-badge">Your price: $'+u.price.toFixed(2)+" (set "+f+")</span>",a.classList.remove("stale-highlight"),document.getElementById("dash-stale-banner").style.display="none",t.textContent="Updated!",setTimeout(function(){t.disabled=!1,t.textContent="Update Price"},3e3)}catch(m){n.textContent=m.message||"Network error. Please try again.",n.style.display="block",t.disabled=!1,t.textContent="Update Price"}}function showSignIn(){document.getElementById("dash-loading").style.display="none",document.getElementById("dash-main").style.display="none",document.getElementById("dash-error").style.display="none",document.getElementById("dash-signin").style.display="block"}async function handleRequestCode(e){e.preventDefault();const t=document.getElementById("signin-email-btn"),n=document.getElementById("signin-email").value.trim();setSignInError(""),t.disabled=!0;try{const s=await fetch("/api/supplier-auth/request-code",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:n})}),a=await s.json();if(!s.ok||!a.success)throw new Error(a.error||"Could not send a code");document.getElementById("signin-code-hint").textContent=a.message,document.getElementById("signin-email-form").style.display="none",document.getElementById("signin-code-form").style.display="block",document.getElementById("signin-code").focus()}catch(s){setSignInError(s.message||"Network error. Please try again.")}finally{t.disabled=!1}}async function handleVerifyCode(e){e.preventDefault();const t=document.getElementById("signin-code-btn");setSignInError(""),t.disabled=!0;try{const n=await fetch("/api/supplier-auth/verify-code",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({email:document.getElementById("signin-email").value.trim(),code:document.getElementById("signin-code").value.trim()})}),s=await n.json();if(!n.ok||!s.success)throw new Error(s.error||"Could not sign in");token=s.token,supplierId=s.listings[0].id;try{sessionStorage.setItem("dash_token",token),sessionStorage.setItem("dash_supplier",supplierId)}catch(a){}document.getElementById("dash-signin").style.display="none",document.getElementById("dash-loading").style.display="block",await loadDashboard()}catch(n){setSignInError(n.message||"Network error. Please try again."),t.disabled=!1}}function setSignInError(e){const t=document.getElementById("signin-error");t.textContent=e,t.style.display=e?"block":"none"}function clearSession(){token=null,supplierId=null;try{sessionStorage.removeItem("dash_token"),sessionStorage.removeItem("dash_supplier")}catch(e){}}async function signOut(){try{await fetch("/api/supplier-auth/logout",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({token})})}catch(e){}clearSession(),window.location.reload()}function canDo(e){return!!(dashData&&dashData.access&&dashData.access.permissions.indexOf(e)!==-1)}function renderAccess(e){const t=e.access,n=document.getElementById("dash-account");if(!t||!t.email)return;supplierId=e.supplier.id;let s="<span>Signed in as "+escapeHtml(t.email)+" &middot; "+escapeHtml(t.role)+"</span>";t.listings.length>1&&(s+='<select id="dash-listing-select" aria-label="Switch listing">'+t.listings.map(function(i){return'<option value="'+escapeHtml(i.id)+'"'+(i.id===supplierId?" selected":"")+">"+escapeHtml(i.name+" \u2014 "+i.city+", "+i.state)+"</option>"}).join("")+"</select>"),s+='<a id="dash-signout">Sign out</a>',n.innerHTML=s,n.style.display="flex";const a=document.getElementById("dash-listing-select");a&&a.addEventListener("change",function(){try{sessionStorage.setItem("dash_supplier",a.value)}catch(i){}logEvent("listing_switched"),window.location.reload()}),document.getElementById("dash-signout").addEventListener("click",signOut),t.permissions.indexOf("team")!==-1&&(document.getElementById("panel-team").style.display="block",document.getElementById("team-form").addEventListener("submit",handleTeamAdd),refreshTeam())}async function refreshTeam(){const e=document.getElementById("team-list");try{const t=await fetch("/api/supplier-auth/team"+authQuery()),n=await t.json();if(!t.ok||!n.success)throw new Error(n.error);const s=dashData.access.listings.length>1;document.getElementById("team-branches-label").style.display=s?"flex":"none",e.innerHTML=n.members.map(function(a){return'<div class="team-row"><span>'+escapeHtml(a.name||a.email)+(a.name?' <span class="team-role">'+escapeHtml(a.email)+"</span>":"")+' <span class="team-role">'+escapeHtml(a.role)+(a.allBranches?" &middot; all branches":"")+"</span></span>"+(a.email===dashData.access.email?"":'<button type="button" class="team-remove" data-id="'+escapeHtml(a.userId)+'">Remove</button>')+"</div>"}).join(""),e.querySelectorAll(".team-remove").forEach(function(a){a.addEventListener("click",function(){removeTeamMember(a.dataset.id,a)})})}catch(t){e.textContent="Could not load your team."}}async function handleTeamAdd(e){e.preventDefault();const t=document.getElementById("team-submit-btn"),n=document.getElementById("team-form-error");n.style.display="none",t.disabled=!0;try{const s=await fetch("/api/supplier-auth/team",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(authBody({email:document.getElementById("team-email").value.trim(),role:document.getElementById("team-role").value,allBranches:document.getElementById("team-all-branches").checked}))}),a=await s.json();if(!s.ok||!a.success)throw new Error(a.error||"Could not add team member");document.getElementById("team-email").value="",logEvent("team_member_added",{role:a.member&&a.member.role}),await refreshTeam()}catch(s){n.textContent=s.message||"Network error. Please try again.",n.style.display="block"}finally{t.disabled=!1}}async function removeTeamMember(e,t){t.disabled=!0;try{const n=await fetch("/api/supplier-auth/team/"+encodeURIComponent(e)+"/remove",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(authBody({}))}),s=await n.json();if(!n.ok||!s.success)throw new Error(s.error||"Could not remove");await refreshTeam()}catch(n){t.disabled=!1,t.textContent=n.message||"Try again"}}document.getElementById("signin-email-form").addEventListener("submit",handleRequestCode),document.getElementById("signin-code-form").addEventListener("submit",handleVerifyCode),document.getElementById("signin-restart").addEventListener("click",function(){document.getElementById("signin-code-form").style.display="none",document.getElementById("signin-email-form").style.display="block",setSignInError("")}),document.getElementById("dash-error-signin").addEventListener("click",function(){clearSession(),showSignIn()});function authQuery(){return"?token="+encodeURIComponent(token)+(supplierId?"&supplierId="+encodeURIComponent(supplierId):"")}function authBody(e){return e.token=token,supplierId&&(e.supplierId=supplierId),e}function trendBadge(e,t){if(!e&&t)return' <span class="trend trend-flat">('+t.thisWeek+" this wk, "+t.lastWeek+" last)</span>";if(!e)return"";if(e==="new")return' <span class="trend trend-up">&#8593; new</span>';const n=e.startsWith("+"),s=e.startsWith("-"),a=n?"trend-up":s?"trend-down":"trend-flat",i=n?"&#8593;":s?"&#8595;":"";return' <span class="trend '+a+'">'+i+" "+escapeHtml(e)+"</span>"}function priceRow(e,t,n){return'<div class="price-compare-row"><span class="label">'+e+'</span><span class="value'+(n?" highlight":"")+'">'+t+"</span></div>"}function formatNumber(e){return e==null?"0":e.toLocaleString("en-US")}function relativeTime(e){if(!e)return"just now";var t=Math.floor((Date.now()-new Date(e).getTime())/1e3);return t<60?"just now":t<3600?Math.floor(t/60)+" min ago":t<86400?Math.floor(t/3600)+"h ago":Math.floor(t/86400)+"d ago"}function escapeHtml(e){if(!e)return"";var t=document.createElement("div");return t.textContent=e,t.innerHTML}function showError(e,t){document.getElementById("dash-loading").style.display="none",document.getElementById("dash-main").style.display="none",document.getElementById("dash-error").style.display="block",document.getElementById("dash-error-message").textContent=e,t&&(document.getElementById("dash-error-title").textContent=t)}function logEvent(e,t){if(token)try{fetch("/api/supplier-dashboard/event",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(authBody({event:e,data:t||{}}))}).catch(function(){})}catch(n){}}document.addEventListener("click",function(e){var t=e.target.closest(".locked-card"),n=e.target.closest(".locked-teaser"),s=t&&t.dataset.preview||n&&n.dataset.preview;if(s){logEvent("locked_preview_clicked",{preview:s});var a=document.querySelector(".dash-toast");a&&a.remove();var i=document.createElement("div");i.className="dash-toast",i.textContent="Coming soon \u2014 we'll notify you when this is available.",document.body.appendChild(i),setTimeout(function(){i.remove()},3e3)}});
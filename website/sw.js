@@ -1,6 +1,7 @@
 /**
  * HomeHeat Service Worker
- * Minimal service worker to enable PWA install prompt on Android
+ * Minimal service worker to enable PWA install prompt on Android,
+ * plus price alert notifications (web push)
  */
 
 const CACHE_NAME = 'homeheat-v5';
@@ -68,3 +69,34 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Push - price alerts arrive without a payload; fetch the message for this device
+self.addEventListener('push', (event) => {
+  event.waitUntil(
+    self.registration.pushManager.getSubscription()
+      .then((subscription) => {
+        if (!subscription) return {};
+        return fetch('/api/price-alerts/push/latest', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        }).then((response) => (response.ok ? response.json() : {}));
+      })
+      .catch(() => ({}))
+      .then((message) => {
+        return self.registration.showNotification(message.title || 'HomeHeat price alert', {
+          body: message.body || 'Heating oil prices changed in your area.',
+          icon: '/images/app-icon.png',
+          badge: '/favicon.png',
+          data: { url: message.url || '/prices.html' }
+        });
+      })
+  );
+});
+
+// Notification click - open (or focus) the prices page
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/prices.html';
+  event.waitUntil(self.clients.openWindow(url));
+});